@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./Ownable.sol";
+
+/**
+ * @title AccessRoles
+ * @dev Rôles d'administration délégués par le propriétaire, et délai (timelock)
+ * appliqué aux changements sensibles. Le propriétaire détient implicitement tous
+ * les rôles.
+ *
+ * Un changement soumis au délai s'effectue en deux appels identiques : le premier
+ * le met en file (ChangeQueued), le second l'applique une fois le délai écoulé
+ * (ChangeExecuted). Chaque fonction soumise au délai retourne false lorsqu'elle n'a
+ * fait que mettre le changement en file, true lorsqu'elle l'a appliqué.
+ */
+abstract contract AccessRoles is Ownable {
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant VALIDATOR_ADMIN_ROLE =
+        keccak256("VALIDATOR_ADMIN_ROLE");
+    bytes32 public constant RELAYER_ADMIN_ROLE =
+        keccak256("RELAYER_ADMIN_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+
+    uint256 public constant MAX_TIMELOCK_DELAY = 30 days;
+    uint256 internal constant DEFAULT_TIMELOCK_DELAY = 2 days;
+
+    mapping(bytes32 => mapping(address => bool)) private _roles;
+
+    // Délai entre la mise en file d'un changement sensible et son application
+    uint256 public timelockDelay = DEFAULT_TIMELOCK_DELAY;
+    // Date d'application de chaque changement en file, par hash de son appel
+    mapping(bytes32 => uint256) public queuedChanges;
+
+    event RoleGranted(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+    event RoleRevoked(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+    event ChangeQueued(bytes32 indexed changeId, bytes data, uint256 eta);
+    event ChangeCancelled(bytes32 indexed changeId);
+    event ChangeExecuted(bytes32 indexed changeId);
+    event TimelockDelayUpdated(uint256 delay);
+
+    error MissingRole(bytes32 role, address account);
+    error ChangeNotReady(bytes32 changeId, uint256 eta);
+    error ChangeNotQueued(bytes32 changeId);
+    error InvalidTimelockDelay();
+
+    modifier onlyRole(bytes32 _role) {
+        _checkRole(_role);
+        _;
+    }
+
+    /**
+     * @dev Indique si un compte détient un rôle (le propriétaire les détient tous).
+     */
+    function hasRole(
+        bytes32 _role,
+        address _account
+    ) public view returns (bool) {
+        return _roles[_role][_account] || _account == owner();
+    }
+
+    function grantRole(bytes32 _role, address _account) external onlyOwner {
+        if (!_roles[_role][_account]) {
+            _roles[_role][_account] = true;
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+
+    function revokeRole(bytes32 _role, address _account) external onlyOwner {
+        _revokeRole(_role, _account);
+    }
+
+    /**
+     * @dev Permet à un compte de renoncer à l'un de ses rôles.
+     */
+    function renounceRole(bytes32 _role) external {
+        _revokeRole(_role, msg.sender);
+    }
+
+    /**
+     * @dev Annule un changement en file avant son application.
+     * @param _changeId Hash de l'appel mis en file.
+     */
+    function cancelChange(bytes32 _changeId) external onlyOwner {
+        if (queuedChanges[_changeId] == 0) revert ChangeNotQueued(_changeId);
+        delete queuedChanges[_changeId];
+        emit ChangeCancelled(_changeId);
+    }
+
+    /**
+     * @dev Modifie le délai des changements sensibles, lui-même soumis au délai en cours.
+     * @param _delay Nouveau délai en secondes (30 jours au maximum).
+     */
+    function setTimelockDelay(uint256 _delay) external onlyOwner returns (bool) {
+        if (_delay > MAX_TIMELOCK_DELAY) revert InvalidTimelockDelay();
+        if (!_timelockReady()) return false;
+
+        timelockDelay = _delay;
+        emit TimelockDelayUpdated(_delay);
+        return true;
+    }
+
+    /**
+     * @dev Met l'appel en cours en file, ou confirme qu'il peut être appliqué.
+     * @return true si le délai de l'appel, mis en file auparavant, est écoulé.
+     */
+    function _timelockReady() internal returns (bool) {
+        bytes32 changeId = keccak256(msg.data);
+        uint256 eta = queuedChanges[changeId];
+
+        if (eta == 0) {
+            eta = block.timestamp + timelockDelay;
+            queuedChanges[changeId] = eta;
+            emit ChangeQueued(changeId, msg.data, eta);
+            return false;
+        }
+        if (block.timestamp < eta) revert ChangeNotReady(changeId, eta);
+
+        delete queuedChanges[changeId];
+        emit ChangeExecuted(changeId);
+        return true;
+    }
+
+    function _checkRole(bytes32 _role) internal view {
+        if (!hasRole(_role, msg.sender)) revert MissingRole(_role, msg.sender);
+    }
+
+    function _revokeRole(bytes32 _role, address _account) private {
+        if (_roles[_role][_account]) {
+            _roles[_role][_account] = false;
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+}
@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title LandAuctions
+ * @dev Enchères anglaises et hollandaises du marketplace : ouverture, prix courant et
+ * offres. La bibliothèque est déployée une fois et liée à LandTokenMarketplace, ce
+ * qui le garde sous la limite de taille des contrats.
+ */
+library LandAuctions {
+    enum AuctionType {
+        English,
+        Dutch
+    }
+
+    /**
+     * @dev Structure représentant une enchère sur un token listé.
+     * Anglaise : startPrice est le prix de réserve, les offres doivent augmenter
+     * d'au moins minIncrement. Hollandaise : le prix décroît linéairement de
+     * startPrice à floorPrice entre startTime et endTime.
+     */
+    struct Auction {
+        AuctionType auctionType;
+        address seller;
+        uint256 startPrice;
+        uint256 floorPrice;
+        uint256 minIncrement;
+        uint256 startTime;
+        uint256 endTime;
+        address highestBidder;
+        uint256 highestBid;
+        bool isActive;
+    }
+
+    error NoActiveAuction();
+    error AuctionEnded();
+    error InvalidAuction();
+    error BidTooLow();
+
+    /**
+     * @dev Ouvre une enchère pour l'appelant, à partir de maintenant.
+     * @return endTime La fin de l'enchère.
+     */
+    function start(
+        Auction storage self,
+        AuctionType _auctionType,
+        uint256 _startPrice,
+        uint256 _floorPrice,
+        uint256 _minIncrement,
+        uint256 _duration
+    ) external returns (uint256 endTime) {
+        endTime = block.timestamp + _duration;
+        self.auctionType = _auctionType;
+        self.seller = msg.sender;
+        self.startPrice = _startPrice;
+        self.floorPrice = _floorPrice;
+        self.minIncrement = _minIncrement;
+        self.startTime = block.timestamp;
+        self.endTime = endTime;
+        self.highestBidder = address(0);
+        self.highestBid = 0;
+        self.isActive = true;
+    }
+
+    /**
+     * @dev Prix courant d'une enchère : offre minimale acceptée pour une enchère
+     * anglaise, prix d'achat immédiat pour une enchère hollandaise.
+     */
+    function price(Auction storage self) public view returns (uint256) {
+        if (!self.isActive) revert NoActiveAuction();
+
+        if (self.auctionType == AuctionType.English) {
+            return
+                self.highestBidder == address(0)
+                    ? self.startPrice
+                    : self.highestBid + self.minIncrement;
+        }
+
+        if (block.timestamp >= self.endTime) {
+            return self.floorPrice;
+        }
+        uint256 elapsed = block.timestamp - self.startTime;
+        uint256 duration = self.endTime - self.startTime;
+        return
+            self.startPrice -
+            ((self.startPrice - self.floorPrice) * elapsed) /
+            duration;
+    }
+
+    /**
+     * @dev Enregistre l'offre de l'appelant sur une enchère anglaise. Une offre
+     * reçue moins de _extension secondes avant la fin prolonge l'enchère d'autant.
+     * @param _amount Montant de l'offre.
+     * @param _extension Durée de prolongation anti-sniping.
+     * @return previousBidder L'auteur de l'offre dépassée (zéro s'il n'y en a pas).
+     * @return previousBid Le montant de l'offre dépassée.
+     */
+    function bid(
+        Auction storage self,
+        uint256 _amount,
+        uint256 _extension
+    ) external returns (address previousBidder, uint256 previousBid) {
+        if (!self.isActive || self.auctionType != AuctionType.English)
+            revert NoActiveAuction();
+        if (block.timestamp >= self.endTime) revert AuctionEnded();
+        if (msg.sender == self.seller) revert InvalidAuction();
+        if (_amount < price(self)) revert BidTooLow();
+
+        previousBidder = self.highestBidder;
+        previousBid = self.highestBid;
+        self.highestBidder = msg.sender;
+        self.highestBid = _amount;
+
+        // Anti-sniping
+        if (self.endTime - block.timestamp < _extension) {
+            self.endTime = block.timestamp + _extension;
+        }
+    }
+}
@@ -0,0 +1,423 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./LandGovernance.sol";
+
+/**
+ * @title LandBuyout
+ * @dev Rachat de tous les tokens d'un terrain, pour le retirer de la tokenisation
+ * (vente hors chaîne du bien, regroupement par son propriétaire). Un acquéreur dépose
+ * en ETH le prix offert pour chaque token qu'il ne détient pas ; jusqu'à la date limite,
+ * les détenteurs lui cèdent leurs tokens contre ce prix. Si l'acquéreur détient alors
+ * la part fixée par les détenteurs dans LandGovernance (seuil de rachat), il peut
+ * racheter de force les tokens restants au même prix. Lorsqu'il les détient tous, les
+ * tokens sont brûlés par lots et LandRegistry retire le terrain du registre.
+ *
+ * Pendant une offre, les mints du terrain, les mises en vente sur le marketplace et
+ * les transferts des tokens de l'acquéreur sont bloqués. Les prix sont crédités aux
+ * détenteurs, à retirer via withdrawPayments.
+ */
+contract LandBuyout is ReentrancyGuard {
+    uint256 public constant PERCENTAGE_BASE = 10000;
+
+    LandToken public immutable landToken;
+
+    enum BuyoutStatus {
+        None,
+        Active,
+        Acquirable,
+        Expired,
+        Completed,
+        Closed
+    }
+
+    /**
+     * @dev Offre de rachat d'un terrain. deposit : part du dépôt de l'acquéreur pas
+     * encore versée aux détenteurs.
+     */
+    struct Buyout {
+        uint256 landId;
+        address bidder;
+        uint256 pricePerToken;
+        uint64 deadline;
+        uint256 deposit;
+        bool closed;
+        bool completed;
+    }
+
+    uint256 public buyoutCount;
+    mapping(uint256 => Buyout) public buyouts;
+    // Dernière offre de chaque terrain
+    mapping(uint256 => uint256) public landBuyouts;
+    // Montants dus à chaque détenteur et aux acquéreurs, à retirer via withdrawPayments
+    mapping(address => uint256) public payments;
+    // Offres dont les tokens ont commencé à être brûlés : elles ne peuvent plus être closes
+    mapping(uint256 => bool) private completing;
+
+    event BuyoutOpened(
+        uint256 indexed buyoutId,
+        uint256 indexed landId,
+        address indexed bidder,
+        uint256 pricePerToken,
+        uint64 deadline,
+        uint256 deposit
+    );
+    event TokenRedeemed(
+        uint256 indexed buyoutId,
+        uint256 indexed tokenId,
+        address indexed holder,
+        uint256 amount
+    );
+    event TokenAcquired(
+        uint256 indexed buyoutId,
+        uint256 indexed tokenId,
+        address indexed holder,
+        uint256 amount
+    );
+    event BuyoutCompleted(
+        uint256 indexed buyoutId,
+        uint256 indexed landId,
+        uint256 refund
+    );
+    event BuyoutClosed(
+        uint256 indexed buyoutId,
+        uint256 indexed landId,
+        uint256 refund
+    );
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
+
+    error InvalidLandToken();
+    error NotLandToken();
+    error BuyoutNotEnabled();
+    error LandNotTokenized();
+    error BuyoutInProgress(uint256 landId);
+    error ProceedsInEscrow(uint256 landId);
+    error InvalidPrice();
+    error InvalidDeadline();
+    error InvalidDeposit(uint256 expected);
+    error BuyoutNotActive(uint256 landId);
+    error BuyoutNotAcquirable(uint256 landId);
+    error NotBidder();
+    error NotTokenHolder();
+    error TokensOutstanding(uint256 landId);
+    error NothingToWithdraw();
+    error TransferFailed();
+
+    constructor(address _landTokenAddress) {
+        if (_landTokenAddress == address(0)) revert InvalidLandToken();
+        landToken = LandToken(_landTokenAddress);
+    }
+
+    /**
+     * @dev Ouvre une offre de rachat sur un terrain tokenisé. Le dépôt envoyé doit
+     * couvrir le prix de chaque token que l'appelant ne détient pas directement.
+     * @param _landId ID du terrain.
+     * @param _pricePerToken Prix offert par token, en ETH.
+     * @param _deadline Fin de la période de cession.
+     * @return buyoutId L'ID de l'offre.
+     */
+    function openBuyout(
+        uint256 _landId,
+        uint256 _pricePerToken,
+        uint64 _deadline
+    ) external payable returns (uint256 buyoutId) {
+        // Sans notification des transferts, les tokens pourraient changer pendant l'offre
+        if (landToken.buyout() != address(this)) revert BuyoutNotEnabled();
+        if (
+            landToken.landRegistry().landTokenizers(_landId) !=
+            address(landToken)
+        ) revert LandNotTokenized();
+        if (_isOpen(landBuyouts[_landId])) revert BuyoutInProgress(_landId);
+        // Les tokens d'une levée de fonds inachevée peuvent encore être remboursés
+        if (landToken.escrowedProceeds(_landId) != 0)
+            revert ProceedsInEscrow(_landId);
+        if (_pricePerToken == 0) revert InvalidPrice();
+        if (_deadline <= block.timestamp) revert InvalidDeadline();
+
+        uint256[] memory tokenIds = landToken.getTokensByLand(_landId);
+        uint256 outstanding;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (landToken.ownerOf(tokenIds[i]) != msg.sender) outstanding++;
+        }
+        if (msg.value != outstanding * _pricePerToken)
+            revert InvalidDeposit(outstanding * _pricePerToken);
+
+        buyoutId = ++buyoutCount;
+        buyouts[buyoutId] = Buyout({
+            landId: _landId,
+            bidder: msg.sender,
+            pricePerToken: _pricePerToken,
+            deadline: _deadline,
+            deposit: msg.value,
+            closed: false,
+            completed: false
+        });
+        landBuyouts[_landId] = buyoutId;
+
+        emit BuyoutOpened(
+            buyoutId,
+            _landId,
+            msg.sender,
+            _pricePerToken,
+            _deadline,
+            msg.value
+        );
+    }
+
+    /**
+     * @dev État de la dernière offre d'un terrain. Acquirable : la période de cession
+     * est terminée et l'acquéreur détient la part requise pour racheter de force les
+     * tokens restants ; Expired : elle est terminée sans l'atteindre.
+     */
+    function buyoutStatus(
+        uint256 _landId
+    ) public view returns (BuyoutStatus) {
+        uint256 buyoutId = landBuyouts[_landId];
+        if (buyoutId == 0) return BuyoutStatus.None;
+
+        Buyout storage buyout = buyouts[buyoutId];
+        if (buyout.completed) return BuyoutStatus.Completed;
+        if (buyout.closed) return BuyoutStatus.Closed;
+        if (block.timestamp < buyout.deadline) return BuyoutStatus.Active;
+        return
+            _thresholdReached(buyout)
+                ? BuyoutStatus.Acquirable
+                : BuyoutStatus.Expired;
+    }
+
+    /**
+     * @dev Cède des tokens de l'appelant à l'acquéreur du terrain contre le prix
+     * offert, pendant la période de cession ou lorsque le rachat forcé est ouvert.
+     * Un token en vente doit d'abord être retiré du marketplace.
+     * @param _tokenIds IDs des tokens.
+     * @return amount Le montant total crédité, à retirer via withdrawPayments.
+     */
+    function redeem(
+        uint256[] calldata _tokenIds
+    ) external returns (uint256 amount) {
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            (uint256 landId, , , ) = landToken.tokenData(_tokenIds[i]);
+            BuyoutStatus status = buyoutStatus(landId);
+            if (
+                status != BuyoutStatus.Active &&
+                status != BuyoutStatus.Acquirable
+            ) revert BuyoutNotActive(landId);
+
+            uint256 buyoutId = landBuyouts[landId];
+            if (
+                landToken.ownerOf(_tokenIds[i]) != msg.sender ||
+                msg.sender == buyouts[buyoutId].bidder
+            ) revert NotTokenHolder();
+
+            amount += _take(buyoutId, _tokenIds[i], msg.sender);
+            emit TokenRedeemed(
+                buyoutId,
+                _tokenIds[i],
+                msg.sender,
+                buyouts[buyoutId].pricePerToken
+            );
+        }
+    }
+
+    /**
+     * @dev Rachète de force des tokens au prix offert, une fois la période de cession
+     * terminée et le seuil de rachat atteint. Réservé à l'acquéreur ; le prix est
+     * crédité à chaque détenteur. Un token en vente est d'abord retiré du marketplace
+     * et rendu à son vendeur.
+     * @param _tokenIds IDs des tokens.
+     */
+    function acquireTokens(uint256[] calldata _tokenIds) external {
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            (uint256 landId, , , ) = landToken.tokenData(_tokenIds[i]);
+            if (buyoutStatus(landId) != BuyoutStatus.Acquirable)
+                revert BuyoutNotAcquirable(landId);
+
+            uint256 buyoutId = landBuyouts[landId];
+            Buyout storage buyout = buyouts[buyoutId];
+            if (msg.sender != buyout.bidder) revert NotBidder();
+
+            address holder = landToken.ownerOf(_tokenIds[i]);
+            if (holder == landToken.marketplace()) {
+                ILandEscrow(holder).releaseToken(_tokenIds[i]);
+                holder = landToken.ownerOf(_tokenIds[i]);
+                // Token mis en vente par l'acquéreur avant son offre
+                if (holder == buyout.bidder) continue;
+            }
+            if (holder == buyout.bidder) revert NotTokenHolder();
+
+            _take(buyoutId, _tokenIds[i], holder);
+            emit TokenAcquired(
+                buyoutId,
+                _tokenIds[i],
+                holder,
+                buyout.pricePerToken
+            );
+        }
+    }
+
+    /**
+     * @dev Termine le rachat lorsque l'acquéreur détient tous les tokens du terrain :
+     * ils sont brûlés, au plus _count par appel, après avoir été retirés du
+     * marketplace s'il les y a mis en vente. Une fois le dernier brûlé, le terrain
+     * est retiré du registre et le reste du dépôt crédité à l'acquéreur ; tant que des
+     * tokens restent à brûler, l'offre ne peut plus être close.
+     * @param _landId ID du terrain.
+     * @param _count Nombre maximal de tokens à brûler dans cet appel.
+     * @return remaining Le nombre de tokens restant à brûler.
+     */
+    function completeBuyout(
+        uint256 _landId,
+        uint256 _count
+    ) external returns (uint256 remaining) {
+        uint256 buyoutId = landBuyouts[_landId];
+        if (!_isOpen(buyoutId)) revert BuyoutNotActive(_landId);
+
+        Buyout storage buyout = buyouts[buyoutId];
+        (, uint256 held) = landToken.getTokensOfOwnerForLand(
+            buyout.bidder,
+            _landId,
+            0,
+            0
+        );
+        uint256[] memory tokenIds = landToken.getTokensByLand(_landId);
+        if (held != tokenIds.length) revert TokensOutstanding(_landId);
+
+        // Les tokens sont brûlés depuis la fin de la liste du terrain
+        address marketplace = landToken.marketplace();
+        for (uint256 i = 0; i < _count && i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[tokenIds.length - 1 - i];
+            if (landToken.ownerOf(tokenId) == marketplace)
+                ILandEscrow(marketplace).releaseToken(tokenId);
+        }
+
+        completing[buyoutId] = true;
+        remaining = landToken.detokenizeLand(_landId, _count);
+        if (remaining > 0) return remaining;
+
+        uint256 refund = buyout.deposit;
+        buyout.deposit = 0;
+        buyout.closed = true;
+        buyout.completed = true;
+        payments[buyout.bidder] += refund;
+
+        emit BuyoutCompleted(buyoutId, _landId, refund);
+    }
+
+    /**
+     * @dev Clôt une offre après sa date limite sans retirer le terrain de la
+     * tokenisation ; l'acquéreur garde les tokens cédés et le reste de son dépôt lui
+     * est crédité. Tant que le rachat forcé est ouvert, seul l'acquéreur peut la clore.
+     * @param _landId ID du terrain.
+     */
+    function closeBuyout(uint256 _landId) external {
+        BuyoutStatus status = buyoutStatus(_landId);
+        uint256 buyoutId = landBuyouts[_landId];
+        Buyout storage buyout = buyouts[buyoutId];
+        if (status == BuyoutStatus.Acquirable) {
+            if (msg.sender != buyout.bidder) revert NotBidder();
+        } else if (status != BuyoutStatus.Expired) {
+            revert BuyoutNotActive(_landId);
+        }
+        if (completing[buyoutId]) revert BuyoutInProgress(_landId);
+
+        uint256 refund = buyout.deposit;
+        buyout.deposit = 0;
+        buyout.closed = true;
+        payments[buyout.bidder] += refund;
+
+        emit BuyoutClosed(buyoutId, _landId, refund);
+    }
+
+    /**
+     * @dev Retire les montants crédités à l'appelant (tokens cédés, reste d'un dépôt).
+     */
+    function withdrawPayments() external nonReentrant {
+        uint256 amount = payments[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+
+        payments[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        emit PaymentWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Appelée par LandToken avant chaque mint, transfert ou burn. Pendant une
+     * offre, bloque les mints du terrain, ses mises en vente sur le marketplace et la
+     * sortie des tokens de l'acquéreur, dont dépend le montant du dépôt.
+     * @param _from Détenteur sortant (zéro pour un mint).
+     * @param _to Nouveau détenteur (zéro pour un burn).
+     * @param _tokenId ID du token.
+     */
+    function onTokenTransfer(
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) external {
+        if (msg.sender != address(landToken)) revert NotLandToken();
+
+        (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+        uint256 buyoutId = landBuyouts[landId];
+        if (!_isOpen(buyoutId)) return;
+
+        if (
+            _from == address(0) ||
+            _to == landToken.marketplace() ||
+            (_from == buyouts[buyoutId].bidder && _to != address(0))
+        ) revert BuyoutInProgress(landId);
+        // Les tokens brûlés à la fin du rachat sont ceux de l'acquéreur, hors séquestre
+        if (
+            _to == address(0) &&
+            completing[buyoutId] &&
+            _from != buyouts[buyoutId].bidder
+        ) revert TokensOutstanding(landId);
+    }
+
+    function _isOpen(uint256 _buyoutId) private view returns (bool) {
+        return _buyoutId != 0 && !buyouts[_buyoutId].closed;
+    }
+
+    /**
+     * @dev Indique si l'acquéreur détient la part des tokens du terrain fixée par la
+     * gouvernance (tokens en vente sur le marketplace compris).
+     */
+    function _thresholdReached(
+        Buyout storage _buyout
+    ) private view returns (bool) {
+        address governance = landToken.governance();
+        if (governance == address(0)) return false;
+
+        uint256 threshold = LandGovernance(governance).buyoutThresholds(
+            _buyout.landId
+        );
+        if (threshold == 0) return false;
+
+        uint256 supply = landToken.getTokensByLand(_buyout.landId).length;
+        (, uint256 held) = landToken.getTokensOfOwnerForLand(
+            _buyout.bidder,
+            _buyout.landId,
+            0,
+            0
+        );
+        return held * PERCENTAGE_BASE >= supply * threshold;
+    }
+
+    /**
+     * @dev Transfère un token à l'acquéreur et crédite son prix au détenteur.
+     */
+    function _take(
+        uint256 _buyoutId,
+        uint256 _tokenId,
+        address _holder
+    ) private returns (uint256 price) {
+        Buyout storage buyout = buyouts[_buyoutId];
+        price = buyout.pricePerToken;
+        buyout.deposit -= price;
+        payments[_holder] += price;
+
+        landToken.forceTransfer(buyout.bidder, _tokenId);
+    }
+}
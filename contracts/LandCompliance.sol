@@ -0,0 +1,224 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./LandToken.sol";
+import "./AccessRoles.sol";
+
+/**
+ * @title LandCompliance
+ * @dev Règles de conformité consultées par LandToken avant chaque mint et transfert :
+ * le destinataire doit disposer d'une identité vérifiée (KYC) non expirée, relever
+ * d'une juridiction autorisée pour le terrain, et ne pas faire dépasser le nombre
+ * maximal de détenteurs du terrain. Un token en séquestre sur le marketplace reste
+ * compté pour son vendeur.
+ *
+ * Les détenteurs sont comptés à partir des transferts notifiés : le module doit être
+ * branché sur LandToken avant le premier mint des terrains plafonnés.
+ */
+contract LandCompliance is AccessRoles {
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+
+    LandToken public immutable landToken;
+    // Marketplace dont le séquestre est attribué au vendeur
+    address public immutable marketplace;
+
+    /**
+     * @dev Identité vérifiée d'un compte. jurisdiction : code de la juridiction
+     * (bit correspondant dans landJurisdictions).
+     */
+    struct Identity {
+        uint64 expiresAt;
+        uint8 jurisdiction;
+    }
+
+    mapping(address => Identity) public identities;
+    // Juridictions autorisées par terrain (bit n : juridiction n), zéro : toutes
+    mapping(uint256 => uint256) public landJurisdictions;
+    // Nombre maximal de détenteurs par terrain, zéro : illimité
+    mapping(uint256 => uint256) public maxHolders;
+    mapping(uint256 => uint256) public holderCount;
+    // Tokens détenus par compte et par terrain (séquestre compris)
+    mapping(uint256 => mapping(address => uint256)) public holderBalances;
+    // Vendeur d'un token placé en séquestre sur le marketplace
+    mapping(uint256 => address) private escrowSellers;
+
+    event IdentityUpdated(
+        address indexed account,
+        uint8 jurisdiction,
+        uint64 expiresAt
+    );
+    event IdentityRevoked(address indexed account);
+    event LandRulesUpdated(
+        uint256 indexed landId,
+        uint256 maxHolders,
+        uint256 jurisdictions
+    );
+    event ForcedTransfer(
+        uint256 indexed tokenId,
+        address indexed from,
+        address indexed to,
+        string reason
+    );
+
+    error InvalidLandToken();
+    error InvalidMarketplace();
+    error NotLandToken();
+    error InvalidIdentity();
+    error IdentityNotVerified(address account);
+    error IdentityExpired(address account, uint256 expiresAt);
+    error JurisdictionNotAllowed(
+        uint256 landId,
+        address account,
+        uint8 jurisdiction
+    );
+    error MaxHoldersReached(uint256 landId, uint256 maxHolders);
+
+    constructor(address _landTokenAddress, address _marketplaceAddress) {
+        if (_landTokenAddress == address(0)) revert InvalidLandToken();
+        if (_marketplaceAddress == address(0)) revert InvalidMarketplace();
+        landToken = LandToken(_landTokenAddress);
+        marketplace = _marketplaceAddress;
+    }
+
+    /**
+     * @dev Enregistre ou renouvelle l'identité vérifiée d'un compte.
+     * @param _account Compte vérifié.
+     * @param _jurisdiction Code de sa juridiction (0 à 255).
+     * @param _expiresAt Fin de validité de la vérification.
+     */
+    function setIdentity(
+        address _account,
+        uint8 _jurisdiction,
+        uint64 _expiresAt
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        if (_account == address(0) || _expiresAt <= block.timestamp)
+            revert InvalidIdentity();
+        identities[_account] = Identity(_expiresAt, _jurisdiction);
+        emit IdentityUpdated(_account, _jurisdiction, _expiresAt);
+    }
+
+    /**
+     * @dev Retire l'identité d'un compte, qui ne peut plus recevoir de tokens.
+     */
+    function revokeIdentity(
+        address _account
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        delete identities[_account];
+        emit IdentityRevoked(_account);
+    }
+
+    /**
+     * @dev Fixe les règles d'un terrain.
+     * @param _landId ID du terrain.
+     * @param _maxHolders Nombre maximal de détenteurs (zéro : illimité). Un plafond
+     * inférieur au nombre actuel de détenteurs bloque seulement les nouveaux entrants.
+     * @param _jurisdictions Juridictions autorisées (bit n : juridiction n, zéro : toutes).
+     */
+    function setLandRules(
+        uint256 _landId,
+        uint256 _maxHolders,
+        uint256 _jurisdictions
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        maxHolders[_landId] = _maxHolders;
+        landJurisdictions[_landId] = _jurisdictions;
+        emit LandRulesUpdated(_landId, _maxHolders, _jurisdictions);
+    }
+
+    /**
+     * @dev Transfère un token sans l'accord de son détenteur, sur décision de justice.
+     * Le destinataire reste soumis aux règles ; un token en vente est d'abord retiré
+     * du marketplace et rendu à son vendeur.
+     * @param _tokenId ID du token.
+     * @param _to Destinataire.
+     * @param _reason Référence de la décision.
+     */
+    function forceTransfer(
+        uint256 _tokenId,
+        address _to,
+        string calldata _reason
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        address from = landToken.ownerOf(_tokenId);
+        if (from == marketplace) {
+            ILandEscrow(marketplace).releaseToken(_tokenId);
+            from = landToken.ownerOf(_tokenId);
+        }
+
+        landToken.forceTransfer(_to, _tokenId);
+        emit ForcedTransfer(_tokenId, from, _to, _reason);
+    }
+
+    /**
+     * @dev Vérifie qu'un compte peut recevoir un token d'un terrain ; revert avec
+     * l'erreur décrivant le blocage sinon.
+     */
+    function checkReceiver(address _account, uint256 _landId) external view {
+        _checkReceiver(_account, _landId, false);
+    }
+
+    /**
+     * @dev Appelé par LandToken avant chaque mint, transfert ou burn : bloque les
+     * transferts non conformes et tient le compte des détenteurs.
+     */
+    function onTokenTransfer(
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) external {
+        if (msg.sender != address(landToken)) revert NotLandToken();
+
+        // Le token mis en vente reste compté pour son vendeur
+        if (_to == marketplace) {
+            escrowSellers[_tokenId] = _from;
+            return;
+        }
+        if (_from == marketplace) {
+            _from = escrowSellers[_tokenId];
+            delete escrowSellers[_tokenId];
+            // Un token rendu à son vendeur n'est pas contrôlé
+            if (_from == _to) return;
+        }
+
+        (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+        mapping(address => uint256) storage balances = holderBalances[landId];
+
+        if (_to != address(0)) {
+            // Le vendeur de son dernier token libère sa place
+            bool senderLeaves = _from != address(0) &&
+                _from != _to &&
+                balances[_from] == 1;
+            _checkReceiver(_to, landId, senderLeaves);
+            if (balances[_to]++ == 0) holderCount[landId]++;
+        }
+        // Tokens reçus avant le branchement du module : pas de solde à décompter
+        if (_from != address(0) && balances[_from] > 0) {
+            if (--balances[_from] == 0) holderCount[landId]--;
+        }
+    }
+
+    function _checkReceiver(
+        address _account,
+        uint256 _landId,
+        bool _senderLeaves
+    ) private view {
+        Identity memory identity = identities[_account];
+        if (identity.expiresAt == 0) revert IdentityNotVerified(_account);
+        if (identity.expiresAt <= block.timestamp)
+            revert IdentityExpired(_account, identity.expiresAt);
+
+        uint256 allowed = landJurisdictions[_landId];
+        if (allowed != 0 && (allowed >> identity.jurisdiction) & 1 == 0)
+            revert JurisdictionNotAllowed(
+                _landId,
+                _account,
+                identity.jurisdiction
+            );
+
+        uint256 max = maxHolders[_landId];
+        if (
+            max != 0 &&
+            !_senderLeaves &&
+            holderBalances[_landId][_account] == 0 &&
+            holderCount[_landId] >= max
+        ) revert MaxHoldersReached(_landId, max);
+    }
+}
@@ -0,0 +1,237 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./LandToken.sol";
+
+/**
+ * @title LandCrowdfunding
+ * @dev Levée de fonds sur la vente primaire d'un terrain. Son propriétaire ouvre une
+ * campagne avant le premier mint : montant minimal à lever, date limite et nombre
+ * maximal de tokens par acheteur. LandToken séquestre le produit des ventes jusqu'à
+ * ce que le montant minimal soit atteint, puis le verse au propriétaire. Si la date
+ * limite passe avant, les ventes s'arrêtent et chaque détenteur peut brûler ses
+ * tokens contre le remboursement intégral de leur prix d'achat ; le propriétaire
+ * peut aussi rembourser les tokens vendus pour ouvrir une nouvelle campagne.
+ *
+ * Le module doit être branché sur LandToken (setCrowdfunding) : il est notifié de
+ * chaque mint et indique à LandToken les terrains dont les ventes sont séquestrées.
+ */
+contract LandCrowdfunding {
+    LandToken public immutable landToken;
+
+    enum CampaignStatus {
+        None,
+        Active,
+        Succeeded,
+        Failed
+    }
+
+    /**
+     * @dev Campagne d'un terrain. maxPerBuyer : tokens mintés par acheteur jusqu'à la
+     * date limite (zéro : illimité).
+     */
+    struct Campaign {
+        uint256 landId;
+        uint256 softCap;
+        uint64 deadline;
+        uint32 maxPerBuyer;
+        bool succeeded;
+    }
+
+    uint256 public campaignCount;
+    mapping(uint256 => Campaign) public campaigns;
+    // Dernière campagne de chaque terrain
+    mapping(uint256 => uint256) public landCampaigns;
+    // Tokens mintés par chaque acheteur, par campagne
+    mapping(uint256 => mapping(address => uint256)) public purchases;
+
+    event CampaignOpened(
+        uint256 indexed campaignId,
+        uint256 indexed landId,
+        uint256 softCap,
+        uint64 deadline,
+        uint32 maxPerBuyer
+    );
+    event CampaignSucceeded(
+        uint256 indexed campaignId,
+        uint256 indexed landId,
+        uint256 raised
+    );
+
+    error InvalidLandToken();
+    error NotLandToken();
+    error CrowdfundingNotEnabled();
+    error NotLandOwner();
+    error LandNotTokenized();
+    error TokensAlreadyMinted();
+    error CampaignInProgress(uint256 landId);
+    error InvalidSoftCap();
+    error InvalidDeadline();
+    error CampaignEnded(uint256 landId);
+    error MaxPerBuyerExceeded(uint256 landId, uint256 maxPerBuyer);
+    error CampaignNotFailed(uint256 landId);
+    error NotTokenHolder();
+
+    constructor(address _landTokenAddress) {
+        if (_landTokenAddress == address(0)) revert InvalidLandToken();
+        landToken = LandToken(_landTokenAddress);
+    }
+
+    /**
+     * @dev Ouvre la campagne d'un terrain tokenisé dont aucun token n'a été vendu (la
+     * réserve mintée au propriétaire à la tokenisation n'est pas une vente). Après
+     * l'échec d'une campagne, une nouvelle peut être ouverte une fois tous les tokens
+     * remboursés.
+     * @param _landId ID du terrain.
+     * @param _softCap Montant minimal à lever, dans la devise du terrain.
+     * @param _deadline Date limite de la campagne.
+     * @param _maxPerBuyer Tokens mintés au plus par acheteur (zéro : illimité).
+     * @return campaignId L'ID de la campagne.
+     */
+    function openCampaign(
+        uint256 _landId,
+        uint256 _softCap,
+        uint64 _deadline,
+        uint32 _maxPerBuyer
+    ) external returns (uint256 campaignId) {
+        // Sans notification des mints ni séquestre, la campagne serait sans effet
+        if (landToken.crowdfunding() != address(this))
+            revert CrowdfundingNotEnabled();
+
+        LandRegistry registry = landToken.landRegistry();
+        if (registry.getLandOwner(_landId) != msg.sender) revert NotLandOwner();
+        if (registry.landTokenizers(_landId) != address(landToken))
+            revert LandNotTokenized();
+        if (
+            landToken.getTokensByLand(_landId).length >
+            landToken.ownerReserves(_landId)
+        ) revert TokensAlreadyMinted();
+
+        CampaignStatus status = campaignStatus(_landId);
+        if (status == CampaignStatus.Active || status == CampaignStatus.Succeeded)
+            revert CampaignInProgress(_landId);
+
+        (, , uint256 availableTokens, uint256 pricePerToken, ) = registry
+            .getLandDetails(_landId);
+        if (_softCap == 0 || _softCap > availableTokens * pricePerToken)
+            revert InvalidSoftCap();
+        if (_deadline <= block.timestamp) revert InvalidDeadline();
+
+        campaignId = ++campaignCount;
+        campaigns[campaignId] = Campaign({
+            landId: _landId,
+            softCap: _softCap,
+            deadline: _deadline,
+            maxPerBuyer: _maxPerBuyer,
+            succeeded: false
+        });
+        landCampaigns[_landId] = campaignId;
+
+        emit CampaignOpened(
+            campaignId,
+            _landId,
+            _softCap,
+            _deadline,
+            _maxPerBuyer
+        );
+    }
+
+    /**
+     * @dev État de la dernière campagne d'un terrain.
+     */
+    function campaignStatus(
+        uint256 _landId
+    ) public view returns (CampaignStatus) {
+        uint256 campaignId = landCampaigns[_landId];
+        if (campaignId == 0) return CampaignStatus.None;
+
+        Campaign storage campaign = campaigns[campaignId];
+        if (campaign.succeeded) return CampaignStatus.Succeeded;
+        if (block.timestamp >= campaign.deadline) return CampaignStatus.Failed;
+        return CampaignStatus.Active;
+    }
+
+    /**
+     * @dev Indique si le produit des ventes d'un terrain reste en séquestre : sa
+     * campagne n'a pas encore atteint son montant minimal.
+     */
+    function isEscrowed(uint256 _landId) external view returns (bool) {
+        uint256 campaignId = landCampaigns[_landId];
+        return campaignId != 0 && !campaigns[campaignId].succeeded;
+    }
+
+    /**
+     * @dev Brûle des tokens dont la campagne a échoué ; leur prix d'achat est crédité
+     * à leur détenteur sur LandToken (withdrawPayments ou withdrawCurrencyPayments
+     * selon la devise du terrain). Appelable par le détenteur, ou par le propriétaire
+     * du terrain pour les tokens vendus, afin de rouvrir une campagne sans attendre
+     * les détenteurs inactifs. Un token en vente est d'abord retiré du marketplace.
+     * @param _tokenIds IDs des tokens.
+     * @return amount Le montant total remboursé.
+     */
+    function refund(
+        uint256[] calldata _tokenIds
+    ) external returns (uint256 amount) {
+        address marketplace = landToken.marketplace();
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            uint256 tokenId = _tokenIds[i];
+            (uint256 landId, , uint256 purchasePrice, ) = landToken.tokenData(
+                tokenId
+            );
+            if (campaignStatus(landId) != CampaignStatus.Failed)
+                revert CampaignNotFailed(landId);
+
+            // La réserve du propriétaire, mintée sans paiement, n'est rendue que par son détenteur
+            if (
+                landToken.holderOf(tokenId) != msg.sender &&
+                (purchasePrice == 0 ||
+                    landToken.landRegistry().getLandOwner(landId) != msg.sender)
+            ) revert NotTokenHolder();
+
+            if (landToken.ownerOf(tokenId) == marketplace) {
+                ILandEscrow(marketplace).releaseToken(tokenId);
+            }
+            amount += landToken.refundToken(tokenId);
+        }
+    }
+
+    /**
+     * @dev Appelée par LandToken avant chaque mint, transfert ou burn. Jusqu'à la
+     * date limite, un mint est compté pour son acheteur ; le premier mint qui porte
+     * le séquestre au montant minimal libère les fonds. Les mints sont refusés après
+     * une date limite manquée.
+     * @param _from Détenteur sortant (zéro pour un mint).
+     * @param _to Nouveau détenteur (zéro pour un burn).
+     * @param _tokenId ID du token.
+     */
+    function onTokenTransfer(
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) external {
+        if (msg.sender != address(landToken)) revert NotLandToken();
+        if (_from != address(0)) return;
+
+        (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+        uint256 campaignId = landCampaigns[landId];
+        if (campaignId == 0) return;
+
+        Campaign storage campaign = campaigns[campaignId];
+        if (block.timestamp >= campaign.deadline) {
+            if (!campaign.succeeded) revert CampaignEnded(landId);
+            return;
+        }
+
+        uint256 bought = ++purchases[campaignId][_to];
+        if (campaign.maxPerBuyer != 0 && bought > campaign.maxPerBuyer)
+            revert MaxPerBuyerExceeded(landId, campaign.maxPerBuyer);
+
+        // Le prix des tokens mintés est déjà séquestré
+        uint256 raised = landToken.escrowedProceeds(landId);
+        if (!campaign.succeeded && raised >= campaign.softCap) {
+            campaign.succeeded = true;
+            emit CampaignSucceeded(campaignId, landId, raised);
+            landToken.releaseEscrow(landId);
+        }
+    }
+}
@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./LandToken.sol";
+
+/**
+ * @title LandDividends
+ * @dev Distribution des revenus d'un terrain (loyers, dividendes) aux détenteurs
+ * de ses tokens. Chaque dépôt est réparti à parts égales entre les tokens déjà
+ * mintés du terrain. LandToken notifie ce contrat avant chaque transfert : les
+ * dividendes accumulés par un token sont alors crédités à son détenteur sortant.
+ * Un token en séquestre sur le marketplace continue d'accumuler pour son vendeur.
+ */
+contract LandDividends is ReentrancyGuard {
+    // Précision du dividende cumulé par token
+    uint256 private constant MAGNITUDE = 1e18;
+
+    LandToken public immutable landToken;
+    // Marketplace dont le séquestre est attribué au vendeur
+    address public immutable marketplace;
+
+    // Dividende cumulé par token de chaque terrain, multiplié par MAGNITUDE
+    mapping(uint256 => uint256) public dividendPerToken;
+    // Valeur de dividendPerToken lors du dernier règlement de chaque token
+    mapping(uint256 => uint256) private tokenCheckpoints;
+    // Vendeur d'un token placé en séquestre sur le marketplace
+    mapping(uint256 => address) private escrowSellers;
+
+    // Dividendes réglés et non encore réclamés de chaque compte
+    mapping(address => uint256) public credits;
+    uint256 public totalCredits;
+
+    event DividendsDeposited(
+        uint256 indexed landId,
+        address indexed depositor,
+        uint256 amount,
+        uint256 tokenCount
+    );
+    event DividendsCredited(
+        uint256 indexed tokenId,
+        address indexed account,
+        uint256 amount
+    );
+    event DividendsClaimed(address indexed account, uint256 amount);
+
+    error InvalidLandToken();
+    error InvalidMarketplace();
+    error NotLandToken();
+    error DistributorNotEnabled();
+    error NoTokensMinted();
+    error NothingToDeposit();
+    error NoDividendsToClaim();
+    error NotTokenHolder();
+    error TransferFailed();
+
+    constructor(address _landTokenAddress, address _marketplaceAddress) {
+        if (_landTokenAddress == address(0)) revert InvalidLandToken();
+        if (_marketplaceAddress == address(0)) revert InvalidMarketplace();
+        landToken = LandToken(_landTokenAddress);
+        marketplace = _marketplaceAddress;
+    }
+
+    /**
+     * @dev Dépose des revenus pour un terrain, répartis entre ses tokens déjà mintés.
+     * Les tokens mintés ensuite ne participent pas à ce dépôt.
+     * @param _landId ID du terrain.
+     */
+    function deposit(uint256 _landId) external payable {
+        if (msg.value == 0) revert NothingToDeposit();
+        // Sans notification des transferts, la répartition serait faussée
+        if (landToken.dividendDistributor() != address(this))
+            revert DistributorNotEnabled();
+
+        uint256 tokenCount = landToken.getTokensByLand(_landId).length;
+        if (tokenCount == 0) revert NoTokensMinted();
+
+        dividendPerToken[_landId] += (msg.value * MAGNITUDE) / tokenCount;
+
+        emit DividendsDeposited(_landId, msg.sender, msg.value, tokenCount);
+    }
+
+    /**
+     * @dev Réclame les dividendes d'un token détenu par l'appelant.
+     * @param _tokenId ID du token.
+     */
+    function claim(uint256 _tokenId) external nonReentrant {
+        _settleFor(_tokenId);
+        _payCredits();
+    }
+
+    /**
+     * @dev Réclame en une transaction les dividendes de plusieurs tokens détenus par
+     * l'appelant. Les montants crédités lors de transferts précédents sont inclus ;
+     * une liste vide ne verse que ces derniers.
+     * @param _tokenIds IDs des tokens.
+     */
+    function claimBatch(uint256[] calldata _tokenIds) external nonReentrant {
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            _settleFor(_tokenIds[i]);
+        }
+        _payCredits();
+    }
+
+    /**
+     * @dev Appelée par LandToken avant chaque mint, transfert ou burn d'un token.
+     * @param _from Détenteur sortant (zéro pour un mint).
+     * @param _to Nouveau détenteur (zéro pour un burn).
+     * @param _tokenId ID du token.
+     */
+    function onTokenTransfer(
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) external {
+        if (msg.sender != address(landToken)) revert NotLandToken();
+
+        if (_from == address(0)) {
+            // Un nouveau token ne participe qu'aux dépôts futurs
+            (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+            tokenCheckpoints[_tokenId] = dividendPerToken[landId];
+            return;
+        }
+
+        if (_from == marketplace) {
+            _settle(_tokenId, escrowSellers[_tokenId]);
+            delete escrowSellers[_tokenId];
+        } else {
+            _settle(_tokenId, _from);
+        }
+
+        if (_to == marketplace) {
+            escrowSellers[_tokenId] = _from;
+        }
+    }
+
+    /**
+     * @dev Dividendes accumulés par un token depuis son dernier règlement.
+     * @param _tokenId ID du token.
+     */
+    function pendingDividends(uint256 _tokenId) public view returns (uint256) {
+        (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+        return
+            (dividendPerToken[landId] - tokenCheckpoints[_tokenId]) / MAGNITUDE;
+    }
+
+    /**
+     * @dev Compte qui perçoit les dividendes d'un token : son détenteur, ou son
+     * vendeur lorsqu'il est en séquestre sur le marketplace.
+     * @param _tokenId ID du token.
+     */
+    function beneficiaryOf(uint256 _tokenId) public view returns (address) {
+        address holder = landToken.ownerOf(_tokenId);
+        if (holder == marketplace) return escrowSellers[_tokenId];
+        return holder;
+    }
+
+    /**
+     * @dev Règle les dividendes d'un token dont l'appelant est bénéficiaire.
+     */
+    function _settleFor(uint256 _tokenId) private {
+        if (beneficiaryOf(_tokenId) != msg.sender) revert NotTokenHolder();
+        _settle(_tokenId, msg.sender);
+    }
+
+    /**
+     * @dev Crédite à un compte les dividendes accumulés par un token.
+     */
+    function _settle(uint256 _tokenId, address _account) private {
+        (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+        uint256 amount = (dividendPerToken[landId] -
+            tokenCheckpoints[_tokenId]) / MAGNITUDE;
+        // Le reste inférieur à 1 wei reste acquis au token
+        tokenCheckpoints[_tokenId] += amount * MAGNITUDE;
+
+        if (amount > 0) {
+            credits[_account] += amount;
+            totalCredits += amount;
+            emit DividendsCredited(_tokenId, _account, amount);
+        }
+    }
+
+    /**
+     * @dev Verse à l'appelant l'ensemble de ses dividendes crédités.
+     */
+    function _payCredits() private {
+        uint256 amount = credits[msg.sender];
+        if (amount == 0) revert NoDividendsToClaim();
+
+        credits[msg.sender] = 0;
+        totalCredits -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        emit DividendsClaimed(msg.sender, amount);
+    }
+}
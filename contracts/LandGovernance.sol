@@ -0,0 +1,461 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "./LandToken.sol";
+import "./Ownable.sol";
+
+/**
+ * @title LandGovernance
+ * @dev Propositions votées par les détenteurs des tokens d'un terrain (un token = une voix).
+ * Les voix sont lues au bloc précédant la création de la proposition, grâce aux
+ * checkpoints tenus à chaque transfert notifié par LandToken. Un token en séquestre
+ * sur le marketplace reste compté pour son vendeur. Une proposition adoptée exécute
+ * un appel autorisé vers LandRegistry, LandToken ou ce contrat, dont le premier
+ * argument est l'ID du terrain. Les détenteurs fixent aussi par proposition le seuil
+ * de rachat d'un terrain, au-delà duquel LandBuyout permet l'acquisition forcée des
+ * tokens restants.
+ *
+ * Seuls les terrains dont le premier token est minté après le branchement du module
+ * sont suivis : un terrain dont des tokens existaient déjà ne peut être ni configuré
+ * ni soumis au vote.
+ */
+contract LandGovernance is ReentrancyGuard, Ownable {
+    using Checkpoints for Checkpoints.History;
+
+    uint256 public constant PERCENTAGE_BASE = 10000;
+    // Paramètres appliqués aux terrains sans configuration propre
+    uint256 public constant DEFAULT_QUORUM = 2000;
+    uint256 public constant DEFAULT_THRESHOLD = 5000;
+    uint256 public constant DEFAULT_VOTING_PERIOD = 7 days;
+
+    LandToken public immutable landToken;
+    LandRegistry public immutable landRegistry;
+    // Marketplace dont le séquestre est attribué au vendeur
+    address public immutable marketplace;
+
+    /**
+     * @dev Paramètres de vote d'un terrain. quorum : part des voix existantes devant
+     * s'exprimer ; threshold : part des suffrages exprimés à dépasser pour adopter.
+     */
+    struct VotingConfig {
+        uint256 quorum;
+        uint256 threshold;
+        uint256 votingPeriod;
+    }
+
+    enum ProposalState {
+        Active,
+        Defeated,
+        Succeeded,
+        Executed
+    }
+
+    struct Proposal {
+        uint256 landId;
+        address proposer;
+        address target;
+        bytes data;
+        uint256 snapshotBlock;
+        uint256 deadline;
+        uint256 quorumVotes; // Voix exprimées nécessaires, figées à la création
+        uint256 threshold;
+        uint256 forVotes;
+        uint256 againstVotes;
+        bool executed;
+    }
+
+    // Configuration propre à chaque terrain (votingPeriod nul : valeurs par défaut)
+    mapping(uint256 => VotingConfig) private landConfigs;
+    // Sélecteurs de fonctions exécutables par cible
+    mapping(address => mapping(bytes4 => bool)) public allowedActions;
+
+    // Propositions par ID (les IDs commencent à 1)
+    mapping(uint256 => Proposal) public proposals;
+    uint256 public proposalCount;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    // Voix de chaque compte et total des voix, par terrain
+    mapping(uint256 => mapping(address => Checkpoints.History)) private _votes;
+    mapping(uint256 => Checkpoints.History) private _totalVotes;
+    // Vendeur d'un token placé en séquestre sur le marketplace
+    mapping(uint256 => address) private escrowSellers;
+    // Terrains dont le module a reçu le premier mint, et donc compté tous les tokens
+    mapping(uint256 => bool) public trackedLands;
+    // Part des tokens d'un terrain que doit détenir un acquéreur pour racheter de force
+    // les tokens restants (zéro : rachat forcé impossible)
+    mapping(uint256 => uint256) public buyoutThresholds;
+
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        uint256 indexed landId,
+        address indexed proposer,
+        address target,
+        bytes data,
+        string description,
+        uint256 snapshotBlock,
+        uint256 deadline
+    );
+    event VoteCast(
+        uint256 indexed proposalId,
+        address indexed voter,
+        bool support,
+        uint256 weight
+    );
+    event ProposalExecuted(uint256 indexed proposalId);
+    event VotingConfigUpdated(
+        uint256 indexed landId,
+        uint256 quorum,
+        uint256 threshold,
+        uint256 votingPeriod
+    );
+    event ActionAllowed(
+        address indexed target,
+        bytes4 indexed selector,
+        bool allowed
+    );
+    event BuyoutThresholdUpdated(uint256 indexed landId, uint256 threshold);
+
+    error InvalidLandToken();
+    error InvalidMarketplace();
+    error NotLandToken();
+    error InvalidTarget();
+    error ActionNotAllowed();
+    error ActionLandMismatch();
+    error InvalidVotingConfig();
+    error UnauthorizedConfiguration();
+    error NoVotingPower();
+    error ProposalNotActive();
+    error AlreadyVoted();
+    error ProposalNotSucceeded();
+    error NotGovernance();
+    error InvalidBuyoutThreshold();
+    error TokensAlreadyMinted();
+
+    constructor(address _landTokenAddress, address _marketplaceAddress) {
+        if (_landTokenAddress == address(0)) revert InvalidLandToken();
+        if (_marketplaceAddress == address(0)) revert InvalidMarketplace();
+        landToken = LandToken(_landTokenAddress);
+        landRegistry = landToken.landRegistry();
+        marketplace = _marketplaceAddress;
+
+        _setActionAllowed(
+            address(landRegistry),
+            LandRegistry.updatePricePerToken.selector,
+            true
+        );
+        _setActionAllowed(
+            address(landRegistry),
+            LandRegistry.setPropertyManager.selector,
+            true
+        );
+        _setActionAllowed(
+            address(this),
+            LandGovernance.setVotingConfig.selector,
+            true
+        );
+        _setActionAllowed(
+            address(this),
+            LandGovernance.setBuyoutThreshold.selector,
+            true
+        );
+    }
+
+    /**
+     * @dev Crée une proposition pour un terrain. Le proposant doit détenir au moins
+     * un token du terrain au bloc de référence.
+     * @param _landId ID du terrain.
+     * @param _target Contrat appelé à l'exécution (LandRegistry, LandToken ou ce contrat).
+     * @param _data Appel encodé, dont le premier argument est _landId.
+     * @param _description Description de la proposition.
+     * @return proposalId L'ID de la proposition.
+     */
+    function propose(
+        uint256 _landId,
+        address _target,
+        bytes calldata _data,
+        string calldata _description
+    ) external returns (uint256 proposalId) {
+        if (_data.length < 36) revert ActionNotAllowed();
+        if (!allowedActions[_target][bytes4(_data[:4])])
+            revert ActionNotAllowed();
+        if (uint256(bytes32(_data[4:36])) != _landId)
+            revert ActionLandMismatch();
+        _requireTracked(_landId);
+
+        uint256 snapshotBlock = block.number - 1;
+        if (_votes[_landId][msg.sender].getAtBlock(snapshotBlock) == 0)
+            revert NoVotingPower();
+
+        VotingConfig memory config = getVotingConfig(_landId);
+        proposalId = ++proposalCount;
+
+        Proposal storage proposal = proposals[proposalId];
+        proposal.landId = _landId;
+        proposal.proposer = msg.sender;
+        proposal.target = _target;
+        proposal.data = _data;
+        proposal.snapshotBlock = snapshotBlock;
+        proposal.deadline = block.timestamp + config.votingPeriod;
+        proposal.quorumVotes =
+            (_totalVotes[_landId].getAtBlock(snapshotBlock) * config.quorum) /
+            PERCENTAGE_BASE;
+        proposal.threshold = config.threshold;
+
+        emit ProposalCreated(
+            proposalId,
+            _landId,
+            msg.sender,
+            _target,
+            _data,
+            _description,
+            snapshotBlock,
+            proposal.deadline
+        );
+    }
+
+    /**
+     * @dev Vote sur une proposition active avec les voix détenues au bloc de référence.
+     * @param _proposalId L'ID de la proposition.
+     * @param _support true pour, false contre.
+     */
+    function castVote(uint256 _proposalId, bool _support) external {
+        if (state(_proposalId) != ProposalState.Active)
+            revert ProposalNotActive();
+        if (hasVoted[_proposalId][msg.sender]) revert AlreadyVoted();
+
+        Proposal storage proposal = proposals[_proposalId];
+        uint256 weight = _votes[proposal.landId][msg.sender].getAtBlock(
+            proposal.snapshotBlock
+        );
+        if (weight == 0) revert NoVotingPower();
+
+        hasVoted[_proposalId][msg.sender] = true;
+        if (_support) {
+            proposal.forVotes += weight;
+        } else {
+            proposal.againstVotes += weight;
+        }
+
+        emit VoteCast(_proposalId, msg.sender, _support, weight);
+    }
+
+    /**
+     * @dev Exécute une proposition adoptée. Les revert de l'appel sont propagés.
+     * @param _proposalId L'ID de la proposition.
+     */
+    function execute(uint256 _proposalId) external nonReentrant {
+        if (state(_proposalId) != ProposalState.Succeeded)
+            revert ProposalNotSucceeded();
+
+        Proposal storage proposal = proposals[_proposalId];
+        proposal.executed = true;
+
+        emit ProposalExecuted(_proposalId);
+        Address.functionCall(proposal.target, proposal.data);
+    }
+
+    /**
+     * @dev État d'une proposition : active jusqu'à sa date limite, puis adoptée si le
+     * quorum est atteint et que les voix pour dépassent le seuil des suffrages exprimés.
+     * @param _proposalId L'ID de la proposition.
+     */
+    function state(uint256 _proposalId) public view returns (ProposalState) {
+        Proposal storage proposal = proposals[_proposalId];
+        if (proposal.proposer == address(0)) revert ProposalNotActive();
+        if (proposal.executed) return ProposalState.Executed;
+        if (block.timestamp <= proposal.deadline) return ProposalState.Active;
+
+        uint256 cast = proposal.forVotes + proposal.againstVotes;
+        if (
+            cast == 0 ||
+            cast < proposal.quorumVotes ||
+            proposal.forVotes * PERCENTAGE_BASE <= cast * proposal.threshold
+        ) {
+            return ProposalState.Defeated;
+        }
+        return ProposalState.Succeeded;
+    }
+
+    /**
+     * @dev Modifie les paramètres de vote d'un terrain. Appelable par le propriétaire
+     * ou par une proposition adoptée, avant le premier mint ou pour un terrain suivi.
+     * @param _landId ID du terrain.
+     * @param _quorum Part des voix devant s'exprimer (2000 = 20%).
+     * @param _threshold Part des suffrages à dépasser pour adopter (5000 = 50%).
+     * @param _votingPeriod Durée des votes en secondes.
+     */
+    function setVotingConfig(
+        uint256 _landId,
+        uint256 _quorum,
+        uint256 _threshold,
+        uint256 _votingPeriod
+    ) external {
+        if (msg.sender != owner() && msg.sender != address(this))
+            revert UnauthorizedConfiguration();
+        _requireTracked(_landId);
+        if (
+            _quorum > PERCENTAGE_BASE ||
+            _threshold >= PERCENTAGE_BASE ||
+            _votingPeriod == 0
+        ) revert InvalidVotingConfig();
+
+        landConfigs[_landId] = VotingConfig(_quorum, _threshold, _votingPeriod);
+        emit VotingConfigUpdated(_landId, _quorum, _threshold, _votingPeriod);
+    }
+
+    /**
+     * @dev Fixe le seuil de rachat forcé d'un terrain. Appelable seulement par une
+     * proposition adoptée.
+     * @param _landId ID du terrain.
+     * @param _threshold Part des tokens (en base 10000, 9000 = 90%) que doit détenir
+     * l'acquéreur à la fin de son offre ; zéro pour interdire le rachat forcé.
+     */
+    function setBuyoutThreshold(uint256 _landId, uint256 _threshold) external {
+        if (msg.sender != address(this)) revert NotGovernance();
+        if (_threshold > PERCENTAGE_BASE) revert InvalidBuyoutThreshold();
+
+        buyoutThresholds[_landId] = _threshold;
+        emit BuyoutThresholdUpdated(_landId, _threshold);
+    }
+
+    /**
+     * @dev Paramètres de vote d'un terrain, ou les valeurs par défaut.
+     * @param _landId ID du terrain.
+     */
+    function getVotingConfig(
+        uint256 _landId
+    ) public view returns (VotingConfig memory) {
+        VotingConfig memory config = landConfigs[_landId];
+        if (config.votingPeriod == 0) {
+            return
+                VotingConfig(
+                    DEFAULT_QUORUM,
+                    DEFAULT_THRESHOLD,
+                    DEFAULT_VOTING_PERIOD
+                );
+        }
+        return config;
+    }
+
+    /**
+     * @dev Autorise ou retire une fonction exécutable par les propositions.
+     * @param _target LandRegistry, LandToken ou ce contrat.
+     * @param _selector Sélecteur de la fonction, dont le premier argument doit être un landId.
+     * @param _allowed true pour autoriser.
+     */
+    function setActionAllowed(
+        address _target,
+        bytes4 _selector,
+        bool _allowed
+    ) external onlyOwner {
+        _setActionAllowed(_target, _selector, _allowed);
+    }
+
+    /**
+     * @dev Voix actuelles d'un compte pour un terrain.
+     */
+    function getVotes(
+        uint256 _landId,
+        address _account
+    ) external view returns (uint256) {
+        return _votes[_landId][_account].latest();
+    }
+
+    /**
+     * @dev Voix d'un compte pour un terrain à un bloc passé.
+     */
+    function getPastVotes(
+        uint256 _landId,
+        address _account,
+        uint256 _blockNumber
+    ) external view returns (uint256) {
+        return _votes[_landId][_account].getAtBlock(_blockNumber);
+    }
+
+    /**
+     * @dev Total des voix d'un terrain (tokens mintés) à un bloc passé.
+     */
+    function getPastTotalVotes(
+        uint256 _landId,
+        uint256 _blockNumber
+    ) external view returns (uint256) {
+        return _totalVotes[_landId].getAtBlock(_blockNumber);
+    }
+
+    /**
+     * @dev Appelée par LandToken avant chaque mint, transfert ou burn d'un token.
+     * @param _from Détenteur sortant (zéro pour un mint).
+     * @param _to Nouveau détenteur (zéro pour un burn).
+     * @param _tokenId ID du token.
+     */
+    function onTokenTransfer(
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) external {
+        if (msg.sender != address(landToken)) revert NotLandToken();
+
+        // La voix d'un token mis en vente reste à son vendeur
+        if (_to == marketplace) {
+            escrowSellers[_tokenId] = _from;
+            return;
+        }
+        if (_from == marketplace) {
+            _from = escrowSellers[_tokenId];
+            delete escrowSellers[_tokenId];
+        }
+        if (_from == _to) return;
+
+        (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+        // Les voix d'un terrain ne sont comptées qu'à partir de son premier token
+        if (!trackedLands[landId]) {
+            if (
+                _from != address(0) ||
+                landToken.getTokensByLand(landId).length != 1
+            ) return;
+            trackedLands[landId] = true;
+        }
+
+        if (_from == address(0)) {
+            _totalVotes[landId].push(_totalVotes[landId].latest() + 1);
+        } else {
+            Checkpoints.History storage fromVotes = _votes[landId][_from];
+            fromVotes.push(fromVotes.latest() - 1);
+        }
+        if (_to == address(0)) {
+            _totalVotes[landId].push(_totalVotes[landId].latest() - 1);
+        } else {
+            Checkpoints.History storage toVotes = _votes[landId][_to];
+            toVotes.push(toVotes.latest() + 1);
+        }
+    }
+
+    /**
+     * @dev Refuse un terrain dont des tokens ont été mintés avant le branchement du
+     * module : ses voix ne couvriraient qu'une partie des tokens.
+     */
+    function _requireTracked(uint256 _landId) private view {
+        if (
+            !trackedLands[_landId] &&
+            landToken.getTokensByLand(_landId).length > 0
+        ) revert TokensAlreadyMinted();
+    }
+
+    function _setActionAllowed(
+        address _target,
+        bytes4 _selector,
+        bool _allowed
+    ) private {
+        if (
+            _target != address(landRegistry) &&
+            _target != address(landToken) &&
+            _target != address(this)
+        ) revert InvalidTarget();
+
+        allowedActions[_target][_selector] = _allowed;
+        emit ActionAllowed(_target, _selector, _allowed);
+    }
+}
@@ -0,0 +1,225 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./LandRegistry.sol";
+
+/**
+ * @title LandHolders
+ * @dev Registre des détenteurs de chaque terrain : tokens de chaque détenteur par
+ * terrain et liste des détenteurs, lus en pages. La bibliothèque est déployée une
+ * fois et liée à LandToken, ce qui garde LandToken sous la limite de taille des contrats.
+ */
+library LandHolders {
+    /**
+     * @dev Registre tenu par LandToken à chaque mint, transfert ou burn.
+     */
+    struct Book {
+        // Tokens de chaque détenteur par terrain, et index d'un token dans cette liste
+        mapping(uint256 => mapping(address => uint256[])) tokens;
+        mapping(uint256 => uint256) tokenIndex;
+        // Détenteurs de chaque terrain, et index (à partir de 1) de chacun dans cette liste
+        mapping(uint256 => address[]) holders;
+        mapping(uint256 => mapping(address => uint256)) holderIndex;
+    }
+
+    uint256 private constant PERCENTAGE_BASE = 10000;
+
+    /**
+     * @dev Déplace un token entre deux détenteurs (zéro pour un mint ou un burn), dans
+     * la liste de tous leurs tokens tenue par LandToken et dans le registre du terrain.
+     * Un token en séquestre sur le marketplace reste attribué à son vendeur : seuls les
+     * mouvements entre détenteurs modifient leurs listes.
+     * @param _owned Tokens de chaque détenteur.
+     * @param _ownedIndex Index d'un token dans la liste de son détenteur.
+     * @param _escrowSellers Vendeur de chaque token en séquestre.
+     * @param _marketplace Marketplace (zéro si aucun n'est configuré).
+     */
+    function move(
+        Book storage self,
+        mapping(address => uint256[]) storage _owned,
+        mapping(address => mapping(uint256 => uint256)) storage _ownedIndex,
+        mapping(uint256 => address) storage _escrowSellers,
+        address _marketplace,
+        address _from,
+        address _to,
+        uint256 _landId,
+        uint256 _tokenId
+    ) external {
+        if (_marketplace != address(0)) {
+            if (_to == _marketplace) {
+                _escrowSellers[_tokenId] = _from;
+                return;
+            }
+            if (_from == _marketplace) {
+                _from = _escrowSellers[_tokenId];
+                delete _escrowSellers[_tokenId];
+                // Token rendu à son vendeur
+                if (_from == _to) return;
+            }
+        }
+
+        if (_from != address(0)) {
+            _removeToken(_owned[_from], _ownedIndex[_from], _tokenId);
+            _removeLandToken(self, _from, _landId, _tokenId);
+        }
+        if (_to != address(0)) {
+            _ownedIndex[_to][_tokenId] = _owned[_to].length;
+            _owned[_to].push(_tokenId);
+            _addLandToken(self, _to, _landId, _tokenId);
+        }
+    }
+
+    /**
+     * @dev Retire un token brûlé de la liste des tokens de son terrain en le remplaçant
+     * par le dernier. Un token sans position enregistrée se trouve à la position
+     * tokenNumber - 1.
+     * @param _landTokens Tokens du terrain.
+     * @param _movedIndex Position (à partir de 1) des tokens déplacés.
+     * @param _tokenNumber Numéro du token dans son terrain.
+     */
+    function removeLandToken(
+        uint256[] storage _landTokens,
+        mapping(uint256 => uint256) storage _movedIndex,
+        uint256 _tokenNumber,
+        uint256 _tokenId
+    ) external {
+        uint256 index = _movedIndex[_tokenId] != 0
+            ? _movedIndex[_tokenId] - 1
+            : _tokenNumber - 1;
+        uint256 lastTokenId = _landTokens[_landTokens.length - 1];
+        _landTokens[index] = lastTokenId;
+        _movedIndex[lastTokenId] = index + 1;
+        _landTokens.pop();
+        delete _movedIndex[_tokenId];
+    }
+
+    /**
+     * @dev Page d'une liste de tokens.
+     * @return items Les IDs des tokens de la page.
+     * @return total Le nombre total de tokens de la liste.
+     */
+    function page(
+        uint256[] storage _items,
+        uint256 _offset,
+        uint256 _limit
+    ) internal view returns (uint256[] memory items, uint256 total) {
+        total = _items.length;
+        items = new uint256[](_pageSize(total, _offset, _limit));
+        for (uint256 i = 0; i < items.length; i++) {
+            items[i] = _items[_offset + i];
+        }
+    }
+
+    /**
+     * @dev Page de la table de capitalisation d'un terrain, les parts étant calculées
+     * sur le nombre total de tokens lu dans le registre.
+     * @param _registry Registre des terrains.
+     * @return holders Les détenteurs de la page.
+     * @return balances Le nombre de tokens de chacun.
+     * @return shares La part de chacun dans le nombre total de tokens (en base 10000).
+     * @return totalHolders Le nombre total de détenteurs du terrain.
+     */
+    function capTable(
+        Book storage self,
+        uint256 _landId,
+        address _registry,
+        uint256 _offset,
+        uint256 _limit
+    )
+        external
+        view
+        returns (
+            address[] memory holders,
+            uint256[] memory balances,
+            uint256[] memory shares,
+            uint256 totalHolders
+        )
+    {
+        (, , , , , , uint256 totalTokens, , , , ) = LandRegistry(_registry)
+            .getAllLandDetails(_landId);
+        address[] storage allHolders = self.holders[_landId];
+        totalHolders = allHolders.length;
+        uint256 count = _pageSize(totalHolders, _offset, _limit);
+
+        holders = new address[](count);
+        balances = new uint256[](count);
+        shares = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            holders[i] = allHolders[_offset + i];
+            balances[i] = self.tokens[_landId][holders[i]].length;
+            shares[i] = (balances[i] * PERCENTAGE_BASE) / totalTokens;
+        }
+    }
+
+    function _pageSize(
+        uint256 _total,
+        uint256 _offset,
+        uint256 _limit
+    ) private pure returns (uint256) {
+        if (_offset >= _total) return 0;
+        return _offset + _limit > _total ? _total - _offset : _limit;
+    }
+
+    /**
+     * @dev Ajoute un token à son détenteur pour un terrain, et le détenteur à la table
+     * de capitalisation s'il n'y figurait pas.
+     */
+    function _addLandToken(
+        Book storage self,
+        address _holder,
+        uint256 _landId,
+        uint256 _tokenId
+    ) private {
+        uint256[] storage tokens = self.tokens[_landId][_holder];
+        if (tokens.length == 0) {
+            self.holders[_landId].push(_holder);
+            self.holderIndex[_landId][_holder] = self.holders[_landId].length;
+        }
+        self.tokenIndex[_tokenId] = tokens.length;
+        tokens.push(_tokenId);
+    }
+
+    /**
+     * @dev Retire un token à son détenteur pour un terrain, et le détenteur de la
+     * table de capitalisation lorsqu'il n'en a plus.
+     */
+    function _removeLandToken(
+        Book storage self,
+        address _holder,
+        uint256 _landId,
+        uint256 _tokenId
+    ) private {
+        uint256[] storage tokens = self.tokens[_landId][_holder];
+        // Token reçu avant la mise en place du registre
+        if (tokens.length == 0) return;
+
+        _removeToken(tokens, self.tokenIndex, _tokenId);
+        if (tokens.length > 0) return;
+
+        address[] storage holders = self.holders[_landId];
+        uint256 holderIndex = self.holderIndex[_landId][_holder] - 1;
+        address lastHolder = holders[holders.length - 1];
+        holders[holderIndex] = lastHolder;
+        self.holderIndex[_landId][lastHolder] = holderIndex + 1;
+        holders.pop();
+        delete self.holderIndex[_landId][_holder];
+    }
+
+    /**
+     * @dev Retire un token d'une liste en le remplaçant par le dernier.
+     */
+    function _removeToken(
+        uint256[] storage _tokens,
+        mapping(uint256 => uint256) storage _index,
+        uint256 _tokenId
+    ) private {
+        if (_tokens.length == 0) return;
+
+        uint256 tokenIndex = _index[_tokenId];
+        uint256 lastTokenId = _tokens[_tokens.length - 1];
+        _tokens[tokenIndex] = lastTokenId;
+        _index[lastTokenId] = tokenIndex;
+        _tokens.pop();
+        delete _index[_tokenId];
+    }
+}
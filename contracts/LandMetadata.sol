@@ -0,0 +1,230 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./LandRegistry.sol";
+
+/**
+ * @title LandMetadata
+ * @dev Construit sur la chaîne les métadonnées JSON (base64) d'un token de terrain,
+ * image SVG comprise. Les chaînes saisies par les utilisateurs (localisation, CID)
+ * sont échappées avant d'être insérées dans le JSON et le SVG.
+ * tokenURI est publique : la bibliothèque est déployée une fois et liée à LandToken,
+ * ce qui garde LandToken sous la limite de taille des contrats.
+ */
+library LandMetadata {
+    using Strings for uint256;
+
+    /**
+     * @dev Données d'un token nécessaires à ses métadonnées.
+     */
+    struct TokenMetadata {
+        uint256 landId;
+        uint256 tokenNumber;
+        uint256 totalTokens;
+        string location;
+        uint256 surface;
+        uint256 registrationDate;
+        string status;
+        string cid;
+        string gateway;
+        uint256 purchasePrice;
+        uint256 mintDate;
+    }
+
+    /**
+     * @dev Retourne l'URI du token d'un terrain, à partir des données du terrain lues
+     * dans le registre et des données propres au token.
+     * @param _registry Registre des terrains.
+     * @param _landId ID du terrain.
+     * @param _tokenNumber Numéro du token dans son terrain.
+     * @param _purchasePrice Prix d'achat du token.
+     * @param _mintDate Date de mint du token.
+     * @param _gateway Préfixe des liens vers les documents.
+     */
+    function landTokenURI(
+        address _registry,
+        uint256 _landId,
+        uint256 _tokenNumber,
+        uint256 _purchasePrice,
+        uint256 _mintDate,
+        string storage _gateway
+    ) external view returns (string memory) {
+        TokenMetadata memory metadata;
+        LandRegistry.ValidationStatus status;
+        metadata.landId = _landId;
+        (
+            metadata.location,
+            metadata.surface,
+            ,
+            ,
+            metadata.registrationDate,
+            status,
+            metadata.totalTokens,
+            ,
+            ,
+            ,
+            metadata.cid
+        ) = LandRegistry(_registry).getAllLandDetails(_landId);
+        metadata.status = _statusLabel(status);
+        metadata.tokenNumber = _tokenNumber;
+        metadata.purchasePrice = _purchasePrice;
+        metadata.mintDate = _mintDate;
+        metadata.gateway = _gateway;
+
+        return tokenURI(metadata);
+    }
+
+    function _statusLabel(
+        LandRegistry.ValidationStatus _status
+    ) private pure returns (string memory) {
+        if (_status == LandRegistry.ValidationStatus.Valide) return "Valide";
+        if (_status == LandRegistry.ValidationStatus.Rejete) return "Rejete";
+        return "EnAttente";
+    }
+
+    /**
+     * @dev Retourne l'URI data:application/json;base64 du token.
+     */
+    function tokenURI(
+        TokenMetadata memory _data
+    ) public pure returns (string memory) {
+        string memory documents = string.concat(
+            _data.gateway,
+            _escape(_data.cid, false)
+        );
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"Terrain #',
+            _data.landId.toString(),
+            " - Token ",
+            _data.tokenNumber.toString(),
+            "/",
+            _data.totalTokens.toString(),
+            '","description":"Part tokenisee du terrain situe a ',
+            _escape(_data.location, false),
+            '","image":"data:image/svg+xml;base64,',
+            Base64.encode(_svg(_data)),
+            '","external_url":"',
+            documents,
+            '","attributes":[',
+            _attributes(_data, documents),
+            "]}"
+        );
+
+        return
+            string.concat(
+                "data:application/json;base64,",
+                Base64.encode(json)
+            );
+    }
+
+    function _attributes(
+        TokenMetadata memory _data,
+        string memory _documents
+    ) private pure returns (bytes memory) {
+        return
+            abi.encodePacked(
+                '{"trait_type":"Localisation","value":"',
+                _escape(_data.location, false),
+                '"},{"trait_type":"Surface (m2)","display_type":"number","value":',
+                _data.surface.toString(),
+                '},{"trait_type":"Date d\'enregistrement","display_type":"date","value":',
+                _data.registrationDate.toString(),
+                '},{"trait_type":"Statut","value":"',
+                _data.status,
+                '"},{"trait_type":"Documents","value":"',
+                _documents,
+                '"},',
+                _tokenAttributes(_data)
+            );
+    }
+
+    function _tokenAttributes(
+        TokenMetadata memory _data
+    ) private pure returns (bytes memory) {
+        return
+            abi.encodePacked(
+                '{"trait_type":"Numero du token","display_type":"number","value":',
+                _data.tokenNumber.toString(),
+                '},{"trait_type":"Prix d\'achat (wei)","value":"',
+                _data.purchasePrice.toString(),
+                '"},{"trait_type":"Date du mint","display_type":"date","value":',
+                _data.mintDate.toString(),
+                "}"
+            );
+    }
+
+    function _svg(
+        TokenMetadata memory _data
+    ) private pure returns (bytes memory) {
+        bytes memory header = abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350">',
+            '<rect width="100%" height="100%" fill="#1f3b2d"/>',
+            '<g fill="#fff" font-family="sans-serif" font-size="16">',
+            '<text x="20" y="40" font-size="22">Terrain #',
+            _data.landId.toString(),
+            '</text><text x="20" y="80">',
+            _escape(_data.location, true)
+        );
+
+        return
+            abi.encodePacked(
+                header,
+                '</text><text x="20" y="120">',
+                _data.surface.toString(),
+                ' m2</text><text x="20" y="160">Token ',
+                _data.tokenNumber.toString(),
+                "/",
+                _data.totalTokens.toString(),
+                '</text><text x="20" y="200">',
+                _data.status,
+                "</text></g></svg>"
+            );
+    }
+
+    /**
+     * @dev Échappe une chaîne pour le JSON, et en plus pour le XML si _xml est vrai.
+     * Les caractères de contrôle sont supprimés.
+     */
+    function _escape(
+        string memory _value,
+        bool _xml
+    ) private pure returns (string memory) {
+        bytes memory input = bytes(_value);
+        bytes memory output = new bytes(input.length * 6);
+        uint256 length;
+
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            bytes memory replacement;
+
+            if (char < 0x20) {
+                continue;
+            } else if (char == '"') {
+                replacement = _xml ? bytes("&quot;") : bytes('\\"');
+            } else if (!_xml && char == "\\") {
+                replacement = bytes("\\\\");
+            } else if (_xml && char == "&") {
+                replacement = bytes("&amp;");
+            } else if (_xml && char == "<") {
+                replacement = bytes("&lt;");
+            } else if (_xml && char == ">") {
+                replacement = bytes("&gt;");
+            } else {
+                output[length++] = char;
+                continue;
+            }
+
+            for (uint256 j = 0; j < replacement.length; j++) {
+                output[length++] = replacement[j];
+            }
+        }
+
+        assembly {
+            mstore(output, length)
+        }
+        return string(output);
+    }
+}
@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title LandPayments
+ * @dev Encaissement et versement des paiements en devise ERC-20. Les fonctions
+ * s'exécutent dans le contexte du contrat appelant : les fonds sont prélevés auprès
+ * de son appelant et versés depuis son solde. La bibliothèque
+ * est déployée une fois et liée à LandToken et LandTokenMarketplace, ce qui les garde
+ * sous la limite de taille des contrats.
+ */
+library LandPayments {
+    using SafeERC20 for IERC20;
+
+    error NothingToWithdraw();
+
+    /**
+     * @dev Applique l'autorisation EIP-2612 signée par l'appelant au profit du contrat.
+     * Une autorisation déjà consommée (transaction devancée) n'empêche pas le
+     * paiement : seul compte le montant autorisé lors du prélèvement. Sans effet
+     * pour un paiement en ETH.
+     * @param _currency Devise ERC-20 supportant permit.
+     * @param _amount Montant autorisé.
+     * @param _deadline Date limite de la signature.
+     */
+    function permit(
+        address _currency,
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        if (_currency == address(0)) return;
+        try
+            IERC20Permit(_currency).permit(
+                msg.sender,
+                address(this),
+                _amount,
+                _deadline,
+                _v,
+                _r,
+                _s
+            )
+        {} catch {}
+    }
+
+    /**
+     * @dev Prélève un montant en devise ERC-20 auprès de l'appelant.
+     */
+    function collect(address _currency, uint256 _amount) external {
+        IERC20(_currency).safeTransferFrom(msg.sender, address(this), _amount);
+    }
+
+    /**
+     * @dev Verse à un compte le montant en devise ERC-20 qui lui est crédité.
+     * @param _balances Montants crédités dans la devise, par compte.
+     * @param _currency Devise ERC-20.
+     * @param _account Compte crédité.
+     * @return amount Le montant versé.
+     */
+    function withdraw(
+        mapping(address => uint256) storage _balances,
+        address _currency,
+        address _account
+    ) external returns (uint256 amount) {
+        amount = _balances[_account];
+        if (amount == 0) revert NothingToWithdraw();
+
+        _balances[_account] = 0;
+        IERC20(_currency).safeTransfer(_account, amount);
+    }
+}
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "./AccessRoles.sol";
+
+/**
+ * @title LandProxyAdmin
+ * @dev Administrateur des proxies transparents de LandRegistry, LandToken et
+ * LandTokenMarketplace. Les mises à jour d'implémentation et les changements
+ * d'administrateur sont des changements sensibles soumis au timelock : le premier
+ * appel les met en file, le même appel relancé après le délai les applique.
+ *
+ * La compatibilité des layouts de stockage est vérifiée hors chaîne par
+ * scripts/upgrade.js avant la mise en file.
+ */
+contract LandProxyAdmin is AccessRoles {
+    event ProxyUpgraded(address indexed proxy, address indexed implementation);
+    event ProxyAdminChanged(address indexed proxy, address indexed newAdmin);
+
+    error InvalidImplementation();
+
+    /**
+     * @dev Implémentation courante d'un proxy administré par ce contrat.
+     */
+    function getProxyImplementation(
+        ITransparentUpgradeableProxy _proxy
+    ) external view returns (address) {
+        return _proxy.implementation();
+    }
+
+    /**
+     * @dev Met à jour l'implémentation d'un proxy après le délai du timelock.
+     * @param _proxy Proxy à mettre à jour.
+     * @param _implementation Nouvelle implémentation déployée.
+     */
+    function upgrade(
+        ITransparentUpgradeableProxy _proxy,
+        address _implementation
+    ) external onlyOwner returns (bool) {
+        if (_implementation.code.length == 0) revert InvalidImplementation();
+        if (!_timelockReady()) return false;
+
+        _proxy.upgradeTo(_implementation);
+        emit ProxyUpgraded(address(_proxy), _implementation);
+        return true;
+    }
+
+    /**
+     * @dev Met à jour l'implémentation puis appelle une fonction de migration.
+     * @param _data Appel encodé exécuté par le proxy sur la nouvelle implémentation.
+     */
+    function upgradeAndCall(
+        ITransparentUpgradeableProxy _proxy,
+        address _implementation,
+        bytes calldata _data
+    ) external onlyOwner returns (bool) {
+        if (_implementation.code.length == 0) revert InvalidImplementation();
+        if (!_timelockReady()) return false;
+
+        _proxy.upgradeToAndCall(_implementation, _data);
+        emit ProxyUpgraded(address(_proxy), _implementation);
+        return true;
+    }
+
+    /**
+     * @dev Confie un proxy à un autre administrateur après le délai du timelock.
+     */
+    function changeProxyAdmin(
+        ITransparentUpgradeableProxy _proxy,
+        address _newAdmin
+    ) external onlyOwner returns (bool) {
+        if (!_timelockReady()) return false;
+
+        _proxy.changeAdmin(_newAdmin);
+        emit ProxyAdminChanged(address(_proxy), _newAdmin);
+        return true;
+    }
+}
@@ -1,11 +1,34 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-import "./Ownable.sol";
+import "./UpgradeableAccessRoles.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+/**
+ * @dev Notification envoyée au tokenizer quand les données d'un terrain tokenisé changent.
+ */
+interface ILandTokenizer {
+    function landDataUpdated(uint256 landId) external;
+
+    function landOwnerChanged(uint256 landId, address newOwner) external;
+}
+
+/**
+ * @dev Déployé derrière un proxy : l'état est configuré par initialize et les
+ * nouvelles variables d'état s'ajoutent après les existantes.
+ */
+contract LandRegistry is
+    UpgradeableAccessRoles,
+    ReentrancyGuard,
+    Pausable,
+    EIP712
+{
+    using EnumerableSet for EnumerableSet.AddressSet;
 
-contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
     struct Land {
         string location;
         uint256 surface;
@@ -26,6 +49,8 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
         string cidComments; // CID IPFS contenant les commentaires
         ValidatorType validatorType; // Type de validateur
         bool isValidated; // Indique si le terrain a été validé
+        uint256 round; // Tour de validation (une nouvelle soumission ouvre un tour)
+        bool validatorRemoved; // Renseigné à la lecture : le validateur a été retiré depuis
     }
 
     enum ValidationStatus {
@@ -45,10 +70,43 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
     mapping(address => bool) public validators;
     mapping(address => ValidatorType) public validatorTypes;
     mapping(address => bool) public relayers;
+    // Nonce EIP-712 de chaque validateur, incrémenté à chaque attestation consommée
+    mapping(address => uint256) public nonces;
+
+    // Type EIP-712 signé par un validateur pour attester d'une validation
+    bytes32 public constant VALIDATION_TYPEHASH =
+        keccak256(
+            "ValidationAttestation(uint256 landId,string cidComments,bool isValid,uint256 nonce,uint256 deadline)"
+        );
 
     uint256 public currentLandId;
     uint256 private _landCounter;
     address public tokenizer; // variable pour le tokenizer
+    // Tokenizer des parts fongibles (LandShares), alternative aux NFT de LandToken
+    address public shareTokenizer;
+    // Contrat ayant tokenisé chaque terrain, seul autorisé à en émettre les parts
+    mapping(uint256 => address) public landTokenizers;
+    // Contrat de gouvernance exécutant les décisions votées par les détenteurs
+    address public governance;
+    // Gestionnaire du bien désigné pour chaque terrain
+    mapping(uint256 => address) public propertyManagers;
+    // Tour de validation en cours (0 pour la soumission initiale) et index de sa première validation
+    mapping(uint256 => uint256) public validationRounds;
+    mapping(uint256 => uint256) private roundStarts;
+    // Nouveau propriétaire proposé, en attente de l'approbation d'un notaire
+    mapping(uint256 => address) public pendingTitleTransfers;
+    // Validateurs enregistrés de chaque type (suspendus compris)
+    mapping(ValidatorType => EnumerableSet.AddressSet) private validatorsByType;
+    // Un validateur suspendu ne peut plus se prononcer jusqu'à sa réintégration
+    mapping(address => bool) public suspendedValidators;
+    // Nombre d'avis favorables requis par type de validateur (indexé par ValidatorType) :
+    // politique par défaut, et politique de chaque terrain fixée à son enregistrement
+    uint8[3] private defaultApprovalPolicy;
+    mapping(uint256 => uint8[3]) private landApprovalPolicies;
+    // Devises ERC-20 acceptées pour le prix des terrains
+    mapping(address => bool) public paymentTokens;
+    // Devise de paiement de chaque terrain, fixée à son enregistrement (zéro : ETH)
+    mapping(uint256 => address) public landCurrencies;
 
     //events
     event LandRegistered(
@@ -65,6 +123,12 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
         ValidatorType validatorType
     );
 
+    event ValidatorRemoved(address indexed validator);
+    event ValidatorSuspended(address indexed validator);
+    event ValidatorReinstated(address indexed validator);
+    // landId vaut 0 pour la politique par défaut
+    event ApprovalPolicyUpdated(uint256 indexed landId, uint8[3] requiredApprovals);
+
     event ValidationAdded(
         uint256 indexed landId,
         address validator,
@@ -72,6 +136,7 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
     );
 
     event LandTokenized(uint256 indexed landId);
+    event LandDetokenized(uint256 indexed landId);
 
     event RelayerAdded(address indexed relayer);
     event RelayerRemoved(address indexed relayer);
@@ -82,7 +147,40 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
         address indexed previousTokenizer,
         address indexed newTokenizer
     );
+    event ShareTokenizerUpdated(
+        address indexed previousTokenizer,
+        address indexed newTokenizer
+    );
     event TokensAvailabilityUpdated(uint256 indexed landId, uint256 availableTokens);
+    event GovernanceUpdated(address indexed governance);
+    event PricePerTokenUpdated(uint256 indexed landId, uint256 pricePerToken);
+    event PropertyManagerUpdated(uint256 indexed landId, address indexed manager);
+    event LandUpdated(
+        uint256 indexed landId,
+        string location,
+        uint256 surface,
+        uint256 totalTokens,
+        uint256 pricePerToken,
+        string cid
+    );
+    event ValidationRoundStarted(uint256 indexed landId, uint256 round);
+    event LandResubmitted(uint256 indexed landId, uint256 round);
+    event LandWithdrawn(uint256 indexed landId, address indexed owner);
+    event TitleTransferRequested(
+        uint256 indexed landId,
+        address indexed from,
+        address indexed to
+    );
+    event TitleTransferCancelled(uint256 indexed landId);
+    event PaymentTokenUpdated(address indexed token, bool allowed);
+    event LandCurrencySet(uint256 indexed landId, address indexed currency);
+    event TitleTransferApproved(
+        uint256 indexed landId,
+        address indexed from,
+        address indexed to,
+        address notary,
+        string cidDeed
+    );
 
     error InvalidValidator();
     error UnauthorizedValidator();
@@ -95,24 +193,94 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
     error InsufficientTokens();
     error UnauthorizedRelayer();
     error InvalidRelayer();
+    error SignatureExpired();
+    error InvalidSignature();
+    error NotGovernance();
+    error InvalidPrice();
+    error NotLandOwner();
+    error LandNotPending();
+    error LandNotRejected();
+    error InvalidNewOwner();
+    error NoPendingTitleTransfer();
+    error NotNotary();
+    error ValidatorAlreadyRegistered();
+    error ValidatorIsSuspended();
+    error InvalidApprovalPolicy();
+    error UnsupportedCurrency();
 
-    constructor() {}
+    constructor() EIP712("LandRegistry", "1") {}
 
-    // Fonction pour mettre à jour le tokenizer
-    function setTokenizer(address _tokenizer) external onlyOwner {
+    function initialize() external initializer {
+        __UpgradeableAccessRoles_init();
+        defaultApprovalPolicy = [1, 1, 1];
+    }
+
+    // Fonction pour mettre à jour le tokenizer.
+    // Seule la première configuration est immédiate, les suivantes passent par le timelock
+    function setTokenizer(address _tokenizer) external onlyOwner returns (bool) {
         require(_tokenizer != address(0), "Invalid address");
+        if (tokenizer != address(0) && !_timelockReady()) return false;
         address oldTokenizer = tokenizer;
         tokenizer = _tokenizer;
         emit TokenizerUpdated(oldTokenizer, _tokenizer);
+        return true;
+    }
+
+    /**
+     * @dev Définit le contrat de parts fongibles autorisé à tokeniser des terrains.
+     * Comme pour setTokenizer, un remplacement passe par le timelock.
+     * @param _shareTokenizer Adresse du contrat LandShares.
+     */
+    function setShareTokenizer(
+        address _shareTokenizer
+    ) external onlyOwner returns (bool) {
+        if (_shareTokenizer == address(0)) revert InvalidTokenizer();
+        if (shareTokenizer != address(0) && !_timelockReady()) return false;
+        address oldTokenizer = shareTokenizer;
+        shareTokenizer = _shareTokenizer;
+        emit ShareTokenizerUpdated(oldTokenizer, _shareTokenizer);
+        return true;
     }
 
     modifier onlyTokenizer() {
-        require(msg.sender == tokenizer, "Not tokenizer");
+        require(
+            msg.sender == tokenizer || msg.sender == shareTokenizer,
+            "Not tokenizer"
+        );
+        _;
+    }
+
+    /**
+     * @dev Définit le contrat de gouvernance autorisé à exécuter les décisions des détenteurs.
+     * Comme pour setTokenizer, un remplacement passe par le timelock.
+     * @param _governance Adresse du contrat LandGovernance.
+     */
+    function setGovernance(address _governance) external onlyOwner returns (bool) {
+        if (governance != address(0) && !_timelockReady()) return false;
+        governance = _governance;
+        emit GovernanceUpdated(_governance);
+        return true;
+    }
+
+    /**
+     * @dev Autorise ou retire une devise ERC-20 pour le prix des terrains enregistrés
+     * ensuite. Les terrains déjà enregistrés gardent leur devise.
+     * @param _token Adresse de la devise (ERC-20, avec permit EIP-2612 de préférence).
+     * @param _allowed true pour l'autoriser.
+     */
+    function setPaymentToken(address _token, bool _allowed) external onlyOwner {
+        if (_token == address(0)) revert UnsupportedCurrency();
+        paymentTokens[_token] = _allowed;
+        emit PaymentTokenUpdated(_token, _allowed);
+    }
+
+    modifier onlyGovernance() {
+        if (msg.sender != governance) revert NotGovernance();
         _;
     }
 
     modifier onlyValidator() {
-        if (!validators[msg.sender]) revert UnauthorizedValidator();
+        _checkActiveValidator(msg.sender);
         _;
     }
 
@@ -122,124 +290,497 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
         _;
     }
 
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
-    function addRelayer(address _relayer) external onlyOwner whenNotPaused {
+    function addRelayer(address _relayer) external onlyRole(RELAYER_ADMIN_ROLE) whenNotPaused {
         if (_relayer == address(0)) revert InvalidRelayer();
         relayers[_relayer] = true;
         emit RelayerAdded(_relayer);
     }
 
-    function removeRelayer(address _relayer) external onlyOwner {
+    function removeRelayer(address _relayer) external onlyRole(RELAYER_ADMIN_ROLE) {
         relayers[_relayer] = false;
         emit RelayerRemoved(_relayer);
     }
     //add validator
     /**
-     * @dev Ajoute un validateur.
+     * @dev Ajoute un validateur. Pour changer son type, il faut d'abord le retirer.
      * @param _validator Adresse du validateur.
      * @param _type Type de validateur.
      */
     function addValidator(
         address _validator,
         ValidatorType _type
-    ) external onlyOwner whenNotPaused {
+    ) external onlyRole(VALIDATOR_ADMIN_ROLE) whenNotPaused {
         if (_validator == address(0)) revert InvalidValidator();
+        if (validators[_validator]) revert ValidatorAlreadyRegistered();
         validators[_validator] = true;
         validatorTypes[_validator] = _type;
+        validatorsByType[_type].add(_validator);
         emit ValidatorAdded(_validator, _type);
     }
 
     /**
-     * @dev Valide ou rejette un terrain.
+     * @dev Retire un validateur. Ses avis restent dans l'historique, signalés comme
+     * provenant d'un validateur retiré, et ne comptent plus pour les validations à venir.
+     * @param _validator Adresse du validateur.
+     */
+    function removeValidator(address _validator) external onlyRole(VALIDATOR_ADMIN_ROLE) {
+        if (!validators[_validator]) revert UnauthorizedValidator();
+        validators[_validator] = false;
+        delete suspendedValidators[_validator];
+        validatorsByType[validatorTypes[_validator]].remove(_validator);
+        emit ValidatorRemoved(_validator);
+    }
+
+    /**
+     * @dev Suspend un validateur : il reste enregistré et ses avis déjà rendus
+     * comptent toujours, mais il ne peut plus se prononcer.
+     * @param _validator Adresse du validateur.
+     */
+    function suspendValidator(address _validator) external onlyRole(VALIDATOR_ADMIN_ROLE) {
+        _checkActiveValidator(_validator);
+        suspendedValidators[_validator] = true;
+        emit ValidatorSuspended(_validator);
+    }
+
+    /**
+     * @dev Lève la suspension d'un validateur.
+     * @param _validator Adresse du validateur.
+     */
+    function reinstateValidator(address _validator) external onlyRole(VALIDATOR_ADMIN_ROLE) {
+        if (!suspendedValidators[_validator]) revert InvalidValidator();
+        suspendedValidators[_validator] = false;
+        emit ValidatorReinstated(_validator);
+    }
+
+    /**
+     * @dev Liste les validateurs enregistrés d'un type, suspendus compris.
+     * @param _type Type de validateur.
+     */
+    function getValidatorsByType(
+        ValidatorType _type
+    ) external view returns (address[] memory) {
+        return validatorsByType[_type].values();
+    }
+
+    /**
+     * @dev Modifie la politique d'approbation appliquée aux terrains enregistrés ensuite.
+     * @param _requiredApprovals Avis favorables requis par type (Notaire, Geometre,
+     * ExpertJuridique), 0 si le type n'est pas requis.
+     */
+    function setApprovalPolicy(
+        uint8[3] calldata _requiredApprovals
+    ) external onlyRole(VALIDATOR_ADMIN_ROLE) {
+        _checkApprovalPolicy(_requiredApprovals);
+        defaultApprovalPolicy = _requiredApprovals;
+        emit ApprovalPolicyUpdated(0, _requiredApprovals);
+    }
+
+    /**
+     * @dev Politique d'approbation d'un terrain, ou politique par défaut pour l'ID 0.
+     * @param _landId ID du terrain.
+     * @return Avis favorables requis par type de validateur.
+     */
+    function getApprovalPolicy(
+        uint256 _landId
+    ) external view returns (uint8[3] memory) {
+        if (_landId == 0) return defaultApprovalPolicy;
+        return landApprovalPolicies[_landId];
+    }
+
+    function _checkApprovalPolicy(uint8[3] memory _requiredApprovals) private pure {
+        if (
+            _requiredApprovals[0] == 0 &&
+            _requiredApprovals[1] == 0 &&
+            _requiredApprovals[2] == 0
+        ) revert InvalidApprovalPolicy();
+    }
+
+    function _checkActiveValidator(address _validator) private view {
+        if (!validators[_validator]) revert UnauthorizedValidator();
+        if (suspendedValidators[_validator]) revert ValidatorIsSuspended();
+    }
+
+    /**
+     * @dev Valide ou rejette un terrain en attente. Le validateur appelle directement
+     * la fonction.
      * @param _landId ID du terrain.
      * @param _cidComments CID IPFS contenant les commentaires.
      * @param _isValid Indique si le terrain est validé.
-     * @param _validator Indique l'adresse du validator pour accepter les relayers .
      */
     function validateLand(
-    uint256 _landId,
-    string calldata _cidComments,
-    bool _isValid,
-    address _validator
-) external whenNotPaused nonReentrant { // Enlever temporairement onlyRelayerOrValidator
-    if (bytes(_cidComments).length == 0) revert InvalidCIDComments();
-
-    // Temporairement commenter la vérification du validateur
-    /*
-    address actualValidator = validators[msg.sender] ? msg.sender : _validator;
-    if (!validators[actualValidator]) revert UnauthorizedValidator();
-    */
-    address actualValidator = _validator; // Utiliser directement le validator fourni
-
-    // Temporairement désactiver la vérification des validations précédentes
-    /*
-    for (uint256 i = 0; i < landValidations[_landId].length; i++) {
-        if (landValidations[_landId][i].validator == actualValidator) {
-            revert ValidatorAlreadyValidated();
+        uint256 _landId,
+        string calldata _cidComments,
+        bool _isValid
+    ) external whenNotPaused nonReentrant onlyValidator {
+        _recordValidation(_landId, _cidComments, _isValid, msg.sender);
+    }
+
+    /**
+     * @dev Valide ou rejette un terrain à partir d'une attestation EIP-712 signée
+     * par le validateur. Permet à un relayer de soumettre la validation à sa place.
+     * @param _landId ID du terrain.
+     * @param _cidComments CID IPFS contenant les commentaires.
+     * @param _isValid Indique si le terrain est validé.
+     * @param _validator Adresse du validateur signataire.
+     * @param _deadline Timestamp au-delà duquel la signature n'est plus acceptée.
+     * @param _signature Signature EIP-712 de l'attestation.
+     */
+    function validateLandWithSignature(
+        uint256 _landId,
+        string calldata _cidComments,
+        bool _isValid,
+        address _validator,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external whenNotPaused nonReentrant onlyRelayerOrValidator {
+        if (block.timestamp > _deadline) revert SignatureExpired();
+        _checkActiveValidator(_validator);
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                VALIDATION_TYPEHASH,
+                _landId,
+                keccak256(bytes(_cidComments)),
+                _isValid,
+                nonces[_validator],
+                _deadline
+            )
+        );
+
+        if (
+            !SignatureChecker.isValidSignatureNow(
+                _validator,
+                _hashTypedDataV4(structHash),
+                _signature
+            )
+        ) revert InvalidSignature();
+
+        unchecked {
+            nonces[_validator]++;
         }
+
+        _recordValidation(_landId, _cidComments, _isValid, _validator);
     }
-    */
 
-    landValidations[_landId].push(
-        Validation({
-            validator: actualValidator,
-            timestamp: block.timestamp,
-            cidComments: _cidComments,
-            validatorType: validatorTypes[actualValidator],
-            isValidated: _isValid
-        })
-    );
+    /**
+     * @dev Retourne le séparateur de domaine EIP-712 utilisé pour les attestations.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Enregistre la validation d'un validateur et met à jour le statut du terrain.
+     * @param _landId ID du terrain.
+     * @param _cidComments CID IPFS contenant les commentaires.
+     * @param _isValid Indique si le terrain est validé.
+     * @param _validator Adresse du validateur.
+     */
+    function _recordValidation(
+        uint256 _landId,
+        string calldata _cidComments,
+        bool _isValid,
+        address _validator
+    ) private {
+        if (bytes(_cidComments).length == 0) revert InvalidCIDComments();
+        if (!lands[_landId].isRegistered) revert LandNotRegistered();
+        // Un terrain validé ou rejeté ne change plus de statut avant un nouveau tour
+        if (lands[_landId].status != ValidationStatus.EnAttente)
+            revert LandNotPending();
+
+        // Chaque validateur se prononce une fois par tour
+        uint256 length = landValidations[_landId].length;
+        for (uint256 i = roundStarts[_landId]; i < length; i++) {
+            if (landValidations[_landId][i].validator == _validator) {
+                revert ValidatorAlreadyValidated();
+            }
+        }
+
+        landValidations[_landId].push(
+            Validation({
+                validator: _validator,
+                timestamp: block.timestamp,
+                cidComments: _cidComments,
+                validatorType: validatorTypes[_validator],
+                isValidated: _isValid,
+                round: validationRounds[_landId],
+                validatorRemoved: false
+            })
+        );
 
-    if (!_isValid) {
-        lands[_landId].status = ValidationStatus.Rejete;
-    } else if (_checkAllValidations(_landId)) {
-        lands[_landId].status = ValidationStatus.Valide;
+        ValidationStatus previousStatus = lands[_landId].status;
+        if (!_isValid) {
+            lands[_landId].status = ValidationStatus.Rejete;
+        } else if (_checkAllValidations(_landId)) {
+            lands[_landId].status = ValidationStatus.Valide;
+        }
+
+        emit ValidationAdded(_landId, _validator, _isValid);
+
+        if (lands[_landId].status != previousStatus) {
+            _notifyLandUpdated(_landId);
+        }
     }
 
-    emit ValidationAdded(_landId, actualValidator, _isValid);
-}
+    /**
+     * @dev Prévient le contrat ayant tokenisé un terrain que les métadonnées de ses tokens ont changé.
+     * @param _landId ID du terrain.
+     */
+    function _notifyLandUpdated(uint256 _landId) private {
+        address landTokenizer = landTokenizers[_landId];
+        if (landTokenizer != address(0) && landTokenizer.code.length > 0) {
+            ILandTokenizer(landTokenizer).landDataUpdated(_landId);
+        }
+    }
+
+    /**
+     * @dev Ouvre un nouveau tour de validation : les avis précédents restent dans
+     * l'historique mais ne comptent plus pour le statut du terrain.
+     * @return Le numéro du nouveau tour.
+     */
+    function _startValidationRound(uint256 _landId) private returns (uint256) {
+        roundStarts[_landId] = landValidations[_landId].length;
+        return ++validationRounds[_landId];
+    }
 
     /**
-     * @dev Vérifie si toutes les validations nécessaires ont été effectuées pour un terrain.
+     * @dev Vérifie si le tour en cours réunit les avis favorables requis par la
+     * politique d'approbation du terrain. Les avis des validateurs retirés sont ignorés.
      * @param _landId ID du terrain.
-     * @return true si toutes les validations sont valides, false sinon.
+     * @return true si la politique est satisfaite, false sinon.
      */
     function _checkAllValidations(uint256 _landId) private view returns (bool) {
-        bool hasNotaire = false;
-        bool hasGeometre = false;
-        bool hasExpert = false;
+        uint8[3] memory remaining = landApprovalPolicies[_landId];
 
-        for (uint256 i = 0; i < landValidations[_landId].length; i++) {
-            Validation memory validation = landValidations[_landId][i];
-            if (!validation.isValidated) continue;
+        uint256 length = landValidations[_landId].length;
+        for (uint256 i = roundStarts[_landId]; i < length; i++) {
+            Validation storage validation = landValidations[_landId][i];
+            if (!validation.isValidated || !validators[validation.validator])
+                continue;
 
-            ValidatorType vType = validation.validatorType;
-            if (vType == ValidatorType.Notaire) hasNotaire = true;
-            else if (vType == ValidatorType.Geometre) hasGeometre = true;
-            else if (vType == ValidatorType.ExpertJuridique) hasExpert = true;
-
-            if (hasNotaire && hasGeometre && hasExpert) return true;
+            uint256 vType = uint256(validation.validatorType);
+            if (remaining[vType] > 0) remaining[vType]--;
         }
 
-        return false;
+        return remaining[0] == 0 && remaining[1] == 0 && remaining[2] == 0;
     }
 
     /**
      * @dev Récupère l'historique des validations pour un terrain.
      * @param _landId ID du terrain.
-     * @return Liste des validations associées au terrain.
+     * @return history Liste des validations associées au terrain, tous tours confondus.
      */
     function getValidationHistory(
         uint256 _landId
-    ) external view returns (Validation[] memory) {
-        return landValidations[_landId];
+    ) external view returns (Validation[] memory history) {
+        history = landValidations[_landId];
+        for (uint256 i = 0; i < history.length; i++) {
+            history[i].validatorRemoved = !validators[history[i].validator];
+        }
+    }
+
+    /**
+     * @dev Récupère les validations du tour en cours.
+     * @param _landId ID du terrain.
+     * @return current Liste des validations du tour en cours.
+     */
+    function getCurrentValidations(
+        uint256 _landId
+    ) external view returns (Validation[] memory current) {
+        Validation[] storage history = landValidations[_landId];
+        uint256 start = roundStarts[_landId];
+
+        current = new Validation[](history.length - start);
+        for (uint256 i = start; i < history.length; i++) {
+            current[i - start] = history[i];
+            current[i - start].validatorRemoved = !validators[history[i].validator];
+        }
+    }
+
+    modifier onlyLandOwner(uint256 _landId) {
+        if (!lands[_landId].isRegistered) revert LandNotRegistered();
+        if (lands[_landId].owner != msg.sender) revert NotLandOwner();
+        _;
+    }
+
+    /**
+     * @dev Modifie un terrain en attente de validation. Les avis déjà rendus portaient
+     * sur les anciennes données : un nouveau tour de validation est alors ouvert.
+     * @param _landId ID du terrain.
+     * @param _location Localisation du terrain.
+     * @param _surface Surface en m².
+     * @param _totalTokens Nombre total de tokens.
+     * @param _pricePerToken Prix par token.
+     * @param _cid CID IPFS des documents.
+     */
+    function updateLand(
+        uint256 _landId,
+        string calldata _location,
+        uint256 _surface,
+        uint256 _totalTokens,
+        uint256 _pricePerToken,
+        string calldata _cid
+    ) external whenNotPaused onlyLandOwner(_landId) {
+        if (lands[_landId].status != ValidationStatus.EnAttente)
+            revert LandNotPending();
+
+        _setLandData(_landId, _location, _surface, _totalTokens, _pricePerToken, _cid);
+
+        if (landValidations[_landId].length > roundStarts[_landId]) {
+            emit ValidationRoundStarted(_landId, _startValidationRound(_landId));
+        }
+    }
+
+    /**
+     * @dev Soumet à nouveau un terrain rejeté avec des données corrigées. Le terrain
+     * repasse EnAttente pour un nouveau tour de validation.
+     * @param _landId ID du terrain.
+     * @param _location Localisation du terrain.
+     * @param _surface Surface en m².
+     * @param _totalTokens Nombre total de tokens.
+     * @param _pricePerToken Prix par token.
+     * @param _cid CID IPFS des documents corrigés.
+     */
+    function resubmitLand(
+        uint256 _landId,
+        string calldata _location,
+        uint256 _surface,
+        uint256 _totalTokens,
+        uint256 _pricePerToken,
+        string calldata _cid
+    ) external whenNotPaused onlyLandOwner(_landId) {
+        if (lands[_landId].status != ValidationStatus.Rejete)
+            revert LandNotRejected();
+        if (lands[_landId].isTokenized) revert LandAlreadyTokenized();
+
+        _setLandData(_landId, _location, _surface, _totalTokens, _pricePerToken, _cid);
+        lands[_landId].status = ValidationStatus.EnAttente;
+
+        emit LandResubmitted(_landId, _startValidationRound(_landId));
+    }
+
+    /**
+     * @dev Retire du registre un terrain non tokenisé. Son historique est conservé
+     * mais il ne peut plus être validé ni tokenisé.
+     * @param _landId ID du terrain.
+     */
+    function withdrawLand(
+        uint256 _landId
+    ) external whenNotPaused onlyLandOwner(_landId) {
+        if (lands[_landId].isTokenized) revert LandAlreadyTokenized();
+
+        lands[_landId].isRegistered = false;
+        delete pendingTitleTransfers[_landId];
+
+        emit LandWithdrawn(_landId, msg.sender);
+    }
+
+    /**
+     * @dev Demande le transfert du titre de propriété d'un terrain, effectif après
+     * l'approbation d'un notaire. Une nouvelle demande remplace la précédente.
+     * @param _landId ID du terrain.
+     * @param _newOwner Futur propriétaire.
+     */
+    function requestTitleTransfer(
+        uint256 _landId,
+        address _newOwner
+    ) external whenNotPaused onlyLandOwner(_landId) {
+        if (_newOwner == address(0) || _newOwner == msg.sender)
+            revert InvalidNewOwner();
+
+        pendingTitleTransfers[_landId] = _newOwner;
+        emit TitleTransferRequested(_landId, msg.sender, _newOwner);
+    }
+
+    /**
+     * @dev Annule la demande de transfert de titre en cours.
+     * @param _landId ID du terrain.
+     */
+    function cancelTitleTransfer(
+        uint256 _landId
+    ) external onlyLandOwner(_landId) {
+        if (pendingTitleTransfers[_landId] == address(0))
+            revert NoPendingTitleTransfer();
+
+        delete pendingTitleTransfers[_landId];
+        emit TitleTransferCancelled(_landId);
+    }
+
+    /**
+     * @dev Approuve un transfert de titre. Réservé aux validateurs de type Notaire ;
+     * le nouveau propriétaire reçoit ensuite le produit des mints du terrain et les
+     * royalties des reventes de ses tokens.
+     * @param _landId ID du terrain.
+     * @param _cidDeed CID IPFS de l'acte de transfert.
+     */
+    function approveTitleTransfer(
+        uint256 _landId,
+        string calldata _cidDeed
+    ) external whenNotPaused onlyValidator {
+        if (validatorTypes[msg.sender] != ValidatorType.Notaire)
+            revert NotNotary();
+        if (bytes(_cidDeed).length == 0) revert InvalidCIDComments();
+
+        address newOwner = pendingTitleTransfers[_landId];
+        if (newOwner == address(0)) revert NoPendingTitleTransfer();
+
+        address previousOwner = lands[_landId].owner;
+        lands[_landId].owner = newOwner;
+        delete pendingTitleTransfers[_landId];
+
+        // Les royalties des reventes suivent le titre
+        address landTokenizer = landTokenizers[_landId];
+        if (landTokenizer != address(0) && landTokenizer.code.length > 0) {
+            ILandTokenizer(landTokenizer).landOwnerChanged(_landId, newOwner);
+        }
+
+        emit TitleTransferApproved(
+            _landId,
+            previousOwner,
+            newOwner,
+            msg.sender,
+            _cidDeed
+        );
+    }
+
+    /**
+     * @dev Remplace les données modifiables d'un terrain non tokenisé.
+     */
+    function _setLandData(
+        uint256 _landId,
+        string calldata _location,
+        uint256 _surface,
+        uint256 _totalTokens,
+        uint256 _pricePerToken,
+        string calldata _cid
+    ) private {
+        if (_totalTokens == 0) revert InvalidTokenAmount();
+        if (bytes(_cid).length == 0) revert InvalidCIDComments();
+
+        Land storage land = lands[_landId];
+        land.location = _location;
+        land.surface = _surface;
+        land.totalTokens = _totalTokens;
+        land.availableTokens = _totalTokens;
+        land.pricePerToken = _pricePerToken;
+        land.cid = _cid;
+
+        emit LandUpdated(
+            _landId,
+            _location,
+            _surface,
+            _totalTokens,
+            _pricePerToken,
+            _cid
+        );
     }
 
     /**
@@ -255,6 +796,7 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
         if (lands[_landId].isTokenized) revert LandAlreadyTokenized();
 
         lands[_landId].isTokenized = true;
+        landTokenizers[_landId] = msg.sender;
         emit LandTokenized(_landId);
     }
 
@@ -265,6 +807,60 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
         uint256 _pricePerToken,
         string calldata _cid
     ) external whenNotPaused nonReentrant {
+        _register(
+            _location,
+            _surface,
+            _totalTokens,
+            _pricePerToken,
+            _cid,
+            address(0),
+            defaultApprovalPolicy
+        );
+    }
+
+    /**
+     * @dev Enregistre un terrain payable dans une devise ERC-20 autorisée et/ou
+     * soumis à une politique d'approbation propre, au moins aussi exigeante que la
+     * politique par défaut pour chaque type de validateur.
+     * @param _currency Devise de paiement autorisée par setPaymentToken, dans laquelle
+     * le prix est exprimé, ou address(0) pour l'ETH.
+     * @param _requiredApprovals Avis favorables requis par type de validateur.
+     */
+    function registerLandWithOptions(
+        string calldata _location,
+        uint256 _surface,
+        uint256 _totalTokens,
+        uint256 _pricePerToken,
+        string calldata _cid,
+        address _currency,
+        uint8[3] calldata _requiredApprovals
+    ) external whenNotPaused nonReentrant {
+        if (_currency != address(0) && !paymentTokens[_currency])
+            revert UnsupportedCurrency();
+        for (uint256 i = 0; i < 3; i++) {
+            if (_requiredApprovals[i] < defaultApprovalPolicy[i])
+                revert InvalidApprovalPolicy();
+        }
+        _register(
+            _location,
+            _surface,
+            _totalTokens,
+            _pricePerToken,
+            _cid,
+            _currency,
+            _requiredApprovals
+        );
+    }
+
+    function _register(
+        string calldata _location,
+        uint256 _surface,
+        uint256 _totalTokens,
+        uint256 _pricePerToken,
+        string calldata _cid,
+        address _currency,
+        uint8[3] memory _requiredApprovals
+    ) private {
         if (_totalTokens == 0) revert InvalidTokenAmount();
         if (bytes(_cid).length == 0) revert InvalidCIDComments();
 
@@ -286,6 +882,8 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
             cid: _cid
         });
 
+        landApprovalPolicies[_landCounter] = _requiredApprovals;
+
         emit LandRegistered(
             _landCounter,
             _location,
@@ -294,6 +892,11 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
             _pricePerToken,
             _cid
         );
+        emit ApprovalPolicyUpdated(_landCounter, _requiredApprovals);
+        if (_currency != address(0)) {
+            landCurrencies[_landCounter] = _currency;
+            emit LandCurrencySet(_landCounter, _currency);
+        }
     }
 
     function getLandDetails(
@@ -379,6 +982,9 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
         uint256 _amount
     ) external whenNotPaused onlyTokenizer nonReentrant {
         if (!lands[_landId].isTokenized) revert LandNotValid();
+        // Un terrain n'est émis que sous une forme : NFT ou parts fongibles
+        if (landTokenizers[_landId] != msg.sender)
+            revert UnauthorizedTokenizer();
         if (lands[_landId].availableTokens < _amount)
             revert InsufficientTokens();
 
@@ -387,6 +993,78 @@ contract LandRegistry is Ownable, ReentrancyGuard, Pausable {
         emit TokensAvailabilityUpdated(_landId, lands[_landId].availableTokens);
     }
 
+    /**
+     * @dev Remet en vente des tokens brûlés (remboursement d'une levée de fonds échouée).
+     * @param _landId ID du terrain.
+     * @param _amount Nombre de tokens rendus disponibles.
+     */
+    function restoreAvailableTokens(
+        uint256 _landId,
+        uint256 _amount
+    ) external whenNotPaused onlyTokenizer nonReentrant {
+        if (!lands[_landId].isTokenized) revert LandNotValid();
+        if (landTokenizers[_landId] != msg.sender)
+            revert UnauthorizedTokenizer();
+        if (lands[_landId].availableTokens + _amount > lands[_landId].totalTokens)
+            revert InsufficientTokens();
+
+        lands[_landId].availableTokens += _amount;
+
+        emit TokensAvailabilityUpdated(_landId, lands[_landId].availableTokens);
+    }
+
+    /**
+     * @dev Retire un terrain de la tokenisation une fois tous ses tokens brûlés (rachat
+     * par un acquéreur). Comme par withdrawLand, il sort du registre : son historique
+     * est conservé mais il ne peut plus être tokenisé.
+     * @param _landId ID du terrain.
+     */
+    function detokenizeLand(
+        uint256 _landId
+    ) external whenNotPaused onlyTokenizer nonReentrant {
+        if (!lands[_landId].isTokenized) revert LandNotValid();
+        if (landTokenizers[_landId] != msg.sender)
+            revert UnauthorizedTokenizer();
+
+        lands[_landId].isTokenized = false;
+        lands[_landId].isRegistered = false;
+        delete landTokenizers[_landId];
+        delete pendingTitleTransfers[_landId];
+
+        emit LandDetokenized(_landId);
+    }
+
+    /**
+     * @dev Modifie le prix des tokens restant à vendre, sur décision des détenteurs.
+     * @param _landId ID du terrain.
+     * @param _pricePerToken Nouveau prix par token.
+     */
+    function updatePricePerToken(
+        uint256 _landId,
+        uint256 _pricePerToken
+    ) external onlyGovernance {
+        if (!lands[_landId].isRegistered) revert LandNotRegistered();
+        if (_pricePerToken == 0) revert InvalidPrice();
+
+        lands[_landId].pricePerToken = _pricePerToken;
+        emit PricePerTokenUpdated(_landId, _pricePerToken);
+    }
+
+    /**
+     * @dev Désigne le gestionnaire du bien, sur décision des détenteurs.
+     * @param _landId ID du terrain.
+     * @param _manager Adresse du gestionnaire (zéro pour le retirer).
+     */
+    function setPropertyManager(
+        uint256 _landId,
+        address _manager
+    ) external onlyGovernance {
+        if (!lands[_landId].isRegistered) revert LandNotRegistered();
+
+        propertyManagers[_landId] = _manager;
+        emit PropertyManagerUpdated(_landId, _manager);
+    }
+
     /**
      * @dev Calcule le prix total pour un certain nombre de tokens.
      * @param _landId ID du terrain.
@@ -0,0 +1,432 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "./LandShares.sol";
+import "./AccessRoles.sol";
+
+/**
+ * @title LandShareMarketplace
+ * @dev Carnet d'ordres pour les parts fongibles (LandShares) : ordres de vente et
+ * d'achat à prix limite par part, exécutables partiellement. Chaque exécution verse
+ * la royalty EIP-2981 du terrain, et l'acheteur est soumis au module de conformité
+ * de LandShares.
+ */
+contract LandShareMarketplace is
+    ERC1155Holder,
+    ReentrancyGuard,
+    Pausable,
+    AccessRoles
+{
+    LandShares public immutable landShares;
+
+    uint256 public marketplaceFeePercentage = 250;
+    uint256 public constant PERCENTAGE_BASE = 10000;
+    // Frais de marketplace accumulés, versés à la trésorerie par withdrawMarketplaceFees
+    uint256 public accumulatedMarketplaceFees;
+    // Destinataire des frais de marketplace
+    address public treasury;
+
+    // Montants dus aux vendeurs, à retirer via withdrawPayments
+    mapping(address => uint256) public payments;
+    uint256 public totalPendingPayments;
+
+    enum OrderSide {
+        Sell,
+        Buy
+    }
+
+    /**
+     * @dev Ordre sur les parts d'un terrain. Vente : les parts restantes sont en
+     * séquestre. Achat : l'ETH restant (quantity * pricePerShare) est en séquestre.
+     */
+    struct Order {
+        OrderSide side;
+        address maker;
+        uint256 landId;
+        uint256 pricePerShare;
+        uint256 quantity; // Quantité restant à exécuter
+        bool isActive;
+    }
+
+    // Ordres par ID (les IDs commencent à 1)
+    mapping(uint256 => Order) public orders;
+    uint256 public orderCounter;
+    // Ordres passés sur chaque terrain (actifs ou non)
+    mapping(uint256 => uint256[]) private landOrderIds;
+    // ETH des ordres d'achat actifs, qui n'appartient pas au marketplace
+    uint256 public totalOrderEscrow;
+
+    event OrderCreated(
+        uint256 indexed orderId,
+        uint256 indexed landId,
+        address indexed maker,
+        OrderSide side,
+        uint256 quantity,
+        uint256 pricePerShare
+    );
+    event OrderFilled(
+        uint256 indexed orderId,
+        address indexed taker,
+        uint256 quantity,
+        uint256 totalPrice
+    );
+    event OrderCancelled(uint256 indexed orderId);
+    event OrderFeesCollected(uint256 indexed orderId, uint256 amount);
+    event RoyaltyPaid(
+        uint256 indexed orderId,
+        address indexed receiver,
+        uint256 amount
+    );
+    event MarketplaceFeeUpdated(uint256 newFeePercentage);
+    event MarketplaceFeesWithdrawn(address indexed to, uint256 amount);
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
+    event TreasuryUpdated(address indexed treasury);
+
+    error InvalidShareContract();
+    error InvalidOrder();
+    error OrderNotActive();
+    error InvalidQuantity();
+    error NotOrderMaker();
+    error InsufficientPayment();
+    error InvalidTreasury();
+    error NoEtherToWithdraw();
+    error InvalidFeePercentage();
+    error TransferFailed();
+
+    constructor(address _landSharesAddress) {
+        if (_landSharesAddress == address(0)) revert InvalidShareContract();
+        landShares = LandShares(_landSharesAddress);
+        treasury = msg.sender;
+    }
+
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Met des parts en vente ; elles sont placées en séquestre jusqu'à
+     * leur vente ou l'annulation de l'ordre. Le marketplace doit être approuvé.
+     * @param _landId ID du terrain.
+     * @param _quantity Nombre de parts à vendre.
+     * @param _pricePerShare Prix demandé par part.
+     * @return orderId L'ID de l'ordre.
+     */
+    function createSellOrder(
+        uint256 _landId,
+        uint256 _quantity,
+        uint256 _pricePerShare
+    ) external whenNotPaused nonReentrant returns (uint256 orderId) {
+        orderId = _createOrder(
+            OrderSide.Sell,
+            _landId,
+            _quantity,
+            _pricePerShare
+        );
+        landShares.safeTransferFrom(
+            msg.sender,
+            address(this),
+            _landId,
+            _quantity,
+            ""
+        );
+    }
+
+    /**
+     * @dev Passe un ordre d'achat dont le montant total est placé en séquestre.
+     * L'ETH envoyé au-delà de quantity * pricePerShare est remboursé. L'appelant
+     * doit pouvoir recevoir les parts du terrain (conformité).
+     * @param _landId ID du terrain.
+     * @param _quantity Nombre de parts souhaitées.
+     * @param _pricePerShare Prix proposé par part.
+     * @return orderId L'ID de l'ordre.
+     */
+    function createBuyOrder(
+        uint256 _landId,
+        uint256 _quantity,
+        uint256 _pricePerShare
+    ) external payable whenNotPaused nonReentrant returns (uint256 orderId) {
+        uint256 cost = _quantity * _pricePerShare;
+        if (msg.value < cost) revert InsufficientPayment();
+        landShares.checkCompliance(msg.sender, _landId);
+
+        orderId = _createOrder(
+            OrderSide.Buy,
+            _landId,
+            _quantity,
+            _pricePerShare
+        );
+        totalOrderEscrow += cost;
+
+        _refundExcess(cost);
+    }
+
+    /**
+     * @dev Achète tout ou partie des parts d'un ordre de vente.
+     * @param _orderId L'ID de l'ordre de vente.
+     * @param _quantity Nombre de parts achetées.
+     */
+    function fillSellOrder(
+        uint256 _orderId,
+        uint256 _quantity
+    ) external payable whenNotPaused nonReentrant {
+        Order storage order = orders[_orderId];
+        if (order.side != OrderSide.Sell) revert InvalidOrder();
+        uint256 cost = _consumeOrder(order, _quantity);
+        if (msg.value < cost) revert InsufficientPayment();
+        landShares.checkCompliance(msg.sender, order.landId);
+
+        _settle(_orderId, order.landId, order.maker, cost);
+        emit OrderFilled(_orderId, msg.sender, _quantity, cost);
+
+        landShares.safeTransferFrom(
+            address(this),
+            msg.sender,
+            order.landId,
+            _quantity,
+            ""
+        );
+        _refundExcess(cost);
+    }
+
+    /**
+     * @dev Vend tout ou partie des parts demandées par un ordre d'achat. Les parts
+     * sont transférées de l'appelant à l'acheteur : le marketplace doit être approuvé.
+     * L'acheteur doit toujours pouvoir les recevoir (KYC non expiré, par exemple).
+     * @param _orderId L'ID de l'ordre d'achat.
+     * @param _quantity Nombre de parts vendues.
+     */
+    function fillBuyOrder(
+        uint256 _orderId,
+        uint256 _quantity
+    ) external whenNotPaused nonReentrant {
+        Order storage order = orders[_orderId];
+        if (order.side != OrderSide.Buy) revert InvalidOrder();
+        uint256 cost = _consumeOrder(order, _quantity);
+        landShares.checkCompliance(order.maker, order.landId);
+
+        totalOrderEscrow -= cost;
+        _settle(_orderId, order.landId, msg.sender, cost);
+        emit OrderFilled(_orderId, msg.sender, _quantity, cost);
+
+        landShares.safeTransferFrom(
+            msg.sender,
+            order.maker,
+            order.landId,
+            _quantity,
+            ""
+        );
+    }
+
+    /**
+     * @dev Annule un ordre : les parts ou l'ETH restant en séquestre sont rendus à son auteur.
+     * @param _orderId L'ID de l'ordre.
+     */
+    function cancelOrder(uint256 _orderId) external nonReentrant {
+        Order storage order = orders[_orderId];
+        if (!order.isActive) revert OrderNotActive();
+        if (order.maker != msg.sender) revert NotOrderMaker();
+
+        uint256 remaining = order.quantity;
+        order.isActive = false;
+        order.quantity = 0;
+
+        emit OrderCancelled(_orderId);
+
+        if (order.side == OrderSide.Sell) {
+            landShares.safeTransferFrom(
+                address(this),
+                msg.sender,
+                order.landId,
+                remaining,
+                ""
+            );
+        } else {
+            uint256 amount = remaining * order.pricePerShare;
+            totalOrderEscrow -= amount;
+
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            if (!success) revert TransferFailed();
+        }
+    }
+
+    /**
+     * @dev Récupère les ordres passés sur un terrain (actifs ou non).
+     * @param _landId ID du terrain.
+     * @return Liste des IDs d'ordres.
+     */
+    function getLandOrders(
+        uint256 _landId
+    ) external view returns (uint256[] memory) {
+        return landOrderIds[_landId];
+    }
+
+    /**
+     * @dev Retire les montants crédités à l'appelant (ventes de parts).
+     */
+    function withdrawPayments() external nonReentrant {
+        uint256 amount = payments[msg.sender];
+        if (amount == 0) revert NoEtherToWithdraw();
+
+        payments[msg.sender] = 0;
+        totalPendingPayments -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        emit PaymentWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Met à jour le pourcentage des frais de marketplace, après le délai du timelock.
+     * @param _newFeePercentage Nouveau pourcentage (250 = 2.5%), 10% au maximum.
+     */
+    function setMarketplaceFeePercentage(
+        uint256 _newFeePercentage
+    ) external onlyRole(FEE_MANAGER_ROLE) returns (bool) {
+        if (_newFeePercentage > 1000) revert InvalidFeePercentage(); // Max 10%
+        if (!_timelockReady()) return false;
+
+        marketplaceFeePercentage = _newFeePercentage;
+
+        emit MarketplaceFeeUpdated(_newFeePercentage);
+        return true;
+    }
+
+    /**
+     * @dev Verse les frais de marketplace accumulés à la trésorerie.
+     */
+    function withdrawMarketplaceFees() external nonReentrant onlyRole(TREASURER_ROLE) {
+        uint256 amount = accumulatedMarketplaceFees;
+        if (amount == 0) revert NoEtherToWithdraw();
+
+        accumulatedMarketplaceFees = 0;
+
+        (bool success, ) = payable(treasury).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        emit MarketplaceFeesWithdrawn(treasury, amount);
+    }
+
+    /**
+     * @dev Modifie l'adresse qui reçoit les frais de marketplace.
+     * @param _treasury Nouvelle trésorerie.
+     */
+    function setTreasury(address _treasury) external onlyRole(TREASURER_ROLE) {
+        if (_treasury == address(0)) revert InvalidTreasury();
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    /**
+     * @dev Enregistre un nouvel ordre actif.
+     */
+    function _createOrder(
+        OrderSide _side,
+        uint256 _landId,
+        uint256 _quantity,
+        uint256 _pricePerShare
+    ) private returns (uint256 orderId) {
+        if (_quantity == 0 || _pricePerShare == 0) revert InvalidOrder();
+
+        orderId = ++orderCounter;
+        orders[orderId] = Order({
+            side: _side,
+            maker: msg.sender,
+            landId: _landId,
+            pricePerShare: _pricePerShare,
+            quantity: _quantity,
+            isActive: true
+        });
+        landOrderIds[_landId].push(orderId);
+
+        emit OrderCreated(
+            orderId,
+            _landId,
+            msg.sender,
+            _side,
+            _quantity,
+            _pricePerShare
+        );
+    }
+
+    /**
+     * @dev Déduit une quantité exécutée d'un ordre actif, clôturé lorsqu'il est épuisé.
+     * @return cost Le prix des parts exécutées.
+     */
+    function _consumeOrder(
+        Order storage _order,
+        uint256 _quantity
+    ) private returns (uint256 cost) {
+        if (!_order.isActive) revert OrderNotActive();
+        if (_quantity == 0 || _quantity > _order.quantity)
+            revert InvalidQuantity();
+
+        _order.quantity -= _quantity;
+        if (_order.quantity == 0) {
+            _order.isActive = false;
+        }
+
+        return _quantity * _order.pricePerShare;
+    }
+
+    /**
+     * @dev Prélève les frais de marketplace et la royalty du terrain, et crédite le
+     * reste au vendeur.
+     */
+    function _settle(
+        uint256 _orderId,
+        uint256 _landId,
+        address _seller,
+        uint256 _amount
+    ) private {
+        uint256 marketplaceFee = (_amount * marketplaceFeePercentage) /
+            PERCENTAGE_BASE;
+        uint256 sellerAmount = _amount - marketplaceFee;
+
+        // Royalty due au propriétaire d'origine du terrain
+        (address royaltyReceiver, uint256 royalty) = landShares.royaltyInfo(
+            _landId,
+            _amount
+        );
+        if (royaltyReceiver == address(0)) {
+            royalty = 0;
+        } else if (royalty > sellerAmount) {
+            royalty = sellerAmount;
+        }
+        sellerAmount -= royalty;
+
+        if (royalty > 0) {
+            payments[royaltyReceiver] += royalty;
+            totalPendingPayments += royalty;
+            emit RoyaltyPaid(_orderId, royaltyReceiver, royalty);
+        }
+
+        // Un vendeur qui refuse l'ETH ne peut pas bloquer la vente
+        payments[_seller] += sellerAmount;
+        totalPendingPayments += sellerAmount;
+
+        if (marketplaceFee > 0) {
+            accumulatedMarketplaceFees += marketplaceFee;
+            emit OrderFeesCollected(_orderId, marketplaceFee);
+        }
+    }
+
+    /**
+     * @dev Rembourse à l'appelant l'ETH envoyé au-delà du prix payé.
+     * @param _price Le montant effectivement dû.
+     */
+    function _refundExcess(uint256 _price) private {
+        uint256 excess = msg.value - _price;
+        if (excess > 0) {
+            (bool success, ) = payable(msg.sender).call{value: excess}("");
+            if (!success) revert TransferFailed();
+        }
+    }
+}
@@ -0,0 +1,348 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "./LandRegistry.sol";
+import "./LandToken.sol";
+import "./AccessRoles.sol";
+
+/**
+ * @title LandShares
+ * @dev Représentation fongible des parts d'un terrain : un token ERC-1155 par
+ * terrain (id = landId), dont l'offre maximale est le totalTokens du registre.
+ * Un terrain est tokenisé soit par LandToken (une NFT par part), soit par ce
+ * contrat ; LandRegistry reste la référence du nombre de parts disponibles.
+ * Comme pour LandToken, le propriétaire du terrain peut fixer une royalty EIP-2981
+ * sur les reventes, et un module de conformité peut être consulté avant chaque
+ * achat de parts (mint et LandShareMarketplace).
+ */
+contract LandShares is
+    ERC1155Supply,
+    IERC2981,
+    ReentrancyGuard,
+    Pausable,
+    AccessRoles
+{
+    // Référence vers le contrat LandRegistry
+    LandRegistry public immutable landRegistry;
+
+    // Variables pour les frais de plateforme
+    uint256 public platformFeePercentage = 500;
+    uint256 public constant PERCENTAGE_BASE = 10000;
+    // Frais de plateforme accumulés, versés à la trésorerie par withdrawPlatformFees
+    uint256 public accumulatedPlatformFees;
+    // Destinataire des frais de plateforme
+    address public treasury;
+
+    // Montants dus à chaque bénéficiaire, à retirer via withdrawPayments
+    mapping(address => uint256) public payments;
+    uint256 public totalPendingPayments;
+
+    // Plafond des royalties d'un terrain (10 %)
+    uint256 public constant MAX_ROYALTY_PERCENTAGE = 1000;
+    // Royalties par ID de terrain, versées au propriétaire du terrain sur les reventes
+    mapping(uint256 => LandToken.Royalty) public landRoyalties;
+    // Module de conformité (LandCompliance), zéro : aucun contrôle
+    address public compliance;
+
+    event LandTokenized(uint256 indexed landId);
+    event SharesMinted(
+        uint256 indexed landId,
+        address indexed recipient,
+        uint256 amount,
+        uint256 price
+    );
+    event PaymentToOwner(
+        uint256 indexed landId,
+        address indexed owner,
+        uint256 amount
+    );
+    event PlatformFeesCollected(uint256 indexed landId, uint256 amount);
+    event PlatformFeeUpdated(uint256 newFeePercentage);
+    event PlatformFeesWithdrawn(address indexed to, uint256 amount);
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
+    event TreasuryUpdated(address indexed treasury);
+    event LandRoyaltySet(
+        uint256 indexed landId,
+        address indexed receiver,
+        uint256 percentage
+    );
+    event ComplianceUpdated(address indexed compliance);
+
+    error InvalidRegistry();
+    error NotRegistry();
+    error NotLandOwner();
+    error LandNotTokenized();
+    error LandNotValidated();
+    error NoTokensToMint();
+    error NoTokensAvailable();
+    error InsufficientPayment();
+    error InvalidFeePercentage();
+    error InvalidTreasury();
+    error NoEtherToWithdraw();
+    error TransferFailed();
+    error UnsupportedCurrency();
+    error InvalidRoyaltyPercentage();
+
+    constructor(address _landRegistryAddress) ERC1155("") {
+        if (_landRegistryAddress == address(0)) revert InvalidRegistry();
+        landRegistry = LandRegistry(_landRegistryAddress);
+        treasury = msg.sender;
+    }
+
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Tokenise un terrain en parts fongibles, sans royalty sur les reventes.
+     * Réservé au propriétaire du terrain, dont le prix doit être en ETH.
+     * @param _landId L'ID du terrain à tokenizer
+     */
+    function tokenizeLand(uint256 _landId) external {
+        tokenizeLandWithRoyalty(_landId, 0);
+    }
+
+    /**
+     * @dev Tokenise un terrain en parts fongibles en fixant la royalty versée à son
+     * propriétaire sur les reventes de parts. Réservé au propriétaire du terrain,
+     * dont le prix doit être en ETH.
+     * @param _landId L'ID du terrain à tokenizer
+     * @param _royaltyPercentage Royalty en base 10000 (250 = 2.5%), 10% au maximum
+     */
+    function tokenizeLandWithRoyalty(
+        uint256 _landId,
+        uint96 _royaltyPercentage
+    ) public whenNotPaused {
+        address landOwner = landRegistry.getLandOwner(_landId);
+        if (msg.sender != landOwner) revert NotLandOwner();
+        // Les parts se paient en ETH uniquement
+        if (landRegistry.landCurrencies(_landId) != address(0))
+            revert UnsupportedCurrency();
+        if (_royaltyPercentage > MAX_ROYALTY_PERCENTAGE)
+            revert InvalidRoyaltyPercentage();
+
+        landRoyalties[_landId] = LandToken.Royalty({
+            receiver: landOwner,
+            percentage: _royaltyPercentage
+        });
+
+        emit LandRoyaltySet(_landId, landOwner, _royaltyPercentage);
+        emit LandTokenized(_landId);
+        landRegistry.tokenizeLand(_landId);
+    }
+
+    /**
+     * @dev Royalty EIP-2981 des parts d'un terrain.
+     * @param _landId ID du terrain (et du token ERC-1155).
+     * @param _salePrice Prix de vente.
+     * @return receiver Adresse qui reçoit la royalty.
+     * @return royaltyAmount Montant de la royalty.
+     */
+    function royaltyInfo(
+        uint256 _landId,
+        uint256 _salePrice
+    ) external view returns (address receiver, uint256 royaltyAmount) {
+        LandToken.Royalty memory royalty = landRoyalties[_landId];
+        return (
+            royalty.receiver,
+            (_salePrice * royalty.percentage) / PERCENTAGE_BASE
+        );
+    }
+
+    /**
+     * @dev Implémentation combinée de supportsInterface.
+     * @param interfaceId Identifiant de l'interface.
+     * @return true si l'interface est supportée, false sinon.
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view override(ERC1155, IERC165) returns (bool) {
+        return
+            interfaceId == type(IERC2981).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Modifie le module de conformité (zéro pour le désactiver). Le
+     * remplacement d'un module déjà branché passe par le timelock.
+     * @param _compliance Adresse du module.
+     */
+    function setCompliance(address _compliance) external onlyOwner returns (bool) {
+        if (compliance != address(0) && !_timelockReady()) return false;
+        compliance = _compliance;
+        emit ComplianceUpdated(_compliance);
+        return true;
+    }
+
+    /**
+     * @dev Vérifie qu'un compte peut recevoir des parts d'un terrain ; revert avec
+     * l'erreur du module de conformité sinon.
+     */
+    function checkCompliance(address _account, uint256 _landId) public view {
+        if (compliance != address(0)) {
+            ILandCompliance(compliance).checkReceiver(_account, _landId);
+        }
+    }
+
+    /**
+     * @dev Achète des parts d'un terrain au prix du registre. L'ETH envoyé
+     * au-delà du prix est remboursé.
+     * @param _landId ID du terrain (et du token ERC-1155).
+     * @param _amount Nombre de parts.
+     */
+    function mintShares(
+        uint256 _landId,
+        uint256 _amount
+    ) external payable whenNotPaused nonReentrant {
+        if (_amount == 0) revert NoTokensToMint();
+
+        (
+            bool isTokenized,
+            LandRegistry.ValidationStatus status,
+            uint256 availableTokens,
+            uint256 pricePerToken,
+
+        ) = landRegistry.getLandDetails(_landId);
+
+        if (!isTokenized) revert LandNotTokenized();
+        if (status != LandRegistry.ValidationStatus.Valide)
+            revert LandNotValidated();
+        if (availableTokens < _amount) revert NoTokensAvailable();
+        checkCompliance(msg.sender, _landId);
+
+        uint256 price = pricePerToken * _amount;
+        if (msg.value < price) revert InsufficientPayment();
+
+        // Le registre refuse un terrain tokenisé par LandToken
+        landRegistry.updateAvailableTokens(_landId, _amount);
+        _distributePayment(landRegistry.getLandOwner(_landId), price, _landId);
+
+        _mint(msg.sender, _landId, _amount, "");
+        emit SharesMinted(_landId, msg.sender, _amount, price);
+
+        uint256 excess = msg.value - price;
+        if (excess > 0) {
+            (bool success, ) = payable(msg.sender).call{value: excess}("");
+            if (!success) revert TransferFailed();
+        }
+    }
+
+    /**
+     * @dev Appelée par le registre lorsque les données d'un terrain changent.
+     * @param _landId ID du terrain modifié.
+     */
+    function landDataUpdated(uint256 _landId) external {
+        if (msg.sender != address(landRegistry)) revert NotRegistry();
+        emit URI(uri(_landId), _landId);
+    }
+
+    /**
+     * @dev Appelée par le registre après un transfert de titre : les royalties des
+     * reventes de parts sont versées au nouveau propriétaire.
+     * @param _landId ID du terrain.
+     * @param _newOwner Nouveau propriétaire.
+     */
+    function landOwnerChanged(uint256 _landId, address _newOwner) external {
+        if (msg.sender != address(landRegistry)) revert NotRegistry();
+        landRoyalties[_landId].receiver = _newOwner;
+    }
+
+    /**
+     * @dev Modifie l'URI des métadonnées, commune à tous les terrains ({id} remplacé par le landId).
+     * @param _newUri Nouvelle URI.
+     */
+    function setURI(string calldata _newUri) external onlyOwner {
+        _setURI(_newUri);
+    }
+
+    /**
+     * @dev Répartit le prix entre le propriétaire du terrain (crédité) et la plateforme.
+     */
+    function _distributePayment(
+        address _landOwner,
+        uint256 _amount,
+        uint256 _landId
+    ) private {
+        uint256 platformFee = (_amount * platformFeePercentage) /
+            PERCENTAGE_BASE;
+        uint256 ownerAmount = _amount - platformFee;
+
+        if (ownerAmount > 0) {
+            payments[_landOwner] += ownerAmount;
+            totalPendingPayments += ownerAmount;
+
+            emit PaymentToOwner(_landId, _landOwner, ownerAmount);
+        }
+
+        if (platformFee > 0) {
+            accumulatedPlatformFees += platformFee;
+            emit PlatformFeesCollected(_landId, platformFee);
+        }
+    }
+
+    /**
+     * @dev Retire les montants crédités à l'appelant (ventes de parts de ses terrains).
+     */
+    function withdrawPayments() external nonReentrant {
+        uint256 amount = payments[msg.sender];
+        if (amount == 0) revert NoEtherToWithdraw();
+
+        payments[msg.sender] = 0;
+        totalPendingPayments -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        emit PaymentWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Verse les frais de plateforme accumulés à la trésorerie.
+     */
+    function withdrawPlatformFees() external nonReentrant onlyRole(TREASURER_ROLE) {
+        uint256 amount = accumulatedPlatformFees;
+        if (amount == 0) revert NoEtherToWithdraw();
+
+        accumulatedPlatformFees = 0;
+
+        (bool success, ) = payable(treasury).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        emit PlatformFeesWithdrawn(treasury, amount);
+    }
+
+    /**
+     * @dev Met à jour le pourcentage des frais de plateforme, après le délai du timelock.
+     * @param _newFeePercentage Nouveau pourcentage (500 = 5%), 20% au maximum.
+     */
+    function setPlatformFeePercentage(
+        uint256 _newFeePercentage
+    ) external onlyRole(FEE_MANAGER_ROLE) returns (bool) {
+        if (_newFeePercentage > 2000) revert InvalidFeePercentage();
+        if (!_timelockReady()) return false;
+
+        platformFeePercentage = _newFeePercentage;
+
+        emit PlatformFeeUpdated(_newFeePercentage);
+        return true;
+    }
+
+    /**
+     * @dev Modifie l'adresse qui reçoit les frais de plateforme.
+     * @param _treasury Nouvelle trésorerie.
+     */
+    function setTreasury(address _treasury) external onlyRole(TREASURER_ROLE) {
+        if (_treasury == address(0)) revert InvalidTreasury();
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+}
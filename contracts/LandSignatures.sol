@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+/**
+ * @title LandSignatures
+ * @dev Vérification des requêtes signées EIP-712 (comptes externes ou contrats
+ * ERC-1271) et consommation de leur nonce. La bibliothèque est déployée une fois et
+ * liée à LandToken et LandTokenMarketplace, ce qui les garde sous la limite de
+ * taille des contrats.
+ */
+library LandSignatures {
+    error SignatureExpired();
+    error InvalidSignature();
+
+    /**
+     * @dev Vérifie la signature d'une requête et consomme le nonce du signataire.
+     * @param _nonces Nonces des signataires du contrat appelant.
+     * @param _signer L'adresse attendue du signataire.
+     * @param _digest Le condensat EIP-712 de la requête.
+     * @param _deadline Timestamp au-delà duquel la signature n'est plus acceptée.
+     * @param _signature La signature à vérifier.
+     */
+    function use(
+        mapping(address => uint256) storage _nonces,
+        address _signer,
+        bytes32 _digest,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external {
+        if (block.timestamp > _deadline) revert SignatureExpired();
+        if (!SignatureChecker.isValidSignatureNow(_signer, _digest, _signature))
+            revert InvalidSignature();
+
+        unchecked {
+            _nonces[_signer]++;
+        }
+    }
+}
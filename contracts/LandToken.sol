@@ -5,29 +5,106 @@ import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
 
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "./LandRegistry.sol";
-import "./Ownable.sol";
+import "./LandMetadata.sol";
+import "./LandHolders.sol";
+import "./LandPayments.sol";
+import "./LandSignatures.sol";
+import "./UpgradeableAccessRoles.sol";
+
+/**
+ * @dev Module notifié avant chaque transfert de token (conformité, dividendes,
+ * gouvernance). Un module peut bloquer le transfert en revert.
+ */
+interface ILandTransferListener {
+    function onTokenTransfer(address from, address to, uint256 tokenId) external;
+}
+
+/**
+ * @dev Module de conformité : revert si un compte ne peut pas recevoir un token du terrain.
+ */
+interface ILandCompliance {
+    function checkReceiver(address account, uint256 landId) external view;
+}
+
+/**
+ * @dev Module de levée de fonds : indique si le produit des ventes d'un terrain
+ * reste en séquestre.
+ */
+interface ILandCrowdfunding {
+    function isEscrowed(uint256 landId) external view returns (bool);
+}
+
+/**
+ * @dev Marketplace : rend à son vendeur un token en séquestre, à la demande d'un module.
+ */
+interface ILandEscrow {
+    function releaseToken(uint256 tokenId) external;
+}
+
+/**
+ * @dev Module de blocage : libère la part bloquée d'un détenteur avant un transfert forcé.
+ */
+interface ILandVesting {
+    function onForcedTransfer(address from, uint256 tokenId) external;
+}
 
 contract LandToken is
     ERC721,
     ERC721URIStorage,
+    IERC2981,
     ReentrancyGuard,
     Pausable,
-    Ownable
+    UpgradeableAccessRoles,
+    EIP712
 {
     using Counters for Counters.Counter;
+    using LandHolders for LandHolders.Book;
 
     // Compteur pour générer des IDs uniques pour chaque token
     Counters.Counter private _tokenIds;
 
     // Référence vers le contrat LandRegistry
-    LandRegistry public immutable landRegistry;
+    LandRegistry public landRegistry;
 
     // Variables pour les frais de plateforme
-    uint256 public platformFeePercentage = 500;
+    uint256 public platformFeePercentage;
     uint256 public constant PERCENTAGE_BASE = 10000;
+    // Frais de plateforme accumulés, versés à la trésorerie par withdrawPlatformFees
+    uint256 public accumulatedPlatformFees;
+    // Destinataire des frais de plateforme
+    address public treasury;
+
+    // Montants dus à chaque bénéficiaire, à retirer via withdrawPayments
+    mapping(address => uint256) public payments;
+    uint256 public totalPendingPayments;
+
+    // Plafond des royalties d'un terrain, fixé par le propriétaire du contrat
+    uint256 public maxRoyaltyPercentage;
+
+    /**
+     * @dev Royalty EIP-2981 d'un terrain, versée au propriétaire d'origine
+     * sur chaque revente de ses tokens.
+     */
+    struct Royalty {
+        address receiver;
+        uint96 percentage;
+    }
+
+    // Royalties par ID de terrain
+    mapping(uint256 => Royalty) public landRoyalties;
+
+    // Préfixe des liens vers les documents IPFS dans les métadonnées
+    string public ipfsGateway;
+
+    // Module de distribution des revenus, notifié de chaque transfert
+    address public dividendDistributor;
+    // Module de gouvernance par terrain, notifié de chaque transfert
+    address public governance;
 
     // Structure pour stocker les détails du token
     struct TokenData {
@@ -47,6 +124,40 @@ contract LandToken is
     mapping(address => uint256[]) private userOwnedTokens;
     // Mapping pour suivre l'index d'un token dans le tableau userOwnedTokens
     mapping(address => mapping(uint256 => uint256)) private userOwnedTokenIndex;
+    // Nonce EIP-712 de chaque utilisateur pour les mints relayés
+    mapping(address => uint256) public nonces;
+    // Module de conformité, consulté avant chaque mint et transfert
+    address public compliance;
+    // Marketplace dont le séquestre est attribué au vendeur
+    address public marketplace;
+    // Vendeur d'un token placé en séquestre sur le marketplace
+    mapping(uint256 => address) private escrowSellers;
+    // Tokens de chaque détenteur par terrain et détenteurs de chaque terrain
+    LandHolders.Book private holderBook;
+    // Montants dus en devise ERC-20, par devise ; les frais de plateforme y sont
+    // crédités à la trésorerie
+    mapping(address => mapping(address => uint256)) public currencyPayments;
+    // Module de levée de fonds, notifié de chaque transfert
+    address public crowdfunding;
+    // Produit des ventes en séquestre par terrain, jusqu'au succès de sa campagne
+    mapping(uint256 => uint256) public escrowedProceeds;
+    // Position (à partir de 1) dans landTokens d'un token que son numéro ne donne pas
+    // (déplacé par un burn ou minté après un burn)
+    mapping(uint256 => uint256) private landTokenIndex;
+    // Module de rachat des terrains, notifié de chaque transfert
+    address public buyout;
+    // Tokens mintés gratuitement au propriétaire de chaque terrain à sa tokenisation
+    mapping(uint256 => uint256) public ownerReserves;
+    // Module de blocage des tokens (lock-up et vesting), notifié de chaque transfert
+    address public vesting;
+    // Dernier numéro de token attribué par terrain, jamais réutilisé après un burn
+    mapping(uint256 => uint256) private lastTokenNumbers;
+
+    // Type EIP-712 signé par l'utilisateur pour autoriser un mint relayé
+    bytes32 public constant MINT_TYPEHASH =
+        keccak256(
+            "MintRequest(address user,uint256 landId,uint256 quantity,uint256 nonce,uint256 deadline)"
+        );
 
     // Événements
     event TokenMinted(
@@ -69,6 +180,38 @@ contract LandToken is
     event PlatformFeesCollected(uint256 indexed landId, uint256 amount);
     event PlatformFeeUpdated(uint256 newFeePercentage);
     event PlatformFeesWithdrawn(address indexed to, uint256 amount);
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
+    event TreasuryUpdated(address indexed treasury);
+    event LandRoyaltySet(
+        uint256 indexed landId,
+        address indexed receiver,
+        uint256 percentage
+    );
+    event MaxRoyaltyPercentageUpdated(uint256 newMaxPercentage);
+    event IpfsGatewayUpdated(string gateway);
+    event DividendDistributorUpdated(address indexed distributor);
+    event GovernanceUpdated(address indexed governance);
+    event ComplianceUpdated(address indexed compliance);
+    event MarketplaceUpdated(address indexed marketplace);
+    event CurrencyPaymentWithdrawn(
+        address indexed currency,
+        address indexed payee,
+        uint256 amount
+    );
+    event CrowdfundingUpdated(address indexed crowdfunding);
+    event BuyoutUpdated(address indexed buyout);
+    event VestingUpdated(address indexed vesting);
+    event OwnerReserveMinted(
+        uint256 indexed landId,
+        address indexed owner,
+        uint256 quantity
+    );
+    event TokenRefunded(
+        uint256 indexed landId,
+        uint256 indexed tokenId,
+        address indexed holder,
+        uint256 amount
+    );
     event TokensBatchMinted(
         uint256 indexed landId,
         address indexed recipient,
@@ -87,28 +230,320 @@ contract LandToken is
     error UnauthorizedRelayer();
     error InvalidRelayer();
     error InvalidFeePercentage();
-    error DistributionFailed();
+    error InvalidTreasury();
+    error NotRegistry();
     error NoTokensToMint();
+    error SignatureExpired();
+    error InvalidSignature();
+    error NotLandOwner();
+    error InvalidRoyaltyPercentage();
+    error NotCompliance();
+    error EtherNotAccepted();
+    error NothingToWithdraw();
+    error NotCrowdfunding();
+    error NotBuyout();
+
+    constructor() ERC721("Real Estate Token", "RET") EIP712("LandToken", "1") {}
 
-    constructor(
-        address _landRegistryAddress
-    ) ERC721("Real Estate Token", "RET") {
+    /**
+     * @dev Configure le proxy ; l'appelant devient propriétaire et trésorerie.
+     * @param _landRegistryAddress Adresse (proxy) de LandRegistry.
+     */
+    function initialize(address _landRegistryAddress) external initializer {
         if (_landRegistryAddress == address(0)) revert InvalidRegistry();
+        __UpgradeableAccessRoles_init();
         landRegistry = LandRegistry(_landRegistryAddress);
+        treasury = msg.sender;
+        platformFeePercentage = 500;
+        maxRoyaltyPercentage = 1000;
+        ipfsGateway = "ipfs://";
+    }
+
+    // Le nom et le symbole ERC-721 sont stockés par le constructeur, hors du proxy
+    function name() public pure override returns (string memory) {
+        return "Real Estate Token";
+    }
+
+    function symbol() public pure override returns (string memory) {
+        return "RET";
     }
 
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
     modifier onlyRelayerOrOwner() {
+        _checkRelayerOrOwner();
+        _;
+    }
+
+    function _checkRelayerOrOwner() private view {
         if (!relayers[msg.sender] && msg.sender != owner())
             revert UnauthorizedRelayer();
-        _;
+    }
+
+    /**
+     * @dev Tient à jour les tokens de chaque détenteur et notifie les modules de
+     * conformité, de dividendes, de gouvernance, de levée de fonds, de rachat et
+     * de blocage avant chaque mint, transfert ou burn.
+     */
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 firstTokenId,
+        uint256 batchSize
+    ) internal override {
+        super._beforeTokenTransfer(from, to, firstTokenId, batchSize);
+        _updateHolders(from, to, firstTokenId);
+        _notifyTransfer(compliance, from, to, firstTokenId);
+        _notifyTransfer(dividendDistributor, from, to, firstTokenId);
+        _notifyTransfer(governance, from, to, firstTokenId);
+        _notifyTransfer(crowdfunding, from, to, firstTokenId);
+        _notifyTransfer(buyout, from, to, firstTokenId);
+        _notifyTransfer(vesting, from, to, firstTokenId);
+    }
+
+    function _notifyTransfer(
+        address _listener,
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) private {
+        if (_listener != address(0)) {
+            ILandTransferListener(_listener).onTokenTransfer(_from, _to, _tokenId);
+        }
+    }
+
+    function _updateHolders(
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) private {
+        holderBook.move(
+            userOwnedTokens,
+            userOwnedTokenIndex,
+            escrowSellers,
+            marketplace,
+            _from,
+            _to,
+            tokenData[_tokenId].landId,
+            _tokenId
+        );
+    }
+
+    /**
+     * @dev Le premier branchement d'un module est immédiat. Un module configuré peut
+     * déplacer ou brûler des tokens et libérer des fonds : son remplacement passe par
+     * le timelock.
+     * @param _current Module en place.
+     */
+    function _moduleChangeReady(address _current) private returns (bool) {
+        return _current == address(0) || _timelockReady();
+    }
+
+    /**
+     * @dev Modifie le marketplace dont le séquestre est attribué aux vendeurs.
+     * @param _marketplace Adresse du marketplace.
+     */
+    function setMarketplace(address _marketplace) external onlyOwner returns (bool) {
+        if (!_moduleChangeReady(marketplace)) return false;
+        marketplace = _marketplace;
+        emit MarketplaceUpdated(_marketplace);
+        return true;
+    }
+
+    /**
+     * @dev Modifie le module de distribution des revenus (zéro pour le désactiver).
+     * @param _distributor Adresse du module.
+     */
+    function setDividendDistributor(
+        address _distributor
+    ) external onlyOwner returns (bool) {
+        if (!_moduleChangeReady(dividendDistributor)) return false;
+        dividendDistributor = _distributor;
+        emit DividendDistributorUpdated(_distributor);
+        return true;
+    }
+
+    /**
+     * @dev Modifie le module de gouvernance (zéro pour le désactiver).
+     * @param _governance Adresse du module.
+     */
+    function setGovernance(address _governance) external onlyOwner returns (bool) {
+        if (!_moduleChangeReady(governance)) return false;
+        governance = _governance;
+        emit GovernanceUpdated(_governance);
+        return true;
+    }
+
+    /**
+     * @dev Modifie le module de conformité (zéro pour le désactiver).
+     * @param _compliance Adresse du module.
+     */
+    function setCompliance(address _compliance) external onlyOwner returns (bool) {
+        if (!_moduleChangeReady(compliance)) return false;
+        compliance = _compliance;
+        emit ComplianceUpdated(_compliance);
+        return true;
+    }
+
+    /**
+     * @dev Modifie le module de levée de fonds (zéro pour le désactiver).
+     * @param _crowdfunding Adresse du module.
+     */
+    function setCrowdfunding(address _crowdfunding) external onlyOwner returns (bool) {
+        if (!_moduleChangeReady(crowdfunding)) return false;
+        crowdfunding = _crowdfunding;
+        emit CrowdfundingUpdated(_crowdfunding);
+        return true;
+    }
+
+    /**
+     * @dev Modifie le module de rachat des terrains (zéro pour le désactiver).
+     * @param _buyout Adresse du module.
+     */
+    function setBuyout(address _buyout) external onlyOwner returns (bool) {
+        if (!_moduleChangeReady(buyout)) return false;
+        buyout = _buyout;
+        emit BuyoutUpdated(_buyout);
+        return true;
+    }
+
+    /**
+     * @dev Modifie le module de blocage des tokens (zéro pour le désactiver).
+     * @param _vesting Adresse du module.
+     */
+    function setVesting(address _vesting) external onlyOwner returns (bool) {
+        if (!_moduleChangeReady(vesting)) return false;
+        vesting = _vesting;
+        emit VestingUpdated(_vesting);
+        return true;
+    }
+
+    /**
+     * @dev Vérifie qu'un compte peut recevoir un token d'un terrain ; revert avec
+     * l'erreur du module de conformité sinon.
+     */
+    function checkCompliance(address _account, uint256 _landId) external view {
+        if (compliance != address(0)) {
+            ILandCompliance(compliance).checkReceiver(_account, _landId);
+        }
+    }
+
+    /**
+     * @dev Transfert forcé ordonné par le module de conformité, sans l'accord du
+     * détenteur, ou par le module de rachat au profit de l'acquéreur.
+     * @param _to Destinataire.
+     * @param _tokenId ID du token.
+     */
+    function forceTransfer(address _to, uint256 _tokenId) external {
+        if (msg.sender != compliance && msg.sender != buyout)
+            revert NotCompliance();
+
+        address from = ownerOf(_tokenId);
+        if (vesting != address(0)) ILandVesting(vesting).onForcedTransfer(from, _tokenId);
+        _transfer(from, _to, _tokenId);
+        emit TokenTransferred(_tokenId, from, _to);
+    }
+
+    /**
+     * @dev Verse au propriétaire du terrain, frais de plateforme déduits, le produit
+     * séquestré des ventes. Appelée par le module de levée de fonds au succès de la campagne.
+     * @param _landId ID du terrain.
+     */
+    function releaseEscrow(uint256 _landId) external {
+        if (msg.sender != crowdfunding) revert NotCrowdfunding();
+
+        uint256 amount = escrowedProceeds[_landId];
+        distributePayment(
+            landRegistry.getLandOwner(_landId),
+            amount,
+            _landId,
+            _takeEscrow(_landId, amount)
+        );
+    }
+
+    /**
+     * @dev Prélève un montant sur le séquestre d'un terrain.
+     * @return currency La devise du terrain (zéro : ETH).
+     */
+    function _takeEscrow(
+        uint256 _landId,
+        uint256 _amount
+    ) private returns (address currency) {
+        escrowedProceeds[_landId] -= _amount;
+        currency = _landCurrency(_landId);
+        // Le séquestre en ETH était réservé dans totalPendingPayments
+        if (currency == address(0)) totalPendingPayments -= _amount;
+    }
+
+    /**
+     * @dev Brûle un token et crédite à son détenteur son prix d'achat, prélevé sur le
+     * séquestre ; le token redevient disponible à la vente. Appelée par le module de
+     * levée de fonds après l'échec de la campagne.
+     * @param _tokenId ID du token.
+     * @return amount Le montant remboursé, à retirer via withdrawPayments ou
+     * withdrawCurrencyPayments.
+     */
+    function refundToken(uint256 _tokenId) external returns (uint256 amount) {
+        if (msg.sender != crowdfunding) revert NotCrowdfunding();
+
+        address holder = ownerOf(_tokenId);
+        uint256 landId = tokenData[_tokenId].landId;
+        amount = tokenData[_tokenId].purchasePrice;
+        address currency = _takeEscrow(landId, amount);
+
+        _burnToken(_tokenId);
+
+        _creditPayment(holder, amount, currency);
+        landRegistry.restoreAvailableTokens(landId, 1);
+
+        emit TokenRefunded(landId, _tokenId, holder, amount);
+    }
+
+    /**
+     * @dev Brûle par lots les tokens d'un terrain puis, le dernier brûlé, efface sa
+     * royalty et sa réserve et le retire du registre. Appelée par le module de rachat
+     * lorsque l'acquéreur les détient tous.
+     * @param _landId ID du terrain.
+     * @param _count Nombre maximal de tokens à brûler.
+     * @return remaining Le nombre de tokens restant à brûler.
+     */
+    function detokenizeLand(
+        uint256 _landId,
+        uint256 _count
+    ) external returns (uint256 remaining) {
+        if (msg.sender != buyout) revert NotBuyout();
+
+        uint256[] storage tokens = landTokens[_landId];
+        for (uint256 i = 0; i < _count && tokens.length > 0; i++) {
+            _burnToken(tokens[tokens.length - 1]);
+        }
+        remaining = tokens.length;
+        if (remaining == 0) {
+            delete ownerReserves[_landId];
+            delete landRoyalties[_landId];
+            landRegistry.detokenizeLand(_landId);
+        }
+    }
+
+    /**
+     * @dev Brûle un token et le retire de la liste des tokens de son terrain.
+     */
+    function _burnToken(uint256 _tokenId) private {
+        TokenData storage data = tokenData[_tokenId];
+        LandHolders.removeLandToken(
+            landTokens[data.landId],
+            landTokenIndex,
+            data.tokenNumber,
+            _tokenId
+        );
+        _burn(_tokenId);
+        delete tokenData[_tokenId];
     }
 
     /**
@@ -121,13 +556,13 @@ contract LandToken is
     }
 
     // Fonctions de gestion des relayers
-    function addRelayer(address _relayer) external onlyOwner {
+    function addRelayer(address _relayer) external onlyRole(RELAYER_ADMIN_ROLE) {
         if (_relayer == address(0)) revert InvalidRelayer();
         relayers[_relayer] = true;
         emit RelayerAdded(_relayer);
     }
 
-    function removeRelayer(address _relayer) external onlyOwner {
+    function removeRelayer(address _relayer) external onlyRole(RELAYER_ADMIN_ROLE) {
         relayers[_relayer] = false;
         emit RelayerRemoved(_relayer);
     }
@@ -139,8 +574,15 @@ contract LandToken is
      */
     function supportsInterface(
         bytes4 interfaceId
-    ) public view override(ERC721, ERC721URIStorage) returns (bool) {
-        return super.supportsInterface(interfaceId);
+    )
+        public
+        view
+        override(ERC721, ERC721URIStorage, IERC165)
+        returns (bool)
+    {
+        return
+            interfaceId == type(IERC2981).interfaceId ||
+            super.supportsInterface(interfaceId);
     }
 
     /**
@@ -151,63 +593,187 @@ contract LandToken is
     function mintToken(
         uint256 _landId
     ) external payable whenNotPaused nonReentrant returns (uint256) {
-        (
-            bool isTokenized,
-            LandRegistry.ValidationStatus status,
-            uint256 availableTokens,
-            uint256 pricePerToken,
-
-        ) = landRegistry.getLandDetails(_landId);
-
-        if (!isTokenized) revert LandNotTokenized();
-        if (status != LandRegistry.ValidationStatus.Valide)
-            revert LandNotValidated();
-        if (availableTokens == 0) revert NoTokensAvailable();
-        if (msg.value < pricePerToken) revert InsufficientPayment();
+        return _mintToken(_landId, msg.sender);
+    }
 
-        // Récupérer l'adresse du propriétaire du terrain
-        address owner = landRegistry.getLandOwner(_landId);
+    /**
+     * @dev Crée un token pour un utilisateur via un relayer qui paie le gas et le prix.
+     * L'utilisateur doit avoir signé une requête EIP-712 MintRequest (quantité 1).
+     * @param _landId ID du terrain.
+     * @param _user Adresse de l'utilisateur qui recevra le token.
+     * @param _deadline Timestamp au-delà duquel la signature n'est plus acceptée.
+     * @param _signature Signature EIP-712 de l'utilisateur.
+     * @return ID du nouveau token.
+     */
+    function mintTokenForUser(
+        uint256 _landId,
+        address _user,
+        uint256 _deadline,
+        bytes calldata _signature
+    )
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        onlyRelayerOrOwner
+        returns (uint256)
+    {
+        _useMintSignature(_user, _landId, 1, _deadline, _signature);
+        return _mintToken(_landId, _user);
+    }
 
-        // Distribuer les fonds selon le pourcentage configuré
-        bool distributionSuccess = distributePayment(owner, msg.value, _landId);
-        if (!distributionSuccess) revert DistributionFailed();
+    /**
+     * @dev Crée plusieurs tokens pour un terrain donné en une seule transaction.
+     * @param _landId ID du terrain.
+     * @param _quantity Nombre de tokens à minter.
+     * @return Un tableau des IDs des nouveaux tokens créés.
+     */
+    function mintMultipleTokens(
+        uint256 _landId,
+        uint256 _quantity
+    ) external payable whenNotPaused nonReentrant returns (uint256[] memory) {
+        return _mintMultipleTokens(_landId, msg.sender, _quantity);
+    }
 
-        _tokenIds.increment();
-        uint256 newTokenId = _tokenIds.current();
+    /**
+     * @dev Crée plusieurs tokens pour un utilisateur via un relayer.
+     * L'utilisateur doit avoir signé une requête EIP-712 MintRequest.
+     * @param _landId ID du terrain.
+     * @param _user Adresse de l'utilisateur qui recevra les tokens.
+     * @param _quantity Nombre de tokens à minter.
+     * @param _deadline Timestamp au-delà duquel la signature n'est plus acceptée.
+     * @param _signature Signature EIP-712 de l'utilisateur.
+     * @return Un tableau des IDs des nouveaux tokens créés.
+     */
+    function mintMultipleTokensForUser(
+        uint256 _landId,
+        address _user,
+        uint256 _quantity,
+        uint256 _deadline,
+        bytes calldata _signature
+    )
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        onlyRelayerOrOwner
+        returns (uint256[] memory)
+    {
+        _useMintSignature(_user, _landId, _quantity, _deadline, _signature);
+        return _mintMultipleTokens(_landId, _user, _quantity);
+    }
 
-        tokenData[newTokenId] = TokenData({
-            landId: _landId,
-            tokenNumber: newTokenId,
-            purchasePrice: pricePerToken,
-            mintDate: block.timestamp
-        });
+    /**
+     * @dev Crée des tokens d'un terrain payé en devise ERC-20, le prélèvement étant
+     * autorisé par une signature EIP-2612 (permit) plutôt que par approve.
+     * @param _landId ID du terrain.
+     * @param _quantity Nombre de tokens à minter.
+     * @param _deadline Date limite de la signature permit.
+     * @return Un tableau des IDs des nouveaux tokens créés.
+     */
+    function mintWithPermit(
+        uint256 _landId,
+        uint256 _quantity,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external whenNotPaused nonReentrant returns (uint256[] memory) {
+        LandPayments.permit(
+            _landCurrency(_landId),
+            landRegistry.calculateTokensPrice(_landId, _quantity),
+            _deadline,
+            _v,
+            _r,
+            _s
+        );
+        return _mintMultipleTokens(_landId, msg.sender, _quantity);
+    }
 
-        landTokens[_landId].push(newTokenId);
-        landRegistry.updateAvailableTokens(_landId, 1);
+    /**
+     * @dev Retourne le séparateur de domaine EIP-712 utilisé pour les requêtes signées.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
 
-        userOwnedTokens[msg.sender].push(newTokenId);
-        userOwnedTokenIndex[msg.sender][newTokenId] =
-            userOwnedTokens[msg.sender].length -
-            1;
+    /**
+     * @dev Vérifie la signature d'une requête de mint et consomme le nonce de l'utilisateur.
+     */
+    function _useMintSignature(
+        address _user,
+        uint256 _landId,
+        uint256 _quantity,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) private {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                MINT_TYPEHASH,
+                _user,
+                _landId,
+                _quantity,
+                nonces[_user],
+                _deadline
+            )
+        );
 
-        _safeMint(msg.sender, newTokenId);
+        LandSignatures.use(
+            nonces,
+            _user,
+            _hashTypedDataV4(structHash),
+            _deadline,
+            _signature
+        );
+    }
 
-        emit TokenMinted(_landId, newTokenId, msg.sender);
-        return newTokenId;
+    /**
+     * @dev Logique commune de mint d'un token, le paiement étant encaissé dans la
+     * devise du terrain.
+     * @param _landId ID du terrain.
+     * @param _to Adresse qui recevra le token.
+     * @return ID du nouveau token.
+     */
+    function _mintToken(
+        uint256 _landId,
+        address _to
+    ) private returns (uint256) {
+        return _mintTokens(_landId, _to, 1, false)[0];
     }
 
     /**
-     * @dev Crée plusieurs tokens pour un terrain donné en une seule transaction.
+     * @dev Logique commune de mint groupé.
      * @param _landId ID du terrain.
+     * @param _to Adresse qui recevra les tokens.
      * @param _quantity Nombre de tokens à minter.
-     * @return Un tableau des IDs des nouveaux tokens créés.
+     * @return tokenIds Les IDs des nouveaux tokens créés.
      */
-    function mintMultipleTokens(
+    function _mintMultipleTokens(
         uint256 _landId,
+        address _to,
         uint256 _quantity
-    ) external payable whenNotPaused nonReentrant returns (uint256[] memory) {
+    ) private returns (uint256[] memory tokenIds) {
         if (_quantity == 0) revert NoTokensToMint();
 
+        tokenIds = _mintTokens(_landId, _to, _quantity, false);
+
+        emit TokensBatchMinted(_landId, _to, _quantity, tokenIds);
+    }
+
+    /**
+     * @dev Crée des tokens après encaissement de leur prix dans la devise du terrain.
+     * @param _landId ID du terrain.
+     * @param _to Adresse qui recevra les tokens.
+     * @param _quantity Nombre de tokens à minter.
+     * @param _free Réserve du propriétaire : tokens mintés sans paiement, à prix nul.
+     * @return Un tableau des IDs des nouveaux tokens créés.
+     */
+    function _mintTokens(
+        uint256 _landId,
+        address _to,
+        uint256 _quantity,
+        bool _free
+    ) private returns (uint256[] memory) {
         (
             bool isTokenized,
             LandRegistry.ValidationStatus status,
@@ -220,69 +786,165 @@ contract LandToken is
         if (status != LandRegistry.ValidationStatus.Valide)
             revert LandNotValidated();
         if (availableTokens < _quantity) revert NoTokensAvailable();
-        if (msg.value < pricePerToken * _quantity) revert InsufficientPayment();
 
-        // Récupérer l'adresse du propriétaire du terrain
-        address owner = landRegistry.getLandOwner(_landId);
-
-        // Distribuer les fonds selon le pourcentage configuré
-        bool distributionSuccess = distributePayment(owner, msg.value, _landId);
-        if (!distributionSuccess) revert DistributionFailed();
+        // Encaisser le prix et créditer les fonds au propriétaire du terrain selon le
+        // pourcentage configuré
+        if (_free) {
+            pricePerToken = 0;
+        } else {
+            _collectPayment(
+                landRegistry.getLandOwner(_landId),
+                _landId,
+                pricePerToken * _quantity
+            );
+        }
 
         uint256[] memory tokenIds = new uint256[](_quantity);
+        uint256[] storage tokens = landTokens[_landId];
+        // Les numéros ne sont jamais réutilisés après un burn ; un terrain minté avant
+        // le compteur reprend au nombre de ses tokens
+        uint256 tokenNumber = lastTokenNumbers[_landId];
+        if (tokenNumber < tokens.length) tokenNumber = tokens.length;
 
         for (uint256 i = 0; i < _quantity; i++) {
             _tokenIds.increment();
             uint256 newTokenId = _tokenIds.current();
 
+            tokens.push(newTokenId);
+            tokenNumber++;
+            if (tokenNumber != tokens.length)
+                landTokenIndex[newTokenId] = tokens.length;
             tokenData[newTokenId] = TokenData({
                 landId: _landId,
-                tokenNumber: newTokenId,
+                tokenNumber: tokenNumber,
                 purchasePrice: pricePerToken,
                 mintDate: block.timestamp
             });
 
-            landTokens[_landId].push(newTokenId);
             tokenIds[i] = newTokenId;
 
-            userOwnedTokens[msg.sender].push(newTokenId);
-            userOwnedTokenIndex[msg.sender][newTokenId] =
-                userOwnedTokens[msg.sender].length -
-                1;
-
-            _safeMint(msg.sender, newTokenId);
-            emit TokenMinted(_landId, newTokenId, msg.sender);
+            _safeMint(_to, newTokenId);
+            emit TokenMinted(_landId, newTokenId, _to);
         }
 
+        lastTokenNumbers[_landId] = tokenNumber;
+
         // Mettre à jour le nombre de tokens disponibles
         landRegistry.updateAvailableTokens(_landId, _quantity);
 
-        emit TokensBatchMinted(_landId, msg.sender, _quantity, tokenIds);
-
         return tokenIds;
     }
 
     /**
-     * @dev Tokenize un terrain dans le registre.
-     * Cette fonction ne peut être appelée que par le propriétaire du contrat.
+     * @dev Tokenize un terrain dans le registre, sans royalty sur les reventes.
+     * Réservé au propriétaire du terrain.
      * @param _landId L'ID du terrain à tokenizer
      */
     function tokenizeLand(uint256 _landId) external {
-        // Émettre l'événement avant l'appel externe
+        tokenizeLandWithRoyalty(_landId, 0);
+    }
+
+    /**
+     * @dev Tokenize un terrain en fixant la royalty versée à son propriétaire
+     * sur les reventes. Réservé au propriétaire du terrain.
+     * @param _landId L'ID du terrain à tokenizer
+     * @param _royaltyPercentage Royalty en base 10000 (250 = 2.5%), plafonnée par maxRoyaltyPercentage
+     */
+    function tokenizeLandWithRoyalty(
+        uint256 _landId,
+        uint96 _royaltyPercentage
+    ) public {
+        address landOwner = landRegistry.getLandOwner(_landId);
+        if (msg.sender != landOwner) revert NotLandOwner();
+        if (_royaltyPercentage > maxRoyaltyPercentage)
+            revert InvalidRoyaltyPercentage();
+
+        landRoyalties[_landId] = Royalty({
+            receiver: landOwner,
+            percentage: _royaltyPercentage
+        });
+
+        emit LandRoyaltySet(_landId, landOwner, _royaltyPercentage);
         emit LandTokenized(_landId);
-        // Faire l'appel externe en dernier
         landRegistry.tokenizeLand(_landId);
     }
 
-    function withdrawEther() external nonReentrant onlyOwner {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No ether to withdraw");
+    /**
+     * @dev Tokenize un terrain en mintant gratuitement à son propriétaire une réserve
+     * de tokens, déduite des tokens disponibles : ni paiement ni frais de plateforme.
+     * Réservé au propriétaire du terrain.
+     * @param _landId L'ID du terrain à tokenizer
+     * @param _royaltyPercentage Royalty en base 10000 (250 = 2.5%), plafonnée par maxRoyaltyPercentage
+     * @param _reserve Nombre de tokens réservés au propriétaire
+     * @return tokenIds Les IDs des tokens de la réserve.
+     */
+    function tokenizeLandWithReserve(
+        uint256 _landId,
+        uint96 _royaltyPercentage,
+        uint256 _reserve
+    )
+        external
+        whenNotPaused
+        nonReentrant
+        returns (uint256[] memory tokenIds)
+    {
+        if (_reserve == 0) revert NoTokensToMint();
+        tokenizeLandWithRoyalty(_landId, _royaltyPercentage);
+
+        ownerReserves[_landId] = _reserve;
+        tokenIds = _mintTokens(_landId, msg.sender, _reserve, true);
+        emit OwnerReserveMinted(_landId, msg.sender, _reserve);
+    }
 
-        address payable ownerPayable = payable(owner());
-        (bool success, ) = ownerPayable.call{value: balance}("");
-        require(success, "Transfer failed");
+    /**
+     * @dev Modifie le plafond des royalties. Un plafond abaissé s'applique
+     * aussi aux terrains déjà tokenisés.
+     * @param _newMaxPercentage Nouveau plafond en base 10000 (max 20%).
+     */
+    function setMaxRoyaltyPercentage(
+        uint256 _newMaxPercentage
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        if (_newMaxPercentage > 2000) revert InvalidRoyaltyPercentage();
+
+        maxRoyaltyPercentage = _newMaxPercentage;
+
+        emit MaxRoyaltyPercentageUpdated(_newMaxPercentage);
+    }
+
+    /**
+     * @dev Royalty EIP-2981 d'un token, héritée de son terrain.
+     * @param _tokenId ID du token vendu.
+     * @param _salePrice Prix de vente.
+     * @return receiver Adresse qui reçoit la royalty.
+     * @return royaltyAmount Montant de la royalty.
+     */
+    function royaltyInfo(
+        uint256 _tokenId,
+        uint256 _salePrice
+    ) external view returns (address receiver, uint256 royaltyAmount) {
+        Royalty memory royalty = landRoyalties[tokenData[_tokenId].landId];
+
+        uint256 percentage = royalty.percentage;
+        if (percentage > maxRoyaltyPercentage) {
+            percentage = maxRoyaltyPercentage;
+        }
+
+        return (royalty.receiver, (_salePrice * percentage) / PERCENTAGE_BASE);
+    }
+
+    /**
+     * @dev Récupère l'ETH reçu hors frais et paiements dus (envoi direct, etc.)
+     * et le verse à la trésorerie.
+     */
+    function withdrawEther() external nonReentrant onlyRole(TREASURER_ROLE) {
+        uint256 surplus = address(this).balance -
+            accumulatedPlatformFees -
+            totalPendingPayments;
+        if (surplus == 0) revert NoEtherToWithdraw();
+
+        _sendValue(treasury, surplus);
 
-        emit EtherWithdrawn(ownerPayable, balance);
+        emit EtherWithdrawn(treasury, surplus);
     }
 
     /**
@@ -291,22 +953,8 @@ contract LandToken is
      * @param _tokenId ID du token à transférer.
      */
     function transferToken(address _to, uint256 _tokenId) external {
-        require(_to != address(0), "Transfer to zero address");
-        require(ownerOf(_tokenId) != address(0), "Token does not exist"); // Vérifie si le token existe
-        require(
-            ownerOf(_tokenId) == msg.sender || // Propriétaire actuel
-                isApprovedForAll(ownerOf(_tokenId), _to) || // Approuvé pour tous
-                getApproved(_tokenId) == msg.sender, // Approuvé spécifiquement
-            "Not authorized"
-        );
-
-        // Mettre à jour les tokens des utilisateurs
-        address from = ownerOf(_tokenId);
-        _removeFromUserTokens(from, _tokenId);
-        userOwnedTokens[_to].push(_tokenId);
-        userOwnedTokenIndex[_to][_tokenId] = userOwnedTokens[_to].length - 1;
-
-        // Effectuer le transfert sécurisé
+        // Effectuer le transfert sécurisé : revert si l'appelant ne détient pas le
+        // token ou si le destinataire est nul
         safeTransferFrom(msg.sender, _to, _tokenId);
 
         // Émettre un événement
@@ -319,22 +967,82 @@ contract LandToken is
      * @return true si le token existe, false sinon.
      */
     function exists(uint256 _tokenId) external view returns (bool) {
-        try this.ownerOf(_tokenId) returns (address) {
-            return true; // Si ownerOf ne lève pas d'exception, le token existe
-        } catch {
-            return false; // Sinon, le token n'existe pas
-        }
+        return _exists(_tokenId);
     }
 
-     /**
-     * @dev Implémentation personnalisée de tokenURI.
+    /**
+     * @dev Métadonnées du token, construites sur la chaîne à partir du registre
+     * et de tokenData : JSON encodé en base64 avec une image SVG.
      * @param tokenId ID du token.
-     * @return URI du token.
+     * @return URI data:application/json;base64 du token.
      */
     function tokenURI(
         uint256 tokenId
     ) public view override(ERC721, ERC721URIStorage) returns (string memory) {
-        return super.tokenURI(tokenId);
+        _requireMinted(tokenId);
+
+        TokenData storage data = tokenData[tokenId];
+        return
+            LandMetadata.landTokenURI(
+                address(landRegistry),
+                data.landId,
+                data.tokenNumber,
+                data.purchasePrice,
+                data.mintDate,
+                ipfsGateway
+            );
+    }
+
+    /**
+     * @dev Modifie le préfixe des liens vers les documents (ex. https://ipfs.io/ipfs/).
+     * @param _gateway Nouveau préfixe, "ipfs://" par défaut.
+     */
+    function setIpfsGateway(string calldata _gateway) external onlyOwner {
+        ipfsGateway = _gateway;
+        emit IpfsGatewayUpdated(_gateway);
+
+        uint256 lastTokenId = _tokenIds.current();
+        if (lastTokenId > 0) {
+            emit BatchMetadataUpdate(1, lastTokenId);
+        }
+    }
+
+    /**
+     * @dev Appelée par le registre lorsque les données d'un terrain changent,
+     * pour signaler la mise à jour des métadonnées de ses tokens (ERC-4906).
+     * @param _landId ID du terrain modifié.
+     */
+    function landDataUpdated(uint256 _landId) external {
+        if (msg.sender != address(landRegistry)) revert NotRegistry();
+
+        uint256[] storage tokens = landTokens[_landId];
+        if (tokens.length > 0) {
+            // Les IDs d'un terrain sont croissants mais pas forcément contigus
+            emit BatchMetadataUpdate(tokens[0], tokens[tokens.length - 1]);
+        }
+    }
+
+    /**
+     * @dev Appelée par le registre après un transfert de titre : les royalties des
+     * reventes sont versées au nouveau propriétaire.
+     * @param _landId ID du terrain.
+     * @param _newOwner Nouveau propriétaire.
+     */
+    function landOwnerChanged(uint256 _landId, address _newOwner) external {
+        if (msg.sender != address(landRegistry)) revert NotRegistry();
+        landRoyalties[_landId].receiver = _newOwner;
+    }
+
+    /**
+     * @dev Devise de paiement du terrain d'un token (zéro : ETH).
+     * @param _tokenId ID du token.
+     */
+    function tokenCurrency(uint256 _tokenId) external view returns (address) {
+        return _landCurrency(tokenData[_tokenId].landId);
+    }
+
+    function _landCurrency(uint256 _landId) private view returns (address) {
+        return landRegistry.landCurrencies(_landId);
     }
 
     /**
@@ -349,108 +1057,248 @@ contract LandToken is
     }
 
     /**
-     * @dev Permet au propriétaire de modifier le pourcentage des frais de plateforme.
+     * @dev Détenteur d'un token : son vendeur lorsqu'il est en séquestre sur le marketplace.
+     * @param _tokenId ID du token.
+     */
+    function holderOf(uint256 _tokenId) public view returns (address) {
+        address owner = ownerOf(_tokenId);
+        if (owner == marketplace && owner != address(0)) {
+            return escrowSellers[_tokenId];
+        }
+        return owner;
+    }
+
+    /**
+     * @dev Récupère une page des tokens d'un détenteur, séquestre compris.
+     * @param _owner Adresse du détenteur.
+     * @param _offset L'index de départ.
+     * @param _limit Le nombre maximum de tokens à retourner.
+     * @return tokenIds Les IDs des tokens de la page.
+     * @return total Le nombre total de tokens du détenteur.
+     */
+    function getTokensOfOwner(
+        address _owner,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory tokenIds, uint256 total) {
+        return LandHolders.page(userOwnedTokens[_owner], _offset, _limit);
+    }
+
+    /**
+     * @dev Récupère une page des tokens d'un détenteur pour un terrain, séquestre compris.
+     * @param _owner Adresse du détenteur.
+     * @param _landId ID du terrain.
+     * @param _offset L'index de départ.
+     * @param _limit Le nombre maximum de tokens à retourner.
+     * @return tokenIds Les IDs des tokens de la page.
+     * @return total Le nombre total de tokens du détenteur pour ce terrain.
+     */
+    function getTokensOfOwnerForLand(
+        address _owner,
+        uint256 _landId,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory tokenIds, uint256 total) {
+        return LandHolders.page(holderBook.tokens[_landId][_owner], _offset, _limit);
+    }
+
+    /**
+     * @dev Récupère une page de la table de capitalisation d'un terrain.
+     * @param _landId ID du terrain.
+     * @param _offset L'index de départ.
+     * @param _limit Le nombre maximum de détenteurs à retourner.
+     * @return holders Les détenteurs de la page.
+     * @return balances Le nombre de tokens de chacun, séquestre compris.
+     * @return shares La part de chacun dans le nombre total de tokens du terrain
+     * (en base 10000, 2500 = 25%).
+     * @return totalHolders Le nombre total de détenteurs du terrain.
+     */
+    function getCapTable(
+        uint256 _landId,
+        uint256 _offset,
+        uint256 _limit
+    )
+        external
+        view
+        returns (
+            address[] memory holders,
+            uint256[] memory balances,
+            uint256[] memory shares,
+            uint256 totalHolders
+        )
+    {
+        return
+            holderBook.capTable(
+                _landId,
+                address(landRegistry),
+                _offset,
+                _limit
+            );
+    }
+
+    /**
+     * @dev Modifie le pourcentage des frais de plateforme, après le délai du timelock.
      * @param _newFeePercentage Nouveau pourcentage de frais (en base 10000, 500 = 5%).
      */
     function setPlatformFeePercentage(
         uint256 _newFeePercentage
-    ) external onlyOwner {
+    ) external onlyRole(FEE_MANAGER_ROLE) returns (bool) {
         if (_newFeePercentage > 2000) revert InvalidFeePercentage(); // Max 20%
+        if (!_timelockReady()) return false;
 
         platformFeePercentage = _newFeePercentage;
 
         emit PlatformFeeUpdated(_newFeePercentage);
+        return true;
+    }
+
+    /**
+     * @dev Encaisse le prix d'un mint dans la devise du terrain. En ETH, l'excédent
+     * envoyé est crédité à l'appelant (withdrawPayments) ; en devise ERC-20, le prix
+     * est prélevé auprès de l'appelant, qui ne doit pas envoyer d'ETH.
+     * @param _landOwner Propriétaire du terrain.
+     * @param _landId ID du terrain.
+     * @param _price Prix dû.
+     */
+    function _collectPayment(
+        address _landOwner,
+        uint256 _landId,
+        uint256 _price
+    ) private {
+        address currency = _landCurrency(_landId);
+        if (currency == address(0)) {
+            if (msg.value < _price) revert InsufficientPayment();
+            _creditPayment(msg.sender, msg.value - _price, currency);
+        } else {
+            if (msg.value > 0) revert EtherNotAccepted();
+            LandPayments.collect(currency, _price);
+        }
+        distributePayment(_landOwner, _price, _landId, currency);
     }
 
     /**
-     * @dev Distribue les fonds entre le propriétaire du terrain et la plateforme.
-     * @param _landOwner Adresse du propriétaire du terrain.
-     * @param _amount Montant total à distribuer.
-     * @param _landId ID du terrain pour les événements.
-     * @return true si la distribution a réussi.
+     * @dev Répartit les fonds entre le propriétaire du terrain et la plateforme, dans
+     * la devise du terrain. La part du propriétaire lui est créditée : un propriétaire
+     * qui refuse l'ETH ne peut pas bloquer les mints.
+     * Pendant une campagne de levée de fonds, le montant est séquestré en totalité.
+     * @param _landOwner Propriétaire du terrain.
+     * @param _amount Montant à répartir.
+     * @param _landId ID du terrain.
+     * @param _currency Devise du montant (zéro : ETH).
      */
     function distributePayment(
         address _landOwner,
         uint256 _amount,
-        uint256 _landId
-    ) internal returns (bool) {
+        uint256 _landId,
+        address _currency
+    ) internal {
+        // Campagne en cours : le produit reste en séquestre jusqu'à son succès
+        if (
+            crowdfunding != address(0) &&
+            ILandCrowdfunding(crowdfunding).isEscrowed(_landId)
+        ) {
+            escrowedProceeds[_landId] += _amount;
+            if (_currency == address(0)) totalPendingPayments += _amount;
+            return;
+        }
+
         // Calculer les parts
         uint256 platformFee = (_amount * platformFeePercentage) /
             PERCENTAGE_BASE;
         uint256 ownerAmount = _amount - platformFee;
 
-        // Transférer au propriétaire du terrain
         if (ownerAmount > 0) {
-            (bool ownerSuccess, ) = payable(_landOwner).call{
-                value: ownerAmount
-            }("");
-            if (!ownerSuccess) return false;
-
+            _creditPayment(_landOwner, ownerAmount, _currency);
             emit PaymentToOwner(_landId, _landOwner, ownerAmount);
         }
 
-        // Les frais de plateforme restent dans le contrat pour être retirés plus tard
         if (platformFee > 0) {
+            if (_currency == address(0)) {
+                accumulatedPlatformFees += platformFee;
+            } else {
+                currencyPayments[_currency][treasury] += platformFee;
+            }
             emit PlatformFeesCollected(_landId, platformFee);
         }
+    }
 
-        return true;
+    /**
+     * @dev Crédite un montant à retirer, dans la devise donnée (zéro : ETH).
+     * @param _account Bénéficiaire.
+     * @param _amount Montant crédité.
+     * @param _currency Devise du montant.
+     */
+    function _creditPayment(
+        address _account,
+        uint256 _amount,
+        address _currency
+    ) private {
+        if (_currency == address(0)) {
+            payments[_account] += _amount;
+            totalPendingPayments += _amount;
+        } else {
+            currencyPayments[_currency][_account] += _amount;
+        }
     }
 
     /**
-     * @dev Permet au propriétaire du contrat de retirer les frais de plateforme collectés.
+     * @dev Retire les montants crédités à l'appelant (ventes de tokens de ses terrains).
      */
-    function withdrawPlatformFees() external nonReentrant onlyOwner {
-        uint256 balance = address(this).balance;
-        if (balance == 0) revert NoEtherToWithdraw();
+    function withdrawPayments() external nonReentrant {
+        uint256 amount = payments[msg.sender];
+        if (amount == 0) revert NoEtherToWithdraw();
 
-        address payable ownerPayable = payable(owner());
-        (bool success, ) = ownerPayable.call{value: balance}("");
-        if (!success) revert TransferFailed();
+        payments[msg.sender] = 0;
+        totalPendingPayments -= amount;
 
-        emit PlatformFeesWithdrawn(ownerPayable, balance);
+        _sendValue(msg.sender, amount);
+
+        emit PaymentWithdrawn(msg.sender, amount);
     }
 
     /**
-     * @dev Retourne le pourcentage de frais de plateforme actuel.
-     * @return Le pourcentage de frais (500 = 5.00%)
+     * @dev Verse les frais de plateforme accumulés à la trésorerie.
      */
-    function getPlatformFeePercentage() external view returns (uint256) {
-        return platformFeePercentage;
+    function withdrawPlatformFees() external nonReentrant onlyRole(TREASURER_ROLE) {
+        uint256 amount = accumulatedPlatformFees;
+        if (amount == 0) revert NoEtherToWithdraw();
+
+        accumulatedPlatformFees = 0;
+
+        _sendValue(treasury, amount);
+
+        emit PlatformFeesWithdrawn(treasury, amount);
     }
 
     /**
-     * @dev Calcule combien un propriétaire recevrait et combien la plateforme prendrait pour un montant donné.
-     * @param _amount Le montant total.
-     * @return ownerAmount Montant qui irait au propriétaire.
-     * @return platformAmount Montant qui irait à la plateforme.
+     * @dev Envoie de l'ETH et revert si le destinataire le refuse.
      */
-    function calculateDistribution(
-        uint256 _amount
-    ) external view returns (uint256 ownerAmount, uint256 platformAmount) {
-        platformAmount = (_amount * platformFeePercentage) / PERCENTAGE_BASE;
-        ownerAmount = _amount - platformAmount;
-        return (ownerAmount, platformAmount);
+    function _sendValue(address _to, uint256 _amount) private {
+        (bool success, ) = payable(_to).call{value: _amount}("");
+        if (!success) revert TransferFailed();
     }
 
     /**
-     * @dev Retire un token de la liste des tokens d'un utilisateur.
-     * @param _user L'adresse de l'utilisateur.
-     * @param _tokenId L'ID du token à retirer.
+     * @dev Retire les montants crédités à l'appelant dans une devise ERC-20.
+     * @param _currency Devise des montants.
      */
-    function _removeFromUserTokens(address _user, uint256 _tokenId) private {
-        if (userOwnedTokens[_user].length == 0) return;
-
-        uint256 tokenIndex = userOwnedTokenIndex[_user][_tokenId];
-        uint256 lastIndex = userOwnedTokens[_user].length - 1;
+    function withdrawCurrencyPayments(address _currency) external nonReentrant {
+        uint256 amount = LandPayments.withdraw(
+            currencyPayments[_currency],
+            _currency,
+            msg.sender
+        );
+        emit CurrencyPaymentWithdrawn(_currency, msg.sender, amount);
+    }
 
-        if (tokenIndex != lastIndex) {
-            uint256 lastTokenId = userOwnedTokens[_user][lastIndex];
-            userOwnedTokens[_user][tokenIndex] = lastTokenId;
-            userOwnedTokenIndex[_user][lastTokenId] = tokenIndex;
-        }
 
-        userOwnedTokens[_user].pop();
-        delete userOwnedTokenIndex[_user][_tokenId];
+    /**
+     * @dev Modifie l'adresse qui reçoit les frais de plateforme.
+     * @param _treasury Nouvelle trésorerie.
+     */
+    function setTreasury(address _treasury) external onlyRole(TREASURER_ROLE) {
+        if (_treasury == address(0)) revert InvalidTreasury();
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
     }
 }
@@ -1,19 +1,39 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
-import "./Ownable.sol";
+import "./UpgradeableAccessRoles.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "./LandToken.sol";
+import "./LandAuctions.sol";
+import "./LandPayments.sol";
+import "./LandSignatures.sol";
 
 /**
  * @title LandTokenMarketplacee
  * @dev Contrat permettant la vente, l'achat et l'échange de tokens ERC-721 (LandToken).
  */
-contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
-    LandToken public immutable landToken;
+contract LandTokenMarketplace is
+    ReentrancyGuard,
+    Pausable,
+    UpgradeableAccessRoles,
+    EIP712
+{
+    using LandAuctions for LandAuctions.Auction;
 
-    uint256 public marketplaceFeePercentage = 250;
+    LandToken public landToken;
+
+    uint256 public marketplaceFeePercentage;
     uint256 public constant PERCENTAGE_BASE = 10000;
+    // Frais de marketplace accumulés, versés à la trésorerie par withdrawMarketplaceFees
+    uint256 public accumulatedMarketplaceFees;
+    // Destinataire des frais de marketplace
+    address public treasury;
+
+    // Montants dus à chaque bénéficiaire (vendeurs, royalties, enchérisseurs
+    // dépassés), à retirer via withdrawPayments
+    mapping(address => uint256) public payments;
+    uint256 public totalPendingPayments;
 
     /**
      * @dev Structure représentant une liste de token à vendre.
@@ -41,6 +61,54 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
         private userListedTokenIndex;
     // Horodatage du listing pour chaque token
     mapping(uint256 => uint256) public listingTimestamps;
+    // Date d'expiration du listing (0 = sans expiration)
+    mapping(uint256 => uint256) public listingExpirations;
+    // Nonce EIP-712 de chaque vendeur pour les opérations relayées
+    mapping(address => uint256) public nonces;
+
+    /**
+     * @dev Structure représentant une offre d'achat dont l'ETH est placé en séquestre.
+     * Une offre vise soit un token précis (landId = 0), soit n'importe quel token
+     * d'un terrain (tokenId = 0).
+     */
+    struct Offer {
+        address buyer;
+        uint256 tokenId;
+        uint256 landId;
+        uint256 amount;
+        uint256 expiresAt;
+        bool isActive;
+    }
+
+    // Offres par ID (les IDs commencent à 1)
+    mapping(uint256 => Offer) public offers;
+    uint256 public offerCounter;
+    // Offres émises sur chaque token et sur chaque terrain (actives ou non)
+    mapping(uint256 => uint256[]) private tokenOfferIds;
+    mapping(uint256 => uint256[]) private landOfferIds;
+    // ETH des offres actives, qui n'appartient pas au marketplace
+    uint256 public totalOfferEscrow;
+
+    // Enchère en cours par ID de token (le token figure aussi dans activeListingIds)
+    mapping(uint256 => LandAuctions.Auction) public auctions;
+
+    // Montants dus en devise ERC-20, par devise ; les frais de marketplace y sont
+    // crédités à la trésorerie. Les offres et les enchères se règlent en ETH et sont
+    // refusées sur les terrains payables en devise ERC-20.
+    mapping(address => mapping(address => uint256)) public currencyPayments;
+
+    // Une offre reçue moins de 10 minutes avant la fin prolonge l'enchère d'autant
+    uint256 public constant AUCTION_EXTENSION = 10 minutes;
+
+    // Types EIP-712 signés par le vendeur pour autoriser un listing ou une annulation relayés
+    bytes32 public constant LIST_TYPEHASH =
+        keccak256(
+            "ListRequest(address seller,uint256 tokenId,uint256 price,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 public constant CANCEL_TYPEHASH =
+        keccak256(
+            "CancelRequest(address seller,uint256 tokenId,uint256 nonce,uint256 deadline)"
+        );
 
     event MarketplaceFeeUpdated(uint256 newFeePercentage);
     event MarketplaceFeesCollected(uint256 tokenId, uint256 amount);
@@ -82,6 +150,69 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
      */
     event ListingCancelled(uint256 indexed tokenId);
     event ActiveListingsUpdated(uint256 totalActive);
+    event ListingPriceUpdated(
+        uint256 indexed tokenId,
+        uint256 oldPrice,
+        uint256 newPrice
+    );
+    event ListingExpirationSet(uint256 indexed tokenId, uint256 expiresAt);
+    event RoyaltyPaid(
+        uint256 indexed tokenId,
+        address indexed receiver,
+        uint256 amount
+    );
+    /**
+     * @dev Événement émis lorsqu'un listing expiré est retiré et le token rendu au vendeur.
+     */
+    event ExpiredListingRemoved(
+        uint256 indexed tokenId,
+        address indexed seller
+    );
+
+    event OfferCreated(
+        uint256 indexed offerId,
+        address indexed buyer,
+        uint256 indexed tokenId,
+        uint256 landId,
+        uint256 amount,
+        uint256 expiresAt
+    );
+    event OfferCancelled(uint256 indexed offerId);
+    event AuctionCreated(
+        uint256 indexed tokenId,
+        address indexed seller,
+        LandAuctions.AuctionType auctionType,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 minIncrement,
+        uint256 endTime
+    );
+    event BidPlaced(
+        uint256 indexed tokenId,
+        address indexed bidder,
+        uint256 amount,
+        uint256 endTime
+    );
+    event AuctionSettled(
+        uint256 indexed tokenId,
+        address winner,
+        uint256 price
+    );
+    event AuctionCancelled(uint256 indexed tokenId);
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
+    event TreasuryUpdated(address indexed treasury);
+    event CurrencyPaymentWithdrawn(
+        address indexed currency,
+        address indexed payee,
+        uint256 amount
+    );
+    event OfferAccepted(
+        uint256 indexed offerId,
+        uint256 indexed tokenId,
+        address seller,
+        address buyer,
+        uint256 amount
+    );
 
     error InvalidTokenAddress();
     error NotTokenOwner();
@@ -94,21 +225,52 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
     error TransferFailed();
     error UnauthorizedRelayer();
     error InvalidRelayer();
+    error SignatureExpired();
+    error InvalidSignature();
+    error InvalidOffer();
+    error OfferNotActive();
+    error OfferExpired();
+    error NotOfferBuyer();
+    error TokenNotInLand();
+    error LandNotTokenized();
+    error InvalidAuction();
+    error AuctionActive();
+    error NoActiveAuction();
+    error AuctionEnded();
+    error AuctionNotEnded();
+    error AuctionHasBids();
+    error BidTooLow();
+    error NoEtherToWithdraw();
+    error InvalidFeePercentage();
+    error InvalidTreasury();
+    error ListingExpired();
+    error InvalidExpiration();
+    error NothingToWithdraw();
+    error NotLandModule();
+    error UnsupportedCurrency();
+
+    /**
+     * @dev Constructeur de l'implémentation, verrouillée contre l'initialisation.
+     */
+    constructor() EIP712("LandTokenMarketplace", "1") {}
 
     /**
-     * @dev Constructeur du contrat.
-     * @param _landTokenAddress Adresse du contrat LandToken.
+     * @dev Configure le proxy ; l'appelant devient propriétaire et trésorerie.
+     * @param _landTokenAddress Adresse (proxy) de LandToken.
      */
-    constructor(address _landTokenAddress) {
+    function initialize(address _landTokenAddress) external initializer {
         if (_landTokenAddress == address(0)) revert InvalidTokenAddress();
+        __UpgradeableAccessRoles_init();
         landToken = LandToken(_landTokenAddress);
+        treasury = msg.sender;
+        marketplaceFeePercentage = 250;
     }
 
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
@@ -119,73 +281,122 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
     }
 
     /**
-     * @dev Permet au propriétaire de modifier le pourcentage des frais du marketplace.
+     * @dev Modifie le pourcentage des frais du marketplace, après le délai du timelock.
      * @param _newFeePercentage Nouveau pourcentage de frais (en base 10000, 250 = 2.5%).
      */
     function setMarketplaceFeePercentage(
         uint256 _newFeePercentage
-    ) external onlyOwner {
-        require(_newFeePercentage <= 1000, "Fee cannot exceed 10%");
+    ) external onlyRole(FEE_MANAGER_ROLE) returns (bool) {
+        if (_newFeePercentage > 1000) revert InvalidFeePercentage(); // Max 10%
+        if (!_timelockReady()) return false;
 
         marketplaceFeePercentage = _newFeePercentage;
 
         emit MarketplaceFeeUpdated(_newFeePercentage);
+        return true;
     }
 
     /**
      * @dev Permet au propriétaire de retirer les frais du marketplace collectés.
      */
-    function withdrawMarketplaceFees() external nonReentrant onlyOwner {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No fees to withdraw");
+    function withdrawMarketplaceFees() external nonReentrant onlyRole(TREASURER_ROLE) {
+        uint256 amount = accumulatedMarketplaceFees;
+        if (amount == 0) revert NoEtherToWithdraw();
+
+        accumulatedMarketplaceFees = 0;
+
+        (bool success, ) = payable(treasury).call{value: amount}("");
+        if (!success) revert TransferFailed();
 
-        address payable ownerPayable = payable(owner());
-        (bool success, ) = ownerPayable.call{value: balance}("");
-        require(success, "Transfer failed");
+        emit MarketplaceFeesWithdrawn(treasury, amount);
+    }
 
-        emit MarketplaceFeesWithdrawn(ownerPayable, balance);
+    /**
+     * @dev Modifie l'adresse qui reçoit les frais de marketplace.
+     * @param _treasury Nouvelle trésorerie.
+     */
+    function setTreasury(address _treasury) external onlyRole(TREASURER_ROLE) {
+        if (_treasury == address(0)) revert InvalidTreasury();
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
     }
 
+    /**
+     * @dev Retire les montants crédités à l'appelant : produit de ses ventes,
+     * royalties et enchères dépassées.
+     */
+    function withdrawPayments() external nonReentrant {
+        uint256 amount = payments[msg.sender];
+        if (amount == 0) revert NoEtherToWithdraw();
+
+        payments[msg.sender] = 0;
+        totalPendingPayments -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        emit PaymentWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Retire les montants crédités à l'appelant dans une devise ERC-20.
+     * @param _currency Devise des montants.
+     */
+    function withdrawCurrencyPayments(address _currency) external nonReentrant {
+        uint256 amount = LandPayments.withdraw(
+            currencyPayments[_currency],
+            _currency,
+            msg.sender
+        );
+        emit CurrencyPaymentWithdrawn(_currency, msg.sender, amount);
+    }
+
+
     // Fonctions de gestion des relayers
-    function addRelayer(address _relayer) external onlyOwner {
+    function addRelayer(address _relayer) external onlyRole(RELAYER_ADMIN_ROLE) {
         if (_relayer == address(0)) revert InvalidRelayer();
         relayers[_relayer] = true;
         emit RelayerAdded(_relayer);
     }
 
-    function removeRelayer(address _relayer) external onlyOwner {
+    function removeRelayer(address _relayer) external onlyRole(RELAYER_ADMIN_ROLE) {
         relayers[_relayer] = false;
         emit RelayerRemoved(_relayer);
     }
 
-    // Ajout d'une fonction de listing pour les relayers
+    /**
+     * @dev Permet à un relayer de lister un token pour un utilisateur.
+     * Le vendeur doit avoir signé une requête EIP-712 ListRequest et approuvé le marketplace.
+     * @param _tokenId L'ID du token à lister.
+     * @param _price Le prix demandé pour le token.
+     * @param _seller L'adresse du vendeur.
+     * @param _deadline Timestamp au-delà duquel la signature n'est plus acceptée.
+     * @param _signature Signature EIP-712 du vendeur.
+     */
     function listTokenForUser(
         uint256 _tokenId,
         uint256 _price,
-        address _seller
+        address _seller,
+        uint256 _deadline,
+        bytes calldata _signature
     ) external nonReentrant onlyRelayerOrOwner {
-        if (landToken.ownerOf(_tokenId) != _seller) revert NotTokenOwner();
-        if (_price == 0) revert InvalidPrice();
-        if (listings[_tokenId].isActive) revert AlreadyListed();
-
-        listings[_tokenId] = Listing({
-            tokenId: _tokenId,
-            price: _price,
-            seller: _seller,
-            isActive: true
-        });
-
-        activeListingIds.push(_tokenId);
-        activeListingIndex[_tokenId] = activeListingIds.length - 1;
-        listingTimestamps[_tokenId] = block.timestamp;
-
-        userListedTokens[_seller].push(_tokenId);
-        userListedTokenIndex[_seller][_tokenId] =
-            userListedTokens[_seller].length -
-            1;
+        _useSignature(
+            _seller,
+            keccak256(
+                abi.encode(
+                    LIST_TYPEHASH,
+                    _seller,
+                    _tokenId,
+                    _price,
+                    nonces[_seller],
+                    _deadline
+                )
+            ),
+            _deadline,
+            _signature
+        );
 
-        landToken.transferFrom(_seller, address(this), _tokenId);
-        emit TokenListed(_tokenId, _price, _seller);
+        _createListing(_tokenId, _price, _seller);
         emit ActiveListingsUpdated(activeListingIds.length);
     }
 
@@ -198,49 +409,7 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
         uint256 _tokenId,
         address _buyer
     ) external payable nonReentrant onlyRelayerOrOwner {
-        Listing storage listing = listings[_tokenId];
-        if (!listing.isActive) revert NotListed();
-        if (!landToken.exists(_tokenId)) revert TokenDoesNotExist();
-        if (msg.value < listing.price) revert InsufficientFunds();
-
-        address seller = listing.seller;
-        uint256 price = listing.price;
-
-        // Désactiver le listing avant les transferts
-        listing.isActive = false;
-
-        _removeFromActiveListings(_tokenId);
-        _removeFromUserListings(seller, _tokenId);
-        delete listingTimestamps[_tokenId];
-
-        // Calculer les frais de marketplace
-        uint256 marketplaceFee = (price * marketplaceFeePercentage) /
-            PERCENTAGE_BASE;
-        uint256 sellerAmount = price - marketplaceFee;
-
-        // Transfert du token
-        landToken.transferFrom(address(this), _buyer, _tokenId);
-
-        // Transfert des fonds au vendeur
-        (bool sellerSuccess, ) = payable(seller).call{value: sellerAmount}("");
-        if (!sellerSuccess) revert TransferFailed();
-
-        // Enregistrer les frais collectés
-        if (marketplaceFee > 0) {
-            emit MarketplaceFeesCollected(_tokenId, marketplaceFee);
-        }
-
-        // Remboursement de l'excédent
-        uint256 excess = msg.value - price;
-        if (excess > 0) {
-            (bool refundSuccess, ) = payable(msg.sender).call{value: excess}(
-                ""
-            );
-            if (!refundSuccess) revert TransferFailed();
-        }
-
-        emit TokenSold(_tokenId, seller, _buyer, price);
-        emit ActiveListingsUpdated(activeListingIds.length);
+        _buyListing(_tokenId, _buyer);
     }
 
     /**
@@ -249,32 +418,29 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
      * @param _price Le prix demandé pour le token.
      */
     function listToken(uint256 _tokenId, uint256 _price) external nonReentrant {
-        // Vérifications
-        if (landToken.ownerOf(_tokenId) != msg.sender) revert NotTokenOwner();
-        if (_price == 0) revert InvalidPrice();
-        if (listings[_tokenId].isActive) revert AlreadyListed();
-
-        // Mettre à jour l'état avant l'appel externe
-        listings[_tokenId] = Listing({
-            tokenId: _tokenId,
-            price: _price,
-            seller: msg.sender,
-            isActive: true
-        });
-
-        activeListingIds.push(_tokenId);
-        activeListingIndex[_tokenId] = activeListingIds.length - 1;
-        listingTimestamps[_tokenId] = block.timestamp;
+        _createListing(_tokenId, _price, msg.sender);
+        emit ActiveListingsUpdated(activeListingIds.length);
+    }
 
-        userListedTokens[msg.sender].push(_tokenId);
-        userListedTokenIndex[msg.sender][_tokenId] =
-            userListedTokens[msg.sender].length -
-            1;
+    /**
+     * @dev Liste un token à la vente jusqu'à une date donnée. Passé cette date,
+     * le listing ne peut plus être acheté et le token peut être rendu au vendeur
+     * par sweepExpiredListings.
+     * @param _tokenId L'ID du token à lister.
+     * @param _price Le prix demandé pour le token.
+     * @param _expiresAt Timestamp d'expiration du listing.
+     */
+    function listTokenWithExpiry(
+        uint256 _tokenId,
+        uint256 _price,
+        uint256 _expiresAt
+    ) external nonReentrant {
+        if (_expiresAt <= block.timestamp) revert InvalidExpiration();
 
-        // Appel externe après la mise à jour de l'état
-        landToken.transferFrom(msg.sender, address(this), _tokenId);
+        _createListing(_tokenId, _price, msg.sender);
+        listingExpirations[_tokenId] = _expiresAt;
 
-        emit TokenListed(_tokenId, _price, msg.sender);
+        emit ListingExpirationSet(_tokenId, _expiresAt);
         emit ActiveListingsUpdated(activeListingIds.length);
     }
 
@@ -287,36 +453,10 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
         uint256[] calldata _tokenIds,
         uint256[] calldata _prices
     ) external nonReentrant {
-        require(_tokenIds.length == _prices.length, "Arrays length mismatch");
-        require(_tokenIds.length > 0, "Empty arrays");
+        _checkBatchLengths(_tokenIds.length, _prices.length);
 
         for (uint256 i = 0; i < _tokenIds.length; i++) {
-            uint256 tokenId = _tokenIds[i];
-            uint256 price = _prices[i];
-
-            if (landToken.ownerOf(tokenId) != msg.sender)
-                revert NotTokenOwner();
-            if (price == 0) revert InvalidPrice();
-            if (listings[tokenId].isActive) revert AlreadyListed();
-
-            listings[tokenId] = Listing({
-                tokenId: tokenId,
-                price: price,
-                seller: msg.sender,
-                isActive: true
-            });
-
-            activeListingIds.push(tokenId);
-            activeListingIndex[tokenId] = activeListingIds.length - 1;
-            listingTimestamps[tokenId] = block.timestamp;
-
-            userListedTokens[msg.sender].push(tokenId);
-            userListedTokenIndex[msg.sender][tokenId] =
-                userListedTokens[msg.sender].length -
-                1;
-
-            landToken.transferFrom(msg.sender, address(this), tokenId);
-            emit TokenListed(tokenId, price, msg.sender);
+            _createListing(_tokenIds[i], _prices[i], msg.sender);
         }
 
         emit MultipleTokensListed(msg.sender, _tokenIds.length);
@@ -324,235 +464,775 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
     }
 
     /**
-     * @dev Achète un token listé à la vente avec frais de marketplace.
+     * @dev Achète un token listé à la vente avec frais de marketplace. Le prix se
+     * paie dans la devise du terrain : en ETH via msg.value, en devise ERC-20 par
+     * prélèvement (approve préalable).
      * @param _tokenId L'ID du token à acheter.
      */
     function buyToken(uint256 _tokenId) external payable nonReentrant {
-        Listing storage listing = listings[_tokenId];
-        if (!listing.isActive) revert NotListed();
-        if (!landToken.exists(_tokenId)) revert TokenDoesNotExist();
-        if (msg.value < listing.price) revert InsufficientFunds();
+        _buyListing(_tokenId, msg.sender);
+    }
 
-        address seller = listing.seller;
-        uint256 price = listing.price;
+    /**
+     * @dev Achète un token d'un terrain payé en devise ERC-20, le prélèvement étant
+     * autorisé par une signature EIP-2612 (permit) plutôt que par approve.
+     * @param _tokenId L'ID du token à acheter.
+     * @param _deadline Date limite de la signature permit.
+     */
+    function buyTokenWithPermit(
+        uint256 _tokenId,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant {
+        LandPayments.permit(
+            landToken.tokenCurrency(_tokenId),
+            listings[_tokenId].price,
+            _deadline,
+            _v,
+            _r,
+            _s
+        );
+        _buyListing(_tokenId, msg.sender);
+    }
 
-        // Désactiver le listing avant les transferts
-        listing.isActive = false;
+    /**
+     * @dev Achète plusieurs tokens listés à la vente en une seule transaction.
+     * @param _tokenIds Tableau des IDs des tokens à acheter.
+     */
+    function buyMultipleTokens(
+        uint256[] calldata _tokenIds
+    ) external payable nonReentrant {
+        _buyMultipleListings(_tokenIds, msg.sender);
+    }
 
-        _removeFromActiveListings(_tokenId);
-        _removeFromUserListings(seller, _tokenId);
-        delete listingTimestamps[_tokenId];
+    /**
+     * @dev Permet à un relayer d'acheter plusieurs tokens pour un utilisateur.
+     * @param _tokenIds Tableau des IDs des tokens à acheter.
+     * @param _buyer L'adresse de l'acheteur.
+     */
+    function buyMultipleTokensForUser(
+        uint256[] calldata _tokenIds,
+        address _buyer
+    ) external payable nonReentrant onlyRelayerOrOwner {
+        _buyMultipleListings(_tokenIds, _buyer);
+    }
 
-        // Calculer les frais de marketplace
-        uint256 marketplaceFee = (price * marketplaceFeePercentage) /
-            PERCENTAGE_BASE;
-        uint256 sellerAmount = price - marketplaceFee;
+    /**
+     * @dev Modifie le prix d'un listing sans sortir le token du séquestre.
+     * @param _tokenId L'ID du token listé.
+     * @param _newPrice Le nouveau prix demandé.
+     */
+    function updateListingPrice(
+        uint256 _tokenId,
+        uint256 _newPrice
+    ) external nonReentrant {
+        _updateListingPrice(_tokenId, _newPrice);
+    }
 
-        // Transfert du token
-        landToken.transferFrom(address(this), msg.sender, _tokenId);
+    /**
+     * @dev Modifie le prix de plusieurs listings en une seule transaction.
+     * @param _tokenIds Tableau des IDs des tokens listés.
+     * @param _newPrices Tableau des nouveaux prix.
+     */
+    function updateMultipleListingPrices(
+        uint256[] calldata _tokenIds,
+        uint256[] calldata _newPrices
+    ) external nonReentrant {
+        _checkBatchLengths(_tokenIds.length, _newPrices.length);
 
-        // Transfert des fonds au vendeur
-        (bool sellerSuccess, ) = payable(seller).call{value: sellerAmount}("");
-        if (!sellerSuccess) revert TransferFailed();
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            _updateListingPrice(_tokenIds[i], _newPrices[i]);
+        }
+    }
 
-        // Enregistrer les frais collectés
-        if (marketplaceFee > 0) {
-            emit MarketplaceFeesCollected(_tokenId, marketplaceFee);
+    /**
+     * @dev Rend à leurs vendeurs les tokens des listings expirés. Appelable par
+     * tous ; les tokens dont le listing n'est pas expiré sont ignorés.
+     * @param _tokenIds Les IDs des tokens à vérifier.
+     * @return removed Le nombre de listings retirés.
+     */
+    function sweepExpiredListings(
+        uint256[] calldata _tokenIds
+    ) external nonReentrant returns (uint256 removed) {
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            uint256 tokenId = _tokenIds[i];
+            if (!isListingExpired(tokenId)) continue;
+
+            address seller = listings[tokenId].seller;
+            _closeListing(tokenId, seller);
+            emit ExpiredListingRemoved(tokenId, seller);
+            landToken.transferFrom(address(this), seller, tokenId);
+            removed++;
         }
 
-        // Remboursement de l'excédent
-        uint256 excess = msg.value - price;
-        if (excess > 0) {
-            (bool refundSuccess, ) = payable(msg.sender).call{value: excess}(
-                ""
-            );
-            if (!refundSuccess) revert TransferFailed();
+        if (removed > 0) {
+            emit ActiveListingsUpdated(activeListingIds.length);
         }
+    }
 
-        emit TokenSold(_tokenId, seller, msg.sender, price);
-        emit ActiveListingsUpdated(activeListingIds.length);
+    /**
+     * @dev Indique si un listing actif a dépassé sa date d'expiration.
+     * @param _tokenId L'ID du token.
+     * @return true si le listing est actif et expiré.
+     */
+    function isListingExpired(uint256 _tokenId) public view returns (bool) {
+        uint256 expiresAt = listingExpirations[_tokenId];
+        return
+            listings[_tokenId].isActive &&
+            expiresAt != 0 &&
+            block.timestamp >= expiresAt;
     }
 
     /**
-     * @dev Achète plusieurs tokens listés à la vente en une seule transaction.
-     * @param _tokenIds Tableau des IDs des tokens à acheter.
+     * @dev Annule une liste de token.
+     * @param _tokenId L'ID du token dont la liste doit être annulée.
      */
-    function buyMultipleTokens(
-        uint256[] calldata _tokenIds
-    ) external payable nonReentrant {
-        require(_tokenIds.length > 0, "Empty token IDs array");
+    function cancelListing(uint256 _tokenId) external nonReentrant {
+        _cancelListing(_tokenId, msg.sender);
+    }
 
-        uint256 totalPrice = 0;
-        address[] memory sellers = new address[](_tokenIds.length);
-        uint256[] memory prices = new uint256[](_tokenIds.length);
-        uint256[] memory marketplaceFees = new uint256[](_tokenIds.length);
-        uint256[] memory sellerAmounts = new uint256[](_tokenIds.length);
+    /**
+     * @dev Permet à un relayer d'annuler un listing pour un utilisateur.
+     * Le vendeur doit avoir signé une requête EIP-712 CancelRequest.
+     * @param _tokenId L'ID du token dont la liste doit être annulée.
+     * @param _seller L'adresse du vendeur.
+     * @param _deadline Timestamp au-delà duquel la signature n'est plus acceptée.
+     * @param _signature Signature EIP-712 du vendeur.
+     */
+    function cancelListingForUser(
+        uint256 _tokenId,
+        address _seller,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external nonReentrant onlyRelayerOrOwner {
+        _useSignature(
+            _seller,
+            keccak256(
+                abi.encode(
+                    CANCEL_TYPEHASH,
+                    _seller,
+                    _tokenId,
+                    nonces[_seller],
+                    _deadline
+                )
+            ),
+            _deadline,
+            _signature
+        );
 
-        // Première étape: vérifier tous les tokens et calculer le prix total
-        for (uint256 i = 0; i < _tokenIds.length; i++) {
-            uint256 tokenId = _tokenIds[i];
-            Listing storage listing = listings[tokenId];
+        _cancelListing(_tokenId, _seller);
+    }
 
-            if (!listing.isActive) revert NotListed();
-            if (!landToken.exists(tokenId)) revert TokenDoesNotExist();
+    /**
+     * @dev Fait une offre sur un token, listé ou non, en plaçant l'ETH envoyé en séquestre.
+     * @param _tokenId L'ID du token visé.
+     * @param _expiresAt Timestamp à partir duquel l'offre ne peut plus être acceptée.
+     * @return offerId L'ID de l'offre créée.
+     */
+    function makeOffer(
+        uint256 _tokenId,
+        uint256 _expiresAt
+    ) external payable whenNotPaused nonReentrant returns (uint256 offerId) {
+        if (!landToken.exists(_tokenId)) revert TokenDoesNotExist();
 
-            uint256 price = listing.price;
-            totalPrice += price;
+        offerId = _createOffer(_tokenId, 0, _expiresAt);
+        tokenOfferIds[_tokenId].push(offerId);
+    }
 
-            // Stocker les informations pour le traitement ultérieur
-            sellers[i] = listing.seller;
-            prices[i] = price;
+    /**
+     * @dev Fait une offre sur n'importe quel token d'un terrain tokenisé.
+     * @param _landId L'ID du terrain visé.
+     * @param _expiresAt Timestamp à partir duquel l'offre ne peut plus être acceptée.
+     * @return offerId L'ID de l'offre créée.
+     */
+    function makeLandOffer(
+        uint256 _landId,
+        uint256 _expiresAt
+    ) external payable whenNotPaused nonReentrant returns (uint256 offerId) {
+        (bool isTokenized, , , , ) = landToken.landRegistry().getLandDetails(
+            _landId
+        );
+        if (!isTokenized) revert LandNotTokenized();
 
-            // Calculer les frais de marketplace et le montant du vendeur
-            marketplaceFees[i] =
-                (price * marketplaceFeePercentage) /
-                PERCENTAGE_BASE;
-            sellerAmounts[i] = price - marketplaceFees[i];
+        offerId = _createOffer(0, _landId, _expiresAt);
+        landOfferIds[_landId].push(offerId);
+    }
+
+    /**
+     * @dev Annule une offre et rembourse l'acheteur. Sert aussi à récupérer
+     * l'ETH d'une offre expirée ; reste possible lorsque le contrat est en pause.
+     * @param _offerId L'ID de l'offre.
+     */
+    function cancelOffer(uint256 _offerId) external nonReentrant {
+        Offer storage offer = offers[_offerId];
+        if (!offer.isActive) revert OfferNotActive();
+        if (offer.buyer != msg.sender) revert NotOfferBuyer();
 
-            // Désactiver le listing
-            listing.isActive = false;
+        uint256 amount = offer.amount;
+        offer.isActive = false;
+        totalOfferEscrow -= amount;
 
-            _removeFromActiveListings(tokenId);
-            _removeFromUserListings(sellers[i], tokenId);
+        emit OfferCancelled(_offerId);
 
-            delete listingTimestamps[tokenId];
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+    }
+
+    /**
+     * @dev Accepte une offre. L'appelant doit détenir le token : soit directement
+     * (le marketplace doit alors être approuvé), soit en tant que vendeur d'un
+     * listing actif, qui est clôturé. Les frais de marketplace sont prélevés
+     * comme pour buyToken.
+     * @param _offerId L'ID de l'offre.
+     * @param _tokenId Le token vendu (celui de l'offre, ou un token du terrain visé).
+     */
+    function acceptOffer(
+        uint256 _offerId,
+        uint256 _tokenId
+    ) external whenNotPaused nonReentrant {
+        Offer storage offer = offers[_offerId];
+        if (!offer.isActive) revert OfferNotActive();
+        if (block.timestamp >= offer.expiresAt) revert OfferExpired();
+        if (offer.landId == 0) {
+            if (offer.tokenId != _tokenId) revert InvalidOffer();
+        } else {
+            (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+            if (landId != offer.landId) revert TokenNotInLand();
         }
 
-        // Vérifier que l'acheteur a envoyé assez d'ETH
-        if (msg.value < totalPrice) revert InsufficientFunds();
+        address buyer = offer.buyer;
+        uint256 amount = offer.amount;
+        offer.isActive = false;
+        totalOfferEscrow -= amount;
+
+        // Le vendeur peut accepter une offre sur un token qu'il a mis en vente
+        if (listings[_tokenId].isActive) {
+            if (listings[_tokenId].seller != msg.sender) revert NotSeller();
+            if (auctions[_tokenId].isActive) revert AuctionActive();
+            _closeListing(_tokenId, msg.sender);
+            emit ActiveListingsUpdated(activeListingIds.length);
+        } else {
+            if (landToken.ownerOf(_tokenId) != msg.sender) revert NotTokenOwner();
+            // Le token passe par le séquestre du marketplace avant la vente
+            landToken.transferFrom(msg.sender, address(this), _tokenId);
+        }
 
-        // Deuxième étape: transférer les tokens et les fonds
-        uint256 totalMarketplaceFee = 0;
+        emit OfferAccepted(_offerId, _tokenId, msg.sender, buyer, amount);
+        _completeSale(_tokenId, msg.sender, buyer, amount, address(0));
+    }
 
-        for (uint256 i = 0; i < _tokenIds.length; i++) {
-            uint256 tokenId = _tokenIds[i];
-            address seller = sellers[i];
-            uint256 sellerAmount = sellerAmounts[i];
-            uint256 marketplaceFee = marketplaceFees[i];
+    /**
+     * @dev Met un token aux enchères anglaises. Le token est placé en séquestre
+     * et apparaît dans les listings actifs avec le prix de réserve.
+     * @param _tokenId L'ID du token.
+     * @param _reservePrice Prix minimum de la première offre.
+     * @param _minIncrement Augmentation minimale entre deux offres.
+     * @param _duration Durée de l'enchère en secondes.
+     */
+    function createEnglishAuction(
+        uint256 _tokenId,
+        uint256 _reservePrice,
+        uint256 _minIncrement,
+        uint256 _duration
+    ) external whenNotPaused nonReentrant {
+        if (_duration == 0 || _minIncrement == 0) revert InvalidAuction();
+        _createAuction(
+            _tokenId,
+            LandAuctions.AuctionType.English,
+            _reservePrice,
+            0,
+            _minIncrement,
+            _duration
+        );
+    }
 
-            // Transférer le token
-            landToken.transferFrom(address(this), msg.sender, tokenId);
+    /**
+     * @dev Met un token aux enchères hollandaises : le prix décroît linéairement
+     * de _startPrice à _floorPrice pendant _duration, puis reste au plancher.
+     * @param _tokenId L'ID du token.
+     * @param _startPrice Prix de départ.
+     * @param _floorPrice Prix plancher, inférieur au prix de départ.
+     * @param _duration Durée de la décroissance en secondes.
+     */
+    function createDutchAuction(
+        uint256 _tokenId,
+        uint256 _startPrice,
+        uint256 _floorPrice,
+        uint256 _duration
+    ) external whenNotPaused nonReentrant {
+        if (_duration == 0 || _floorPrice >= _startPrice)
+            revert InvalidAuction();
+        _createAuction(
+            _tokenId,
+            LandAuctions.AuctionType.Dutch,
+            _startPrice,
+            _floorPrice,
+            0,
+            _duration
+        );
+    }
 
-            // Transférer les fonds au vendeur
-            (bool sellerSuccess, ) = payable(seller).call{value: sellerAmount}(
-                ""
-            );
-            if (!sellerSuccess) revert TransferFailed();
+    /**
+     * @dev Enchérit sur une enchère anglaise. L'offre dépassée est créditée à son
+     * auteur (withdrawPayments). Une offre reçue dans les
+     * AUCTION_EXTENSION dernières secondes prolonge l'enchère.
+     * @param _tokenId L'ID du token.
+     */
+    function placeBid(
+        uint256 _tokenId
+    ) external payable whenNotPaused nonReentrant {
+        LandAuctions.Auction storage auction = auctions[_tokenId];
+        (address previousBidder, uint256 previousBid) = auction.bid(
+            msg.value,
+            AUCTION_EXTENSION
+        );
+        _checkCompliance(_tokenId, 0);
 
-            // Ajouter au total des frais de marketplace
-            totalMarketplaceFee += marketplaceFee;
+        if (previousBidder != address(0)) {
+            _creditPayment(previousBidder, previousBid, address(0));
+        }
+        // Le listing affiche la meilleure offre en cours
+        listings[_tokenId].price = msg.value;
+
+        emit BidPlaced(_tokenId, msg.sender, msg.value, auction.endTime);
+    }
 
-            // Émettre l'événement de vente
-            emit TokenSold(tokenId, seller, msg.sender, prices[i]);
-            emit MarketplaceFeesCollected(tokenId, marketplaceFee);
+    /**
+     * @dev Clôture une enchère anglaise terminée : le token revient au meilleur
+     * enchérisseur (frais de marketplace déduits pour le vendeur), ou au vendeur
+     * si aucune offre n'a été faite ou si le gagnant ne peut plus le recevoir
+     * (KYC expiré, par exemple) ; son offre lui est alors créditée. Appelable par tous.
+     * @param _tokenId L'ID du token.
+     */
+    function settleAuction(uint256 _tokenId) external nonReentrant {
+        LandAuctions.Auction storage auction = auctions[_tokenId];
+        if (
+            !auction.isActive ||
+            auction.auctionType != LandAuctions.AuctionType.English
+        ) revert NoActiveAuction();
+        if (block.timestamp < auction.endTime) revert AuctionNotEnded();
+
+        address seller = auction.seller;
+        address winner = auction.highestBidder;
+        uint256 price = auction.highestBid;
+
+        if (winner == address(0) || !_canReceive(winner, _tokenId)) {
+            emit AuctionSettled(_tokenId, address(0), 0);
+            _returnToSeller(_tokenId, seller);
+            return;
         }
 
-        // Émettre un événement pour l'achat groupé
-        emit MultipleTokensBought(
-            msg.sender,
-            _tokenIds.length,
-            totalPrice,
-            totalMarketplaceFee
-        );
+        auction.isActive = false;
+        _closeListing(_tokenId, seller);
         emit ActiveListingsUpdated(activeListingIds.length);
+        emit AuctionSettled(_tokenId, winner, price);
 
-        // Remboursement de l'excédent
-        uint256 excess = msg.value - totalPrice;
-        if (excess > 0) {
-            (bool refundSuccess, ) = payable(msg.sender).call{value: excess}(
-                ""
-            );
-            if (!refundSuccess) revert TransferFailed();
+        _completeSale(_tokenId, seller, winner, price, address(0));
+    }
+
+    /**
+     * @dev Achète un token mis aux enchères hollandaises au prix courant ;
+     * l'excédent est remboursé.
+     * @param _tokenId L'ID du token.
+     */
+    function buyDutchAuction(
+        uint256 _tokenId
+    ) external payable whenNotPaused nonReentrant {
+        LandAuctions.Auction storage auction = auctions[_tokenId];
+        if (
+            !auction.isActive ||
+            auction.auctionType != LandAuctions.AuctionType.Dutch
+        ) revert NoActiveAuction();
+
+        uint256 price = auction.price();
+        if (msg.value < price) revert InsufficientFunds();
+
+        address seller = auction.seller;
+        auction.isActive = false;
+        _closeListing(_tokenId, seller);
+        emit ActiveListingsUpdated(activeListingIds.length);
+        emit AuctionSettled(_tokenId, msg.sender, price);
+
+        _completeSale(_tokenId, seller, msg.sender, price, address(0));
+        _refundExcess(price);
+    }
+
+    /**
+     * @dev Annule une enchère et rend le token au vendeur. Une enchère anglaise
+     * ne peut plus être annulée après la première offre.
+     * @param _tokenId L'ID du token.
+     */
+    function cancelAuction(uint256 _tokenId) external nonReentrant {
+        LandAuctions.Auction storage auction = auctions[_tokenId];
+        if (!auction.isActive) revert NoActiveAuction();
+        if (auction.seller != msg.sender) revert NotSeller();
+        if (auction.highestBidder != address(0)) revert AuctionHasBids();
+
+        auction.isActive = false;
+        emit AuctionCancelled(_tokenId);
+        _cancelListing(_tokenId, msg.sender);
+    }
+
+    /**
+     * @dev Retire de la vente un token en séquestre et le rend à son vendeur, à la
+     * demande du module de rachat de LandToken avant un rachat forcé, de son module
+     * de levée de fonds avant le remboursement d'une campagne échouée, ou de son
+     * module de conformité avant un transfert forcé. Une enchère en cours est annulée
+     * et sa meilleure offre créditée à son auteur.
+     * @param _tokenId L'ID du token.
+     */
+    function releaseToken(uint256 _tokenId) external nonReentrant {
+        if (
+            msg.sender != landToken.buyout() &&
+            msg.sender != landToken.crowdfunding() &&
+            msg.sender != landToken.compliance()
+        ) revert NotLandModule();
+        Listing storage listing = listings[_tokenId];
+        if (!listing.isActive) revert NotListed();
+
+        if (auctions[_tokenId].isActive) emit AuctionCancelled(_tokenId);
+        _returnToSeller(_tokenId, listing.seller);
+    }
+
+    /**
+     * @dev Prix courant d'une enchère : offre minimale acceptée pour une enchère
+     * anglaise, prix d'achat immédiat pour une enchère hollandaise.
+     * @param _tokenId L'ID du token.
+     * @return Le prix en wei.
+     */
+    function getAuctionPrice(uint256 _tokenId) external view returns (uint256) {
+        return auctions[_tokenId].price();
+    }
+
+    /**
+     * @dev Récupère les IDs des offres émises sur un token (actives ou non).
+     * @param _tokenId L'ID du token.
+     */
+    function getOffersByToken(
+        uint256 _tokenId
+    ) external view returns (uint256[] memory) {
+        return tokenOfferIds[_tokenId];
+    }
+
+    /**
+     * @dev Récupère les IDs des offres émises sur un terrain (actives ou non).
+     * @param _landId L'ID du terrain.
+     */
+    function getOffersByLand(
+        uint256 _landId
+    ) external view returns (uint256[] memory) {
+        return landOfferIds[_landId];
+    }
+
+    /**
+     * @dev Retourne le séparateur de domaine EIP-712 utilisé pour les requêtes signées.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Crée un listing et place le token en séquestre dans le marketplace.
+     * @param _tokenId L'ID du token à lister.
+     * @param _price Le prix demandé pour le token.
+     * @param _seller L'adresse du vendeur.
+     */
+    function _createListing(
+        uint256 _tokenId,
+        uint256 _price,
+        address _seller
+    ) private {
+        // Vérifications
+        if (landToken.ownerOf(_tokenId) != _seller) revert NotTokenOwner();
+        if (_price == 0) revert InvalidPrice();
+        if (listings[_tokenId].isActive) revert AlreadyListed();
+
+        // Mettre à jour l'état avant l'appel externe
+        listings[_tokenId] = Listing({
+            tokenId: _tokenId,
+            price: _price,
+            seller: _seller,
+            isActive: true
+        });
+
+        activeListingIds.push(_tokenId);
+        activeListingIndex[_tokenId] = activeListingIds.length - 1;
+        listingTimestamps[_tokenId] = block.timestamp;
+
+        userListedTokens[_seller].push(_tokenId);
+        userListedTokenIndex[_seller][_tokenId] =
+            userListedTokens[_seller].length -
+            1;
+
+        // Appel externe après la mise à jour de l'état
+        landToken.transferFrom(_seller, address(this), _tokenId);
+
+        emit TokenListed(_tokenId, _price, _seller);
+    }
+
+    /**
+     * @dev Annule un listing et rend le token à son vendeur.
+     * @param _tokenId L'ID du token dont la liste doit être annulée.
+     * @param _seller L'adresse du vendeur.
+     */
+    function _cancelListing(uint256 _tokenId, address _seller) private {
+        Listing storage listing = listings[_tokenId];
+        if (listing.seller != _seller) revert NotSeller();
+        if (!listing.isActive) revert NotListed();
+        if (auctions[_tokenId].isActive) revert AuctionActive();
+
+        _returnToSeller(_tokenId, _seller);
+    }
+
+    /**
+     * @dev Ferme le listing d'un token et le rend à son vendeur. Une enchère anglaise
+     * encore active est close et sa meilleure offre créditée à son auteur.
+     * @param _tokenId L'ID du token.
+     * @param _seller Le vendeur du listing.
+     */
+    function _returnToSeller(uint256 _tokenId, address _seller) private {
+        LandAuctions.Auction storage auction = auctions[_tokenId];
+        if (auction.isActive) {
+            auction.isActive = false;
+            if (auction.highestBidder != address(0)) {
+                _creditPayment(auction.highestBidder, auction.highestBid, address(0));
+            }
         }
+
+        // Update state before external call
+        _closeListing(_tokenId, _seller);
+
+        // Émettre l'événement avant l'appel externe
+        emit ListingCancelled(_tokenId);
+        emit ActiveListingsUpdated(activeListingIds.length);
+
+        // External call last
+        landToken.transferFrom(address(this), _seller, _tokenId);
     }
 
     /**
-     * @dev Permet à un relayer d'acheter plusieurs tokens pour un utilisateur.
+     * @dev Achète un listing à prix fixe.
+     * @param _tokenId L'ID du token à acheter.
+     * @param _buyer L'adresse qui reçoit le token.
+     */
+    function _buyListing(uint256 _tokenId, address _buyer) private {
+        uint256[] memory tokenIds = new uint256[](1);
+        tokenIds[0] = _tokenId;
+        _buyListings(tokenIds, _buyer);
+    }
+
+    /**
+     * @dev Achète plusieurs listings à prix fixe en une seule transaction.
      * @param _tokenIds Tableau des IDs des tokens à acheter.
-     * @param _buyer L'adresse de l'acheteur.
+     * @param _buyer L'adresse qui reçoit les tokens.
      */
-    function buyMultipleTokensForUser(
+    function _buyMultipleListings(
         uint256[] calldata _tokenIds,
         address _buyer
-    ) external payable nonReentrant onlyRelayerOrOwner {
+    ) private {
         require(_tokenIds.length > 0, "Empty token IDs array");
 
-        uint256 totalPrice = 0;
+        (uint256 totalPrice, uint256 totalMarketplaceFee) = _buyListings(
+            _tokenIds,
+            _buyer
+        );
+
+        emit MultipleTokensBought(
+            _buyer,
+            _tokenIds.length,
+            totalPrice,
+            totalMarketplaceFee
+        );
+    }
+
+    /**
+     * @dev Logique commune des achats à prix fixe : chaque token se paie dans la
+     * devise de son terrain, l'ETH envoyé au-delà du total dû en ETH est remboursé
+     * à l'appelant.
+     * @param _tokenIds Tableau des IDs des tokens à acheter.
+     * @param _buyer L'adresse qui reçoit les tokens.
+     * @return totalPrice La somme des prix payés.
+     * @return totalMarketplaceFee Les frais de marketplace prélevés.
+     */
+    function _buyListings(
+        uint256[] memory _tokenIds,
+        address _buyer
+    ) private returns (uint256 totalPrice, uint256 totalMarketplaceFee) {
+        uint256 etherDue = 0;
         address[] memory sellers = new address[](_tokenIds.length);
         uint256[] memory prices = new uint256[](_tokenIds.length);
-        uint256[] memory marketplaceFees = new uint256[](_tokenIds.length);
-        uint256[] memory sellerAmounts = new uint256[](_tokenIds.length);
+        address[] memory currencies = new address[](_tokenIds.length);
 
-        // Première étape: vérifier tous les tokens et calculer le prix total
+        // Première étape: vérifier, encaisser et clôturer tous les listings
         for (uint256 i = 0; i < _tokenIds.length; i++) {
             uint256 tokenId = _tokenIds[i];
             Listing storage listing = listings[tokenId];
 
             if (!listing.isActive) revert NotListed();
+            if (auctions[tokenId].isActive) revert AuctionActive();
+            if (isListingExpired(tokenId)) revert ListingExpired();
             if (!landToken.exists(tokenId)) revert TokenDoesNotExist();
 
-            uint256 price = listing.price;
-            totalPrice += price;
-
-            // Stocker les informations pour le traitement ultérieur
             sellers[i] = listing.seller;
-            prices[i] = price;
+            prices[i] = listing.price;
+            currencies[i] = landToken.tokenCurrency(tokenId);
+            totalPrice += prices[i];
+            etherDue += _collectPayment(currencies[i], prices[i]);
 
-            // Calculer les frais de marketplace et le montant du vendeur
-            marketplaceFees[i] =
-                (price * marketplaceFeePercentage) /
-                PERCENTAGE_BASE;
-            sellerAmounts[i] = price - marketplaceFees[i];
+            _closeListing(tokenId, sellers[i]);
+        }
 
-            // Désactiver le listing
-            listing.isActive = false;
+        // Vérifier que l'acheteur a envoyé assez d'ETH pour les tokens payés en ETH
+        if (msg.value < etherDue) revert InsufficientFunds();
 
-            // NOUVEAU CODE: Retirer des index
-            _removeFromActiveListings(tokenId);
-            _removeFromUserListings(sellers[i], tokenId);
-            delete listingTimestamps[tokenId];
+        // Deuxième étape: transférer les tokens et créditer les fonds
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            totalMarketplaceFee += _completeSale(
+                _tokenIds[i],
+                sellers[i],
+                _buyer,
+                prices[i],
+                currencies[i]
+            );
         }
 
-        // Vérifier que le relayer a envoyé assez d'ETH
-        if (msg.value < totalPrice) revert InsufficientFunds();
+        emit ActiveListingsUpdated(activeListingIds.length);
 
-        // Deuxième étape: transférer les tokens et les fonds
-        uint256 totalMarketplaceFee = 0;
+        _refundExcess(etherDue);
+    }
 
-        for (uint256 i = 0; i < _tokenIds.length; i++) {
-            uint256 tokenId = _tokenIds[i];
-            address seller = sellers[i];
-            uint256 sellerAmount = sellerAmounts[i];
-            uint256 marketplaceFee = marketplaceFees[i];
+    /**
+     * @dev Désactive un listing et le retire des index.
+     * @param _tokenId L'ID du token.
+     * @param _seller Le vendeur du listing.
+     */
+    function _closeListing(uint256 _tokenId, address _seller) private {
+        listings[_tokenId].isActive = false;
+
+        _removeFromActiveListings(_tokenId);
+        _removeFromUserListings(_seller, _tokenId);
+        delete listingTimestamps[_tokenId];
+        delete listingExpirations[_tokenId];
+    }
 
-            // Transférer le token
-            landToken.transferFrom(address(this), _buyer, tokenId);
+    /**
+     * @dev Modifie le prix d'un listing à prix fixe non expiré.
+     * @param _tokenId L'ID du token listé.
+     * @param _newPrice Le nouveau prix demandé.
+     */
+    function _updateListingPrice(uint256 _tokenId, uint256 _newPrice) private {
+        Listing storage listing = listings[_tokenId];
+        if (!listing.isActive) revert NotListed();
+        if (listing.seller != msg.sender) revert NotSeller();
+        if (auctions[_tokenId].isActive) revert AuctionActive();
+        if (isListingExpired(_tokenId)) revert ListingExpired();
+        if (_newPrice == 0) revert InvalidPrice();
 
-            // Transférer les fonds au vendeur
-            (bool sellerSuccess, ) = payable(seller).call{value: sellerAmount}(
-                ""
-            );
-            if (!sellerSuccess) revert TransferFailed();
+        uint256 oldPrice = listing.price;
+        listing.price = _newPrice;
 
-            // Ajouter au total des frais de marketplace
-            totalMarketplaceFee += marketplaceFee;
+        emit ListingPriceUpdated(_tokenId, oldPrice, _newPrice);
+    }
 
-            // Émettre l'événement de vente
-            emit TokenSold(tokenId, seller, _buyer, prices[i]);
-            emit MarketplaceFeesCollected(tokenId, marketplaceFee);
-        }
+    /**
+     * @dev Livre un token détenu en séquestre à l'acheteur et crédite le vendeur,
+     * frais de marketplace et royalty EIP-2981 déduits. Commun aux achats,
+     * offres et enchères.
+     * @param _tokenId L'ID du token vendu.
+     * @param _seller Le vendeur.
+     * @param _buyer L'acheteur.
+     * @param _price Le prix de vente.
+     * @param _currency La devise du prix (zéro : ETH).
+     * @return marketplaceFee Les frais de marketplace prélevés.
+     */
+    function _completeSale(
+        uint256 _tokenId,
+        address _seller,
+        address _buyer,
+        uint256 _price,
+        address _currency
+    ) private returns (uint256 marketplaceFee) {
+        // Calculer les frais de marketplace
+        marketplaceFee = (_price * marketplaceFeePercentage) / PERCENTAGE_BASE;
+        uint256 sellerAmount = _price - marketplaceFee;
 
-        // Émettre un événement pour l'achat groupé
-        emit MultipleTokensBought(
-            _buyer,
-            _tokenIds.length,
-            totalPrice,
-            totalMarketplaceFee
+        // Royalty due au propriétaire d'origine du terrain
+        (address royaltyReceiver, uint256 royalty) = landToken.royaltyInfo(
+            _tokenId,
+            _price
         );
-        emit ActiveListingsUpdated(activeListingIds.length);
+        if (royaltyReceiver == address(0)) {
+            royalty = 0;
+        } else if (royalty > sellerAmount) {
+            royalty = sellerAmount;
+        }
+        sellerAmount -= royalty;
+
+        // Transfert du token
+        landToken.transferFrom(address(this), _buyer, _tokenId);
+
+        if (royalty > 0) {
+            _creditPayment(royaltyReceiver, royalty, _currency);
+            emit RoyaltyPaid(_tokenId, royaltyReceiver, royalty);
+        }
+
+        // Un vendeur qui refuse l'ETH ne peut pas bloquer la vente
+        _creditPayment(_seller, sellerAmount, _currency);
+
+        // Enregistrer les frais collectés
+        if (marketplaceFee > 0) {
+            if (_currency == address(0)) {
+                accumulatedMarketplaceFees += marketplaceFee;
+            } else {
+                currencyPayments[_currency][treasury] += marketplaceFee;
+            }
+            emit MarketplaceFeesCollected(_tokenId, marketplaceFee);
+        }
+
+        emit TokenSold(_tokenId, _seller, _buyer, _price);
+    }
+
+    /**
+     * @dev Crédite un montant à retirer via withdrawPayments, ou via
+     * withdrawCurrencyPayments pour une devise ERC-20.
+     */
+    function _creditPayment(
+        address _payee,
+        uint256 _amount,
+        address _currency
+    ) private {
+        if (_currency == address(0)) {
+            payments[_payee] += _amount;
+            totalPendingPayments += _amount;
+        } else {
+            currencyPayments[_currency][_payee] += _amount;
+        }
+    }
+
+    /**
+     * @dev Prélève auprès de l'appelant un prix en devise ERC-20 ; un prix en ETH
+     * doit figurer dans msg.value.
+     * @param _currency La devise du prix (zéro : ETH).
+     * @param _price Le prix dû.
+     * @return Le montant dû en ETH.
+     */
+    function _collectPayment(
+        address _currency,
+        uint256 _price
+    ) private returns (uint256) {
+        if (_currency == address(0)) return _price;
+        LandPayments.collect(_currency, _price);
+        return 0;
+    }
 
-        // Remboursement de l'excédent
-        uint256 excess = msg.value - totalPrice;
+    /**
+     * @dev Rembourse à l'appelant l'ETH envoyé au-delà du prix payé.
+     * @param _price Le montant effectivement dû.
+     */
+    function _refundExcess(uint256 _price) private {
+        uint256 excess = msg.value - _price;
         if (excess > 0) {
             (bool refundSuccess, ) = payable(msg.sender).call{value: excess}(
                 ""
@@ -562,27 +1242,149 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
     }
 
     /**
-     * @dev Annule une liste de token.
-     * @param _tokenId L'ID du token dont la liste doit être annulée.
+     * @dev Place le token en séquestre via un listing et enregistre l'enchère.
      */
-    function cancelListing(uint256 _tokenId) external nonReentrant {
-        Listing storage listing = listings[_tokenId];
-        if (listing.seller != msg.sender) revert NotSeller();
-        if (!listing.isActive) revert NotListed();
+    function _createAuction(
+        uint256 _tokenId,
+        LandAuctions.AuctionType _auctionType,
+        uint256 _startPrice,
+        uint256 _floorPrice,
+        uint256 _minIncrement,
+        uint256 _duration
+    ) private {
+        _requireEther(_tokenId, 0);
+        _createListing(_tokenId, _startPrice, msg.sender);
+
+        uint256 endTime = auctions[_tokenId].start(
+            _auctionType,
+            _startPrice,
+            _floorPrice,
+            _minIncrement,
+            _duration
+        );
 
-        // Update state before external call
-        listing.isActive = false;
+        emit AuctionCreated(
+            _tokenId,
+            msg.sender,
+            _auctionType,
+            _startPrice,
+            _floorPrice,
+            _minIncrement,
+            endTime
+        );
+        emit ActiveListingsUpdated(activeListingIds.length);
+    }
 
-        _removeFromActiveListings(_tokenId);
-        _removeFromUserListings(msg.sender, _tokenId);
-        delete listingTimestamps[_tokenId];
+    /**
+     * @dev Enregistre une offre et place l'ETH envoyé en séquestre.
+     * @param _tokenId Le token visé (0 pour une offre sur un terrain).
+     * @param _landId Le terrain visé (0 pour une offre sur un token).
+     * @param _expiresAt Timestamp d'expiration de l'offre.
+     * @return offerId L'ID de l'offre créée.
+     */
+    function _createOffer(
+        uint256 _tokenId,
+        uint256 _landId,
+        uint256 _expiresAt
+    ) private returns (uint256 offerId) {
+        if (msg.value == 0) revert InvalidPrice();
+        if (_expiresAt <= block.timestamp) revert OfferExpired();
+        _requireEther(_tokenId, _landId);
+        _checkCompliance(_tokenId, _landId);
+
+        offerId = ++offerCounter;
+        offers[offerId] = Offer({
+            buyer: msg.sender,
+            tokenId: _tokenId,
+            landId: _landId,
+            amount: msg.value,
+            expiresAt: _expiresAt,
+            isActive: true
+        });
+        totalOfferEscrow += msg.value;
 
-        // Émettre l'événement avant l'appel externe
-        emit ListingCancelled(_tokenId);
-        emit ActiveListingsUpdated(activeListingIds.length);
+        emit OfferCreated(
+            offerId,
+            msg.sender,
+            _tokenId,
+            _landId,
+            msg.value,
+            _expiresAt
+        );
+    }
 
-        // External call last
-        landToken.transferFrom(address(this), msg.sender, _tokenId);
+    function _checkBatchLengths(
+        uint256 _tokenCount,
+        uint256 _priceCount
+    ) private pure {
+        require(_tokenCount == _priceCount, "Arrays length mismatch");
+        require(_tokenCount > 0, "Empty arrays");
+    }
+
+    /**
+     * @dev Revert si le token ou le terrain visé se règle en devise ERC-20 : les
+     * offres et les enchères ne se règlent qu'en ETH.
+     * @param _tokenId Le token visé (0 pour un terrain).
+     * @param _landId Le terrain visé (0 pour un token).
+     */
+    function _requireEther(uint256 _tokenId, uint256 _landId) private view {
+        address currency = _landId == 0
+            ? landToken.tokenCurrency(_tokenId)
+            : landToken.landRegistry().landCurrencies(_landId);
+        if (currency != address(0)) revert UnsupportedCurrency();
+    }
+
+    /**
+     * @dev Vérifie, avant de placer son ETH en séquestre, que l'appelant pourra
+     * recevoir le token visé ou un token du terrain (module de conformité de LandToken).
+     * @param _tokenId Le token visé (0 pour une offre sur un terrain).
+     * @param _landId Le terrain visé (0 pour un token).
+     */
+    function _checkCompliance(uint256 _tokenId, uint256 _landId) private view {
+        if (_landId == 0) {
+            (_landId, , , ) = landToken.tokenData(_tokenId);
+        }
+        landToken.checkCompliance(msg.sender, _landId);
+    }
+
+    /**
+     * @dev Indique si un compte peut encore recevoir un token selon le module de
+     * conformité de LandToken.
+     * @param _account Le compte destinataire.
+     * @param _tokenId Le token visé.
+     */
+    function _canReceive(
+        address _account,
+        uint256 _tokenId
+    ) private view returns (bool) {
+        (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+        try landToken.checkCompliance(_account, landId) {
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @dev Vérifie la signature EIP-712 d'un vendeur et consomme son nonce.
+     * @param _signer L'adresse attendue du signataire.
+     * @param _structHash Le hash de la structure signée.
+     * @param _deadline Timestamp au-delà duquel la signature n'est plus acceptée.
+     * @param _signature La signature à vérifier.
+     */
+    function _useSignature(
+        address _signer,
+        bytes32 _structHash,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) private {
+        LandSignatures.use(
+            nonces,
+            _signer,
+            _hashTypedDataV4(_structHash),
+            _deadline,
+            _signature
+        );
     }
 
     /**
@@ -669,6 +1471,7 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
      * @return sellers Les vendeurs des tokens.
      * @return isActives Si les tokens sont actifs.
      * @return timestamps Les horodatages des listings.
+     * @return expirations Les dates d'expiration des listings (0 = sans expiration).
      */
     function getMultipleListingDetails(
         uint256[] calldata _tokenIds
@@ -679,7 +1482,8 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
             uint256[] memory prices,
             address[] memory sellers,
             bool[] memory isActives,
-            uint256[] memory timestamps
+            uint256[] memory timestamps,
+            uint256[] memory expirations
         )
     {
         uint256 length = _tokenIds.length;
@@ -687,6 +1491,7 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
         sellers = new address[](length);
         isActives = new bool[](length);
         timestamps = new uint256[](length);
+        expirations = new uint256[](length);
 
         for (uint256 i = 0; i < length; i++) {
             uint256 tokenId = _tokenIds[i];
@@ -696,9 +1501,10 @@ contract LandTokenMarketplace is ReentrancyGuard, Pausable, Ownable {
             sellers[i] = listing.seller;
             isActives[i] = listing.isActive;
             timestamps[i] = listingTimestamps[tokenId];
+            expirations[i] = listingExpirations[tokenId];
         }
 
-        return (prices, sellers, isActives, timestamps);
+        return (prices, sellers, isActives, timestamps, expirations);
     }
 
     /**
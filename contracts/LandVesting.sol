@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./LandToken.sol";
+
+/**
+ * @title LandVesting
+ * @dev Blocage des tokens mintés pendant la fenêtre d'émission d'un terrain. Son
+ * propriétaire fixe le calendrier avant le premier mint : les tokens mintés jusqu'à
+ * la fin de la fenêtre (réserve du propriétaire comprise) ne peuvent être ni
+ * transférés ni mis en vente avant la date de déblocage, puis sont libérés
+ * linéairement jusqu'à la fin du vesting. Les tokens reçus par transfert restent
+ * libres.
+ *
+ * Le module doit être branché sur LandToken (setVesting) : il tient le nombre de
+ * tokens de chaque détenteur par terrain à partir des transferts qui lui sont
+ * notifiés, et bloque ceux qui feraient passer un détenteur sous sa part bloquée.
+ * Seuls les burns (remboursement d'une levée de fonds, fin d'un rachat) et les
+ * transferts forcés (conformité, rachat) restent possibles.
+ */
+contract LandVesting {
+    LandToken public immutable landToken;
+
+    /**
+     * @dev Calendrier d'un terrain : tokens mintés jusqu'à mintDeadline, bloqués
+     * jusqu'à cliff puis libérés linéairement jusqu'à vestingEnd (vestingEnd égal
+     * à cliff : tous libérés à cette date).
+     */
+    struct Schedule {
+        uint64 mintDeadline;
+        uint64 cliff;
+        uint64 vestingEnd;
+    }
+
+    mapping(uint256 => Schedule) public schedules;
+    // Tokens de chaque terrain détenus par chaque compte (séquestre du marketplace
+    // attribué au marketplace), tenus pour les terrains ayant un calendrier
+    mapping(uint256 => mapping(address => uint256)) public balances;
+    // Tokens mintés pendant la fenêtre d'émission, par terrain et par compte
+    mapping(uint256 => mapping(address => uint256)) public vestedTokens;
+
+    event ScheduleSet(
+        uint256 indexed landId,
+        uint64 mintDeadline,
+        uint64 cliff,
+        uint64 vestingEnd
+    );
+
+    error InvalidLandToken();
+    error NotLandToken();
+    error VestingNotEnabled();
+    error NotLandOwner();
+    error TokensAlreadyMinted();
+    error InvalidSchedule();
+    error TokensLocked(uint256 landId, uint256 locked);
+
+    constructor(address _landTokenAddress) {
+        if (_landTokenAddress == address(0)) revert InvalidLandToken();
+        landToken = LandToken(_landTokenAddress);
+    }
+
+    /**
+     * @dev Fixe le calendrier d'un terrain dont aucun token n'a encore été minté ; il
+     * peut être fixé avant la tokenisation pour bloquer la réserve du propriétaire.
+     * @param _landId ID du terrain.
+     * @param _mintDeadline Fin de la fenêtre d'émission.
+     * @param _cliff Date de déblocage, au plus tôt à la fin de la fenêtre.
+     * @param _vestingEnd Fin de la libération linéaire, au plus tôt au déblocage.
+     */
+    function setSchedule(
+        uint256 _landId,
+        uint64 _mintDeadline,
+        uint64 _cliff,
+        uint64 _vestingEnd
+    ) external {
+        // Sans notification des transferts, le calendrier serait sans effet
+        if (landToken.vesting() != address(this)) revert VestingNotEnabled();
+        if (landToken.landRegistry().getLandOwner(_landId) != msg.sender)
+            revert NotLandOwner();
+        if (landToken.getTokensByLand(_landId).length > 0)
+            revert TokensAlreadyMinted();
+        if (
+            _mintDeadline <= block.timestamp ||
+            _cliff < _mintDeadline ||
+            _vestingEnd < _cliff
+        ) revert InvalidSchedule();
+
+        schedules[_landId] = Schedule({
+            mintDeadline: _mintDeadline,
+            cliff: _cliff,
+            vestingEnd: _vestingEnd
+        });
+
+        emit ScheduleSet(_landId, _mintDeadline, _cliff, _vestingEnd);
+    }
+
+    /**
+     * @dev Tokens d'un compte encore bloqués pour un terrain.
+     * @param _landId ID du terrain.
+     * @param _account Détenteur.
+     */
+    function lockedTokens(
+        uint256 _landId,
+        address _account
+    ) public view returns (uint256) {
+        uint256 vested = vestedTokens[_landId][_account];
+        Schedule storage schedule = schedules[_landId];
+        if (vested == 0 || block.timestamp >= schedule.vestingEnd) return 0;
+        if (block.timestamp < schedule.cliff) return vested;
+
+        // Libération linéaire, arrondie en faveur du blocage
+        uint256 released = (vested * (block.timestamp - schedule.cliff)) /
+            (schedule.vestingEnd - schedule.cliff);
+        return vested - released;
+    }
+
+    /**
+     * @dev Tokens d'un terrain qu'un compte peut transférer ou mettre en vente.
+     * @param _landId ID du terrain.
+     * @param _account Détenteur.
+     */
+    function transferableTokens(
+        uint256 _landId,
+        address _account
+    ) external view returns (uint256) {
+        uint256 balance = balances[_landId][_account];
+        uint256 locked = lockedTokens(_landId, _account);
+        return balance > locked ? balance - locked : 0;
+    }
+
+    /**
+     * @dev Appelée par LandToken avant un transfert forcé : comme pour un burn, la part
+     * bloquée du détenteur est réduite au nombre de tokens qui lui resteront.
+     * @param _from Détenteur sortant.
+     * @param _tokenId ID du token.
+     */
+    function onForcedTransfer(address _from, uint256 _tokenId) external {
+        if (msg.sender != address(landToken)) revert NotLandToken();
+
+        (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+        if (schedules[landId].vestingEnd == 0) return;
+
+        uint256 remaining = balances[landId][_from] - 1;
+        if (vestedTokens[landId][_from] > remaining) {
+            vestedTokens[landId][_from] = remaining;
+        }
+    }
+
+    /**
+     * @dev Appelée par LandToken avant chaque mint, transfert ou burn d'un token.
+     * Un mint pendant la fenêtre d'émission est bloqué pour son destinataire ; un
+     * transfert (mise en vente comprise) ne peut pas laisser au détenteur moins de
+     * tokens que sa part bloquée. Un burn réduit la part bloquée au nombre de tokens
+     * restants.
+     * @param _from Détenteur sortant (zéro pour un mint).
+     * @param _to Nouveau détenteur (zéro pour un burn).
+     * @param _tokenId ID du token.
+     */
+    function onTokenTransfer(
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) external {
+        if (msg.sender != address(landToken)) revert NotLandToken();
+
+        (uint256 landId, , , ) = landToken.tokenData(_tokenId);
+        Schedule storage schedule = schedules[landId];
+        if (schedule.vestingEnd == 0) return;
+
+        if (_from != address(0)) {
+            uint256 balance = --balances[landId][_from];
+            if (_to != address(0)) {
+                uint256 locked = lockedTokens(landId, _from);
+                if (balance < locked) revert TokensLocked(landId, locked);
+            } else if (vestedTokens[landId][_from] > balance) {
+                vestedTokens[landId][_from] = balance;
+            }
+        }
+
+        if (_to != address(0)) {
+            balances[landId][_to]++;
+            if (_from == address(0) && block.timestamp < schedule.mintDeadline) {
+                vestedTokens[landId][_to]++;
+            }
+        }
+    }
+}
@@ -3,11 +3,14 @@ pragma solidity ^0.8.0;
 
 /**
  * @title Ownable
- * @dev Contract module which provides basic authorization control
+ * @dev Contract module which provides basic authorization control.
+ * Ownership is transferred in two steps: the new owner must accept it.
  */
 contract Ownable {
     address private _owner;
+    address private _pendingOwner;
     
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
     event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
     
     error OwnableUnauthorizedAccount(address account);
@@ -25,6 +28,10 @@ contract Ownable {
     function owner() public view returns (address) {
         return _owner;
     }
+
+    function pendingOwner() public view returns (address) {
+        return _pendingOwner;
+    }
     
     function _checkOwner() internal view {
         if(msg.sender != _owner) {
@@ -32,16 +39,29 @@ contract Ownable {
         }
     }
     
+    /**
+     * @dev Starts the ownership transfer; it takes effect once `newOwner`
+     * calls acceptOwnership. A new call replaces the pending owner.
+     */
     function transferOwnership(address newOwner) public onlyOwner {
         if(newOwner == address(0)) {
             revert OwnableInvalidOwner(newOwner);
         }
-        _transferOwnership(newOwner);
+        _pendingOwner = newOwner;
+        emit OwnershipTransferStarted(_owner, newOwner);
+    }
+
+    function acceptOwnership() public {
+        if(msg.sender != _pendingOwner) {
+            revert OwnableUnauthorizedAccount(msg.sender);
+        }
+        _transferOwnership(msg.sender);
     }
     
     function _transferOwnership(address newOwner) internal {
         address oldOwner = _owner;
         _owner = newOwner;
+        delete _pendingOwner;
         emit OwnershipTransferred(oldOwner, newOwner);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./AccessRoles.sol";
+
+/**
+ * @title UpgradeableAccessRoles
+ * @dev AccessRoles pour les contrats déployés derrière un proxy transparent.
+ * Le constructeur verrouille l'implémentation : l'état du proxy est configuré par
+ * initialize, qui appelle __UpgradeableAccessRoles_init.
+ */
+abstract contract UpgradeableAccessRoles is AccessRoles, Initializable {
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Propriétaire et délai du timelock du proxy (l'appelant d'initialize devient propriétaire).
+     */
+    function __UpgradeableAccessRoles_init() internal onlyInitializing {
+        _transferOwnership(msg.sender);
+        timelockDelay = DEFAULT_TIMELOCK_DELAY;
+    }
+}
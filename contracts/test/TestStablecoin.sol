@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title TestStablecoin
+ * @dev Stablecoin à 6 décimales supportant permit (EIP-2612), réservé aux tests
+ * et aux réseaux locaux : n'importe quel compte peut en minter.
+ */
+contract TestStablecoin is ERC20, ERC20Permit {
+    constructor() ERC20("Test USD", "TUSD") ERC20Permit("Test USD") {}
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+}
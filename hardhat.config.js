@@ -1,13 +1,61 @@
 require("@nomicfoundation/hardhat-toolbox");
 require('hardhat-slither');
+require("./tasks/land");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
     compilers: [
       { version: "0.8.0" },
-      { version: "0.8.17" }
-    ]
+      {
+        version: "0.8.17",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          },
+          // Layouts de stockage comparés par scripts/upgrade.js avant chaque mise à jour
+          outputSelection: {
+            "*": {
+              "*": ["storageLayout"]
+            }
+          }
+        }
+      }
+    ],
+    overrides: {
+      // Optimisés pour la taille : LandToken et le marketplace sont proches de la
+      // limite de 24 Ko ; le marketplace passe en plus par le pipeline IR
+      "contracts/LandToken.sol": {
+        version: "0.8.17",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 1
+          },
+          outputSelection: {
+            "*": {
+              "*": ["storageLayout"]
+            }
+          }
+        }
+      },
+      "contracts/LandTokenMarketPLace.sol": {
+        version: "0.8.17",
+        settings: {
+          viaIR: true,
+          optimizer: {
+            enabled: true,
+            runs: 1
+          },
+          outputSelection: {
+            "*": {
+              "*": ["storageLayout"]
+            }
+          }
+        }
+      }
+    }
   },
   networks: {
     hardhat: {
@@ -0,0 +1,231 @@
+// API HTTP/JSON en lecture seule au-dessus du Store de l'indexeur.
+//
+//   GET /status                          dernier bloc indexé
+//   GET /validators?type=Notaire         validateurs enregistrés (suspendus signalés)
+//   GET /lands?status=Valide&owner=0x..  terrains (limit, offset)
+//   GET /lands/:id                       terrain, tour de validation et historique des validations
+//   GET /lands/:id/holders               détenteurs des tokens du terrain
+//   GET /lands/:id/share-holders         détenteurs des parts fongibles du terrain
+//   GET /lands/:id/proposals             propositions de gouvernance du terrain (limit, offset)
+//   GET /lands/:id/campaigns             levées de fonds du terrain
+//   GET /refunds?land=1&holder=0x..      tokens remboursés après l'échec d'une levée de fonds
+//   GET /lands/:id/buyouts               offres de rachat du terrain et tokens cédés
+//   GET /lands/:id/vesting               réserve du propriétaire et calendrier de blocage
+//   GET /proposals/:id                   proposition et votes
+//   GET /tokens/:id/price-history        mint, mises en vente et ventes du token
+//   GET /sellers/:address/listings       listings d'un vendeur (?status=active|sold|cancelled|expired)
+//   GET /listings?status=active          listings (limit, offset)
+//   GET /offers?token=1&land=1&buyer=0x.. offres (?status=active|accepted|cancelled)
+//   GET /share-orders?land=1&maker=0x..  ordres de parts (?side=sell|buy, ?status=active|filled|cancelled)
+//   GET /dividends?land=1&account=0x..    dépôts, crédits et versements de dividendes (limit, offset)
+//   GET /fees?contract=LandToken         frais collectés, versés et retirés
+//   GET /changes?contract=LandToken      changements soumis au timelock (?status=queued|executed|cancelled)
+//   GET /identities/:address             identité vérifiée d'un compte (LandCompliance)
+//   GET /forced-transfers?token=1        transferts forcés sur décision de justice
+
+const http = require("http");
+const { LAND_STATUS, VALIDATOR_TYPES, SHARE_ORDER_SIDES } = require("./store");
+
+const LISTING_STATUS = ["active", "sold", "cancelled", "expired"];
+const OFFER_STATUS = ["active", "accepted", "cancelled"];
+const SHARE_ORDER_STATUS = ["active", "filled", "cancelled"];
+const CHANGE_STATUS = ["queued", "executed", "cancelled"];
+const MAX_LIMIT = 500;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseId(value, label) {
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `${label} invalide: ${value}`);
+  }
+  return Number(value);
+}
+
+function parseAddress(value) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    throw new HttpError(400, `Adresse invalide: ${value}`);
+  }
+  return value;
+}
+
+function parsePage(query) {
+  const limit = query.has("limit") ? parseId(query.get("limit"), "limit") : 50;
+  const offset = query.has("offset") ? parseId(query.get("offset"), "offset") : 0;
+  return { limit: Math.min(limit, MAX_LIMIT), offset };
+}
+
+function parseEnum(query, key, allowed) {
+  const value = query.get(key);
+  if (value === null) return undefined;
+  if (!allowed.includes(value)) {
+    throw new HttpError(400, `${key} doit valoir ${allowed.join(", ")}`);
+  }
+  return value;
+}
+
+// Routes : [motif, gestionnaire(store, params, query)]
+const ROUTES = [
+  [/^\/status$/, (store) => ({ lastBlock: store.getLastBlock() })],
+
+  [/^\/validators$/, (store, params, query) => store.getValidators({
+    type: parseEnum(query, "type", VALIDATOR_TYPES)
+  })],
+
+  [/^\/lands$/, (store, params, query) => store.getLands({
+    status: parseEnum(query, "status", LAND_STATUS),
+    owner: query.has("owner") ? parseAddress(query.get("owner")) : undefined,
+    ...parsePage(query)
+  })],
+
+  [/^\/lands\/([^/]+)$/, (store, [id]) => {
+    const land = store.getLand(parseId(id, "ID de terrain"));
+    if (!land) throw new HttpError(404, `Terrain ${id} inconnu`);
+    return land;
+  }],
+
+  [/^\/lands\/([^/]+)\/holders$/, (store, [id]) => {
+    const landId = parseId(id, "ID de terrain");
+    if (!store.getLand(landId)) throw new HttpError(404, `Terrain ${id} inconnu`);
+    return store.getHolders(landId);
+  }],
+
+  [/^\/lands\/([^/]+)\/share-holders$/, (store, [id]) => {
+    const landId = parseId(id, "ID de terrain");
+    if (!store.getLand(landId)) throw new HttpError(404, `Terrain ${id} inconnu`);
+    return store.getShareHolders(landId);
+  }],
+
+  [/^\/lands\/([^/]+)\/proposals$/, (store, [id], query) => {
+    const landId = parseId(id, "ID de terrain");
+    if (!store.getLand(landId)) throw new HttpError(404, `Terrain ${id} inconnu`);
+    return store.getProposals({ landId, ...parsePage(query) });
+  }],
+
+  [/^\/lands\/([^/]+)\/campaigns$/, (store, [id]) => {
+    const landId = parseId(id, "ID de terrain");
+    if (!store.getLand(landId)) throw new HttpError(404, `Terrain ${id} inconnu`);
+    return store.getCampaigns(landId);
+  }],
+
+  [/^\/lands\/([^/]+)\/buyouts$/, (store, [id]) => {
+    const landId = parseId(id, "ID de terrain");
+    if (!store.getLand(landId)) throw new HttpError(404, `Terrain ${id} inconnu`);
+    return store.getBuyouts(landId);
+  }],
+
+  [/^\/lands\/([^/]+)\/vesting$/, (store, [id]) => {
+    const landId = parseId(id, "ID de terrain");
+    if (!store.getLand(landId)) throw new HttpError(404, `Terrain ${id} inconnu`);
+    return store.getVesting(landId);
+  }],
+
+  [/^\/refunds$/, (store, params, query) => store.getRefunds({
+    landId: query.has("land") ? parseId(query.get("land"), "ID de terrain") : undefined,
+    holder: query.has("holder") ? parseAddress(query.get("holder")) : undefined
+  })],
+
+  [/^\/proposals\/([^/]+)$/, (store, [id]) => {
+    const proposal = store.getProposal(parseId(id, "ID de proposition"));
+    if (!proposal) throw new HttpError(404, `Proposition ${id} inconnue`);
+    return proposal;
+  }],
+
+  [/^\/tokens\/([^/]+)\/price-history$/, (store, [id]) =>
+    store.getPriceHistory(parseId(id, "ID de token"))],
+
+  [/^\/sellers\/([^/]+)\/listings$/, (store, [address], query) => store.getListings({
+    seller: parseAddress(address),
+    status: parseEnum(query, "status", LISTING_STATUS),
+    ...parsePage(query)
+  })],
+
+  [/^\/listings$/, (store, params, query) => store.getListings({
+    status: parseEnum(query, "status", LISTING_STATUS),
+    ...parsePage(query)
+  })],
+
+  [/^\/offers$/, (store, params, query) => store.getOffers({
+    tokenId: query.has("token") ? parseId(query.get("token"), "ID de token") : undefined,
+    landId: query.has("land") ? parseId(query.get("land"), "ID de terrain") : undefined,
+    buyer: query.has("buyer") ? parseAddress(query.get("buyer")) : undefined,
+    status: parseEnum(query, "status", OFFER_STATUS),
+    ...parsePage(query)
+  })],
+
+  [/^\/share-orders$/, (store, params, query) => store.getShareOrders({
+    landId: query.has("land") ? parseId(query.get("land"), "ID de terrain") : undefined,
+    maker: query.has("maker") ? parseAddress(query.get("maker")) : undefined,
+    side: parseEnum(query, "side", SHARE_ORDER_SIDES),
+    status: parseEnum(query, "status", SHARE_ORDER_STATUS),
+    ...parsePage(query)
+  })],
+
+  [/^\/dividends$/, (store, params, query) => store.getDividends({
+    landId: query.has("land") ? parseId(query.get("land"), "ID de terrain") : undefined,
+    account: query.has("account") ? parseAddress(query.get("account")) : undefined,
+    ...parsePage(query)
+  })],
+
+  [/^\/fees$/, (store, params, query) => store.getFees({
+    contract: query.get("contract") || undefined
+  })],
+
+  [/^\/changes$/, (store, params, query) => store.getQueuedChanges({
+    contract: query.get("contract") || undefined,
+    status: parseEnum(query, "status", CHANGE_STATUS)
+  })],
+
+  [/^\/identities\/([^/]+)$/, (store, [address]) => {
+    const identity = store.getIdentity(parseAddress(address));
+    if (!identity) throw new HttpError(404, `Aucune identité pour ${address}`);
+    return identity;
+  }],
+
+  [/^\/forced-transfers$/, (store, params, query) => store.getForcedTransfers({
+    tokenId: query.has("token") ? parseId(query.get("token"), "ID de token") : undefined
+  })]
+];
+
+/**
+ * Crée le serveur HTTP de l'API (non démarré).
+ * @param store Store de l'indexeur.
+ */
+function createApiServer(store) {
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== "GET") {
+      send(405, { error: "Méthode non supportée" });
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    for (const [pattern, handler] of ROUTES) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+
+      try {
+        send(200, handler(store, match.slice(1), url.searchParams));
+      } catch (error) {
+        if (error instanceof HttpError) {
+          send(error.status, { error: error.message });
+        } else {
+          send(500, { error: "Erreur interne" });
+        }
+      }
+      return;
+    }
+
+    send(404, { error: `Route inconnue: ${url.pathname}` });
+  });
+}
+
+module.exports = { createApiServer };
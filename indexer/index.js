@@ -0,0 +1,100 @@
+// Indexeur d'événements : suit la chaîne depuis le déploiement, persiste les
+// événements dans SQLite et expose une API HTTP/JSON de consultation.
+//
+// Utilisation : npm run indexer
+//   INDEXER_NETWORK       réseau du manifeste deployments/<network>.json (localhost)
+//   RPC_URL               noeud JSON-RPC (http://127.0.0.1:8545)
+//   INDEXER_DB            fichier SQLite (indexer/data/<network>.sqlite)
+//   INDEXER_PORT          port de l'API (4000)
+//   INDEXER_CONFIRMATIONS blocs de confirmation avant indexation (0)
+
+const path = require("path");
+const fs = require("fs");
+const { JsonRpcProvider } = require("ethers");
+const { readManifest, CONTRACTS } = require("../scripts/lib/deployments");
+const { ABI_HASHES } = require("../sdk/generated/contracts");
+const { openStore, Store } = require("./store");
+const { Indexer } = require("./indexer");
+const { createApiServer } = require("./api");
+
+/**
+ * Démarre l'indexeur et son API pour un manifeste de déploiement.
+ * @param options { manifest, provider, dbPath, port, confirmations, pollInterval, log }
+ * @returns { store, indexer, server } ; appeler stop() pour tout arrêter.
+ */
+async function startIndexer(options) {
+  const { manifest, provider } = options;
+  const log = options.log || console.log;
+
+  const addresses = {};
+  for (const name of CONTRACTS) {
+    const recorded = manifest.contracts[name];
+    if (recorded.abiHash !== ABI_HASHES[name]) {
+      throw new Error(
+        `L'ABI de ${name} déployée sur ${manifest.network} ne correspond pas au SDK. ` +
+        "Régénérez le SDK avec npm run prepare-abis."
+      );
+    }
+    addresses[name] = recorded.address;
+  }
+
+  // Inutile de remonter avant le déploiement du premier contrat
+  const startBlock = Math.min(...CONTRACTS.map((name) => manifest.contracts[name].blockNumber));
+
+  const store = openStore(options.dbPath);
+  const indexer = new Indexer({
+    provider,
+    addresses,
+    store,
+    startBlock,
+    confirmations: options.confirmations,
+    pollInterval: options.pollInterval,
+    log
+  });
+
+  const server = createApiServer(store);
+  await new Promise((resolve) => server.listen(options.port, resolve));
+  log(`API de l'indexeur sur http://localhost:${server.address().port}`);
+
+  indexer.start();
+
+  const stop = async () => {
+    indexer.stop();
+    await new Promise((resolve) => server.close(resolve));
+    store.close();
+  };
+
+  return { store, indexer, server, stop };
+}
+
+module.exports = {
+  openStore,
+  Store,
+  Indexer,
+  createApiServer,
+  startIndexer
+};
+
+if (require.main === module) {
+  const network = process.env.INDEXER_NETWORK || "localhost";
+  const dbPath = process.env.INDEXER_DB ||
+    path.join(__dirname, "data", `${network}.sqlite`);
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  startIndexer({
+    manifest: readManifest(network),
+    provider: new JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545"),
+    dbPath,
+    port: Number(process.env.INDEXER_PORT || 4000),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0)
+  })
+    .then(({ stop }) => {
+      const shutdown = () => stop().then(() => process.exit(0));
+      process.on("SIGINT", shutdown);
+      process.on("SIGTERM", shutdown);
+    })
+    .catch((error) => {
+      console.error("Erreur lors du démarrage de l'indexeur:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,195 @@
+// Suivi de la chaîne : récupère les logs des contrats du système par plages de
+// blocs, les décode avec les ABIs du SDK et les enregistre dans le Store.
+// Une réorganisation est détectée en comparant les hash de blocs mémorisés
+// avec ceux de la chaîne ; l'indexeur revient alors au dernier ancêtre commun.
+
+const { Interface } = require("ethers");
+const { ABIS, CONTRACT_NAMES } = require("../sdk/generated/contracts");
+
+const DEFAULTS = {
+  startBlock: 0,
+  confirmations: 0,
+  batchSize: 2000,
+  pollInterval: 4000,
+  // Profondeur maximale de réorganisation recherchée avant d'abandonner
+  maxReorgDepth: 256
+};
+
+class Indexer {
+  /**
+   * @param options { provider, addresses: { LandRegistry, LandToken, LandTokenMarketplace,
+   *                  LandShares, LandShareMarketplace },
+   *                  store, startBlock, confirmations, batchSize, pollInterval, log }
+   */
+  constructor(options) {
+    this.options = { ...DEFAULTS };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined) this.options[key] = value;
+    }
+    this.provider = options.provider;
+    this.store = options.store;
+    this.log = options.log || (() => {});
+
+    // Adresse (minuscules) -> { name, interface }
+    this._contracts = new Map();
+    for (const name of CONTRACT_NAMES) {
+      const address = options.addresses && options.addresses[name];
+      if (!address) {
+        throw new Error(`Adresse manquante pour ${name}`);
+      }
+      this._contracts.set(address.toLowerCase(), { name, iface: new Interface(ABIS[name]) });
+    }
+
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Indexe les blocs disponibles jusqu'à la tête de chaîne (moins les confirmations).
+   * @returns { fromBlock, toBlock, events, reorg } ; toBlock vaut null si rien n'était à indexer.
+   */
+  async syncOnce() {
+    const reorg = await this._handleReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.options.confirmations;
+    const lastBlock = this.store.getLastBlock();
+    const fromBlock = lastBlock === null ? this.options.startBlock : lastBlock + 1;
+
+    if (target < fromBlock) {
+      return { fromBlock, toBlock: null, events: 0, reorg };
+    }
+
+    let indexed = 0;
+    for (let start = fromBlock; start <= target; start += this.options.batchSize) {
+      const end = Math.min(start + this.options.batchSize - 1, target);
+      indexed += await this._indexRange(start, end);
+    }
+
+    return { fromBlock, toBlock: target, events: indexed, reorg };
+  }
+
+  /**
+   * Lance la synchronisation périodique.
+   */
+  start() {
+    if (this._running) return;
+    this._running = true;
+
+    const tick = async () => {
+      try {
+        const result = await this.syncOnce();
+        if (result.reorg !== null) {
+          this.log(`Réorganisation détectée, retour au bloc ${result.reorg}`);
+        }
+        if (result.toBlock !== null) {
+          this.log(`Blocs ${result.fromBlock}-${result.toBlock} indexés (${result.events} événements)`);
+        }
+      } catch (error) {
+        this.log(`Erreur de synchronisation: ${error.message}`);
+      }
+      if (this._running) {
+        this._timer = setTimeout(tick, this.options.pollInterval);
+      }
+    };
+    tick();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: [...this._contracts.keys()],
+      fromBlock,
+      toBlock
+    });
+
+    const events = [];
+    const blocks = new Map();
+    for (const log of logs) {
+      const contract = this._contracts.get(log.address.toLowerCase());
+      const parsed = contract.iface.parseLog(log);
+      if (!parsed) continue;
+
+      blocks.set(log.blockNumber, log.blockHash);
+      events.push({
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        contract: contract.name,
+        name: parsed.name,
+        args: namedArgs(parsed)
+      });
+    }
+
+    // Le hash de fin de plage sert de point de contrôle pour les réorganisations
+    const tip = await this.provider.getBlock(toBlock);
+    blocks.set(toBlock, tip.hash);
+
+    const blockList = [...blocks.entries()].map(([number, hash]) => ({ number, hash }));
+    this.store.commitRange(events, blockList, toBlock);
+    return events.length;
+  }
+
+  /**
+   * Vérifie que le dernier bloc indexé est toujours sur la chaîne et revient
+   * au dernier ancêtre commun sinon.
+   * @returns Le bloc de reprise en cas de réorganisation, null sinon.
+   */
+  async _handleReorg() {
+    const lastBlock = this.store.getLastBlock();
+    if (lastBlock === null) return null;
+
+    if (await this._isCanonical(lastBlock, this.store.getBlockHash(lastBlock))) {
+      return null;
+    }
+
+    const candidates = this.store.getBlocksBelow(lastBlock, this.options.maxReorgDepth);
+    for (const block of candidates) {
+      if (await this._isCanonical(block.number, block.hash)) {
+        this.store.rollbackTo(block.number);
+        return block.number;
+      }
+    }
+
+    // Aucun ancêtre commun connu : réindexation complète
+    const restart = this.options.startBlock - 1;
+    this.store.rollbackTo(restart);
+    return restart;
+  }
+
+  async _isCanonical(number, hash) {
+    if (hash === null) return true;
+    const block = await this.provider.getBlock(number);
+    return block !== null && block.hash === hash;
+  }
+}
+
+/**
+ * Convertit les arguments d'un log décodé en objet nommé sérialisable
+ * (bigint en chaîne décimale).
+ */
+function namedArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = serialize(parsed.args[i]);
+  });
+  return args;
+}
+
+function serialize(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value) || (value && typeof value.toArray === "function")) {
+    return [...value].map(serialize);
+  }
+  return value;
+}
+
+module.exports = { Indexer };
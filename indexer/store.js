@@ -0,0 +1,1574 @@
+// Base SQLite de l'indexeur : journal brut des événements et tables dérivées
+// (terrains, validations, tokens, listings, ventes, offres, parts fongibles, frais)
+// reconstruites à partir de ce journal.
+
+const Database = require("better-sqlite3");
+
+// Statuts de l'enum ValidationStatus, plus "Retire" pour un terrain retiré du registre
+const LAND_STATUS = ["EnAttente", "Valide", "Rejete", "Retire"];
+const VALIDATOR_TYPES = ["Notaire", "Geometre", "ExpertJuridique"];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- Hash des blocs indexés, pour détecter les réorganisations
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS validators (
+    address TEXT PRIMARY KEY,
+    validator_type TEXT NOT NULL
+  );
+
+  -- Validateurs suspendus (un validateur retiré est supprimé de validators)
+  CREATE TABLE IF NOT EXISTS suspended_validators (
+    address TEXT PRIMARY KEY,
+    block_number INTEGER NOT NULL
+  );
+
+  -- Avis favorables requis par type de validateur, par terrain (land_id 0 : défaut)
+  CREATE TABLE IF NOT EXISTS approval_policies (
+    land_id INTEGER PRIMARY KEY,
+    notaire INTEGER NOT NULL,
+    geometre INTEGER NOT NULL,
+    expert_juridique INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS lands (
+    land_id INTEGER PRIMARY KEY,
+    location TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    total_tokens TEXT NOT NULL,
+    available_tokens TEXT NOT NULL,
+    price_per_token TEXT NOT NULL,
+    cid TEXT NOT NULL,
+    status TEXT NOT NULL,
+    is_tokenized INTEGER NOT NULL DEFAULT 0,
+    registered_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS lands_status ON lands (status);
+
+  -- Devise ERC-20 des terrains qui ne se paient pas en ETH
+  CREATE TABLE IF NOT EXISTS land_currencies (
+    land_id INTEGER PRIMARY KEY,
+    currency TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS validations (
+    land_id INTEGER NOT NULL,
+    validator TEXT NOT NULL,
+    validator_type TEXT,
+    is_valid INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS validations_land ON validations (land_id);
+
+  -- Tours de validation ouverts par une modification ou une nouvelle soumission :
+  -- seules les validations postérieures à after_validation (rowid) comptent pour le tour
+  CREATE TABLE IF NOT EXISTS validation_rounds (
+    land_id INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    after_validation INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    PRIMARY KEY (land_id, round)
+  );
+
+  CREATE TABLE IF NOT EXISTS tokens (
+    token_id INTEGER PRIMARY KEY,
+    land_id INTEGER NOT NULL,
+    owner TEXT NOT NULL,
+    minted_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS tokens_land ON tokens (land_id);
+
+  CREATE TABLE IF NOT EXISTS listings (
+    listing_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_id INTEGER NOT NULL,
+    seller TEXT NOT NULL,
+    price TEXT NOT NULL,
+    status TEXT NOT NULL,
+    buyer TEXT,
+    listed_block INTEGER NOT NULL,
+    closed_block INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS listings_token ON listings (token_id, status);
+  CREATE INDEX IF NOT EXISTS listings_seller ON listings (seller, status);
+
+  -- Historique des prix : mint (prix du terrain), mise en vente, changement de prix,
+  -- enchère et vente
+  CREATE TABLE IF NOT EXISTS price_history (
+    token_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    price TEXT NOT NULL,
+    account TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS price_history_token ON price_history (token_id);
+
+  -- Offres en séquestre sur un token (land_id NULL) ou sur un terrain (token_id NULL)
+  CREATE TABLE IF NOT EXISTS offers (
+    offer_id INTEGER PRIMARY KEY,
+    buyer TEXT NOT NULL,
+    token_id INTEGER,
+    land_id INTEGER,
+    amount TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    accepted_token_id INTEGER,
+    seller TEXT,
+    created_block INTEGER NOT NULL,
+    closed_block INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS offers_token ON offers (token_id, status);
+  CREATE INDEX IF NOT EXISTS offers_land ON offers (land_id, status);
+
+  -- Soldes de parts fongibles (LandShares) ; les parts d'un ordre de vente sont
+  -- au solde du marketplace de parts tant que l'ordre est actif
+  CREATE TABLE IF NOT EXISTS share_balances (
+    land_id INTEGER NOT NULL,
+    account TEXT NOT NULL,
+    balance TEXT NOT NULL,
+    PRIMARY KEY (land_id, account)
+  );
+
+  CREATE TABLE IF NOT EXISTS share_orders (
+    order_id INTEGER PRIMARY KEY,
+    land_id INTEGER NOT NULL,
+    maker TEXT NOT NULL,
+    side TEXT NOT NULL,
+    quantity TEXT NOT NULL,
+    remaining TEXT NOT NULL,
+    price_per_share TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_block INTEGER NOT NULL,
+    closed_block INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS share_orders_land ON share_orders (land_id, status);
+
+  -- Revenus distribués par LandDividends : dépôts par terrain, crédits par token
+  -- (réglés au détenteur sortant lors d'un transfert ou d'une réclamation) et versements
+  CREATE TABLE IF NOT EXISTS dividends (
+    kind TEXT NOT NULL,
+    land_id INTEGER,
+    token_id INTEGER,
+    account TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS dividends_land ON dividends (land_id);
+
+  -- Propositions de gouvernance par terrain et votes des détenteurs
+  CREATE TABLE IF NOT EXISTS proposals (
+    proposal_id INTEGER PRIMARY KEY,
+    land_id INTEGER NOT NULL,
+    proposer TEXT NOT NULL,
+    target TEXT NOT NULL,
+    data TEXT NOT NULL,
+    description TEXT NOT NULL,
+    snapshot_block INTEGER NOT NULL,
+    deadline INTEGER NOT NULL,
+    for_votes TEXT NOT NULL,
+    against_votes TEXT NOT NULL,
+    executed INTEGER NOT NULL DEFAULT 0,
+    created_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS proposals_land ON proposals (land_id);
+
+  CREATE TABLE IF NOT EXISTS votes (
+    proposal_id INTEGER NOT NULL,
+    voter TEXT NOT NULL,
+    support INTEGER NOT NULL,
+    weight TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    PRIMARY KEY (proposal_id, voter)
+  );
+
+  CREATE TABLE IF NOT EXISTS fees (
+    contract TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    ref_id INTEGER,
+    account TEXT,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+
+  -- Changements d'administration soumis au timelock (data : appel mis en file)
+  CREATE TABLE IF NOT EXISTS queued_changes (
+    contract TEXT NOT NULL,
+    change_id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    eta INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    PRIMARY KEY (contract, change_id)
+  );
+
+  -- Identités vérifiées par LandCompliance (expires_at 0 : identité retirée)
+  CREATE TABLE IF NOT EXISTS identities (
+    account TEXT PRIMARY KEY,
+    jurisdiction INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+
+  -- Transferts forcés sur décision de justice
+  CREATE TABLE IF NOT EXISTS forced_transfers (
+    token_id INTEGER NOT NULL,
+    from_address TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+
+  -- Levées de fonds LandCrowdfunding (raised : montant libéré à leur succès ; une
+  -- campagne non réussie à sa date limite a échoué) et tokens brûlés remboursés
+  CREATE TABLE IF NOT EXISTS campaigns (
+    campaign_id INTEGER PRIMARY KEY,
+    land_id INTEGER NOT NULL,
+    soft_cap TEXT NOT NULL,
+    deadline INTEGER NOT NULL,
+    max_per_buyer INTEGER NOT NULL,
+    raised TEXT,
+    opened_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS campaigns_land ON campaigns (land_id);
+
+  CREATE TABLE IF NOT EXISTS refunds (
+    token_id INTEGER PRIMARY KEY,
+    land_id INTEGER NOT NULL,
+    holder TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+
+  -- Offres de rachat LandBuyout (status : open, completed ou closed ; refund : reste
+  -- du dépôt rendu à l'acquéreur) et tokens cédés ou rachetés de force (kind :
+  -- redeemed ou acquired)
+  CREATE TABLE IF NOT EXISTS buyouts (
+    buyout_id INTEGER PRIMARY KEY,
+    land_id INTEGER NOT NULL,
+    bidder TEXT NOT NULL,
+    price_per_token TEXT NOT NULL,
+    deadline INTEGER NOT NULL,
+    deposit TEXT NOT NULL,
+    status TEXT NOT NULL,
+    refund TEXT,
+    opened_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS buyouts_land ON buyouts (land_id);
+
+  CREATE TABLE IF NOT EXISTS buyout_transfers (
+    buyout_id INTEGER NOT NULL,
+    token_id INTEGER NOT NULL,
+    holder TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+
+  -- Réserve mintée au propriétaire à la tokenisation et calendrier de blocage
+  -- LandVesting de chaque terrain
+  CREATE TABLE IF NOT EXISTS owner_reserves (
+    land_id INTEGER PRIMARY KEY,
+    owner TEXT NOT NULL,
+    quantity INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS vesting_schedules (
+    land_id INTEGER PRIMARY KEY,
+    mint_deadline INTEGER NOT NULL,
+    cliff INTEGER NOT NULL,
+    vesting_end INTEGER NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+`;
+
+// Tables reconstruites à partir du journal des événements
+const DERIVED_TABLES = [
+  "validators",
+  "suspended_validators",
+  "approval_policies",
+  "lands",
+  "land_currencies",
+  "validations",
+  "validation_rounds",
+  "tokens",
+  "listings",
+  "price_history",
+  "offers",
+  "share_balances",
+  "share_orders",
+  "dividends",
+  "proposals",
+  "votes",
+  "fees",
+  "queued_changes",
+  "identities",
+  "forced_transfers",
+  "campaigns",
+  "refunds",
+  "buyouts",
+  "buyout_transfers",
+  "owner_reserves",
+  "vesting_schedules"
+];
+
+// Correspondance avec l'enum LandShareMarketplace.OrderSide
+const SHARE_ORDER_SIDES = ["sell", "buy"];
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Ouvre (ou crée) la base de l'indexeur.
+ * @param filename Chemin du fichier SQLite, ":memory:" pour une base en mémoire.
+ */
+function openStore(filename = ":memory:") {
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return new Store(db);
+}
+
+class Store {
+  constructor(db) {
+    this.db = db;
+    this._statements = new Map();
+  }
+
+  _stmt(sql) {
+    let statement = this._statements.get(sql);
+    if (!statement) {
+      statement = this.db.prepare(sql);
+      this._statements.set(sql, statement);
+    }
+    return statement;
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // --- Curseur de synchronisation ---
+
+  getMeta(key) {
+    const row = this._stmt("SELECT value FROM meta WHERE key = ?").get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this._stmt(
+      "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+    ).run(key, String(value));
+  }
+
+  /**
+   * Dernier bloc indexé, ou null si rien n'a encore été indexé.
+   */
+  getLastBlock() {
+    const value = this.getMeta("lastBlock");
+    return value === null ? null : Number(value);
+  }
+
+  getBlockHash(number) {
+    const row = this._stmt("SELECT hash FROM blocks WHERE number = ?").get(number);
+    return row ? row.hash : null;
+  }
+
+  /**
+   * Blocs enregistrés, du plus récent au plus ancien, à partir de `below` exclu.
+   */
+  getBlocksBelow(below, limit) {
+    return this._stmt(
+      "SELECT number, hash FROM blocks WHERE number < ? ORDER BY number DESC LIMIT ?"
+    ).all(below, limit);
+  }
+
+  /**
+   * Enregistre une plage de blocs et ses événements dans une seule transaction.
+   * @param events Événements décodés { blockNumber, blockHash, txHash, logIndex, contract, name, args }.
+   * @param blocks [{ number, hash }] des blocs à mémoriser (blocs porteurs d'événements et fin de plage).
+   * @param lastBlock Dernier bloc de la plage.
+   */
+  commitRange(events, blocks, lastBlock) {
+    this.db.transaction(() => {
+      const insertBlock = this._stmt(
+        "INSERT INTO blocks (number, hash) VALUES (?, ?) ON CONFLICT(number) DO UPDATE SET hash = excluded.hash"
+      );
+      for (const block of blocks) {
+        insertBlock.run(block.number, block.hash);
+      }
+
+      const insertEvent = this._stmt(
+        `INSERT INTO events (block_number, block_hash, tx_hash, log_index, contract, name, args)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      );
+      for (const event of events) {
+        insertEvent.run(
+          event.blockNumber,
+          event.blockHash,
+          event.txHash,
+          event.logIndex,
+          event.contract,
+          event.name,
+          JSON.stringify(event.args)
+        );
+        this._apply(event);
+      }
+
+      this.setMeta("lastBlock", lastBlock);
+    })();
+  }
+
+  /**
+   * Annule tout ce qui a été indexé après `blockNumber` puis reconstruit
+   * les tables dérivées à partir des événements restants.
+   */
+  rollbackTo(blockNumber) {
+    this.db.transaction(() => {
+      this._stmt("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+      this._stmt("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+      for (const table of DERIVED_TABLES) {
+        this.db.exec(`DELETE FROM ${table}`);
+      }
+      this.db.exec("DELETE FROM sqlite_sequence WHERE name = 'listings'");
+
+      const rows = this._stmt(
+        "SELECT * FROM events ORDER BY block_number, log_index"
+      ).all();
+      for (const row of rows) {
+        this._apply({
+          blockNumber: row.block_number,
+          blockHash: row.block_hash,
+          txHash: row.tx_hash,
+          logIndex: row.log_index,
+          contract: row.contract,
+          name: row.name,
+          args: JSON.parse(row.args)
+        });
+      }
+
+      this.setMeta("lastBlock", blockNumber);
+    })();
+  }
+
+  // --- Projections ---
+
+  _apply(event) {
+    const handler = PROJECTIONS[event.name];
+    if (handler) {
+      handler(this, event, event.args);
+    }
+  }
+
+  // --- Requêtes ---
+
+  /**
+   * Validateurs enregistrés, éventuellement filtrés par type.
+   */
+  getValidators({ type } = {}) {
+    const where = type ? "WHERE v.validator_type = ?" : "";
+    return this.db
+      .prepare(
+        `SELECT v.address, v.validator_type, s.address IS NOT NULL AS suspended
+         FROM validators v LEFT JOIN suspended_validators s ON s.address = v.address
+         ${where} ORDER BY v.validator_type, v.address`
+      )
+      .all(...(type ? [type] : []))
+      .map((row) => ({
+        address: row.address,
+        validatorType: row.validator_type,
+        suspended: row.suspended === 1
+      }));
+  }
+
+  getLands({ status, owner, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (status) {
+      clauses.push("status = ?");
+      params.push(status);
+    }
+    if (owner) {
+      clauses.push("owner = ?");
+      params.push(owner.toLowerCase());
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+    return this.db
+      .prepare(
+        `SELECT l.*, c.currency FROM lands l LEFT JOIN land_currencies c ON c.land_id = l.land_id
+         ${where} ORDER BY l.land_id LIMIT ? OFFSET ?`
+      )
+      .all(...params, limit, offset)
+      .map(landRow);
+  }
+
+  getLand(landId) {
+    const row = this._stmt(
+      `SELECT l.*, c.currency FROM lands l LEFT JOIN land_currencies c ON c.land_id = l.land_id
+       WHERE l.land_id = ?`
+    ).get(landId);
+    if (!row) return null;
+    const validations = this._stmt(
+      `SELECT v.*, (SELECT COALESCE(MAX(r.round), 0) FROM validation_rounds r
+                    WHERE r.land_id = v.land_id AND r.after_validation < v.rowid) AS round,
+              a.address IS NULL AS validator_removed
+       FROM validations v LEFT JOIN validators a ON a.address = v.validator
+       WHERE v.land_id = ? ORDER BY v.block_number, v.rowid`
+    ).all(landId);
+    const { round } = this._stmt(
+      "SELECT COALESCE(MAX(round), 0) AS round FROM validation_rounds WHERE land_id = ?"
+    ).get(landId);
+    return {
+      ...landRow(row),
+      round,
+      validations: validations.map((v) => ({
+        round: v.round,
+        validator: v.validator,
+        validatorType: v.validator_type,
+        isValid: v.is_valid === 1,
+        validatorRemoved: v.validator_removed === 1,
+        blockNumber: v.block_number,
+        txHash: v.tx_hash
+      }))
+    };
+  }
+
+  /**
+   * Détenteurs des tokens d'un terrain. Un token en séquestre sur le
+   * marketplace reste attribué à son vendeur.
+   */
+  getHolders(landId) {
+    return this._stmt(
+      `SELECT COALESCE(l.seller, t.owner) AS holder, COUNT(*) AS tokens
+       FROM tokens t
+       LEFT JOIN listings l ON l.token_id = t.token_id AND l.status = 'active'
+       WHERE t.land_id = ?
+       GROUP BY holder
+       ORDER BY tokens DESC, holder`
+    ).all(landId).map((row) => ({ holder: row.holder, tokens: row.tokens }));
+  }
+
+  getPriceHistory(tokenId) {
+    return this._stmt(
+      "SELECT * FROM price_history WHERE token_id = ? ORDER BY block_number, log_index"
+    ).all(tokenId).map((row) => ({
+      kind: row.kind,
+      price: row.price,
+      account: row.account,
+      blockNumber: row.block_number,
+      txHash: row.tx_hash
+    }));
+  }
+
+  getListings({ seller, status, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (seller) {
+      clauses.push("seller = ?");
+      params.push(seller.toLowerCase());
+    }
+    if (status) {
+      clauses.push("status = ?");
+      params.push(status);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM listings ${where} ORDER BY listing_id LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map((row) => ({
+        listingId: row.listing_id,
+        tokenId: row.token_id,
+        seller: row.seller,
+        price: row.price,
+        status: row.status,
+        buyer: row.buyer,
+        listedBlock: row.listed_block,
+        closedBlock: row.closed_block
+      }));
+  }
+
+  getOffers({ tokenId, landId, buyer, status, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (tokenId !== undefined) {
+      clauses.push("token_id = ?");
+      params.push(tokenId);
+    }
+    if (landId !== undefined) {
+      clauses.push("land_id = ?");
+      params.push(landId);
+    }
+    if (buyer) {
+      clauses.push("buyer = ?");
+      params.push(buyer.toLowerCase());
+    }
+    if (status) {
+      clauses.push("status = ?");
+      params.push(status);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM offers ${where} ORDER BY offer_id LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map((row) => ({
+        offerId: row.offer_id,
+        buyer: row.buyer,
+        tokenId: row.token_id,
+        landId: row.land_id,
+        amount: row.amount,
+        expiresAt: row.expires_at,
+        status: row.status,
+        acceptedTokenId: row.accepted_token_id,
+        seller: row.seller,
+        createdBlock: row.created_block,
+        closedBlock: row.closed_block
+      }));
+  }
+
+  /**
+   * Détenteurs des parts fongibles d'un terrain, par solde décroissant.
+   */
+  getShareHolders(landId) {
+    return this._stmt(
+      "SELECT account, balance FROM share_balances WHERE land_id = ? AND balance != '0'"
+    ).all(landId)
+      .map((row) => ({ holder: row.account, shares: row.balance }))
+      .sort((a, b) => {
+        const diff = BigInt(b.shares) - BigInt(a.shares);
+        return diff === 0n ? a.holder.localeCompare(b.holder) : diff > 0n ? 1 : -1;
+      });
+  }
+
+  getShareOrders({ landId, maker, side, status, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (landId !== undefined) {
+      clauses.push("land_id = ?");
+      params.push(landId);
+    }
+    if (maker) {
+      clauses.push("maker = ?");
+      params.push(maker.toLowerCase());
+    }
+    if (side) {
+      clauses.push("side = ?");
+      params.push(side);
+    }
+    if (status) {
+      clauses.push("status = ?");
+      params.push(status);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM share_orders ${where} ORDER BY order_id LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map((row) => ({
+        orderId: row.order_id,
+        landId: row.land_id,
+        maker: row.maker,
+        side: row.side,
+        quantity: row.quantity,
+        remaining: row.remaining,
+        pricePerShare: row.price_per_share,
+        status: row.status,
+        createdBlock: row.created_block,
+        closedBlock: row.closed_block
+      }));
+  }
+
+  /**
+   * Mouvements de dividendes (deposit, credited, claimed), filtrés par terrain
+   * (dépôts et crédits) ou par compte.
+   */
+  getDividends({ landId, account, limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    const params = [];
+    if (landId !== undefined) {
+      clauses.push("land_id = ?");
+      params.push(landId);
+    }
+    if (account) {
+      clauses.push("account = ?");
+      params.push(account.toLowerCase());
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM dividends ${where} ORDER BY block_number, rowid LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map((row) => ({
+        kind: row.kind,
+        landId: row.land_id,
+        tokenId: row.token_id,
+        account: row.account,
+        amount: row.amount,
+        blockNumber: row.block_number,
+        txHash: row.tx_hash
+      }));
+  }
+
+  /**
+   * Propositions de gouvernance, sans leurs votes (voir getProposal).
+   */
+  getProposals({ landId, limit = 50, offset = 0 } = {}) {
+    const rows = landId !== undefined
+      ? this._stmt("SELECT * FROM proposals WHERE land_id = ? ORDER BY proposal_id LIMIT ? OFFSET ?")
+        .all(landId, limit, offset)
+      : this._stmt("SELECT * FROM proposals ORDER BY proposal_id LIMIT ? OFFSET ?").all(limit, offset);
+    return rows.map(proposalRow);
+  }
+
+  getProposal(proposalId) {
+    const row = this._stmt("SELECT * FROM proposals WHERE proposal_id = ?").get(proposalId);
+    if (!row) return null;
+    const votes = this._stmt(
+      "SELECT * FROM votes WHERE proposal_id = ? ORDER BY block_number, rowid"
+    ).all(proposalId);
+    return {
+      ...proposalRow(row),
+      votes: votes.map((v) => ({
+        voter: v.voter,
+        support: v.support === 1,
+        weight: v.weight,
+        blockNumber: v.block_number
+      }))
+    };
+  }
+
+  getFees({ contract } = {}) {
+    const rows = contract
+      ? this._stmt("SELECT * FROM fees WHERE contract = ? ORDER BY block_number, rowid").all(contract)
+      : this._stmt("SELECT * FROM fees ORDER BY block_number, rowid").all();
+    return rows.map((row) => ({
+      contract: row.contract,
+      kind: row.kind,
+      refId: row.ref_id,
+      account: row.account,
+      amount: row.amount,
+      blockNumber: row.block_number,
+      txHash: row.tx_hash
+    }));
+  }
+
+  getQueuedChanges({ contract, status } = {}) {
+    const clauses = [];
+    const params = [];
+    if (contract) {
+      clauses.push("contract = ?");
+      params.push(contract);
+    }
+    if (status) {
+      clauses.push("status = ?");
+      params.push(status);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM queued_changes ${where} ORDER BY block_number, rowid`)
+      .all(...params)
+      .map((row) => ({
+        contract: row.contract,
+        changeId: row.change_id,
+        data: row.data,
+        eta: row.eta,
+        status: row.status,
+        blockNumber: row.block_number
+      }));
+  }
+
+  getIdentity(account) {
+    const row = this._stmt("SELECT * FROM identities WHERE account = ?").get(addr(account));
+    if (!row) return null;
+    return {
+      account: row.account,
+      jurisdiction: row.jurisdiction,
+      expiresAt: row.expires_at,
+      blockNumber: row.block_number
+    };
+  }
+
+  getForcedTransfers({ tokenId } = {}) {
+    const rows = tokenId !== undefined
+      ? this._stmt("SELECT * FROM forced_transfers WHERE token_id = ? ORDER BY block_number, rowid").all(tokenId)
+      : this._stmt("SELECT * FROM forced_transfers ORDER BY block_number, rowid").all();
+    return rows.map((row) => ({
+      tokenId: row.token_id,
+      from: row.from_address,
+      to: row.to_address,
+      reason: row.reason,
+      blockNumber: row.block_number,
+      txHash: row.tx_hash
+    }));
+  }
+
+  /**
+   * Levées de fonds d'un terrain, de la plus ancienne à la plus récente.
+   */
+  getCampaigns(landId) {
+    return this._stmt("SELECT * FROM campaigns WHERE land_id = ? ORDER BY campaign_id")
+      .all(landId)
+      .map((row) => ({
+        campaignId: row.campaign_id,
+        landId: row.land_id,
+        softCap: row.soft_cap,
+        deadline: row.deadline,
+        maxPerBuyer: row.max_per_buyer,
+        succeeded: row.raised !== null,
+        raised: row.raised,
+        openedBlock: row.opened_block
+      }));
+  }
+
+  /**
+   * Tokens remboursés après l'échec d'une levée de fonds, filtrés par terrain ou par détenteur.
+   */
+  getRefunds({ landId, holder } = {}) {
+    const clauses = [];
+    const params = [];
+    if (landId !== undefined) {
+      clauses.push("land_id = ?");
+      params.push(landId);
+    }
+    if (holder) {
+      clauses.push("holder = ?");
+      params.push(holder.toLowerCase());
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM refunds ${where} ORDER BY block_number, rowid`)
+      .all(...params)
+      .map((row) => ({
+        tokenId: row.token_id,
+        landId: row.land_id,
+        holder: row.holder,
+        amount: row.amount,
+        blockNumber: row.block_number,
+        txHash: row.tx_hash
+      }));
+  }
+
+  /**
+   * Offres de rachat d'un terrain, de la plus ancienne à la plus récente, avec les
+   * tokens cédés ou rachetés de force.
+   */
+  getBuyouts(landId) {
+    const transfers = this._stmt(
+      "SELECT * FROM buyout_transfers WHERE buyout_id = ? ORDER BY block_number, rowid"
+    );
+    return this._stmt("SELECT * FROM buyouts WHERE land_id = ? ORDER BY buyout_id")
+      .all(landId)
+      .map((row) => ({
+        buyoutId: row.buyout_id,
+        landId: row.land_id,
+        bidder: row.bidder,
+        pricePerToken: row.price_per_token,
+        deadline: row.deadline,
+        deposit: row.deposit,
+        status: row.status,
+        refund: row.refund,
+        openedBlock: row.opened_block,
+        transfers: transfers.all(row.buyout_id).map((transfer) => ({
+          tokenId: transfer.token_id,
+          holder: transfer.holder,
+          kind: transfer.kind,
+          amount: transfer.amount,
+          blockNumber: transfer.block_number,
+          txHash: transfer.tx_hash
+        }))
+      }));
+  }
+
+  /**
+   * Réserve du propriétaire et calendrier de blocage d'un terrain (null s'ils n'existent pas).
+   * @returns { reserve, schedule }
+   */
+  getVesting(landId) {
+    const reserve = this._stmt("SELECT * FROM owner_reserves WHERE land_id = ?").get(landId);
+    const schedule = this._stmt("SELECT * FROM vesting_schedules WHERE land_id = ?").get(landId);
+    return {
+      reserve: reserve
+        ? {
+          owner: reserve.owner,
+          quantity: reserve.quantity,
+          blockNumber: reserve.block_number,
+          txHash: reserve.tx_hash
+        }
+        : null,
+      schedule: schedule
+        ? {
+          mintDeadline: schedule.mint_deadline,
+          cliff: schedule.cliff,
+          vestingEnd: schedule.vesting_end,
+          blockNumber: schedule.block_number
+        }
+        : null
+    };
+  }
+}
+
+function landRow(row) {
+  return {
+    landId: row.land_id,
+    location: row.location,
+    owner: row.owner,
+    totalTokens: row.total_tokens,
+    availableTokens: row.available_tokens,
+    pricePerToken: row.price_per_token,
+    // null : prix en ETH
+    currency: row.currency || null,
+    cid: row.cid,
+    status: row.status,
+    isTokenized: row.is_tokenized === 1,
+    registeredBlock: row.registered_block
+  };
+}
+
+function proposalRow(row) {
+  return {
+    proposalId: row.proposal_id,
+    landId: row.land_id,
+    proposer: row.proposer,
+    target: row.target,
+    data: row.data,
+    description: row.description,
+    snapshotBlock: row.snapshot_block,
+    deadline: row.deadline,
+    forVotes: row.for_votes,
+    againstVotes: row.against_votes,
+    executed: row.executed === 1,
+    createdBlock: row.created_block
+  };
+}
+
+function addr(value) {
+  return value.toLowerCase();
+}
+
+function recordFee(store, event, kind, refId, account, amount) {
+  store._stmt(
+    `INSERT INTO fees (contract, kind, ref_id, account, amount, block_number, tx_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    event.contract,
+    kind,
+    refId === null ? null : Number(refId),
+    account === null ? null : addr(account),
+    amount,
+    event.blockNumber,
+    event.txHash
+  );
+}
+
+/**
+ * Reproduit la logique de LandRegistry._checkAllValidations : un terrain est
+ * valide dès que le tour en cours réunit les avis favorables requis par sa
+ * politique d'approbation.
+ */
+function hasAllValidations(store, landId) {
+  const policy = store._stmt(
+    "SELECT notaire, geometre, expert_juridique FROM approval_policies WHERE land_id = ?"
+  ).get(landId) || { notaire: 1, geometre: 1, expert_juridique: 1 };
+  const required = [policy.notaire, policy.geometre, policy.expert_juridique];
+
+  // Avis favorables du tour en cours, hors validateurs retirés depuis
+  const approvals = new Map(store._stmt(
+    `SELECT v.validator_type, COUNT(*) AS approvals FROM validations v
+     JOIN validators a ON a.address = v.validator
+     WHERE v.land_id = ? AND v.is_valid = 1
+       AND v.rowid > (SELECT COALESCE(MAX(after_validation), 0) FROM validation_rounds
+                      WHERE land_id = ?)
+     GROUP BY v.validator_type`
+  ).all(landId, landId).map((row) => [row.validator_type, row.approvals]));
+
+  return VALIDATOR_TYPES.every((type, i) => (approvals.get(type) || 0) >= required[i]);
+}
+
+function startValidationRound(store, event, args) {
+  const landId = Number(args.landId);
+  const { last } = store._stmt(
+    "SELECT COALESCE(MAX(rowid), 0) AS last FROM validations WHERE land_id = ?"
+  ).get(landId);
+  store._stmt(
+    `INSERT OR REPLACE INTO validation_rounds (land_id, round, after_validation, block_number)
+     VALUES (?, ?, ?, ?)`
+  ).run(landId, Number(args.round), last, event.blockNumber);
+}
+
+function setChangeStatus(store, event, changeId, status) {
+  store._stmt(
+    "UPDATE queued_changes SET status = ?, block_number = ? WHERE contract = ? AND change_id = ?"
+  ).run(status, event.blockNumber, event.contract, changeId);
+}
+
+// Mise à jour des tables dérivées pour chaque événement (les montants restent en chaînes)
+const PROJECTIONS = {
+  ValidatorAdded(store, event, args) {
+    store._stmt(
+      `INSERT INTO validators (address, validator_type) VALUES (?, ?)
+       ON CONFLICT(address) DO UPDATE SET validator_type = excluded.validator_type`
+    ).run(addr(args.validator), VALIDATOR_TYPES[Number(args.validatorType)]);
+  },
+
+  ValidatorRemoved(store, event, args) {
+    store._stmt("DELETE FROM validators WHERE address = ?").run(addr(args.validator));
+    store._stmt("DELETE FROM suspended_validators WHERE address = ?").run(addr(args.validator));
+  },
+
+  ValidatorSuspended(store, event, args) {
+    store._stmt(
+      "INSERT OR REPLACE INTO suspended_validators (address, block_number) VALUES (?, ?)"
+    ).run(addr(args.validator), event.blockNumber);
+  },
+
+  ValidatorReinstated(store, event, args) {
+    store._stmt("DELETE FROM suspended_validators WHERE address = ?").run(addr(args.validator));
+  },
+
+  ApprovalPolicyUpdated(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO approval_policies (land_id, notaire, geometre, expert_juridique)
+       VALUES (?, ?, ?, ?)`
+    ).run(Number(args.landId), ...args.requiredApprovals.map(Number));
+  },
+
+  LandRegistered(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO lands
+       (land_id, location, owner, total_tokens, available_tokens, price_per_token, cid, status, is_tokenized, registered_block)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?)`
+    ).run(
+      Number(args.landId),
+      args.location,
+      addr(args.owner),
+      args.totalTokens,
+      args.totalTokens,
+      args.pricePerToken,
+      args.cid,
+      LAND_STATUS[0],
+      event.blockNumber
+    );
+  },
+
+  LandCurrencySet(store, event, args) {
+    store._stmt("INSERT OR REPLACE INTO land_currencies (land_id, currency) VALUES (?, ?)")
+      .run(Number(args.landId), addr(args.currency));
+  },
+
+  ValidationAdded(store, event, args) {
+    const landId = Number(args.landId);
+    const validator = store._stmt(
+      "SELECT validator_type FROM validators WHERE address = ?"
+    ).get(addr(args.validator));
+
+    store._stmt(
+      `INSERT INTO validations (land_id, validator, validator_type, is_valid, block_number, tx_hash)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(
+      landId,
+      addr(args.validator),
+      validator ? validator.validator_type : null,
+      args.isValidated ? 1 : 0,
+      event.blockNumber,
+      event.txHash
+    );
+
+    if (!args.isValidated) {
+      store._stmt("UPDATE lands SET status = ? WHERE land_id = ?").run(LAND_STATUS[2], landId);
+    } else if (hasAllValidations(store, landId)) {
+      store._stmt("UPDATE lands SET status = ? WHERE land_id = ?").run(LAND_STATUS[1], landId);
+    }
+  },
+
+  LandUpdated(store, event, args) {
+    store._stmt(
+      `UPDATE lands SET location = ?, total_tokens = ?, available_tokens = ?,
+       price_per_token = ?, cid = ? WHERE land_id = ?`
+    ).run(
+      args.location,
+      args.totalTokens,
+      args.totalTokens,
+      args.pricePerToken,
+      args.cid,
+      Number(args.landId)
+    );
+  },
+
+  ValidationRoundStarted(store, event, args) {
+    startValidationRound(store, event, args);
+  },
+
+  LandResubmitted(store, event, args) {
+    startValidationRound(store, event, args);
+    store._stmt("UPDATE lands SET status = ? WHERE land_id = ?")
+      .run(LAND_STATUS[0], Number(args.landId));
+  },
+
+  LandWithdrawn(store, event, args) {
+    store._stmt("UPDATE lands SET status = ? WHERE land_id = ?")
+      .run(LAND_STATUS[3], Number(args.landId));
+  },
+
+  TitleTransferApproved(store, event, args) {
+    store._stmt("UPDATE lands SET owner = ? WHERE land_id = ?")
+      .run(addr(args.to), Number(args.landId));
+  },
+
+  LandTokenized(store, event, args) {
+    store._stmt("UPDATE lands SET is_tokenized = 1 WHERE land_id = ?").run(Number(args.landId));
+  },
+
+  // Rachat terminé : tous les tokens sont brûlés et le terrain sort du registre
+  LandDetokenized(store, event, args) {
+    store._stmt("UPDATE lands SET is_tokenized = 0, status = ? WHERE land_id = ?")
+      .run(LAND_STATUS[3], Number(args.landId));
+    store._stmt("DELETE FROM owner_reserves WHERE land_id = ?").run(Number(args.landId));
+  },
+
+  TokensAvailabilityUpdated(store, event, args) {
+    store._stmt("UPDATE lands SET available_tokens = ? WHERE land_id = ?")
+      .run(args.availableTokens, Number(args.landId));
+  },
+
+  PricePerTokenUpdated(store, event, args) {
+    store._stmt("UPDATE lands SET price_per_token = ? WHERE land_id = ?")
+      .run(args.pricePerToken, Number(args.landId));
+  },
+
+  TokenMinted(store, event, args) {
+    const tokenId = Number(args.tokenId);
+    store._stmt(
+      "INSERT OR REPLACE INTO tokens (token_id, land_id, owner, minted_block) VALUES (?, ?, ?, ?)"
+    ).run(tokenId, Number(args.landId), addr(args.owner), event.blockNumber);
+
+    const land = store._stmt("SELECT price_per_token FROM lands WHERE land_id = ?")
+      .get(Number(args.landId));
+    if (land) {
+      insertPrice(store, event, tokenId, "mint", land.price_per_token, args.owner);
+    }
+  },
+
+  // Transfer ERC-721 : suit le propriétaire courant de chaque token ; un token
+  // brûlé (remboursement d'une levée de fonds) disparaît
+  Transfer(store, event, args) {
+    if (event.contract !== "LandToken") return;
+    if (args.to === ZERO_ADDRESS) {
+      if (args.from !== ZERO_ADDRESS) {
+        store._stmt("DELETE FROM tokens WHERE token_id = ?").run(Number(args.tokenId));
+      }
+      return;
+    }
+    store._stmt("UPDATE tokens SET owner = ? WHERE token_id = ?")
+      .run(addr(args.to), Number(args.tokenId));
+  },
+
+  TokenListed(store, event, args) {
+    const tokenId = Number(args.tokenId);
+    store._stmt(
+      `INSERT INTO listings (token_id, seller, price, status, listed_block)
+       VALUES (?, ?, ?, 'active', ?)`
+    ).run(tokenId, addr(args.seller), args.price, event.blockNumber);
+    insertPrice(store, event, tokenId, "listed", args.price, args.seller);
+  },
+
+  TokenSold(store, event, args) {
+    const tokenId = Number(args.tokenId);
+    store._stmt(
+      `UPDATE listings SET status = 'sold', buyer = ?, closed_block = ?
+       WHERE token_id = ? AND status = 'active'`
+    ).run(addr(args.buyer), event.blockNumber, tokenId);
+    insertPrice(store, event, tokenId, "sold", args.price, args.buyer);
+  },
+
+  ListingPriceUpdated(store, event, args) {
+    const tokenId = Number(args.tokenId);
+    const listing = store._stmt(
+      "SELECT seller FROM listings WHERE token_id = ? AND status = 'active'"
+    ).get(tokenId);
+    if (!listing) return;
+    store._stmt("UPDATE listings SET price = ? WHERE token_id = ? AND status = 'active'")
+      .run(args.newPrice, tokenId);
+    insertPrice(store, event, tokenId, "repriced", args.newPrice, listing.seller);
+  },
+
+  ExpiredListingRemoved(store, event, args) {
+    store._stmt(
+      `UPDATE listings SET status = 'expired', closed_block = ?
+       WHERE token_id = ? AND status = 'active'`
+    ).run(event.blockNumber, Number(args.tokenId));
+  },
+
+  // Enchère anglaise : le listing affiche la meilleure offre en cours
+  BidPlaced(store, event, args) {
+    const tokenId = Number(args.tokenId);
+    store._stmt("UPDATE listings SET price = ? WHERE token_id = ? AND status = 'active'")
+      .run(args.amount, tokenId);
+    insertPrice(store, event, tokenId, "bid", args.amount, args.bidder);
+  },
+
+  ListingCancelled(store, event, args) {
+    store._stmt(
+      `UPDATE listings SET status = 'cancelled', closed_block = ?
+       WHERE token_id = ? AND status = 'active'`
+    ).run(event.blockNumber, Number(args.tokenId));
+  },
+
+  OfferCreated(store, event, args) {
+    const tokenId = Number(args.tokenId);
+    const landId = Number(args.landId);
+    store._stmt(
+      `INSERT OR REPLACE INTO offers
+       (offer_id, buyer, token_id, land_id, amount, expires_at, status, created_block)
+       VALUES (?, ?, ?, ?, ?, ?, 'active', ?)`
+    ).run(
+      Number(args.offerId),
+      addr(args.buyer),
+      tokenId === 0 ? null : tokenId,
+      landId === 0 ? null : landId,
+      args.amount,
+      Number(args.expiresAt),
+      event.blockNumber
+    );
+  },
+
+  OfferCancelled(store, event, args) {
+    store._stmt("UPDATE offers SET status = 'cancelled', closed_block = ? WHERE offer_id = ?")
+      .run(event.blockNumber, Number(args.offerId));
+  },
+
+  OfferAccepted(store, event, args) {
+    store._stmt(
+      `UPDATE offers SET status = 'accepted', accepted_token_id = ?, seller = ?, closed_block = ?
+       WHERE offer_id = ?`
+    ).run(Number(args.tokenId), addr(args.seller), event.blockNumber, Number(args.offerId));
+  },
+
+  PaymentToOwner(store, event, args) {
+    recordFee(store, event, "ownerPayment", args.landId, args.owner, args.amount);
+  },
+
+  PlatformFeesCollected(store, event, args) {
+    recordFee(store, event, "collected", args.landId, null, args.amount);
+  },
+
+  PlatformFeesWithdrawn(store, event, args) {
+    recordFee(store, event, "withdrawn", null, args.to, args.amount);
+  },
+
+  MarketplaceFeesCollected(store, event, args) {
+    recordFee(store, event, "collected", args.tokenId, null, args.amount);
+  },
+
+  // Retrait des montants crédités (propriétaires, vendeurs, enchérisseurs)
+  PaymentWithdrawn(store, event, args) {
+    recordFee(store, event, "paymentWithdrawn", null, args.payee, args.amount);
+  },
+
+  // Sur le marketplace de parts, la royalty est rattachée à l'ordre exécuté
+  RoyaltyPaid(store, event, args) {
+    const refId = event.contract === "LandShareMarketplace" ? args.orderId : args.tokenId;
+    recordFee(store, event, "royalty", refId, args.receiver, args.amount);
+  },
+
+  MarketplaceFeesWithdrawn(store, event, args) {
+    recordFee(store, event, "withdrawn", null, args.to, args.amount);
+  },
+
+  ChangeQueued(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO queued_changes (contract, change_id, data, eta, status, block_number)
+       VALUES (?, ?, ?, ?, 'queued', ?)`
+    ).run(event.contract, args.changeId, args.data, Number(args.eta), event.blockNumber);
+  },
+
+  ChangeExecuted(store, event, args) {
+    setChangeStatus(store, event, args.changeId, "executed");
+  },
+
+  ChangeCancelled(store, event, args) {
+    setChangeStatus(store, event, args.changeId, "cancelled");
+  },
+
+  IdentityUpdated(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO identities (account, jurisdiction, expires_at, block_number)
+       VALUES (?, ?, ?, ?)`
+    ).run(addr(args.account), Number(args.jurisdiction), Number(args.expiresAt), event.blockNumber);
+  },
+
+  IdentityRevoked(store, event, args) {
+    store._stmt(
+      "UPDATE identities SET expires_at = 0, block_number = ? WHERE account = ?"
+    ).run(event.blockNumber, addr(args.account));
+  },
+
+  ForcedTransfer(store, event, args) {
+    store._stmt(
+      `INSERT INTO forced_transfers (token_id, from_address, to_address, reason, block_number, tx_hash)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(Number(args.tokenId), addr(args.from), addr(args.to), args.reason, event.blockNumber, event.txHash);
+  },
+
+  CampaignOpened(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO campaigns
+       (campaign_id, land_id, soft_cap, deadline, max_per_buyer, raised, opened_block)
+       VALUES (?, ?, ?, ?, ?, NULL, ?)`
+    ).run(
+      Number(args.campaignId),
+      Number(args.landId),
+      args.softCap,
+      Number(args.deadline),
+      Number(args.maxPerBuyer),
+      event.blockNumber
+    );
+  },
+
+  CampaignSucceeded(store, event, args) {
+    store._stmt("UPDATE campaigns SET raised = ? WHERE campaign_id = ?")
+      .run(args.raised, Number(args.campaignId));
+  },
+
+  TokenRefunded(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO refunds (token_id, land_id, holder, amount, block_number, tx_hash)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(Number(args.tokenId), Number(args.landId), addr(args.holder), args.amount, event.blockNumber, event.txHash);
+  },
+
+  BuyoutOpened(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO buyouts
+       (buyout_id, land_id, bidder, price_per_token, deadline, deposit, status, refund, opened_block)
+       VALUES (?, ?, ?, ?, ?, ?, 'open', NULL, ?)`
+    ).run(
+      Number(args.buyoutId),
+      Number(args.landId),
+      addr(args.bidder),
+      args.pricePerToken,
+      Number(args.deadline),
+      args.deposit,
+      event.blockNumber
+    );
+  },
+
+  TokenRedeemed(store, event, args) {
+    insertBuyoutTransfer(store, event, args, "redeemed");
+  },
+
+  TokenAcquired(store, event, args) {
+    insertBuyoutTransfer(store, event, args, "acquired");
+  },
+
+  BuyoutCompleted(store, event, args) {
+    store._stmt("UPDATE buyouts SET status = 'completed', refund = ? WHERE buyout_id = ?")
+      .run(args.refund, Number(args.buyoutId));
+  },
+
+  BuyoutClosed(store, event, args) {
+    store._stmt("UPDATE buyouts SET status = 'closed', refund = ? WHERE buyout_id = ?")
+      .run(args.refund, Number(args.buyoutId));
+  },
+
+  OwnerReserveMinted(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO owner_reserves (land_id, owner, quantity, block_number, tx_hash)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(Number(args.landId), addr(args.owner), Number(args.quantity), event.blockNumber, event.txHash);
+  },
+
+  ScheduleSet(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO vesting_schedules (land_id, mint_deadline, cliff, vesting_end, block_number)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(
+      Number(args.landId),
+      Number(args.mintDeadline),
+      Number(args.cliff),
+      Number(args.vestingEnd),
+      event.blockNumber
+    );
+  },
+
+  // Transferts ERC-1155 de LandShares (id = landId), mints compris
+  TransferSingle(store, event, args) {
+    if (event.contract !== "LandShares") return;
+    moveShares(store, Number(args.id), args.from, args.to, args.value);
+  },
+
+  TransferBatch(store, event, args) {
+    if (event.contract !== "LandShares") return;
+    args.ids.forEach((id, i) => moveShares(store, Number(id), args.from, args.to, args.values[i]));
+  },
+
+  OrderCreated(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO share_orders
+       (order_id, land_id, maker, side, quantity, remaining, price_per_share, status, created_block)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ?)`
+    ).run(
+      Number(args.orderId),
+      Number(args.landId),
+      addr(args.maker),
+      SHARE_ORDER_SIDES[Number(args.side)],
+      args.quantity,
+      args.quantity,
+      args.pricePerShare,
+      event.blockNumber
+    );
+  },
+
+  OrderFilled(store, event, args) {
+    const orderId = Number(args.orderId);
+    const order = store._stmt("SELECT remaining FROM share_orders WHERE order_id = ?").get(orderId);
+    if (!order) return;
+    const remaining = BigInt(order.remaining) - BigInt(args.quantity);
+    store._stmt(
+      "UPDATE share_orders SET remaining = ?, status = ?, closed_block = ? WHERE order_id = ?"
+    ).run(
+      remaining.toString(),
+      remaining === 0n ? "filled" : "active",
+      remaining === 0n ? event.blockNumber : null,
+      orderId
+    );
+  },
+
+  OrderCancelled(store, event, args) {
+    store._stmt(
+      "UPDATE share_orders SET status = 'cancelled', closed_block = ? WHERE order_id = ?"
+    ).run(event.blockNumber, Number(args.orderId));
+  },
+
+  OrderFeesCollected(store, event, args) {
+    recordFee(store, event, "collected", args.orderId, null, args.amount);
+  },
+
+  DividendsDeposited(store, event, args) {
+    recordDividend(store, event, "deposit", Number(args.landId), null, args.depositor, args.amount);
+  },
+
+  DividendsCredited(store, event, args) {
+    const tokenId = Number(args.tokenId);
+    const token = store._stmt("SELECT land_id FROM tokens WHERE token_id = ?").get(tokenId);
+    recordDividend(store, event, "credited", token ? token.land_id : null, tokenId, args.account, args.amount);
+  },
+
+  DividendsClaimed(store, event, args) {
+    recordDividend(store, event, "claimed", null, null, args.account, args.amount);
+  },
+
+  ProposalCreated(store, event, args) {
+    store._stmt(
+      `INSERT OR REPLACE INTO proposals
+       (proposal_id, land_id, proposer, target, data, description, snapshot_block, deadline,
+        for_votes, against_votes, created_block)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, '0', '0', ?)`
+    ).run(
+      Number(args.proposalId),
+      Number(args.landId),
+      addr(args.proposer),
+      addr(args.target),
+      args.data,
+      args.description,
+      Number(args.snapshotBlock),
+      Number(args.deadline),
+      event.blockNumber
+    );
+  },
+
+  VoteCast(store, event, args) {
+    const proposalId = Number(args.proposalId);
+    store._stmt(
+      `INSERT OR REPLACE INTO votes (proposal_id, voter, support, weight, block_number)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(proposalId, addr(args.voter), args.support ? 1 : 0, args.weight, event.blockNumber);
+
+    const column = args.support ? "for_votes" : "against_votes";
+    const row = store._stmt(`SELECT ${column} AS total FROM proposals WHERE proposal_id = ?`).get(proposalId);
+    if (!row) return;
+    store._stmt(`UPDATE proposals SET ${column} = ? WHERE proposal_id = ?`)
+      .run((BigInt(row.total) + BigInt(args.weight)).toString(), proposalId);
+  },
+
+  ProposalExecuted(store, event, args) {
+    store._stmt("UPDATE proposals SET executed = 1 WHERE proposal_id = ?")
+      .run(Number(args.proposalId));
+  }
+};
+
+function recordDividend(store, event, kind, landId, tokenId, account, amount) {
+  store._stmt(
+    `INSERT INTO dividends (kind, land_id, token_id, account, amount, block_number, tx_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(kind, landId, tokenId, addr(account), amount, event.blockNumber, event.txHash);
+}
+
+function moveShares(store, landId, from, to, value) {
+  const amount = BigInt(value);
+  if (from !== ZERO_ADDRESS) addShares(store, landId, from, -amount);
+  if (to !== ZERO_ADDRESS) addShares(store, landId, to, amount);
+}
+
+function addShares(store, landId, account, delta) {
+  const row = store._stmt(
+    "SELECT balance FROM share_balances WHERE land_id = ? AND account = ?"
+  ).get(landId, addr(account));
+  const balance = (row ? BigInt(row.balance) : 0n) + delta;
+  store._stmt(
+    `INSERT INTO share_balances (land_id, account, balance) VALUES (?, ?, ?)
+     ON CONFLICT(land_id, account) DO UPDATE SET balance = excluded.balance`
+  ).run(landId, addr(account), balance.toString());
+}
+
+function insertPrice(store, event, tokenId, kind, price, account) {
+  store._stmt(
+    `INSERT INTO price_history (token_id, kind, price, account, block_number, tx_hash, log_index)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(tokenId, kind, price, addr(account), event.blockNumber, event.txHash, event.logIndex);
+}
+
+function insertBuyoutTransfer(store, event, args, kind) {
+  store._stmt(
+    `INSERT INTO buyout_transfers (buyout_id, token_id, holder, kind, amount, block_number, tx_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    Number(args.buyoutId),
+    Number(args.tokenId),
+    addr(args.holder),
+    kind,
+    args.amount,
+    event.blockNumber,
+    event.txHash
+  );
+}
+
+module.exports = {
+  LAND_STATUS,
+  VALIDATOR_TYPES,
+  SHARE_ORDER_SIDES,
+  openStore,
+  Store
+};
@@ -0,0 +1,418 @@
+const hre = require("hardhat");
+const {
+  CONTRACTS,
+  PROXIED_CONTRACTS,
+  VALIDATOR_TYPES,
+  emptyManifest,
+  loadManifest,
+  saveManifest,
+  loadNetworkConfig,
+  abiHash
+} = require("./lib/deployments");
+const {
+  implementationHash,
+  deployLibraries,
+  deployImplementation,
+  readStorageLayout
+} = require("./lib/upgrades");
+
+/**
+ * Déploie les bibliothèques liées (LandMetadata, LandHolders, LandPayments, LandSignatures,
+ * LandAuctions) et LandProxyAdmin, puis LandRegistry, LandToken et
+ * LandTokenMarketplace derrière des proxies transparents, LandShares,
+ * LandShareMarketplace, LandDividends, LandGovernance, LandCompliance, LandCrowdfunding,
+ * LandBuyout et LandVesting, configure les tokenizers et le marketplace de LandToken, les modules de
+ * dividendes, de gouvernance, de conformité, de levée de fonds, de rachat et de blocage puis enregistre les validateurs, relayers, la trésorerie et les devises de paiement de deploy-config/<network>.json.
+ *
+ * Chaque étape est enregistrée dans deployments/<network>.json dès qu'elle est
+ * confirmée : relancer le script reprend là où il s'était arrêté au lieu de tout
+ * redéployer. Mettre DEPLOY_FRESH=true pour forcer un nouveau déploiement.
+ *
+ * @param hre Hardhat Runtime Environment.
+ * @param options { fresh, deploymentsDir, configDir, config, log }
+ * @returns Le manifeste final.
+ */
+async function deploySystem(hre, options = {}) {
+  const { ethers, network } = hre;
+  const log = options.log || console.log;
+  const config = options.config || loadNetworkConfig(network.name, options.configDir);
+
+  const [deployer] = await ethers.getSigners();
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+  let manifest = options.fresh ? null : loadManifest(network.name, options.deploymentsDir);
+  if (manifest && manifest.chainId !== chainId) {
+    log(`Manifeste existant pour la chaîne ${manifest.chainId}, nouvelle chaîne ${chainId}: redéploiement complet`);
+    manifest = null;
+  }
+  manifest = manifest || emptyManifest(network.name, chainId);
+  manifest.deployer = manifest.deployer || deployer.address;
+
+  const save = () => saveManifest(manifest, options.deploymentsDir);
+
+  log(`Déploiement sur ${network.name} (chainId ${chainId}) avec le compte: ${deployer.address}`);
+
+  // 1. Déploiement des contrats (chaque contrat dépend du précédent).
+  // Les arguments des contrats proxifiés sont ceux de leur fonction initialize.
+  const constructorArgs = {
+    LandRegistry: () => [],
+    LandToken: (deployed) => [deployed.LandRegistry.target],
+    LandTokenMarketplace: (deployed) => [deployed.LandToken.target],
+    LandShares: (deployed) => [deployed.LandRegistry.target],
+    LandShareMarketplace: (deployed) => [deployed.LandShares.target],
+    LandDividends: (deployed) => [deployed.LandToken.target, deployed.LandTokenMarketplace.target],
+    LandGovernance: (deployed) => [deployed.LandToken.target, deployed.LandTokenMarketplace.target],
+    LandCompliance: (deployed) => [deployed.LandToken.target, deployed.LandTokenMarketplace.target],
+    LandCrowdfunding: (deployed) => [deployed.LandToken.target],
+    LandBuyout: (deployed) => [deployed.LandToken.target],
+    LandVesting: (deployed) => [deployed.LandToken.target]
+  };
+
+  const deployed = {};
+  let dependencyRedeployed = false;
+
+  await deployLibraries(hre, manifest, { save, log });
+
+  // Administrateur des proxies : s'il disparaît, les proxies sont redéployés avec lui
+  const recordedAdmin = manifest.proxyAdmin;
+  if (recordedAdmin && (await ethers.provider.getCode(recordedAdmin.address)) !== "0x") {
+    log(`LandProxyAdmin déjà déployé à ${recordedAdmin.address}, étape ignorée`);
+  } else {
+    log("Déploiement de LandProxyAdmin...");
+    const admin = await (await ethers.getContractFactory("LandProxyAdmin")).deploy();
+    const receipt = await admin.deploymentTransaction().wait();
+    manifest.proxyAdmin = { address: await admin.getAddress(), ...txRecord(receipt) };
+    dependencyRedeployed = true;
+    save();
+    log(`LandProxyAdmin déployé à: ${manifest.proxyAdmin.address}`);
+  }
+
+  for (const name of CONTRACTS) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    const currentAbiHash = abiHash(ethers, artifact.abi);
+    const recorded = manifest.contracts[name];
+    const proxied = PROXIED_CONTRACTS.includes(name);
+
+    if (recorded && !dependencyRedeployed) {
+      const code = await ethers.provider.getCode(recorded.address);
+      if (code !== "0x") {
+        if (recorded.abiHash !== currentAbiHash) {
+          throw new Error(
+            `L'ABI de ${name} a changé depuis son déploiement à ${recorded.address}. ` +
+            (proxied
+              ? "Mettez à jour son implémentation avec npm run upgrade."
+              : "Relancez avec DEPLOY_FRESH=true pour redéployer le système.")
+          );
+        }
+        log(`${name} déjà déployé à ${recorded.address}, étape ignorée`);
+        deployed[name] = await ethers.getContractAt(name, recorded.address);
+        continue;
+      }
+      log(`${name} introuvable à ${recorded.address}, redéploiement`);
+    }
+
+    log(`Déploiement de ${name}...`);
+    let contract;
+    let receipt;
+    if (proxied) {
+      const implementation = await deployImplementation(hre, manifest, name);
+      const initData = new ethers.Interface(artifact.abi).encodeFunctionData(
+        "initialize",
+        constructorArgs[name](deployed)
+      );
+      const proxy = await (await ethers.getContractFactory("TransparentUpgradeableProxy"))
+        .deploy(implementation.address, manifest.proxyAdmin.address, initData);
+      receipt = await proxy.deploymentTransaction().wait();
+      contract = await ethers.getContractAt(name, await proxy.getAddress());
+      manifest.contracts[name] = {
+        address: contract.target,
+        ...txRecord(receipt),
+        abiHash: currentAbiHash,
+        implementation: implementation.address,
+        implementationHash: await implementationHash(hre, name),
+        storageLayout: await readStorageLayout(hre, name)
+      };
+    } else {
+      const factory = await ethers.getContractFactory(name);
+      contract = await factory.deploy(...constructorArgs[name](deployed));
+      receipt = await contract.deploymentTransaction().wait();
+      manifest.contracts[name] = {
+        address: await contract.getAddress(),
+        ...txRecord(receipt),
+        abiHash: currentAbiHash
+      };
+    }
+    deployed[name] = contract;
+    dependencyRedeployed = true;
+    save();
+    log(`${name} déployé à: ${manifest.contracts[name].address}`);
+  }
+
+  // Un redéploiement invalide la configuration enregistrée
+  if (dependencyRedeployed) {
+    manifest.configuration = emptyManifest(network.name, chainId).configuration;
+    save();
+  }
+
+  const {
+    LandRegistry: landRegistry,
+    LandToken: landToken,
+    LandTokenMarketplace: marketplace,
+    LandShares: landShares,
+    LandShareMarketplace: shareMarketplace,
+    LandDividends: landDividends,
+    LandGovernance: landGovernance,
+    LandCompliance: landCompliance,
+    LandCrowdfunding: landCrowdfunding,
+    LandBuyout: landBuyout,
+    LandVesting: landVesting
+  } = deployed;
+
+  // 2. Configuration du tokenizer
+  if ((await landRegistry.tokenizer()) !== landToken.target) {
+    log("Configuration du tokenizer...");
+    const receipt = await (await landRegistry.setTokenizer(landToken.target)).wait();
+    assertApplied(await landRegistry.tokenizer(), landToken.target, "LandRegistry.setTokenizer");
+    manifest.configuration.tokenizer = txRecord(receipt);
+    save();
+  } else {
+    log("Tokenizer déjà configuré");
+  }
+
+  if ((await landRegistry.shareTokenizer()) !== landShares.target) {
+    log("Configuration du tokenizer de parts...");
+    const receipt = await (await landRegistry.setShareTokenizer(landShares.target)).wait();
+    assertApplied(await landRegistry.shareTokenizer(), landShares.target, "LandRegistry.setShareTokenizer");
+    manifest.configuration.shareTokenizer = txRecord(receipt);
+    save();
+  } else {
+    log("Tokenizer de parts déjà configuré");
+  }
+
+  // Le séquestre du marketplace reste attribué aux vendeurs dans les listes de détenteurs
+  if ((await landToken.marketplace()) !== marketplace.target) {
+    log("Configuration du marketplace sur LandToken...");
+    const receipt = await (await landToken.setMarketplace(marketplace.target)).wait();
+    assertApplied(await landToken.marketplace(), marketplace.target, "LandToken.setMarketplace");
+    manifest.configuration.marketplace = txRecord(receipt);
+    save();
+  } else {
+    log("Marketplace déjà configuré sur LandToken");
+  }
+
+  if ((await landToken.dividendDistributor()) !== landDividends.target) {
+    log("Configuration du module de dividendes...");
+    const receipt = await (await landToken.setDividendDistributor(landDividends.target)).wait();
+    assertApplied(await landToken.dividendDistributor(), landDividends.target, "LandToken.setDividendDistributor");
+    manifest.configuration.dividendDistributor = txRecord(receipt);
+    save();
+  } else {
+    log("Module de dividendes déjà configuré");
+  }
+
+  // Levée de fonds : sans campagne ouverte, les ventes ne sont pas séquestrées
+  if ((await landToken.crowdfunding()) !== landCrowdfunding.target) {
+    log("Configuration du module de levée de fonds...");
+    const receipt = await (await landToken.setCrowdfunding(landCrowdfunding.target)).wait();
+    assertApplied(await landToken.crowdfunding(), landCrowdfunding.target, "LandToken.setCrowdfunding");
+    manifest.configuration.crowdfunding = txRecord(receipt);
+    save();
+  } else {
+    log("Module de levée de fonds déjà configuré");
+  }
+
+  // Rachat : bloque les mints et mises en vente d'un terrain pendant une offre
+  if ((await landToken.buyout()) !== landBuyout.target) {
+    log("Configuration du module de rachat...");
+    const receipt = await (await landToken.setBuyout(landBuyout.target)).wait();
+    assertApplied(await landToken.buyout(), landBuyout.target, "LandToken.setBuyout");
+    manifest.configuration.buyout = txRecord(receipt);
+    save();
+  } else {
+    log("Module de rachat déjà configuré");
+  }
+
+  // Blocage : tient les calendriers de lock-up et de vesting fixés par les propriétaires
+  if ((await landToken.vesting()) !== landVesting.target) {
+    log("Configuration du module de blocage...");
+    const receipt = await (await landToken.setVesting(landVesting.target)).wait();
+    assertApplied(await landToken.vesting(), landVesting.target, "LandToken.setVesting");
+    manifest.configuration.vesting = txRecord(receipt);
+    save();
+  } else {
+    log("Module de blocage déjà configuré");
+  }
+
+  // Gouvernance : notifiée des transferts par LandToken, exécute les décisions sur le registre
+  for (const [name, contract] of Object.entries({ LandToken: landToken, LandRegistry: landRegistry })) {
+    if ((await contract.governance()) === landGovernance.target) {
+      log(`Gouvernance déjà configurée sur ${name}`);
+      continue;
+    }
+
+    log(`Configuration de la gouvernance sur ${name}...`);
+    const receipt = await (await contract.setGovernance(landGovernance.target)).wait();
+    assertApplied(await contract.governance(), landGovernance.target, `${name}.setGovernance`);
+    manifest.configuration.governance[name] = txRecord(receipt);
+    save();
+  }
+
+  // Conformité : branchée sur LandToken et LandShares seulement si la configuration
+  // le demande, les comptes devant d'abord disposer d'une identité vérifiée. Les deux
+  // remplacements sont mis en file ensemble pour partager le délai du timelock.
+  if (config.compliance !== null && config.compliance !== undefined) {
+    const expected = config.compliance ? landCompliance.target : ethers.ZeroAddress;
+    const pending = [];
+    for (const [name, contract] of Object.entries({ LandToken: landToken, LandShares: landShares })) {
+      if ((await contract.compliance()) === expected) {
+        log(`Module de conformité déjà ${config.compliance ? "branché" : "débranché"} sur ${name}`);
+        continue;
+      }
+
+      log(`${config.compliance ? "Branchement" : "Débranchement"} du module de conformité sur ${name}...`);
+      const receipt = await (await contract.setCompliance(expected)).wait();
+      pending.push([name, contract, receipt]);
+    }
+
+    for (const [name, contract, receipt] of pending) {
+      assertApplied(await contract.compliance(), expected, `${name}.setCompliance`);
+      manifest.configuration.compliance = {
+        ...manifest.configuration.compliance,
+        enabled: config.compliance,
+        [name]: txRecord(receipt)
+      };
+      save();
+    }
+  }
+
+  // 3. Enregistrement des validateurs
+  for (const { address, type } of config.validators) {
+    const isValidator = await landRegistry.validators(address);
+    if (isValidator && Number(await landRegistry.validatorTypes(address)) === type) {
+      log(`Validateur ${address} (${VALIDATOR_TYPES[type]}) déjà enregistré`);
+      continue;
+    }
+
+    // Le type d'un validateur ne change qu'en le retirant puis en l'ajoutant à nouveau
+    if (isValidator) {
+      log(`Retrait du validateur ${address} pour changer son type...`);
+      await (await landRegistry.removeValidator(address)).wait();
+    }
+
+    log(`Ajout du validateur ${address} (${VALIDATOR_TYPES[type]})...`);
+    const receipt = await (await landRegistry.addValidator(address, type)).wait();
+    manifest.configuration.validators[address] = {
+      type: VALIDATOR_TYPES[type],
+      ...txRecord(receipt)
+    };
+    save();
+  }
+
+  // Politique d'approbation par défaut (avis favorables requis par type de validateur)
+  if (config.approvalPolicy) {
+    const current = (await landRegistry.getApprovalPolicy(0)).map(Number);
+    if (current.every((required, i) => required === config.approvalPolicy[i])) {
+      log(`Politique d'approbation [${current.join(", ")}] déjà configurée`);
+    } else {
+      log(`Configuration de la politique d'approbation [${config.approvalPolicy.join(", ")}]...`);
+      const receipt = await (await landRegistry.setApprovalPolicy(config.approvalPolicy)).wait();
+      manifest.configuration.approvalPolicy = {
+        requiredApprovals: config.approvalPolicy,
+        ...txRecord(receipt)
+      };
+      save();
+    }
+  }
+
+  // 4. Enregistrement des relayers sur les contrats acceptant des opérations relayées
+  const relayed = { LandRegistry: landRegistry, LandToken: landToken, LandTokenMarketplace: marketplace };
+  for (const address of config.relayers) {
+    manifest.configuration.relayers[address] = manifest.configuration.relayers[address] || {};
+
+    for (const [name, contract] of Object.entries(relayed)) {
+      if (await contract.relayers(address)) {
+        log(`Relayer ${address} déjà enregistré sur ${name}`);
+        continue;
+      }
+
+      log(`Ajout du relayer ${address} sur ${name}...`);
+      const receipt = await (await contract.addRelayer(address)).wait();
+      manifest.configuration.relayers[address][name] = txRecord(receipt);
+      save();
+    }
+  }
+
+  // 5. Trésorerie recevant les frais de plateforme et de marketplace
+  if (config.treasury) {
+    manifest.configuration.treasury = manifest.configuration.treasury || {};
+
+    const feeCollectors = {
+      LandToken: landToken,
+      LandTokenMarketplace: marketplace,
+      LandShares: landShares,
+      LandShareMarketplace: shareMarketplace
+    };
+    for (const [name, contract] of Object.entries(feeCollectors)) {
+      if ((await contract.treasury()) === config.treasury) {
+        log(`Trésorerie ${config.treasury} déjà configurée sur ${name}`);
+        continue;
+      }
+
+      log(`Configuration de la trésorerie ${config.treasury} sur ${name}...`);
+      const receipt = await (await contract.setTreasury(config.treasury)).wait();
+      manifest.configuration.treasury[name] = { address: config.treasury, ...txRecord(receipt) };
+      save();
+    }
+  }
+
+  // 6. Devises ERC-20 acceptées pour le prix des terrains
+  manifest.configuration.paymentTokens = manifest.configuration.paymentTokens || {};
+  for (const address of config.paymentTokens || []) {
+    if (await landRegistry.paymentTokens(address)) {
+      log(`Devise ${address} déjà acceptée`);
+      continue;
+    }
+
+    log(`Ajout de la devise de paiement ${address}...`);
+    const receipt = await (await landRegistry.setPaymentToken(address, true)).wait();
+    manifest.configuration.paymentTokens[address] = txRecord(receipt);
+    save();
+  }
+
+  save();
+  log("\nDéploiement terminé !");
+  log("====================");
+  for (const name of CONTRACTS) {
+    log(`${name}: ${manifest.contracts[name].address}`);
+  }
+
+  return manifest;
+}
+
+/**
+ * Un tokenizer ou un module déjà configuré ne change qu'après le délai du timelock :
+ * le premier appel ne fait que mettre le changement en file.
+ */
+function assertApplied(current, expected, method) {
+  if (current !== expected) {
+    throw new Error(
+      `${method} a été mis en file par le timelock. ` +
+      "Relancez le déploiement une fois le délai écoulé, ou avec DEPLOY_FRESH=true."
+    );
+  }
+}
+
+function txRecord(receipt) {
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+module.exports = { deploySystem };
+
+if (require.main === module) {
+  deploySystem(hre, { fresh: process.env.DEPLOY_FRESH === "true" })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Erreur lors du déploiement:", error);
+      process.exit(1);
+    });
+}
@@ -1,13 +1,164 @@
 const fs = require('fs');
 const path = require('path');
+const { id } = require('ethers');
+
+// Utilisation :
+//   ts-node scripts/extract-abis.ts          extrait les ABIs et régénère le SDK
+//   ts-node scripts/extract-abis.ts --check  échoue si le SDK commité est désynchronisé des artifacts
+
+const contracts = [
+  'LandRegistry',
+  'LandToken',
+  'LandTokenMarketplace',
+  'LandShares',
+  'LandShareMarketplace',
+  'LandDividends',
+  'LandGovernance',
+  'LandCompliance',
+  'LandCrowdfunding',
+  'LandBuyout',
+  'LandVesting'
+];
+
+// Fichier source de chaque contrat (le nom du fichier diffère pour le marketplace)
+const sourceFiles: Record<string, string> = {
+  LandRegistry: 'LandRegistry.sol',
+  LandToken: 'LandToken.sol',
+  LandTokenMarketplace: 'LandTokenMarketPLace.sol',
+  LandShares: 'LandShares.sol',
+  LandShareMarketplace: 'LandShareMarketplace.sol',
+  LandDividends: 'LandDividends.sol',
+  LandGovernance: 'LandGovernance.sol',
+  LandCompliance: 'LandCompliance.sol',
+  LandCrowdfunding: 'LandCrowdfunding.sol',
+  LandBuyout: 'LandBuyout.sol',
+  LandVesting: 'LandVesting.sol'
+};
+
+const GENERATED_HEADER =
+  '// Fichier généré par scripts/extract-abis.ts, ne pas modifier.\n' +
+  '// Régénérer avec : npm run prepare-abis\n';
+
+interface AbiParam {
+  name: string;
+  type: string;
+  indexed?: boolean;
+  components?: AbiParam[];
+}
+
+interface AbiItem {
+  type: string;
+  name?: string;
+  inputs?: AbiParam[];
+}
+
+/**
+ * Type TypeScript d'une valeur décodée par ethers v6.
+ */
+function outputType(param: AbiParam): string {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    return `${outputType({ ...param, type: array[1] })}[]`;
+  }
+  if (param.type === 'tuple') {
+    const fields = (param.components || []).map((c) => `${c.name}: ${outputType(c)}`);
+    return `{ ${fields.join('; ')} }`;
+  }
+  if (/^u?int\d*$/.test(param.type)) return 'bigint';
+  if (param.type === 'bool') return 'boolean';
+  return 'string';
+}
+
+/**
+ * Type TypeScript accepté en entrée d'un filtre d'événement.
+ */
+function inputType(param: AbiParam): string {
+  if (/^u?int\d*$/.test(param.type)) return 'BigNumberish';
+  if (param.type === 'bool') return 'boolean';
+  if (param.type === 'address') return 'AddressLike';
+  return 'string';
+}
+
+function argsObjectType(inputs: AbiParam[]): string {
+  if (inputs.length === 0) return '{}';
+  return `{ ${inputs.map((input) => `${input.name}: ${outputType(input)}`).join('; ')} }`;
+}
+
+function generateJs(abis: Record<string, AbiItem[]>, hashes: Record<string, string>): string {
+  return GENERATED_HEADER + '\n' +
+    `const CONTRACT_NAMES = ${JSON.stringify(contracts)};\n\n` +
+    `const ABI_HASHES = ${JSON.stringify(hashes, null, 2)};\n\n` +
+    `const ABIS = ${JSON.stringify(abis, null, 2)};\n\n` +
+    'module.exports = { CONTRACT_NAMES, ABI_HASHES, ABIS };\n';
+}
+
+function generateDts(abis: Record<string, AbiItem[]>): string {
+  const lines: string[] = [
+    GENERATED_HEADER,
+    'import type { AddressLike, BigNumberish, DeferredTopicFilter, InterfaceAbi } from "ethers";',
+    '',
+    `export type ContractName = ${contracts.map((name) => `"${name}"`).join(' | ')};`,
+    'export declare const CONTRACT_NAMES: ContractName[];',
+    'export declare const ABI_HASHES: Record<ContractName, string>;',
+    'export declare const ABIS: Record<ContractName, InterfaceAbi>;',
+    '',
+    '/** Filtre d\'événement rattaché à son contrat, accepté par LandClient.queryEvents. */',
+    'export interface TypedEventFilter<C extends ContractName, E extends string> extends DeferredTopicFilter {',
+    '  readonly contractName: C;',
+    '  readonly __event?: E;',
+    '}',
+    ''
+  ];
+
+  const errorArgs = new Map<string, string>();
+
+  for (const name of contracts) {
+    const events = abis[name].filter((item) => item.type === 'event');
+
+    lines.push(`export interface ${name}Events {`);
+    for (const event of events) {
+      lines.push(`  ${event.name}: ${argsObjectType(event.inputs || [])};`);
+    }
+    lines.push('}', '');
+
+    lines.push(`export interface ${name}Filters {`);
+    for (const event of events) {
+      const params = (event.inputs || [])
+        .filter((input) => input.indexed)
+        .map((input) => `${input.name}?: ${inputType(input)} | null`);
+      lines.push(`  ${event.name}(${params.join(', ')}): TypedEventFilter<"${name}", "${event.name}">;`);
+    }
+    lines.push('}', '');
+
+    for (const error of abis[name].filter((item) => item.type === 'error')) {
+      if (!errorArgs.has(error.name as string)) {
+        errorArgs.set(error.name as string, argsObjectType(error.inputs || []));
+      }
+    }
+  }
+
+  lines.push('export interface ContractEvents {');
+  for (const name of contracts) lines.push(`  ${name}: ${name}Events;`);
+  lines.push('}', '');
+
+  lines.push('export interface ContractFilters {');
+  for (const name of contracts) lines.push(`  ${name}: ${name}Filters;`);
+  lines.push('}', '');
+
+  lines.push('/** Arguments de chaque erreur personnalisée, par nom d\'erreur. */');
+  lines.push('export interface ContractErrors {');
+  for (const [errorName, args] of [...errorArgs.entries()].sort()) {
+    lines.push(`  ${errorName}: ${args};`);
+  }
+  lines.push('}', '');
+  lines.push('export type ContractErrorName = keyof ContractErrors;', '');
+
+  return lines.join('\n');
+}
 
 async function main() {
   try {
-    const contracts = [
-      'LandRegistry',
-      'LandToken',
-      'LandTokenMarketplace'
-    ];
+    const check = process.argv.includes('--check');
 
     // Chemin absolu vers le dossier artifacts
     const artifactsPath = path.resolve(__dirname, '..', 'artifacts', 'contracts');
@@ -21,21 +172,25 @@ async function main() {
 
     // Créer le dossier abis s'il n'existe pas
     const abisPath = path.resolve(__dirname, '..', 'abis');
-    if (!fs.existsSync(abisPath)) {
+    if (!check && !fs.existsSync(abisPath)) {
       fs.mkdirSync(abisPath, { recursive: true });
     }
 
+    const abis: Record<string, AbiItem[]> = {};
+    const hashes: Record<string, string> = {};
+
     for (const contractName of contracts) {
       const contractArtifactPath = path.join(
         artifactsPath,
-        `${contractName}.sol`,
+        sourceFiles[contractName],
         `${contractName}.json`
       );
       console.log('Checking contract path:', contractArtifactPath);
 
       if (!fs.existsSync(contractArtifactPath)) {
+        // Le SDK a besoin des trois contrats
         console.error(`Artifact non trouvé pour ${contractName}`);
-        continue;
+        process.exit(1);
       }
 
       const artifactContent = fs.readFileSync(contractArtifactPath, 'utf8');
@@ -43,17 +198,52 @@ async function main() {
 
       if (!artifact.abi) {
         console.error(`ABI non trouvé pour ${contractName}`);
-        continue;
+        process.exit(1);
       }
 
-      const abiOutputPath = path.join(abisPath, `${contractName}.json`);
-      fs.writeFileSync(
-        abiOutputPath,
-        JSON.stringify(artifact.abi, null, 2)
-      );
+      abis[contractName] = artifact.abi;
+      // Même empreinte que celle enregistrée dans les manifestes de déploiement
+      hashes[contractName] = id(JSON.stringify(artifact.abi));
+
+      if (!check) {
+        const abiOutputPath = path.join(abisPath, `${contractName}.json`);
+        fs.writeFileSync(
+          abiOutputPath,
+          JSON.stringify(artifact.abi, null, 2)
+        );
+
+        console.log(`ABI extrait avec succès pour ${contractName}`);
+      }
+    }
+
+    // Génération du SDK (sdk/generated)
+    const generatedPath = path.resolve(__dirname, '..', 'sdk', 'generated');
+    const outputs: Record<string, string> = {
+      'contracts.js': generateJs(abis, hashes),
+      'contracts.d.ts': generateDts(abis)
+    };
+
+    if (check) {
+      const stale = Object.keys(outputs).filter((file) => {
+        const filePath = path.join(generatedPath, file);
+        return !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') !== outputs[file];
+      });
+      if (stale.length > 0) {
+        console.error(
+          `SDK désynchronisé des contrats (${stale.join(', ')}). ` +
+          'Lancez npm run prepare-abis et commitez sdk/generated.'
+        );
+        process.exit(1);
+      }
+      console.log('SDK à jour avec les artifacts');
+      return;
+    }
 
-      console.log(`ABI extrait avec succès pour ${contractName}`);
+    fs.mkdirSync(generatedPath, { recursive: true });
+    for (const [file, content] of Object.entries(outputs)) {
+      fs.writeFileSync(path.join(generatedPath, file), content);
     }
+    console.log('SDK régénéré dans sdk/generated');
   } catch (error) {
     console.error('Erreur lors de l\'extraction des ABIs:', error);
     process.exit(1);
@@ -65,4 +255,4 @@ main()
   .catch(error => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
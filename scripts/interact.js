@@ -1,23 +1,28 @@
 const hre = require("hardhat");
+const { readManifest } = require("./lib/deployments");
 
 async function main() {
   console.log("Test d'interaction avec les contrats déployés...");
 
   try {
-    // Charger les adresses depuis le fichier généré par deploy.js
-    const addresses = require('../deployed-addresses.json');
+    // Charger les adresses depuis le manifeste généré par scripts/deploy.js
+    const { contracts } = readManifest(hre.network.name);
+    const addresses = {
+      landRegistry: contracts.LandRegistry.address,
+      landToken: contracts.LandToken.address,
+      marketplace: contracts.LandTokenMarketplace.address
+    };
 
     // Récupérer les signers pour les tests
     const [owner, user1, user2, validator1, validator2, validator3] = await hre.ethers.getSigners();
 
     // Attacher aux contrats déployés
     const LandRegistry = await hre.ethers.getContractFactory("LandRegistry");
-    const LandToken = await hre.ethers.getContractFactory("LandToken");
-    const LandTokenMarketplace = await hre.ethers.getContractFactory("LandTokenMarketplace");
 
     const landRegistry = LandRegistry.attach(addresses.landRegistry);
-    const landToken = LandToken.attach(addresses.landToken);
-    const marketplace = LandTokenMarketplace.attach(addresses.marketplace);
+    // LandToken et le marketplace lient des bibliothèques : getContractAt évite de les résoudre
+    const landToken = await hre.ethers.getContractAt("LandToken", addresses.landToken);
+    const marketplace = await hre.ethers.getContractAt("LandTokenMarketplace", addresses.marketplace);
 
     // Vérification du tokenizer
     console.log("\nTokenizer configuré:", await landRegistry.tokenizer());
@@ -108,7 +113,7 @@ async function main() {
 
     // Tokenisation du terrain
     console.log("Tokenisation du terrain...");
-    const tokenizeTx = await landToken.connect(owner).tokenizeLand(1);
+    const tokenizeTx = await landToken.connect(user1).tokenizeLand(1);
     await tokenizeTx.wait();
     console.log("Terrain tokenisé avec succès");
 
@@ -0,0 +1,204 @@
+// Lecture et écriture des manifestes de déploiement (deployments/<network>.json)
+// et des fichiers de configuration par réseau (deploy-config/<network>.json).
+
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_VERSION = 1;
+const ROOT_DIR = path.resolve(__dirname, "..", "..");
+const DEFAULT_DEPLOYMENTS_DIR = path.join(ROOT_DIR, "deployments");
+const DEFAULT_CONFIG_DIR = path.join(ROOT_DIR, "deploy-config");
+
+// Contrats déployés, dans l'ordre du déploiement
+const CONTRACTS = [
+  "LandRegistry",
+  "LandToken",
+  "LandTokenMarketplace",
+  "LandShares",
+  "LandShareMarketplace",
+  "LandDividends",
+  "LandGovernance",
+  "LandCompliance",
+  "LandCrowdfunding",
+  "LandBuyout",
+  "LandVesting"
+];
+
+// Contrats déployés derrière un proxy transparent administré par LandProxyAdmin
+const PROXIED_CONTRACTS = ["LandRegistry", "LandToken", "LandTokenMarketplace"];
+
+// Bibliothèques externes déployées avant les contrats, et contrats qui les lient
+const LIBRARIES = {
+  LandMetadata: ["LandToken"],
+  LandHolders: ["LandToken"],
+  LandPayments: ["LandToken", "LandTokenMarketplace"],
+  LandSignatures: ["LandToken", "LandTokenMarketplace"],
+  LandAuctions: ["LandTokenMarketplace"]
+};
+
+// Correspondance avec l'enum LandRegistry.ValidatorType
+const VALIDATOR_TYPES = ["Notaire", "Geometre", "ExpertJuridique"];
+
+function manifestPath(network, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  return path.join(deploymentsDir, `${network}.json`);
+}
+
+/**
+ * Crée un manifeste vide pour un réseau.
+ */
+function emptyManifest(network, chainId) {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    network,
+    chainId,
+    deployer: null,
+    updatedAt: null,
+    libraries: {},
+    proxyAdmin: null,
+    contracts: {},
+    configuration: {
+      tokenizer: null,
+      shareTokenizer: null,
+      marketplace: null,
+      dividendDistributor: null,
+      governance: {},
+      compliance: null,
+      crowdfunding: null,
+      buyout: null,
+      vesting: null,
+      validators: {},
+      approvalPolicy: null,
+      relayers: {},
+      treasury: {},
+      paymentTokens: {}
+    }
+  };
+}
+
+/**
+ * Charge le manifeste d'un réseau, ou null s'il n'existe pas.
+ * @param network Nom du réseau hardhat.
+ * @param deploymentsDir Dossier des manifestes (deployments/ par défaut).
+ */
+function loadManifest(network, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  const file = manifestPath(network, deploymentsDir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (manifest.manifestVersion !== MANIFEST_VERSION) {
+    throw new Error(
+      `Version de manifeste non supportée (${manifest.manifestVersion}) dans ${file}`
+    );
+  }
+  return manifest;
+}
+
+/**
+ * Charge le manifeste d'un réseau et échoue s'il n'existe pas.
+ */
+function readManifest(network, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  const manifest = loadManifest(network, deploymentsDir);
+  if (!manifest) {
+    throw new Error(
+      `Aucun manifeste de déploiement pour le réseau "${network}". ` +
+      `Lancez d'abord: npx hardhat run scripts/deploy.js --network ${network}`
+    );
+  }
+  return manifest;
+}
+
+function saveManifest(manifest, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  fs.mkdirSync(deploymentsDir, { recursive: true });
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(
+    manifestPath(manifest.network, deploymentsDir),
+    JSON.stringify(manifest, null, 2) + "\n"
+  );
+}
+
+/**
+ * Charge la configuration des rôles (validateurs, relayers, trésorerie) d'un réseau.
+ * approvalPolicy associe à chaque type de validateur le nombre d'avis favorables requis ;
+ * compliance branche (true) ou débranche (false) LandCompliance sur LandToken ;
+ * paymentTokens liste les devises ERC-20 acceptées pour le prix des terrains.
+ * @returns { validators: [{ address, type }], approvalPolicy: number[3]|null,
+ *            relayers: [address], treasury: address|null, compliance: boolean|null,
+ *            paymentTokens: [address] }
+ */
+function loadNetworkConfig(network, configDir = DEFAULT_CONFIG_DIR) {
+  const file = path.join(configDir, `${network}.json`);
+  if (!fs.existsSync(file)) {
+    return {
+      validators: [],
+      approvalPolicy: null,
+      relayers: [],
+      treasury: null,
+      compliance: null,
+      paymentTokens: []
+    };
+  }
+
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  const validators = (config.validators || []).map((validator) => ({
+    address: validator.address,
+    type: parseValidatorType(validator.type)
+  }));
+
+  return {
+    validators,
+    approvalPolicy: config.approvalPolicy ? parseApprovalPolicy(config.approvalPolicy) : null,
+    relayers: config.relayers || [],
+    treasury: config.treasury || null,
+    compliance: typeof config.compliance === "boolean" ? config.compliance : null,
+    paymentTokens: config.paymentTokens || []
+  };
+}
+
+/**
+ * Convertit une politique d'approbation { Notaire: 2, Geometre: 1 } en tableau
+ * indexé par ValidatorType (les types absents ne sont pas requis).
+ */
+function parseApprovalPolicy(policy) {
+  const unknown = Object.keys(policy).filter((type) => !VALIDATOR_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Type de validateur inconnu: ${unknown.join(", ")}`);
+  }
+  return VALIDATOR_TYPES.map((type) => policy[type] || 0);
+}
+
+/**
+ * Convertit un type de validateur (nom ou index) en index de l'enum ValidatorType.
+ */
+function parseValidatorType(type) {
+  const index = typeof type === "number" ? type : VALIDATOR_TYPES.indexOf(type);
+  if (!Number.isInteger(index) || index < 0 || index >= VALIDATOR_TYPES.length) {
+    throw new Error(`Type de validateur inconnu: ${type}`);
+  }
+  return index;
+}
+
+/**
+ * Empreinte de l'ABI d'un artifact, pour détecter une dérive entre le manifeste et le code.
+ */
+function abiHash(ethers, abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  CONTRACTS,
+  PROXIED_CONTRACTS,
+  LIBRARIES,
+  VALIDATOR_TYPES,
+  manifestPath,
+  emptyManifest,
+  loadManifest,
+  readManifest,
+  saveManifest,
+  loadNetworkConfig,
+  parseValidatorType,
+  parseApprovalPolicy,
+  abiHash
+};
@@ -0,0 +1,220 @@
+// Déploiement des implémentations derrière les proxies transparents et contrôle
+// de compatibilité des layouts de stockage entre deux versions d'un contrat.
+
+const { LIBRARIES } = require("./deployments");
+
+/**
+ * Adresses des bibliothèques enregistrées que lie un contrat.
+ * @param manifest Manifeste du réseau.
+ * @param name Nom du contrat.
+ * @returns { LandMetadata: "0x..." } ou {} si le contrat ne lie aucune bibliothèque.
+ */
+function linkedLibraries(manifest, name) {
+  const libraries = {};
+  for (const [library, users] of Object.entries(LIBRARIES)) {
+    if (users.includes(name)) {
+      libraries[library] = manifest.libraries[library].address;
+    }
+  }
+  return libraries;
+}
+
+/**
+ * Empreinte du code d'un contrat et des bibliothèques qu'il lie : elle change
+ * dès que l'implémentation doit être redéployée.
+ */
+async function implementationHash(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const codes = [artifact.deployedBytecode];
+  for (const [library, users] of Object.entries(LIBRARIES)) {
+    if (users.includes(name)) {
+      codes.push((await hre.artifacts.readArtifact(library)).deployedBytecode);
+    }
+  }
+  return hre.ethers.id(codes.join(""));
+}
+
+/**
+ * Déploie les bibliothèques absentes ou modifiées. Les implémentations déjà
+ * déployées gardent l'adresse de la bibliothèque avec laquelle elles ont été liées.
+ * @param options { save, log }
+ */
+async function deployLibraries(hre, manifest, { save, log }) {
+  const { ethers } = hre;
+  manifest.libraries = manifest.libraries || {};
+
+  for (const name of Object.keys(LIBRARIES)) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    const bytecodeHash = ethers.keccak256(artifact.deployedBytecode);
+    const recorded = manifest.libraries[name];
+
+    if (recorded && recorded.bytecodeHash === bytecodeHash) {
+      const code = await ethers.provider.getCode(recorded.address);
+      if (code !== "0x") {
+        log(`${name} déjà déployée à ${recorded.address}, étape ignorée`);
+        continue;
+      }
+    }
+
+    log(`Déploiement de la bibliothèque ${name}...`);
+    const library = await (await ethers.getContractFactory(name)).deploy();
+    const receipt = await library.deploymentTransaction().wait();
+
+    manifest.libraries[name] = {
+      address: await library.getAddress(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      bytecodeHash
+    };
+    save();
+    log(`${name} déployée à: ${manifest.libraries[name].address}`);
+  }
+}
+
+/**
+ * Déploie l'implémentation d'un contrat proxifié, liée aux bibliothèques du manifeste.
+ * @returns { address, txHash, blockNumber }
+ */
+async function deployImplementation(hre, manifest, name) {
+  const factory = await hre.ethers.getContractFactory(name, {
+    libraries: linkedLibraries(manifest, name)
+  });
+  const implementation = await factory.deploy();
+  const receipt = await implementation.deploymentTransaction().wait();
+  return {
+    address: await implementation.getAddress(),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber
+  };
+}
+
+/**
+ * Lit le layout de stockage compilé d'un contrat, sous une forme indépendante
+ * des identifiants de compilation (comparable d'une version à l'autre).
+ * @returns [{ label, slot, offset, type }]
+ */
+async function readStorageLayout(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${name}`);
+  const compiled = buildInfo && buildInfo.output.contracts[artifact.sourceName][name];
+  if (!compiled || !compiled.storageLayout) {
+    throw new Error(
+      `Layout de stockage introuvable pour ${name} : vérifiez outputSelection dans hardhat.config.js`
+    );
+  }
+  return normalizeStorageLayout(compiled.storageLayout);
+}
+
+function normalizeStorageLayout({ storage, types }) {
+  const describe = (typeId) => {
+    const type = types[typeId];
+    const described = {
+      label: type.label,
+      encoding: type.encoding,
+      numberOfBytes: Number(type.numberOfBytes)
+    };
+    if (type.key) described.key = describe(type.key);
+    if (type.value) described.value = describe(type.value);
+    if (type.base) described.base = describe(type.base);
+    if (type.members) described.members = type.members.map(describeVariable);
+    return described;
+  };
+  const describeVariable = (variable) => ({
+    label: variable.label,
+    slot: Number(variable.slot),
+    offset: variable.offset,
+    type: describe(variable.type)
+  });
+
+  return storage.map(describeVariable);
+}
+
+// Un contrat et une adresse occupent le même stockage ; une énumération déplacée
+// dans une bibliothèque garde le sien
+function elementaryLabel(label) {
+  if (label.startsWith("contract ")) return "address";
+  if (label.startsWith("enum ")) return `enum ${label.split(".").pop()}`;
+  return label;
+}
+
+/**
+ * Compare deux types de stockage. Une structure peut recevoir de nouveaux
+ * membres en fin de liste seulement lorsqu'elle est la valeur d'un mapping :
+ * ailleurs (tableaux, variables), sa taille ne doit pas changer.
+ * @returns Description de l'incompatibilité, ou null.
+ */
+function compareTypes(previous, current, canGrow) {
+  if (previous.encoding !== current.encoding) {
+    return `${previous.label} devient ${current.label}`;
+  }
+
+  if (previous.members) {
+    if (!current.members) return `${previous.label} devient ${current.label}`;
+    if (!canGrow && current.numberOfBytes !== previous.numberOfBytes) {
+      return `la taille de ${previous.label} change alors qu'elle n'est pas la valeur d'un mapping`;
+    }
+    for (const [index, member] of previous.members.entries()) {
+      const problem = compareVariables(member, current.members[index]);
+      if (problem) return `${previous.label}.${problem}`;
+    }
+    return null;
+  }
+
+  if (previous.encoding === "mapping") {
+    if (elementaryLabel(previous.key.label) !== elementaryLabel(current.key.label)) {
+      return `la clé ${previous.key.label} devient ${current.key.label}`;
+    }
+    return compareTypes(previous.value, current.value, true);
+  }
+
+  if (previous.base) {
+    if (previous.encoding === "inplace" && previous.numberOfBytes !== current.numberOfBytes) {
+      return `${previous.label} devient ${current.label}`;
+    }
+    return compareTypes(previous.base, current.base, false);
+  }
+
+  if (elementaryLabel(previous.label) !== elementaryLabel(current.label)) {
+    return `${previous.label} devient ${current.label}`;
+  }
+  return null;
+}
+
+function compareVariables(previous, current) {
+  if (!current) {
+    return `${previous.label} supprimé`;
+  }
+  if (current.label !== previous.label) {
+    return `${previous.label} (slot ${previous.slot}) remplacé par ${current.label}`;
+  }
+  const problem = compareTypes(previous.type, current.type, false);
+  return problem ? `${previous.label} : ${problem}` : null;
+}
+
+/**
+ * Vérifie que le stockage d'une nouvelle version reste compatible avec celui de
+ * la version déployée : les variables existantes gardent leur nom, leur position
+ * et leur type, les nouvelles s'ajoutent après elles.
+ * @param previous Layout enregistré dans le manifeste.
+ * @param current Layout de la version compilée.
+ * @returns Liste des incompatibilités (vide si la mise à jour est sûre).
+ */
+function compareStorageLayouts(previous, current) {
+  const errors = [];
+  for (const variable of previous) {
+    const match = current.find((v) => v.slot === variable.slot && v.offset === variable.offset);
+    const problem = compareVariables(variable, match);
+    if (problem) errors.push(problem);
+  }
+  return errors;
+}
+
+module.exports = {
+  linkedLibraries,
+  implementationHash,
+  deployLibraries,
+  deployImplementation,
+  readStorageLayout,
+  normalizeStorageLayout,
+  compareStorageLayouts
+};
@@ -0,0 +1,185 @@
+// Utilitaires de signature EIP-712 pour les attestations des validateurs,
+// les requêtes relayées (mint, listing, annulation) et les autorisations permit
+// (EIP-2612) des devises de paiement.
+// Utilisés par le backend (relayer) et par les tests.
+
+const { Signature } = require("ethers");
+
+const VALIDATION_TYPES = {
+  ValidationAttestation: [
+    { name: "landId", type: "uint256" },
+    { name: "cidComments", type: "string" },
+    { name: "isValid", type: "bool" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+const MINT_TYPES = {
+  MintRequest: [
+    { name: "user", type: "address" },
+    { name: "landId", type: "uint256" },
+    { name: "quantity", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+const LIST_TYPES = {
+  ListRequest: [
+    { name: "seller", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "price", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+const CANCEL_TYPES = {
+  CancelRequest: [
+    { name: "seller", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/**
+ * Récupère le domaine EIP-712 exposé par un contrat (ERC-5267).
+ * @param contract Instance ethers du contrat.
+ */
+async function getDomain(contract) {
+  const domain = await contract.eip712Domain();
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract
+  };
+}
+
+/**
+ * Signe une attestation de validation pour LandRegistry.validateLandWithSignature.
+ * @param validator Signer ethers du validateur.
+ * @param landRegistry Instance ethers de LandRegistry.
+ * @param params { landId, cidComments, isValid, deadline, nonce? }
+ * @returns { signature, nonce, deadline }
+ */
+async function signValidationAttestation(validator, landRegistry, params) {
+  return signRequest(validator, landRegistry, VALIDATION_TYPES, {
+    landId: params.landId,
+    cidComments: params.cidComments,
+    isValid: params.isValid,
+    nonce: params.nonce,
+    deadline: params.deadline
+  });
+}
+
+/**
+ * Signe une requête typée en complétant le nonce courant du signataire si besoin.
+ * @param signer Signer ethers de l'utilisateur.
+ * @param contract Contrat qui vérifiera la signature (expose nonces et eip712Domain).
+ * @param types Types EIP-712 de la requête.
+ * @param message Champs de la requête, hors nonce éventuellement.
+ */
+async function signRequest(signer, contract, types, message) {
+  const nonce = message.nonce !== undefined
+    ? message.nonce
+    : await contract.nonces(await signer.getAddress());
+
+  const domain = await getDomain(contract);
+  const signature = await signer.signTypedData(domain, types, { ...message, nonce });
+
+  return { signature, nonce, deadline: message.deadline };
+}
+
+/**
+ * Signe une requête de mint pour LandToken.mintTokenForUser / mintMultipleTokensForUser.
+ * @param user Signer ethers de l'utilisateur qui recevra les tokens.
+ * @param landToken Instance ethers de LandToken.
+ * @param params { landId, quantity, deadline, nonce? }
+ */
+async function signMintRequest(user, landToken, params) {
+  return signRequest(user, landToken, MINT_TYPES, {
+    user: await user.getAddress(),
+    landId: params.landId,
+    quantity: params.quantity,
+    nonce: params.nonce,
+    deadline: params.deadline
+  });
+}
+
+/**
+ * Signe une requête de listing pour LandTokenMarketplace.listTokenForUser.
+ * @param seller Signer ethers du vendeur.
+ * @param marketplace Instance ethers de LandTokenMarketplace.
+ * @param params { tokenId, price, deadline, nonce? }
+ */
+async function signListRequest(seller, marketplace, params) {
+  return signRequest(seller, marketplace, LIST_TYPES, {
+    seller: await seller.getAddress(),
+    tokenId: params.tokenId,
+    price: params.price,
+    nonce: params.nonce,
+    deadline: params.deadline
+  });
+}
+
+/**
+ * Signe une requête d'annulation pour LandTokenMarketplace.cancelListingForUser.
+ * @param seller Signer ethers du vendeur.
+ * @param marketplace Instance ethers de LandTokenMarketplace.
+ * @param params { tokenId, deadline, nonce? }
+ */
+async function signCancelRequest(seller, marketplace, params) {
+  return signRequest(seller, marketplace, CANCEL_TYPES, {
+    seller: await seller.getAddress(),
+    tokenId: params.tokenId,
+    nonce: params.nonce,
+    deadline: params.deadline
+  });
+}
+
+/**
+ * Signe une autorisation permit (EIP-2612) pour LandToken.mintWithPermit ou
+ * LandTokenMarketplace.buyTokenWithPermit.
+ * @param owner Signer ethers du payeur.
+ * @param currency Instance ethers de la devise ERC-20 (expose nonces et eip712Domain).
+ * @param params { spender, value, deadline, nonce? }
+ * @returns { signature, nonce, deadline, v, r, s }
+ */
+async function signPermit(owner, currency, params) {
+  const signed = await signRequest(owner, currency, PERMIT_TYPES, {
+    owner: await owner.getAddress(),
+    spender: params.spender,
+    value: params.value,
+    nonce: params.nonce,
+    deadline: params.deadline
+  });
+  const { v, r, s } = Signature.from(signed.signature);
+  return { ...signed, v, r, s };
+}
+
+module.exports = {
+  VALIDATION_TYPES,
+  MINT_TYPES,
+  LIST_TYPES,
+  CANCEL_TYPES,
+  PERMIT_TYPES,
+  getDomain,
+  signValidationAttestation,
+  signMintRequest,
+  signListRequest,
+  signCancelRequest,
+  signPermit
+};
@@ -0,0 +1,147 @@
+const hre = require("hardhat");
+const {
+  PROXIED_CONTRACTS,
+  readManifest,
+  saveManifest,
+  abiHash
+} = require("./lib/deployments");
+const {
+  implementationHash,
+  deployLibraries,
+  deployImplementation,
+  readStorageLayout,
+  compareStorageLayouts
+} = require("./lib/upgrades");
+
+/**
+ * Met à jour les implémentations de LandRegistry, LandToken et LandTokenMarketplace
+ * dont le code a changé depuis deployments/<network>.json.
+ *
+ * Le layout de stockage de chaque nouvelle version est comparé à celui de la version
+ * déployée avant toute transaction : une variable supprimée, déplacée, renommée ou
+ * retypée fait échouer le script sans rien envoyer.
+ *
+ * LandProxyAdmin soumet les mises à jour au timelock : un premier passage déploie les
+ * implémentations et met les mises à jour en file, un second passage après le délai
+ * les applique. UPGRADE_CHECK=true vérifie la compatibilité sans rien déployer.
+ *
+ * @param hre Hardhat Runtime Environment.
+ * @param options { contracts, check, deploymentsDir, log }
+ * @returns { upgraded: [name], queued: [{ name, eta }], unchanged: [name] }
+ */
+async function upgradeSystem(hre, options = {}) {
+  const { ethers, network } = hre;
+  const log = options.log || console.log;
+  const manifest = readManifest(network.name, options.deploymentsDir);
+  const save = () => saveManifest(manifest, options.deploymentsDir);
+  const result = { upgraded: [], queued: [], unchanged: [] };
+
+  // 1. Contrôle de toutes les nouvelles versions
+  const candidates = [];
+  for (const name of options.contracts || PROXIED_CONTRACTS) {
+    const recorded = manifest.contracts[name];
+    if (!PROXIED_CONTRACTS.includes(name) || !recorded || !recorded.storageLayout) {
+      throw new Error(`${name} n'est pas déployé derrière un proxy sur ${network.name}`);
+    }
+
+    const hash = await implementationHash(hre, name);
+    if (recorded.implementationHash === hash) {
+      log(`${name} est à jour`);
+      result.unchanged.push(name);
+      continue;
+    }
+
+    const storageLayout = await readStorageLayout(hre, name);
+    const errors = compareStorageLayouts(recorded.storageLayout, storageLayout);
+    if (errors.length > 0) {
+      throw new Error(
+        `Mise à jour de ${name} refusée, stockage incompatible avec la version déployée :\n` +
+        errors.map((error) => `  - ${error}`).join("\n")
+      );
+    }
+    log(`${name} : stockage compatible`);
+    candidates.push({ name, hash, storageLayout });
+  }
+
+  if (options.check || candidates.length === 0) {
+    return result;
+  }
+
+  // 2. Déploiement des implémentations et mise à jour des proxies
+  await deployLibraries(hre, manifest, { save, log });
+  const admin = await ethers.getContractAt("LandProxyAdmin", manifest.proxyAdmin.address);
+
+  for (const { name, hash, storageLayout } of candidates) {
+    const recorded = manifest.contracts[name];
+
+    // Une implémentation mise en file lors d'un passage précédent est réutilisée
+    if (!recorded.pendingUpgrade || recorded.pendingUpgrade.implementationHash !== hash) {
+      log(`Déploiement de l'implémentation de ${name}...`);
+      const implementation = await deployImplementation(hre, manifest, name);
+      recorded.pendingUpgrade = {
+        implementation: implementation.address,
+        implementationHash: hash,
+        eta: null
+      };
+      save();
+    }
+
+    const pending = recorded.pendingUpgrade;
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    if (pending.eta !== null && timestamp < pending.eta) {
+      log(`Mise à jour de ${name} en file jusqu'au ${formatDate(pending.eta)}`);
+      result.queued.push({ name, eta: pending.eta });
+      continue;
+    }
+
+    const receipt = await (await admin.upgrade(recorded.address, pending.implementation)).wait();
+    const events = receipt.logs
+      .map((entry) => admin.interface.parseLog(entry))
+      .filter(Boolean);
+    const queued = events.find((event) => event.name === "ChangeQueued");
+    if (queued) {
+      pending.eta = Number(queued.args.eta);
+      save();
+      log(`Mise à jour de ${name} en file : relancez après le ${formatDate(pending.eta)}`);
+      result.queued.push({ name, eta: pending.eta });
+      continue;
+    }
+    if (!events.some((event) => event.name === "ProxyUpgraded")) {
+      throw new Error(`La mise à jour de ${name} n'a été ni mise en file ni appliquée (${receipt.hash})`);
+    }
+
+    const artifact = await hre.artifacts.readArtifact(name);
+    recorded.upgrades = [
+      ...(recorded.upgrades || []),
+      { from: recorded.implementation, txHash: receipt.hash, blockNumber: receipt.blockNumber }
+    ];
+    recorded.implementation = pending.implementation;
+    recorded.implementationHash = hash;
+    recorded.abiHash = abiHash(ethers, artifact.abi);
+    recorded.storageLayout = storageLayout;
+    delete recorded.pendingUpgrade;
+    save();
+    log(`${name} mis à jour, implémentation ${recorded.implementation}`);
+    result.upgraded.push(name);
+  }
+
+  return result;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+module.exports = { upgradeSystem };
+
+if (require.main === module) {
+  upgradeSystem(hre, {
+    check: process.env.UPGRADE_CHECK === "true",
+    contracts: process.env.UPGRADE_CONTRACTS ? process.env.UPGRADE_CONTRACTS.split(",") : undefined
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Erreur lors de la mise à jour:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,203 @@
+// Décodage des erreurs personnalisées des contrats en messages lisibles.
+
+const { Interface } = require("ethers");
+const { ABIS } = require("./generated/contracts");
+
+// Messages lisibles pour les erreurs personnalisées des contrats
+const ERROR_MESSAGES = {
+  LandNotRegistered: "Ce terrain n'est pas enregistré",
+  LandNotValid: "Le terrain n'est pas validé (ou pas encore tokenisé)",
+  LandNotValidated: "Le terrain n'a pas été validé par tous les validateurs",
+  LandNotTokenized: "Le terrain n'est pas tokenisé",
+  LandAlreadyTokenized: "Le terrain est déjà tokenisé",
+  InvalidTokenAmount: "Le nombre de tokens doit être supérieur à zéro",
+  InsufficientTokens: "Pas assez de tokens disponibles",
+  NoTokensAvailable: "Plus assez de tokens disponibles pour ce terrain",
+  NoTokensToMint: "La quantité à minter doit être supérieure à zéro",
+  InsufficientPayment: "Paiement insuffisant pour le prix demandé",
+  InsufficientFunds: "Montant envoyé insuffisant pour le prix du listing",
+  InvalidCIDComments: "Le CID ne peut pas être vide",
+  UnauthorizedValidator: "Ce compte n'est pas un validateur enregistré",
+  ValidatorAlreadyValidated: "Ce validateur a déjà donné son avis sur ce terrain",
+  InvalidValidator: "Adresse de validateur invalide",
+  UnauthorizedRelayer: "Ce compte n'est ni relayer ni propriétaire du contrat",
+  InvalidRelayer: "Adresse de relayer invalide",
+  SignatureExpired: "La signature a expiré",
+  InvalidSignature: "Signature invalide",
+  NotTokenOwner: "Le compte ne possède pas ce token",
+  InvalidPrice: "Le prix doit être supérieur à zéro",
+  AlreadyListed: "Ce token est déjà en vente",
+  NotListed: "Ce token n'est pas en vente",
+  NotSeller: "Seul le vendeur peut effectuer cette opération",
+  TokenDoesNotExist: "Ce token n'existe pas",
+  TransferFailed: "Le transfert d'ETH a échoué",
+  InvalidFeePercentage: "Pourcentage de frais trop élevé",
+  NoEtherToWithdraw: "Aucun fond à retirer",
+  InvalidTreasury: "Adresse de trésorerie invalide",
+  InvalidOffer: "Ce token n'est pas celui visé par l'offre",
+  OfferNotActive: "Cette offre n'est plus active",
+  OfferExpired: "Cette offre a expiré",
+  NotOfferBuyer: "Seul l'auteur de l'offre peut l'annuler",
+  TokenNotInLand: "Ce token n'appartient pas au terrain visé par l'offre",
+  InvalidAuction: "Paramètres d'enchère invalides",
+  AuctionActive: "Ce token est aux enchères",
+  NoActiveAuction: "Aucune enchère en cours pour ce token",
+  AuctionEnded: "L'enchère est terminée",
+  AuctionNotEnded: "L'enchère n'est pas encore terminée",
+  AuctionHasBids: "L'enchère a déjà reçu des offres",
+  BidTooLow: "Offre inférieure au minimum de l'enchère",
+  ListingExpired: "Ce listing a expiré",
+  InvalidExpiration: "La date d'expiration doit être dans le futur",
+  NotLandOwner: "Seul le propriétaire du terrain peut effectuer cette opération",
+  InvalidRoyaltyPercentage: "Pourcentage de royalty trop élevé",
+  NotRegistry: "Seul le registre des terrains peut effectuer cette opération",
+  UnauthorizedTokenizer: "Ce terrain est tokenisé par un autre contrat (NFT ou parts fongibles)",
+  InvalidTokenizer: "Adresse de tokenizer invalide",
+  InvalidOrder: "Ordre invalide (quantité ou prix nul, ou mauvais sens d'ordre)",
+  OrderNotActive: "Cet ordre n'est plus actif",
+  InvalidQuantity: "Quantité supérieure à celle restant sur l'ordre",
+  NotOrderMaker: "Seul l'auteur de l'ordre peut l'annuler",
+  DistributorNotEnabled: "Le module de dividendes n'est pas activé sur LandToken",
+  NoTokensMinted: "Aucun token minté pour ce terrain",
+  NothingToDeposit: "Le montant déposé doit être positif",
+  NoDividendsToClaim: "Aucun dividende à réclamer",
+  NotTokenHolder: "Vous ne détenez pas ce token",
+  NotGovernance: "Seule la gouvernance des détenteurs peut effectuer cette opération",
+  InvalidTarget: "Cible non autorisée pour la gouvernance",
+  ActionNotAllowed: "Action non autorisée par la gouvernance",
+  ActionLandMismatch: "L'action doit porter sur le terrain de la proposition",
+  InvalidVotingConfig: "Paramètres de vote invalides",
+  UnauthorizedConfiguration: "Seul le propriétaire ou une proposition adoptée peut modifier les paramètres de vote",
+  NoVotingPower: "Aucun token du terrain détenu au bloc de référence",
+  ProposalNotActive: "Cette proposition n'est pas ouverte au vote",
+  AlreadyVoted: "Vous avez déjà voté sur cette proposition",
+  ProposalNotSucceeded: "Cette proposition n'a pas été adoptée ou a déjà été exécutée",
+  LandNotPending: "Le terrain n'est plus en attente de validation",
+  LandNotRejected: "Seul un terrain rejeté peut être soumis à nouveau",
+  InvalidNewOwner: "Adresse du nouveau propriétaire invalide",
+  NoPendingTitleTransfer: "Aucun transfert de titre en attente pour ce terrain",
+  NotNotary: "Seul un validateur notaire peut approuver un transfert de titre",
+  ValidatorAlreadyRegistered: "Ce validateur est déjà enregistré (retirez-le pour changer son type)",
+  ValidatorIsSuspended: "Ce validateur est suspendu",
+  InvalidApprovalPolicy: "Politique d'approbation invalide (aucun avis requis ou moins exigeante que la politique par défaut)",
+  MissingRole: "Ce compte ne détient pas le rôle requis pour cette opération",
+  ChangeNotReady: "Ce changement est en file : le délai du timelock n'est pas écoulé",
+  ChangeNotQueued: "Aucun changement en file avec cet identifiant",
+  InvalidTimelockDelay: "Délai du timelock trop long (30 jours au maximum)",
+  OwnableInvalidOwner: "Adresse du nouveau propriétaire invalide",
+  OwnableUnauthorizedAccount: "Seul le propriétaire du contrat peut effectuer cette opération",
+  NotCompliance: "Seul le module de conformité ou de rachat peut effectuer cette opération",
+  InvalidIdentity: "Identité invalide (adresse nulle ou date d'expiration passée)",
+  IdentityNotVerified: "Le destinataire n'a pas d'identité vérifiée (KYC)",
+  IdentityExpired: "La vérification d'identité du destinataire a expiré",
+  JurisdictionNotAllowed: "La juridiction du destinataire n'est pas autorisée pour ce terrain",
+  MaxHoldersReached: "Le nombre maximal de détenteurs de ce terrain est atteint",
+  UnsupportedCurrency: "Devise de paiement non acceptée (terrain payable uniquement en ETH, ou offres et enchères réservées aux terrains en ETH)",
+  EtherNotAccepted: "Ce terrain se paie dans sa devise ERC-20 : n'envoyez pas d'ETH",
+  NothingToWithdraw: "Aucun montant à retirer dans cette devise",
+  NotCrowdfunding: "Seul le module de levée de fonds peut effectuer cette opération",
+  CrowdfundingNotEnabled: "Le module de levée de fonds n'est pas activé sur LandToken",
+  TokensAlreadyMinted: "Des tokens de ce terrain sont déjà en circulation",
+  CampaignInProgress: "Une levée de fonds est déjà en cours ou a réussi pour ce terrain",
+  InvalidSoftCap: "Montant minimal nul ou supérieur au prix des tokens disponibles",
+  InvalidDeadline: "La date limite doit être dans le futur",
+  CampaignEnded: "La levée de fonds de ce terrain a échoué : les ventes sont closes",
+  MaxPerBuyerExceeded: "Nombre maximal de tokens par acheteur atteint pour cette levée de fonds",
+  CampaignNotFailed: "La levée de fonds de ce terrain n'a pas échoué : aucun remboursement possible",
+  NotBuyout: "Seul le module de rachat peut effectuer cette opération",
+  BuyoutNotEnabled: "Le module de rachat n'est pas activé sur LandToken",
+  BuyoutInProgress: "Une offre de rachat est en cours sur ce terrain",
+  ProceedsInEscrow: "Le produit des ventes de ce terrain est en séquestre (levée de fonds inachevée)",
+  InvalidDeposit: "Le dépôt doit couvrir exactement le prix des tokens que vous ne détenez pas",
+  BuyoutNotActive: "Aucune offre de rachat ouverte sur ce terrain",
+  BuyoutNotAcquirable: "Le rachat forcé n'est pas ouvert : période de cession en cours ou seuil de rachat non atteint",
+  NotBidder: "Seul l'acquéreur peut effectuer cette opération",
+  NotLandModule: "Seuls les modules de rachat, de levée de fonds et de conformité de LandToken peuvent retirer un token de la vente",
+  TokensOutstanding: "L'acquéreur ne détient pas encore tous les tokens du terrain",
+  InvalidBuyoutThreshold: "Seuil de rachat invalide (10000 au maximum)",
+  VestingNotEnabled: "Le module de blocage n'est pas activé sur LandToken",
+  InvalidSchedule: "Calendrier invalide : la fenêtre d'émission doit finir dans le futur, avant le déblocage et la fin du vesting",
+  TokensLocked: "Ces tokens sont bloqués jusqu'à la fin du vesting du terrain"
+};
+
+const DEFAULT_INTERFACES = Object.values(ABIS).map((abi) => new Interface(abi));
+
+/**
+ * Erreur levée par le SDK lorsqu'une transaction ou un appel revert avec une
+ * erreur connue des contrats.
+ */
+class LandContractError extends Error {
+  constructor(decoded, cause) {
+    super(decoded.message);
+    this.name = "LandContractError";
+    this.errorName = decoded.name;
+    this.args = decoded.args;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Cherche les données de revert dans une erreur ethers / hardhat.
+ */
+function findRevertData(error) {
+  const seen = new Set();
+  const stack = [error];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (!current || typeof current !== "object" || seen.has(current)) continue;
+    seen.add(current);
+
+    if (typeof current.data === "string" && current.data.startsWith("0x") && current.data.length >= 10) {
+      return current.data;
+    }
+    stack.push(current.error, current.info, current.cause, current.data);
+  }
+  return null;
+}
+
+/**
+ * Décode une erreur personnalisée de l'un des contrats en message lisible.
+ * @param error Erreur levée par ethers.
+ * @param interfaces Interfaces servant au décodage (celles des trois contrats par défaut).
+ * @returns { name, args, message } ou null si l'erreur n'est pas décodable.
+ */
+function decodeError(error, interfaces = DEFAULT_INTERFACES) {
+  const data = findRevertData(error);
+  if (!data) return null;
+
+  for (const iface of interfaces) {
+    let parsed;
+    try {
+      parsed = iface.parseError(data);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed) continue;
+
+    const args = parsed.args.map((arg) => arg.toString());
+    if (parsed.name === "Error") {
+      return { name: "Error", args, message: args[0] };
+    }
+    const readable = ERROR_MESSAGES[parsed.name] || parsed.name;
+    const suffix = args.length > 0 ? ` (${args.join(", ")})` : "";
+    return { name: parsed.name, args, message: `${readable}${suffix}` };
+  }
+  return null;
+}
+
+/**
+ * Convertit une erreur ethers en LandContractError si elle est décodable,
+ * sinon la retourne telle quelle.
+ */
+function toContractError(error, interfaces) {
+  const decoded = decodeError(error, interfaces);
+  return decoded ? new LandContractError(decoded, error) : error;
+}
+
+module.exports = {
+  ERROR_MESSAGES,
+  LandContractError,
+  findRevertData,
+  decodeError,
+  toContractError
+};
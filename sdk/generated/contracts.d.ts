@@ -0,0 +1,623 @@
+// Fichier généré par scripts/extract-abis.ts, ne pas modifier.
+// Régénérer avec : npm run prepare-abis
+
+import type { AddressLike, BigNumberish, DeferredTopicFilter, InterfaceAbi } from "ethers";
+
+export type ContractName = "LandRegistry" | "LandToken" | "LandTokenMarketplace" | "LandShares" | "LandShareMarketplace" | "LandDividends" | "LandGovernance" | "LandCompliance" | "LandCrowdfunding" | "LandBuyout" | "LandVesting";
+export declare const CONTRACT_NAMES: ContractName[];
+export declare const ABI_HASHES: Record<ContractName, string>;
+export declare const ABIS: Record<ContractName, InterfaceAbi>;
+
+/** Filtre d'événement rattaché à son contrat, accepté par LandClient.queryEvents. */
+export interface TypedEventFilter<C extends ContractName, E extends string> extends DeferredTopicFilter {
+  readonly contractName: C;
+  readonly __event?: E;
+}
+
+export interface LandRegistryEvents {
+  ApprovalPolicyUpdated: { landId: bigint; requiredApprovals: bigint[] };
+  ChangeCancelled: { changeId: string };
+  ChangeExecuted: { changeId: string };
+  ChangeQueued: { changeId: string; data: string; eta: bigint };
+  EIP712DomainChanged: {};
+  GovernanceUpdated: { governance: string };
+  Initialized: { version: bigint };
+  LandCurrencySet: { landId: bigint; currency: string };
+  LandDetokenized: { landId: bigint };
+  LandRegistered: { landId: bigint; location: string; owner: string; totalTokens: bigint; pricePerToken: bigint; cid: string };
+  LandResubmitted: { landId: bigint; round: bigint };
+  LandTokenized: { landId: bigint };
+  LandUpdated: { landId: bigint; location: string; surface: bigint; totalTokens: bigint; pricePerToken: bigint; cid: string };
+  LandWithdrawn: { landId: bigint; owner: string };
+  OwnershipTransferStarted: { previousOwner: string; newOwner: string };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  PaymentTokenUpdated: { token: string; allowed: boolean };
+  PricePerTokenUpdated: { landId: bigint; pricePerToken: bigint };
+  PropertyManagerUpdated: { landId: bigint; manager: string };
+  RelayerAdded: { relayer: string };
+  RelayerRemoved: { relayer: string };
+  RoleGranted: { role: string; account: string; sender: string };
+  RoleRevoked: { role: string; account: string; sender: string };
+  ShareTokenizerUpdated: { previousTokenizer: string; newTokenizer: string };
+  TimelockDelayUpdated: { delay: bigint };
+  TitleTransferApproved: { landId: bigint; from: string; to: string; notary: string; cidDeed: string };
+  TitleTransferCancelled: { landId: bigint };
+  TitleTransferRequested: { landId: bigint; from: string; to: string };
+  TokenizerUpdated: { previousTokenizer: string; newTokenizer: string };
+  TokensAvailabilityUpdated: { landId: bigint; availableTokens: bigint };
+  Unpaused: { account: string };
+  ValidationAdded: { landId: bigint; validator: string; isValidated: boolean };
+  ValidationRoundStarted: { landId: bigint; round: bigint };
+  ValidatorAdded: { validator: string; validatorType: bigint };
+  ValidatorReinstated: { validator: string };
+  ValidatorRemoved: { validator: string };
+  ValidatorSuspended: { validator: string };
+}
+
+export interface LandRegistryFilters {
+  ApprovalPolicyUpdated(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "ApprovalPolicyUpdated">;
+  ChangeCancelled(changeId?: string | null): TypedEventFilter<"LandRegistry", "ChangeCancelled">;
+  ChangeExecuted(changeId?: string | null): TypedEventFilter<"LandRegistry", "ChangeExecuted">;
+  ChangeQueued(changeId?: string | null): TypedEventFilter<"LandRegistry", "ChangeQueued">;
+  EIP712DomainChanged(): TypedEventFilter<"LandRegistry", "EIP712DomainChanged">;
+  GovernanceUpdated(governance?: AddressLike | null): TypedEventFilter<"LandRegistry", "GovernanceUpdated">;
+  Initialized(): TypedEventFilter<"LandRegistry", "Initialized">;
+  LandCurrencySet(landId?: BigNumberish | null, currency?: AddressLike | null): TypedEventFilter<"LandRegistry", "LandCurrencySet">;
+  LandDetokenized(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "LandDetokenized">;
+  LandRegistered(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "LandRegistered">;
+  LandResubmitted(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "LandResubmitted">;
+  LandTokenized(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "LandTokenized">;
+  LandUpdated(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "LandUpdated">;
+  LandWithdrawn(landId?: BigNumberish | null, owner?: AddressLike | null): TypedEventFilter<"LandRegistry", "LandWithdrawn">;
+  OwnershipTransferStarted(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandRegistry", "OwnershipTransferStarted">;
+  OwnershipTransferred(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandRegistry", "OwnershipTransferred">;
+  Paused(): TypedEventFilter<"LandRegistry", "Paused">;
+  PaymentTokenUpdated(token?: AddressLike | null): TypedEventFilter<"LandRegistry", "PaymentTokenUpdated">;
+  PricePerTokenUpdated(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "PricePerTokenUpdated">;
+  PropertyManagerUpdated(landId?: BigNumberish | null, manager?: AddressLike | null): TypedEventFilter<"LandRegistry", "PropertyManagerUpdated">;
+  RelayerAdded(relayer?: AddressLike | null): TypedEventFilter<"LandRegistry", "RelayerAdded">;
+  RelayerRemoved(relayer?: AddressLike | null): TypedEventFilter<"LandRegistry", "RelayerRemoved">;
+  RoleGranted(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandRegistry", "RoleGranted">;
+  RoleRevoked(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandRegistry", "RoleRevoked">;
+  ShareTokenizerUpdated(previousTokenizer?: AddressLike | null, newTokenizer?: AddressLike | null): TypedEventFilter<"LandRegistry", "ShareTokenizerUpdated">;
+  TimelockDelayUpdated(): TypedEventFilter<"LandRegistry", "TimelockDelayUpdated">;
+  TitleTransferApproved(landId?: BigNumberish | null, from?: AddressLike | null, to?: AddressLike | null): TypedEventFilter<"LandRegistry", "TitleTransferApproved">;
+  TitleTransferCancelled(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "TitleTransferCancelled">;
+  TitleTransferRequested(landId?: BigNumberish | null, from?: AddressLike | null, to?: AddressLike | null): TypedEventFilter<"LandRegistry", "TitleTransferRequested">;
+  TokenizerUpdated(previousTokenizer?: AddressLike | null, newTokenizer?: AddressLike | null): TypedEventFilter<"LandRegistry", "TokenizerUpdated">;
+  TokensAvailabilityUpdated(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "TokensAvailabilityUpdated">;
+  Unpaused(): TypedEventFilter<"LandRegistry", "Unpaused">;
+  ValidationAdded(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "ValidationAdded">;
+  ValidationRoundStarted(landId?: BigNumberish | null): TypedEventFilter<"LandRegistry", "ValidationRoundStarted">;
+  ValidatorAdded(validator?: AddressLike | null): TypedEventFilter<"LandRegistry", "ValidatorAdded">;
+  ValidatorReinstated(validator?: AddressLike | null): TypedEventFilter<"LandRegistry", "ValidatorReinstated">;
+  ValidatorRemoved(validator?: AddressLike | null): TypedEventFilter<"LandRegistry", "ValidatorRemoved">;
+  ValidatorSuspended(validator?: AddressLike | null): TypedEventFilter<"LandRegistry", "ValidatorSuspended">;
+}
+
+export interface LandTokenEvents {
+  Approval: { owner: string; approved: string; tokenId: bigint };
+  ApprovalForAll: { owner: string; operator: string; approved: boolean };
+  BatchMetadataUpdate: { _fromTokenId: bigint; _toTokenId: bigint };
+  BuyoutUpdated: { buyout: string };
+  ChangeCancelled: { changeId: string };
+  ChangeExecuted: { changeId: string };
+  ChangeQueued: { changeId: string; data: string; eta: bigint };
+  ComplianceUpdated: { compliance: string };
+  CrowdfundingUpdated: { crowdfunding: string };
+  CurrencyPaymentWithdrawn: { currency: string; payee: string; amount: bigint };
+  DividendDistributorUpdated: { distributor: string };
+  EIP712DomainChanged: {};
+  EtherWithdrawn: { to: string; amount: bigint };
+  GovernanceUpdated: { governance: string };
+  Initialized: { version: bigint };
+  IpfsGatewayUpdated: { gateway: string };
+  LandRoyaltySet: { landId: bigint; receiver: string; percentage: bigint };
+  LandTokenized: { landId: bigint };
+  MarketplaceUpdated: { marketplace: string };
+  MaxRoyaltyPercentageUpdated: { newMaxPercentage: bigint };
+  MetadataUpdate: { _tokenId: bigint };
+  OwnerReserveMinted: { landId: bigint; owner: string; quantity: bigint };
+  OwnershipTransferStarted: { previousOwner: string; newOwner: string };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  PaymentToOwner: { landId: bigint; owner: string; amount: bigint };
+  PaymentWithdrawn: { payee: string; amount: bigint };
+  PlatformFeeUpdated: { newFeePercentage: bigint };
+  PlatformFeesCollected: { landId: bigint; amount: bigint };
+  PlatformFeesWithdrawn: { to: string; amount: bigint };
+  RelayerAdded: { relayer: string };
+  RelayerRemoved: { relayer: string };
+  RoleGranted: { role: string; account: string; sender: string };
+  RoleRevoked: { role: string; account: string; sender: string };
+  TimelockDelayUpdated: { delay: bigint };
+  TokenMinted: { landId: bigint; tokenId: bigint; owner: string };
+  TokenRefunded: { landId: bigint; tokenId: bigint; holder: string; amount: bigint };
+  TokenTransferred: { tokenId: bigint; from: string; to: string };
+  TokensBatchMinted: { landId: bigint; recipient: string; quantity: bigint; tokenIds: bigint[] };
+  Transfer: { from: string; to: string; tokenId: bigint };
+  TreasuryUpdated: { treasury: string };
+  Unpaused: { account: string };
+  VestingUpdated: { vesting: string };
+}
+
+export interface LandTokenFilters {
+  Approval(owner?: AddressLike | null, approved?: AddressLike | null, tokenId?: BigNumberish | null): TypedEventFilter<"LandToken", "Approval">;
+  ApprovalForAll(owner?: AddressLike | null, operator?: AddressLike | null): TypedEventFilter<"LandToken", "ApprovalForAll">;
+  BatchMetadataUpdate(): TypedEventFilter<"LandToken", "BatchMetadataUpdate">;
+  BuyoutUpdated(buyout?: AddressLike | null): TypedEventFilter<"LandToken", "BuyoutUpdated">;
+  ChangeCancelled(changeId?: string | null): TypedEventFilter<"LandToken", "ChangeCancelled">;
+  ChangeExecuted(changeId?: string | null): TypedEventFilter<"LandToken", "ChangeExecuted">;
+  ChangeQueued(changeId?: string | null): TypedEventFilter<"LandToken", "ChangeQueued">;
+  ComplianceUpdated(compliance?: AddressLike | null): TypedEventFilter<"LandToken", "ComplianceUpdated">;
+  CrowdfundingUpdated(crowdfunding?: AddressLike | null): TypedEventFilter<"LandToken", "CrowdfundingUpdated">;
+  CurrencyPaymentWithdrawn(currency?: AddressLike | null, payee?: AddressLike | null): TypedEventFilter<"LandToken", "CurrencyPaymentWithdrawn">;
+  DividendDistributorUpdated(distributor?: AddressLike | null): TypedEventFilter<"LandToken", "DividendDistributorUpdated">;
+  EIP712DomainChanged(): TypedEventFilter<"LandToken", "EIP712DomainChanged">;
+  EtherWithdrawn(to?: AddressLike | null): TypedEventFilter<"LandToken", "EtherWithdrawn">;
+  GovernanceUpdated(governance?: AddressLike | null): TypedEventFilter<"LandToken", "GovernanceUpdated">;
+  Initialized(): TypedEventFilter<"LandToken", "Initialized">;
+  IpfsGatewayUpdated(): TypedEventFilter<"LandToken", "IpfsGatewayUpdated">;
+  LandRoyaltySet(landId?: BigNumberish | null, receiver?: AddressLike | null): TypedEventFilter<"LandToken", "LandRoyaltySet">;
+  LandTokenized(landId?: BigNumberish | null): TypedEventFilter<"LandToken", "LandTokenized">;
+  MarketplaceUpdated(marketplace?: AddressLike | null): TypedEventFilter<"LandToken", "MarketplaceUpdated">;
+  MaxRoyaltyPercentageUpdated(): TypedEventFilter<"LandToken", "MaxRoyaltyPercentageUpdated">;
+  MetadataUpdate(): TypedEventFilter<"LandToken", "MetadataUpdate">;
+  OwnerReserveMinted(landId?: BigNumberish | null, owner?: AddressLike | null): TypedEventFilter<"LandToken", "OwnerReserveMinted">;
+  OwnershipTransferStarted(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandToken", "OwnershipTransferStarted">;
+  OwnershipTransferred(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandToken", "OwnershipTransferred">;
+  Paused(): TypedEventFilter<"LandToken", "Paused">;
+  PaymentToOwner(landId?: BigNumberish | null, owner?: AddressLike | null): TypedEventFilter<"LandToken", "PaymentToOwner">;
+  PaymentWithdrawn(payee?: AddressLike | null): TypedEventFilter<"LandToken", "PaymentWithdrawn">;
+  PlatformFeeUpdated(): TypedEventFilter<"LandToken", "PlatformFeeUpdated">;
+  PlatformFeesCollected(landId?: BigNumberish | null): TypedEventFilter<"LandToken", "PlatformFeesCollected">;
+  PlatformFeesWithdrawn(to?: AddressLike | null): TypedEventFilter<"LandToken", "PlatformFeesWithdrawn">;
+  RelayerAdded(relayer?: AddressLike | null): TypedEventFilter<"LandToken", "RelayerAdded">;
+  RelayerRemoved(relayer?: AddressLike | null): TypedEventFilter<"LandToken", "RelayerRemoved">;
+  RoleGranted(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandToken", "RoleGranted">;
+  RoleRevoked(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandToken", "RoleRevoked">;
+  TimelockDelayUpdated(): TypedEventFilter<"LandToken", "TimelockDelayUpdated">;
+  TokenMinted(landId?: BigNumberish | null, tokenId?: BigNumberish | null): TypedEventFilter<"LandToken", "TokenMinted">;
+  TokenRefunded(landId?: BigNumberish | null, tokenId?: BigNumberish | null, holder?: AddressLike | null): TypedEventFilter<"LandToken", "TokenRefunded">;
+  TokenTransferred(tokenId?: BigNumberish | null): TypedEventFilter<"LandToken", "TokenTransferred">;
+  TokensBatchMinted(landId?: BigNumberish | null, recipient?: AddressLike | null): TypedEventFilter<"LandToken", "TokensBatchMinted">;
+  Transfer(from?: AddressLike | null, to?: AddressLike | null, tokenId?: BigNumberish | null): TypedEventFilter<"LandToken", "Transfer">;
+  TreasuryUpdated(treasury?: AddressLike | null): TypedEventFilter<"LandToken", "TreasuryUpdated">;
+  Unpaused(): TypedEventFilter<"LandToken", "Unpaused">;
+  VestingUpdated(vesting?: AddressLike | null): TypedEventFilter<"LandToken", "VestingUpdated">;
+}
+
+export interface LandTokenMarketplaceEvents {
+  ActiveListingsUpdated: { totalActive: bigint };
+  AuctionCancelled: { tokenId: bigint };
+  AuctionCreated: { tokenId: bigint; seller: string; auctionType: bigint; startPrice: bigint; floorPrice: bigint; minIncrement: bigint; endTime: bigint };
+  AuctionSettled: { tokenId: bigint; winner: string; price: bigint };
+  BidPlaced: { tokenId: bigint; bidder: string; amount: bigint; endTime: bigint };
+  ChangeCancelled: { changeId: string };
+  ChangeExecuted: { changeId: string };
+  ChangeQueued: { changeId: string; data: string; eta: bigint };
+  CurrencyPaymentWithdrawn: { currency: string; payee: string; amount: bigint };
+  EIP712DomainChanged: {};
+  ExpiredListingRemoved: { tokenId: bigint; seller: string };
+  Initialized: { version: bigint };
+  ListingCancelled: { tokenId: bigint };
+  ListingExpirationSet: { tokenId: bigint; expiresAt: bigint };
+  ListingPriceUpdated: { tokenId: bigint; oldPrice: bigint; newPrice: bigint };
+  MarketplaceFeeUpdated: { newFeePercentage: bigint };
+  MarketplaceFeesCollected: { tokenId: bigint; amount: bigint };
+  MarketplaceFeesWithdrawn: { to: string; amount: bigint };
+  MultipleTokensBought: { buyer: string; count: bigint; totalPrice: bigint; totalMarketplaceFee: bigint };
+  MultipleTokensListed: { seller: string; count: bigint };
+  OfferAccepted: { offerId: bigint; tokenId: bigint; seller: string; buyer: string; amount: bigint };
+  OfferCancelled: { offerId: bigint };
+  OfferCreated: { offerId: bigint; buyer: string; tokenId: bigint; landId: bigint; amount: bigint; expiresAt: bigint };
+  OwnershipTransferStarted: { previousOwner: string; newOwner: string };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  PaymentWithdrawn: { payee: string; amount: bigint };
+  RelayerAdded: { relayer: string };
+  RelayerRemoved: { relayer: string };
+  RoleGranted: { role: string; account: string; sender: string };
+  RoleRevoked: { role: string; account: string; sender: string };
+  RoyaltyPaid: { tokenId: bigint; receiver: string; amount: bigint };
+  TimelockDelayUpdated: { delay: bigint };
+  TokenListed: { tokenId: bigint; price: bigint; seller: string };
+  TokenSold: { tokenId: bigint; seller: string; buyer: string; price: bigint };
+  TreasuryUpdated: { treasury: string };
+  Unpaused: { account: string };
+}
+
+export interface LandTokenMarketplaceFilters {
+  ActiveListingsUpdated(): TypedEventFilter<"LandTokenMarketplace", "ActiveListingsUpdated">;
+  AuctionCancelled(tokenId?: BigNumberish | null): TypedEventFilter<"LandTokenMarketplace", "AuctionCancelled">;
+  AuctionCreated(tokenId?: BigNumberish | null, seller?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "AuctionCreated">;
+  AuctionSettled(tokenId?: BigNumberish | null): TypedEventFilter<"LandTokenMarketplace", "AuctionSettled">;
+  BidPlaced(tokenId?: BigNumberish | null, bidder?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "BidPlaced">;
+  ChangeCancelled(changeId?: string | null): TypedEventFilter<"LandTokenMarketplace", "ChangeCancelled">;
+  ChangeExecuted(changeId?: string | null): TypedEventFilter<"LandTokenMarketplace", "ChangeExecuted">;
+  ChangeQueued(changeId?: string | null): TypedEventFilter<"LandTokenMarketplace", "ChangeQueued">;
+  CurrencyPaymentWithdrawn(currency?: AddressLike | null, payee?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "CurrencyPaymentWithdrawn">;
+  EIP712DomainChanged(): TypedEventFilter<"LandTokenMarketplace", "EIP712DomainChanged">;
+  ExpiredListingRemoved(tokenId?: BigNumberish | null, seller?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "ExpiredListingRemoved">;
+  Initialized(): TypedEventFilter<"LandTokenMarketplace", "Initialized">;
+  ListingCancelled(tokenId?: BigNumberish | null): TypedEventFilter<"LandTokenMarketplace", "ListingCancelled">;
+  ListingExpirationSet(tokenId?: BigNumberish | null): TypedEventFilter<"LandTokenMarketplace", "ListingExpirationSet">;
+  ListingPriceUpdated(tokenId?: BigNumberish | null): TypedEventFilter<"LandTokenMarketplace", "ListingPriceUpdated">;
+  MarketplaceFeeUpdated(): TypedEventFilter<"LandTokenMarketplace", "MarketplaceFeeUpdated">;
+  MarketplaceFeesCollected(): TypedEventFilter<"LandTokenMarketplace", "MarketplaceFeesCollected">;
+  MarketplaceFeesWithdrawn(to?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "MarketplaceFeesWithdrawn">;
+  MultipleTokensBought(buyer?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "MultipleTokensBought">;
+  MultipleTokensListed(seller?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "MultipleTokensListed">;
+  OfferAccepted(offerId?: BigNumberish | null, tokenId?: BigNumberish | null): TypedEventFilter<"LandTokenMarketplace", "OfferAccepted">;
+  OfferCancelled(offerId?: BigNumberish | null): TypedEventFilter<"LandTokenMarketplace", "OfferCancelled">;
+  OfferCreated(offerId?: BigNumberish | null, buyer?: AddressLike | null, tokenId?: BigNumberish | null): TypedEventFilter<"LandTokenMarketplace", "OfferCreated">;
+  OwnershipTransferStarted(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "OwnershipTransferStarted">;
+  OwnershipTransferred(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "OwnershipTransferred">;
+  Paused(): TypedEventFilter<"LandTokenMarketplace", "Paused">;
+  PaymentWithdrawn(payee?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "PaymentWithdrawn">;
+  RelayerAdded(relayer?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "RelayerAdded">;
+  RelayerRemoved(relayer?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "RelayerRemoved">;
+  RoleGranted(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "RoleGranted">;
+  RoleRevoked(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "RoleRevoked">;
+  RoyaltyPaid(tokenId?: BigNumberish | null, receiver?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "RoyaltyPaid">;
+  TimelockDelayUpdated(): TypedEventFilter<"LandTokenMarketplace", "TimelockDelayUpdated">;
+  TokenListed(tokenId?: BigNumberish | null): TypedEventFilter<"LandTokenMarketplace", "TokenListed">;
+  TokenSold(tokenId?: BigNumberish | null): TypedEventFilter<"LandTokenMarketplace", "TokenSold">;
+  TreasuryUpdated(treasury?: AddressLike | null): TypedEventFilter<"LandTokenMarketplace", "TreasuryUpdated">;
+  Unpaused(): TypedEventFilter<"LandTokenMarketplace", "Unpaused">;
+}
+
+export interface LandSharesEvents {
+  ApprovalForAll: { account: string; operator: string; approved: boolean };
+  ChangeCancelled: { changeId: string };
+  ChangeExecuted: { changeId: string };
+  ChangeQueued: { changeId: string; data: string; eta: bigint };
+  ComplianceUpdated: { compliance: string };
+  LandRoyaltySet: { landId: bigint; receiver: string; percentage: bigint };
+  LandTokenized: { landId: bigint };
+  OwnershipTransferStarted: { previousOwner: string; newOwner: string };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  PaymentToOwner: { landId: bigint; owner: string; amount: bigint };
+  PaymentWithdrawn: { payee: string; amount: bigint };
+  PlatformFeeUpdated: { newFeePercentage: bigint };
+  PlatformFeesCollected: { landId: bigint; amount: bigint };
+  PlatformFeesWithdrawn: { to: string; amount: bigint };
+  RoleGranted: { role: string; account: string; sender: string };
+  RoleRevoked: { role: string; account: string; sender: string };
+  SharesMinted: { landId: bigint; recipient: string; amount: bigint; price: bigint };
+  TimelockDelayUpdated: { delay: bigint };
+  TransferBatch: { operator: string; from: string; to: string; ids: bigint[]; values: bigint[] };
+  TransferSingle: { operator: string; from: string; to: string; id: bigint; value: bigint };
+  TreasuryUpdated: { treasury: string };
+  URI: { value: string; id: bigint };
+  Unpaused: { account: string };
+}
+
+export interface LandSharesFilters {
+  ApprovalForAll(account?: AddressLike | null, operator?: AddressLike | null): TypedEventFilter<"LandShares", "ApprovalForAll">;
+  ChangeCancelled(changeId?: string | null): TypedEventFilter<"LandShares", "ChangeCancelled">;
+  ChangeExecuted(changeId?: string | null): TypedEventFilter<"LandShares", "ChangeExecuted">;
+  ChangeQueued(changeId?: string | null): TypedEventFilter<"LandShares", "ChangeQueued">;
+  ComplianceUpdated(compliance?: AddressLike | null): TypedEventFilter<"LandShares", "ComplianceUpdated">;
+  LandRoyaltySet(landId?: BigNumberish | null, receiver?: AddressLike | null): TypedEventFilter<"LandShares", "LandRoyaltySet">;
+  LandTokenized(landId?: BigNumberish | null): TypedEventFilter<"LandShares", "LandTokenized">;
+  OwnershipTransferStarted(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandShares", "OwnershipTransferStarted">;
+  OwnershipTransferred(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandShares", "OwnershipTransferred">;
+  Paused(): TypedEventFilter<"LandShares", "Paused">;
+  PaymentToOwner(landId?: BigNumberish | null, owner?: AddressLike | null): TypedEventFilter<"LandShares", "PaymentToOwner">;
+  PaymentWithdrawn(payee?: AddressLike | null): TypedEventFilter<"LandShares", "PaymentWithdrawn">;
+  PlatformFeeUpdated(): TypedEventFilter<"LandShares", "PlatformFeeUpdated">;
+  PlatformFeesCollected(landId?: BigNumberish | null): TypedEventFilter<"LandShares", "PlatformFeesCollected">;
+  PlatformFeesWithdrawn(to?: AddressLike | null): TypedEventFilter<"LandShares", "PlatformFeesWithdrawn">;
+  RoleGranted(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandShares", "RoleGranted">;
+  RoleRevoked(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandShares", "RoleRevoked">;
+  SharesMinted(landId?: BigNumberish | null, recipient?: AddressLike | null): TypedEventFilter<"LandShares", "SharesMinted">;
+  TimelockDelayUpdated(): TypedEventFilter<"LandShares", "TimelockDelayUpdated">;
+  TransferBatch(operator?: AddressLike | null, from?: AddressLike | null, to?: AddressLike | null): TypedEventFilter<"LandShares", "TransferBatch">;
+  TransferSingle(operator?: AddressLike | null, from?: AddressLike | null, to?: AddressLike | null): TypedEventFilter<"LandShares", "TransferSingle">;
+  TreasuryUpdated(treasury?: AddressLike | null): TypedEventFilter<"LandShares", "TreasuryUpdated">;
+  URI(id?: BigNumberish | null): TypedEventFilter<"LandShares", "URI">;
+  Unpaused(): TypedEventFilter<"LandShares", "Unpaused">;
+}
+
+export interface LandShareMarketplaceEvents {
+  ChangeCancelled: { changeId: string };
+  ChangeExecuted: { changeId: string };
+  ChangeQueued: { changeId: string; data: string; eta: bigint };
+  MarketplaceFeeUpdated: { newFeePercentage: bigint };
+  MarketplaceFeesWithdrawn: { to: string; amount: bigint };
+  OrderCancelled: { orderId: bigint };
+  OrderCreated: { orderId: bigint; landId: bigint; maker: string; side: bigint; quantity: bigint; pricePerShare: bigint };
+  OrderFeesCollected: { orderId: bigint; amount: bigint };
+  OrderFilled: { orderId: bigint; taker: string; quantity: bigint; totalPrice: bigint };
+  OwnershipTransferStarted: { previousOwner: string; newOwner: string };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  Paused: { account: string };
+  PaymentWithdrawn: { payee: string; amount: bigint };
+  RoleGranted: { role: string; account: string; sender: string };
+  RoleRevoked: { role: string; account: string; sender: string };
+  RoyaltyPaid: { orderId: bigint; receiver: string; amount: bigint };
+  TimelockDelayUpdated: { delay: bigint };
+  TreasuryUpdated: { treasury: string };
+  Unpaused: { account: string };
+}
+
+export interface LandShareMarketplaceFilters {
+  ChangeCancelled(changeId?: string | null): TypedEventFilter<"LandShareMarketplace", "ChangeCancelled">;
+  ChangeExecuted(changeId?: string | null): TypedEventFilter<"LandShareMarketplace", "ChangeExecuted">;
+  ChangeQueued(changeId?: string | null): TypedEventFilter<"LandShareMarketplace", "ChangeQueued">;
+  MarketplaceFeeUpdated(): TypedEventFilter<"LandShareMarketplace", "MarketplaceFeeUpdated">;
+  MarketplaceFeesWithdrawn(to?: AddressLike | null): TypedEventFilter<"LandShareMarketplace", "MarketplaceFeesWithdrawn">;
+  OrderCancelled(orderId?: BigNumberish | null): TypedEventFilter<"LandShareMarketplace", "OrderCancelled">;
+  OrderCreated(orderId?: BigNumberish | null, landId?: BigNumberish | null, maker?: AddressLike | null): TypedEventFilter<"LandShareMarketplace", "OrderCreated">;
+  OrderFeesCollected(orderId?: BigNumberish | null): TypedEventFilter<"LandShareMarketplace", "OrderFeesCollected">;
+  OrderFilled(orderId?: BigNumberish | null, taker?: AddressLike | null): TypedEventFilter<"LandShareMarketplace", "OrderFilled">;
+  OwnershipTransferStarted(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandShareMarketplace", "OwnershipTransferStarted">;
+  OwnershipTransferred(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandShareMarketplace", "OwnershipTransferred">;
+  Paused(): TypedEventFilter<"LandShareMarketplace", "Paused">;
+  PaymentWithdrawn(payee?: AddressLike | null): TypedEventFilter<"LandShareMarketplace", "PaymentWithdrawn">;
+  RoleGranted(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandShareMarketplace", "RoleGranted">;
+  RoleRevoked(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandShareMarketplace", "RoleRevoked">;
+  RoyaltyPaid(orderId?: BigNumberish | null, receiver?: AddressLike | null): TypedEventFilter<"LandShareMarketplace", "RoyaltyPaid">;
+  TimelockDelayUpdated(): TypedEventFilter<"LandShareMarketplace", "TimelockDelayUpdated">;
+  TreasuryUpdated(treasury?: AddressLike | null): TypedEventFilter<"LandShareMarketplace", "TreasuryUpdated">;
+  Unpaused(): TypedEventFilter<"LandShareMarketplace", "Unpaused">;
+}
+
+export interface LandDividendsEvents {
+  DividendsClaimed: { account: string; amount: bigint };
+  DividendsCredited: { tokenId: bigint; account: string; amount: bigint };
+  DividendsDeposited: { landId: bigint; depositor: string; amount: bigint; tokenCount: bigint };
+}
+
+export interface LandDividendsFilters {
+  DividendsClaimed(account?: AddressLike | null): TypedEventFilter<"LandDividends", "DividendsClaimed">;
+  DividendsCredited(tokenId?: BigNumberish | null, account?: AddressLike | null): TypedEventFilter<"LandDividends", "DividendsCredited">;
+  DividendsDeposited(landId?: BigNumberish | null, depositor?: AddressLike | null): TypedEventFilter<"LandDividends", "DividendsDeposited">;
+}
+
+export interface LandGovernanceEvents {
+  ActionAllowed: { target: string; selector: string; allowed: boolean };
+  BuyoutThresholdUpdated: { landId: bigint; threshold: bigint };
+  OwnershipTransferStarted: { previousOwner: string; newOwner: string };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  ProposalCreated: { proposalId: bigint; landId: bigint; proposer: string; target: string; data: string; description: string; snapshotBlock: bigint; deadline: bigint };
+  ProposalExecuted: { proposalId: bigint };
+  VoteCast: { proposalId: bigint; voter: string; support: boolean; weight: bigint };
+  VotingConfigUpdated: { landId: bigint; quorum: bigint; threshold: bigint; votingPeriod: bigint };
+}
+
+export interface LandGovernanceFilters {
+  ActionAllowed(target?: AddressLike | null, selector?: string | null): TypedEventFilter<"LandGovernance", "ActionAllowed">;
+  BuyoutThresholdUpdated(landId?: BigNumberish | null): TypedEventFilter<"LandGovernance", "BuyoutThresholdUpdated">;
+  OwnershipTransferStarted(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandGovernance", "OwnershipTransferStarted">;
+  OwnershipTransferred(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandGovernance", "OwnershipTransferred">;
+  ProposalCreated(proposalId?: BigNumberish | null, landId?: BigNumberish | null, proposer?: AddressLike | null): TypedEventFilter<"LandGovernance", "ProposalCreated">;
+  ProposalExecuted(proposalId?: BigNumberish | null): TypedEventFilter<"LandGovernance", "ProposalExecuted">;
+  VoteCast(proposalId?: BigNumberish | null, voter?: AddressLike | null): TypedEventFilter<"LandGovernance", "VoteCast">;
+  VotingConfigUpdated(landId?: BigNumberish | null): TypedEventFilter<"LandGovernance", "VotingConfigUpdated">;
+}
+
+export interface LandComplianceEvents {
+  ChangeCancelled: { changeId: string };
+  ChangeExecuted: { changeId: string };
+  ChangeQueued: { changeId: string; data: string; eta: bigint };
+  ForcedTransfer: { tokenId: bigint; from: string; to: string; reason: string };
+  IdentityRevoked: { account: string };
+  IdentityUpdated: { account: string; jurisdiction: bigint; expiresAt: bigint };
+  LandRulesUpdated: { landId: bigint; maxHolders: bigint; jurisdictions: bigint };
+  OwnershipTransferStarted: { previousOwner: string; newOwner: string };
+  OwnershipTransferred: { previousOwner: string; newOwner: string };
+  RoleGranted: { role: string; account: string; sender: string };
+  RoleRevoked: { role: string; account: string; sender: string };
+  TimelockDelayUpdated: { delay: bigint };
+}
+
+export interface LandComplianceFilters {
+  ChangeCancelled(changeId?: string | null): TypedEventFilter<"LandCompliance", "ChangeCancelled">;
+  ChangeExecuted(changeId?: string | null): TypedEventFilter<"LandCompliance", "ChangeExecuted">;
+  ChangeQueued(changeId?: string | null): TypedEventFilter<"LandCompliance", "ChangeQueued">;
+  ForcedTransfer(tokenId?: BigNumberish | null, from?: AddressLike | null, to?: AddressLike | null): TypedEventFilter<"LandCompliance", "ForcedTransfer">;
+  IdentityRevoked(account?: AddressLike | null): TypedEventFilter<"LandCompliance", "IdentityRevoked">;
+  IdentityUpdated(account?: AddressLike | null): TypedEventFilter<"LandCompliance", "IdentityUpdated">;
+  LandRulesUpdated(landId?: BigNumberish | null): TypedEventFilter<"LandCompliance", "LandRulesUpdated">;
+  OwnershipTransferStarted(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandCompliance", "OwnershipTransferStarted">;
+  OwnershipTransferred(previousOwner?: AddressLike | null, newOwner?: AddressLike | null): TypedEventFilter<"LandCompliance", "OwnershipTransferred">;
+  RoleGranted(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandCompliance", "RoleGranted">;
+  RoleRevoked(role?: string | null, account?: AddressLike | null, sender?: AddressLike | null): TypedEventFilter<"LandCompliance", "RoleRevoked">;
+  TimelockDelayUpdated(): TypedEventFilter<"LandCompliance", "TimelockDelayUpdated">;
+}
+
+export interface LandCrowdfundingEvents {
+  CampaignOpened: { campaignId: bigint; landId: bigint; softCap: bigint; deadline: bigint; maxPerBuyer: bigint };
+  CampaignSucceeded: { campaignId: bigint; landId: bigint; raised: bigint };
+}
+
+export interface LandCrowdfundingFilters {
+  CampaignOpened(campaignId?: BigNumberish | null, landId?: BigNumberish | null): TypedEventFilter<"LandCrowdfunding", "CampaignOpened">;
+  CampaignSucceeded(campaignId?: BigNumberish | null, landId?: BigNumberish | null): TypedEventFilter<"LandCrowdfunding", "CampaignSucceeded">;
+}
+
+export interface LandBuyoutEvents {
+  BuyoutClosed: { buyoutId: bigint; landId: bigint; refund: bigint };
+  BuyoutCompleted: { buyoutId: bigint; landId: bigint; refund: bigint };
+  BuyoutOpened: { buyoutId: bigint; landId: bigint; bidder: string; pricePerToken: bigint; deadline: bigint; deposit: bigint };
+  PaymentWithdrawn: { payee: string; amount: bigint };
+  TokenAcquired: { buyoutId: bigint; tokenId: bigint; holder: string; amount: bigint };
+  TokenRedeemed: { buyoutId: bigint; tokenId: bigint; holder: string; amount: bigint };
+}
+
+export interface LandBuyoutFilters {
+  BuyoutClosed(buyoutId?: BigNumberish | null, landId?: BigNumberish | null): TypedEventFilter<"LandBuyout", "BuyoutClosed">;
+  BuyoutCompleted(buyoutId?: BigNumberish | null, landId?: BigNumberish | null): TypedEventFilter<"LandBuyout", "BuyoutCompleted">;
+  BuyoutOpened(buyoutId?: BigNumberish | null, landId?: BigNumberish | null, bidder?: AddressLike | null): TypedEventFilter<"LandBuyout", "BuyoutOpened">;
+  PaymentWithdrawn(payee?: AddressLike | null): TypedEventFilter<"LandBuyout", "PaymentWithdrawn">;
+  TokenAcquired(buyoutId?: BigNumberish | null, tokenId?: BigNumberish | null, holder?: AddressLike | null): TypedEventFilter<"LandBuyout", "TokenAcquired">;
+  TokenRedeemed(buyoutId?: BigNumberish | null, tokenId?: BigNumberish | null, holder?: AddressLike | null): TypedEventFilter<"LandBuyout", "TokenRedeemed">;
+}
+
+export interface LandVestingEvents {
+  ScheduleSet: { landId: bigint; mintDeadline: bigint; cliff: bigint; vestingEnd: bigint };
+}
+
+export interface LandVestingFilters {
+  ScheduleSet(landId?: BigNumberish | null): TypedEventFilter<"LandVesting", "ScheduleSet">;
+}
+
+export interface ContractEvents {
+  LandRegistry: LandRegistryEvents;
+  LandToken: LandTokenEvents;
+  LandTokenMarketplace: LandTokenMarketplaceEvents;
+  LandShares: LandSharesEvents;
+  LandShareMarketplace: LandShareMarketplaceEvents;
+  LandDividends: LandDividendsEvents;
+  LandGovernance: LandGovernanceEvents;
+  LandCompliance: LandComplianceEvents;
+  LandCrowdfunding: LandCrowdfundingEvents;
+  LandBuyout: LandBuyoutEvents;
+  LandVesting: LandVestingEvents;
+}
+
+export interface ContractFilters {
+  LandRegistry: LandRegistryFilters;
+  LandToken: LandTokenFilters;
+  LandTokenMarketplace: LandTokenMarketplaceFilters;
+  LandShares: LandSharesFilters;
+  LandShareMarketplace: LandShareMarketplaceFilters;
+  LandDividends: LandDividendsFilters;
+  LandGovernance: LandGovernanceFilters;
+  LandCompliance: LandComplianceFilters;
+  LandCrowdfunding: LandCrowdfundingFilters;
+  LandBuyout: LandBuyoutFilters;
+  LandVesting: LandVestingFilters;
+}
+
+/** Arguments de chaque erreur personnalisée, par nom d'erreur. */
+export interface ContractErrors {
+  ActionLandMismatch: {};
+  ActionNotAllowed: {};
+  AlreadyListed: {};
+  AlreadyVoted: {};
+  AuctionActive: {};
+  AuctionEnded: {};
+  AuctionHasBids: {};
+  AuctionNotEnded: {};
+  BidTooLow: {};
+  BuyoutInProgress: { landId: bigint };
+  BuyoutNotAcquirable: { landId: bigint };
+  BuyoutNotActive: { landId: bigint };
+  BuyoutNotEnabled: {};
+  CampaignEnded: { landId: bigint };
+  CampaignInProgress: { landId: bigint };
+  CampaignNotFailed: { landId: bigint };
+  ChangeNotQueued: { changeId: string };
+  ChangeNotReady: { changeId: string; eta: bigint };
+  CrowdfundingNotEnabled: {};
+  DistributorNotEnabled: {};
+  EtherNotAccepted: {};
+  IdentityExpired: { account: string; expiresAt: bigint };
+  IdentityNotVerified: { account: string };
+  InsufficientFunds: {};
+  InsufficientPayment: {};
+  InsufficientTokens: {};
+  InvalidApprovalPolicy: {};
+  InvalidAuction: {};
+  InvalidBuyoutThreshold: {};
+  InvalidCIDComments: {};
+  InvalidDeadline: {};
+  InvalidDeposit: { expected: bigint };
+  InvalidExpiration: {};
+  InvalidFeePercentage: {};
+  InvalidIdentity: {};
+  InvalidLandToken: {};
+  InvalidMarketplace: {};
+  InvalidNewOwner: {};
+  InvalidOffer: {};
+  InvalidOrder: {};
+  InvalidPrice: {};
+  InvalidQuantity: {};
+  InvalidRegistry: {};
+  InvalidRelayer: {};
+  InvalidRoyaltyPercentage: {};
+  InvalidSchedule: {};
+  InvalidShareContract: {};
+  InvalidShortString: {};
+  InvalidSignature: {};
+  InvalidSoftCap: {};
+  InvalidTarget: {};
+  InvalidTimelockDelay: {};
+  InvalidTokenAddress: {};
+  InvalidTokenAmount: {};
+  InvalidTokenizer: {};
+  InvalidTransferParameters: {};
+  InvalidTreasury: {};
+  InvalidValidator: {};
+  InvalidVotingConfig: {};
+  JurisdictionNotAllowed: { landId: bigint; account: string; jurisdiction: bigint };
+  LandAlreadyTokenized: {};
+  LandNotPending: {};
+  LandNotRegistered: {};
+  LandNotRejected: {};
+  LandNotTokenized: {};
+  LandNotValid: {};
+  LandNotValidated: {};
+  ListingExpired: {};
+  MaxHoldersReached: { landId: bigint; maxHolders: bigint };
+  MaxPerBuyerExceeded: { landId: bigint; maxPerBuyer: bigint };
+  MissingRole: { role: string; account: string };
+  NoActiveAuction: {};
+  NoDividendsToClaim: {};
+  NoEtherToWithdraw: {};
+  NoPendingTitleTransfer: {};
+  NoTokensAvailable: {};
+  NoTokensMinted: {};
+  NoTokensToMint: {};
+  NoVotingPower: {};
+  NotBidder: {};
+  NotBuyout: {};
+  NotCompliance: {};
+  NotCrowdfunding: {};
+  NotGovernance: {};
+  NotLandModule: {};
+  NotLandOwner: {};
+  NotLandToken: {};
+  NotListed: {};
+  NotNotary: {};
+  NotOfferBuyer: {};
+  NotOrderMaker: {};
+  NotRegistry: {};
+  NotSeller: {};
+  NotTokenHolder: {};
+  NotTokenOwner: {};
+  NothingToDeposit: {};
+  NothingToWithdraw: {};
+  OfferExpired: {};
+  OfferNotActive: {};
+  OrderNotActive: {};
+  OwnableInvalidOwner: { owner: string };
+  OwnableUnauthorizedAccount: { account: string };
+  ProceedsInEscrow: { landId: bigint };
+  ProposalNotActive: {};
+  ProposalNotSucceeded: {};
+  SignatureExpired: {};
+  StringTooLong: { str: string };
+  TokenDoesNotExist: {};
+  TokenNotInLand: {};
+  TokensAlreadyMinted: {};
+  TokensLocked: { landId: bigint; locked: bigint };
+  TokensOutstanding: { landId: bigint };
+  TransferFailed: {};
+  UnauthorizedConfiguration: {};
+  UnauthorizedRelayer: {};
+  UnauthorizedTokenizer: {};
+  UnauthorizedValidator: {};
+  UnsupportedCurrency: {};
+  ValidatorAlreadyRegistered: {};
+  ValidatorAlreadyValidated: {};
+  ValidatorIsSuspended: {};
+  VestingNotEnabled: {};
+}
+
+export type ContractErrorName = keyof ContractErrors;
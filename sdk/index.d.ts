@@ -0,0 +1,427 @@
+import type {
+  BigNumberish,
+  BlockTag,
+  Contract,
+  ContractRunner,
+  TransactionReceipt
+} from "ethers";
+import type {
+  ContractErrorName,
+  ContractEvents,
+  ContractFilters,
+  ContractName,
+  TypedEventFilter
+} from "./generated/contracts";
+
+export * from "./generated/contracts";
+
+export declare const SDK_VERSION: string;
+
+export type LandStatus = "EnAttente" | "Valide" | "Rejete";
+export type ValidatorType = "Notaire" | "Geometre" | "ExpertJuridique";
+export type ShareOrderSide = "sell" | "buy";
+export type ProposalState = "active" | "defeated" | "succeeded" | "executed";
+export type CampaignStatus = "none" | "active" | "succeeded" | "failed";
+export type BuyoutStatus = "none" | "active" | "acquirable" | "expired" | "completed" | "closed";
+export type RoleName =
+  | "PAUSER_ROLE"
+  | "FEE_MANAGER_ROLE"
+  | "VALIDATOR_ADMIN_ROLE"
+  | "RELAYER_ADMIN_ROLE"
+  | "TREASURER_ROLE"
+  | "COMPLIANCE_ROLE";
+/** Contrats administrés par rôles. */
+export type RoleContractName = Exclude<
+  ContractName,
+  "LandDividends" | "LandGovernance" | "LandCrowdfunding" | "LandBuyout" | "LandVesting"
+>;
+
+export declare const LAND_STATUS: LandStatus[];
+export declare const VALIDATOR_TYPES: ValidatorType[];
+export declare const SHARE_ORDER_SIDES: ShareOrderSide[];
+export declare const PROPOSAL_STATES: ProposalState[];
+export declare const CAMPAIGN_STATUSES: CampaignStatus[];
+export declare const BUYOUT_STATUSES: BuyoutStatus[];
+/** Identifiants bytes32 des rôles. */
+export declare const ROLES: Record<RoleName, string>;
+export declare const ERROR_MESSAGES: Partial<Record<ContractErrorName, string>>;
+
+export type ContractAddresses = Record<ContractName, string>;
+
+/** Sous-ensemble d'un manifeste deployments/<network>.json utilisé par le SDK. */
+export interface DeploymentManifest {
+  network: string;
+  contracts: Record<ContractName, { address: string; abiHash?: string }>;
+}
+
+export interface Land {
+  landId: bigint;
+  location: string;
+  surface: bigint;
+  owner: string;
+  isRegistered: boolean;
+  registrationDate: bigint;
+  status: LandStatus;
+  totalTokens: bigint;
+  availableTokens: bigint;
+  pricePerToken: bigint;
+  isTokenized: boolean;
+  cid: string;
+  /** Devise ERC-20 du prix, ou null pour l'ETH. */
+  currency: string | null;
+}
+
+export interface TokenMetadata {
+  name: string;
+  description: string;
+  /** Image SVG en data URI base64. */
+  image: string;
+  external_url: string;
+  attributes: { trait_type: string; value: string | number; display_type?: string }[];
+}
+
+export interface LandFields {
+  location: string;
+  surface: BigNumberish;
+  totalTokens: BigNumberish;
+  pricePerToken: BigNumberish;
+  cid: string;
+}
+
+/** Avis favorables requis par type de validateur (0 ou absent : type non requis). */
+export type ApprovalPolicy = Partial<Record<ValidatorType, number>>;
+
+export interface RegisterLandParams extends LandFields {
+  /** Au moins aussi exigeante que la politique par défaut. */
+  approvalPolicy?: ApprovalPolicy;
+  /** Devise ERC-20 acceptée par le registre ; pricePerToken est exprimé dans ses unités. */
+  currency?: string;
+}
+
+export interface WithdrawnPayment {
+  amount: bigint;
+  receipt: TransactionReceipt;
+}
+
+/** Résultat d'un changement soumis au timelock : mis en file, ou appliqué. */
+export type TimelockedChange =
+  | { applied: false; changeId: string; eta: bigint; receipt: TransactionReceipt }
+  | { applied: true; receipt: TransactionReceipt };
+
+export interface ValidatorInfo {
+  address: string;
+  suspended: boolean;
+}
+
+export interface ShareOrderParams {
+  side: ShareOrderSide;
+  landId: BigNumberish;
+  quantity: BigNumberish;
+  pricePerShare: BigNumberish;
+}
+
+export interface ProposalParams {
+  landId: BigNumberish;
+  contract: "LandRegistry" | "LandToken" | "LandGovernance";
+  method: string;
+  /** Arguments suivant l'ID du terrain. */
+  args?: unknown[];
+  description?: string;
+}
+
+export interface Proposal {
+  proposalId: bigint;
+  landId: bigint;
+  proposer: string;
+  target: string;
+  data: string;
+  snapshotBlock: bigint;
+  deadline: bigint;
+  quorumVotes: bigint;
+  threshold: bigint;
+  forVotes: bigint;
+  againstVotes: bigint;
+  state: ProposalState;
+}
+
+export interface Identity {
+  account: string;
+  /** Code de juridiction (0 à 255). */
+  jurisdiction: number;
+  /** 0 si le compte n'est pas vérifié. */
+  expiresAt: bigint;
+}
+
+export interface LandRules {
+  /** 0 : détenteurs illimités. */
+  maxHolders: BigNumberish;
+  /** Codes des juridictions autorisées ([] : toutes). */
+  jurisdictions: number[];
+}
+
+export interface CampaignParams {
+  /** Montant minimal à lever, dans la devise du terrain. */
+  softCap: BigNumberish;
+  /** Timestamp de fin de la campagne. */
+  deadline: BigNumberish;
+  /** Tokens par acheteur, 0 (par défaut) pour illimité. */
+  maxPerBuyer?: number;
+}
+
+export interface Campaign {
+  campaignId: bigint;
+  landId: bigint;
+  softCap: bigint;
+  deadline: bigint;
+  maxPerBuyer: number;
+  /** Produit des ventes encore en séquestre. */
+  escrowed: bigint;
+  status: CampaignStatus;
+}
+
+export interface BuyoutParams {
+  /** Prix offert par token, en ETH. */
+  pricePerToken: BigNumberish;
+  /** Timestamp de fin de la période de cession. */
+  deadline: BigNumberish;
+}
+
+export interface Buyout {
+  buyoutId: bigint;
+  landId: bigint;
+  bidder: string;
+  pricePerToken: bigint;
+  deadline: bigint;
+  /** Part du dépôt pas encore versée aux détenteurs. */
+  deposit: bigint;
+  status: BuyoutStatus;
+}
+
+export interface VestingScheduleParams {
+  /** Fin de la fenêtre d'émission : les tokens mintés jusqu'à cette date sont bloqués. */
+  mintDeadline: BigNumberish;
+  /** Date de déblocage. */
+  cliff: BigNumberish;
+  /** Fin de la libération linéaire, cliff par défaut. */
+  vestingEnd?: BigNumberish;
+}
+
+export interface Vesting {
+  landId: bigint;
+  mintDeadline: bigint;
+  cliff: bigint;
+  vestingEnd: bigint;
+  /** Tokens du compte mintés pendant la fenêtre d'émission. */
+  vested: bigint;
+  locked: bigint;
+  transferable: bigint;
+}
+
+export interface ComplianceCheck {
+  allowed: boolean;
+  reason: DecodedError | null;
+}
+
+export interface Listing {
+  tokenId: bigint;
+  price: bigint;
+  seller: string;
+  isActive: boolean;
+  listedAt: bigint;
+  /** 0 si le listing n'expire pas. */
+  expiresAt: bigint;
+}
+
+export interface ListingsPage {
+  total: bigint;
+  offset: bigint;
+  items: Listing[];
+}
+
+export interface TokensPage {
+  total: bigint;
+  offset: bigint;
+  tokenIds: bigint[];
+}
+
+export interface CapTableEntry {
+  holder: string;
+  tokens: bigint;
+  /** Part du nombre total de tokens du terrain, en base 10000 (2500 = 25 %). */
+  share: bigint;
+}
+
+export interface CapTablePage {
+  total: bigint;
+  offset: bigint;
+  items: CapTableEntry[];
+}
+
+export interface DecodedEvent<C extends ContractName, E extends keyof ContractEvents[C]> {
+  name: E;
+  args: ContractEvents[C][E];
+  blockNumber: number;
+  transactionHash: string;
+  logIndex: number;
+}
+
+export interface DecodedError<N extends string = ContractErrorName | "Error"> {
+  name: N;
+  args: string[];
+  message: string;
+}
+
+export declare class LandContractError extends Error {
+  readonly errorName: ContractErrorName | "Error";
+  readonly args: string[];
+  readonly cause: unknown;
+}
+
+export declare function decodeError(error: unknown): DecodedError | null;
+
+export declare function abiHash(abi: unknown): string;
+
+export declare class LandClient {
+  constructor(addresses: ContractAddresses, runner: ContractRunner);
+
+  /** Échoue si une ABI du manifeste diffère de celle embarquée par le SDK. */
+  static fromManifest(manifest: DeploymentManifest, runner: ContractRunner): LandClient;
+
+  readonly runner: ContractRunner;
+  readonly registry: Contract;
+  readonly token: Contract;
+  readonly marketplace: Contract;
+  readonly shares: Contract;
+  readonly shareMarketplace: Contract;
+  readonly dividends: Contract;
+  readonly governance: Contract;
+  readonly compliance: Contract;
+  readonly crowdfunding: Contract;
+  readonly buyout: Contract;
+  readonly vesting: Contract;
+  readonly filters: ContractFilters;
+
+  readonly listings: {
+    page(options?: { offset?: BigNumberish; limit?: BigNumberish }): Promise<ListingsPage>;
+    get(tokenId: BigNumberish): Promise<Listing>;
+  };
+
+  registerLand(params: RegisterLandParams): Promise<{ landId: bigint; receipt: TransactionReceipt }>;
+  updateLand(landId: BigNumberish, params: LandFields): Promise<TransactionReceipt>;
+  resubmitLand(
+    landId: BigNumberish,
+    params: LandFields
+  ): Promise<{ round: bigint; receipt: TransactionReceipt }>;
+  withdrawLand(landId: BigNumberish): Promise<TransactionReceipt>;
+  requestTitleTransfer(landId: BigNumberish, newOwner: string): Promise<TransactionReceipt>;
+  approveTitleTransfer(landId: BigNumberish, cidDeed: string): Promise<TransactionReceipt>;
+  /** role : nom du rôle ou identifiant bytes32. */
+  hasRole(contractName: RoleContractName, role: RoleName | string, account: string): Promise<boolean>;
+  grantRole(contractName: RoleContractName, role: RoleName | string, account: string): Promise<TransactionReceipt>;
+  revokeRole(contractName: RoleContractName, role: RoleName | string, account: string): Promise<TransactionReceipt>;
+  sendTimelocked(contractName: RoleContractName, method: string, args?: unknown[]): Promise<TimelockedChange>;
+  getLand(landId: BigNumberish): Promise<Land>;
+  getApprovalPolicy(landId?: BigNumberish): Promise<Record<ValidatorType, number>>;
+  getValidators(type: ValidatorType): Promise<ValidatorInfo[]>;
+  getTokenMetadata(tokenId: BigNumberish): Promise<TokenMetadata>;
+  getTokensOfOwner(
+    owner: string,
+    options?: { landId?: BigNumberish; offset?: BigNumberish; limit?: BigNumberish }
+  ): Promise<TokensPage>;
+  getCapTable(
+    landId: BigNumberish,
+    options?: { offset?: BigNumberish; limit?: BigNumberish }
+  ): Promise<CapTablePage>;
+  tokenizeLandWithReserve(
+    landId: BigNumberish,
+    options: { reserve: BigNumberish; royaltyPercentage?: BigNumberish }
+  ): Promise<{ tokenIds: bigint[]; receipt: TransactionReceipt }>;
+  mint(
+    landId: BigNumberish,
+    options?: { quantity?: BigNumberish; value?: BigNumberish }
+  ): Promise<{ tokenIds: bigint[]; paid: bigint; receipt: TransactionReceipt }>;
+  mintShares(
+    landId: BigNumberish,
+    amount: BigNumberish,
+    options?: { value?: BigNumberish }
+  ): Promise<{ landId: bigint; amount: bigint; paid: bigint; receipt: TransactionReceipt }>;
+  createShareOrder(params: ShareOrderParams): Promise<{ orderId: bigint; receipt: TransactionReceipt }>;
+  fillShareOrder(
+    orderId: BigNumberish,
+    quantity?: BigNumberish
+  ): Promise<{ orderId: bigint; quantity: bigint; totalPrice: bigint; receipt: TransactionReceipt }>;
+  depositDividends(
+    landId: BigNumberish,
+    amount: BigNumberish
+  ): Promise<{ landId: bigint; amount: bigint; receipt: TransactionReceipt }>;
+  getPendingDividends(tokenId: BigNumberish): Promise<bigint>;
+  claimDividends(
+    tokenIds: BigNumberish | BigNumberish[]
+  ): Promise<{ amount: bigint; receipt: TransactionReceipt }>;
+  propose(params: ProposalParams): Promise<{ proposalId: bigint; receipt: TransactionReceipt }>;
+  vote(
+    proposalId: BigNumberish,
+    support: boolean
+  ): Promise<{ proposalId: bigint; support: boolean; weight: bigint; receipt: TransactionReceipt }>;
+  executeProposal(proposalId: BigNumberish): Promise<{ proposalId: bigint; receipt: TransactionReceipt }>;
+  getProposal(proposalId: BigNumberish): Promise<Proposal>;
+  setIdentity(
+    account: string,
+    identity: { jurisdiction?: number; expiresAt: BigNumberish }
+  ): Promise<TransactionReceipt>;
+  revokeIdentity(account: string): Promise<TransactionReceipt>;
+  getIdentity(account: string): Promise<Identity>;
+  setLandRules(landId: BigNumberish, rules?: Partial<LandRules>): Promise<TransactionReceipt>;
+  getLandRules(
+    landId: BigNumberish
+  ): Promise<{ landId: bigint; maxHolders: bigint; jurisdictions: number[]; holderCount: bigint }>;
+  canReceive(account: string, landId: BigNumberish): Promise<ComplianceCheck>;
+  forceTransfer(
+    tokenId: BigNumberish,
+    to: string,
+    reason: string
+  ): Promise<{ tokenId: bigint; from: string; to: string; receipt: TransactionReceipt }>;
+  openCampaign(
+    landId: BigNumberish,
+    campaign: CampaignParams
+  ): Promise<{ campaignId: bigint; landId: bigint; receipt: TransactionReceipt }>;
+  getCampaign(landId: BigNumberish): Promise<Campaign | null>;
+  refund(tokenIds: BigNumberish | BigNumberish[]): Promise<{ amount: bigint; receipt: TransactionReceipt }>;
+  openBuyout(
+    landId: BigNumberish,
+    buyout: BuyoutParams
+  ): Promise<{ buyoutId: bigint; landId: bigint; deposit: bigint; receipt: TransactionReceipt }>;
+  getBuyout(landId: BigNumberish): Promise<Buyout | null>;
+  redeem(tokenIds: BigNumberish | BigNumberish[]): Promise<{ amount: bigint; receipt: TransactionReceipt }>;
+  acquireTokens(tokenIds: BigNumberish | BigNumberish[]): Promise<{
+    holders: { tokenId: bigint; holder: string; amount: bigint }[];
+    receipt: TransactionReceipt;
+  }>;
+  completeBuyout(
+    landId: BigNumberish,
+    options?: { batchSize?: BigNumberish }
+  ): Promise<{ refund: bigint; receipt: TransactionReceipt }>;
+  closeBuyout(landId: BigNumberish): Promise<{ refund: bigint; receipt: TransactionReceipt }>;
+  setVestingSchedule(landId: BigNumberish, schedule: VestingScheduleParams): Promise<TransactionReceipt>;
+  getVesting(landId: BigNumberish, account: string): Promise<Vesting | null>;
+  list(
+    tokenId: BigNumberish,
+    price: BigNumberish
+  ): Promise<{ tokenId: bigint; price: bigint; receipt: TransactionReceipt }>;
+  buy(
+    tokenId: BigNumberish,
+    options?: { value?: BigNumberish }
+  ): Promise<{ tokenId: bigint; seller: string; price: bigint; receipt: TransactionReceipt }>;
+  /** currency : devise ERC-20 à retirer, ETH par défaut (LandBuyout ne verse que de l'ETH). */
+  withdrawPayments(options?: {
+    currency?: string;
+  }): Promise<Partial<Record<"LandToken" | "LandTokenMarketplace" | "LandBuyout", WithdrawnPayment>>>;
+
+  queryEvents<C extends ContractName, E extends keyof ContractEvents[C] & string>(
+    filter: TypedEventFilter<C, E>,
+    fromBlock?: BlockTag,
+    toBlock?: BlockTag
+  ): Promise<DecodedEvent<C, E>[]>;
+
+  decodeError(error: unknown): DecodedError | null;
+}
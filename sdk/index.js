@@ -0,0 +1,1072 @@
+// SDK JavaScript des contrats LandRegistry, LandToken, LandTokenMarketplace,
+// LandShares, LandShareMarketplace, LandDividends, LandGovernance, LandCompliance,
+// LandCrowdfunding, LandBuyout et LandVesting.
+// Les ABIs et types de generated/ sont produits par scripts/extract-abis.ts :
+// le SDK est versionné avec les contrats et régénéré à chaque changement d'ABI.
+
+const { Contract, Signature, ZeroAddress, id } = require("ethers");
+const { ABIS, ABI_HASHES, CONTRACT_NAMES } = require("./generated/contracts");
+const {
+  ERROR_MESSAGES,
+  LandContractError,
+  decodeError,
+  toContractError
+} = require("./errors");
+const { version: SDK_VERSION } = require("./package.json");
+
+// Correspondance avec les enums de LandRegistry
+const LAND_STATUS = ["EnAttente", "Valide", "Rejete"];
+const VALIDATOR_TYPES = ["Notaire", "Geometre", "ExpertJuridique"];
+// Correspondance avec l'enum LandShareMarketplace.OrderSide
+const SHARE_ORDER_SIDES = ["sell", "buy"];
+// Correspondance avec l'enum LandGovernance.ProposalState
+const PROPOSAL_STATES = ["active", "defeated", "succeeded", "executed"];
+// Correspondance avec l'enum LandCrowdfunding.CampaignStatus
+const CAMPAIGN_STATUSES = ["none", "active", "succeeded", "failed"];
+// Correspondance avec l'enum LandBuyout.BuyoutStatus
+const BUYOUT_STATUSES = ["none", "active", "acquirable", "expired", "completed", "closed"];
+// Fonctions ERC-20 et EIP-2612 utilisées pour payer dans la devise d'un terrain
+const ERC20_PERMIT_ABI = [
+  "function name() view returns (string)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1, string name, string version, uint256 chainId, address verifyingContract, bytes32, uint256[])"
+];
+// Durée de validité des autorisations permit signées par le SDK
+const PERMIT_VALIDITY = 3600;
+// Rôles d'administration (AccessRoles, et LandCompliance), par nom de constante
+const ROLES = Object.fromEntries(
+  ["PAUSER_ROLE", "FEE_MANAGER_ROLE", "VALIDATOR_ADMIN_ROLE", "RELAYER_ADMIN_ROLE", "TREASURER_ROLE", "COMPLIANCE_ROLE"]
+    .map((name) => [name, id(name)])
+);
+
+/**
+ * Client haut niveau des contrats du système de tokenisation.
+ *
+ * Les méthodes d'écriture attendent la confirmation de la transaction et
+ * lèvent une LandContractError lisible lorsque le contrat revert.
+ */
+class LandClient {
+  /**
+   * @param addresses { LandRegistry, LandToken, LandTokenMarketplace, LandShares, LandShareMarketplace,
+   *                    LandDividends, LandGovernance, LandCompliance, LandCrowdfunding,
+   *                    LandBuyout, LandVesting }
+   * @param runner Signer (écritures) ou provider (lectures seules) ethers v6.
+   */
+  constructor(addresses, runner) {
+    for (const name of CONTRACT_NAMES) {
+      if (!addresses || !addresses[name]) {
+        throw new Error(`Adresse manquante pour ${name}`);
+      }
+    }
+
+    this.runner = runner;
+    this.registry = new Contract(addresses.LandRegistry, ABIS.LandRegistry, runner);
+    this.token = new Contract(addresses.LandToken, ABIS.LandToken, runner);
+    this.marketplace = new Contract(addresses.LandTokenMarketplace, ABIS.LandTokenMarketplace, runner);
+    this.shares = new Contract(addresses.LandShares, ABIS.LandShares, runner);
+    this.shareMarketplace = new Contract(addresses.LandShareMarketplace, ABIS.LandShareMarketplace, runner);
+    this.dividends = new Contract(addresses.LandDividends, ABIS.LandDividends, runner);
+    this.governance = new Contract(addresses.LandGovernance, ABIS.LandGovernance, runner);
+    this.compliance = new Contract(addresses.LandCompliance, ABIS.LandCompliance, runner);
+    this.crowdfunding = new Contract(addresses.LandCrowdfunding, ABIS.LandCrowdfunding, runner);
+    this.buyout = new Contract(addresses.LandBuyout, ABIS.LandBuyout, runner);
+    this.vesting = new Contract(addresses.LandVesting, ABIS.LandVesting, runner);
+
+    this._contracts = {
+      LandRegistry: this.registry,
+      LandToken: this.token,
+      LandTokenMarketplace: this.marketplace,
+      LandShares: this.shares,
+      LandShareMarketplace: this.shareMarketplace,
+      LandDividends: this.dividends,
+      LandGovernance: this.governance,
+      LandCompliance: this.compliance,
+      LandCrowdfunding: this.crowdfunding,
+      LandBuyout: this.buyout,
+      LandVesting: this.vesting
+    };
+    this._interfaces = Object.values(this._contracts).map((c) => c.interface);
+
+    // Filtres d'événements : client.filters.LandToken.TokenMinted(landId)
+    this.filters = {};
+    for (const [name, contract] of Object.entries(this._contracts)) {
+      this.filters[name] = {};
+      contract.interface.forEachEvent((event) => {
+        this.filters[name][event.name] = (...args) =>
+          Object.assign(contract.filters[event.name](...args), { contractName: name });
+      });
+    }
+
+    this.listings = {
+      page: (options) => this._listingsPage(options),
+      get: (tokenId) => this._getListing(tokenId)
+    };
+  }
+
+  /**
+   * Crée un client à partir d'un manifeste deployments/<network>.json.
+   * Échoue si une ABI déployée diffère de celle embarquée par le SDK.
+   */
+  static fromManifest(manifest, runner) {
+    const addresses = {};
+    for (const name of CONTRACT_NAMES) {
+      const recorded = manifest.contracts && manifest.contracts[name];
+      if (!recorded) {
+        throw new Error(`${name} absent du manifeste ${manifest.network}`);
+      }
+      if (recorded.abiHash && recorded.abiHash !== ABI_HASHES[name]) {
+        throw new Error(
+          `L'ABI de ${name} déployée sur ${manifest.network} ne correspond pas au SDK ${SDK_VERSION}. ` +
+          "Régénérez le SDK avec npm run prepare-abis."
+        );
+      }
+      addresses[name] = recorded.address;
+    }
+    return new LandClient(addresses, runner);
+  }
+
+  /**
+   * Enregistre un terrain.
+   * @param land { location, surface, totalTokens, pricePerToken, cid, approvalPolicy?, currency? }
+   *        approvalPolicy : avis favorables requis par type, ex. { Notaire: 2, Geometre: 1 },
+   *        au moins aussi exigeante que la politique par défaut
+   *        currency : devise ERC-20 acceptée par le registre, dans les unités de laquelle
+   *        pricePerToken est exprimé (wei d'ETH par défaut)
+   * @returns { landId, receipt }
+   */
+  async registerLand({ location, surface, totalTokens, pricePerToken, cid, approvalPolicy, currency }) {
+    const options = approvalPolicy || currency;
+    const requiredApprovals = approvalPolicy
+      ? VALIDATOR_TYPES.map((type) => approvalPolicy[type] || 0)
+      : options && [...(await this.registry.getApprovalPolicy(0))];
+    const receipt = await this._send(() =>
+      options
+        ? this.registry.registerLandWithOptions(
+          location,
+          surface,
+          totalTokens,
+          pricePerToken,
+          cid,
+          currency || ZeroAddress,
+          requiredApprovals
+        )
+        : this.registry.registerLand(location, surface, totalTokens, pricePerToken, cid)
+    );
+    const [event] = this._parseLogs(receipt, this.registry, "LandRegistered");
+    return { landId: event.args.landId, receipt };
+  }
+
+  /**
+   * Modifie un terrain en attente de validation (propriétaire uniquement). Les avis
+   * déjà rendus sont écartés par un nouveau tour de validation.
+   * @param fields { location, surface, totalTokens, pricePerToken (wei), cid }
+   */
+  async updateLand(landId, { location, surface, totalTokens, pricePerToken, cid }) {
+    return this._send(() =>
+      this.registry.updateLand(landId, location, surface, totalTokens, pricePerToken, cid)
+    );
+  }
+
+  /**
+   * Soumet à nouveau un terrain rejeté avec des données corrigées.
+   * @param fields { location, surface, totalTokens, pricePerToken (wei), cid }
+   * @returns { round, receipt } round : numéro du nouveau tour de validation
+   */
+  async resubmitLand(landId, { location, surface, totalTokens, pricePerToken, cid }) {
+    const receipt = await this._send(() =>
+      this.registry.resubmitLand(landId, location, surface, totalTokens, pricePerToken, cid)
+    );
+    const [event] = this._parseLogs(receipt, this.registry, "LandResubmitted");
+    return { round: event.args.round, receipt };
+  }
+
+  /**
+   * Retire du registre un terrain non tokenisé (propriétaire uniquement).
+   */
+  async withdrawLand(landId) {
+    return this._send(() => this.registry.withdrawLand(landId));
+  }
+
+  /**
+   * Demande le transfert du titre d'un terrain, effectif après approbation d'un notaire.
+   */
+  async requestTitleTransfer(landId, newOwner) {
+    return this._send(() => this.registry.requestTitleTransfer(landId, newOwner));
+  }
+
+  /**
+   * Approuve le transfert de titre en attente (validateur notaire uniquement).
+   * @param cidDeed CID IPFS de l'acte de transfert
+   */
+  async approveTitleTransfer(landId, cidDeed) {
+    return this._send(() => this.registry.approveTitleTransfer(landId, cidDeed));
+  }
+
+  /**
+   * Politique d'approbation d'un terrain, ou politique par défaut si landId vaut 0.
+   * @returns { Notaire, Geometre, ExpertJuridique } avis favorables requis par type
+   */
+  async getApprovalPolicy(landId = 0) {
+    const required = await this._call(() => this.registry.getApprovalPolicy(landId));
+    return Object.fromEntries(VALIDATOR_TYPES.map((type, i) => [type, Number(required[i])]));
+  }
+
+  /**
+   * Liste les validateurs d'un type.
+   * @param type Libellé du type (Notaire, Geometre, ExpertJuridique)
+   * @returns [{ address, suspended }]
+   */
+  async getValidators(type) {
+    const index = VALIDATOR_TYPES.indexOf(type);
+    if (index < 0) throw new Error(`Type de validateur inconnu: ${type}`);
+
+    const addresses = await this._call(() => this.registry.getValidatorsByType(index));
+    return Promise.all(addresses.map(async (address) => ({
+      address,
+      suspended: await this.registry.suspendedValidators(address)
+    })));
+  }
+
+  /**
+   * Indique si un compte détient un rôle sur un contrat (le propriétaire les détient tous).
+   * @param contractName Nom du contrat (LandRegistry, LandToken, ...)
+   * @param role Nom du rôle (clé de ROLES) ou identifiant bytes32
+   */
+  async hasRole(contractName, role, account) {
+    return this._call(() => this._roleContract(contractName).hasRole(this._roleId(role), account));
+  }
+
+  /**
+   * Accorde un rôle sur un contrat (propriétaire du contrat uniquement).
+   */
+  async grantRole(contractName, role, account) {
+    return this._send(() => this._roleContract(contractName).grantRole(this._roleId(role), account));
+  }
+
+  /**
+   * Retire un rôle sur un contrat (propriétaire du contrat uniquement).
+   */
+  async revokeRole(contractName, role, account) {
+    return this._send(() => this._roleContract(contractName).revokeRole(this._roleId(role), account));
+  }
+
+  /**
+   * Envoie un changement soumis au timelock (frais, tokenizer, module déjà branché,
+   * délai) : le premier appel le met en file, le même appel relancé après eta l'applique.
+   * @param contractName Nom du contrat (LandRegistry, LandToken, ...)
+   * @param method Fonction appelée, ex. "setPlatformFeePercentage"
+   * @returns { applied: false, changeId, eta, receipt } si le changement est mis en file,
+   *          { applied: true, receipt } s'il est appliqué
+   */
+  async sendTimelocked(contractName, method, args = []) {
+    const contract = this._roleContract(contractName);
+    const receipt = await this._send(() => contract[method](...args));
+    const [queued] = this._parseLogs(receipt, contract, "ChangeQueued");
+    if (queued) {
+      return { applied: false, changeId: queued.args.changeId, eta: queued.args.eta, receipt };
+    }
+    return { applied: true, receipt };
+  }
+
+  /**
+   * Récupère un terrain sous forme d'objet nommé, le statut étant un libellé.
+   * @returns { landId, location, surface, owner, isRegistered, registrationDate, status,
+   *            totalTokens, availableTokens, pricePerToken, isTokenized, cid, currency }
+   *          currency : devise ERC-20 du prix, ou null pour l'ETH
+   */
+  async getLand(landId) {
+    const [details, currency] = await Promise.all([
+      this._call(() => this.registry.getAllLandDetails(landId)),
+      this._call(() => this.registry.landCurrencies(landId))
+    ]);
+    return {
+      landId: BigInt(landId),
+      location: details.location,
+      surface: details.surface,
+      owner: details.owner,
+      isRegistered: details.isRegistered,
+      registrationDate: details.registrationDate,
+      status: LAND_STATUS[Number(details.status)],
+      totalTokens: details.totalTokens,
+      availableTokens: details.availableTokens,
+      pricePerToken: details.pricePerToken,
+      isTokenized: details.isTokenized,
+      cid: details.cid,
+      currency: currency === ZeroAddress ? null : currency
+    };
+  }
+
+  /**
+   * Récupère les métadonnées JSON d'un token, générées sur la chaîne par tokenURI.
+   * @returns { name, description, image, external_url, attributes }
+   */
+  async getTokenMetadata(tokenId) {
+    const uri = await this._call(() => this.token.tokenURI(tokenId));
+    const prefix = "data:application/json;base64,";
+    if (!uri.startsWith(prefix)) {
+      throw new Error(`URI de métadonnées inattendue: ${uri}`);
+    }
+    return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+  }
+
+  /**
+   * Récupère une page des tokens d'un détenteur, ceux qu'il a mis en vente compris.
+   * @param options { landId, offset = 0, limit = 20 } ; landId limite la page à un terrain.
+   * @returns { total, offset, tokenIds }
+   */
+  async getTokensOfOwner(owner, { landId, offset = 0, limit = 20 } = {}) {
+    const [tokenIds, total] = await this._call(() =>
+      landId === undefined
+        ? this.token.getTokensOfOwner(owner, offset, limit)
+        : this.token.getTokensOfOwnerForLand(owner, landId, offset, limit)
+    );
+    return { total, offset: BigInt(offset), tokenIds: [...tokenIds] };
+  }
+
+  /**
+   * Récupère une page de la table de capitalisation d'un terrain. share est la part
+   * du détenteur dans le nombre total de tokens du terrain, en base 10000.
+   * @returns { total, offset, items: [{ holder, tokens, share }] }
+   */
+  async getCapTable(landId, { offset = 0, limit = 20 } = {}) {
+    const [holders, balances, shares, total] = await this._call(() =>
+      this.token.getCapTable(landId, offset, limit)
+    );
+    return {
+      total,
+      offset: BigInt(offset),
+      items: holders.map((holder, i) => ({ holder, tokens: balances[i], share: shares[i] }))
+    };
+  }
+
+  /**
+   * Tokenise un terrain du signer en lui mintant gratuitement une réserve de tokens,
+   * déduite des tokens disponibles.
+   * @param options { reserve : nombre de tokens réservés, royaltyPercentage = 0 : royalty
+   *        sur les reventes, en base 10000 }
+   * @returns { tokenIds, receipt }
+   */
+  async tokenizeLandWithReserve(landId, { reserve, royaltyPercentage = 0 }) {
+    const receipt = await this._send(() =>
+      this.token.tokenizeLandWithReserve(landId, royaltyPercentage, reserve)
+    );
+    const tokenIds = this._parseLogs(receipt, this.token, "TokenMinted")
+      .map((event) => event.args.tokenId);
+    return { tokenIds, receipt };
+  }
+
+  /**
+   * Achète des tokens d'un terrain tokenisé. Un terrain payable en devise ERC-20 est
+   * réglé avec l'autorisation existante du signer, ou à défaut avec une autorisation
+   * permit (EIP-2612) signée pour le prix exact.
+   * @param options { quantity = 1, value } ; value (ETH uniquement) vaut le prix calculé par défaut.
+   * @returns { tokenIds, paid, receipt }
+   */
+  async mint(landId, { quantity = 1, value } = {}) {
+    const [price, currency] = await Promise.all([
+      this._call(() => this.registry.calculateTokensPrice(landId, quantity)),
+      this._call(() => this.registry.landCurrencies(landId))
+    ]);
+    const single = BigInt(quantity) === 1n;
+
+    let paid = price;
+    let receipt;
+    if (currency === ZeroAddress) {
+      if (value !== undefined) paid = BigInt(value);
+      receipt = await this._send(() =>
+        single
+          ? this.token.mintToken(landId, { value: paid })
+          : this.token.mintMultipleTokens(landId, quantity, { value: paid })
+      );
+    } else {
+      const permit = await this._permitIfNeeded(currency, this.token, price);
+      receipt = await this._send(() => {
+        if (permit) {
+          return this.token.mintWithPermit(landId, quantity, permit.deadline, permit.v, permit.r, permit.s);
+        }
+        return single ? this.token.mintToken(landId) : this.token.mintMultipleTokens(landId, quantity);
+      });
+    }
+    const tokenIds = this._parseLogs(receipt, this.token, "TokenMinted")
+      .map((event) => event.args.tokenId);
+    return { tokenIds, paid, receipt };
+  }
+
+  /**
+   * Achète des parts fongibles d'un terrain tokenisé par LandShares.
+   * @param options { value } ; value vaut le prix calculé par défaut.
+   * @returns { landId, amount, paid, receipt }
+   */
+  async mintShares(landId, amount, { value } = {}) {
+    const paid = value !== undefined
+      ? BigInt(value)
+      : await this._call(() => this.registry.calculateTokensPrice(landId, amount));
+
+    const receipt = await this._send(() => this.shares.mintShares(landId, amount, { value: paid }));
+    return { landId: BigInt(landId), amount: BigInt(amount), paid, receipt };
+  }
+
+  /**
+   * Passe un ordre sur les parts d'un terrain. Un ordre de vente autorise le
+   * marketplace de parts si nécessaire ; un ordre d'achat envoie quantity * pricePerShare.
+   * @param order { side: "sell" | "buy", landId, quantity, pricePerShare }
+   * @returns { orderId, receipt }
+   */
+  async createShareOrder({ side, landId, quantity, pricePerShare }) {
+    let receipt;
+    if (side === "sell") {
+      await this._approveShareMarketplace();
+      receipt = await this._send(() =>
+        this.shareMarketplace.createSellOrder(landId, quantity, pricePerShare)
+      );
+    } else if (side === "buy") {
+      receipt = await this._send(() =>
+        this.shareMarketplace.createBuyOrder(landId, quantity, pricePerShare, {
+          value: BigInt(quantity) * BigInt(pricePerShare)
+        })
+      );
+    } else {
+      throw new Error(`Sens d'ordre inconnu: ${side}`);
+    }
+
+    const [event] = this._parseLogs(receipt, this.shareMarketplace, "OrderCreated");
+    return { orderId: event.args.orderId, receipt };
+  }
+
+  /**
+   * Exécute tout ou partie d'un ordre de parts (quantité restante par défaut).
+   * @returns { orderId, quantity, totalPrice, receipt }
+   */
+  async fillShareOrder(orderId, quantity) {
+    const order = await this._call(() => this.shareMarketplace.orders(orderId));
+    const filled = quantity !== undefined ? BigInt(quantity) : order.quantity;
+    const totalPrice = filled * order.pricePerShare;
+
+    let receipt;
+    if (SHARE_ORDER_SIDES[Number(order.side)] === "sell") {
+      receipt = await this._send(() =>
+        this.shareMarketplace.fillSellOrder(orderId, filled, { value: totalPrice })
+      );
+    } else {
+      await this._approveShareMarketplace();
+      receipt = await this._send(() => this.shareMarketplace.fillBuyOrder(orderId, filled));
+    }
+    return { orderId: BigInt(orderId), quantity: filled, totalPrice, receipt };
+  }
+
+  /**
+   * Dépose des revenus (loyers, dividendes) répartis entre les tokens mintés d'un terrain.
+   * @returns { landId, amount, receipt }
+   */
+  async depositDividends(landId, amount) {
+    const receipt = await this._send(() => this.dividends.deposit(landId, { value: amount }));
+    return { landId: BigInt(landId), amount: BigInt(amount), receipt };
+  }
+
+  /**
+   * Dividendes accumulés par un token et non encore réglés.
+   * @returns Montant en wei.
+   */
+  async getPendingDividends(tokenId) {
+    return this._call(() => this.dividends.pendingDividends(tokenId));
+  }
+
+  /**
+   * Réclame les dividendes de tokens détenus par le signer, ainsi que ceux
+   * crédités lors de ses transferts précédents.
+   * @param tokenIds ID de token ou liste d'IDs.
+   * @returns { amount, receipt }
+   */
+  async claimDividends(tokenIds) {
+    const ids = Array.isArray(tokenIds) ? tokenIds : [tokenIds];
+    const receipt = await this._send(() => this.dividends.claimBatch(ids));
+    const [event] = this._parseLogs(receipt, this.dividends, "DividendsClaimed");
+    return { amount: event.args.amount, receipt };
+  }
+
+  /**
+   * Propose aux détenteurs d'un terrain d'appeler une fonction autorisée, dont le
+   * premier argument (l'ID du terrain) est ajouté automatiquement.
+   * @param proposal { landId, contract: "LandRegistry" | "LandToken" | "LandGovernance", method, args, description }
+   * @returns { proposalId, receipt }
+   */
+  async propose({ landId, contract, method, args = [], description = "" }) {
+    const target = this._contracts[contract];
+    if (!target) {
+      throw new Error(`Contrat inconnu: ${contract}`);
+    }
+    const data = target.interface.encodeFunctionData(method, [landId, ...args]);
+    const receipt = await this._send(() =>
+      this.governance.propose(landId, target.target, data, description)
+    );
+    const [event] = this._parseLogs(receipt, this.governance, "ProposalCreated");
+    return { proposalId: event.args.proposalId, receipt };
+  }
+
+  /**
+   * Vote sur une proposition avec les voix détenues à son bloc de référence.
+   * @returns { proposalId, support, weight, receipt }
+   */
+  async vote(proposalId, support) {
+    const receipt = await this._send(() => this.governance.castVote(proposalId, support));
+    const [event] = this._parseLogs(receipt, this.governance, "VoteCast");
+    return { proposalId: BigInt(proposalId), support, weight: event.args.weight, receipt };
+  }
+
+  /**
+   * Exécute une proposition adoptée.
+   * @returns { proposalId, receipt }
+   */
+  async executeProposal(proposalId) {
+    const receipt = await this._send(() => this.governance.execute(proposalId));
+    return { proposalId: BigInt(proposalId), receipt };
+  }
+
+  /**
+   * Récupère une proposition, l'état étant un libellé.
+   * @returns { proposalId, landId, proposer, target, data, snapshotBlock, deadline,
+   *            quorumVotes, threshold, forVotes, againstVotes, state }
+   */
+  async getProposal(proposalId) {
+    const [proposal, state] = await Promise.all([
+      this._call(() => this.governance.proposals(proposalId)),
+      this._call(() => this.governance.state(proposalId))
+    ]);
+    return {
+      proposalId: BigInt(proposalId),
+      landId: proposal.landId,
+      proposer: proposal.proposer,
+      target: proposal.target,
+      data: proposal.data,
+      snapshotBlock: proposal.snapshotBlock,
+      deadline: proposal.deadline,
+      quorumVotes: proposal.quorumVotes,
+      threshold: proposal.threshold,
+      forVotes: proposal.forVotes,
+      againstVotes: proposal.againstVotes,
+      state: PROPOSAL_STATES[Number(state)]
+    };
+  }
+
+  /**
+   * Enregistre ou renouvelle l'identité vérifiée (KYC) d'un compte (rôle COMPLIANCE_ROLE).
+   * @param identity { jurisdiction: code de 0 à 255, expiresAt: timestamp de fin de validité }
+   */
+  async setIdentity(account, { jurisdiction = 0, expiresAt }) {
+    return this._send(() => this.compliance.setIdentity(account, jurisdiction, expiresAt));
+  }
+
+  /**
+   * Retire l'identité d'un compte, qui ne peut plus recevoir de tokens.
+   */
+  async revokeIdentity(account) {
+    return this._send(() => this.compliance.revokeIdentity(account));
+  }
+
+  /**
+   * Identité vérifiée d'un compte ; expiresAt vaut 0 si le compte n'est pas vérifié.
+   * @returns { account, jurisdiction, expiresAt }
+   */
+  async getIdentity(account) {
+    const identity = await this._call(() => this.compliance.identities(account));
+    return { account, jurisdiction: Number(identity.jurisdiction), expiresAt: identity.expiresAt };
+  }
+
+  /**
+   * Fixe les règles de conformité d'un terrain (rôle COMPLIANCE_ROLE).
+   * @param rules { maxHolders: 0 pour illimité, jurisdictions: codes autorisés ([] : tous) }
+   */
+  async setLandRules(landId, { maxHolders = 0, jurisdictions = [] } = {}) {
+    const mask = jurisdictions.reduce((bits, code) => bits | (1n << BigInt(code)), 0n);
+    return this._send(() => this.compliance.setLandRules(landId, maxHolders, mask));
+  }
+
+  /**
+   * Règles de conformité et nombre de détenteurs d'un terrain.
+   * @returns { landId, maxHolders, jurisdictions: codes autorisés ([] : tous), holderCount }
+   */
+  async getLandRules(landId) {
+    const [maxHolders, mask, holderCount] = await Promise.all([
+      this._call(() => this.compliance.maxHolders(landId)),
+      this._call(() => this.compliance.landJurisdictions(landId)),
+      this._call(() => this.compliance.holderCount(landId))
+    ]);
+    const jurisdictions = [];
+    for (let code = 0; code < 256; code++) {
+      if ((mask >> BigInt(code)) & 1n) jurisdictions.push(code);
+    }
+    return { landId: BigInt(landId), maxHolders, jurisdictions, holderCount };
+  }
+
+  /**
+   * Indique si un compte peut recevoir un token d'un terrain, et sinon pourquoi.
+   * @returns { allowed, reason } ; reason est l'erreur décodée du module de conformité.
+   */
+  async canReceive(account, landId) {
+    try {
+      await this._call(() => this.compliance.checkReceiver(account, landId));
+      return { allowed: true, reason: null };
+    } catch (error) {
+      if (!(error instanceof LandContractError)) throw error;
+      return { allowed: false, reason: { name: error.errorName, args: error.args, message: error.message } };
+    }
+  }
+
+  /**
+   * Transfère un token sans l'accord de son détenteur, sur décision de justice
+   * (rôle COMPLIANCE_ROLE). Le token ne doit pas être en vente.
+   * @returns { tokenId, from, to, receipt }
+   */
+  async forceTransfer(tokenId, to, reason) {
+    const receipt = await this._send(() => this.compliance.forceTransfer(tokenId, to, reason));
+    const [event] = this._parseLogs(receipt, this.compliance, "ForcedTransfer");
+    return { tokenId: BigInt(tokenId), from: event.args.from, to: event.args.to, receipt };
+  }
+
+  /**
+   * Ouvre la levée de fonds d'un terrain tokenisé dont aucun token n'a été vendu
+   * (propriétaire du terrain). Le produit des ventes reste en séquestre jusqu'à ce
+   * que softCap soit atteint.
+   * @param campaign { softCap : montant minimal dans la devise du terrain, deadline :
+   *        timestamp de fin, maxPerBuyer : tokens par acheteur, 0 pour illimité }
+   * @returns { campaignId, landId, receipt }
+   */
+  async openCampaign(landId, { softCap, deadline, maxPerBuyer = 0 }) {
+    const receipt = await this._send(() =>
+      this.crowdfunding.openCampaign(landId, softCap, deadline, maxPerBuyer)
+    );
+    const [event] = this._parseLogs(receipt, this.crowdfunding, "CampaignOpened");
+    return { campaignId: event.args.campaignId, landId: BigInt(landId), receipt };
+  }
+
+  /**
+   * Dernière levée de fonds d'un terrain, l'état étant un libellé ; null sans campagne.
+   * escrowed : produit des ventes encore en séquestre.
+   * @returns { campaignId, landId, softCap, deadline, maxPerBuyer, escrowed, status } | null
+   */
+  async getCampaign(landId) {
+    const campaignId = await this._call(() => this.crowdfunding.landCampaigns(landId));
+    if (campaignId === 0n) return null;
+
+    const [campaign, status, escrowed] = await Promise.all([
+      this._call(() => this.crowdfunding.campaigns(campaignId)),
+      this._call(() => this.crowdfunding.campaignStatus(landId)),
+      this._call(() => this.token.escrowedProceeds(landId))
+    ]);
+    return {
+      campaignId,
+      landId: BigInt(landId),
+      softCap: campaign.softCap,
+      deadline: campaign.deadline,
+      maxPerBuyer: Number(campaign.maxPerBuyer),
+      escrowed,
+      status: CAMPAIGN_STATUSES[Number(status)]
+    };
+  }
+
+  /**
+   * Brûle des tokens dont la levée de fonds a échoué : ceux du signer, ou les tokens
+   * vendus de ses terrains. Leur prix d'achat est crédité à leur détenteur sur
+   * LandToken, à retirer avec withdrawPayments (option currency pour un terrain
+   * payable en devise ERC-20).
+   * @param tokenIds ID de token ou liste d'IDs.
+   * @returns { amount, receipt }
+   */
+  async refund(tokenIds) {
+    const ids = Array.isArray(tokenIds) ? tokenIds : [tokenIds];
+    const receipt = await this._send(() => this.crowdfunding.refund(ids));
+    const amount = this._parseLogs(receipt, this.token, "TokenRefunded")
+      .reduce((total, event) => total + event.args.amount, 0n);
+    return { amount, receipt };
+  }
+
+  /**
+   * Ouvre une offre de rachat de tous les tokens d'un terrain. Le dépôt envoyé couvre
+   * le prix de chaque token que le signer ne détient pas directement.
+   * @param buyout { pricePerToken : prix offert en ETH, deadline : fin de la période de cession }
+   * @returns { buyoutId, landId, deposit, receipt }
+   */
+  async openBuyout(landId, { pricePerToken, deadline }) {
+    const account = await this.runner.getAddress();
+    const tokenIds = await this._call(() => this.token.getTokensByLand(landId));
+    const owners = await Promise.all(
+      tokenIds.map((tokenId) => this._call(() => this.token.ownerOf(tokenId)))
+    );
+    const outstanding = owners.filter((owner) => owner !== account).length;
+    const deposit = BigInt(pricePerToken) * BigInt(outstanding);
+
+    const receipt = await this._send(() =>
+      this.buyout.openBuyout(landId, pricePerToken, deadline, { value: deposit })
+    );
+    const [event] = this._parseLogs(receipt, this.buyout, "BuyoutOpened");
+    return { buyoutId: event.args.buyoutId, landId: BigInt(landId), deposit, receipt };
+  }
+
+  /**
+   * Dernière offre de rachat d'un terrain, l'état étant un libellé ; null sans offre.
+   * deposit : part du dépôt pas encore versée aux détenteurs.
+   * @returns { buyoutId, landId, bidder, pricePerToken, deadline, deposit, status } | null
+   */
+  async getBuyout(landId) {
+    const buyoutId = await this._call(() => this.buyout.landBuyouts(landId));
+    if (buyoutId === 0n) return null;
+
+    const [buyout, status] = await Promise.all([
+      this._call(() => this.buyout.buyouts(buyoutId)),
+      this._call(() => this.buyout.buyoutStatus(landId))
+    ]);
+    return {
+      buyoutId,
+      landId: BigInt(landId),
+      bidder: buyout.bidder,
+      pricePerToken: buyout.pricePerToken,
+      deadline: buyout.deadline,
+      deposit: buyout.deposit,
+      status: BUYOUT_STATUSES[Number(status)]
+    };
+  }
+
+  /**
+   * Cède des tokens du signer à l'acquéreur de leur terrain, au prix offert. Le
+   * montant est crédité sur LandBuyout, à retirer avec withdrawPayments.
+   * @param tokenIds ID de token ou liste d'IDs.
+   * @returns { amount, receipt }
+   */
+  async redeem(tokenIds) {
+    const ids = Array.isArray(tokenIds) ? tokenIds : [tokenIds];
+    const receipt = await this._send(() => this.buyout.redeem(ids));
+    const amount = this._parseLogs(receipt, this.buyout, "TokenRedeemed")
+      .reduce((total, event) => total + event.args.amount, 0n);
+    return { amount, receipt };
+  }
+
+  /**
+   * Rachète de force des tokens au prix offert (acquéreur, seuil de rachat atteint
+   * après la période de cession). Un token en vente est d'abord retiré du marketplace.
+   * @param tokenIds ID de token ou liste d'IDs.
+   * @returns { holders : [{ tokenId, holder, amount }], receipt }
+   */
+  async acquireTokens(tokenIds) {
+    const ids = Array.isArray(tokenIds) ? tokenIds : [tokenIds];
+    const receipt = await this._send(() => this.buyout.acquireTokens(ids));
+    const holders = this._parseLogs(receipt, this.buyout, "TokenAcquired").map((event) => ({
+      tokenId: event.args.tokenId,
+      holder: event.args.holder,
+      amount: event.args.amount
+    }));
+    return { holders, receipt };
+  }
+
+  /**
+   * Termine le rachat d'un terrain dont l'acquéreur détient tous les tokens : ils
+   * sont brûlés par lots de batchSize, une transaction par lot, puis le terrain est
+   * retiré du registre.
+   * @returns { refund : reste du dépôt crédité à l'acquéreur, receipt : dernière transaction }
+   */
+  async completeBuyout(landId, { batchSize = 100 } = {}) {
+    for (;;) {
+      const receipt = await this._send(() => this.buyout.completeBuyout(landId, batchSize));
+      const [event] = this._parseLogs(receipt, this.buyout, "BuyoutCompleted");
+      if (event) return { refund: event.args.refund, receipt };
+    }
+  }
+
+  /**
+   * Clôt une offre de rachat après sa date limite, sans retirer le terrain de la
+   * tokenisation.
+   * @returns { refund : reste du dépôt crédité à l'acquéreur, receipt }
+   */
+  async closeBuyout(landId) {
+    const receipt = await this._send(() => this.buyout.closeBuyout(landId));
+    const [event] = this._parseLogs(receipt, this.buyout, "BuyoutClosed");
+    return { refund: event.args.refund, receipt };
+  }
+
+  /**
+   * Fixe le calendrier de blocage d'un terrain dont aucun token n'a été minté
+   * (propriétaire du terrain) : les tokens mintés jusqu'à mintDeadline sont bloqués
+   * jusqu'à cliff, puis libérés linéairement jusqu'à vestingEnd.
+   * @param schedule { mintDeadline, cliff, vestingEnd } ; vestingEnd vaut cliff par défaut.
+   */
+  async setVestingSchedule(landId, { mintDeadline, cliff, vestingEnd = cliff }) {
+    return this._send(() => this.vesting.setSchedule(landId, mintDeadline, cliff, vestingEnd));
+  }
+
+  /**
+   * Calendrier de blocage d'un terrain et tokens bloqués d'un compte ; null sans calendrier.
+   * @returns { landId, mintDeadline, cliff, vestingEnd, vested, locked, transferable } | null
+   */
+  async getVesting(landId, account) {
+    const schedule = await this._call(() => this.vesting.schedules(landId));
+    if (schedule.vestingEnd === 0n) return null;
+
+    const [vested, locked, transferable] = await Promise.all([
+      this._call(() => this.vesting.vestedTokens(landId, account)),
+      this._call(() => this.vesting.lockedTokens(landId, account)),
+      this._call(() => this.vesting.transferableTokens(landId, account))
+    ]);
+    return {
+      landId: BigInt(landId),
+      mintDeadline: schedule.mintDeadline,
+      cliff: schedule.cliff,
+      vestingEnd: schedule.vestingEnd,
+      vested,
+      locked,
+      transferable
+    };
+  }
+
+  /**
+   * Met un token en vente, en autorisant le marketplace si nécessaire.
+   * @returns { tokenId, price, receipt }
+   */
+  async list(tokenId, price) {
+    const owner = await this.runner.getAddress();
+    const marketplaceAddress = await this.marketplace.getAddress();
+    const approved = await this.token.getApproved(tokenId);
+    const approvedForAll = await this.token.isApprovedForAll(owner, marketplaceAddress);
+    if (approved !== marketplaceAddress && !approvedForAll) {
+      await this._send(() => this.token.approve(marketplaceAddress, tokenId));
+    }
+
+    const receipt = await this._send(() => this.marketplace.listToken(tokenId, price));
+    return { tokenId: BigInt(tokenId), price: BigInt(price), receipt };
+  }
+
+  /**
+   * Achète un token listé, dans la devise de son terrain. En devise ERC-20, le
+   * marketplace est payé comme pour mint (autorisation existante ou permit).
+   * @param options { value } ; value (ETH uniquement) vaut le prix du listing par défaut.
+   * @returns { tokenId, seller, price, receipt }
+   */
+  async buy(tokenId, { value } = {}) {
+    const [listing, currency] = await Promise.all([
+      this._getListing(tokenId),
+      this._call(() => this.token.tokenCurrency(tokenId))
+    ]);
+
+    let receipt;
+    if (currency === ZeroAddress) {
+      receipt = await this._send(() =>
+        this.marketplace.buyToken(tokenId, { value: value !== undefined ? value : listing.price })
+      );
+    } else {
+      const permit = await this._permitIfNeeded(currency, this.marketplace, listing.price);
+      receipt = await this._send(() =>
+        permit
+          ? this.marketplace.buyTokenWithPermit(tokenId, permit.deadline, permit.v, permit.r, permit.s)
+          : this.marketplace.buyToken(tokenId)
+      );
+    }
+    return { tokenId: listing.tokenId, seller: listing.seller, price: listing.price, receipt };
+  }
+
+  /**
+   * Retire les montants crédités au signer par LandToken, le marketplace (ventes,
+   * royalties, enchères) et LandBuyout (rachats, en ETH seulement), en ETH ou dans
+   * une devise ERC-20.
+   * @param options { currency } ; adresse de la devise, ETH par défaut.
+   * @returns { LandToken?: { amount, receipt }, LandTokenMarketplace?: { amount, receipt },
+   *            LandBuyout?: { amount, receipt } } pour chaque contrat où un montant était dû
+   */
+  async withdrawPayments({ currency } = {}) {
+    const account = await this.runner.getAddress();
+    const withdrawn = {};
+    const names = ["LandToken", "LandTokenMarketplace"];
+    if (!currency) names.push("LandBuyout");
+    for (const name of names) {
+      const contract = this._contracts[name];
+      const amount = await this._call(() =>
+        currency ? contract.currencyPayments(currency, account) : contract.payments(account)
+      );
+      if (amount === 0n) continue;
+
+      const receipt = await this._send(() =>
+        currency ? contract.withdrawCurrencyPayments(currency) : contract.withdrawPayments()
+      );
+      withdrawn[name] = { amount, receipt };
+    }
+    return withdrawn;
+  }
+
+  /**
+   * Récupère les événements correspondant à un filtre de client.filters.
+   * @returns [{ name, args (objet nommé), blockNumber, transactionHash, logIndex }]
+   */
+  async queryEvents(filter, fromBlock = 0, toBlock = "latest") {
+    const contract = this._contracts[filter.contractName];
+    if (!contract) {
+      throw new Error("Filtre inconnu : utilisez client.filters");
+    }
+    const events = await contract.queryFilter(filter, fromBlock, toBlock);
+    return events.map((event) => ({
+      name: event.eventName,
+      args: event.fragment.inputs.reduce((args, input, i) => {
+        args[input.name] = event.args[i];
+        return args;
+      }, {}),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.index
+    }));
+  }
+
+  /**
+   * Décode une erreur levée par l'un des contrats.
+   * @returns { name, args, message } ou null.
+   */
+  decodeError(error) {
+    return decodeError(error, this._interfaces);
+  }
+
+  async _listingsPage({ offset = 0, limit = 20 } = {}) {
+    const [total, tokenIds] = await Promise.all([
+      this._call(() => this.marketplace.getActiveListingsCount()),
+      this._call(() => this.marketplace.getActiveListingsPage(offset, limit))
+    ]);
+    const ids = [...tokenIds];
+    const items = [];
+    if (ids.length > 0) {
+      const details = await this._call(() => this.marketplace.getMultipleListingDetails(ids));
+      ids.forEach((tokenId, i) => {
+        items.push({
+          tokenId,
+          price: details.prices[i],
+          seller: details.sellers[i],
+          isActive: details.isActives[i],
+          listedAt: details.timestamps[i],
+          expiresAt: details.expirations[i]
+        });
+      });
+    }
+    return { total, offset: BigInt(offset), items };
+  }
+
+  async _getListing(tokenId) {
+    const [listing, listedAt, expiresAt] = await Promise.all([
+      this._call(() => this.marketplace.listings(tokenId)),
+      this._call(() => this.marketplace.listingTimestamps(tokenId)),
+      this._call(() => this.marketplace.listingExpirations(tokenId))
+    ]);
+    return {
+      tokenId: BigInt(tokenId),
+      price: listing.price,
+      seller: listing.seller,
+      isActive: listing.isActive,
+      listedAt,
+      expiresAt
+    };
+  }
+
+  _roleContract(contractName) {
+    const contract = this._contracts[contractName];
+    if (!contract || !contract.interface.getFunction("grantRole")) {
+      throw new Error(`${contractName} n'est pas administré par rôles`);
+    }
+    return contract;
+  }
+
+  _roleId(role) {
+    if (ROLES[role]) return ROLES[role];
+    if (/^0x[0-9a-fA-F]{64}$/.test(role)) return role;
+    throw new Error(`Rôle inconnu: ${role}`);
+  }
+
+  /**
+   * Signe une autorisation permit (EIP-2612) du montant au profit de spender, sauf
+   * si l'autorisation existante du signer le couvre déjà.
+   * @returns { deadline, v, r, s } ou null.
+   */
+  async _permitIfNeeded(currency, spender, amount) {
+    const owner = await this.runner.getAddress();
+    const spenderAddress = await spender.getAddress();
+    const erc20 = new Contract(currency, ERC20_PERMIT_ABI, this.runner);
+    if ((await this._call(() => erc20.allowance(owner, spenderAddress))) >= amount) {
+      return null;
+    }
+
+    const [{ chainId }, block, nonce] = await Promise.all([
+      this.runner.provider.getNetwork(),
+      this.runner.provider.getBlock("latest"),
+      this._call(() => erc20.nonces(owner))
+    ]);
+    // Domaine ERC-5267 si la devise l'expose, sinon nom du token et version "1"
+    let domain;
+    try {
+      const exposed = await erc20.eip712Domain();
+      domain = { name: exposed.name, version: exposed.version, chainId, verifyingContract: currency };
+    } catch {
+      domain = { name: await erc20.name(), version: "1", chainId, verifyingContract: currency };
+    }
+
+    const deadline = block.timestamp + PERMIT_VALIDITY;
+    const signature = await this.runner.signTypedData(
+      domain,
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      },
+      { owner, spender: spenderAddress, value: amount, nonce, deadline }
+    );
+    const { v, r, s } = Signature.from(signature);
+    return { deadline, v, r, s };
+  }
+
+  async _approveShareMarketplace() {
+    const owner = await this.runner.getAddress();
+    const marketplaceAddress = await this.shareMarketplace.getAddress();
+    if (!(await this.shares.isApprovedForAll(owner, marketplaceAddress))) {
+      await this._send(() => this.shares.setApprovalForAll(marketplaceAddress, true));
+    }
+  }
+
+  _parseLogs(receipt, contract, eventName) {
+    const address = contract.target.toLowerCase();
+    return receipt.logs
+      .filter((log) => log.address.toLowerCase() === address)
+      .map((log) => contract.interface.parseLog(log))
+      .filter((parsed) => parsed && parsed.name === eventName);
+  }
+
+  async _send(txFactory) {
+    try {
+      const tx = await txFactory();
+      return await tx.wait();
+    } catch (error) {
+      throw toContractError(error, this._interfaces);
+    }
+  }
+
+  async _call(callFactory) {
+    try {
+      return await callFactory();
+    } catch (error) {
+      throw toContractError(error, this._interfaces);
+    }
+  }
+}
+
+module.exports = {
+  SDK_VERSION,
+  ABIS,
+  ABI_HASHES,
+  CONTRACT_NAMES,
+  LAND_STATUS,
+  VALIDATOR_TYPES,
+  SHARE_ORDER_SIDES,
+  PROPOSAL_STATES,
+  CAMPAIGN_STATUSES,
+  BUYOUT_STATUSES,
+  ROLES,
+  ERROR_MESSAGES,
+  LandClient,
+  LandContractError,
+  decodeError,
+  abiHash: (abi) => id(JSON.stringify(abi))
+};
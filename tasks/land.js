@@ -0,0 +1,1624 @@
+// Tâches hardhat pilotant le cycle de vie complet d'un terrain :
+// enregistrement, validation, tokenisation, mint, marketplace (NFT ou parts fongibles),
+// dividendes, gouvernance, conformité, levées de fonds, rachats, blocage des tokens
+// (lock-up et vesting) et table de capitalisation.
+// Les montants d'un terrain payable en devise ERC-20 s'expriment dans les unités de cette
+// devise ; les rachats se règlent en ETH.
+//
+// Exemple : npx hardhat register-land --location Paris --surface 1500 \
+//             --tokens 10 --price 0.5 --cid Qm... --from 1 --network localhost
+
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { VALIDATOR_TYPES, parseValidatorType } = require("../scripts/lib/deployments");
+const { signValidationAttestation, signPermit } = require("../scripts/signatures");
+const {
+  PLUGIN_NAME,
+  STATUS_LABELS,
+  getContracts,
+  resolveSigner,
+  sendTransaction,
+  callView,
+  printResult,
+  txSummary,
+  timelockStatus
+} = require("./utils");
+
+/**
+ * Déclare une tâche avec les options communes --from, --json et --deployments.
+ */
+function landTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("from", "Index ou adresse du compte signataire", undefined, types.string)
+    .addOptionalParam("deployments", "Dossier des manifestes de déploiement", undefined, types.string)
+    .addFlag("json", "Affiche le résultat au format JSON");
+}
+
+/**
+ * Prépare le signer et les contrats connectés pour une tâche.
+ */
+async function setup(args, hre) {
+  const signer = await resolveSigner(hre, args.from);
+  const contracts = await getContracts(hre, signer, args.deployments);
+  return { signer, contracts };
+}
+
+function parseEther(hre, value, label) {
+  try {
+    return hre.ethers.parseEther(value);
+  } catch {
+    throw new HardhatPluginError(PLUGIN_NAME, `Montant ${label} invalide: ${value}`);
+  }
+}
+
+/**
+ * Liste d'IDs de tokens séparés par des virgules ("" : aucun).
+ */
+function parseTokenIds(value) {
+  if (value === "") return [];
+  return value.split(",").map((id) => {
+    if (!/^\d+$/.test(id.trim())) {
+      throw new HardhatPluginError(PLUGIN_NAME, `ID de token invalide: ${id}`);
+    }
+    return BigInt(id.trim());
+  });
+}
+
+/**
+ * Devise de paiement : null pour l'ETH, sinon { token, symbol, decimals }.
+ */
+async function loadCurrency(hre, signer, address) {
+  if (address === hre.ethers.ZeroAddress) return null;
+  const token = await hre.ethers.getContractAt("ERC20Permit", address, signer);
+  return { token, symbol: await token.symbol(), decimals: Number(await token.decimals()) };
+}
+
+function parseAmount(hre, value, label, currency) {
+  if (!currency) return parseEther(hre, value, label);
+  try {
+    return hre.ethers.parseUnits(value, currency.decimals);
+  } catch {
+    throw new HardhatPluginError(PLUGIN_NAME, `Montant ${label} invalide: ${value}`);
+  }
+}
+
+function formatAmount(hre, amount, currency) {
+  return currency
+    ? `${hre.ethers.formatUnits(amount, currency.decimals)} ${currency.symbol}`
+    : `${hre.ethers.formatEther(amount)} ETH`;
+}
+
+/**
+ * Signe une autorisation permit du montant au profit de spender, sauf si
+ * l'autorisation existante du signer le couvre déjà.
+ * @returns { deadline, v, r, s } ou null.
+ */
+async function permitIfNeeded(hre, signer, currency, spender, amount) {
+  if ((await currency.token.allowance(signer.address, spender.target)) >= amount) {
+    return null;
+  }
+  const latest = await hre.ethers.provider.getBlock("latest");
+  return signPermit(signer, currency.token, {
+    spender: spender.target,
+    value: amount,
+    deadline: latest.timestamp + 3600
+  });
+}
+
+/**
+ * Formate une part en base 10000 (2500 -> "25.00 %").
+ */
+function formatShare(share) {
+  return `${(Number(share) / 100).toFixed(2)} %`;
+}
+
+/**
+ * Autorise le marketplace de parts à transférer les parts du signer si nécessaire.
+ */
+async function approveShareMarketplace(contracts, signer) {
+  const { landShares, shareMarketplace } = contracts;
+  if (!(await landShares.isApprovedForAll(signer.address, shareMarketplace.target))) {
+    await sendTransaction(contracts, () => landShares.setApprovalForAll(shareMarketplace.target, true));
+  }
+}
+
+landTask("register-land", "Enregistre un nouveau terrain")
+  .addParam("location", "Localisation du terrain")
+  .addParam("surface", "Surface en m²", undefined, types.int)
+  .addParam("tokens", "Nombre total de tokens", undefined, types.int)
+  .addParam("price", "Prix par token, en ETH ou dans la devise --currency")
+  .addParam("cid", "CID IPFS des documents du terrain")
+  .addOptionalParam("currency", "Devise ERC-20 de paiement acceptée par le registre (ETH par défaut)", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { landRegistry } = contracts;
+    const currency = args.currency ? await loadCurrency(hre, signer, args.currency) : null;
+    const price = parseAmount(hre, args.price, "du prix", currency);
+    const approvalPolicy = currency && [...(await landRegistry.getApprovalPolicy(0))];
+
+    const receipt = await sendTransaction(contracts, () =>
+      currency
+        ? landRegistry.registerLandWithOptions(
+          args.location,
+          args.surface,
+          args.tokens,
+          price,
+          args.cid,
+          args.currency,
+          approvalPolicy
+        )
+        : landRegistry.registerLand(args.location, args.surface, args.tokens, price, args.cid)
+    );
+
+    const event = receipt.logs
+      .map((log) => landRegistry.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "LandRegistered");
+    const landId = event.args.landId;
+
+    const lines = [`Terrain ${landId} enregistré par ${signer.address} (tx ${receipt.hash})`];
+    if (currency) {
+      lines.push(`Payable en ${currency.symbol} (${args.currency})`);
+    }
+    return printResult(
+      { landId, owner: signer.address, currency: args.currency || null, ...txSummary(receipt) },
+      args.json,
+      lines
+    );
+  });
+
+landTask("update-land", "Corrige un terrain en attente, ou soumet à nouveau un terrain rejeté")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addParam("location", "Localisation du terrain")
+  .addParam("surface", "Surface en m²", undefined, types.int)
+  .addParam("tokens", "Nombre total de tokens", undefined, types.int)
+  .addParam("price", "Prix par token en ETH")
+  .addParam("cid", "CID IPFS des documents du terrain")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { landRegistry } = contracts;
+
+    const details = await callView(contracts, () => landRegistry.getAllLandDetails(args.land));
+    const resubmit = STATUS_LABELS[Number(details.status)] === "Rejete";
+    const method = resubmit ? "resubmitLand" : "updateLand";
+
+    const receipt = await sendTransaction(contracts, () =>
+      landRegistry[method](
+        args.land,
+        args.location,
+        args.surface,
+        args.tokens,
+        parseEther(hre, args.price, "du prix"),
+        args.cid
+      )
+    );
+    const round = await landRegistry.validationRounds(args.land);
+
+    return printResult(
+      { landId: args.land, resubmitted: resubmit, round, ...txSummary(receipt) },
+      args.json,
+      [`Terrain ${args.land} ${resubmit ? "soumis à nouveau" : "modifié"} (tour de validation ${round})`]
+    );
+  });
+
+landTask("withdraw-land", "Retire du registre un terrain non tokenisé")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.landRegistry.withdrawLand(args.land)
+    );
+
+    return printResult(
+      { landId: args.land, ...txSummary(receipt) },
+      args.json,
+      [`Terrain ${args.land} retiré du registre`]
+    );
+  });
+
+landTask("transfer-title", "Demande le transfert du titre d'un terrain (approbation d'un notaire requise)")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addOptionalParam("to", "Futur propriétaire", undefined, types.string)
+  .addFlag("cancel", "Annule la demande en cours")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { landRegistry } = contracts;
+    if (!args.cancel && !args.to) {
+      throw new HardhatPluginError(PLUGIN_NAME, "Indiquez --to ou --cancel");
+    }
+
+    const receipt = await sendTransaction(contracts, () =>
+      args.cancel
+        ? landRegistry.cancelTitleTransfer(args.land)
+        : landRegistry.requestTitleTransfer(args.land, args.to)
+    );
+
+    return printResult(
+      { landId: args.land, to: args.cancel ? null : args.to, ...txSummary(receipt) },
+      args.json,
+      [args.cancel
+        ? `Transfert du titre du terrain ${args.land} annulé`
+        : `Transfert du titre du terrain ${args.land} vers ${args.to} en attente d'un notaire`]
+    );
+  });
+
+landTask("approve-title", "Approuve un transfert de titre en attente (validateur notaire)")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addParam("cid", "CID IPFS de l'acte de transfert")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { landRegistry } = contracts;
+
+    const receipt = await sendTransaction(contracts, () =>
+      landRegistry.approveTitleTransfer(args.land, args.cid)
+    );
+    const owner = await landRegistry.getLandOwner(args.land);
+
+    return printResult(
+      { landId: args.land, owner, ...txSummary(receipt) },
+      args.json,
+      [`Titre du terrain ${args.land} transféré à ${owner}`]
+    );
+  });
+
+landTask("add-validator", "Ajoute un validateur (Notaire, Geometre ou ExpertJuridique)")
+  .addParam("address", "Adresse du validateur")
+  .addParam("type", "Type de validateur (nom ou index)")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const type = parseValidatorType(/^\d+$/.test(args.type) ? Number(args.type) : args.type);
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.landRegistry.addValidator(args.address, type)
+    );
+
+    return printResult(
+      { validator: args.address, type: VALIDATOR_TYPES[type], ...txSummary(receipt) },
+      args.json,
+      [`Validateur ${args.address} ajouté (${VALIDATOR_TYPES[type]})`]
+    );
+  });
+
+landTask("remove-validator", "Retire un validateur ; ses avis passés restent dans l'historique")
+  .addParam("address", "Adresse du validateur")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.landRegistry.removeValidator(args.address)
+    );
+
+    return printResult(
+      { validator: args.address, ...txSummary(receipt) },
+      args.json,
+      [`Validateur ${args.address} retiré`]
+    );
+  });
+
+landTask("suspend-validator", "Suspend un validateur, ou lève sa suspension avec --reinstate")
+  .addParam("address", "Adresse du validateur")
+  .addFlag("reinstate", "Lève la suspension")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { landRegistry } = contracts;
+
+    const receipt = await sendTransaction(contracts, () =>
+      args.reinstate
+        ? landRegistry.reinstateValidator(args.address)
+        : landRegistry.suspendValidator(args.address)
+    );
+
+    return printResult(
+      { validator: args.address, suspended: !args.reinstate, ...txSummary(receipt) },
+      args.json,
+      [`Validateur ${args.address} ${args.reinstate ? "réintégré" : "suspendu"}`]
+    );
+  });
+
+landTask("set-approval-policy", "Fixe les avis favorables requis par type pour les prochains terrains")
+  .addOptionalParam("notaire", "Avis de notaires requis", 0, types.int)
+  .addOptionalParam("geometre", "Avis de géomètres requis", 0, types.int)
+  .addOptionalParam("expert", "Avis d'experts juridiques requis", 0, types.int)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const policy = [args.notaire, args.geometre, args.expert];
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.landRegistry.setApprovalPolicy(policy)
+    );
+
+    const requiredApprovals = Object.fromEntries(VALIDATOR_TYPES.map((type, i) => [type, policy[i]]));
+    return printResult(
+      { requiredApprovals, ...txSummary(receipt) },
+      args.json,
+      [`Politique d'approbation : ${VALIDATOR_TYPES.map((type, i) => `${policy[i]} ${type}`).join(", ")}`]
+    );
+  });
+
+landTask("set-payment-token", "Accepte une devise ERC-20 pour le prix des terrains, ou la retire avec --revoke")
+  .addParam("token", "Adresse de la devise ERC-20")
+  .addFlag("revoke", "Retire la devise pour les prochains terrains")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.landRegistry.setPaymentToken(args.token, !args.revoke)
+    );
+
+    return printResult(
+      { token: args.token, allowed: !args.revoke, ...txSummary(receipt) },
+      args.json,
+      [args.revoke
+        ? `Devise ${args.token} retirée (les terrains déjà enregistrés la conservent)`
+        : `Devise ${args.token} acceptée pour le prix des terrains`]
+    );
+  });
+
+landTask("validators", "Liste les validateurs enregistrés par type")
+  .addOptionalParam("type", "Type de validateur (nom ou index)", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { landRegistry } = contracts;
+    const typeIndexes = args.type === undefined
+      ? VALIDATOR_TYPES.map((type, i) => i)
+      : [parseValidatorType(/^\d+$/.test(args.type) ? Number(args.type) : args.type)];
+
+    const validators = [];
+    for (const type of typeIndexes) {
+      for (const address of await landRegistry.getValidatorsByType(type)) {
+        validators.push({
+          address,
+          type: VALIDATOR_TYPES[type],
+          suspended: await landRegistry.suspendedValidators(address)
+        });
+      }
+    }
+
+    return printResult(
+      validators,
+      args.json,
+      validators.map((v) => `${v.type} ${v.address}${v.suspended ? " (suspendu)" : ""}`)
+    );
+  });
+
+landTask("validate", "Valide ou rejette un terrain")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addParam("cid", "CID IPFS des commentaires du validateur")
+  .addFlag("reject", "Rejette le terrain au lieu de le valider")
+  .addOptionalParam(
+    "validator",
+    "Index ou adresse du validateur qui signe l'attestation, soumise par --from en tant que relayer",
+    undefined,
+    types.string
+  )
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { landRegistry } = contracts;
+    const isValid = !args.reject;
+
+    let validatorAddress = signer.address;
+    let receipt;
+    if (args.validator !== undefined) {
+      const validator = await resolveSigner(hre, args.validator);
+      validatorAddress = validator.address;
+
+      const block = await hre.ethers.provider.getBlock("latest");
+      const deadline = block.timestamp + 3600;
+      const { signature } = await signValidationAttestation(validator, landRegistry, {
+        landId: args.land,
+        cidComments: args.cid,
+        isValid,
+        deadline
+      });
+
+      receipt = await sendTransaction(contracts, () =>
+        landRegistry.validateLandWithSignature(
+          args.land,
+          args.cid,
+          isValid,
+          validatorAddress,
+          deadline,
+          signature
+        )
+      );
+    } else {
+      receipt = await sendTransaction(contracts, () =>
+        landRegistry.validateLand(args.land, args.cid, isValid)
+      );
+    }
+
+    const [, status] = await landRegistry.getLandDetails(args.land);
+    const statusLabel = STATUS_LABELS[Number(status)];
+
+    return printResult(
+      {
+        landId: args.land,
+        validator: validatorAddress,
+        isValid,
+        status: statusLabel,
+        ...txSummary(receipt)
+      },
+      args.json,
+      [
+        `Terrain ${args.land} ${isValid ? "validé" : "rejeté"} par ${validatorAddress}`,
+        `Statut actuel: ${statusLabel}`
+      ]
+    );
+  });
+
+landTask("tokenize", "Tokenise un terrain validé")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addOptionalParam("royalty", "Royalty sur les reventes en base 10000 (propriétaire du terrain uniquement)", undefined, types.int)
+  .addOptionalParam("reserve", "Tokens mintés gratuitement au propriétaire du terrain (propriétaire uniquement)", undefined, types.int)
+  .addFlag("shares", "Tokenise en parts fongibles ERC-1155 (LandShares) au lieu de NFT")
+  .setAction(async (args, hre) => {
+    if (args.shares && args.reserve !== undefined) {
+      throw new HardhatPluginError(PLUGIN_NAME, "--reserve n'est pas disponible avec --shares");
+    }
+    const { contracts } = await setup(args, hre);
+    const { landToken, landShares } = contracts;
+
+    const receipt = await sendTransaction(contracts, () => {
+      if (args.shares) {
+        return args.royalty !== undefined
+          ? landShares.tokenizeLandWithRoyalty(args.land, args.royalty)
+          : landShares.tokenizeLand(args.land);
+      }
+      if (args.reserve !== undefined) {
+        return landToken.tokenizeLandWithReserve(args.land, args.royalty || 0, args.reserve);
+      }
+      return args.royalty !== undefined
+        ? landToken.tokenizeLandWithRoyalty(args.land, args.royalty)
+        : landToken.tokenizeLand(args.land);
+    });
+
+    const lines = [`Terrain ${args.land} tokenisé${args.shares ? " en parts fongibles" : ""}`];
+    if (args.royalty !== undefined) {
+      lines.push(`Royalty sur les reventes: ${args.royalty / 100}%`);
+    }
+    if (args.reserve !== undefined) {
+      lines.push(`Réserve du propriétaire: ${args.reserve} token(s) mintés gratuitement`);
+    }
+    return printResult(
+      {
+        landId: args.land,
+        shares: args.shares,
+        royalty: args.royalty || 0,
+        reserve: args.reserve || 0,
+        ...txSummary(receipt)
+      },
+      args.json,
+      lines
+    );
+  });
+
+landTask("set-vesting", "Bloque les tokens mintés pendant la fenêtre d'émission d'un terrain, avant son premier mint (propriétaire du terrain)")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addParam("mintDays", "Durée de la fenêtre d'émission en jours", undefined, types.int)
+  .addParam("cliffDays", "Durée du blocage en jours, à partir de maintenant", undefined, types.int)
+  .addOptionalParam("vestingDays", "Durée de la libération linéaire en jours après le déblocage", 0, types.int)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { vesting } = contracts;
+
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const mintDeadline = latest.timestamp + args.mintDays * 24 * 3600;
+    const cliff = latest.timestamp + args.cliffDays * 24 * 3600;
+    const vestingEnd = cliff + args.vestingDays * 24 * 3600;
+    const receipt = await sendTransaction(contracts, () =>
+      vesting.setSchedule(args.land, mintDeadline, cliff, vestingEnd)
+    );
+
+    return printResult(
+      { landId: args.land, mintDeadline, cliff, vestingEnd, ...txSummary(receipt) },
+      args.json,
+      [
+        `Blocage fixé pour le terrain ${args.land}: tokens mintés avant le ${formatDate(mintDeadline)} ` +
+        `bloqués jusqu'au ${formatDate(cliff)}`,
+        args.vestingDays === 0
+          ? "Déblocage en une fois"
+          : `Libération linéaire jusqu'au ${formatDate(vestingEnd)}`
+      ]
+    );
+  });
+
+landTask("mint", "Achète des tokens d'un terrain tokenisé")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addOptionalParam("quantity", "Nombre de tokens", 1, types.int)
+  .addOptionalParam("value", "Montant envoyé en ETH (prix calculé par défaut)", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { landRegistry, landToken } = contracts;
+    const currency = await loadCurrency(hre, signer, await landRegistry.landCurrencies(args.land));
+    if (currency && args.value !== undefined) {
+      throw new HardhatPluginError(PLUGIN_NAME, "--value n'est disponible que pour un terrain payable en ETH");
+    }
+
+    const value = args.value !== undefined
+      ? parseEther(hre, args.value, "envoyé")
+      : await callView(contracts, () =>
+        landRegistry.calculateTokensPrice(args.land, args.quantity)
+      );
+
+    // En devise ERC-20, le prix est prélevé avec une autorisation permit si nécessaire
+    const permit = currency && await permitIfNeeded(hre, signer, currency, landToken, value);
+    const payment = currency ? {} : { value };
+    const receipt = await sendTransaction(contracts, () => {
+      if (permit) {
+        return landToken.mintWithPermit(args.land, args.quantity, permit.deadline, permit.v, permit.r, permit.s);
+      }
+      return args.quantity === 1
+        ? landToken.mintToken(args.land, payment)
+        : landToken.mintMultipleTokens(args.land, args.quantity, payment);
+    });
+
+    const tokenIds = receipt.logs
+      .map((log) => landToken.interface.parseLog(log))
+      .filter((parsed) => parsed && parsed.name === "TokenMinted")
+      .map((parsed) => parsed.args.tokenId);
+
+    return printResult(
+      { landId: args.land, owner: signer.address, tokenIds, paid: value, ...txSummary(receipt) },
+      args.json,
+      [
+        `${tokenIds.length} token(s) minté(s) pour ${signer.address}: ${tokenIds.join(", ")}`,
+        `Montant payé: ${formatAmount(hre, value, currency)}`
+      ]
+    );
+  });
+
+landTask("mint-shares", "Achète des parts fongibles d'un terrain tokenisé avec --shares")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addParam("amount", "Nombre de parts", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { landRegistry, landShares } = contracts;
+
+    const value = await callView(contracts, () =>
+      landRegistry.calculateTokensPrice(args.land, args.amount)
+    );
+    const receipt = await sendTransaction(contracts, () =>
+      landShares.mintShares(args.land, args.amount, { value })
+    );
+    const balance = await landShares.balanceOf(signer.address, args.land);
+
+    return printResult(
+      { landId: args.land, owner: signer.address, amount: args.amount, paid: value, balance, ...txSummary(receipt) },
+      args.json,
+      [
+        `${args.amount} part(s) du terrain ${args.land} achetée(s) par ${signer.address}`,
+        `Montant payé: ${hre.ethers.formatEther(value)} ETH, solde: ${balance} part(s)`
+      ]
+    );
+  });
+
+landTask("share-order", "Passe un ordre de vente ou d'achat de parts fongibles")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addParam("side", "sell ou buy")
+  .addParam("quantity", "Nombre de parts", undefined, types.int)
+  .addParam("price", "Prix par part en ETH")
+  .setAction(async (args, hre) => {
+    if (!["sell", "buy"].includes(args.side)) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Sens inconnu: ${args.side}`);
+    }
+    const { signer, contracts } = await setup(args, hre);
+    const { landShares, shareMarketplace } = contracts;
+    const price = parseEther(hre, args.price, "du prix");
+
+    let receipt;
+    if (args.side === "sell") {
+      await approveShareMarketplace(contracts, signer);
+      receipt = await sendTransaction(contracts, () =>
+        shareMarketplace.createSellOrder(args.land, args.quantity, price)
+      );
+    } else {
+      receipt = await sendTransaction(contracts, () =>
+        shareMarketplace.createBuyOrder(args.land, args.quantity, price, {
+          value: price * BigInt(args.quantity)
+        })
+      );
+    }
+
+    const orderId = receipt.logs
+      .map((log) => shareMarketplace.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "OrderCreated").args.orderId;
+
+    return printResult(
+      { orderId, landId: args.land, side: args.side, quantity: args.quantity, price, maker: signer.address, ...txSummary(receipt) },
+      args.json,
+      [`Ordre ${orderId} (${args.side}) de ${args.quantity} part(s) du terrain ${args.land} à ${args.price} ETH`]
+    );
+  });
+
+landTask("fill-order", "Exécute tout ou partie d'un ordre de parts fongibles")
+  .addParam("order", "ID de l'ordre", undefined, types.int)
+  .addOptionalParam("quantity", "Nombre de parts (quantité restante par défaut)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { shareMarketplace } = contracts;
+
+    const order = await shareMarketplace.orders(args.order);
+    const quantity = args.quantity !== undefined ? BigInt(args.quantity) : order.quantity;
+    const cost = quantity * order.pricePerShare;
+    const isSell = Number(order.side) === 0;
+
+    let receipt;
+    if (isSell) {
+      receipt = await sendTransaction(contracts, () =>
+        shareMarketplace.fillSellOrder(args.order, quantity, { value: cost })
+      );
+    } else {
+      await approveShareMarketplace(contracts, signer);
+      receipt = await sendTransaction(contracts, () =>
+        shareMarketplace.fillBuyOrder(args.order, quantity)
+      );
+    }
+
+    return printResult(
+      { orderId: args.order, taker: signer.address, quantity, totalPrice: cost, ...txSummary(receipt) },
+      args.json,
+      [`${quantity} part(s) ${isSell ? "achetée(s)" : "vendue(s)"} sur l'ordre ${args.order} pour ${hre.ethers.formatEther(cost)} ETH`]
+    );
+  });
+
+landTask("cancel-order", "Annule un ordre de parts fongibles")
+  .addParam("order", "ID de l'ordre", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { shareMarketplace } = contracts;
+
+    const receipt = await sendTransaction(contracts, () =>
+      shareMarketplace.cancelOrder(args.order)
+    );
+
+    return printResult(
+      { orderId: args.order, ...txSummary(receipt) },
+      args.json,
+      [`Ordre ${args.order} annulé`]
+    );
+  });
+
+landTask("deposit-dividends", "Dépose des revenus répartis entre les tokens mintés d'un terrain")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addParam("amount", "Montant déposé en ETH")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const amount = parseEther(hre, args.amount, "--amount");
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.dividends.deposit(args.land, { value: amount })
+    );
+    const tokenCount = (await contracts.landToken.getTokensByLand(args.land)).length;
+
+    return printResult(
+      { landId: args.land, amount, tokenCount, ...txSummary(receipt) },
+      args.json,
+      [`${args.amount} ETH déposés pour le terrain ${args.land}, répartis entre ${tokenCount} token(s)`]
+    );
+  });
+
+landTask("claim-dividends", "Réclame les dividendes de tokens détenus par le compte")
+  .addOptionalParam("tokens", "IDs des tokens séparés par des virgules", "", types.string)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { dividends } = contracts;
+
+    const tokenIds = parseTokenIds(args.tokens);
+
+    const before = await dividends.credits(signer.address);
+    const pending = await Promise.all(tokenIds.map((id) => dividends.pendingDividends(id)));
+    const amount = pending.reduce((sum, value) => sum + value, before);
+
+    const receipt = await sendTransaction(contracts, () => dividends.claimBatch(tokenIds));
+
+    return printResult(
+      { account: signer.address, tokenIds, amount, ...txSummary(receipt) },
+      args.json,
+      [`Dividendes versés à ${signer.address}: ${hre.ethers.formatEther(amount)} ETH`]
+    );
+  });
+
+landTask("open-campaign", "Ouvre la levée de fonds d'un terrain tokenisé avant sa première vente (propriétaire du terrain)")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addParam("softCap", "Montant minimal à lever, dans la devise du terrain")
+  .addParam("days", "Durée de la campagne en jours", undefined, types.int)
+  .addOptionalParam("maxPerBuyer", "Nombre maximal de tokens par acheteur (0 : illimité)", 0, types.int)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { landRegistry, crowdfunding } = contracts;
+    const currency = await loadCurrency(hre, signer, await landRegistry.landCurrencies(args.land));
+    const softCap = parseAmount(hre, args.softCap, "--soft-cap", currency);
+
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const deadline = latest.timestamp + args.days * 24 * 3600;
+    const receipt = await sendTransaction(contracts, () =>
+      crowdfunding.openCampaign(args.land, softCap, deadline, args.maxPerBuyer)
+    );
+    const campaignId = receipt.logs
+      .map((log) => crowdfunding.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "CampaignOpened").args.campaignId;
+
+    return printResult(
+      { campaignId, landId: args.land, softCap, deadline, maxPerBuyer: args.maxPerBuyer, ...txSummary(receipt) },
+      args.json,
+      [
+        `Levée de fonds ${campaignId} ouverte pour le terrain ${args.land}: ` +
+        `${formatAmount(hre, softCap, currency)} minimum avant le ${formatDate(deadline)}`,
+        args.maxPerBuyer === 0 ? "Tokens par acheteur: illimités" : `Tokens par acheteur: ${args.maxPerBuyer} au maximum`
+      ]
+    );
+  });
+
+landTask("refund", "Brûle des tokens d'une levée de fonds échouée contre le remboursement de leur prix à leur détenteur")
+  .addParam("tokens", "IDs des tokens séparés par des virgules")
+  .setAction(async (args, hre) => {
+    const tokenIds = parseTokenIds(args.tokens);
+    const { signer, contracts } = await setup(args, hre);
+    const { landToken, crowdfunding } = contracts;
+    const currency = await loadCurrency(
+      hre,
+      signer,
+      await callView(contracts, () => landToken.tokenCurrency(tokenIds[0]))
+    );
+
+    const receipt = await sendTransaction(contracts, () => crowdfunding.refund(tokenIds));
+    const amount = receipt.logs
+      .map((log) => landToken.interface.parseLog(log))
+      .filter((parsed) => parsed && parsed.name === "TokenRefunded")
+      .reduce((total, parsed) => total + parsed.args.amount, 0n);
+
+    return printResult(
+      { account: signer.address, tokenIds, amount, ...txSummary(receipt) },
+      args.json,
+      [
+        `${tokenIds.length} token(s) brûlé(s), ${formatAmount(hre, amount, currency)} crédités à leur(s) détenteur(s)`,
+        `Retrait par chaque détenteur: npx hardhat withdraw-payments${currency ? ` --currency ${currency.token.target}` : ""}`
+      ]
+    );
+  });
+
+landTask("open-buyout", "Ouvre une offre de rachat de tous les tokens d'un terrain, pour le retirer de la tokenisation")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addParam("price", "Prix offert par token, en ETH")
+  .addParam("days", "Durée de la période de cession en jours", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { landToken, buyout } = contracts;
+    const pricePerToken = parseEther(hre, args.price, "du prix");
+
+    // Le dépôt couvre les tokens que le compte ne détient pas directement
+    const tokenIds = await landToken.getTokensByLand(args.land);
+    let outstanding = 0n;
+    for (const tokenId of tokenIds) {
+      if ((await landToken.ownerOf(tokenId)) !== signer.address) outstanding++;
+    }
+    const deposit = pricePerToken * outstanding;
+
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const deadline = latest.timestamp + args.days * 24 * 3600;
+    const receipt = await sendTransaction(contracts, () =>
+      buyout.openBuyout(args.land, pricePerToken, deadline, { value: deposit })
+    );
+    const buyoutId = receipt.logs
+      .map((log) => buyout.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "BuyoutOpened").args.buyoutId;
+
+    return printResult(
+      { buyoutId, landId: args.land, bidder: signer.address, pricePerToken, deadline, deposit, ...txSummary(receipt) },
+      args.json,
+      [
+        `Offre de rachat ${buyoutId} ouverte sur le terrain ${args.land}: ` +
+        `${hre.ethers.formatEther(pricePerToken)} ETH par token jusqu'au ${formatDate(deadline)}`,
+        `Dépôt: ${hre.ethers.formatEther(deposit)} ETH pour ${outstanding} token(s)`
+      ]
+    );
+  });
+
+landTask("redeem", "Cède des tokens à l'acquéreur de leur terrain au prix de son offre de rachat")
+  .addParam("tokens", "IDs des tokens séparés par des virgules")
+  .setAction(async (args, hre) => {
+    const tokenIds = parseTokenIds(args.tokens);
+    const { signer, contracts } = await setup(args, hre);
+    const { buyout } = contracts;
+
+    const receipt = await sendTransaction(contracts, () => buyout.redeem(tokenIds));
+    const amount = receipt.logs
+      .map((log) => buyout.interface.parseLog(log))
+      .filter((parsed) => parsed && parsed.name === "TokenRedeemed")
+      .reduce((total, parsed) => total + parsed.args.amount, 0n);
+
+    return printResult(
+      { account: signer.address, tokenIds, amount, ...txSummary(receipt) },
+      args.json,
+      [
+        `${tokenIds.length} token(s) cédé(s), ${hre.ethers.formatEther(amount)} ETH crédités à ${signer.address}`,
+        "Retrait: npx hardhat withdraw-payments"
+      ]
+    );
+  });
+
+landTask("acquire-tokens", "Rachète de force des tokens restants une fois le seuil de rachat atteint (acquéreur)")
+  .addParam("tokens", "IDs des tokens séparés par des virgules")
+  .setAction(async (args, hre) => {
+    const tokenIds = parseTokenIds(args.tokens);
+    const { contracts } = await setup(args, hre);
+    const { buyout } = contracts;
+
+    const receipt = await sendTransaction(contracts, () => buyout.acquireTokens(tokenIds));
+    const acquired = receipt.logs
+      .map((log) => buyout.interface.parseLog(log))
+      .filter((parsed) => parsed && parsed.name === "TokenAcquired")
+      .map((parsed) => ({ tokenId: parsed.args.tokenId, holder: parsed.args.holder, amount: parsed.args.amount }));
+
+    return printResult(
+      { acquired, ...txSummary(receipt) },
+      args.json,
+      acquired.map(
+        ({ tokenId, holder, amount }) =>
+          `Token ${tokenId} racheté à ${holder}: ${hre.ethers.formatEther(amount)} ETH crédités`
+      )
+    );
+  });
+
+landTask("complete-buyout", "Termine le rachat d'un terrain dont l'acquéreur détient tous les tokens")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addOptionalParam("batch", "Nombre maximal de tokens brûlés par transaction", 100, types.int)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { buyout } = contracts;
+
+    // Les tokens sont brûlés par lots, une transaction par lot
+    let receipt;
+    let completed;
+    while (!completed) {
+      receipt = await sendTransaction(contracts, () => buyout.completeBuyout(args.land, args.batch));
+      completed = receipt.logs
+        .map((log) => buyout.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "BuyoutCompleted");
+    }
+    const { refund } = completed.args;
+
+    return printResult(
+      { landId: args.land, refund, ...txSummary(receipt) },
+      args.json,
+      [
+        `Terrain ${args.land} retiré du registre, ses tokens ont été brûlés`,
+        `Reste du dépôt crédité à l'acquéreur: ${hre.ethers.formatEther(refund)} ETH`
+      ]
+    );
+  });
+
+landTask("close-buyout", "Clôt une offre de rachat après sa date limite sans retirer le terrain de la tokenisation")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { buyout } = contracts;
+
+    const receipt = await sendTransaction(contracts, () => buyout.closeBuyout(args.land));
+    const { refund } = receipt.logs
+      .map((log) => buyout.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "BuyoutClosed").args;
+
+    return printResult(
+      { landId: args.land, refund, ...txSummary(receipt) },
+      args.json,
+      [`Offre de rachat du terrain ${args.land} close, ${hre.ethers.formatEther(refund)} ETH crédités à l'acquéreur`]
+    );
+  });
+
+landTask("list", "Met un token en vente sur le marketplace")
+  .addParam("token", "ID du token", undefined, types.int)
+  .addParam("price", "Prix de vente, dans la devise du terrain")
+  .addOptionalParam("duration", "Durée de validité du listing en secondes", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { landToken, marketplace } = contracts;
+    const currency = await loadCurrency(hre, signer, await landToken.tokenCurrency(args.token));
+    const price = parseAmount(hre, args.price, "du prix", currency);
+
+    // Le marketplace doit être autorisé à prendre le token en séquestre
+    const approved = await landToken.getApproved(args.token);
+    const approvedForAll = await landToken.isApprovedForAll(signer.address, marketplace.target);
+    if (approved !== marketplace.target && !approvedForAll) {
+      await sendTransaction(contracts, () => landToken.approve(marketplace.target, args.token));
+    }
+
+    let expiresAt = 0;
+    let receipt;
+    if (args.duration !== undefined) {
+      const latest = await hre.ethers.provider.getBlock("latest");
+      expiresAt = latest.timestamp + args.duration;
+      receipt = await sendTransaction(contracts, () =>
+        marketplace.listTokenWithExpiry(args.token, price, expiresAt)
+      );
+    } else {
+      receipt = await sendTransaction(contracts, () =>
+        marketplace.listToken(args.token, price)
+      );
+    }
+
+    const lines = [`Token ${args.token} mis en vente à ${formatAmount(hre, price, currency)} par ${signer.address}`];
+    if (expiresAt !== 0) {
+      lines.push(`Expiration: ${new Date(expiresAt * 1000).toISOString()}`);
+    }
+    return printResult(
+      { tokenId: args.token, price, seller: signer.address, expiresAt, ...txSummary(receipt) },
+      args.json,
+      lines
+    );
+  });
+
+landTask("buy", "Achète un token listé sur le marketplace")
+  .addParam("token", "ID du token", undefined, types.int)
+  .addOptionalParam("value", "Montant envoyé en ETH (prix du listing par défaut)", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { landToken, marketplace } = contracts;
+    const currency = await loadCurrency(hre, signer, await landToken.tokenCurrency(args.token));
+    if (currency && args.value !== undefined) {
+      throw new HardhatPluginError(PLUGIN_NAME, "--value n'est disponible que pour un terrain payable en ETH");
+    }
+
+    const listing = await marketplace.listings(args.token);
+    const value = args.value !== undefined
+      ? parseEther(hre, args.value, "envoyé")
+      : listing.price;
+
+    const permit = currency && await permitIfNeeded(hre, signer, currency, marketplace, listing.price);
+    const receipt = await sendTransaction(contracts, () => {
+      if (permit) {
+        return marketplace.buyTokenWithPermit(args.token, permit.deadline, permit.v, permit.r, permit.s);
+      }
+      return marketplace.buyToken(args.token, currency ? {} : { value });
+    });
+
+    return printResult(
+      { tokenId: args.token, buyer: signer.address, seller: listing.seller, price: listing.price, ...txSummary(receipt) },
+      args.json,
+      [`Token ${args.token} acheté par ${signer.address} pour ${formatAmount(hre, listing.price, currency)}`]
+    );
+  });
+
+landTask("cancel-listing", "Annule la mise en vente d'un token")
+  .addParam("token", "ID du token", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.marketplace.cancelListing(args.token)
+    );
+
+    return printResult(
+      { tokenId: args.token, ...txSummary(receipt) },
+      args.json,
+      [`Listing du token ${args.token} annulé`]
+    );
+  });
+
+landTask("update-price", "Modifie le prix d'un token en vente")
+  .addParam("token", "ID du token", undefined, types.int)
+  .addParam("price", "Nouveau prix, dans la devise du terrain")
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const currency = await loadCurrency(hre, signer, await contracts.landToken.tokenCurrency(args.token));
+    const price = parseAmount(hre, args.price, "du prix", currency);
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.marketplace.updateListingPrice(args.token, price)
+    );
+
+    return printResult(
+      { tokenId: args.token, price, ...txSummary(receipt) },
+      args.json,
+      [`Prix du token ${args.token} fixé à ${formatAmount(hre, price, currency)}`]
+    );
+  });
+
+landTask("sweep-listings", "Rend à leurs vendeurs les tokens des listings expirés")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { marketplace } = contracts;
+
+    const activeIds = [...(await marketplace.getAllActiveListings())];
+    const expired = [];
+    for (const tokenId of activeIds) {
+      if (await marketplace.isListingExpired(tokenId)) {
+        expired.push(tokenId);
+      }
+    }
+
+    if (expired.length === 0) {
+      return printResult({ tokenIds: [] }, args.json, ["Aucun listing expiré"]);
+    }
+
+    const receipt = await sendTransaction(contracts, () =>
+      marketplace.sweepExpiredListings(expired)
+    );
+
+    return printResult(
+      { tokenIds: expired, ...txSummary(receipt) },
+      args.json,
+      [`${expired.length} listing(s) expiré(s) retiré(s): ${expired.join(", ")}`]
+    );
+  });
+
+landTask("set-fees", "Met en file, ou applique après le délai du timelock, les frais de plateforme et/ou de marketplace (base 10000)")
+  .addOptionalParam("platform", "Frais de plateforme de LandToken (500 = 5%)", undefined, types.int)
+  .addOptionalParam("marketplace", "Frais du marketplace (250 = 2.5%)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    if (args.platform === undefined && args.marketplace === undefined) {
+      throw new HardhatPluginError(PLUGIN_NAME, "Précisez --platform et/ou --marketplace");
+    }
+    const { contracts } = await setup(args, hre);
+    const result = {};
+    const lines = [];
+
+    const setFee = async (key, label, contract, method, event, value) => {
+      const receipt = await sendTransaction(contracts, () => contract[method](value));
+      const timelock = timelockStatus(contract, receipt, event);
+      result[key] = { feePercentage: value, ...timelock, ...txSummary(receipt) };
+      lines.push(timelock.queued
+        ? `${label}: ${value / 100}% en file, relancez la commande après le ${formatDate(timelock.eta)}`
+        : `${label}: ${value / 100}%`);
+    };
+
+    if (args.platform !== undefined) {
+      await setFee("platform", "Frais de plateforme", contracts.landToken, "setPlatformFeePercentage", "PlatformFeeUpdated", args.platform);
+    }
+    if (args.marketplace !== undefined) {
+      await setFee("marketplace", "Frais du marketplace", contracts.marketplace, "setMarketplaceFeePercentage", "MarketplaceFeeUpdated", args.marketplace);
+    }
+
+    return printResult(result, args.json, lines);
+  });
+
+// Contrats administrés par rôles (AccessRoles), puis contrats seulement Ownable
+const ROLE_CONTRACTS = {
+  registry: "landRegistry",
+  token: "landToken",
+  marketplace: "marketplace",
+  shares: "landShares",
+  "share-marketplace": "shareMarketplace",
+  compliance: "compliance"
+};
+const OWNABLE_CONTRACTS = { ...ROLE_CONTRACTS, governance: "governance" };
+const ROLES = {
+  pauser: "PAUSER_ROLE",
+  "fee-manager": "FEE_MANAGER_ROLE",
+  "validator-admin": "VALIDATOR_ADMIN_ROLE",
+  "relayer-admin": "RELAYER_ADMIN_ROLE",
+  treasurer: "TREASURER_ROLE",
+  "compliance-officer": "COMPLIANCE_ROLE"
+};
+
+const CAMPAIGN_STATUSES = ["aucune", "en cours", "réussie", "échouée"];
+
+/**
+ * Dernière levée de fonds d'un terrain, ou null s'il n'en a pas.
+ * @returns { campaignId, softCap, deadline, maxPerBuyer, escrowed, status }
+ */
+async function campaignStatus(crowdfunding, landToken, landId) {
+  const campaignId = await crowdfunding.landCampaigns(landId);
+  if (campaignId === 0n) return null;
+
+  const campaign = await crowdfunding.campaigns(campaignId);
+  return {
+    campaignId,
+    softCap: campaign.softCap,
+    deadline: campaign.deadline,
+    maxPerBuyer: Number(campaign.maxPerBuyer),
+    escrowed: await landToken.escrowedProceeds(landId),
+    status: CAMPAIGN_STATUSES[Number(await crowdfunding.campaignStatus(landId))]
+  };
+}
+
+const BUYOUT_STATUSES = ["aucune", "en cours", "rachat forcé ouvert", "expirée", "terminée", "close"];
+
+/**
+ * Dernière offre de rachat d'un terrain, ou null s'il n'en a pas.
+ * @returns { buyoutId, bidder, pricePerToken, deadline, deposit, status }
+ */
+async function buyoutStatus(buyout, landId) {
+  const buyoutId = await buyout.landBuyouts(landId);
+  if (buyoutId === 0n) return null;
+
+  const offer = await buyout.buyouts(buyoutId);
+  return {
+    buyoutId,
+    bidder: offer.bidder,
+    pricePerToken: offer.pricePerToken,
+    deadline: offer.deadline,
+    deposit: offer.deposit,
+    status: BUYOUT_STATUSES[Number(await buyout.buyoutStatus(landId))]
+  };
+}
+
+/**
+ * Calendrier de blocage d'un terrain et tokens bloqués d'un compte, ou null sans calendrier.
+ * @returns { mintDeadline, cliff, vestingEnd, reserve, locked }
+ */
+async function vestingStatus(vesting, landToken, landId, account) {
+  const schedule = await vesting.schedules(landId);
+  if (schedule.vestingEnd === 0n) return null;
+
+  return {
+    mintDeadline: schedule.mintDeadline,
+    cliff: schedule.cliff,
+    vestingEnd: schedule.vestingEnd,
+    reserve: await landToken.ownerReserves(landId),
+    locked: await vesting.lockedTokens(landId, account)
+  };
+}
+
+function formatDate(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+/**
+ * Résout --contract ("all" désignant tous les contrats de la table).
+ */
+function resolveContracts(contracts, table, name) {
+  const keys = name === "all" ? Object.keys(table) : [name];
+  return keys.map((key) => {
+    if (!table[key]) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `Contrat inconnu: ${key} (${Object.keys(table).join(", ")})`
+      );
+    }
+    return [key, contracts[table[key]]];
+  });
+}
+
+landTask("grant-role", "Accorde, ou retire avec --revoke, un rôle d'administration")
+  .addParam("role", `Rôle (${Object.keys(ROLES).join(", ")})`)
+  .addParam("account", "Adresse du compte")
+  .addOptionalParam("contract", `Contrat (${Object.keys(ROLE_CONTRACTS).join(", ")} ou all)`, "all", types.string)
+  .addFlag("revoke", "Retire le rôle")
+  .setAction(async (args, hre) => {
+    if (!ROLES[args.role]) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Rôle inconnu: ${args.role} (${Object.keys(ROLES).join(", ")})`);
+    }
+    const { contracts } = await setup(args, hre);
+    const role = hre.ethers.id(ROLES[args.role]);
+    const result = { role: args.role, account: args.account, granted: !args.revoke, contracts: {} };
+
+    for (const [key, contract] of resolveContracts(contracts, ROLE_CONTRACTS, args.contract)) {
+      const receipt = await sendTransaction(contracts, () =>
+        args.revoke ? contract.revokeRole(role, args.account) : contract.grantRole(role, args.account)
+      );
+      result.contracts[key] = txSummary(receipt);
+    }
+
+    const targets = Object.keys(result.contracts).join(", ");
+    return printResult(result, args.json, [
+      args.revoke
+        ? `Rôle ${args.role} retiré à ${args.account} sur ${targets}`
+        : `Rôle ${args.role} accordé à ${args.account} sur ${targets}`
+    ]);
+  });
+
+landTask("transfer-ownership", "Propose un nouveau propriétaire, qui doit accepter avec accept-ownership")
+  .addParam("to", "Adresse du nouveau propriétaire")
+  .addOptionalParam("contract", `Contrat (${Object.keys(OWNABLE_CONTRACTS).join(", ")} ou all)`, "all", types.string)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const result = { pendingOwner: args.to, contracts: {} };
+
+    for (const [key, contract] of resolveContracts(contracts, OWNABLE_CONTRACTS, args.contract)) {
+      const receipt = await sendTransaction(contracts, () => contract.transferOwnership(args.to));
+      result.contracts[key] = txSummary(receipt);
+    }
+
+    return printResult(result, args.json, [
+      `Transfert de propriété proposé à ${args.to} sur ${Object.keys(result.contracts).join(", ")}`
+    ]);
+  });
+
+landTask("accept-ownership", "Accepte la propriété de contrats transférés au compte")
+  .addOptionalParam("contract", `Contrat (${Object.keys(OWNABLE_CONTRACTS).join(", ")} ou all)`, "all", types.string)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const result = { owner: signer.address, contracts: {} };
+
+    for (const [key, contract] of resolveContracts(contracts, OWNABLE_CONTRACTS, args.contract)) {
+      const receipt = await sendTransaction(contracts, () => contract.acceptOwnership());
+      result.contracts[key] = txSummary(receipt);
+    }
+
+    return printResult(result, args.json, [
+      `${signer.address} est propriétaire de ${Object.keys(result.contracts).join(", ")}`
+    ]);
+  });
+
+landTask("cancel-change", "Annule un changement en file dans le timelock d'un contrat")
+  .addParam("contract", `Contrat (${Object.keys(ROLE_CONTRACTS).join(", ")})`)
+  .addParam("id", "Identifiant du changement (changeId de ChangeQueued)")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const [[, contract]] = resolveContracts(contracts, ROLE_CONTRACTS, args.contract);
+
+    const receipt = await sendTransaction(contracts, () => contract.cancelChange(args.id));
+
+    return printResult(
+      { contract: args.contract, changeId: args.id, ...txSummary(receipt) },
+      args.json,
+      [`Changement ${args.id} annulé sur ${args.contract}`]
+    );
+  });
+
+// Actions soumises au vote des détenteurs : [contrat, fonction, conversion de --value]
+const PROPOSAL_ACTIONS = {
+  price: ["landRegistry", "updatePricePerToken", (hre, value) => parseEther(hre, value, "--value")],
+  manager: ["landRegistry", "setPropertyManager", (hre, value) => {
+    if (!hre.ethers.isAddress(value)) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Adresse invalide: ${value}`);
+    }
+    return value;
+  }],
+  "buyout-threshold": ["governance", "setBuyoutThreshold", (hre, value) => {
+    if (!/^\d+$/.test(value) || Number(value) > 10000) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Seuil invalide (0 à 10000): ${value}`);
+    }
+    return BigInt(value);
+  }]
+};
+
+landTask("propose", "Soumet une décision au vote des détenteurs des tokens d'un terrain")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addParam("action", `Action proposée (${Object.keys(PROPOSAL_ACTIONS).join(", ")})`)
+  .addParam(
+    "value",
+    "Nouveau prix en ETH (price), adresse du gestionnaire (manager) ou part des tokens " +
+    "ouvrant le rachat forcé, en base 10000 (buyout-threshold)"
+  )
+  .addOptionalParam("description", "Description de la proposition", "", types.string)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const action = PROPOSAL_ACTIONS[args.action];
+    if (!action) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Action inconnue: ${args.action}`);
+    }
+
+    const [contractKey, method, convert] = action;
+    const target = contracts[contractKey];
+    const data = target.interface.encodeFunctionData(method, [args.land, convert(hre, args.value)]);
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.governance.propose(args.land, target.target, data, args.description)
+    );
+    const event = receipt.logs
+      .map((log) => contracts.governance.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "ProposalCreated");
+
+    return printResult(
+      { proposalId: event.args.proposalId, landId: args.land, action: args.action, deadline: event.args.deadline, ...txSummary(receipt) },
+      args.json,
+      [`Proposition ${event.args.proposalId} (${args.action}) créée pour le terrain ${args.land}`]
+    );
+  });
+
+landTask("vote", "Vote sur une proposition de gouvernance")
+  .addParam("proposal", "ID de la proposition", undefined, types.int)
+  .addFlag("against", "Vote contre la proposition")
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const support = !args.against;
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.governance.castVote(args.proposal, support)
+    );
+    const event = receipt.logs
+      .map((log) => contracts.governance.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "VoteCast");
+
+    return printResult(
+      { proposalId: args.proposal, voter: signer.address, support, weight: event.args.weight, ...txSummary(receipt) },
+      args.json,
+      [`Vote ${support ? "pour" : "contre"} la proposition ${args.proposal} (${event.args.weight} voix)`]
+    );
+  });
+
+landTask("execute-proposal", "Exécute une proposition adoptée")
+  .addParam("proposal", "ID de la proposition", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.governance.execute(args.proposal)
+    );
+
+    return printResult(
+      { proposalId: args.proposal, ...txSummary(receipt) },
+      args.json,
+      [`Proposition ${args.proposal} exécutée`]
+    );
+  });
+
+landTask("set-identity", "Enregistre l'identité vérifiée (KYC) d'un compte, ou la retire avec --revoke")
+  .addParam("account", "Adresse du compte")
+  .addOptionalParam("jurisdiction", "Code de juridiction du compte (0 à 255)", 0, types.int)
+  .addOptionalParam("days", "Durée de validité de la vérification en jours", 365, types.int)
+  .addFlag("revoke", "Retire l'identité du compte")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { compliance } = contracts;
+
+    if (args.revoke) {
+      const receipt = await sendTransaction(contracts, () => compliance.revokeIdentity(args.account));
+      return printResult(
+        { account: args.account, revoked: true, ...txSummary(receipt) },
+        args.json,
+        [`Identité de ${args.account} retirée`]
+      );
+    }
+
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const expiresAt = latest.timestamp + args.days * 24 * 3600;
+    const receipt = await sendTransaction(contracts, () =>
+      compliance.setIdentity(args.account, args.jurisdiction, expiresAt)
+    );
+
+    return printResult(
+      { account: args.account, jurisdiction: args.jurisdiction, expiresAt, ...txSummary(receipt) },
+      args.json,
+      [`Identité de ${args.account} vérifiée (juridiction ${args.jurisdiction}) jusqu'au ${formatDate(expiresAt)}`]
+    );
+  });
+
+landTask("set-land-rules", "Fixe le nombre maximal de détenteurs et les juridictions autorisées d'un terrain")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addOptionalParam("maxHolders", "Nombre maximal de détenteurs (0 : illimité)", 0, types.int)
+  .addOptionalParam("jurisdictions", "Codes des juridictions autorisées, ex. 0,3 (toutes par défaut)", "", types.string)
+  .setAction(async (args, hre) => {
+    const codes = args.jurisdictions === "" ? [] : args.jurisdictions.split(",").map(Number);
+    if (codes.some((code) => !Number.isInteger(code) || code < 0 || code > 255)) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Juridictions invalides: ${args.jurisdictions}`);
+    }
+    const { contracts } = await setup(args, hre);
+    const mask = codes.reduce((bits, code) => bits | (1n << BigInt(code)), 0n);
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.compliance.setLandRules(args.land, args.maxHolders, mask)
+    );
+
+    return printResult(
+      { landId: args.land, maxHolders: args.maxHolders, jurisdictions: codes, ...txSummary(receipt) },
+      args.json,
+      [
+        `Terrain ${args.land}: ${args.maxHolders === 0 ? "détenteurs illimités" : `${args.maxHolders} détenteurs au maximum`}, ` +
+        `juridictions ${codes.length === 0 ? "toutes autorisées" : codes.join(", ")}`
+      ]
+    );
+  });
+
+landTask("force-transfer", "Transfère un token sans l'accord de son détenteur (décision de justice)")
+  .addParam("token", "ID du token", undefined, types.int)
+  .addParam("to", "Adresse du destinataire")
+  .addParam("reason", "Référence de la décision")
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const from = await callView(contracts, () => contracts.landToken.ownerOf(args.token));
+
+    const receipt = await sendTransaction(contracts, () =>
+      contracts.compliance.forceTransfer(args.token, args.to, args.reason)
+    );
+
+    return printResult(
+      { tokenId: args.token, from, to: args.to, reason: args.reason, ...txSummary(receipt) },
+      args.json,
+      [`Token ${args.token} transféré de ${from} à ${args.to} (${args.reason})`]
+    );
+  });
+
+landTask("withdraw-fees", "Retire les frais collectés")
+  .addOptionalParam("target", "platform, marketplace ou all", "all", types.string)
+  .setAction(async (args, hre) => {
+    if (!["platform", "marketplace", "all"].includes(args.target)) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Cible inconnue: ${args.target}`);
+    }
+    const { contracts } = await setup(args, hre);
+    const { landToken, marketplace, landShares, shareMarketplace } = contracts;
+    const result = {};
+    const lines = [];
+
+    if (args.target !== "marketplace") {
+      const amount = await landToken.accumulatedPlatformFees();
+      const treasury = await landToken.treasury();
+      const receipt = await sendTransaction(contracts, () => landToken.withdrawPlatformFees());
+      result.platform = { amount, treasury, ...txSummary(receipt) };
+      lines.push(`Frais de plateforme versés à ${treasury}: ${hre.ethers.formatEther(amount)} ETH`);
+
+      // Frais des parts fongibles, retirés seulement s'il y en a
+      const shareAmount = await landShares.accumulatedPlatformFees();
+      if (shareAmount > 0n) {
+        const shareReceipt = await sendTransaction(contracts, () => landShares.withdrawPlatformFees());
+        result.sharePlatform = { amount: shareAmount, treasury: await landShares.treasury(), ...txSummary(shareReceipt) };
+        lines.push(`Frais de plateforme des parts versés: ${hre.ethers.formatEther(shareAmount)} ETH`);
+      }
+    }
+
+    if (args.target !== "platform") {
+      const amount = await marketplace.accumulatedMarketplaceFees();
+      const treasury = await marketplace.treasury();
+      const receipt = await sendTransaction(contracts, () => marketplace.withdrawMarketplaceFees());
+      result.marketplace = { amount, treasury, ...txSummary(receipt) };
+      lines.push(`Frais du marketplace versés à ${treasury}: ${hre.ethers.formatEther(amount)} ETH`);
+
+      const shareAmount = await shareMarketplace.accumulatedMarketplaceFees();
+      if (shareAmount > 0n) {
+        const shareReceipt = await sendTransaction(contracts, () => shareMarketplace.withdrawMarketplaceFees());
+        result.shareMarketplace = { amount: shareAmount, treasury: await shareMarketplace.treasury(), ...txSummary(shareReceipt) };
+        lines.push(`Frais du marketplace de parts versés: ${hre.ethers.formatEther(shareAmount)} ETH`);
+      }
+    }
+
+    return printResult(result, args.json, lines);
+  });
+
+landTask("withdraw-payments", "Retire les montants crédités au compte (ventes, royalties, enchères, rachats)")
+  .addOptionalParam("currency", "Devise ERC-20 à retirer (ETH par défaut)", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const currency = args.currency ? await loadCurrency(hre, signer, args.currency) : null;
+    const result = {};
+    const lines = [];
+
+    // Les parts fongibles et les rachats se règlent uniquement en ETH
+    const payers = currency
+      ? ["landToken", "marketplace"]
+      : ["landToken", "marketplace", "landShares", "shareMarketplace", "buyout"];
+    for (const [key, contract] of payers.map((name) => [name, contracts[name]])) {
+      const amount = currency
+        ? await contract.currencyPayments(args.currency, signer.address)
+        : await contract.payments(signer.address);
+      if (amount === 0n) continue;
+
+      const receipt = await sendTransaction(contracts, () =>
+        currency ? contract.withdrawCurrencyPayments(args.currency) : contract.withdrawPayments()
+      );
+      result[key] = { amount, ...txSummary(receipt) };
+      lines.push(`Retiré de ${key}: ${formatAmount(hre, amount, currency)}`);
+    }
+
+    if (lines.length === 0) {
+      lines.push(`Aucun montant à retirer pour ${signer.address}`);
+    }
+    return printResult(result, args.json, lines);
+  });
+
+landTask("cap-table", "Affiche une page des détenteurs d'un terrain et de leur part des tokens")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .addOptionalParam("offset", "Index du premier détenteur", 0, types.int)
+  .addOptionalParam("limit", "Nombre maximal de détenteurs", 20, types.int)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const [holders, balances, shares, totalHolders] = await callView(contracts, () =>
+      contracts.landToken.getCapTable(args.land, args.offset, args.limit)
+    );
+
+    const result = {
+      landId: args.land,
+      totalHolders,
+      offset: args.offset,
+      holders: holders.map((holder, i) => ({ holder, tokens: balances[i], share: shares[i] }))
+    };
+    return printResult(result, args.json, [
+      `Terrain ${args.land} — ${totalHolders} détenteur(s)`,
+      ...result.holders.map((h) => `  - ${h.holder}: ${h.tokens} token(s), ${formatShare(h.share)}`)
+    ]);
+  });
+
+landTask("holdings", "Affiche une page des tokens détenus par un compte, séquestre compris")
+  .addParam("account", "Adresse du détenteur")
+  .addOptionalParam("land", "Limite aux tokens d'un terrain", undefined, types.int)
+  .addOptionalParam("offset", "Index du premier token", 0, types.int)
+  .addOptionalParam("limit", "Nombre maximal de tokens", 20, types.int)
+  .setAction(async (args, hre) => {
+    const { contracts } = await setup(args, hre);
+    const { landToken } = contracts;
+    const [tokenIds, total] = await callView(contracts, () =>
+      args.land === undefined
+        ? landToken.getTokensOfOwner(args.account, args.offset, args.limit)
+        : landToken.getTokensOfOwnerForLand(args.account, args.land, args.offset, args.limit)
+    );
+
+    const result = { account: args.account, landId: args.land, total, offset: args.offset, tokenIds: [...tokenIds] };
+    return printResult(result, args.json, [
+      `${args.account} détient ${total} token(s)${args.land === undefined ? "" : ` du terrain ${args.land}`}`,
+      ...result.tokenIds.map((tokenId) => `  - token ${tokenId}`)
+    ]);
+  });
+
+landTask("land-status", "Affiche l'état complet d'un terrain")
+  .addParam("land", "ID du terrain", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { signer, contracts } = await setup(args, hre);
+    const { landRegistry, landToken, marketplace, landShares, crowdfunding, buyout, vesting } = contracts;
+
+    const details = await landRegistry.getAllLandDetails(args.land);
+    if (!details.isRegistered) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Le terrain ${args.land} n'est pas enregistré`);
+    }
+    const currency = await loadCurrency(hre, signer, await landRegistry.landCurrencies(args.land));
+
+    const validations = (await landRegistry.getValidationHistory(args.land)).map((v) => ({
+      round: v.round,
+      validator: v.validator,
+      validatorRemoved: v.validatorRemoved,
+      validatorType: VALIDATOR_TYPES[Number(v.validatorType)],
+      isValidated: v.isValidated,
+      cidComments: v.cidComments,
+      timestamp: v.timestamp
+    }));
+
+    const tokenIds = [...(await landToken.getTokensByLand(args.land))];
+    const listedTokens = [];
+    if (tokenIds.length > 0) {
+      const [prices, sellers, isActives] = await marketplace.getMultipleListingDetails(tokenIds);
+      tokenIds.forEach((tokenId, i) => {
+        if (isActives[i]) {
+          listedTokens.push({ tokenId, price: prices[i], seller: sellers[i] });
+        }
+      });
+    }
+
+    const status = {
+      landId: args.land,
+      location: details.location,
+      surface: details.surface,
+      owner: details.owner,
+      registrationDate: details.registrationDate,
+      status: STATUS_LABELS[Number(details.status)],
+      totalTokens: details.totalTokens,
+      availableTokens: details.availableTokens,
+      pricePerToken: details.pricePerToken,
+      currency: currency ? currency.token.target : null,
+      isTokenized: details.isTokenized,
+      cid: details.cid,
+      pendingTitleTransfer: await landRegistry.pendingTitleTransfers(args.land),
+      shareMode: (await landRegistry.landTokenizers(args.land)) === landShares.target,
+      campaign: await campaignStatus(crowdfunding, landToken, args.land),
+      buyout: await buyoutStatus(buyout, args.land),
+      vesting: await vestingStatus(vesting, landToken, args.land, details.owner),
+      validations,
+      tokenIds,
+      listedTokens
+    };
+
+    const lines = [
+      `Terrain ${args.land} — ${details.location} (${details.surface} m²)`,
+      `Propriétaire: ${details.owner}`,
+      `Statut: ${status.status}${details.isTokenized ? `, tokenisé${status.shareMode ? " en parts fongibles" : ""}` : ""}`,
+      `Tokens: ${details.availableTokens}/${details.totalTokens} disponibles à ${formatAmount(hre, details.pricePerToken, currency)}`,
+      ...(status.campaign
+        ? [
+          `Levée de fonds: ${status.campaign.status}, ${formatAmount(hre, status.campaign.escrowed, currency)} en séquestre ` +
+          `sur ${formatAmount(hre, status.campaign.softCap, currency)} minimum avant le ${formatDate(status.campaign.deadline)}`
+        ]
+        : []),
+      ...(status.buyout
+        ? [
+          `Rachat: offre ${status.buyout.status} de ${status.buyout.bidder}, ` +
+          `${hre.ethers.formatEther(status.buyout.pricePerToken)} ETH par token jusqu'au ${formatDate(status.buyout.deadline)}`
+        ]
+        : []),
+      ...(status.vesting
+        ? [
+          `Blocage: tokens mintés avant le ${formatDate(status.vesting.mintDeadline)} bloqués jusqu'au ` +
+          `${formatDate(status.vesting.cliff)}, libérés jusqu'au ${formatDate(status.vesting.vestingEnd)} ` +
+          `(réserve du propriétaire: ${status.vesting.reserve}, dont ${status.vesting.locked} bloqué(s))`
+        ]
+        : []),
+      `Documents: ${details.cid}`,
+      `Validations (${validations.length}):`,
+      ...validations.map(
+        (v) => `  - [tour ${v.round}] ${v.validatorType} ${v.validator}${v.validatorRemoved ? " (retiré)" : ""}: ${v.isValidated ? "valide" : "rejeté"} (${v.cidComments})`
+      ),
+      `Tokens mintés: ${tokenIds.length}`,
+      ...listedTokens.map(
+        (l) => `  - token ${l.tokenId} en vente à ${formatAmount(hre, l.price, currency)} par ${l.seller}`
+      )
+    ];
+
+    return printResult(status, args.json, lines);
+  });
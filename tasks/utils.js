@@ -0,0 +1,196 @@
+// Utilitaires communs aux tâches hardhat du cycle de vie des terrains.
+
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest, CONTRACTS } = require("../scripts/lib/deployments");
+const { ERROR_MESSAGES, decodeError } = require("../sdk/errors");
+
+const PLUGIN_NAME = "land-tasks";
+
+const STATUS_LABELS = ["EnAttente", "Valide", "Rejete"];
+
+/**
+ * Charge les contrats déployés à partir du manifeste du réseau courant.
+ * @param hre Hardhat Runtime Environment.
+ * @param signer Signer à connecter aux contrats.
+ * @param deploymentsDir Dossier des manifestes (optionnel).
+ */
+async function getContracts(hre, signer, deploymentsDir) {
+  const manifest = readManifest(hre.network.name, deploymentsDir);
+  const contracts = {};
+  for (const name of CONTRACTS) {
+    contracts[name] = await hre.ethers.getContractAt(
+      name,
+      manifest.contracts[name].address,
+      signer
+    );
+  }
+  return {
+    landRegistry: contracts.LandRegistry,
+    landToken: contracts.LandToken,
+    marketplace: contracts.LandTokenMarketplace,
+    landShares: contracts.LandShares,
+    shareMarketplace: contracts.LandShareMarketplace,
+    dividends: contracts.LandDividends,
+    governance: contracts.LandGovernance,
+    compliance: contracts.LandCompliance,
+    crowdfunding: contracts.LandCrowdfunding,
+    buyout: contracts.LandBuyout,
+    vesting: contracts.LandVesting
+  };
+}
+
+/**
+ * Résout un signer à partir d'un index de compte ou d'une adresse.
+ * @param hre Hardhat Runtime Environment.
+ * @param from Index (ex: "2") ou adresse ; le premier compte par défaut.
+ */
+async function resolveSigner(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (from === undefined || from === "") {
+    return signers[0];
+  }
+
+  if (/^\d+$/.test(from)) {
+    const signer = signers[Number(from)];
+    if (!signer) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Aucun compte à l'index ${from}`);
+    }
+    return signer;
+  }
+
+  if (!hre.ethers.isAddress(from)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Compte invalide: ${from}`);
+  }
+
+  const signer = signers.find(
+    (s) => s.address.toLowerCase() === from.toLowerCase()
+  );
+  if (!signer) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `Le compte ${from} n'est pas disponible sur le réseau ${hre.network.name}`
+    );
+  }
+  return signer;
+}
+
+/**
+ * Décode une erreur personnalisée de l'un des contrats en message lisible.
+ * @param error Erreur levée par ethers.
+ * @param contracts Contrats dont les interfaces servent au décodage.
+ * @returns { name, args, message } ou null si l'erreur n'est pas décodable.
+ */
+function decodeContractError(error, contracts) {
+  return decodeError(error, Object.values(contracts).map((contract) => contract.interface));
+}
+
+/**
+ * Exécute une transaction et convertit les reverts en erreurs lisibles.
+ * @returns Le reçu de la transaction.
+ */
+async function sendTransaction(contracts, txPromiseFactory) {
+  try {
+    const tx = await txPromiseFactory();
+    return await tx.wait();
+  } catch (error) {
+    throw toTaskError(error, contracts);
+  }
+}
+
+/**
+ * Exécute un appel en lecture et convertit les reverts en erreurs lisibles.
+ */
+async function callView(contracts, callFactory) {
+  try {
+    return await callFactory();
+  } catch (error) {
+    throw toTaskError(error, contracts);
+  }
+}
+
+function toTaskError(error, contracts) {
+  const decoded = decodeContractError(error, contracts);
+  if (decoded) {
+    const taskError = new HardhatPluginError(PLUGIN_NAME, decoded.message, error);
+    taskError.contractError = decoded;
+    return taskError;
+  }
+  return error;
+}
+
+/**
+ * Convertit récursivement les bigint en chaînes pour la sortie JSON.
+ */
+function toJsonValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, toJsonValue(v)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Affiche le résultat d'une tâche en JSON ou sous forme de texte.
+ * @param result Objet résultat retourné par la tâche.
+ * @param json true pour une sortie JSON.
+ * @param lines Lignes de texte pour la sortie lisible.
+ */
+function printResult(result, json, lines) {
+  if (json) {
+    console.log(JSON.stringify(toJsonValue(result), null, 2));
+  } else {
+    console.log(lines.join("\n"));
+  }
+  return result;
+}
+
+function txSummary(receipt) {
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Indique si une transaction a seulement mis un changement en file dans le timelock,
+ * ou si elle l'a appliqué. Échoue si la transaction n'a émis ni ChangeQueued ni
+ * l'événement du changement appliqué.
+ * @param contract Contrat appelé.
+ * @param receipt Reçu de la transaction.
+ * @param appliedEvent Événement émis par le changement appliqué.
+ * @returns { queued: true, changeId, eta } ou { queued: false }
+ */
+function timelockStatus(contract, receipt, appliedEvent) {
+  const address = contract.target.toLowerCase();
+  let applied = false;
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== address) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === "ChangeQueued") {
+      return { queued: true, changeId: parsed.args.changeId, eta: parsed.args.eta };
+    }
+    if (parsed && parsed.name === appliedEvent) applied = true;
+  }
+  if (!applied) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `Ni ChangeQueued ni ${appliedEvent} dans la transaction ${receipt.hash}`
+    );
+  }
+  return { queued: false };
+}
+
+module.exports = {
+  PLUGIN_NAME,
+  STATUS_LABELS,
+  ERROR_MESSAGES,
+  getContracts,
+  resolveSigner,
+  decodeContractError,
+  sendTransaction,
+  callView,
+  toJsonValue,
+  printResult,
+  txSummary,
+  timelockStatus
+};
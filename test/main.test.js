@@ -1,14 +1,90 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ethers } = hre;
+const { deploySystem } = require("../scripts/deploy");
+const { upgradeSystem } = require("../scripts/upgrade");
+const { compareStorageLayouts } = require("../scripts/lib/upgrades");
+const { loadManifest, saveManifest, parseApprovalPolicy } = require("../scripts/lib/deployments");
+const {
+    signValidationAttestation,
+    signMintRequest,
+    signListRequest,
+    signCancelRequest,
+    signPermit
+} = require("../scripts/signatures");
+const { toJsonValue } = require("../tasks/utils");
+const { LandClient, LandContractError, ABIS, ABI_HASHES, ROLES, abiHash } = require("../sdk");
+const { openStore, Indexer, createApiServer } = require("../indexer");
 
 describe("Land System Tests", function () {
-    let ownable, landRegistry, landToken, marketplace;
+    let ownable, proxyAdmin, landRegistry, landToken, marketplace, landShares, shareMarketplace, landDividends, landGovernance, landCompliance, landCrowdfunding, landBuyout, landVesting;
     let owner, user1, user2, validator1, validator2, validator3, relayer;
+    // Bibliothèques liées par LandTokenMarketplace
+    let marketplaceLibraries;
     const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
     let tokenId;
 
     this.timeout(50000);
 
+    // Adresses des contrats du système, au format attendu par LandClient et l'indexeur
+    async function systemAddresses() {
+        return {
+            LandRegistry: await landRegistry.getAddress(),
+            LandToken: await landToken.getAddress(),
+            LandTokenMarketplace: await marketplace.getAddress(),
+            LandShares: await landShares.getAddress(),
+            LandShareMarketplace: await shareMarketplace.getAddress(),
+            LandDividends: await landDividends.getAddress(),
+            LandGovernance: await landGovernance.getAddress(),
+            LandCompliance: await landCompliance.getAddress(),
+            LandCrowdfunding: await landCrowdfunding.getAddress(),
+            LandBuyout: await landBuyout.getAddress(),
+            LandVesting: await landVesting.getAddress()
+        };
+    }
+
+    async function deadlineIn(seconds) {
+        const block = await ethers.provider.getBlock("latest");
+        return block.timestamp + seconds;
+    }
+
+    // Déploie un contrat derrière un proxy transparent administré par proxyAdmin
+    async function deployProxy(name, args, options = {}) {
+        const implementation = await (await ethers.getContractFactory(name, options)).deploy();
+        const proxy = await (await ethers.getContractFactory("TransparentUpgradeableProxy")).deploy(
+            await implementation.getAddress(),
+            await proxyAdmin.getAddress(),
+            implementation.interface.encodeFunctionData("initialize", args)
+        );
+        return ethers.getContractAt(name, await proxy.getAddress());
+    }
+
+    // Met un changement sensible en file puis l'applique une fois le délai écoulé
+    async function applyTimelocked(send) {
+        await send();
+        await time.increase(2 * 24 * 3600);
+        return send();
+    }
+
+    // Identifiant d'un changement soumis au timelock
+    function changeId(contract, method, args) {
+        return ethers.keccak256(contract.interface.encodeFunctionData(method, args));
+    }
+
+    // Terrain enregistré par user1 et validé par les trois validateurs, non tokenisé
+    async function validatedLand(location, pricePerToken, totalTokens = 10) {
+        const landId = Number(await landRegistry.getLandCounter()) + 1;
+        await landRegistry.connect(user1).registerLand(location, 1500, totalTokens, pricePerToken, "QmDoc");
+        await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+        await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+        await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+        return landId;
+    }
+
     beforeEach(async function () {
         try {
             // Récupération des signataires
@@ -21,18 +97,26 @@ describe("Land System Tests", function () {
             ownable = await Ownable.deploy();
             await ownable.waitForDeployment();
 
-            // 2. Déployer LandRegistry sans paramètre
+            // 2. Déployer LandRegistry derrière son proxy
             console.log("Déploiement de LandRegistry...");
-            const LandRegistry = await ethers.getContractFactory("LandRegistry");
-            landRegistry = await LandRegistry.deploy(); // Suppression du paramètre ZERO_ADDRESS
-            await landRegistry.waitForDeployment();
+            proxyAdmin = await (await ethers.getContractFactory("LandProxyAdmin")).deploy();
+            landRegistry = await deployProxy("LandRegistry", []);
             console.log("LandRegistry déployé à:", await landRegistry.getAddress());
 
             // 3. Déployer LandToken
             console.log("Déploiement de LandToken...");
-            const LandToken = await ethers.getContractFactory("LandToken");
-            landToken = await LandToken.deploy(await landRegistry.getAddress());
-            await landToken.waitForDeployment();
+            const landMetadata = await (await ethers.getContractFactory("LandMetadata")).deploy();
+            const landHolders = await (await ethers.getContractFactory("LandHolders")).deploy();
+            const landPayments = await (await ethers.getContractFactory("LandPayments")).deploy();
+            const landSignatures = await (await ethers.getContractFactory("LandSignatures")).deploy();
+            landToken = await deployProxy("LandToken", [await landRegistry.getAddress()], {
+                libraries: {
+                    LandMetadata: await landMetadata.getAddress(),
+                    LandHolders: await landHolders.getAddress(),
+                    LandPayments: await landPayments.getAddress(),
+                    LandSignatures: await landSignatures.getAddress()
+                }
+            });
             console.log("LandToken déployé à:", await landToken.getAddress());
 
             // 4. Configurer le tokenizer
@@ -41,10 +125,70 @@ describe("Land System Tests", function () {
 
             // 5. Déployer le Marketplace
             console.log("Déploiement de LandTokenMarketplace...");
-            const LandTokenMarketplace = await ethers.getContractFactory("LandTokenMarketplace");
-            marketplace = await LandTokenMarketplace.deploy(await landToken.getAddress());
-            await marketplace.waitForDeployment();
+            const landAuctions = await (await ethers.getContractFactory("LandAuctions")).deploy();
+            marketplaceLibraries = {
+                LandPayments: await landPayments.getAddress(),
+                LandSignatures: await landSignatures.getAddress(),
+                LandAuctions: await landAuctions.getAddress()
+            };
+            marketplace = await deployProxy("LandTokenMarketplace", [await landToken.getAddress()], {
+                libraries: marketplaceLibraries
+            });
             console.log("Marketplace déployée à:", await marketplace.getAddress());
+            await landToken.connect(owner).setMarketplace(await marketplace.getAddress());
+
+            // Parts fongibles et leur marketplace
+            console.log("Déploiement de LandShares et LandShareMarketplace...");
+            landShares = await (await ethers.getContractFactory("LandShares")).deploy(await landRegistry.getAddress());
+            await landShares.waitForDeployment();
+            shareMarketplace = await (await ethers.getContractFactory("LandShareMarketplace")).deploy(await landShares.getAddress());
+            await shareMarketplace.waitForDeployment();
+            await landRegistry.connect(owner).setShareTokenizer(await landShares.getAddress());
+
+            // Module de distribution des revenus, notifié des transferts de LandToken
+            landDividends = await (await ethers.getContractFactory("LandDividends")).deploy(
+                await landToken.getAddress(),
+                await marketplace.getAddress()
+            );
+            await landDividends.waitForDeployment();
+            await landToken.connect(owner).setDividendDistributor(await landDividends.getAddress());
+
+            // Gouvernance par terrain, notifiée des transferts et autorisée sur le registre
+            landGovernance = await (await ethers.getContractFactory("LandGovernance")).deploy(
+                await landToken.getAddress(),
+                await marketplace.getAddress()
+            );
+            await landGovernance.waitForDeployment();
+            await landToken.connect(owner).setGovernance(await landGovernance.getAddress());
+            await landRegistry.connect(owner).setGovernance(await landGovernance.getAddress());
+
+            // Module de conformité, branché sur LandToken par les tests qui l'utilisent
+            landCompliance = await (await ethers.getContractFactory("LandCompliance")).deploy(
+                await landToken.getAddress(),
+                await marketplace.getAddress()
+            );
+            await landCompliance.waitForDeployment();
+
+            // Module de levée de fonds, sans effet sur les terrains sans campagne
+            landCrowdfunding = await (await ethers.getContractFactory("LandCrowdfunding")).deploy(
+                await landToken.getAddress()
+            );
+            await landCrowdfunding.waitForDeployment();
+            await landToken.connect(owner).setCrowdfunding(await landCrowdfunding.getAddress());
+
+            // Module de rachat, sans effet sur les terrains sans offre
+            landBuyout = await (await ethers.getContractFactory("LandBuyout")).deploy(
+                await landToken.getAddress()
+            );
+            await landBuyout.waitForDeployment();
+            await landToken.connect(owner).setBuyout(await landBuyout.getAddress());
+
+            // Module de blocage, sans effet sur les terrains sans calendrier
+            landVesting = await (await ethers.getContractFactory("LandVesting")).deploy(
+                await landToken.getAddress()
+            );
+            await landVesting.waitForDeployment();
+            await landToken.connect(owner).setVesting(await landVesting.getAddress());
 
             // 6. Configuration des validateurs
             console.log("Configuration des validateurs...");
@@ -79,9 +223,28 @@ describe("Land System Tests", function () {
                 ownable.connect(owner).transferOwnership(ZERO_ADDRESS)
             ).to.be.revertedWithCustomError(ownable, "OwnableInvalidOwner");
         });
+
+        it("Doit exiger l'acceptation du nouveau propriétaire", async function () {
+            await ownable.connect(owner).transferOwnership(user2.address);
+            // Une nouvelle proposition remplace la précédente
+            await ownable.connect(owner).transferOwnership(user1.address);
+            expect(await ownable.owner()).to.equal(owner.address);
+
+            await expect(ownable.connect(user2).acceptOwnership())
+                .to.be.revertedWithCustomError(ownable, "OwnableUnauthorizedAccount");
+            await ownable.connect(user1).acceptOwnership();
+            expect(await ownable.owner()).to.equal(user1.address);
+            expect(await ownable.pendingOwner()).to.equal(ZERO_ADDRESS);
+        });
     });
 
     describe("2. LandRegistry Tests", function () {
+        let deadline;
+
+        beforeEach(async function () {
+            deadline = await deadlineIn(3600);
+        });
+
         it("Doit permettre d'enregistrer un terrain (client paie ses frais)", async function () {
             await landRegistry.connect(user1).registerLand(
                 "Paris",
@@ -105,25 +268,24 @@ describe("Land System Tests", function () {
                 "QmWmyoMoctfbAaiEs2G4bNi1KxatgFfJw47y36p2uUd3Yr"
             );
 
-            // Validation via relayer
-            await landRegistry.connect(relayer).validateLand(
-                1,
-                "QmValidationCID1",
-                true,
-                validator1.address
-            );
-            await landRegistry.connect(relayer).validateLand(
-                1,
-                "QmValidationCID2",
-                true,
-                validator2.address
-            );
-            await landRegistry.connect(relayer).validateLand(
-                1,
-                "QmValidationCID3",
-                true,
-                validator3.address
-            );
+            // Validation via relayer à partir des attestations signées
+            const validatorSigners = [validator1, validator2, validator3];
+            for (let i = 0; i < validatorSigners.length; i++) {
+                const cid = `QmValidationCID${i + 1}`;
+                const { signature } = await signValidationAttestation(
+                    validatorSigners[i],
+                    landRegistry,
+                    { landId: 1, cidComments: cid, isValid: true, deadline }
+                );
+                await landRegistry.connect(relayer).validateLandWithSignature(
+                    1,
+                    cid,
+                    true,
+                    validatorSigners[i].address,
+                    deadline,
+                    signature
+                );
+            }
 
             const [isTokenized, status, availableTokens, pricePerToken] = await landRegistry.getLandDetails(1);
             expect(status).to.equal(1); // ValidationStatus.Valide
@@ -138,15 +300,136 @@ describe("Land System Tests", function () {
                 "QmWmyoMoctfbAaiEs2G4bNi1KxatgFfJw47y36p2uUd3Yr"
             );
 
-            await landRegistry.connect(relayer).validateLand(
+            await landRegistry.connect(validator1).validateLand(
                 1,
                 "QmValidationCID1",
-                true,
-                validator1.address
+                true
             );
 
             const validations = await landRegistry.getValidationHistory(1);
             expect(validations.length).to.be.above(0);
+            expect(validations[0].validator).to.equal(validator1.address);
+        });
+
+        it("Ne doit pas permettre à un non-validateur de valider directement", async function () {
+            await landRegistry.connect(user1).registerLand(
+                "Paris",
+                1500,
+                10,
+                ethers.parseEther("500"),
+                "QmWmyoMoctfbAaiEs2G4bNi1KxatgFfJw47y36p2uUd3Yr"
+            );
+
+            await expect(
+                landRegistry.connect(user2).validateLand(1, "QmValidationCID1", true)
+            ).to.be.revertedWithCustomError(landRegistry, "UnauthorizedValidator");
+        });
+
+        it("Ne doit pas permettre à un validateur de valider deux fois", async function () {
+            await landRegistry.connect(user1).registerLand(
+                "Paris",
+                1500,
+                10,
+                ethers.parseEther("500"),
+                "QmWmyoMoctfbAaiEs2G4bNi1KxatgFfJw47y36p2uUd3Yr"
+            );
+
+            await landRegistry.connect(validator1).validateLand(1, "QmValidationCID1", true);
+            await expect(
+                landRegistry.connect(validator1).validateLand(1, "QmValidationCID1", true)
+            ).to.be.revertedWithCustomError(landRegistry, "ValidatorAlreadyValidated");
+        });
+
+        it("Doit refuser les avis sur un terrain déjà validé ou rejeté", async function () {
+            const [lateNotary] = (await ethers.getSigners()).slice(7);
+            await landRegistry.connect(user1).registerLand("Paris", 1500, 10, ethers.parseEther("500"), "QmCID1");
+            await landRegistry.connect(user1).registerLand("Lyon", 1500, 10, ethers.parseEther("500"), "QmCID2");
+            await landRegistry.connect(owner).addValidator(lateNotary.address, 0);
+
+            await landRegistry.connect(validator1).validateLand(1, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(1, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(1, "QmV3", true);
+            await expect(
+                landRegistry.connect(lateNotary).validateLand(1, "QmTardif", false)
+            ).to.be.revertedWithCustomError(landRegistry, "LandNotPending");
+            expect((await landRegistry.getLandDetails(1))[1]).to.equal(1);
+
+            await landRegistry.connect(validator1).validateLand(2, "QmV1", false);
+            await expect(
+                landRegistry.connect(validator2).validateLand(2, "QmV2", true)
+            ).to.be.revertedWithCustomError(landRegistry, "LandNotPending");
+        });
+
+        it("Doit rejeter une attestation rejouée", async function () {
+            await landRegistry.connect(user1).registerLand("Paris", 1500, 10, ethers.parseEther("500"), "QmCID1");
+            await landRegistry.connect(user1).registerLand("Lyon", 1500, 10, ethers.parseEther("500"), "QmCID2");
+
+            const { signature } = await signValidationAttestation(
+                validator1,
+                landRegistry,
+                { landId: 1, cidComments: "QmValidationCID1", isValid: true, deadline }
+            );
+            await landRegistry.connect(relayer).validateLandWithSignature(
+                1, "QmValidationCID1", true, validator1.address, deadline, signature
+            );
+            expect(await landRegistry.nonces(validator1.address)).to.equal(1);
+
+            // Le nonce a été consommé : la même signature n'est plus valide
+            await expect(
+                landRegistry.connect(relayer).validateLandWithSignature(
+                    1, "QmValidationCID1", true, validator1.address, deadline, signature
+                )
+            ).to.be.revertedWithCustomError(landRegistry, "InvalidSignature");
+        });
+
+        it("Doit rejeter une attestation expirée", async function () {
+            await landRegistry.connect(user1).registerLand("Paris", 1500, 10, ethers.parseEther("500"), "QmCID1");
+
+            const expired = (await deadlineIn(0)) - 1;
+            const { signature } = await signValidationAttestation(
+                validator1,
+                landRegistry,
+                { landId: 1, cidComments: "QmValidationCID1", isValid: true, deadline: expired }
+            );
+
+            await expect(
+                landRegistry.connect(relayer).validateLandWithSignature(
+                    1, "QmValidationCID1", true, validator1.address, expired, signature
+                )
+            ).to.be.revertedWithCustomError(landRegistry, "SignatureExpired");
+        });
+
+        it("Doit rejeter une attestation signée par un autre compte", async function () {
+            await landRegistry.connect(user1).registerLand("Paris", 1500, 10, ethers.parseEther("500"), "QmCID1");
+
+            // user2 signe en se faisant passer pour le notaire
+            const { signature } = await signValidationAttestation(
+                user2,
+                landRegistry,
+                { landId: 1, cidComments: "QmValidationCID1", isValid: true, deadline, nonce: 0 }
+            );
+
+            await expect(
+                landRegistry.connect(relayer).validateLandWithSignature(
+                    1, "QmValidationCID1", true, validator1.address, deadline, signature
+                )
+            ).to.be.revertedWithCustomError(landRegistry, "InvalidSignature");
+        });
+
+        it("Doit rejeter une attestation dont le verdict a été modifié", async function () {
+            await landRegistry.connect(user1).registerLand("Paris", 1500, 10, ethers.parseEther("500"), "QmCID1");
+
+            const { signature } = await signValidationAttestation(
+                validator1,
+                landRegistry,
+                { landId: 1, cidComments: "QmValidationCID1", isValid: false, deadline }
+            );
+
+            await expect(
+                landRegistry.connect(relayer).validateLandWithSignature(
+                    1, "QmValidationCID1", true, validator1.address, deadline, signature
+                )
+            ).to.be.revertedWithCustomError(landRegistry, "InvalidSignature");
         });
     });
 
@@ -165,24 +448,20 @@ describe("Land System Tests", function () {
             await tx.wait();
             landId = 1;
     
-            // Correction des appels à validateLand
             await landRegistry.connect(validator1).validateLand(
-                landId, 
-                "QmValidationCID1", 
-                true,
-                validator1.address  // Ajout de l'adresse du validateur
+                landId,
+                "QmValidationCID1",
+                true
             );
             await landRegistry.connect(validator2).validateLand(
-                landId, 
-                "QmValidationCID2", 
-                true,
-                validator2.address
+                landId,
+                "QmValidationCID2",
+                true
             );
             await landRegistry.connect(validator3).validateLand(
-                landId, 
-                "QmValidationCID3", 
-                true,
-                validator3.address
+                landId,
+                "QmValidationCID3",
+                true
             );
     
             const [, status] = await landRegistry.getLandDetails(landId);
@@ -190,7 +469,7 @@ describe("Land System Tests", function () {
         });
 
         it("Doit permettre le minting standard (client paie)", async function () {
-            await landToken.tokenizeLand(landId);
+            await landToken.connect(user1).tokenizeLand(landId);
 
             await landToken.connect(user1).mintToken(landId, {
                 value: ethers.parseEther("500")
@@ -200,18 +479,103 @@ describe("Land System Tests", function () {
         });
 
         it("Doit permettre le minting via relayer", async function () {
-            await landToken.tokenizeLand(landId);
+            await landToken.connect(user1).tokenizeLand(landId);
+
+            const deadline = await deadlineIn(3600);
+            const { signature } = await signMintRequest(user1, landToken, {
+                landId,
+                quantity: 1,
+                deadline
+            });
 
             await landToken.connect(relayer).mintTokenForUser(
                 landId,
                 user1.address,
+                deadline,
+                signature,
                 { value: ethers.parseEther("500") }
             );
 
             expect(await landToken.ownerOf(1)).to.equal(user1.address);
+            expect(await landToken.nonces(user1.address)).to.equal(1);
+        });
+
+        it("Ne doit pas permettre au relayer de minter sans la signature de l'utilisateur", async function () {
+            await landToken.connect(user1).tokenizeLand(landId);
+
+            const deadline = await deadlineIn(3600);
+            // Signature produite par user2 pour le compte de user1
+            const { signature } = await signMintRequest(user2, landToken, {
+                landId,
+                quantity: 1,
+                deadline
+            });
+
+            await expect(
+                landToken.connect(relayer).mintTokenForUser(
+                    landId,
+                    user1.address,
+                    deadline,
+                    signature,
+                    { value: ethers.parseEther("500") }
+                )
+            ).to.be.revertedWithCustomError(landToken, "InvalidSignature");
+        });
+
+        it("Doit rejeter une requête de mint rejouée ou expirée", async function () {
+            await landToken.connect(user1).tokenizeLand(landId);
+
+            const deadline = await deadlineIn(3600);
+            const { signature } = await signMintRequest(user1, landToken, {
+                landId,
+                quantity: 1,
+                deadline
+            });
+            await landToken.connect(relayer).mintTokenForUser(
+                landId, user1.address, deadline, signature,
+                { value: ethers.parseEther("500") }
+            );
+
+            await expect(
+                landToken.connect(relayer).mintTokenForUser(
+                    landId, user1.address, deadline, signature,
+                    { value: ethers.parseEther("500") }
+                )
+            ).to.be.revertedWithCustomError(landToken, "InvalidSignature");
+
+            const expired = (await deadlineIn(0)) - 1;
+            const expiredRequest = await signMintRequest(user1, landToken, {
+                landId,
+                quantity: 1,
+                deadline: expired
+            });
+            await expect(
+                landToken.connect(relayer).mintTokenForUser(
+                    landId, user1.address, expired, expiredRequest.signature,
+                    { value: ethers.parseEther("500") }
+                )
+            ).to.be.revertedWithCustomError(landToken, "SignatureExpired");
+        });
+
+        it("Ne doit pas permettre à un non-relayer d'utiliser le mint relayé", async function () {
+            await landToken.connect(user1).tokenizeLand(landId);
+
+            const deadline = await deadlineIn(3600);
+            const { signature } = await signMintRequest(user1, landToken, {
+                landId,
+                quantity: 1,
+                deadline
+            });
+
+            await expect(
+                landToken.connect(user2).mintTokenForUser(
+                    landId, user1.address, deadline, signature,
+                    { value: ethers.parseEther("500") }
+                )
+            ).to.be.revertedWithCustomError(landToken, "UnauthorizedRelayer");
         });
         it("Doit permettre le minting de plusieurs tokens à la fois", async function () {
-            await landToken.tokenizeLand(landId);
+            await landToken.connect(user1).tokenizeLand(landId);
             
             const quantity = 3;
             const pricePerToken = ethers.parseEther("500");
@@ -232,16 +596,25 @@ describe("Land System Tests", function () {
         });
         
         it("Doit permettre le minting multiple via relayer", async function () {
-            await landToken.tokenizeLand(landId);
+            await landToken.connect(user1).tokenizeLand(landId);
             
             const quantity = 2;
             const pricePerToken = ethers.parseEther("500");
             const totalPrice = pricePerToken * BigInt(quantity);
             
+            const deadline = await deadlineIn(3600);
+            const { signature } = await signMintRequest(user2, landToken, {
+                landId,
+                quantity,
+                deadline
+            });
+
             await landToken.connect(relayer).mintMultipleTokensForUser(
                 landId,
                 user2.address,
                 quantity,
+                deadline,
+                signature,
                 { value: totalPrice }
             );
             
@@ -255,37 +628,30 @@ describe("Land System Tests", function () {
             }
         });
         it("Doit distribuer correctement les fonds lors du minting (avec frais de plateforme)", async function () {
-            await landToken.tokenizeLand(landId);
+            await landToken.connect(user1).tokenizeLand(landId);
             
             // Définir des frais de plateforme de 10%
-            await landToken.connect(owner).setPlatformFeePercentage(1000);
+            await applyTimelocked(() => landToken.connect(owner).setPlatformFeePercentage(1000));
             expect(await landToken.platformFeePercentage()).to.equal(1000);
             
-            // Obtenir les soldes initiaux
-            const initialContractBalance = await ethers.provider.getBalance(landToken.target);
-            const initialLandOwnerBalance = await ethers.provider.getBalance(user1.address);
-            
             // Minter un token (user2 mint, user1 est le propriétaire du terrain)
             const price = ethers.parseEther("500");
             const platformFee = price * BigInt(1000) / BigInt(10000); // 10%
             const ownerAmount = price - platformFee;
             
-            const mintTx = await landToken.connect(user2).mintToken(landId, {
-                value: price
-            });
-            
-            // Vérifier que les frais sont correctement collectés par le contrat
-            const finalContractBalance = await ethers.provider.getBalance(landToken.target);
-            expect(finalContractBalance - initialContractBalance).to.equal(platformFee);
+            // Le contrat conserve le paiement : frais accumulés et part du propriétaire créditée
+            await expect(landToken.connect(user2).mintToken(landId, { value: price }))
+                .to.changeEtherBalance(landToken, price);
+            expect(await landToken.accumulatedPlatformFees()).to.equal(platformFee);
+            expect(await landToken.payments(user1.address)).to.equal(ownerAmount);
             
-            // Vérifier que le propriétaire du terrain a reçu le bon montant
-            // Note: nous devons prendre en compte que user1 a peut-être dépensé du gaz pour d'autres transactions
-            // Pour simplifier, vérifions simplement que le solde a augmenté d'environ le montant attendu
-            const finalLandOwnerBalance = await ethers.provider.getBalance(user1.address);
-            const landOwnerBalanceDiff = finalLandOwnerBalance - initialLandOwnerBalance;
+            // Le propriétaire du terrain retire sa part
+            await expect(landToken.connect(user1).withdrawPayments())
+                .to.changeEtherBalance(user1, ownerAmount);
+            expect(await landToken.totalPendingPayments()).to.equal(0);
             
-            // Vérifier avec une marge d'erreur pour le gaz dépensé par user1
-            expect(landOwnerBalanceDiff).to.be.closeTo(ownerAmount, ethers.parseEther("0.01"));
+            // Seuls les frais de plateforme restent sur le contrat
+            expect(await ethers.provider.getBalance(landToken.target)).to.equal(platformFee);
         });
     });
 
@@ -303,27 +669,23 @@ describe("Land System Tests", function () {
             await tx.wait();
             landId = 1;
     
-            // Correction des appels à validateLand
             await landRegistry.connect(validator1).validateLand(
-                landId, 
-                "QmValidationCID1", 
-                true,
-                validator1.address
+                landId,
+                "QmValidationCID1",
+                true
             );
             await landRegistry.connect(validator2).validateLand(
-                landId, 
-                "QmValidationCID2", 
-                true,
-                validator2.address
+                landId,
+                "QmValidationCID2",
+                true
             );
             await landRegistry.connect(validator3).validateLand(
-                landId, 
-                "QmValidationCID3", 
-                true,
-                validator3.address
+                landId,
+                "QmValidationCID3",
+                true
             );
     
-            await landToken.tokenizeLand(landId);
+            await landToken.connect(user1).tokenizeLand(landId);
     
             await landToken.connect(user1).mintToken(landId, {
                 value: ethers.parseEther("500")
@@ -344,11 +706,20 @@ describe("Land System Tests", function () {
         it("Doit permettre le listing via relayer", async function () {
             const listingPrice = ethers.parseEther("1000");
 
+            const deadline = await deadlineIn(3600);
+            const { signature } = await signListRequest(user1, marketplace, {
+                tokenId,
+                price: listingPrice,
+                deadline
+            });
+
             await landToken.connect(user1).approve(marketplace.target, tokenId);
             await marketplace.connect(relayer).listTokenForUser(
                 tokenId,
                 listingPrice,
-                user1.address
+                user1.address,
+                deadline,
+                signature
             );
 
             const listing = await marketplace.listings(tokenId);
@@ -356,6 +727,62 @@ describe("Land System Tests", function () {
             expect(listing.seller).to.equal(user1.address);
         });
 
+        it("Ne doit pas permettre au relayer de lister à un autre prix que celui signé", async function () {
+            const deadline = await deadlineIn(3600);
+            const { signature } = await signListRequest(user1, marketplace, {
+                tokenId,
+                price: ethers.parseEther("1000"),
+                deadline
+            });
+
+            await landToken.connect(user1).approve(marketplace.target, tokenId);
+            await expect(
+                marketplace.connect(relayer).listTokenForUser(
+                    tokenId,
+                    ethers.parseEther("1"),
+                    user1.address,
+                    deadline,
+                    signature
+                )
+            ).to.be.revertedWithCustomError(marketplace, "InvalidSignature");
+        });
+
+        it("Doit permettre l'annulation d'un listing via relayer", async function () {
+            const listingPrice = ethers.parseEther("1000");
+
+            await landToken.connect(user1).approve(marketplace.target, tokenId);
+            await marketplace.connect(user1).listToken(tokenId, listingPrice);
+
+            const deadline = await deadlineIn(3600);
+            const { signature } = await signCancelRequest(user1, marketplace, {
+                tokenId,
+                deadline
+            });
+
+            // Une signature d'un autre compte ne suffit pas
+            const forged = await signCancelRequest(user2, marketplace, {
+                tokenId,
+                deadline,
+                nonce: 0
+            });
+            await expect(
+                marketplace.connect(relayer).cancelListingForUser(
+                    tokenId, user1.address, deadline, forged.signature
+                )
+            ).to.be.revertedWithCustomError(marketplace, "InvalidSignature");
+
+            await marketplace.connect(relayer).cancelListingForUser(
+                tokenId,
+                user1.address,
+                deadline,
+                signature
+            );
+
+            const listing = await marketplace.listings(tokenId);
+            expect(listing.isActive).to.be.false;
+            expect(await landToken.ownerOf(tokenId)).to.equal(user1.address);
+        });
+
         it("Doit permettre l'achat via relayer", async function () {
             const listingPrice = ethers.parseEther("1000");
 
@@ -406,8 +833,6 @@ describe("Land System Tests", function () {
             expect(await landToken.ownerOf(tokenId)).to.equal(user1.address);
         });
         it("Doit permettre de lister plusieurs tokens à la fois", async function () {
-            await landToken.tokenizeLand(landId);
-            
             // Minter 3 tokens
             const quantity = 3;
             const pricePerToken = ethers.parseEther("500");
@@ -417,7 +842,8 @@ describe("Land System Tests", function () {
                 value: totalPrice
             });
             
-            const tokens = await landToken.getTokensByLand(landId);
+            // Le token minté dans le beforeEach n'est pas concerné
+            const tokens = [...(await landToken.getTokensByLand(landId))].slice(1);
             expect(tokens.length).to.equal(quantity);
             
             // Approuver le marketplace pour tous les tokens
@@ -444,8 +870,6 @@ describe("Land System Tests", function () {
         });
         
         it("Doit permettre d'acheter plusieurs tokens à la fois", async function () {
-            await landToken.tokenizeLand(landId);
-            
             // Minter 2 tokens
             const quantity = 2;
             const pricePerToken = ethers.parseEther("500");
@@ -455,7 +879,8 @@ describe("Land System Tests", function () {
                 value: totalPrice
             });
             
-            const tokens = await landToken.getTokensByLand(landId);
+            // Le token minté dans le beforeEach n'est pas concerné
+            const tokens = [...(await landToken.getTokensByLand(landId))].slice(1);
             
             // Approuver le marketplace pour tous les tokens
             for (let i = 0; i < tokens.length; i++) {
@@ -472,10 +897,7 @@ describe("Land System Tests", function () {
             const totalPurchasePrice = listingPrice * BigInt(tokens.length);
             
             // Configurer les frais de marketplace à 5%
-            await marketplace.connect(owner).setMarketplaceFeePercentage(500);
-            
-            // Capturer le solde du vendeur avant la vente
-            const sellerInitialBalance = await ethers.provider.getBalance(user1.address);
+            await applyTimelocked(() => marketplace.connect(owner).setMarketplaceFeePercentage(500));
             
             // Acheter les tokens
             await marketplace.connect(user2).buyMultipleTokens(tokens, {
@@ -497,18 +919,16 @@ describe("Land System Tests", function () {
             const marketplaceFee = totalPurchasePrice * BigInt(500) / BigInt(10000); // 5%
             const expectedSellerAmount = totalPurchasePrice - marketplaceFee;
             
-            // Vérifier le solde du contrat (frais de marketplace)
-            const marketplaceBalance = await ethers.provider.getBalance(marketplace.target);
-            expect(marketplaceBalance).to.equal(marketplaceFee);
+            // Vérifier les frais accumulés et le montant crédité au vendeur
+            expect(await marketplace.accumulatedMarketplaceFees()).to.equal(marketplaceFee);
+            expect(await marketplace.payments(user1.address)).to.equal(expectedSellerAmount);
             
-            // Vérifier le solde du vendeur (avec une marge d'erreur pour le gaz)
-            const sellerFinalBalance = await ethers.provider.getBalance(user1.address);
-            const sellerBalanceDiff = sellerFinalBalance - sellerInitialBalance;
-            expect(sellerBalanceDiff).to.be.closeTo(expectedSellerAmount, ethers.parseEther("0.01"));
+            // Le vendeur retire son dû, seuls les frais restent sur le marketplace
+            await expect(marketplace.connect(user1).withdrawPayments())
+                .to.changeEtherBalance(user1, expectedSellerAmount);
+            expect(await ethers.provider.getBalance(marketplace.target)).to.equal(marketplaceFee);
         });
         it("Doit permettre au propriétaire de retirer les frais du marketplace", async function () {
-            await landToken.tokenizeLand(landId);
-            
             // Minter un token
             await landToken.connect(user1).mintToken(landId, {
                 value: ethers.parseEther("500")
@@ -520,7 +940,7 @@ describe("Land System Tests", function () {
             await marketplace.connect(user1).listToken(tokenId, listingPrice);
             
             // Configurer les frais de marketplace à 5%
-            await marketplace.connect(owner).setMarketplaceFeePercentage(500);
+            await applyTimelocked(() => marketplace.connect(owner).setMarketplaceFeePercentage(500));
             
             // User2 achète le token
             await marketplace.connect(user2).buyToken(tokenId, {
@@ -530,11 +950,10 @@ describe("Land System Tests", function () {
             // Calculer les frais de marketplace
             const marketplaceFee = listingPrice * BigInt(500) / BigInt(10000); // 5%
             
-            // Vérifier le solde du contrat (frais de marketplace)
-            const marketplaceBalance = await ethers.provider.getBalance(marketplace.target);
-            expect(marketplaceBalance).to.equal(marketplaceFee);
+            // Vérifier les frais accumulés
+            expect(await marketplace.accumulatedMarketplaceFees()).to.equal(marketplaceFee);
             
-            // Capturer le solde du propriétaire avant le retrait
+            // Capturer le solde du propriétaire (trésorerie par défaut) avant le retrait
             const ownerInitialBalance = await ethers.provider.getBalance(owner.address);
             
             // Retirer les frais
@@ -542,21 +961,27 @@ describe("Land System Tests", function () {
             const withdrawReceipt = await withdrawTx.wait();
             const gasCost = withdrawReceipt.gasUsed * withdrawReceipt.gasPrice;
             
-            // Vérifier que le contrat n'a plus de fonds
+            // Vérifier qu'il ne reste que le montant dû au vendeur
             const marketplaceFinalBalance = await ethers.provider.getBalance(marketplace.target);
-            expect(marketplaceFinalBalance).to.equal(0);
+            expect(marketplaceFinalBalance).to.equal(listingPrice - marketplaceFee);
             
             // Vérifier que le propriétaire a reçu les frais (moins le coût du gaz)
             const ownerFinalBalance = await ethers.provider.getBalance(owner.address);
             const expectedOwnerBalance = ownerInitialBalance + marketplaceFee - gasCost;
             expect(ownerFinalBalance).to.equal(expectedOwnerBalance);
+            
+            // Une fois le vendeur payé, le marketplace est vide
+            await expect(marketplace.connect(user1).withdrawPayments())
+                .to.changeEtherBalance(user1, listingPrice - marketplaceFee);
+            expect(await ethers.provider.getBalance(marketplace.target)).to.equal(0);
         });
         
         it("Doit permettre au propriétaire de retirer les frais de plateforme", async function () {
-            await landToken.tokenizeLand(landId);
+            // Frais déjà perçus sur le mint du beforeEach
+            const initialFees = await landToken.accumulatedPlatformFees();
             
             // Configurer les frais de plateforme à 10%
-            await landToken.connect(owner).setPlatformFeePercentage(1000);
+            await applyTimelocked(() => landToken.connect(owner).setPlatformFeePercentage(1000));
             
             // Minter un token
             await landToken.connect(user2).mintToken(landId, {
@@ -567,11 +992,10 @@ describe("Land System Tests", function () {
             const price = ethers.parseEther("500");
             const platformFee = price * BigInt(1000) / BigInt(10000); // 10%
             
-            // Vérifier le solde du contrat
-            const contractBalance = await ethers.provider.getBalance(landToken.target);
-            expect(contractBalance).to.equal(platformFee);
+            // Vérifier les frais accumulés
+            expect(await landToken.accumulatedPlatformFees()).to.equal(initialFees + platformFee);
             
-            // Capturer le solde du propriétaire avant le retrait
+            // Capturer le solde du propriétaire (trésorerie par défaut) avant le retrait
             const ownerInitialBalance = await ethers.provider.getBalance(owner.address);
             
             // Retirer les frais
@@ -579,14 +1003,21 @@ describe("Land System Tests", function () {
             const withdrawReceipt = await withdrawTx.wait();
             const gasCost = withdrawReceipt.gasUsed * withdrawReceipt.gasPrice;
             
-            // Vérifier que le contrat n'a plus de fonds
+            // Vérifier qu'il ne reste que les parts créditées au propriétaire du terrain
+            const pendingPayments = await landToken.payments(user1.address);
+            expect(pendingPayments).to.equal((price - initialFees) + (price - platformFee));
             const contractFinalBalance = await ethers.provider.getBalance(landToken.target);
-            expect(contractFinalBalance).to.equal(0);
+            expect(contractFinalBalance).to.equal(pendingPayments);
             
             // Vérifier que le propriétaire a reçu les frais (moins le coût du gaz)
             const ownerFinalBalance = await ethers.provider.getBalance(owner.address);
-            const expectedOwnerBalance = ownerInitialBalance + platformFee - gasCost;
+            const expectedOwnerBalance = ownerInitialBalance + initialFees + platformFee - gasCost;
             expect(ownerFinalBalance).to.equal(expectedOwnerBalance);
+            
+            // Une fois le propriétaire du terrain payé, le contrat est vide
+            await expect(landToken.connect(user1).withdrawPayments())
+                .to.changeEtherBalance(user1, pendingPayments);
+            expect(await ethers.provider.getBalance(landToken.target)).to.equal(0);
         });
     });
     describe("5. Relayer System Tests", function () {
@@ -604,7 +1035,7 @@ describe("Land System Tests", function () {
         it("Ne doit pas permettre à un non-owner d'ajouter un relayer", async function () {
             await expect(
                 landRegistry.connect(user1).addRelayer(user2.address)
-            ).to.be.revertedWithCustomError(landRegistry, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(landRegistry, "MissingRole");
         });
 
         it("Doit rejeter les validations d'un non-relayer/non-validator", async function () {
@@ -616,17 +1047,27 @@ describe("Land System Tests", function () {
                 "QmWmyoMoctfbAaiEs2G4bNi1KxatgFfJw47y36p2uUd3Yr"
             );
 
+            const deadline = await deadlineIn(3600);
+            const { signature } = await signValidationAttestation(
+                validator1,
+                landRegistry,
+                { landId: 1, cidComments: "QmValidationCID1", isValid: true, deadline }
+            );
+
             await expect(
-                landRegistry.connect(user2).validateLand(
+                landRegistry.connect(user2).validateLandWithSignature(
                     1,
                     "QmValidationCID1",
                     true,
-                    validator1.address
+                    validator1.address,
+                    deadline,
+                    signature
                 )
             ).to.be.revertedWithCustomError(landRegistry, "UnauthorizedRelayer");
         });
         it("Doit permettre à un relayer d'acheter plusieurs tokens pour un utilisateur", async function () {
-            await landToken.tokenizeLand(landId);
+            const landId = await validatedLand("Toulouse", ethers.parseEther("500"));
+            await landToken.connect(user1).tokenizeLand(landId);
             
             // Minter 2 tokens
             const quantity = 2;
@@ -637,7 +1078,7 @@ describe("Land System Tests", function () {
                 value: totalPrice
             });
             
-            const tokens = await landToken.getTokensByLand(landId);
+            const tokens = [...(await landToken.getTokensByLand(landId))];
             
             // Approuver le marketplace pour tous les tokens
             for (let i = 0; i < tokens.length; i++) {
@@ -664,5 +1105,4501 @@ describe("Land System Tests", function () {
         });
     });
 
+
+    describe("6. Deployment Pipeline Tests", function () {
+        let deploymentsDir, config;
+        const silent = () => {};
+
+        beforeEach(async function () {
+            deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "land-deployments-"));
+            config = {
+                validators: [
+                    { address: validator1.address, type: 0 },
+                    { address: validator2.address, type: 1 },
+                    { address: validator3.address, type: 2 }
+                ],
+                relayers: [relayer.address]
+            };
+        });
+
+        afterEach(function () {
+            fs.rmSync(deploymentsDir, { recursive: true, force: true });
+        });
+
+        it("Doit déployer, configurer les rôles et écrire le manifeste", async function () {
+            const manifest = await deploySystem(hre, { deploymentsDir, config, log: silent });
+
+            expect(manifest.manifestVersion).to.equal(1);
+            expect(manifest.chainId).to.equal(31337);
+            for (const name of ["LandRegistry", "LandToken", "LandTokenMarketplace", "LandShares", "LandShareMarketplace", "LandDividends", "LandGovernance", "LandCompliance", "LandCrowdfunding", "LandBuyout", "LandVesting"]) {
+                const entry = manifest.contracts[name];
+                expect(entry.address).to.match(/^0x[0-9a-fA-F]{40}$/);
+                expect(entry.txHash).to.match(/^0x[0-9a-f]{64}$/);
+                expect(entry.blockNumber).to.be.above(0);
+                expect(entry.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+            }
+
+            const registry = await ethers.getContractAt("LandRegistry", manifest.contracts.LandRegistry.address);
+            const token = await ethers.getContractAt("LandToken", manifest.contracts.LandToken.address);
+            const market = await ethers.getContractAt("LandTokenMarketplace", manifest.contracts.LandTokenMarketplace.address);
+
+            expect(await registry.tokenizer()).to.equal(manifest.contracts.LandToken.address);
+            expect(await registry.shareTokenizer()).to.equal(manifest.contracts.LandShares.address);
+            expect(await token.marketplace()).to.equal(manifest.contracts.LandTokenMarketplace.address);
+            expect(await token.dividendDistributor()).to.equal(manifest.contracts.LandDividends.address);
+            expect(await token.governance()).to.equal(manifest.contracts.LandGovernance.address);
+            expect(await token.crowdfunding()).to.equal(manifest.contracts.LandCrowdfunding.address);
+            expect(await token.buyout()).to.equal(manifest.contracts.LandBuyout.address);
+            expect(await token.vesting()).to.equal(manifest.contracts.LandVesting.address);
+            expect(await registry.governance()).to.equal(manifest.contracts.LandGovernance.address);
+            expect(await market.landToken()).to.equal(manifest.contracts.LandToken.address);
+            expect(await registry.validators(validator2.address)).to.be.true;
+            expect(await registry.validatorTypes(validator2.address)).to.equal(1);
+            expect(await registry.relayers(relayer.address)).to.be.true;
+            expect(await token.relayers(relayer.address)).to.be.true;
+            expect(await market.relayers(relayer.address)).to.be.true;
+
+            // Le manifeste est bien persisté sur disque
+            const saved = loadManifest("hardhat", deploymentsDir);
+            expect(saved.contracts.LandToken.address).to.equal(manifest.contracts.LandToken.address);
+            expect(saved.configuration.validators[validator1.address].type).to.equal("Notaire");
+
+            // Registre, token et marketplace sont derrière des proxies administrés par LandProxyAdmin
+            const admin = await ethers.getContractAt("LandProxyAdmin", manifest.proxyAdmin.address);
+            for (const name of ["LandRegistry", "LandToken", "LandTokenMarketplace"]) {
+                const entry = manifest.contracts[name];
+                expect(await admin.getProxyImplementation(entry.address)).to.equal(entry.implementation);
+                expect(entry.storageLayout.length).to.be.above(0);
+            }
+            expect(await token.owner()).to.equal(owner.address);
+        });
+
+        it("Doit reprendre un déploiement existant sans redéployer", async function () {
+            const first = await deploySystem(hre, { deploymentsDir, config, log: silent });
+            const blockAfterFirst = await ethers.provider.getBlockNumber();
+
+            const second = await deploySystem(hre, { deploymentsDir, config, log: silent });
+
+            expect(second.contracts).to.deep.equal(first.contracts);
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockAfterFirst);
+        });
+
+        it("Doit terminer la configuration interrompue lors de la reprise", async function () {
+            await deploySystem(hre, {
+                deploymentsDir,
+                config: { validators: [], relayers: [] },
+                log: silent
+            });
+
+            const manifest = await deploySystem(hre, { deploymentsDir, config, log: silent });
+            const registry = await ethers.getContractAt("LandRegistry", manifest.contracts.LandRegistry.address);
+
+            expect(await registry.validators(validator3.address)).to.be.true;
+            expect(manifest.configuration.relayers[relayer.address].LandTokenMarketplace.txHash).to.match(/^0x/);
+        });
+
+        it("Doit appliquer la politique d'approbation et changer le type d'un validateur à la reprise", async function () {
+            await deploySystem(hre, { deploymentsDir, config, log: silent });
+
+            config.validators[2] = { address: validator3.address, type: 0 };
+            config.approvalPolicy = parseApprovalPolicy({ Notaire: 2, Geometre: 1 });
+            const manifest = await deploySystem(hre, { deploymentsDir, config, log: silent });
+            const registry = await ethers.getContractAt("LandRegistry", manifest.contracts.LandRegistry.address);
+
+            expect(await registry.validatorTypes(validator3.address)).to.equal(0);
+            expect(await registry.getValidatorsByType(0)).to.deep.equal([validator1.address, validator3.address]);
+            expect(await registry.getApprovalPolicy(0)).to.deep.equal([2, 1, 0]);
+            expect(manifest.configuration.approvalPolicy.requiredApprovals).to.deep.equal([2, 1, 0]);
+            expect(manifest.configuration.validators[validator3.address].type).to.equal("Notaire");
+        });
+
+        it("Doit refuser de reprendre si l'ABI d'un contrat a changé", async function () {
+            const manifest = await deploySystem(hre, { deploymentsDir, config, log: silent });
+            const original = manifest.contracts.LandShares.abiHash;
+            manifest.contracts.LandShares.abiHash = ethers.ZeroHash;
+            saveManifest(manifest, deploymentsDir);
+
+            let error;
+            try {
+                await deploySystem(hre, { deploymentsDir, config, log: silent });
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.exist;
+            expect(error.message).to.contain("DEPLOY_FRESH");
+
+            // Un contrat proxifié se met à jour au lieu d'être redéployé
+            manifest.contracts.LandShares.abiHash = original;
+            manifest.contracts.LandToken.abiHash = ethers.ZeroHash;
+            saveManifest(manifest, deploymentsDir);
+            error = undefined;
+            try {
+                await deploySystem(hre, { deploymentsDir, config, log: silent });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain("npm run upgrade");
+
+            const fresh = await deploySystem(hre, { deploymentsDir, config, fresh: true, log: silent });
+            expect(fresh.contracts.LandToken.address).to.not.equal(manifest.contracts.LandToken.address);
+        });
+
+        it("Doit brancher la conformité au déploiement et ne la débrancher qu'après le délai", async function () {
+            const manifest = await deploySystem(hre, { deploymentsDir, config: { ...config, compliance: true }, log: silent });
+            const token = await ethers.getContractAt("LandToken", manifest.contracts.LandToken.address);
+            const shares = await ethers.getContractAt("LandShares", manifest.contracts.LandShares.address);
+            expect(await token.compliance()).to.equal(manifest.contracts.LandCompliance.address);
+            expect(await shares.compliance()).to.equal(manifest.contracts.LandCompliance.address);
+            expect(manifest.configuration.compliance.enabled).to.equal(true);
+
+            // Débranché par la configuration, une fois le délai du timelock écoulé
+            const disabled = { ...config, compliance: false };
+            let error;
+            try {
+                await deploySystem(hre, { deploymentsDir, config: disabled, log: silent });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain("LandToken.setCompliance a été mis en file");
+            expect(await token.compliance()).to.equal(manifest.contracts.LandCompliance.address);
+            await time.increase(2 * 24 * 3600);
+            await deploySystem(hre, { deploymentsDir, config: disabled, log: silent });
+            expect(await token.compliance()).to.equal(ZERO_ADDRESS);
+            expect(await shares.compliance()).to.equal(ZERO_ADDRESS);
+        });
+    });
+
+
+    describe("7. Hardhat Tasks Tests", function () {
+        let deploymentsDir, config;
+
+        beforeEach(async function () {
+            deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "land-tasks-"));
+            config = {
+                validators: [
+                    { address: validator1.address, type: 0 },
+                    { address: validator2.address, type: 1 },
+                    { address: validator3.address, type: 2 }
+                ],
+                relayers: [relayer.address]
+            };
+            await deploySystem(hre, { deploymentsDir, config, log: () => {} });
+        });
+
+        afterEach(function () {
+            fs.rmSync(deploymentsDir, { recursive: true, force: true });
+        });
+
+        const run = (name, args) => hre.run(name, { deployments: deploymentsDir, ...args });
+
+        it("Doit piloter le cycle de vie complet d'un terrain", async function () {
+            const { landId } = await run("register-land", {
+                location: "Paris",
+                surface: 1500,
+                tokens: 10,
+                price: "0.5",
+                cid: "QmDoc",
+                from: "1"
+            });
+            expect(landId).to.equal(1n);
+
+            await run("validate", { land: 1, cid: "QmV1", from: "3" });
+            // Validation relayée : le géomètre signe, le relayer soumet
+            await run("validate", { land: 1, cid: "QmV2", from: "6", validator: validator2.address });
+            const validated = await run("validate", { land: 1, cid: "QmV3", from: "5" });
+            expect(validated.status).to.equal("Valide");
+
+            await run("tokenize", { land: 1, from: "1" });
+            const minted = await run("mint", { land: 1, quantity: 2, from: "2" });
+            expect(minted.tokenIds).to.deep.equal([1n, 2n]);
+            expect(minted.paid).to.equal(ethers.parseEther("1"));
+
+            await run("list", { token: 1, price: "1", from: user2.address });
+            await run("buy", { token: 1, from: "1" });
+
+            const status = await run("land-status", { land: 1, json: true });
+            expect(status.status).to.equal("Valide");
+            expect(status.availableTokens).to.equal(8n);
+            expect(status.validations.map((v) => v.validatorType)).to.deep.equal([
+                "Notaire", "Geometre", "ExpertJuridique"
+            ]);
+
+            // La sortie JSON sérialise les bigint
+            expect(JSON.parse(JSON.stringify(toJsonValue(status))).availableTokens).to.equal("8");
+
+            const manifest = loadManifest("hardhat", deploymentsDir);
+            const token = await ethers.getContractAt("LandToken", manifest.contracts.LandToken.address);
+            expect(await token.ownerOf(1)).to.equal(user1.address);
+        });
+
+        it("Doit décoder les erreurs personnalisées en messages lisibles", async function () {
+            await run("register-land", {
+                location: "Paris",
+                surface: 1500,
+                tokens: 10,
+                price: "0.5",
+                cid: "QmDoc",
+                from: "1"
+            });
+
+            let error;
+            try {
+                await run("tokenize", { land: 1, from: "1" });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.contractError.name).to.equal("LandNotValid");
+            expect(error.message).to.contain("n'est pas validé");
+
+            error = undefined;
+            try {
+                await run("validate", { land: 1, cid: "QmV1", from: "2" });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.contractError.name).to.equal("UnauthorizedValidator");
+        });
+
+        it("Doit refuser un compte signataire inconnu", async function () {
+            let error;
+            try {
+                await run("land-status", { land: 1, from: "99" });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain("index 99");
+        });
+
+        it("Doit piloter les parts fongibles et leur carnet d'ordres", async function () {
+            await run("register-land", {
+                location: "Lyon",
+                surface: 800,
+                tokens: 1000,
+                price: "0.001",
+                cid: "QmDoc",
+                from: "1"
+            });
+            await run("validate", { land: 1, cid: "QmV1", from: "3" });
+            await run("validate", { land: 1, cid: "QmV2", from: "4" });
+            await run("validate", { land: 1, cid: "QmV3", from: "5" });
+
+            await run("tokenize", { land: 1, shares: true, royalty: 250, from: "1" });
+            const minted = await run("mint-shares", { land: 1, amount: 300, from: "2" });
+            expect(minted.balance).to.equal(300n);
+            expect(minted.paid).to.equal(ethers.parseEther("0.3"));
+
+            const { orderId } = await run("share-order", { land: 1, side: "sell", quantity: 100, price: "0.002", from: "2" });
+            const filled = await run("fill-order", { order: Number(orderId), quantity: 40, from: "1" });
+            expect(filled.totalPrice).to.equal(ethers.parseEther("0.08"));
+
+            const status = await run("land-status", { land: 1, json: true });
+            expect(status.shareMode).to.be.true;
+            expect(status.availableTokens).to.equal(700n);
+
+            // 2,5 % de frais et 2,5 % de royalty au propriétaire du terrain
+            const withdrawn = await run("withdraw-payments", { from: "2" });
+            expect(withdrawn.shareMarketplace.amount).to.equal(ethers.parseEther("0.076"));
+            const royalty = await run("withdraw-payments", { from: "1" });
+            expect(royalty.shareMarketplace.amount).to.equal(ethers.parseEther("0.002"));
+        });
+
+        it("Doit déposer et réclamer des dividendes", async function () {
+            await run("register-land", {
+                location: "Lyon",
+                surface: 800,
+                tokens: 10,
+                price: "0.1",
+                cid: "QmDoc",
+                from: "1"
+            });
+            await run("validate", { land: 1, cid: "QmV1", from: "3" });
+            await run("validate", { land: 1, cid: "QmV2", from: "4" });
+            await run("validate", { land: 1, cid: "QmV3", from: "5" });
+            await run("tokenize", { land: 1, from: "1" });
+            await run("mint", { land: 1, quantity: 2, from: "2" });
+
+            const deposited = await run("deposit-dividends", { land: 1, amount: "1", from: "1" });
+            expect(deposited.tokenCount).to.equal(2);
+
+            const claimed = await run("claim-dividends", { tokens: "1,2", from: "2" });
+            expect(claimed.amount).to.equal(ethers.parseEther("1"));
+
+            let error;
+            try {
+                await run("claim-dividends", { tokens: "1", from: "1" });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.contractError.name).to.equal("NotTokenHolder");
+        });
+
+        it("Doit soumettre, voter et exécuter une proposition", async function () {
+            await run("register-land", {
+                location: "Lyon",
+                surface: 800,
+                tokens: 10,
+                price: "0.1",
+                cid: "QmDoc",
+                from: "1"
+            });
+            await run("validate", { land: 1, cid: "QmV1", from: "3" });
+            await run("validate", { land: 1, cid: "QmV2", from: "4" });
+            await run("validate", { land: 1, cid: "QmV3", from: "5" });
+            await run("tokenize", { land: 1, from: "1" });
+            await run("mint", { land: 1, quantity: 2, from: "2" });
+
+            const { proposalId } = await run("propose", { land: 1, action: "price", value: "0.15", from: "2" });
+            const voted = await run("vote", { proposal: Number(proposalId), from: "2" });
+            expect(voted.weight).to.equal(2n);
+
+            await time.increase(7 * 24 * 3600 + 1);
+            await run("execute-proposal", { proposal: Number(proposalId) });
+            const status = await run("land-status", { land: 1, json: true });
+            expect(status.pricePerToken).to.equal(ethers.parseEther("0.15"));
+        });
+
+        it("Doit corriger un terrain rejeté puis en transférer le titre", async function () {
+            await run("register-land", {
+                location: "Lille",
+                surface: 600,
+                tokens: 5,
+                price: "0.1",
+                cid: "QmDoc",
+                from: "1"
+            });
+            await run("validate", { land: 1, cid: "QmRefus", reject: true, from: "3" });
+
+            const updated = await run("update-land", {
+                land: 1,
+                location: "Lille",
+                surface: 650,
+                tokens: 5,
+                price: "0.1",
+                cid: "QmDocCorrige",
+                from: "1"
+            });
+            expect(updated.resubmitted).to.equal(true);
+            expect(updated.round).to.equal(1n);
+
+            await run("transfer-title", { land: 1, to: user2.address, from: "1" });
+            const approved = await run("approve-title", { land: 1, cid: "QmActe", from: "3" });
+            expect(approved.owner).to.equal(user2.address);
+
+            let error;
+            try {
+                await run("withdraw-land", { land: 1, from: "1" });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.contractError.name).to.equal("NotLandOwner");
+        });
+
+        it("Doit gérer le registre des validateurs", async function () {
+            await run("suspend-validator", { address: validator2.address });
+            const validators = await run("validators", { type: "Geometre", json: true });
+            expect(validators).to.deep.equal([{ address: validator2.address, type: "Geometre", suspended: true }]);
+
+            await run("remove-validator", { address: validator2.address });
+            expect(await run("validators", { type: "1" })).to.deep.equal([]);
+
+            const policy = await run("set-approval-policy", { notaire: 1, expert: 1 });
+            expect(policy.requiredApprovals).to.deep.equal({ Notaire: 1, Geometre: 0, ExpertJuridique: 1 });
+
+            let error;
+            try {
+                await run("set-approval-policy", {});
+            } catch (e) {
+                error = e;
+            }
+            expect(error.contractError.name).to.equal("InvalidApprovalPolicy");
+        });
+
+        it("Doit gérer les rôles, la propriété et les changements soumis au timelock", async function () {
+            const queued = await run("set-fees", { platform: 800, json: true });
+            expect(queued.platform).to.include({ feePercentage: 800, queued: true });
+            await run("cancel-change", { contract: "token", id: queued.platform.changeId });
+            await run("set-fees", { platform: 800 });
+            await time.increase(2 * 24 * 3600);
+            const applied = await run("set-fees", { platform: 800 });
+            expect(applied.platform.queued).to.equal(false);
+
+            const granted = await run("grant-role", { role: "pauser", account: user1.address });
+            expect(Object.keys(granted.contracts)).to.deep.equal(["registry", "token", "marketplace", "shares", "share-marketplace", "compliance"]);
+            await run("grant-role", { role: "pauser", account: user1.address, contract: "token", revoke: true });
+
+            await run("transfer-ownership", { to: user2.address, contract: "registry" });
+            const accepted = await run("accept-ownership", { contract: "registry", from: "2" });
+            expect(accepted.owner).to.equal(user2.address);
+
+            let error;
+            try {
+                await run("grant-role", { role: "pauser", account: user1.address, contract: "registry" });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.contractError.name).to.equal("OwnableUnauthorizedAccount");
+        });
+
+        it("Doit piloter la conformité par les tâches", async function () {
+            const manifest = await deploySystem(hre, { deploymentsDir, config: { ...config, compliance: true }, log: () => {} });
+            const compliance = await ethers.getContractAt("LandCompliance", manifest.contracts.LandCompliance.address);
+
+            const identity = await run("set-identity", { account: user1.address, jurisdiction: 2, days: 30 });
+            expect(identity.jurisdiction).to.equal(2);
+            await run("set-land-rules", { land: 1, maxHolders: 10, jurisdictions: "2,5" });
+            expect(await compliance.landJurisdictions(1)).to.equal((1n << 2n) | (1n << 5n));
+            expect(await compliance.maxHolders(1)).to.equal(10);
+
+            await run("grant-role", { role: "compliance-officer", account: user2.address, contract: "compliance" });
+            expect(await compliance.hasRole(await compliance.COMPLIANCE_ROLE(), user2.address)).to.equal(true);
+            await run("set-identity", { account: user1.address, revoke: true, from: "2" });
+            expect((await compliance.identities(user1.address)).expiresAt).to.equal(0);
+
+            let error;
+            try {
+                await run("set-land-rules", { land: 1, jurisdictions: "300" });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain("Juridictions invalides");
+        });
+
+        it("Doit afficher la table de capitalisation et les tokens d'un compte", async function () {
+            await run("register-land", { location: "Paris", surface: 1500, tokens: 10, price: "0.5", cid: "QmDoc", from: "1" });
+            for (const from of ["3", "4", "5"]) {
+                await run("validate", { land: 1, cid: "QmAvis", from });
+            }
+            await run("tokenize", { land: 1, from: "1" });
+            await run("mint", { land: 1, quantity: 3, from: "1" });
+            await run("mint", { land: 1, quantity: 1, from: "2" });
+
+            const capTable = await run("cap-table", { land: 1 });
+            expect(capTable.totalHolders).to.equal(2n);
+            expect(capTable.holders.find((h) => h.holder === user2.address)).to.deep.equal({
+                holder: user2.address, tokens: 1n, share: 1000n
+            });
+            const holdings = await run("holdings", { account: user1.address, land: 1, limit: 2 });
+            expect(holdings.total).to.equal(3n);
+            expect(holdings.tokenIds).to.have.length(2);
+        });
+    });
+
+
+    describe("8. SDK Tests", function () {
+        let client;
+
+        beforeEach(async function () {
+            client = new LandClient(await systemAddresses(), user1);
+        });
+
+        it("Doit embarquer les ABIs des artifacts compilés", async function () {
+            // Échoue si le SDK n'a pas été régénéré après une modification des contrats
+            for (const name of ["LandRegistry", "LandToken", "LandTokenMarketplace"]) {
+                const artifact = await hre.artifacts.readArtifact(name);
+                expect(ABIS[name], `SDK obsolète pour ${name} : npm run prepare-abis`).to.deep.equal(artifact.abi);
+                expect(ABI_HASHES[name]).to.equal(abiHash(artifact.abi));
+            }
+        });
+
+        it("Doit enregistrer, minter, lister et acheter via LandClient", async function () {
+            const { landId } = await client.registerLand({
+                location: "Paris",
+                surface: 1500,
+                totalTokens: 10,
+                pricePerToken: ethers.parseEther("0.1"),
+                cid: "QmDoc"
+            });
+            expect(landId).to.equal(1n);
+
+            let land = await client.getLand(landId);
+            expect(land.status).to.equal("EnAttente");
+            expect(land.owner).to.equal(user1.address);
+            expect(land.location).to.equal("Paris");
+
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+
+            land = await client.getLand(landId);
+            expect(land.status).to.equal("Valide");
+            expect(land.isTokenized).to.be.true;
+
+            const { tokenIds, paid } = await client.mint(landId, { quantity: 2 });
+            expect(tokenIds).to.deep.equal([1n, 2n]);
+            expect(paid).to.equal(ethers.parseEther("0.2"));
+
+            await client.list(1, ethers.parseEther("1"));
+            const page = await client.listings.page({ offset: 0, limit: 10 });
+            expect(page.total).to.equal(1n);
+            expect(page.items[0]).to.include({ tokenId: 1n, seller: user1.address, isActive: true });
+
+            const buyer = new LandClient(await systemAddresses(), user2);
+            const sale = await buyer.buy(1);
+            expect(sale.price).to.equal(ethers.parseEther("1"));
+            expect(await landToken.ownerOf(1)).to.equal(user2.address);
+            expect((await client.listings.page()).total).to.equal(0n);
+
+            const minted = await client.queryEvents(client.filters.LandToken.TokenMinted(landId));
+            expect(minted.map((event) => event.args.tokenId)).to.deep.equal([1n, 2n]);
+            expect(minted[0].args.owner).to.equal(user1.address);
+        });
+
+        it("Doit lever une erreur décodée lorsque le contrat revert", async function () {
+            await client.registerLand({
+                location: "Paris",
+                surface: 1500,
+                totalTokens: 10,
+                pricePerToken: ethers.parseEther("0.1"),
+                cid: "QmDoc"
+            });
+
+            let error;
+            try {
+                await client.mint(1, { value: ethers.parseEther("0.1") });
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(LandContractError);
+            expect(error.errorName).to.equal("LandNotTokenized");
+            expect(error.message).to.equal("Le terrain n'est pas tokenisé");
+        });
+
+        it("Doit accorder et vérifier les rôles via LandClient", async function () {
+            const admin = new LandClient(await systemAddresses(), owner);
+            expect(ROLES.TREASURER_ROLE).to.equal(await landToken.TREASURER_ROLE());
+            expect(await client.hasRole("LandToken", "TREASURER_ROLE", user1.address)).to.equal(false);
+
+            let error;
+            try {
+                await client.grantRole("LandToken", "TREASURER_ROLE", user1.address);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.errorName).to.equal("OwnableUnauthorizedAccount");
+
+            await admin.grantRole("LandToken", "TREASURER_ROLE", user1.address);
+            expect(await client.hasRole("LandToken", ROLES.TREASURER_ROLE, user1.address)).to.equal(true);
+            await admin.revokeRole("LandToken", "TREASURER_ROLE", user1.address);
+            expect(await client.hasRole("LandToken", "TREASURER_ROLE", user1.address)).to.equal(false);
+
+            error = undefined;
+            try {
+                await client.token.setTreasury(user1.address);
+            } catch (e) {
+                error = client.decodeError(e);
+            }
+            expect(error.name).to.equal("MissingRole");
+        });
+
+        it("Doit distinguer un changement mis en file d'un changement appliqué via LandClient", async function () {
+            const admin = new LandClient(await systemAddresses(), owner);
+            const queued = await admin.sendTimelocked("LandToken", "setPlatformFeePercentage", [300]);
+            expect(queued.applied).to.equal(false);
+            expect(queued.eta).to.equal(await landToken.queuedChanges(queued.changeId));
+            expect(await landToken.platformFeePercentage()).to.equal(500);
+
+            await time.increaseTo(queued.eta);
+            const applied = await admin.sendTimelocked("LandToken", "setPlatformFeePercentage", [300]);
+            expect(applied.applied).to.equal(true);
+            expect(await landToken.platformFeePercentage()).to.equal(300);
+
+            // Un appel qui diffère d'un argument est un nouveau changement, seulement mis en file
+            const retyped = await admin.sendTimelocked("LandToken", "setPlatformFeePercentage", [30]);
+            expect(retyped.applied).to.equal(false);
+            expect(await landToken.platformFeePercentage()).to.equal(300);
+        });
+
+        it("Doit refuser un manifeste dont l'ABI diffère du SDK", async function () {
+            const manifest = {
+                network: "hardhat",
+                contracts: {
+                    LandRegistry: { address: await landRegistry.getAddress(), abiHash: ABI_HASHES.LandRegistry },
+                    LandToken: { address: await landToken.getAddress(), abiHash: ethers.id("ancienne ABI") },
+                    LandTokenMarketplace: { address: await marketplace.getAddress(), abiHash: ABI_HASHES.LandTokenMarketplace },
+                    LandShares: { address: await landShares.getAddress(), abiHash: ABI_HASHES.LandShares },
+                    LandShareMarketplace: { address: await shareMarketplace.getAddress(), abiHash: ABI_HASHES.LandShareMarketplace },
+                    LandDividends: { address: await landDividends.getAddress(), abiHash: ABI_HASHES.LandDividends },
+                    LandGovernance: { address: await landGovernance.getAddress(), abiHash: ABI_HASHES.LandGovernance },
+                    LandCompliance: { address: await landCompliance.getAddress(), abiHash: ABI_HASHES.LandCompliance },
+                    LandCrowdfunding: { address: await landCrowdfunding.getAddress(), abiHash: ABI_HASHES.LandCrowdfunding },
+                    LandBuyout: { address: await landBuyout.getAddress(), abiHash: ABI_HASHES.LandBuyout },
+                    LandVesting: { address: await landVesting.getAddress(), abiHash: ABI_HASHES.LandVesting }
+                }
+            };
+
+            expect(() => LandClient.fromManifest(manifest, user1)).to.throw(/LandToken/);
+
+            manifest.contracts.LandToken.abiHash = ABI_HASHES.LandToken;
+            const fromManifest = LandClient.fromManifest(manifest, user1);
+            expect(await fromManifest.token.getAddress()).to.equal(await landToken.getAddress());
+        });
+
+        it("Doit exposer l'expiration des listings via LandClient", async function () {
+            const price = ethers.parseEther("1");
+            const landId = await validatedLand("Dijon", ethers.parseEther("0.5"));
+            await landToken.connect(user1).tokenizeLand(landId);
+            await client.mint(landId, { quantity: 2 });
+            await landToken.connect(user1).approve(marketplace.target, 1);
+            const expiresAt = await deadlineIn(3600);
+            await marketplace.connect(user1).listTokenWithExpiry(1, price, expiresAt);
+            await client.list(2, price);
+
+            expect((await client.listings.get(1)).expiresAt).to.equal(BigInt(expiresAt));
+            const page = await client.listings.page();
+            expect(page.items.map((l) => l.expiresAt)).to.deep.equal([BigInt(expiresAt), 0n]);
+        });
+
+        it("Doit décoder les métadonnées d'un token via LandClient", async function () {
+            const landId = await validatedLand("Brest", ethers.parseEther("0.5"));
+            await landToken.connect(user1).tokenizeLand(landId);
+            await client.mint(landId);
+
+            const uri = await landToken.tokenURI(1);
+            const metadata = await client.getTokenMetadata(1);
+            expect(metadata).to.deep.equal(JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString("utf8")));
+            expect(metadata.name).to.equal("Terrain #1 - Token 1/10");
+        });
+
+        it("Doit acheter et échanger des parts via LandClient", async function () {
+            const pricePerShare = ethers.parseEther("0.001");
+            const landId = await validatedLand("Bordeaux", pricePerShare, 1000);
+            await landShares.connect(user1).tokenizeLand(landId);
+
+            const seller = new LandClient(await systemAddresses(), user2);
+            const { paid } = await seller.mintShares(landId, 200);
+            expect(paid).to.equal(pricePerShare * 200n);
+
+            const { orderId } = await seller.createShareOrder({
+                side: "sell", landId, quantity: 100, pricePerShare: ethers.parseEther("0.002")
+            });
+            const { totalPrice } = await client.fillShareOrder(orderId, 25);
+            expect(totalPrice).to.equal(ethers.parseEther("0.05"));
+            expect(await landShares.balanceOf(user1.address, landId)).to.equal(25);
+            expect(await landShares.balanceOf(user2.address, landId)).to.equal(100);
+        });
+
+        it("Doit déposer et réclamer des dividendes via LandClient", async function () {
+            const pricePerToken = ethers.parseEther("0.1");
+            const landId = await validatedLand("Lille", pricePerToken);
+            await landToken.connect(user1).tokenizeLand(landId);
+            await client.mint(landId, { quantity: 2 });
+            await landToken.connect(user2).mintToken(landId, { value: pricePerToken });
+
+            await new LandClient(await systemAddresses(), owner).depositDividends(landId, ethers.parseEther("0.3"));
+            expect(await client.getPendingDividends(1)).to.equal(ethers.parseEther("0.1"));
+            const { amount } = await client.claimDividends([1, 2]);
+            expect(amount).to.equal(ethers.parseEther("0.2"));
+
+            let error;
+            try {
+                await client.claimDividends(3);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(LandContractError);
+            expect(error.errorName).to.equal("NotTokenHolder");
+        });
+
+        it("Doit proposer, voter et exécuter via LandClient", async function () {
+            const pricePerToken = ethers.parseEther("0.1");
+            const landId = await validatedLand("Nantes", pricePerToken);
+            await landToken.connect(user1).tokenizeLand(landId);
+            await client.mint(landId, { quantity: 3 });
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: pricePerToken * 2n });
+            const other = new LandClient(await systemAddresses(), user2);
+
+            const { proposalId } = await client.propose({
+                landId, contract: "LandRegistry", method: "setPropertyManager", args: [validator1.address], description: "Nouveau gestionnaire"
+            });
+            const { weight } = await client.vote(proposalId, true);
+            expect(weight).to.equal(3n);
+            await other.vote(proposalId, false);
+
+            let error;
+            try {
+                await other.vote(proposalId, true);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(LandContractError);
+            expect(error.errorName).to.equal("AlreadyVoted");
+
+            await time.increase(7 * 24 * 3600 + 1);
+            expect((await client.getProposal(proposalId)).state).to.equal("succeeded");
+            await client.executeProposal(proposalId);
+            expect(await landRegistry.propertyManagers(landId)).to.equal(validator1.address);
+        });
+
+        it("Doit corriger, transférer et retirer un terrain via LandClient", async function () {
+            const pricePerToken = ethers.parseEther("0.1");
+            const { landId } = await client.registerLand({ location: "Brest", surface: 900, totalTokens: 10, pricePerToken, cid: "QmDoc" });
+            await landRegistry.connect(validator1).validateLand(landId, "QmRefus", false);
+
+            let error;
+            try {
+                await client.updateLand(landId, { location: "Brest", surface: 900, totalTokens: 10, pricePerToken, cid: "QmDoc2" });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.errorName).to.equal("LandNotPending");
+
+            const { round } = await client.resubmitLand(landId, {
+                location: "Brest Port",
+                surface: 900,
+                totalTokens: 8,
+                pricePerToken,
+                cid: "QmDoc2"
+            });
+            expect(round).to.equal(1n);
+            expect((await client.getLand(landId)).location).to.equal("Brest Port");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+
+            await client.requestTitleTransfer(landId, user2.address);
+            await new LandClient(await systemAddresses(), validator1).approveTitleTransfer(landId, "QmActe");
+            expect((await client.getLand(landId)).owner).to.equal(user2.address);
+
+            const { landId: withdrawn } = await client.registerLand({ location: "Vannes", surface: 400, totalTokens: 4, pricePerToken, cid: "QmDoc" });
+            await client.withdrawLand(withdrawn);
+            expect((await client.getLand(withdrawn)).isRegistered).to.equal(false);
+        });
+
+        it("Doit exposer la politique d'approbation et les validateurs via LandClient", async function () {
+            const [notary2] = (await ethers.getSigners()).slice(7);
+            await landRegistry.connect(owner).addValidator(notary2.address, 0);
+            await landRegistry.connect(owner).setApprovalPolicy([2, 1, 0]);
+            expect(await client.getApprovalPolicy()).to.deep.equal({ Notaire: 2, Geometre: 1, ExpertJuridique: 0 });
+
+            const { landId } = await client.registerLand({
+                location: "Dijon",
+                surface: 700,
+                totalTokens: 10,
+                pricePerToken: ethers.parseEther("0.1"),
+                cid: "QmDoc",
+                approvalPolicy: { Notaire: 2, Geometre: 1, ExpertJuridique: 1 }
+            });
+            expect(await client.getApprovalPolicy(landId)).to.deep.equal({ Notaire: 2, Geometre: 1, ExpertJuridique: 1 });
+
+            await landRegistry.connect(owner).suspendValidator(notary2.address);
+            expect(await client.getValidators("Notaire")).to.deep.equal([
+                { address: validator1.address, suspended: false },
+                { address: notary2.address, suspended: true }
+            ]);
+        });
+
+        it("Doit piloter la conformité via LandClient", async function () {
+            const price = ethers.parseEther("0.5");
+            const landId = await validatedLand("Annecy", price);
+            await landToken.connect(user1).tokenizeLand(landId);
+            await landToken.connect(owner).setCompliance(landCompliance.target);
+
+            const admin = new LandClient(await systemAddresses(), owner);
+            const expiresAt = await deadlineIn(365 * 24 * 3600);
+            await admin.setIdentity(user1.address, { jurisdiction: 4, expiresAt });
+            await admin.setLandRules(landId, { maxHolders: 5, jurisdictions: [4, 7] });
+
+            expect(await admin.getIdentity(user1.address)).to.deep.equal({
+                account: user1.address, jurisdiction: 4, expiresAt: BigInt(expiresAt)
+            });
+            const rules = await admin.getLandRules(landId);
+            expect(rules.maxHolders).to.equal(5n);
+            expect(rules.jurisdictions).to.deep.equal([4, 7]);
+            expect(await admin.canReceive(user1.address, landId)).to.deep.equal({ allowed: true, reason: null });
+            const blocked = await admin.canReceive(user2.address, landId);
+            expect(blocked.allowed).to.equal(false);
+            expect(blocked.reason.name).to.equal("IdentityNotVerified");
+
+            await client.mint(landId);
+            await client.list(1, price);
+            let error;
+            try {
+                await new LandClient(await systemAddresses(), user2).buy(1);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(LandContractError);
+            expect(error.errorName).to.equal("IdentityNotVerified");
+            expect(error.message).to.contain("identité vérifiée");
+
+            await admin.setIdentity(user2.address, { jurisdiction: 7, expiresAt });
+            await client.mint(landId);
+            const forced = await admin.forceTransfer(2, user2.address, "TJ Lyon 2026/9");
+            expect(forced.from).to.equal(user1.address);
+            expect(await landToken.ownerOf(2)).to.equal(user2.address);
+        });
+
+        it("Doit exposer les détenteurs via LandClient", async function () {
+            const price = ethers.parseEther("0.5");
+            for (const [location, tokens] of [["Annecy", 10], ["Chambéry", 4]]) {
+                await landToken.connect(user1).tokenizeLand(await validatedLand(location, price, tokens));
+            }
+            await client.mint(1, { quantity: 3 });
+            await client.mint(2);
+            await landToken.connect(user1).transferFrom(user1.address, user2.address, 3);
+
+            const owned = await client.getTokensOfOwner(user1.address);
+            expect(owned.total).to.equal(3n);
+            expect(owned.tokenIds.map(Number).sort()).to.deep.equal([1, 2, 4]);
+            expect((await client.getTokensOfOwner(user1.address, { landId: 2 })).tokenIds).to.deep.equal([4n]);
+
+            const capTable = await client.getCapTable(1, { limit: 1 });
+            expect(capTable.total).to.equal(2n);
+            expect(capTable.items).to.have.length(1);
+            expect(capTable.items[0]).to.have.keys(["holder", "tokens", "share"]);
+        });
+
+        it("Doit payer en devise via LandClient avec permit", async function () {
+            // Stablecoin à 6 décimales : 100 unités par token
+            const price = 100_000_000n;
+            const buyer = (await ethers.getSigners())[7];
+            const stablecoin = await (await ethers.getContractFactory("TestStablecoin")).deploy();
+            await landRegistry.connect(owner).setPaymentToken(stablecoin.target, true);
+            for (const account of [user2, buyer]) {
+                await stablecoin.mint(account.address, price * 10n);
+            }
+
+            const { landId } = await client.registerLand({
+                location: "Nantes",
+                surface: 900,
+                totalTokens: 5,
+                pricePerToken: price,
+                cid: "QmDoc",
+                currency: stablecoin.target
+            });
+            expect((await client.getLand(landId)).currency).to.equal(stablecoin.target);
+            const { landId: strictId } = await client.registerLand({
+                location: "Nantes",
+                surface: 900,
+                totalTokens: 5,
+                pricePerToken: price,
+                cid: "QmDoc",
+                currency: stablecoin.target,
+                approvalPolicy: { Notaire: 2, Geometre: 1, ExpertJuridique: 1 }
+            });
+            expect(await landRegistry.landCurrencies(strictId)).to.equal(stablecoin.target);
+            expect(await landRegistry.getApprovalPolicy(strictId)).to.deep.equal([2n, 1n, 1n]);
+
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+
+            // Aucun approve préalable : le SDK signe un permit
+            const holder = new LandClient(await systemAddresses(), user2);
+            const { tokenIds, paid } = await holder.mint(landId, { quantity: 2 });
+            expect(paid).to.equal(price * 2n);
+            expect(tokenIds).to.have.length(2);
+
+            await holder.list(tokenIds[0], price);
+            await new LandClient(await systemAddresses(), buyer).buy(tokenIds[0]);
+            expect(await landToken.ownerOf(tokenIds[0])).to.equal(buyer.address);
+
+            const withdrawn = await holder.withdrawPayments({ currency: stablecoin.target });
+            expect(withdrawn.LandTokenMarketplace.amount).to.equal(97_500_000n);
+            expect(withdrawn.LandToken).to.equal(undefined);
+            const { LandToken: sale } = await client.withdrawPayments({ currency: stablecoin.target });
+            expect(sale.amount).to.equal(190_000_000n);
+            expect(await stablecoin.balanceOf(user1.address)).to.equal(190_000_000n);
+        });
+
+        it("Doit piloter une levée de fonds via LandClient", async function () {
+            const price = ethers.parseEther("1");
+            const softCap = ethers.parseEther("3");
+            const landId = await validatedLand("Lille", price);
+            await landToken.connect(user1).tokenizeLand(landId);
+            const deadline = await deadlineIn(30 * 24 * 3600);
+            const buyer = new LandClient(await systemAddresses(), user2);
+            expect(await buyer.getCampaign(landId)).to.equal(null);
+
+            const { campaignId } = await client.openCampaign(landId, { softCap, deadline, maxPerBuyer: 3 });
+            expect(campaignId).to.equal(1n);
+            let error;
+            try {
+                await buyer.mint(landId, { quantity: 4 });
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(LandContractError);
+            expect(error.errorName).to.equal("MaxPerBuyerExceeded");
+
+            const { tokenIds } = await buyer.mint(landId, { quantity: 2 });
+            const campaign = await buyer.getCampaign(landId);
+            expect(campaign.status).to.equal("active");
+            expect(campaign.escrowed).to.equal(price * 2n);
+            expect(campaign.maxPerBuyer).to.equal(3);
+
+            await time.increaseTo(deadline);
+            expect((await buyer.getCampaign(landId)).status).to.equal("failed");
+            const { amount } = await buyer.refund(tokenIds);
+            expect(amount).to.equal(price * 2n);
+            const withdrawn = await buyer.withdrawPayments();
+            expect(withdrawn.LandToken.amount).to.equal(price * 2n);
+        });
+
+        it("Doit piloter un rachat via LandClient", async function () {
+            const price = ethers.parseEther("1");
+            const offer = ethers.parseEther("2");
+            const [bidder, holder] = (await ethers.getSigners()).slice(7);
+            const landId = await validatedLand("Dijon", price);
+            await landToken.connect(user1).tokenizeLand(landId);
+            await landToken.connect(bidder).mintMultipleTokens(landId, 4, { value: price * 4n });
+            await landToken.connect(user2).mintMultipleTokens(landId, 3, { value: price * 3n });
+            await landToken.connect(holder).mintMultipleTokens(landId, 2, { value: price * 2n });
+
+            const bidderClient = new LandClient(await systemAddresses(), bidder);
+            const seller = new LandClient(await systemAddresses(), user2);
+            expect(await seller.getBuyout(landId)).to.equal(null);
+
+            const deadline = await deadlineIn(14 * 24 * 3600);
+            const { buyoutId, deposit } = await bidderClient.openBuyout(landId, { pricePerToken: offer, deadline });
+            expect(buyoutId).to.equal(1n);
+            expect(deposit).to.equal(offer * 5n);
+            const buyout = await seller.getBuyout(landId);
+            expect(buyout.status).to.equal("active");
+            expect(buyout.bidder).to.equal(bidder.address);
+            expect(buyout.deposit).to.equal(offer * 5n);
+
+            const sold = [...(await landToken.getTokensOfOwnerForLand(user2.address, landId, 0, 10))[0]];
+            const { amount } = await seller.redeem(sold);
+            expect(amount).to.equal(offer * 3n);
+            let error;
+            try {
+                await seller.redeem(sold);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(LandContractError);
+            expect(error.errorName).to.equal("NotTokenHolder");
+            const withdrawn = await seller.withdrawPayments();
+            expect(withdrawn.LandBuyout.amount).to.equal(offer * 3n);
+
+            await landBuyout.connect(holder).redeem([...(await landToken.getTokensOfOwnerForLand(holder.address, landId, 0, 10))[0]]);
+            const { refund } = await bidderClient.completeBuyout(landId);
+            expect(refund).to.equal(0n);
+            expect((await seller.getBuyout(landId)).status).to.equal("completed");
+        });
+
+        it("Doit fixer un blocage et réserver des tokens via LandClient", async function () {
+            const day = 24 * 3600;
+            const landId = await validatedLand("Annecy", ethers.parseEther("1"));
+            const mintDeadline = await deadlineIn(30 * day);
+            const cliff = mintDeadline + 30 * day;
+            expect(await client.getVesting(landId, user1.address)).to.equal(null);
+
+            let error;
+            try {
+                await client.setVestingSchedule(landId, { mintDeadline, cliff: mintDeadline - 1 });
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(LandContractError);
+            expect(error.errorName).to.equal("InvalidSchedule");
+
+            await client.setVestingSchedule(landId, { mintDeadline, cliff });
+            const { tokenIds } = await client.tokenizeLandWithReserve(landId, { reserve: 3 });
+            expect(tokenIds.length).to.equal(3);
+
+            const vesting = await client.getVesting(landId, user1.address);
+            expect(vesting.cliff).to.equal(BigInt(cliff));
+            expect(vesting.vestingEnd).to.equal(BigInt(cliff));
+            expect(vesting.vested).to.equal(3n);
+            expect(vesting.locked).to.equal(3n);
+            expect(vesting.transferable).to.equal(0n);
+
+            error = undefined;
+            try {
+                await client.list(tokenIds[0], ethers.parseEther("1"));
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(LandContractError);
+            expect(error.errorName).to.equal("TokensLocked");
+        });
+    });
+
+
+    describe("9. Indexer Tests", function () {
+        let store, indexer;
+
+        beforeEach(async function () {
+            store = openStore(":memory:");
+            indexer = new Indexer({
+                provider: ethers.provider,
+                addresses: await systemAddresses(),
+                store
+            });
+        });
+
+        afterEach(function () {
+            store.close();
+        });
+
+        // Terrain validé et tokenisé, deux tokens mintés par user2
+        async function setupLand() {
+            await landRegistry.connect(user1).registerLand("Paris", 1500, 10, ethers.parseEther("0.1"), "QmDoc");
+            await landRegistry.connect(validator1).validateLand(1, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(1, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(1, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(1);
+            await landToken.connect(user2).mintMultipleTokens(1, 2, { value: ethers.parseEther("0.2") });
+        }
+
+        it("Doit indexer terrains, validations, mints et ventes", async function () {
+            await setupLand();
+            await landToken.connect(user2).approve(marketplace.target, 1);
+            await marketplace.connect(user2).listToken(1, ethers.parseEther("1"));
+            await marketplace.connect(user1).buyToken(1, { value: ethers.parseEther("1") });
+            await landToken.connect(user2).approve(marketplace.target, 2);
+            await marketplace.connect(user2).listToken(2, ethers.parseEther("2"));
+
+            const result = await indexer.syncOnce();
+            expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(result.reorg).to.be.null;
+
+            const [land] = store.getLands({ status: "Valide" });
+            expect(land).to.include({ landId: 1, availableTokens: "8", isTokenized: true });
+            expect(land.owner).to.equal(user1.address.toLowerCase());
+            expect(store.getLands({ status: "EnAttente" })).to.have.length(0);
+            expect(store.getLand(1).validations.map((v) => v.validatorType)).to.deep.equal([
+                "Notaire", "Geometre", "ExpertJuridique"
+            ]);
+
+            // Le token 2 est en séquestre mais reste attribué à son vendeur
+            expect(store.getHolders(1)).to.have.deep.members([
+                { holder: user1.address.toLowerCase(), tokens: 1 },
+                { holder: user2.address.toLowerCase(), tokens: 1 }
+            ]);
+
+            expect(store.getPriceHistory(1).map((p) => [p.kind, p.price])).to.deep.equal([
+                ["mint", ethers.parseEther("0.1").toString()],
+                ["listed", ethers.parseEther("1").toString()],
+                ["sold", ethers.parseEther("1").toString()]
+            ]);
+
+            const listings = store.getListings({ seller: user2.address });
+            expect(listings.map((l) => [l.tokenId, l.status])).to.deep.equal([[1, "sold"], [2, "active"]]);
+            expect(listings[0].buyer).to.equal(user1.address.toLowerCase());
+
+            const fees = store.getFees({ contract: "LandToken" });
+            expect(fees.map((f) => f.kind)).to.include.members(["ownerPayment", "collected"]);
+
+            // Une seconde synchronisation sans nouveau bloc ne fait rien
+            expect((await indexer.syncOnce()).toBlock).to.be.null;
+        });
+
+        it("Doit revenir en arrière lors d'une réorganisation", async function () {
+            await setupLand();
+            await indexer.syncOnce();
+
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+            await landToken.connect(user1).mintToken(1, { value: ethers.parseEther("0.1") });
+            await indexer.syncOnce();
+            expect(store.getHolders(1)).to.have.length(2);
+
+            // Chaîne alternative : le mint disparaît, un autre terrain est enregistré
+            await ethers.provider.send("evm_revert", [snapshot]);
+            await landRegistry.connect(user2).registerLand("Lyon", 800, 5, ethers.parseEther("0.2"), "QmLyon");
+            await ethers.provider.send("evm_mine", []);
+
+            const result = await indexer.syncOnce();
+            expect(result.reorg).to.not.be.null;
+            expect(store.getHolders(1)).to.deep.equal([{ holder: user2.address.toLowerCase(), tokens: 2 }]);
+            expect(store.getLand(1).availableTokens).to.equal("8");
+            expect(store.getLand(2).location).to.equal("Lyon");
+            expect(store.getPriceHistory(3)).to.have.length(0);
+        });
+
+        it("Doit exposer les données indexées via l'API HTTP", async function () {
+            await setupLand();
+            await landToken.connect(user2).approve(marketplace.target, 1);
+            await marketplace.connect(user2).listToken(1, ethers.parseEther("1"));
+            await indexer.syncOnce();
+
+            const server = createApiServer(store);
+            await new Promise((resolve) => server.listen(0, resolve));
+            const base = `http://127.0.0.1:${server.address().port}`;
+            const get = async (route) => {
+                const response = await fetch(base + route);
+                return { status: response.status, body: await response.json() };
+            };
+
+            try {
+                const lands = await get("/lands?status=Valide");
+                expect(lands.status).to.equal(200);
+                expect(lands.body.map((l) => l.landId)).to.deep.equal([1]);
+
+                const holders = await get("/lands/1/holders");
+                expect(holders.body).to.deep.equal([{ holder: user2.address.toLowerCase(), tokens: 2 }]);
+
+                const history = await get("/tokens/1/price-history");
+                expect(history.body.map((p) => p.kind)).to.deep.equal(["mint", "listed"]);
+
+                const sellerListings = await get(`/sellers/${user2.address}/listings?status=active`);
+                expect(sellerListings.body.map((l) => l.tokenId)).to.deep.equal([1]);
+
+                expect((await get("/status")).body.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+                expect((await get("/lands/42")).status).to.equal(404);
+                expect((await get("/lands?status=Inconnu")).status).to.equal(400);
+                expect((await get("/sellers/0x123/listings")).status).to.equal(400);
+            } finally {
+                await new Promise((resolve) => server.close(resolve));
+            }
+        });
+
+        it("Doit indexer les offres et leur issue", async function () {
+            await setupLand();
+            const offerAmount = ethers.parseEther("1");
+            await marketplace.connect(user1).makeOffer(1, await deadlineIn(3600), { value: offerAmount });
+            await marketplace.connect(user1).makeLandOffer(1, await deadlineIn(3600), { value: offerAmount });
+            await landToken.connect(user2).approve(marketplace.target, 2);
+            await marketplace.connect(user2).acceptOffer(2, 2);
+            await marketplace.connect(user1).cancelOffer(1);
+            await indexer.syncOnce();
+
+            expect(store.getOffers({ buyer: user1.address }).map((o) => [o.offerId, o.status])).to.deep.equal([
+                [1, "cancelled"],
+                [2, "accepted"]
+            ]);
+            expect(store.getOffers({ landId: 1 })[0]).to.include({ acceptedTokenId: 2, tokenId: null });
+            expect(store.getPriceHistory(2).map((p) => p.kind)).to.deep.equal(["mint", "sold"]);
+        });
+
+        it("Doit indexer l'expiration et les changements de prix des listings", async function () {
+            await setupLand();
+            const price = ethers.parseEther("1");
+            await landToken.connect(user2).setApprovalForAll(marketplace.target, true);
+            const expiresAt = await deadlineIn(3600);
+            await marketplace.connect(user2).listTokenWithExpiry(1, price, expiresAt);
+            await marketplace.connect(user2).listToken(2, price);
+            await marketplace.connect(user2).updateListingPrice(2, price * 2n);
+            await time.increaseTo(expiresAt);
+            await marketplace.sweepExpiredListings([1]);
+            await indexer.syncOnce();
+
+            expect(store.getListings({ status: "expired" }).map((l) => l.tokenId)).to.deep.equal([1]);
+            expect(store.getListings({ status: "active" })[0]).to.include({ tokenId: 2, price: (price * 2n).toString() });
+            expect(store.getPriceHistory(2).map((p) => p.kind)).to.deep.equal(["mint", "listed", "repriced"]);
+        });
+
+        it("Doit indexer la royalty versée sur une offre acceptée", async function () {
+            const landId = await validatedLand("Annecy", ethers.parseEther("0.5"));
+            await landToken.connect(user1).tokenizeLandWithRoyalty(landId, 500);
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: ethers.parseEther("1") });
+            await landToken.connect(user2).approve(marketplace.target, 2);
+            const price = ethers.parseEther("2");
+            await marketplace.connect(owner).makeOffer(2, await deadlineIn(3600), { value: price });
+            await marketplace.connect(user2).acceptOffer(1, 2);
+            await indexer.syncOnce();
+
+            const royalties = store.getFees({ contract: "LandTokenMarketplace" }).filter((f) => f.kind === "royalty");
+            expect(royalties).to.have.lengthOf(1);
+            expect(royalties[0]).to.include({ refId: 2, account: user1.address.toLowerCase(), amount: (price * 500n / 10000n).toString() });
+        });
+
+        it("Doit indexer les parts et le carnet d'ordres", async function () {
+            const pricePerShare = ethers.parseEther("0.001");
+            const landId = await validatedLand("Bordeaux", pricePerShare, 1000);
+            await landShares.connect(user1).tokenizeLand(landId);
+            await landShares.connect(user2).mintShares(landId, 200, { value: pricePerShare * 200n });
+            await landShares.connect(user2).setApprovalForAll(shareMarketplace.target, true);
+            const sharePrice = ethers.parseEther("0.002");
+            await shareMarketplace.connect(user2).createSellOrder(landId, 100, sharePrice);
+            await shareMarketplace.connect(user1).fillSellOrder(1, 25, { value: sharePrice * 25n });
+            await indexer.syncOnce();
+
+            expect(store.getShareHolders(landId)).to.deep.equal([
+                { holder: user2.address.toLowerCase(), shares: "100" },
+                { holder: shareMarketplace.target.toLowerCase(), shares: "75" },
+                { holder: user1.address.toLowerCase(), shares: "25" }
+            ]);
+            const [order] = store.getShareOrders({ landId, status: "active" });
+            expect(order).to.include({ orderId: 1, side: "sell", quantity: "100", remaining: "75" });
+            expect(store.getFees({ contract: "LandShareMarketplace" }).map((f) => f.kind)).to.deep.equal(["collected"]);
+        });
+
+        it("Doit indexer les dépôts et réclamations de dividendes", async function () {
+            await setupLand();
+            await landDividends.connect(owner).deposit(1, { value: ethers.parseEther("0.2") });
+            await landDividends.connect(user2).claimBatch([1, 2]);
+            await indexer.syncOnce();
+
+            expect(store.getDividends({ landId: 1 }).map((d) => [d.kind, d.tokenId, d.amount])).to.deep.equal([
+                ["deposit", null, ethers.parseEther("0.2").toString()],
+                ["credited", 1, ethers.parseEther("0.1").toString()],
+                ["credited", 2, ethers.parseEther("0.1").toString()]
+            ]);
+            const claims = store.getDividends({ account: user2.address }).filter((d) => d.kind === "claimed");
+            expect(claims.map((d) => d.amount)).to.deep.equal([ethers.parseEther("0.2").toString()]);
+        });
+
+        it("Doit indexer les propositions et les votes", async function () {
+            await setupLand();
+            await landToken.connect(user1).mintToken(1, { value: ethers.parseEther("0.1") });
+            const data = landRegistry.interface.encodeFunctionData("setPropertyManager", [1, validator1.address]);
+            await landGovernance.connect(user2).propose(1, landRegistry.target, data, "Nouveau gestionnaire");
+            await landGovernance.connect(user2).castVote(1, true);
+            await landGovernance.connect(user1).castVote(1, false);
+            await time.increase(7 * 24 * 3600 + 1);
+            await landGovernance.execute(1);
+            await indexer.syncOnce();
+
+            const [proposal] = store.getProposals({ landId: 1 });
+            expect(proposal).to.include({ proposalId: 1, description: "Nouveau gestionnaire", forVotes: "2", againstVotes: "1", executed: true });
+            expect(store.getProposal(1).votes.map((v) => [v.voter, v.support])).to.deep.equal([
+                [user2.address.toLowerCase(), true],
+                [user1.address.toLowerCase(), false]
+            ]);
+        });
+
+        it("Doit indexer les corrections, transferts de titre et retraits de terrains", async function () {
+            const pricePerToken = ethers.parseEther("0.1");
+            await landRegistry.connect(user1).registerLand("Brest", 900, 10, pricePerToken, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(1, "QmRefus", false);
+            await landRegistry.connect(user1).resubmitLand(1, "Brest Port", 900, 8, pricePerToken, "QmDoc2");
+            await landRegistry.connect(validator1).validateLand(1, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(1, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(1, "QmV3", true);
+            await landRegistry.connect(user1).requestTitleTransfer(1, user2.address);
+            await landRegistry.connect(validator1).approveTitleTransfer(1, "QmActe");
+            await landRegistry.connect(user1).registerLand("Vannes", 400, 4, pricePerToken, "QmDoc");
+            await landRegistry.connect(user1).withdrawLand(2);
+            await indexer.syncOnce();
+
+            const land = store.getLand(1);
+            expect(land).to.include({
+                location: "Brest Port",
+                totalTokens: "8",
+                status: "Valide",
+                owner: user2.address.toLowerCase(),
+                round: 1
+            });
+            expect(land.validations.map((v) => [v.round, v.isValid])).to.deep.equal([
+                [0, false], [1, true], [1, true], [1, true]
+            ]);
+            expect(store.getLands({ status: "Retire" }).map((l) => l.landId)).to.deep.equal([2]);
+        });
+
+        it("Doit indexer le registre des validateurs et les avis des validateurs retirés", async function () {
+            const [notary2] = (await ethers.getSigners()).slice(7);
+            await landRegistry.connect(owner).addValidator(notary2.address, 0);
+            await landRegistry.connect(user1).registerLandWithOptions("Dijon", 700, 10, ethers.parseEther("0.1"), "QmDoc", ZERO_ADDRESS, [2, 1, 1]);
+            await landRegistry.connect(validator1).validateLand(1, "QmV1", true);
+            await landRegistry.connect(notary2).validateLand(1, "QmV4", true);
+            await landRegistry.connect(validator2).validateLand(1, "QmV2", true);
+            await landRegistry.connect(owner).removeValidator(validator1.address);
+            await landRegistry.connect(owner).addValidator(user2.address, 0);
+            await landRegistry.connect(owner).suspendValidator(user2.address);
+            await landRegistry.connect(validator3).validateLand(1, "QmV3", true);
+            await indexer.syncOnce();
+
+            // L'avis du validateur retiré ne compte plus
+            expect(store.getLand(1).status).to.equal("EnAttente");
+            expect(store.getLand(1).validations.map((v) => v.validatorRemoved)).to.deep.equal([true, false, false, false]);
+            expect(store.getValidators({ type: "Notaire" })).to.deep.equal([
+                { address: notary2.address.toLowerCase(), validatorType: "Notaire", suspended: false },
+                { address: user2.address.toLowerCase(), validatorType: "Notaire", suspended: true }
+            ].sort((a, b) => a.address.localeCompare(b.address)));
+            expect((await landRegistry.getLandDetails(1)).status).to.equal(0);
+        });
+
+        it("Doit indexer les changements en file, appliqués et annulés", async function () {
+            const applied = changeId(landToken, "setPlatformFeePercentage", [300]);
+            const cancelled = changeId(landToken, "setPlatformFeePercentage", [400]);
+            await applyTimelocked(() => landToken.connect(owner).setPlatformFeePercentage(300));
+            await landToken.connect(owner).setPlatformFeePercentage(400);
+            await landToken.connect(owner).cancelChange(cancelled);
+            await marketplace.connect(owner).setMarketplaceFeePercentage(100);
+            await indexer.syncOnce();
+
+            const changes = store.getQueuedChanges({ contract: "LandToken" });
+            expect(changes.map((c) => [c.changeId, c.status])).to.deep.equal([
+                [applied, "executed"],
+                [cancelled, "cancelled"]
+            ]);
+            const [queued] = store.getQueuedChanges({ status: "queued" });
+            expect(queued).to.include({
+                contract: "LandTokenMarketplace",
+                data: marketplace.interface.encodeFunctionData("setMarketplaceFeePercentage", [100])
+            });
+            expect(queued.eta).to.equal(Number(await marketplace.queuedChanges(queued.changeId)));
+        });
+
+        it("Doit indexer les identités et les transferts forcés", async function () {
+            const price = ethers.parseEther("0.5");
+            const landId = await validatedLand("Annecy", price);
+            await landToken.connect(user1).tokenizeLand(landId);
+            await landToken.connect(owner).setCompliance(landCompliance.target);
+            const expiresAt = await deadlineIn(365 * 24 * 3600);
+            await landCompliance.connect(owner).setIdentity(user1.address, 4, expiresAt);
+            await landCompliance.connect(owner).setIdentity(user2.address, 7, expiresAt);
+            await landToken.connect(user1).mintMultipleTokens(landId, 2, { value: price * 2n });
+            await landCompliance.connect(owner).forceTransfer(2, user2.address, "TJ Lyon 2026/9");
+            await indexer.syncOnce();
+
+            expect(store.getIdentity(user2.address)).to.include({ jurisdiction: 7, expiresAt });
+            expect(store.getForcedTransfers({ tokenId: 2 })).to.have.length(1);
+            expect(store.getForcedTransfers()[0]).to.include({
+                from: user1.address.toLowerCase(),
+                to: user2.address.toLowerCase(),
+                reason: "TJ Lyon 2026/9"
+            });
+            expect(store.getHolders(landId).map((h) => h.holder)).to.include(user2.address.toLowerCase());
+        });
+
+        it("Doit indexer la devise de paiement des terrains", async function () {
+            const stablecoin = await (await ethers.getContractFactory("TestStablecoin")).deploy();
+            await landRegistry.connect(owner).setPaymentToken(stablecoin.target, true);
+            await landRegistry.connect(user1).registerLandWithOptions("Lyon", 1500, 10, 100_000_000n, "QmDoc", stablecoin.target, [1, 1, 1]);
+            await landRegistry.connect(user1).registerLand("Paris", 1500, 10, ethers.parseEther("1"), "QmDoc");
+            await indexer.syncOnce();
+
+            expect(store.getLand(1).currency).to.equal(stablecoin.target.toLowerCase());
+            expect(store.getLand(2).currency).to.equal(null);
+        });
+
+        it("Doit indexer une levée de fonds et ses remboursements", async function () {
+            const price = ethers.parseEther("1");
+            const softCap = ethers.parseEther("3");
+            const landId = await validatedLand("Lille", price);
+            await landToken.connect(user1).tokenizeLand(landId);
+            const deadline = await deadlineIn(30 * 24 * 3600);
+            await landCrowdfunding.connect(user1).openCampaign(landId, softCap, deadline, 3);
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: price * 2n });
+            await time.increaseTo(deadline);
+            await landCrowdfunding.connect(user2).refund([1, 2]);
+            await indexer.syncOnce();
+
+            const [campaign] = store.getCampaigns(landId);
+            expect(campaign.softCap).to.equal(softCap.toString());
+            expect(campaign.maxPerBuyer).to.equal(3);
+            expect(campaign.succeeded).to.be.false;
+            expect(store.getRefunds({ holder: user2.address }).map((r) => r.tokenId)).to.deep.equal([1, 2]);
+            expect(store.getHolders(landId)).to.deep.equal([]);
+            expect(store.getLand(landId).availableTokens).to.equal("10");
+        });
+
+        it("Doit indexer un rachat jusqu'au retrait du terrain", async function () {
+            const price = ethers.parseEther("1");
+            const offer = ethers.parseEther("2");
+            const [bidder, holder] = (await ethers.getSigners()).slice(7);
+            const landId = await validatedLand("Dijon", price);
+            await landToken.connect(user1).tokenizeLand(landId);
+            // Tokens 1 à 4 pour l'acquéreur, 5 à 7 pour user2, 8 et 9 pour holder
+            await landToken.connect(bidder).mintMultipleTokens(landId, 4, { value: price * 4n });
+            await landToken.connect(user2).mintMultipleTokens(landId, 3, { value: price * 3n });
+            await landToken.connect(holder).mintMultipleTokens(landId, 2, { value: price * 2n });
+
+            await landBuyout.connect(bidder).openBuyout(landId, offer, await deadlineIn(14 * 24 * 3600), { value: offer * 5n });
+            await landBuyout.connect(user2).redeem([5, 6, 7]);
+            await landBuyout.connect(holder).redeem([8, 9]);
+            await landBuyout.connect(bidder).completeBuyout(landId, 100);
+            await indexer.syncOnce();
+
+            const [buyout] = store.getBuyouts(landId);
+            expect(buyout.bidder).to.equal(bidder.address.toLowerCase());
+            expect(buyout.status).to.equal("completed");
+            expect(buyout.refund).to.equal("0");
+            expect(buyout.transfers.map((t) => t.kind)).to.deep.equal(Array(5).fill("redeemed"));
+            expect(buyout.transfers.slice(0, 3).map((t) => t.tokenId)).to.deep.equal([5, 6, 7]);
+            expect(buyout.transfers[3].holder).to.equal(holder.address.toLowerCase());
+            expect(store.getHolders(landId)).to.deep.equal([]);
+            const land = store.getLand(landId);
+            expect(land.isTokenized).to.be.false;
+            expect(land.status).to.equal("Retire");
+        });
+
+        it("Doit indexer la réserve et le calendrier de blocage d'un terrain", async function () {
+            const day = 24 * 3600;
+            const landId = await validatedLand("Annecy", ethers.parseEther("1"));
+            const mintDeadline = await deadlineIn(30 * day);
+            const cliff = mintDeadline + 30 * day;
+            await landVesting.connect(user1).setSchedule(landId, mintDeadline, cliff, cliff);
+            await landToken.connect(user1).tokenizeLandWithReserve(landId, 0, 3);
+            await indexer.syncOnce();
+
+            const { reserve, schedule } = store.getVesting(landId);
+            expect(reserve.owner).to.equal(user1.address.toLowerCase());
+            expect(reserve.quantity).to.equal(3);
+            expect(schedule.mintDeadline).to.equal(mintDeadline);
+            expect(schedule.cliff).to.equal(cliff);
+            expect(store.getLand(landId).availableTokens).to.equal("7");
+        });
+    });
+
+
+    describe("10. Offers Tests", function () {
+        const landId = 1;
+        const offerAmount = ethers.parseEther("1");
+
+        beforeEach(async function () {
+            await landRegistry.connect(user1).registerLand("Nantes", 1200, 10, ethers.parseEther("0.5"), "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+            // Tokens 1 et 2 pour user1
+            await landToken.connect(user1).mintMultipleTokens(landId, 2, { value: ethers.parseEther("1") });
+        });
+
+        it("Doit permettre d'accepter une offre sur un token non listé", async function () {
+            const expiresAt = await deadlineIn(3600);
+            await expect(marketplace.connect(user2).makeOffer(1, expiresAt, { value: offerAmount }))
+                .to.emit(marketplace, "OfferCreated")
+                .withArgs(1, user2.address, 1, 0, offerAmount, expiresAt);
+            expect(await marketplace.totalOfferEscrow()).to.equal(offerAmount);
+
+            const fee = (offerAmount * 250n) / 10000n;
+            await landToken.connect(user1).approve(marketplace.target, 1);
+            const tx = marketplace.connect(user1).acceptOffer(1, 1);
+            await expect(tx)
+                .to.emit(marketplace, "OfferAccepted")
+                .withArgs(1, 1, user1.address, user2.address, offerAmount)
+                .and.to.emit(marketplace, "TokenSold")
+                .withArgs(1, user1.address, user2.address, offerAmount);
+            expect(await marketplace.payments(user1.address)).to.equal(offerAmount - fee);
+
+            expect(await landToken.ownerOf(1)).to.equal(user2.address);
+            expect((await marketplace.offers(1)).isActive).to.be.false;
+            expect(await marketplace.totalOfferEscrow()).to.equal(0);
+            expect(await marketplace.getOffersByToken(1)).to.deep.equal([1n]);
+        });
+
+        it("Doit clôturer le listing lorsqu'une offre sur le terrain est acceptée", async function () {
+            await landToken.connect(user1).approve(marketplace.target, 2);
+            await marketplace.connect(user1).listToken(2, ethers.parseEther("3"));
+
+            await marketplace.connect(user2).makeLandOffer(landId, await deadlineIn(3600), { value: offerAmount });
+            expect(await marketplace.getOffersByLand(landId)).to.deep.equal([1n]);
+
+            await expect(marketplace.connect(user1).acceptOffer(1, 2))
+                .to.emit(marketplace, "TokenSold")
+                .withArgs(2, user1.address, user2.address, offerAmount);
+
+            expect(await landToken.ownerOf(2)).to.equal(user2.address);
+            expect((await marketplace.listings(2)).isActive).to.be.false;
+            expect(await marketplace.getActiveListingsCount()).to.equal(0);
+            expect(await marketplace.getListingsByUser(user1.address)).to.deep.equal([]);
+        });
+
+        it("Doit refuser une acceptation par un non-détenteur ou hors terrain", async function () {
+            await marketplace.connect(user2).makeOffer(1, await deadlineIn(3600), { value: offerAmount });
+            await expect(marketplace.connect(user2).acceptOffer(1, 1))
+                .to.be.revertedWithCustomError(marketplace, "NotTokenOwner");
+            await expect(marketplace.connect(user1).acceptOffer(1, 2))
+                .to.be.revertedWithCustomError(marketplace, "InvalidOffer");
+
+            await landRegistry.connect(user2).registerLand("Lille", 900, 5, ethers.parseEther("0.5"), "QmLille");
+            await expect(marketplace.connect(user2).makeLandOffer(2, await deadlineIn(3600), { value: offerAmount }))
+                .to.be.revertedWithCustomError(marketplace, "LandNotTokenized");
+
+            await marketplace.connect(user2).makeLandOffer(landId, await deadlineIn(3600), { value: offerAmount });
+            await expect(marketplace.connect(user1).acceptOffer(2, 99))
+                .to.be.revertedWithCustomError(marketplace, "TokenNotInLand");
+        });
+
+        it("Doit permettre à l'acheteur d'annuler et de récupérer une offre expirée", async function () {
+            const expiresAt = await deadlineIn(3600);
+            await marketplace.connect(user2).makeOffer(1, expiresAt, { value: offerAmount });
+            await marketplace.connect(user2).makeOffer(2, expiresAt, { value: offerAmount });
+
+            await expect(marketplace.connect(user1).cancelOffer(1))
+                .to.be.revertedWithCustomError(marketplace, "NotOfferBuyer");
+            const tx = marketplace.connect(user2).cancelOffer(1);
+            await expect(tx).to.emit(marketplace, "OfferCancelled").withArgs(1);
+            await expect(tx).to.changeEtherBalance(user2, offerAmount);
+            await expect(marketplace.connect(user2).cancelOffer(1))
+                .to.be.revertedWithCustomError(marketplace, "OfferNotActive");
+
+            await time.increaseTo(expiresAt);
+            await landToken.connect(user1).approve(marketplace.target, 2);
+            await expect(marketplace.connect(user1).acceptOffer(2, 2))
+                .to.be.revertedWithCustomError(marketplace, "OfferExpired");
+            await expect(marketplace.connect(user2).cancelOffer(2))
+                .to.changeEtherBalance(user2, offerAmount);
+            expect(await marketplace.totalOfferEscrow()).to.equal(0);
+        });
+
+        it("Doit refuser une offre sans ETH ou déjà expirée", async function () {
+            await expect(marketplace.connect(user2).makeOffer(1, await deadlineIn(3600)))
+                .to.be.revertedWithCustomError(marketplace, "InvalidPrice");
+            await expect(marketplace.connect(user2).makeOffer(1, await deadlineIn(-1), { value: offerAmount }))
+                .to.be.revertedWithCustomError(marketplace, "OfferExpired");
+            await expect(marketplace.connect(user2).makeOffer(99, await deadlineIn(3600), { value: offerAmount }))
+                .to.be.revertedWithCustomError(marketplace, "TokenDoesNotExist");
+        });
+
+        it("Ne doit pas permettre de retirer l'ETH des offres en cours avec les frais", async function () {
+            await marketplace.connect(user2).makeOffer(1, await deadlineIn(3600), { value: offerAmount });
+            await marketplace.connect(user2).makeOffer(2, await deadlineIn(3600), { value: offerAmount });
+            await landToken.connect(user1).approve(marketplace.target, 1);
+            await marketplace.connect(user1).acceptOffer(1, 1);
+
+            const fee = (offerAmount * 250n) / 10000n;
+            await expect(marketplace.connect(owner).withdrawMarketplaceFees())
+                .to.changeEtherBalance(owner, fee);
+            await expect(marketplace.connect(user2).cancelOffer(2))
+                .to.changeEtherBalance(user2, offerAmount);
+        });
+    });
+
+    describe("11. Auctions Tests", function () {
+        const landId = 1;
+        const reserve = ethers.parseEther("1");
+        const increment = ethers.parseEther("0.1");
+
+        beforeEach(async function () {
+            await landRegistry.connect(user1).registerLand("Rennes", 1500, 10, ethers.parseEther("0.5"), "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+            // Tokens 1 et 2 pour user1
+            await landToken.connect(user1).mintMultipleTokens(landId, 2, { value: ethers.parseEther("1") });
+            await landToken.connect(user1).setApprovalForAll(marketplace.target, true);
+        });
+
+        it("Doit adjuger une enchère anglaise au meilleur enchérisseur", async function () {
+            await expect(marketplace.connect(user1).createEnglishAuction(1, reserve, increment, 3600))
+                .to.emit(marketplace, "AuctionCreated")
+                .and.to.emit(marketplace, "TokenListed")
+                .withArgs(1, reserve, user1.address);
+            expect(await marketplace.getAllActiveListings()).to.deep.equal([1n]);
+            expect(await marketplace.getAuctionPrice(1)).to.equal(reserve);
+
+            await expect(marketplace.connect(user2).placeBid(1, { value: reserve - 1n }))
+                .to.be.revertedWithCustomError(marketplace, "BidTooLow");
+            await marketplace.connect(user2).placeBid(1, { value: reserve });
+            await expect(marketplace.connect(owner).placeBid(1, { value: reserve + increment - 1n }))
+                .to.be.revertedWithCustomError(marketplace, "BidTooLow");
+
+            const winningBid = reserve + increment;
+            await marketplace.connect(owner).placeBid(1, { value: winningBid });
+            expect(await marketplace.payments(user2.address)).to.equal(reserve);
+            expect((await marketplace.listings(1)).price).to.equal(winningBid);
+
+            await expect(marketplace.settleAuction(1))
+                .to.be.revertedWithCustomError(marketplace, "AuctionNotEnded");
+            await time.increase(3600);
+            await expect(marketplace.connect(user2).placeBid(1, { value: ethers.parseEther("5") }))
+                .to.be.revertedWithCustomError(marketplace, "AuctionEnded");
+
+            const fee = (winningBid * 250n) / 10000n;
+            const tx = marketplace.connect(user2).settleAuction(1);
+            await expect(tx)
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(1, owner.address, winningBid)
+                .and.to.emit(marketplace, "TokenSold")
+                .withArgs(1, user1.address, owner.address, winningBid);
+            expect(await marketplace.payments(user1.address)).to.equal(winningBid - fee);
+
+            expect(await landToken.ownerOf(1)).to.equal(owner.address);
+            expect(await marketplace.getActiveListingsCount()).to.equal(0);
+
+            await expect(marketplace.connect(user2).withdrawPayments())
+                .to.changeEtherBalance(user2, reserve);
+            await expect(marketplace.connect(user2).withdrawPayments())
+                .to.be.revertedWithCustomError(marketplace, "NoEtherToWithdraw");
+            await expect(marketplace.connect(owner).withdrawMarketplaceFees())
+                .to.changeEtherBalance(owner, fee);
+        });
+
+        it("Doit prolonger une enchère anglaise sur une offre de dernière minute", async function () {
+            await marketplace.connect(user1).createEnglishAuction(1, reserve, increment, 3600);
+            const endTime = (await marketplace.auctions(1)).endTime;
+
+            await time.increaseTo(endTime - 60n);
+            const tx = await marketplace.connect(user2).placeBid(1, { value: reserve });
+            const bidTime = BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp);
+            const extension = await marketplace.AUCTION_EXTENSION();
+            await expect(tx)
+                .to.emit(marketplace, "BidPlaced")
+                .withArgs(1, user2.address, reserve, bidTime + extension);
+
+            await time.increaseTo(endTime);
+            await expect(marketplace.settleAuction(1))
+                .to.be.revertedWithCustomError(marketplace, "AuctionNotEnded");
+        });
+
+        it("Doit rendre le token au vendeur si l'enchère anglaise n'a reçu aucune offre", async function () {
+            await marketplace.connect(user1).createEnglishAuction(1, reserve, increment, 3600);
+            await time.increase(3600);
+
+            await expect(marketplace.settleAuction(1))
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(1, ZERO_ADDRESS, 0)
+                .and.to.emit(marketplace, "ListingCancelled")
+                .withArgs(1);
+            expect(await landToken.ownerOf(1)).to.equal(user1.address);
+            expect(await marketplace.getListingsByUser(user1.address)).to.deep.equal([]);
+        });
+
+        it("Doit vendre au prix décroissant d'une enchère hollandaise", async function () {
+            const startPrice = ethers.parseEther("2");
+            const floorPrice = ethers.parseEther("1");
+            await expect(marketplace.connect(user1).createDutchAuction(1, floorPrice, startPrice, 1000))
+                .to.be.revertedWithCustomError(marketplace, "InvalidAuction");
+            await marketplace.connect(user1).createDutchAuction(1, startPrice, floorPrice, 1000);
+            const { startTime } = await marketplace.auctions(1);
+
+            await time.increaseTo(startTime + 500n);
+            expect(await marketplace.getAuctionPrice(1)).to.equal(ethers.parseEther("1.5"));
+            await expect(marketplace.connect(user2).placeBid(1, { value: startPrice }))
+                .to.be.revertedWithCustomError(marketplace, "NoActiveAuction");
+
+            // Fixe l'horodatage de l'achat pour connaître le prix exact
+            await time.setNextBlockTimestamp(startTime + 600n);
+            const price = ethers.parseEther("1.4");
+            const tx = marketplace.connect(user2).buyDutchAuction(1, { value: startPrice });
+            await expect(tx)
+                .to.emit(marketplace, "TokenSold")
+                .withArgs(1, user1.address, user2.address, price);
+            await expect(tx).to.changeEtherBalance(user2, -price);
+
+            expect(await landToken.ownerOf(1)).to.equal(user2.address);
+            expect(await marketplace.getActiveListingsCount()).to.equal(0);
+        });
+
+        it("Doit rester au prix plancher après la fin d'une enchère hollandaise", async function () {
+            const floorPrice = ethers.parseEther("1");
+            await marketplace.connect(user1).createDutchAuction(1, ethers.parseEther("2"), floorPrice, 1000);
+            await time.increase(5000);
+            expect(await marketplace.getAuctionPrice(1)).to.equal(floorPrice);
+            await expect(marketplace.connect(user2).buyDutchAuction(1, { value: floorPrice - 1n }))
+                .to.be.revertedWithCustomError(marketplace, "InsufficientFunds");
+        });
+
+        it("Doit réserver un token aux enchères au mécanisme d'enchère", async function () {
+            await marketplace.connect(user1).createEnglishAuction(1, reserve, increment, 3600);
+
+            await expect(marketplace.connect(user2).buyToken(1, { value: reserve }))
+                .to.be.revertedWithCustomError(marketplace, "AuctionActive");
+            await expect(marketplace.connect(user1).cancelListing(1))
+                .to.be.revertedWithCustomError(marketplace, "AuctionActive");
+            await expect(marketplace.connect(user2).cancelAuction(1))
+                .to.be.revertedWithCustomError(marketplace, "NotSeller");
+
+            await marketplace.connect(user2).placeBid(1, { value: reserve });
+            await expect(marketplace.connect(user1).cancelAuction(1))
+                .to.be.revertedWithCustomError(marketplace, "AuctionHasBids");
+
+            await marketplace.connect(user1).createDutchAuction(2, reserve, increment, 3600);
+            await expect(marketplace.connect(user1).cancelAuction(2))
+                .to.emit(marketplace, "AuctionCancelled")
+                .withArgs(2)
+                .and.to.emit(marketplace, "ListingCancelled");
+            expect(await landToken.ownerOf(2)).to.equal(user1.address);
+            expect(await marketplace.getAllActiveListings()).to.deep.equal([1n]);
+        });
+    });
+
+    describe("12. Listing Updates and Expiration Tests", function () {
+        const landId = 1;
+        const price = ethers.parseEther("1");
+
+        beforeEach(async function () {
+            await landRegistry.connect(user1).registerLand("Dijon", 800, 10, ethers.parseEther("0.5"), "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+            // Tokens 1 à 3 pour user1
+            await landToken.connect(user1).mintMultipleTokens(landId, 3, { value: ethers.parseEther("1.5") });
+            await landToken.connect(user1).setApprovalForAll(marketplace.target, true);
+        });
+
+        it("Doit permettre au vendeur de modifier le prix d'un listing", async function () {
+            await marketplace.connect(user1).listToken(1, price);
+            const newPrice = ethers.parseEther("0.8");
+
+            await expect(marketplace.connect(user2).updateListingPrice(1, newPrice))
+                .to.be.revertedWithCustomError(marketplace, "NotSeller");
+            await expect(marketplace.connect(user1).updateListingPrice(1, 0))
+                .to.be.revertedWithCustomError(marketplace, "InvalidPrice");
+            await expect(marketplace.connect(user1).updateListingPrice(2, newPrice))
+                .to.be.revertedWithCustomError(marketplace, "NotListed");
+
+            await expect(marketplace.connect(user1).updateListingPrice(1, newPrice))
+                .to.emit(marketplace, "ListingPriceUpdated")
+                .withArgs(1, price, newPrice);
+            expect(await landToken.ownerOf(1)).to.equal(marketplace.target);
+
+            await expect(marketplace.connect(user2).buyToken(1, { value: newPrice }))
+                .to.emit(marketplace, "TokenSold")
+                .withArgs(1, user1.address, user2.address, newPrice);
+        });
+
+        it("Doit modifier le prix de plusieurs listings en une transaction", async function () {
+            await marketplace.connect(user1).listMultipleTokens([1, 2], [price, price]);
+            const prices = [ethers.parseEther("2"), ethers.parseEther("3")];
+
+            await expect(marketplace.connect(user1).updateMultipleListingPrices([1, 2], [prices[0]]))
+                .to.be.revertedWith("Arrays length mismatch");
+            await marketplace.connect(user1).updateMultipleListingPrices([1, 2], prices);
+
+            const [listedPrices] = await marketplace.getMultipleListingDetails([1, 2]);
+            expect(listedPrices).to.deep.equal(prices);
+        });
+
+        it("Doit refuser l'achat d'un listing expiré", async function () {
+            await expect(marketplace.connect(user1).listTokenWithExpiry(1, price, await deadlineIn(0)))
+                .to.be.revertedWithCustomError(marketplace, "InvalidExpiration");
+
+            const expiresAt = await deadlineIn(3600);
+            await expect(marketplace.connect(user1).listTokenWithExpiry(1, price, expiresAt))
+                .to.emit(marketplace, "ListingExpirationSet")
+                .withArgs(1, expiresAt);
+            await marketplace.connect(user1).listToken(2, price);
+            expect(await marketplace.isListingExpired(1)).to.be.false;
+
+            await time.increaseTo(expiresAt);
+            expect(await marketplace.isListingExpired(1)).to.be.true;
+            expect(await marketplace.isListingExpired(2)).to.be.false;
+            await expect(marketplace.connect(user2).buyToken(1, { value: price }))
+                .to.be.revertedWithCustomError(marketplace, "ListingExpired");
+            await expect(marketplace.connect(user2).buyMultipleTokens([2, 1], { value: price * 2n }))
+                .to.be.revertedWithCustomError(marketplace, "ListingExpired");
+            await expect(marketplace.connect(user1).updateListingPrice(1, price * 2n))
+                .to.be.revertedWithCustomError(marketplace, "ListingExpired");
+
+            // Le vendeur peut toujours annuler lui-même
+            await marketplace.connect(user1).cancelListing(1);
+            expect(await marketplace.listingExpirations(1)).to.equal(0);
+        });
+
+        it("Doit rendre les tokens des listings expirés à leurs vendeurs", async function () {
+            const expiresAt = await deadlineIn(3600);
+            await marketplace.connect(user1).listTokenWithExpiry(1, price, expiresAt);
+            await marketplace.connect(user1).listToken(2, price);
+            await marketplace.connect(user1).listTokenWithExpiry(3, price, expiresAt + 7200);
+
+            await time.increaseTo(expiresAt);
+            const ids = [1, 2, 3];
+            expect(await marketplace.connect(user2).sweepExpiredListings.staticCall(ids)).to.equal(1);
+            await expect(marketplace.connect(user2).sweepExpiredListings(ids))
+                .to.emit(marketplace, "ExpiredListingRemoved")
+                .withArgs(1, user1.address)
+                .and.to.emit(marketplace, "ActiveListingsUpdated")
+                .withArgs(2);
+
+            expect(await landToken.ownerOf(1)).to.equal(user1.address);
+            expect((await marketplace.listings(1)).isActive).to.be.false;
+            expect([...(await marketplace.getAllActiveListings())]).to.have.members([2n, 3n]);
+            expect([...(await marketplace.getListingsByUser(user1.address))]).to.have.members([2n, 3n]);
+
+            // Rien à retirer : la transaction réussit sans effet
+            await expect(marketplace.sweepExpiredListings(ids))
+                .to.not.emit(marketplace, "ExpiredListingRemoved");
+            await marketplace.connect(user1).listToken(1, price);
+            expect(await marketplace.isListingExpired(1)).to.be.false;
+        });
+    });
+
+    describe("13. Royalties Tests", function () {
+        const landId = 1;
+        const royaltyPercentage = 500n;
+        const price = ethers.parseEther("2");
+
+        beforeEach(async function () {
+            await landRegistry.connect(user1).registerLand("Annecy", 900, 10, ethers.parseEther("0.5"), "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+        });
+
+        // Tokens 1 et 2 pour user2, revendus via le marketplace
+        async function tokenizeAndMint() {
+            await landToken.connect(user1).tokenizeLandWithRoyalty(landId, royaltyPercentage);
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: ethers.parseEther("1") });
+            await landToken.connect(user2).setApprovalForAll(marketplace.target, true);
+        }
+
+        it("Doit fixer la royalty du terrain à la tokenisation", async function () {
+            await expect(landToken.connect(user2).tokenizeLandWithRoyalty(landId, royaltyPercentage))
+                .to.be.revertedWithCustomError(landToken, "NotLandOwner");
+            await expect(landToken.connect(user1).tokenizeLandWithRoyalty(landId, 1001))
+                .to.be.revertedWithCustomError(landToken, "InvalidRoyaltyPercentage");
+
+            await expect(landToken.connect(user1).tokenizeLandWithRoyalty(landId, royaltyPercentage))
+                .to.emit(landToken, "LandRoyaltySet")
+                .withArgs(landId, user1.address, royaltyPercentage)
+                .and.to.emit(landToken, "LandTokenized")
+                .withArgs(landId);
+            expect((await landRegistry.getLandDetails(landId))[0]).to.be.true;
+
+            await landToken.connect(user2).mintToken(landId, { value: ethers.parseEther("0.5") });
+            const [receiver, amount] = await landToken.royaltyInfo(1, price);
+            expect(receiver).to.equal(user1.address);
+            expect(amount).to.equal((price * royaltyPercentage) / 10000n);
+            // Interface EIP-2981
+            expect(await landToken.supportsInterface("0x2a55205a")).to.be.true;
+        });
+
+        it("Ne doit pas permettre à un tiers de tokeniser le terrain sans royalty", async function () {
+            await expect(landToken.connect(owner).tokenizeLand(landId))
+                .to.be.revertedWithCustomError(landToken, "NotLandOwner");
+            await expect(landToken.connect(user2).tokenizeLand(landId))
+                .to.be.revertedWithCustomError(landToken, "NotLandOwner");
+
+            await expect(landToken.connect(user1).tokenizeLand(landId))
+                .to.emit(landToken, "LandTokenized")
+                .withArgs(landId);
+        });
+
+        it("Doit plafonner les royalties par le propriétaire du contrat", async function () {
+            await expect(landToken.connect(user1).setMaxRoyaltyPercentage(100))
+                .to.be.revertedWithCustomError(landToken, "MissingRole");
+            await expect(landToken.connect(owner).setMaxRoyaltyPercentage(2001))
+                .to.be.revertedWithCustomError(landToken, "InvalidRoyaltyPercentage");
+
+            await tokenizeAndMint();
+            await expect(landToken.connect(owner).setMaxRoyaltyPercentage(100))
+                .to.emit(landToken, "MaxRoyaltyPercentageUpdated")
+                .withArgs(100);
+            const [, amount] = await landToken.royaltyInfo(1, price);
+            expect(amount).to.equal((price * 100n) / 10000n);
+        });
+
+        it("Doit verser la royalty au propriétaire d'origine lors d'une revente", async function () {
+            await tokenizeAndMint();
+            await marketplace.connect(user2).listToken(1, price);
+
+            const fee = (price * 250n) / 10000n;
+            const royalty = (price * royaltyPercentage) / 10000n;
+            const tx = marketplace.connect(owner).buyToken(1, { value: price });
+            await expect(tx)
+                .to.emit(marketplace, "RoyaltyPaid")
+                .withArgs(1, user1.address, royalty);
+            expect(await marketplace.payments(user1.address)).to.equal(royalty);
+            expect(await marketplace.payments(user2.address)).to.equal(price - fee - royalty);
+            expect(await marketplace.accumulatedMarketplaceFees()).to.equal(fee);
+        });
+
+        it("Doit verser la royalty au nouveau propriétaire après un transfert de titre", async function () {
+            const newOwner = (await ethers.getSigners())[7];
+            await tokenizeAndMint();
+            await expect(landToken.connect(user1).landOwnerChanged(landId, user1.address))
+                .to.be.revertedWithCustomError(landToken, "NotRegistry");
+
+            await landRegistry.connect(user1).requestTitleTransfer(landId, newOwner.address);
+            await landRegistry.connect(validator1).approveTitleTransfer(landId, "QmActe");
+            const royalty = (price * royaltyPercentage) / 10000n;
+            expect(await landToken.royaltyInfo(1, price)).to.deep.equal([newOwner.address, royalty]);
+
+            await marketplace.connect(user2).listToken(1, price);
+            await expect(marketplace.connect(owner).buyToken(1, { value: price }))
+                .to.emit(marketplace, "RoyaltyPaid")
+                .withArgs(1, newOwner.address, royalty);
+            expect(await marketplace.payments(user1.address)).to.equal(0n);
+
+            // Même chose pour les parts fongibles
+            const sharesLand = landId + 1;
+            await landRegistry.connect(user1).registerLand("Chambéry", 900, 100, ethers.parseEther("0.01"), "QmDoc");
+            await landRegistry.connect(validator1).validateLand(sharesLand, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(sharesLand, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(sharesLand, "QmV3", true);
+            await landShares.connect(user1).tokenizeLandWithRoyalty(sharesLand, royaltyPercentage);
+            await expect(landShares.connect(user1).landOwnerChanged(sharesLand, user1.address))
+                .to.be.revertedWithCustomError(landShares, "NotRegistry");
+            await landRegistry.connect(user1).requestTitleTransfer(sharesLand, newOwner.address);
+            await landRegistry.connect(validator1).approveTitleTransfer(sharesLand, "QmActe");
+            expect(await landShares.royaltyInfo(sharesLand, price)).to.deep.equal([newOwner.address, royalty]);
+        });
+
+        it("Doit verser les royalties sur les achats groupés et relayés", async function () {
+            await tokenizeAndMint();
+            await marketplace.connect(user2).listMultipleTokens([1, 2], [price, price]);
+
+            const royalty = (price * royaltyPercentage) / 10000n;
+            await marketplace.connect(relayer).buyMultipleTokensForUser([1, 2], owner.address, { value: price * 2n });
+            expect(await marketplace.payments(user1.address)).to.equal(royalty * 2n);
+
+            await landToken.connect(owner).approve(marketplace.target, 1);
+            await marketplace.connect(owner).listToken(1, price);
+            await expect(marketplace.connect(relayer).buyTokenForUser(1, user2.address, { value: price }))
+                .to.emit(marketplace, "RoyaltyPaid")
+                .withArgs(1, user1.address, royalty);
+        });
+
+        it("Doit verser la royalty sur une offre acceptée", async function () {
+            await tokenizeAndMint();
+            await marketplace.connect(owner).makeOffer(2, await deadlineIn(3600), { value: price });
+            const royalty = (price * royaltyPercentage) / 10000n;
+            await expect(marketplace.connect(user2).acceptOffer(1, 2))
+                .to.emit(marketplace, "RoyaltyPaid")
+                .withArgs(2, user1.address, royalty);
+            expect(await landToken.ownerOf(2)).to.equal(owner.address);
+            expect(await marketplace.payments(user1.address)).to.equal(royalty);
+        });
+
+        it("Ne doit pas prélever de royalty pour un terrain tokenisé sans royalty", async function () {
+            await landToken.connect(user1).tokenizeLand(landId);
+            await landToken.connect(user2).mintToken(landId, { value: ethers.parseEther("0.5") });
+            await landToken.connect(user2).approve(marketplace.target, 1);
+            await marketplace.connect(user2).listToken(1, price);
+
+            const fee = (price * 250n) / 10000n;
+            const tx = marketplace.connect(owner).buyToken(1, { value: price });
+            await expect(tx).to.not.emit(marketplace, "RoyaltyPaid");
+            await tx;
+            expect(await marketplace.payments(user2.address)).to.equal(price - fee);
+        });
+    });
+
+    describe("14. Pull Payments and Treasury Tests", function () {
+        const landId = 1;
+        const price = ethers.parseEther("1");
+
+        beforeEach(async function () {
+            await landRegistry.connect(user1).registerLand("Brest", 700, 10, ethers.parseEther("0.5"), "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+        });
+
+        it("Doit verser les frais de plateforme à la trésorerie", async function () {
+            await expect(landToken.connect(user1).setTreasury(user1.address))
+                .to.be.revertedWithCustomError(landToken, "MissingRole");
+            await expect(landToken.connect(owner).setTreasury(ZERO_ADDRESS))
+                .to.be.revertedWithCustomError(landToken, "InvalidTreasury");
+            expect(await landToken.treasury()).to.equal(owner.address);
+
+            await expect(landToken.connect(owner).setTreasury(validator1.address))
+                .to.emit(landToken, "TreasuryUpdated")
+                .withArgs(validator1.address);
+
+            const mintPrice = ethers.parseEther("0.5");
+            const platformFee = (mintPrice * 500n) / 10000n;
+            await landToken.connect(user2).mintToken(landId, { value: mintPrice });
+
+            await expect(landToken.connect(owner).withdrawPlatformFees())
+                .to.changeEtherBalance(validator1, platformFee);
+            await expect(landToken.connect(owner).withdrawPlatformFees())
+                .to.be.revertedWithCustomError(landToken, "NoEtherToWithdraw");
+            // La part du propriétaire du terrain n'est pas un surplus récupérable
+            await expect(landToken.connect(owner).withdrawEther())
+                .to.be.revertedWithCustomError(landToken, "NoEtherToWithdraw");
+
+            await expect(landToken.connect(user1).withdrawPayments())
+                .to.emit(landToken, "PaymentWithdrawn")
+                .withArgs(user1.address, mintPrice - platformFee);
+        });
+
+        it("Doit créditer le vendeur et verser les frais de marketplace à la trésorerie", async function () {
+            await landToken.connect(user2).mintToken(landId, { value: ethers.parseEther("0.5") });
+            await landToken.connect(user2).approve(marketplace.target, 1);
+            await marketplace.connect(user2).listToken(1, price);
+            await marketplace.connect(owner).setTreasury(validator2.address);
+
+            const fee = (price * 250n) / 10000n;
+            await expect(marketplace.connect(owner).buyToken(1, { value: price }))
+                .to.changeEtherBalances([user2, marketplace], [0, price]);
+            expect(await marketplace.payments(user2.address)).to.equal(price - fee);
+            expect(await marketplace.totalPendingPayments()).to.equal(price - fee);
+
+            await expect(marketplace.connect(owner).withdrawMarketplaceFees())
+                .to.changeEtherBalance(validator2, fee);
+            await expect(marketplace.connect(owner).withdrawMarketplaceFees())
+                .to.be.revertedWithCustomError(marketplace, "NoEtherToWithdraw");
+            await expect(marketplace.connect(user2).withdrawPayments())
+                .to.changeEtherBalance(user2, price - fee);
+            expect(await ethers.provider.getBalance(marketplace.target)).to.equal(0);
+        });
+
+        it("Doit configurer la trésorerie lors du déploiement", async function () {
+            const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "land-treasury-"));
+            try {
+                const config = { validators: [], relayers: [], treasury: validator3.address };
+                const manifest = await deploySystem(hre, { deploymentsDir, config, log: () => {} });
+
+                const token = await ethers.getContractAt("LandToken", manifest.contracts.LandToken.address);
+                const market = await ethers.getContractAt("LandTokenMarketplace", manifest.contracts.LandTokenMarketplace.address);
+                expect(await token.treasury()).to.equal(validator3.address);
+                expect(await market.treasury()).to.equal(validator3.address);
+                expect(manifest.configuration.treasury.LandTokenMarketplace.address).to.equal(validator3.address);
+
+                // Relance : rien à reconfigurer
+                const blockAfterFirst = await ethers.provider.getBlockNumber();
+                await deploySystem(hre, { deploymentsDir, config, log: () => {} });
+                expect(await ethers.provider.getBlockNumber()).to.equal(blockAfterFirst);
+            } finally {
+                fs.rmSync(deploymentsDir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe("15. Metadata Tests", function () {
+        const landId = 1;
+
+        beforeEach(async function () {
+            await landRegistry.connect(user1).registerLand("Lot \"Les <Pins>\" & co", 900, 10, ethers.parseEther("0.5"), "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: ethers.parseEther("1") });
+        });
+
+        function decodeDataUri(uri, mediaType) {
+            const prefix = `data:${mediaType};base64,`;
+            expect(uri.startsWith(prefix)).to.be.true;
+            return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+        }
+
+        async function metadataOf(id) {
+            return JSON.parse(decodeDataUri(await landToken.tokenURI(id), "application/json"));
+        }
+
+        function attribute(metadata, name) {
+            return metadata.attributes.find((a) => a.trait_type === name).value;
+        }
+
+        it("Doit construire les métadonnées à partir du registre", async function () {
+            const metadata = await metadataOf(2);
+            const [, , , , registrationDate] = await landRegistry.getAllLandDetails(landId);
+            const [, , purchasePrice, mintDate] = await landToken.tokenData(2);
+
+            expect(metadata.name).to.equal("Terrain #1 - Token 2/10");
+            expect(metadata.external_url).to.equal("ipfs://QmDoc");
+            expect(attribute(metadata, "Localisation")).to.equal("Lot \"Les <Pins>\" & co");
+            expect(attribute(metadata, "Surface (m2)")).to.equal(900);
+            expect(attribute(metadata, "Date d'enregistrement")).to.equal(Number(registrationDate));
+            expect(attribute(metadata, "Statut")).to.equal("Valide");
+            expect(attribute(metadata, "Documents")).to.equal("ipfs://QmDoc");
+            expect(attribute(metadata, "Numero du token")).to.equal(2);
+            expect(attribute(metadata, "Prix d'achat (wei)")).to.equal(purchasePrice.toString());
+            expect(attribute(metadata, "Date du mint")).to.equal(Number(mintDate));
+        });
+
+        it("Doit échapper la localisation dans l'image SVG", async function () {
+            const metadata = await metadataOf(1);
+            const svg = decodeDataUri(metadata.image, "image/svg+xml");
+
+            expect(svg).to.contain("Lot &quot;Les &lt;Pins&gt;&quot; &amp; co");
+            expect(svg).to.contain("Token 1/10");
+            expect(svg).not.to.contain("<Pins>");
+        });
+
+        it("Doit numéroter les tokens au sein de leur terrain", async function () {
+            await landRegistry.connect(user2).registerLand("Nice", 300, 5, ethers.parseEther("0.1"), "QmNice");
+            await landRegistry.connect(validator1).validateLand(2, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(2, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(2, "QmV3", true);
+            await landToken.connect(user2).tokenizeLand(2);
+            await landToken.connect(user1).mintToken(2, { value: ethers.parseEther("0.1") });
+
+            // Token global n°3, premier token du terrain 2
+            expect((await landToken.tokenData(3)).tokenNumber).to.equal(1);
+            expect((await metadataOf(3)).name).to.equal("Terrain #2 - Token 1/5");
+        });
+
+        it("Doit permettre de changer la passerelle IPFS", async function () {
+            await expect(landToken.connect(user1).setIpfsGateway("https://ipfs.io/ipfs/"))
+                .to.be.revertedWithCustomError(landToken, "OwnableUnauthorizedAccount");
+
+            await expect(landToken.connect(owner).setIpfsGateway("https://ipfs.io/ipfs/"))
+                .to.emit(landToken, "IpfsGatewayUpdated")
+                .withArgs("https://ipfs.io/ipfs/")
+                .and.to.emit(landToken, "BatchMetadataUpdate")
+                .withArgs(1, 2);
+            expect((await metadataOf(1)).external_url).to.equal("https://ipfs.io/ipfs/QmDoc");
+        });
+
+        it("Doit garder le statut des métadonnées d'un terrain tokenisé", async function () {
+            const [validator4] = (await ethers.getSigners()).slice(7);
+            await landRegistry.connect(owner).addValidator(validator4.address, 0);
+
+            // Un avis tardif ne peut plus rejeter le terrain
+            await expect(landRegistry.connect(validator4).validateLand(landId, "QmV4", false))
+                .to.be.revertedWithCustomError(landRegistry, "LandNotPending");
+            expect(attribute(await metadataOf(1), "Statut")).to.equal("Valide");
+
+            await expect(landToken.connect(owner).landDataUpdated(landId))
+                .to.be.revertedWithCustomError(landToken, "NotRegistry");
+        });
+
+        it("Doit supporter ERC-4906 et rejeter les tokens inexistants", async function () {
+            expect(await landToken.supportsInterface("0x49064906")).to.be.true;
+            await expect(landToken.tokenURI(99)).to.be.revertedWith("ERC721: invalid token ID");
+        });
+    });
+
+    describe("16. Fungible Shares Tests", function () {
+        const landId = 1;
+        const pricePerShare = ethers.parseEther("0.001");
+
+        beforeEach(async function () {
+            await landRegistry.connect(user1).registerLand("Bordeaux", 5000, 1000, pricePerShare, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+        });
+
+        // Terrain tokenisé en parts, 500 parts achetées par user2
+        async function tokenizeAndMint() {
+            await landShares.connect(user1).tokenizeLand(landId);
+            await landShares.connect(user2).mintShares(landId, 500, { value: pricePerShare * 500n });
+        }
+
+        it("Doit tokeniser un terrain en parts fongibles exclusivement", async function () {
+            await expect(landShares.connect(user2).tokenizeLand(landId))
+                .to.be.revertedWithCustomError(landShares, "NotLandOwner");
+
+            await expect(landShares.connect(user1).tokenizeLand(landId))
+                .to.emit(landShares, "LandTokenized")
+                .withArgs(landId);
+            expect(await landRegistry.landTokenizers(landId)).to.equal(landShares.target);
+
+            // Ni tokenisation ni mint NFT possibles pour ce terrain
+            await expect(landToken.connect(user1).tokenizeLand(landId))
+                .to.be.revertedWithCustomError(landRegistry, "LandAlreadyTokenized");
+            await expect(landToken.connect(user2).mintToken(landId, { value: pricePerShare }))
+                .to.be.revertedWithCustomError(landRegistry, "UnauthorizedTokenizer");
+        });
+
+        it("Doit minter des parts au prix du registre et rembourser l'excédent", async function () {
+            await landShares.connect(user1).tokenizeLand(landId);
+            const price = pricePerShare * 500n;
+
+            const tx = landShares.connect(user2).mintShares(landId, 500, { value: price + ethers.parseEther("1") });
+            await expect(tx)
+                .to.emit(landShares, "SharesMinted")
+                .withArgs(landId, user2.address, 500, price);
+            await expect(tx).to.changeEtherBalance(user2, -price);
+
+            expect(await landShares.balanceOf(user2.address, landId)).to.equal(500);
+            expect(await landShares.totalSupply(landId)).to.equal(500);
+            expect((await landRegistry.getLandDetails(landId)).availableTokens).to.equal(500);
+
+            const fee = (price * 500n) / 10000n;
+            expect(await landShares.payments(user1.address)).to.equal(price - fee);
+            expect(await landShares.accumulatedPlatformFees()).to.equal(fee);
+
+            await expect(landShares.connect(user2).mintShares(landId, 501, { value: pricePerShare * 501n }))
+                .to.be.revertedWithCustomError(landShares, "NoTokensAvailable");
+            await expect(landShares.connect(user2).mintShares(landId, 10, { value: pricePerShare }))
+                .to.be.revertedWithCustomError(landShares, "InsufficientPayment");
+        });
+
+        it("Doit permettre les transferts partiels de parts", async function () {
+            await tokenizeAndMint();
+
+            await landShares.connect(user2).safeTransferFrom(user2.address, user1.address, landId, 30, "0x");
+
+            expect(await landShares.balanceOf(user2.address, landId)).to.equal(470);
+            expect(await landShares.balanceOf(user1.address, landId)).to.equal(30);
+        });
+
+        it("Doit exécuter partiellement un ordre de vente", async function () {
+            await tokenizeAndMint();
+            const askPrice = ethers.parseEther("0.002");
+            await landShares.connect(user2).setApprovalForAll(shareMarketplace.target, true);
+
+            await expect(shareMarketplace.connect(user2).createSellOrder(landId, 100, askPrice))
+                .to.emit(shareMarketplace, "OrderCreated")
+                .withArgs(1, landId, user2.address, 0, 100, askPrice);
+            expect(await landShares.balanceOf(shareMarketplace.target, landId)).to.equal(100);
+
+            const cost = askPrice * 40n;
+            await expect(shareMarketplace.connect(user1).fillSellOrder(1, 40, { value: cost }))
+                .to.emit(shareMarketplace, "OrderFilled")
+                .withArgs(1, user1.address, 40, cost);
+
+            expect(await landShares.balanceOf(user1.address, landId)).to.equal(40);
+            expect((await shareMarketplace.orders(1)).quantity).to.equal(60);
+            const fee = (cost * 250n) / 10000n;
+            expect(await shareMarketplace.payments(user2.address)).to.equal(cost - fee);
+            expect(await shareMarketplace.accumulatedMarketplaceFees()).to.equal(fee);
+
+            await expect(shareMarketplace.connect(user1).fillSellOrder(1, 61, { value: askPrice * 61n }))
+                .to.be.revertedWithCustomError(shareMarketplace, "InvalidQuantity");
+            await expect(shareMarketplace.connect(user1).cancelOrder(1))
+                .to.be.revertedWithCustomError(shareMarketplace, "NotOrderMaker");
+
+            // L'annulation rend les parts restantes
+            await expect(shareMarketplace.connect(user2).cancelOrder(1))
+                .to.emit(shareMarketplace, "OrderCancelled")
+                .withArgs(1);
+            expect(await landShares.balanceOf(user2.address, landId)).to.equal(460);
+            await expect(shareMarketplace.connect(user2).cancelOrder(1))
+                .to.be.revertedWithCustomError(shareMarketplace, "OrderNotActive");
+        });
+
+        it("Doit exécuter un ordre d'achat dont l'ETH est en séquestre", async function () {
+            await tokenizeAndMint();
+            const bidPrice = ethers.parseEther("0.0015");
+            const escrow = bidPrice * 50n;
+
+            const tx = shareMarketplace.connect(user1).createBuyOrder(landId, 50, bidPrice, { value: escrow + 1000n });
+            await expect(tx).to.changeEtherBalance(user1, -escrow);
+            expect(await shareMarketplace.totalOrderEscrow()).to.equal(escrow);
+
+            await expect(shareMarketplace.connect(user2).fillSellOrder(1, 10))
+                .to.be.revertedWithCustomError(shareMarketplace, "InvalidOrder");
+
+            await landShares.connect(user2).setApprovalForAll(shareMarketplace.target, true);
+            await shareMarketplace.connect(user2).fillBuyOrder(1, 20);
+            await shareMarketplace.connect(user2).fillBuyOrder(1, 30);
+
+            expect(await landShares.balanceOf(user1.address, landId)).to.equal(50);
+            expect(await landShares.balanceOf(user2.address, landId)).to.equal(450);
+            expect((await shareMarketplace.orders(1)).isActive).to.be.false;
+            expect(await shareMarketplace.totalOrderEscrow()).to.equal(0);
+            expect(await shareMarketplace.payments(user2.address)).to.equal(escrow - (escrow * 250n) / 10000n);
+
+            await expect(shareMarketplace.connect(user2).withdrawPayments())
+                .to.emit(shareMarketplace, "PaymentWithdrawn");
+        });
+
+        it("Doit verser la royalty du terrain sur les ventes de parts", async function () {
+            await expect(landShares.connect(user1).tokenizeLandWithRoyalty(landId, 1001))
+                .to.be.revertedWithCustomError(landShares, "InvalidRoyaltyPercentage");
+            await expect(landShares.connect(user1).tokenizeLandWithRoyalty(landId, 500))
+                .to.emit(landShares, "LandRoyaltySet")
+                .withArgs(landId, user1.address, 500);
+            expect(await landShares.supportsInterface("0x2a55205a")).to.be.true;
+            await landShares.connect(user2).mintShares(landId, 500, { value: pricePerShare * 500n });
+
+            const askPrice = pricePerShare * 2n;
+            const cost = askPrice * 100n;
+            const fee = (cost * 250n) / 10000n;
+            const royalty = (cost * 500n) / 10000n;
+            expect(await landShares.royaltyInfo(landId, cost)).to.deep.equal([user1.address, royalty]);
+
+            await landShares.connect(user2).setApprovalForAll(shareMarketplace.target, true);
+            await shareMarketplace.connect(user2).createSellOrder(landId, 100, askPrice);
+            await expect(shareMarketplace.connect(owner).fillSellOrder(1, 100, { value: cost }))
+                .to.emit(shareMarketplace, "RoyaltyPaid")
+                .withArgs(1, user1.address, royalty);
+            expect(await shareMarketplace.payments(user1.address)).to.equal(royalty);
+            expect(await shareMarketplace.payments(user2.address)).to.equal(cost - fee - royalty);
+            expect(await shareMarketplace.totalPendingPayments()).to.equal(cost - fee);
+        });
+
+        it("Doit soumettre les achats de parts au module de conformité", async function () {
+            await landShares.connect(user1).tokenizeLand(landId);
+            await expect(landShares.connect(user1).setCompliance(landCompliance.target))
+                .to.be.revertedWithCustomError(landShares, "OwnableUnauthorizedAccount");
+            await expect(landShares.connect(owner).setCompliance(landCompliance.target))
+                .to.emit(landShares, "ComplianceUpdated")
+                .withArgs(landCompliance.target);
+
+            await expect(landShares.connect(user2).mintShares(landId, 10, { value: pricePerShare * 10n }))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityNotVerified")
+                .withArgs(user2.address);
+            await landCompliance.connect(owner).setIdentity(user2.address, 0, await deadlineIn(365 * 24 * 3600));
+            await landShares.connect(user2).mintShares(landId, 10, { value: pricePerShare * 10n });
+
+            await landShares.connect(user2).setApprovalForAll(shareMarketplace.target, true);
+            await shareMarketplace.connect(user2).createSellOrder(landId, 5, pricePerShare);
+            await expect(shareMarketplace.connect(user1).fillSellOrder(1, 5, { value: pricePerShare * 5n }))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityNotVerified")
+                .withArgs(user1.address);
+            await expect(shareMarketplace.connect(user1).createBuyOrder(landId, 5, pricePerShare, { value: pricePerShare * 5n }))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityNotVerified");
+            expect(await shareMarketplace.totalOrderEscrow()).to.equal(0n);
+
+            // L'identité de l'acheteur est vérifiée à nouveau à l'exécution de son ordre
+            await landCompliance.connect(owner).setIdentity(user1.address, 0, await deadlineIn(1800));
+            await shareMarketplace.connect(user1).createBuyOrder(landId, 5, pricePerShare, { value: pricePerShare * 5n });
+            await time.increase(3600);
+            await expect(shareMarketplace.connect(user2).fillBuyOrder(2, 5))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityExpired");
+
+            // Le remplacement d'un module branché passe par le timelock
+            await expect(landShares.connect(owner).setCompliance(ZERO_ADDRESS))
+                .to.emit(landShares, "ChangeQueued");
+            expect(await landShares.compliance()).to.equal(landCompliance.target);
+        });
+
+        it("Doit réserver la mise à jour des métadonnées des parts au registre", async function () {
+            await tokenizeAndMint();
+            const [validator4] = (await ethers.getSigners()).slice(7);
+            await landRegistry.connect(owner).addValidator(validator4.address, 0);
+
+            // Un avis tardif ne peut plus rejeter le terrain ni bloquer ses ventes
+            await expect(landRegistry.connect(validator4).validateLand(landId, "QmV4", false))
+                .to.be.revertedWithCustomError(landRegistry, "LandNotPending");
+            await landShares.connect(user1).mintShares(landId, 1, { value: pricePerShare });
+            await expect(landShares.connect(user1).landDataUpdated(landId))
+                .to.be.revertedWithCustomError(landShares, "NotRegistry");
+        });
+    });
+
+    describe("17. Dividends Tests", function () {
+        const landId = 1;
+        const pricePerToken = ethers.parseEther("0.1");
+
+        // Terrain validé et tokenisé, 2 tokens mintés par user1 (1, 2) et 1 par user2 (3)
+        beforeEach(async function () {
+            await landRegistry.connect(user1).registerLand("Lille", 800, 10, pricePerToken, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+            await landToken.connect(user1).mintMultipleTokens(landId, 2, { value: pricePerToken * 2n });
+            await landToken.connect(user2).mintToken(landId, { value: pricePerToken });
+        });
+
+        it("Doit répartir un dépôt entre les tokens mintés", async function () {
+            await expect(landDividends.connect(owner).deposit(landId, { value: ethers.parseEther("3") }))
+                .to.emit(landDividends, "DividendsDeposited")
+                .withArgs(landId, owner.address, ethers.parseEther("3"), 3);
+
+            for (const id of [1, 2, 3]) {
+                expect(await landDividends.pendingDividends(id)).to.equal(ethers.parseEther("1"));
+            }
+
+            await expect(landDividends.deposit(2, { value: 1 }))
+                .to.be.revertedWithCustomError(landDividends, "NoTokensMinted");
+            await expect(landDividends.deposit(landId))
+                .to.be.revertedWithCustomError(landDividends, "NothingToDeposit");
+        });
+
+        it("Doit réclamer par token ou par lot", async function () {
+            await landDividends.deposit(landId, { value: ethers.parseEther("3") });
+
+            await expect(landDividends.connect(user1).claim(3))
+                .to.be.revertedWithCustomError(landDividends, "NotTokenHolder");
+
+            const tx = landDividends.connect(user2).claim(3);
+            await expect(tx)
+                .to.emit(landDividends, "DividendsClaimed")
+                .withArgs(user2.address, ethers.parseEther("1"));
+            await expect(tx).to.changeEtherBalance(user2, ethers.parseEther("1"));
+
+            await expect(landDividends.connect(user1).claimBatch([1, 2]))
+                .to.changeEtherBalance(user1, ethers.parseEther("2"));
+            await expect(landDividends.connect(user1).claimBatch([1, 2]))
+                .to.be.revertedWithCustomError(landDividends, "NoDividendsToClaim");
+            expect(await ethers.provider.getBalance(landDividends.target)).to.equal(0);
+        });
+
+        it("Doit exclure les tokens mintés après un dépôt", async function () {
+            await landDividends.deposit(landId, { value: ethers.parseEther("3") });
+            await landToken.connect(user2).mintToken(landId, { value: pricePerToken });
+            expect(await landDividends.pendingDividends(4)).to.equal(0);
+
+            await landDividends.deposit(landId, { value: ethers.parseEther("2") });
+            expect(await landDividends.pendingDividends(4)).to.equal(ethers.parseEther("0.5"));
+            expect(await landDividends.pendingDividends(3)).to.equal(ethers.parseEther("1.5"));
+        });
+
+        it("Doit créditer au détenteur sortant les dividendes accumulés avant un transfert", async function () {
+            await landDividends.deposit(landId, { value: ethers.parseEther("3") });
+
+            await expect(landToken.connect(user1).transferFrom(user1.address, user2.address, 1))
+                .to.emit(landDividends, "DividendsCredited")
+                .withArgs(1, user1.address, ethers.parseEther("1"));
+            expect(await landDividends.credits(user1.address)).to.equal(ethers.parseEther("1"));
+            expect(await landDividends.pendingDividends(1)).to.equal(0);
+
+            await landDividends.deposit(landId, { value: ethers.parseEther("3") });
+
+            // Le nouveau détenteur ne perçoit que les dividendes postérieurs au transfert
+            await expect(landDividends.connect(user2).claim(1))
+                .to.changeEtherBalance(user2, ethers.parseEther("1"));
+            // Les crédits de user1 s'ajoutent à son token 2
+            await expect(landDividends.connect(user1).claim(2))
+                .to.changeEtherBalance(user1, ethers.parseEther("3"));
+            await expect(landDividends.connect(user1).claim(1))
+                .to.be.revertedWithCustomError(landDividends, "NotTokenHolder");
+        });
+
+        it("Doit attribuer au vendeur les dividendes d'un token en séquestre", async function () {
+            await landToken.connect(user1).approve(marketplace.target, 1);
+            await marketplace.connect(user1).listToken(1, ethers.parseEther("1"));
+            expect(await landToken.ownerOf(1)).to.equal(marketplace.target);
+            expect(await landDividends.beneficiaryOf(1)).to.equal(user1.address);
+
+            await landDividends.deposit(landId, { value: ethers.parseEther("3") });
+            await expect(landDividends.connect(user1).claim(1))
+                .to.changeEtherBalance(user1, ethers.parseEther("1"));
+
+            // Les dividendes accumulés pendant le listing restent au vendeur après la vente
+            await landDividends.deposit(landId, { value: ethers.parseEther("3") });
+            await expect(marketplace.connect(user2).buyToken(1, { value: ethers.parseEther("1") }))
+                .to.emit(landDividends, "DividendsCredited")
+                .withArgs(1, user1.address, ethers.parseEther("1"));
+            expect(await landDividends.beneficiaryOf(1)).to.equal(user2.address);
+            expect(await landDividends.pendingDividends(1)).to.equal(0);
+        });
+
+        it("Doit refuser les dépôts tant que le module n'est pas activé", async function () {
+            await expect(landDividends.connect(user1).onTokenTransfer(user1.address, user2.address, 1))
+                .to.be.revertedWithCustomError(landDividends, "NotLandToken");
+            await expect(landToken.connect(user1).setDividendDistributor(user1.address))
+                .to.be.revertedWithCustomError(landToken, "OwnableUnauthorizedAccount");
+
+            await applyTimelocked(() => landToken.setDividendDistributor(ZERO_ADDRESS));
+            await expect(landDividends.deposit(landId, { value: 1 }))
+                .to.be.revertedWithCustomError(landDividends, "DistributorNotEnabled");
+        });
+    });
+
+    describe("18. Governance Tests", function () {
+        const landId = 1;
+        const pricePerToken = ethers.parseEther("0.1");
+        const votingPeriod = 7 * 24 * 3600;
+        let holder3;
+
+        // Terrain tokenisé, 3 tokens pour user1 (1-3), 2 pour user2 (4-5), 1 pour holder3 (6)
+        beforeEach(async function () {
+            [holder3] = (await ethers.getSigners()).slice(7);
+            await landRegistry.connect(user1).registerLand("Nantes", 1200, 10, pricePerToken, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+            await landToken.connect(user1).mintMultipleTokens(landId, 3, { value: pricePerToken * 3n });
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: pricePerToken * 2n });
+            await landToken.connect(holder3).mintToken(landId, { value: pricePerToken });
+        });
+
+        function priceAction(newPrice) {
+            return landRegistry.interface.encodeFunctionData("updatePricePerToken", [landId, newPrice]);
+        }
+
+        async function propose(signer, data = priceAction(ethers.parseEther("0.2")), target = landRegistry.target) {
+            const receipt = await (await landGovernance.connect(signer).propose(landId, target, data, "Hausse du prix")).wait();
+            const event = receipt.logs.map((log) => landGovernance.interface.parseLog(log)).find((e) => e && e.name === "ProposalCreated");
+            return event.args.proposalId;
+        }
+
+        it("Doit adopter et exécuter une hausse du prix des tokens invendus", async function () {
+            const proposalId = await propose(user2);
+            expect(await landGovernance.state(proposalId)).to.equal(0);
+
+            await expect(landGovernance.connect(user1).castVote(proposalId, true))
+                .to.emit(landGovernance, "VoteCast")
+                .withArgs(proposalId, user1.address, true, 3);
+            await landGovernance.connect(user2).castVote(proposalId, false);
+            await expect(landGovernance.connect(user1).castVote(proposalId, true))
+                .to.be.revertedWithCustomError(landGovernance, "AlreadyVoted");
+            await expect(landGovernance.execute(proposalId))
+                .to.be.revertedWithCustomError(landGovernance, "ProposalNotSucceeded");
+
+            await time.increase(votingPeriod + 1);
+            expect(await landGovernance.state(proposalId)).to.equal(2);
+            await expect(landGovernance.connect(validator1).castVote(proposalId, true))
+                .to.be.revertedWithCustomError(landGovernance, "ProposalNotActive");
+
+            await expect(landGovernance.execute(proposalId))
+                .to.emit(landRegistry, "PricePerTokenUpdated")
+                .withArgs(landId, ethers.parseEther("0.2"));
+            expect((await landRegistry.getLandDetails(landId)).pricePerToken).to.equal(ethers.parseEther("0.2"));
+            expect(await landGovernance.state(proposalId)).to.equal(3);
+            await expect(landGovernance.execute(proposalId))
+                .to.be.revertedWithCustomError(landGovernance, "ProposalNotSucceeded");
+        });
+
+        it("Doit lire les voix au bloc de création de la proposition", async function () {
+            const proposalId = await propose(user1);
+
+            // Les tokens reçus après la création ne donnent pas de voix supplémentaires
+            await landToken.connect(user1).transferFrom(user1.address, holder3.address, 1);
+            await landToken.connect(validator1).mintToken(landId, { value: pricePerToken });
+            await expect(landGovernance.connect(validator1).castVote(proposalId, true))
+                .to.be.revertedWithCustomError(landGovernance, "NoVotingPower");
+
+            await expect(landGovernance.connect(holder3).castVote(proposalId, false))
+                .to.emit(landGovernance, "VoteCast")
+                .withArgs(proposalId, holder3.address, false, 1);
+            await expect(landGovernance.connect(user1).castVote(proposalId, true))
+                .to.emit(landGovernance, "VoteCast")
+                .withArgs(proposalId, user1.address, true, 3);
+
+            expect(await landGovernance.getVotes(landId, user1.address)).to.equal(2);
+            expect(await landGovernance.getVotes(landId, holder3.address)).to.equal(2);
+            await expect(landGovernance.connect(validator2).propose(landId, landRegistry.target, priceAction(1), ""))
+                .to.be.revertedWithCustomError(landGovernance, "NoVotingPower");
+        });
+
+        it("Doit appliquer le quorum et le seuil propres au terrain", async function () {
+            await expect(landGovernance.connect(user1).setVotingConfig(landId, 5000, 6000, 3600))
+                .to.be.revertedWithCustomError(landGovernance, "UnauthorizedConfiguration");
+            await expect(landGovernance.setVotingConfig(landId, 5000, 10000, 3600))
+                .to.be.revertedWithCustomError(landGovernance, "InvalidVotingConfig");
+            await expect(landGovernance.setVotingConfig(landId, 5000, 6000, 3600))
+                .to.emit(landGovernance, "VotingConfigUpdated")
+                .withArgs(landId, 5000, 6000, 3600);
+
+            // 2 voix exprimées sur 6 : quorum de 50% non atteint
+            const first = await propose(user2);
+            await landGovernance.connect(user2).castVote(first, true);
+            // 3 pour, 2 contre : 60% des suffrages, seuil de 60% non dépassé
+            const second = await propose(user2);
+            await landGovernance.connect(user1).castVote(second, true);
+            await landGovernance.connect(user2).castVote(second, false);
+            // 5 pour, 1 contre : adoptée
+            const third = await propose(user2);
+            await landGovernance.connect(user1).castVote(third, true);
+            await landGovernance.connect(user2).castVote(third, true);
+            await landGovernance.connect(holder3).castVote(third, false);
+
+            await time.increase(3601);
+            expect(await landGovernance.state(first)).to.equal(1);
+            expect(await landGovernance.state(second)).to.equal(1);
+            expect(await landGovernance.state(third)).to.equal(2);
+        });
+
+        it("Doit laisser voter le vendeur d'un token en séquestre", async function () {
+            await landToken.connect(user2).approve(marketplace.target, 4);
+            await marketplace.connect(user2).listToken(4, ethers.parseEther("1"));
+            expect(await landGovernance.getVotes(landId, user2.address)).to.equal(2);
+            expect(await landGovernance.getVotes(landId, marketplace.target)).to.equal(0);
+
+            const proposalId = await propose(user2);
+            await expect(landGovernance.connect(user2).castVote(proposalId, true))
+                .to.emit(landGovernance, "VoteCast")
+                .withArgs(proposalId, user2.address, true, 2);
+
+            // Vendu : la voix passe à l'acheteur
+            await marketplace.connect(holder3).buyToken(4, { value: ethers.parseEther("1") });
+            expect(await landGovernance.getVotes(landId, user2.address)).to.equal(1);
+            expect(await landGovernance.getVotes(landId, holder3.address)).to.equal(2);
+        });
+
+        it("Doit refuser un terrain dont des tokens existaient avant le branchement du module", async function () {
+            const governance = await (await ethers.getContractFactory("LandGovernance")).deploy(
+                landToken.target,
+                marketplace.target
+            );
+            await applyTimelocked(() => landToken.connect(owner).setGovernance(governance.target));
+
+            // Les mouvements restent possibles mais ne sont pas comptés
+            await landToken.connect(user1).transferFrom(user1.address, user2.address, 1);
+            expect(await governance.trackedLands(landId)).to.be.false;
+            expect(await governance.getVotes(landId, user2.address)).to.equal(0);
+            await expect(governance.connect(user2).propose(landId, landRegistry.target, priceAction(1), ""))
+                .to.be.revertedWithCustomError(governance, "TokensAlreadyMinted");
+            await expect(governance.connect(owner).setVotingConfig(landId, 1000, 5000, votingPeriod))
+                .to.be.revertedWithCustomError(governance, "TokensAlreadyMinted");
+
+            // Un terrain tokenisé ensuite est suivi dès son premier token
+            const otherLand = 2;
+            await landRegistry.connect(user1).registerLand("Rennes", 900, 10, pricePerToken, "QmDoc2");
+            await landRegistry.connect(validator1).validateLand(otherLand, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(otherLand, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(otherLand, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(otherLand);
+            await governance.connect(owner).setVotingConfig(otherLand, 1000, 5000, votingPeriod);
+            await landToken.connect(user2).mintMultipleTokens(otherLand, 2, { value: pricePerToken * 2n });
+
+            expect(await governance.trackedLands(otherLand)).to.be.true;
+            expect(await governance.getVotes(otherLand, user2.address)).to.equal(2);
+            const data = landRegistry.interface.encodeFunctionData("updatePricePerToken", [otherLand, 1]);
+            await expect(governance.connect(user2).propose(otherLand, landRegistry.target, data, ""))
+                .to.emit(governance, "ProposalCreated");
+        });
+
+        it("Doit restreindre les actions exécutables", async function () {
+            const otherLand = landRegistry.interface.encodeFunctionData("updatePricePerToken", [2, 1]);
+            await expect(landGovernance.connect(user1).propose(landId, landRegistry.target, otherLand, ""))
+                .to.be.revertedWithCustomError(landGovernance, "ActionLandMismatch");
+
+            const validate = landRegistry.interface.encodeFunctionData("validateLand", [landId, "QmX", true]);
+            await expect(landGovernance.connect(user1).propose(landId, landRegistry.target, validate, ""))
+                .to.be.revertedWithCustomError(landGovernance, "ActionNotAllowed");
+            await expect(landGovernance.setActionAllowed(user1.address, "0x12345678", true))
+                .to.be.revertedWithCustomError(landGovernance, "InvalidTarget");
+
+            await expect(landRegistry.updatePricePerToken(landId, 1))
+                .to.be.revertedWithCustomError(landRegistry, "NotGovernance");
+            await expect(landRegistry.setPropertyManager(landId, user1.address))
+                .to.be.revertedWithCustomError(landRegistry, "NotGovernance");
+
+            // Les paramètres de vote peuvent eux-mêmes être votés
+            const config = landGovernance.interface.encodeFunctionData("setVotingConfig", [landId, 0, 5000, 60]);
+            const proposalId = await propose(user1, config, landGovernance.target);
+            await landGovernance.connect(user1).castVote(proposalId, true);
+            await time.increase(votingPeriod + 1);
+            await landGovernance.execute(proposalId);
+            expect((await landGovernance.getVotingConfig(landId)).votingPeriod).to.equal(60);
+        });
+
+        it("Doit désigner le gestionnaire du bien par un vote", async function () {
+            const data = landRegistry.interface.encodeFunctionData("setPropertyManager", [landId, validator1.address]);
+            const proposalId = await propose(user1, data);
+            await landGovernance.connect(user1).castVote(proposalId, true);
+            await landGovernance.connect(user2).castVote(proposalId, false);
+            await time.increase(votingPeriod + 1);
+
+            await expect(landGovernance.execute(proposalId))
+                .to.emit(landRegistry, "PropertyManagerUpdated")
+                .withArgs(landId, validator1.address);
+            expect(await landRegistry.propertyManagers(landId)).to.equal(validator1.address);
+        });
+    });
+
+    describe("19. Land Lifecycle Tests", function () {
+        const landId = 1;
+        const pricePerToken = ethers.parseEther("0.1");
+
+        beforeEach(async function () {
+            await landRegistry.connect(user1).registerLand("Brest", 900, 10, pricePerToken, "QmDoc");
+        });
+
+        it("Doit modifier un terrain en attente et ouvrir un nouveau tour de validation", async function () {
+            await expect(landRegistry.connect(user2).updateLand(landId, "Brest", 950, 12, pricePerToken, "QmDoc2"))
+                .to.be.revertedWithCustomError(landRegistry, "NotLandOwner");
+
+            // Sans avis rendu, la modification ne change pas de tour
+            await expect(landRegistry.connect(user1).updateLand(landId, "Brest", 950, 12, pricePerToken, "QmDoc2"))
+                .to.emit(landRegistry, "LandUpdated")
+                .withArgs(landId, "Brest", 950, 12, pricePerToken, "QmDoc2")
+                .and.not.to.emit(landRegistry, "ValidationRoundStarted");
+
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await expect(landRegistry.connect(user1).updateLand(landId, "Brest Centre", 950, 12, pricePerToken, "QmDoc3"))
+                .to.emit(landRegistry, "ValidationRoundStarted")
+                .withArgs(landId, 1);
+
+            const details = await landRegistry.getAllLandDetails(landId);
+            expect(details.location).to.equal("Brest Centre");
+            expect(details.availableTokens).to.equal(12);
+            expect(await landRegistry.getCurrentValidations(landId)).to.have.length(0);
+
+            // Les avis du tour précédent ne comptent plus : chacun doit se prononcer à nouveau
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1bis", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            expect((await landRegistry.getLandDetails(landId)).status).to.equal(0);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2bis", true);
+            expect((await landRegistry.getLandDetails(landId)).status).to.equal(1);
+
+            const history = await landRegistry.getValidationHistory(landId);
+            expect(history.map((v) => Number(v.round))).to.deep.equal([0, 0, 1, 1, 1]);
+            await expect(landRegistry.connect(user1).updateLand(landId, "Brest", 950, 12, pricePerToken, "QmDoc4"))
+                .to.be.revertedWithCustomError(landRegistry, "LandNotPending");
+        });
+
+        it("Doit soumettre à nouveau un terrain rejeté", async function () {
+            await expect(landRegistry.connect(user1).resubmitLand(landId, "Brest", 900, 10, pricePerToken, "QmDoc2"))
+                .to.be.revertedWithCustomError(landRegistry, "LandNotRejected");
+
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmRefus", false);
+            expect((await landRegistry.getLandDetails(landId)).status).to.equal(2);
+            await expect(landRegistry.connect(user1).updateLand(landId, "Brest", 900, 10, pricePerToken, "QmDoc2"))
+                .to.be.revertedWithCustomError(landRegistry, "LandNotPending");
+
+            await expect(landRegistry.connect(user1).resubmitLand(landId, "Brest", 900, 10, pricePerToken, ""))
+                .to.be.revertedWithCustomError(landRegistry, "InvalidCIDComments");
+            await expect(landRegistry.connect(user1).resubmitLand(landId, "Brest", 900, 10, pricePerToken, "QmDoc2"))
+                .to.emit(landRegistry, "LandResubmitted")
+                .withArgs(landId, 1);
+            expect((await landRegistry.getLandDetails(landId)).status).to.equal(0);
+            expect(await landRegistry.validationRounds(landId)).to.equal(1);
+
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            expect((await landRegistry.getLandDetails(landId)).status).to.equal(1);
+            expect(await landRegistry.getValidationHistory(landId)).to.have.length(5);
+            await landToken.connect(user1).tokenizeLand(landId);
+        });
+
+        it("Doit retirer un terrain non tokenisé du registre", async function () {
+            await landRegistry.connect(user1).requestTitleTransfer(landId, user2.address);
+            await expect(landRegistry.connect(user2).withdrawLand(landId))
+                .to.be.revertedWithCustomError(landRegistry, "NotLandOwner");
+            await expect(landRegistry.connect(user1).withdrawLand(landId))
+                .to.emit(landRegistry, "LandWithdrawn")
+                .withArgs(landId, user1.address);
+
+            expect(await landRegistry.pendingTitleTransfers(landId)).to.equal(ZERO_ADDRESS);
+            await expect(landRegistry.connect(validator1).validateLand(landId, "QmV1", true))
+                .to.be.revertedWithCustomError(landRegistry, "LandNotRegistered");
+            await expect(landRegistry.connect(user1).withdrawLand(landId))
+                .to.be.revertedWithCustomError(landRegistry, "LandNotRegistered");
+
+            // Un terrain tokenisé ne peut plus être retiré
+            await landRegistry.connect(user1).registerLand("Quimper", 500, 5, pricePerToken, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(2, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(2, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(2, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(2);
+            await expect(landRegistry.connect(user1).withdrawLand(2))
+                .to.be.revertedWithCustomError(landRegistry, "LandAlreadyTokenized");
+        });
+
+        it("Doit transférer le titre après l'approbation d'un notaire", async function () {
+            await expect(landRegistry.connect(user1).requestTitleTransfer(landId, user1.address))
+                .to.be.revertedWithCustomError(landRegistry, "InvalidNewOwner");
+            await expect(landRegistry.connect(validator1).approveTitleTransfer(landId, "QmActe"))
+                .to.be.revertedWithCustomError(landRegistry, "NoPendingTitleTransfer");
+
+            await expect(landRegistry.connect(user1).requestTitleTransfer(landId, user2.address))
+                .to.emit(landRegistry, "TitleTransferRequested")
+                .withArgs(landId, user1.address, user2.address);
+            await expect(landRegistry.connect(validator2).approveTitleTransfer(landId, "QmActe"))
+                .to.be.revertedWithCustomError(landRegistry, "NotNotary");
+            await expect(landRegistry.connect(user2).approveTitleTransfer(landId, "QmActe"))
+                .to.be.revertedWithCustomError(landRegistry, "UnauthorizedValidator");
+
+            await expect(landRegistry.connect(validator1).approveTitleTransfer(landId, "QmActe"))
+                .to.emit(landRegistry, "TitleTransferApproved")
+                .withArgs(landId, user1.address, user2.address, validator1.address, "QmActe");
+            expect(await landRegistry.getLandOwner(landId)).to.equal(user2.address);
+            expect(await landRegistry.pendingTitleTransfers(landId)).to.equal(ZERO_ADDRESS);
+
+            // Le nouveau propriétaire reçoit le produit des mints
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user2).tokenizeLand(landId);
+            await expect(landToken.connect(validator1).mintToken(landId, { value: pricePerToken }))
+                .to.changeEtherBalance(user1, 0);
+
+            await landRegistry.connect(user2).requestTitleTransfer(landId, user1.address);
+            await expect(landRegistry.connect(user2).cancelTitleTransfer(landId))
+                .to.emit(landRegistry, "TitleTransferCancelled")
+                .withArgs(landId);
+            await expect(landRegistry.connect(user2).cancelTitleTransfer(landId))
+                .to.be.revertedWithCustomError(landRegistry, "NoPendingTitleTransfer");
+        });
+    });
+
+    describe("20. Validator Registry Tests", function () {
+        const pricePerToken = ethers.parseEther("0.1");
+        let notary2;
+
+        beforeEach(async function () {
+            [notary2] = (await ethers.getSigners()).slice(7);
+            await landRegistry.connect(owner).addValidator(notary2.address, 0);
+        });
+
+        async function register(signer = user1) {
+            const receipt = await (await landRegistry.connect(signer).registerLand("Dijon", 700, 10, pricePerToken, "QmDoc")).wait();
+            const event = receipt.logs.map((log) => landRegistry.interface.parseLog(log)).find((e) => e && e.name === "LandRegistered");
+            return event.args.landId;
+        }
+
+        it("Doit lister les validateurs par type et refuser de changer un type en silence", async function () {
+            expect(await landRegistry.getValidatorsByType(0)).to.deep.equal([validator1.address, notary2.address]);
+            expect(await landRegistry.getValidatorsByType(1)).to.deep.equal([validator2.address]);
+
+            await expect(landRegistry.connect(owner).addValidator(notary2.address, 1))
+                .to.be.revertedWithCustomError(landRegistry, "ValidatorAlreadyRegistered");
+            await expect(landRegistry.connect(user1).removeValidator(notary2.address))
+                .to.be.revertedWithCustomError(landRegistry, "MissingRole");
+
+            await expect(landRegistry.connect(owner).removeValidator(notary2.address))
+                .to.emit(landRegistry, "ValidatorRemoved")
+                .withArgs(notary2.address);
+            await landRegistry.connect(owner).addValidator(notary2.address, 1);
+            expect(await landRegistry.getValidatorsByType(0)).to.deep.equal([validator1.address]);
+            expect(await landRegistry.getValidatorsByType(1)).to.deep.equal([validator2.address, notary2.address]);
+            await expect(landRegistry.connect(owner).removeValidator(user1.address))
+                .to.be.revertedWithCustomError(landRegistry, "UnauthorizedValidator");
+        });
+
+        it("Doit signaler les avis d'un validateur retiré et ne plus les compter", async function () {
+            const landId = await register();
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+
+            await landRegistry.connect(owner).removeValidator(validator1.address);
+            await expect(landRegistry.connect(validator1).validateLand(landId, "QmV1", true))
+                .to.be.revertedWithCustomError(landRegistry, "UnauthorizedValidator");
+
+            // L'avis du notaire retiré ne suffit plus : un autre notaire doit se prononcer
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            expect((await landRegistry.getLandDetails(landId)).status).to.equal(0);
+            await landRegistry.connect(notary2).validateLand(landId, "QmV4", true);
+            expect((await landRegistry.getLandDetails(landId)).status).to.equal(1);
+
+            const history = await landRegistry.getValidationHistory(landId);
+            expect(history.map((v) => v.validatorRemoved)).to.deep.equal([true, false, false, false]);
+        });
+
+        it("Doit suspendre puis réintégrer un validateur", async function () {
+            const landId = await register();
+            await expect(landRegistry.connect(owner).suspendValidator(validator2.address))
+                .to.emit(landRegistry, "ValidatorSuspended")
+                .withArgs(validator2.address);
+            await expect(landRegistry.connect(owner).suspendValidator(validator2.address))
+                .to.be.revertedWithCustomError(landRegistry, "ValidatorIsSuspended");
+
+            await expect(landRegistry.connect(validator2).validateLand(landId, "QmV2", true))
+                .to.be.revertedWithCustomError(landRegistry, "ValidatorIsSuspended");
+            const deadline = await deadlineIn(3600);
+            const { signature } = await signValidationAttestation(validator2, landRegistry, {
+                landId, cidComments: "QmV2", isValid: true, deadline
+            });
+            await expect(landRegistry.connect(relayer).validateLandWithSignature(landId, "QmV2", true, validator2.address, deadline, signature))
+                .to.be.revertedWithCustomError(landRegistry, "ValidatorIsSuspended");
+            expect(await landRegistry.getValidatorsByType(1)).to.deep.equal([validator2.address]);
+
+            await expect(landRegistry.connect(owner).reinstateValidator(validator2.address))
+                .to.emit(landRegistry, "ValidatorReinstated")
+                .withArgs(validator2.address);
+            await landRegistry.connect(relayer).validateLandWithSignature(landId, "QmV2", true, validator2.address, deadline, signature);
+            await expect(landRegistry.connect(owner).reinstateValidator(validator2.address))
+                .to.be.revertedWithCustomError(landRegistry, "InvalidValidator");
+        });
+
+        it("Doit appliquer la politique d'approbation fixée à l'enregistrement", async function () {
+            const before = await register();
+            await expect(landRegistry.connect(owner).setApprovalPolicy([0, 0, 0]))
+                .to.be.revertedWithCustomError(landRegistry, "InvalidApprovalPolicy");
+            await expect(landRegistry.connect(owner).setApprovalPolicy([2, 1, 0]))
+                .to.emit(landRegistry, "ApprovalPolicyUpdated")
+                .withArgs(0, [2, 1, 0]);
+            const after = await register();
+
+            expect(await landRegistry.getApprovalPolicy(before)).to.deep.equal([1, 1, 1]);
+            expect(await landRegistry.getApprovalPolicy(after)).to.deep.equal([2, 1, 0]);
+
+            // Deux notaires et un géomètre suffisent, sans expert juridique
+            await landRegistry.connect(validator1).validateLand(after, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(after, "QmV2", true);
+            expect((await landRegistry.getLandDetails(after)).status).to.equal(0);
+            await landRegistry.connect(notary2).validateLand(after, "QmV4", true);
+            expect((await landRegistry.getLandDetails(after)).status).to.equal(1);
+
+            // Le terrain enregistré avant le changement garde sa politique
+            await landRegistry.connect(validator1).validateLand(before, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(before, "QmV2", true);
+            await landRegistry.connect(notary2).validateLand(before, "QmV4", true);
+            expect((await landRegistry.getLandDetails(before)).status).to.equal(0);
+            await landRegistry.connect(validator3).validateLand(before, "QmV3", true);
+            expect((await landRegistry.getLandDetails(before)).status).to.equal(1);
+        });
+
+        it("Doit accepter une politique propre au terrain seulement plus exigeante", async function () {
+            await expect(landRegistry.connect(user1).registerLandWithOptions("Dijon", 700, 10, pricePerToken, "QmDoc", ZERO_ADDRESS, [2, 1, 0]))
+                .to.be.revertedWithCustomError(landRegistry, "InvalidApprovalPolicy");
+            await expect(landRegistry.connect(user1).registerLandWithOptions("Dijon", 700, 10, pricePerToken, "QmDoc", ZERO_ADDRESS, [2, 1, 1]))
+                .to.emit(landRegistry, "ApprovalPolicyUpdated")
+                .withArgs(1, [2, 1, 1]);
+
+            await landRegistry.connect(validator1).validateLand(1, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(1, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(1, "QmV3", true);
+            expect((await landRegistry.getLandDetails(1)).status).to.equal(0);
+            await landRegistry.connect(notary2).validateLand(1, "QmV4", true);
+            expect((await landRegistry.getLandDetails(1)).status).to.equal(1);
+        });
+    });
+
+    describe("21. Access Control Tests", function () {
+        const DELAY = 2 * 24 * 3600;
+
+        it("Doit déléguer les rôles d'administration sans donner la propriété", async function () {
+            const PAUSER_ROLE = await landRegistry.PAUSER_ROLE();
+            const TREASURER_ROLE = await landToken.TREASURER_ROLE();
+
+            await expect(landRegistry.connect(user1).grantRole(PAUSER_ROLE, user1.address))
+                .to.be.revertedWithCustomError(landRegistry, "OwnableUnauthorizedAccount");
+            await expect(landRegistry.connect(user1).pause())
+                .to.be.revertedWithCustomError(landRegistry, "MissingRole")
+                .withArgs(PAUSER_ROLE, user1.address);
+
+            await expect(landRegistry.connect(owner).grantRole(PAUSER_ROLE, user1.address))
+                .to.emit(landRegistry, "RoleGranted")
+                .withArgs(PAUSER_ROLE, user1.address, owner.address);
+            expect(await landRegistry.hasRole(PAUSER_ROLE, user1.address)).to.equal(true);
+            expect(await landRegistry.hasRole(PAUSER_ROLE, owner.address)).to.equal(true);
+            await landRegistry.connect(user1).pause();
+            await landRegistry.connect(user1).unpause();
+            await expect(landRegistry.connect(user1).addValidator(user2.address, 0))
+                .to.be.revertedWithCustomError(landRegistry, "MissingRole");
+            await expect(landRegistry.connect(user1).setTokenizer(user1.address))
+                .to.be.revertedWithCustomError(landRegistry, "OwnableUnauthorizedAccount");
+
+            await landToken.connect(owner).grantRole(TREASURER_ROLE, user2.address);
+            await landToken.connect(user2).setTreasury(user2.address);
+            expect(await landToken.treasury()).to.equal(user2.address);
+
+            await expect(landRegistry.connect(user1).renounceRole(PAUSER_ROLE))
+                .to.emit(landRegistry, "RoleRevoked")
+                .withArgs(PAUSER_ROLE, user1.address, user1.address);
+            await expect(landRegistry.connect(user1).pause())
+                .to.be.revertedWithCustomError(landRegistry, "MissingRole");
+            await landToken.connect(owner).revokeRole(TREASURER_ROLE, user2.address);
+            expect(await landToken.hasRole(TREASURER_ROLE, user2.address)).to.equal(false);
+        });
+
+        it("Doit transférer la propriété en deux étapes", async function () {
+            await expect(landToken.connect(owner).transferOwnership(user1.address))
+                .to.emit(landToken, "OwnershipTransferStarted")
+                .withArgs(owner.address, user1.address);
+            expect(await landToken.owner()).to.equal(owner.address);
+            expect(await landToken.pendingOwner()).to.equal(user1.address);
+
+            await expect(landToken.connect(user2).acceptOwnership())
+                .to.be.revertedWithCustomError(landToken, "OwnableUnauthorizedAccount")
+                .withArgs(user2.address);
+            await expect(landToken.connect(user1).acceptOwnership())
+                .to.emit(landToken, "OwnershipTransferred")
+                .withArgs(owner.address, user1.address);
+            expect(await landToken.owner()).to.equal(user1.address);
+            expect(await landToken.pendingOwner()).to.equal(ZERO_ADDRESS);
+            await expect(landToken.connect(owner).setIpfsGateway("https://ipfs.io/ipfs/"))
+                .to.be.revertedWithCustomError(landToken, "OwnableUnauthorizedAccount");
+        });
+
+        it("Doit appliquer les frais seulement après le délai du timelock", async function () {
+            const FEE_MANAGER_ROLE = await marketplace.FEE_MANAGER_ROLE();
+            await marketplace.connect(owner).grantRole(FEE_MANAGER_ROLE, user1.address);
+            const id = changeId(marketplace, "setMarketplaceFeePercentage", [400]);
+
+            // L'appel retourne false tant qu'il ne fait que mettre le changement en file
+            expect(await marketplace.connect(user1).setMarketplaceFeePercentage.staticCall(400)).to.equal(false);
+            await expect(marketplace.connect(user1).setMarketplaceFeePercentage(400))
+                .to.emit(marketplace, "ChangeQueued");
+            const eta = await marketplace.queuedChanges(id);
+            expect(eta).to.equal(BigInt(await deadlineIn(DELAY)));
+            expect(await marketplace.marketplaceFeePercentage()).to.equal(250);
+
+            await expect(marketplace.connect(user1).setMarketplaceFeePercentage(400))
+                .to.be.revertedWithCustomError(marketplace, "ChangeNotReady")
+                .withArgs(id, eta);
+
+            await time.increaseTo(eta);
+            expect(await marketplace.connect(user1).setMarketplaceFeePercentage.staticCall(400)).to.equal(true);
+            await expect(marketplace.connect(user1).setMarketplaceFeePercentage(400))
+                .to.emit(marketplace, "ChangeExecuted")
+                .withArgs(id)
+                .and.to.emit(marketplace, "MarketplaceFeeUpdated")
+                .withArgs(400);
+            expect(await marketplace.marketplaceFeePercentage()).to.equal(400);
+            expect(await marketplace.queuedChanges(id)).to.equal(0);
+
+            await expect(marketplace.connect(owner).setMarketplaceFeePercentage(1001))
+                .to.be.revertedWithCustomError(marketplace, "InvalidFeePercentage");
+
+            // Un appel différent est un autre changement
+            await expect(landToken.connect(owner).setPlatformFeePercentage(10001))
+                .to.be.revertedWithCustomError(landToken, "InvalidFeePercentage");
+            await landToken.connect(owner).setPlatformFeePercentage(300);
+            expect(await landToken.platformFeePercentage()).to.not.equal(300);
+        });
+
+        it("Doit permettre d'annuler un changement en file", async function () {
+            const id = changeId(landShares, "setPlatformFeePercentage", [700]);
+            await landShares.connect(owner).setPlatformFeePercentage(700);
+
+            await expect(landShares.connect(user1).cancelChange(id))
+                .to.be.revertedWithCustomError(landShares, "OwnableUnauthorizedAccount");
+            await expect(landShares.connect(owner).cancelChange(id))
+                .to.emit(landShares, "ChangeCancelled")
+                .withArgs(id);
+            await expect(landShares.connect(owner).cancelChange(id))
+                .to.be.revertedWithCustomError(landShares, "ChangeNotQueued")
+                .withArgs(id);
+
+            // Après annulation, le même appel repart pour un délai complet
+            await time.increase(DELAY);
+            await expect(landShares.connect(owner).setPlatformFeePercentage(700))
+                .to.emit(landShares, "ChangeQueued");
+            expect(await landShares.platformFeePercentage()).to.not.equal(700);
+        });
+
+        it("Doit soumettre le changement de tokenizer et du délai au timelock", async function () {
+            const current = await landRegistry.tokenizer();
+            await expect(landRegistry.connect(owner).setTokenizer(user1.address))
+                .to.emit(landRegistry, "ChangeQueued");
+            expect(await landRegistry.tokenizer()).to.equal(current);
+
+            await expect(landRegistry.connect(owner).setTimelockDelay(31 * 24 * 3600))
+                .to.be.revertedWithCustomError(landRegistry, "InvalidTimelockDelay");
+            await landRegistry.connect(owner).setTimelockDelay(24 * 3600);
+            expect(await landRegistry.timelockDelay()).to.equal(DELAY);
+
+            await time.increase(DELAY);
+            await expect(landRegistry.connect(owner).setTimelockDelay(24 * 3600))
+                .to.emit(landRegistry, "TimelockDelayUpdated")
+                .withArgs(24 * 3600);
+            await expect(landRegistry.connect(owner).setTokenizer(user1.address))
+                .to.emit(landRegistry, "TokenizerUpdated");
+            expect(await landRegistry.tokenizer()).to.equal(user1.address);
+        });
+
+        it("Doit soumettre le remplacement de la gouvernance du registre au timelock", async function () {
+            const current = await landRegistry.governance();
+            const id = changeId(landRegistry, "setGovernance", [user1.address]);
+            await expect(landRegistry.connect(user1).setGovernance(user1.address))
+                .to.be.revertedWithCustomError(landRegistry, "OwnableUnauthorizedAccount");
+            await expect(landRegistry.connect(owner).setGovernance(user1.address))
+                .to.emit(landRegistry, "ChangeQueued")
+                .and.not.to.emit(landRegistry, "GovernanceUpdated");
+            expect(await landRegistry.governance()).to.equal(current);
+
+            // Le propriétaire ne peut pas contourner le vote des détenteurs
+            await expect(landRegistry.connect(user1).updatePricePerToken(1, 1))
+                .to.be.revertedWithCustomError(landRegistry, "NotGovernance");
+
+            await time.increase(DELAY);
+            await expect(landRegistry.connect(owner).setGovernance(user1.address))
+                .to.emit(landRegistry, "ChangeExecuted")
+                .withArgs(id)
+                .and.to.emit(landRegistry, "GovernanceUpdated")
+                .withArgs(user1.address);
+            expect(await landRegistry.governance()).to.equal(user1.address);
+        });
+
+        it("Doit soumettre le remplacement d'un module de LandToken au timelock", async function () {
+            const current = await landToken.governance();
+            await expect(landToken.connect(owner).setGovernance(user1.address))
+                .to.emit(landToken, "ChangeQueued")
+                .and.not.to.emit(landToken, "GovernanceUpdated");
+            expect(await landToken.governance()).to.equal(current);
+            // Le premier branchement d'un module est appliqué immédiatement
+            expect(await landToken.connect(owner).setCompliance.staticCall(user1.address)).to.equal(true);
+            await expect(landToken.connect(owner).setCompliance(user1.address))
+                .to.emit(landToken, "ComplianceUpdated");
+            await expect(landToken.connect(owner).setCompliance(ZERO_ADDRESS))
+                .to.emit(landToken, "ChangeQueued");
+            expect(await landToken.compliance()).to.equal(user1.address);
+
+            await time.increase(DELAY);
+            await expect(landToken.connect(owner).setGovernance(user1.address))
+                .to.emit(landToken, "GovernanceUpdated")
+                .withArgs(user1.address);
+            await expect(landToken.connect(owner).setCompliance(ZERO_ADDRESS))
+                .to.emit(landToken, "ComplianceUpdated")
+                .withArgs(ZERO_ADDRESS);
+        });
+    });
+
+    describe("22. Upgrade Tests", function () {
+        const DELAY = 2 * 24 * 3600;
+        let deploymentsDir, config;
+        const silent = () => {};
+
+        // Variable de stockage au format du manifeste
+        function variable(label, slot, type, offset = 0) {
+            return { label, slot, offset, type };
+        }
+        const UINT = { label: "uint256", encoding: "inplace", numberOfBytes: 32 };
+        const ADDRESS = { label: "address", encoding: "inplace", numberOfBytes: 20 };
+        function struct(label, members) {
+            return { label, encoding: "inplace", numberOfBytes: 32 * members.length, members };
+        }
+        function mapping(value) {
+            return { label: `mapping(uint256 => ${value.label})`, encoding: "mapping", numberOfBytes: 32, key: UINT, value };
+        }
+
+        beforeEach(async function () {
+            deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "land-upgrades-"));
+            config = {
+                validators: [
+                    { address: validator1.address, type: 0 },
+                    { address: validator2.address, type: 1 },
+                    { address: validator3.address, type: 2 }
+                ],
+                relayers: [relayer.address]
+            };
+        });
+
+        afterEach(function () {
+            fs.rmSync(deploymentsDir, { recursive: true, force: true });
+        });
+
+        it("Doit mettre à jour les implémentations en conservant l'état des proxies", async function () {
+            const manifest = await deploySystem(hre, { deploymentsDir, config, log: silent });
+            expect(manifest.proxyAdmin.address).to.match(/^0x[0-9a-fA-F]{40}$/);
+            const registry = await ethers.getContractAt("LandRegistry", manifest.contracts.LandRegistry.address);
+            const token = await ethers.getContractAt("LandToken", manifest.contracts.LandToken.address);
+            const market = await ethers.getContractAt("LandTokenMarketplace", manifest.contracts.LandTokenMarketplace.address);
+            const admin = await ethers.getContractAt("LandProxyAdmin", manifest.proxyAdmin.address);
+
+            // Un terrain tokenisé, un token minté et mis en vente
+            await registry.connect(user1).registerLand("Lyon", 1500, 10, ethers.parseEther("1"), "QmLyon");
+            await registry.connect(validator1).validateLand(1, "QmValidationCID1", true);
+            await registry.connect(validator2).validateLand(1, "QmValidationCID2", true);
+            await registry.connect(validator3).validateLand(1, "QmValidationCID3", true);
+            await token.connect(user1).tokenizeLand(1);
+            await token.connect(user1).mintToken(1, { value: ethers.parseEther("1") });
+            await token.connect(user1).approve(await market.getAddress(), 1);
+            await market.connect(user1).listToken(1, ethers.parseEther("2"));
+
+            // Le manifeste décrit une version antérieure de LandToken
+            const previous = manifest.contracts.LandToken.implementation;
+            expect(await admin.getProxyImplementation(await token.getAddress())).to.equal(previous);
+            manifest.contracts.LandToken.implementationHash = ethers.ZeroHash;
+            saveManifest(manifest, deploymentsDir);
+
+            const queued = await upgradeSystem(hre, { deploymentsDir, log: silent });
+            expect(queued.queued.map((entry) => entry.name)).to.deep.equal(["LandToken"]);
+            expect(queued.unchanged).to.deep.equal(["LandRegistry", "LandTokenMarketplace"]);
+            expect(await admin.getProxyImplementation(await token.getAddress())).to.equal(previous);
+
+            // Relancé avant le délai, le script n'envoie aucune transaction
+            const block = await ethers.provider.getBlockNumber();
+            const waiting = await upgradeSystem(hre, { deploymentsDir, log: silent });
+            expect(waiting.queued).to.have.length(1);
+            expect(await ethers.provider.getBlockNumber()).to.equal(block);
+
+            await time.increase(DELAY);
+            const result = await upgradeSystem(hre, { deploymentsDir, log: silent });
+            expect(result.upgraded).to.deep.equal(["LandToken"]);
+
+            const saved = loadManifest("hardhat", deploymentsDir);
+            const entry = saved.contracts.LandToken;
+            expect(entry.implementation).to.not.equal(previous);
+            expect(entry.pendingUpgrade).to.equal(undefined);
+            expect(entry.upgrades[0].from).to.equal(previous);
+            expect(await admin.getProxyImplementation(await token.getAddress())).to.equal(entry.implementation);
+
+            // L'état du proxy a survécu à la mise à jour
+            expect(await token.ownerOf(1)).to.equal(await market.getAddress());
+            expect(await token.landRegistry()).to.equal(await registry.getAddress());
+            expect(await token.platformFeePercentage()).to.equal(500);
+            expect((await market.listings(1)).isActive).to.equal(true);
+            await market.connect(user2).buyToken(1, { value: ethers.parseEther("2") });
+            expect(await token.ownerOf(1)).to.equal(user2.address);
+
+            // Plus rien à mettre à jour
+            const again = await upgradeSystem(hre, { deploymentsDir, log: silent });
+            expect(again.unchanged).to.have.length(3);
+        });
+
+        it("Doit refuser une mise à jour dont le stockage est incompatible, sans transaction", async function () {
+            const manifest = await deploySystem(hre, { deploymentsDir, config, log: silent });
+            const entry = manifest.contracts.LandTokenMarketplace;
+            const fee = entry.storageLayout.find((v) => v.label === "marketplaceFeePercentage");
+            fee.label = "ancienTaux";
+            entry.implementationHash = ethers.ZeroHash;
+            saveManifest(manifest, deploymentsDir);
+
+            const block = await ethers.provider.getBlockNumber();
+            let error;
+            try {
+                await upgradeSystem(hre, { deploymentsDir, log: silent });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain("Mise à jour de LandTokenMarketplace refusée");
+            expect(error.message).to.contain("ancienTaux");
+            expect(await ethers.provider.getBlockNumber()).to.equal(block);
+
+            // En mode vérification, une version compatible est acceptée sans rien déployer
+            fee.label = "marketplaceFeePercentage";
+            saveManifest(manifest, deploymentsDir);
+            const result = await upgradeSystem(hre, { deploymentsDir, check: true, log: silent });
+            expect(result.upgraded).to.have.length(0);
+            expect(await ethers.provider.getBlockNumber()).to.equal(block);
+        });
+
+        it("Doit comparer les layouts de stockage", async function () {
+            const member = (label, slot) => variable(label, slot, UINT);
+            const previous = [
+                variable("owner", 0, ADDRESS),
+                variable("fee", 1, UINT),
+                variable("lands", 2, mapping(struct("struct Land", [member("price", 0)])))
+            ];
+
+            // Ajout en fin de stockage et nouveau membre d'une structure valeur de mapping
+            expect(compareStorageLayouts(previous, [
+                ...previous.slice(0, 2),
+                variable("lands", 2, mapping(struct("struct Land", [member("price", 0), member("area", 1)]))),
+                variable("paused", 3, UINT)
+            ])).to.deep.equal([]);
+
+            // Variable insérée au milieu, retypée ou supprimée
+            expect(compareStorageLayouts(previous, [
+                previous[0], variable("treasury", 1, ADDRESS), variable("fee", 2, UINT)
+            ])).to.have.length(2);
+            expect(compareStorageLayouts(previous, [
+                previous[0], variable("fee", 1, ADDRESS), previous[2]
+            ])[0]).to.contain("uint256 devient address");
+            expect(compareStorageLayouts(previous, previous.slice(0, 2))[0]).to.contain("lands supprimé");
+
+            // Une structure stockée directement ne peut pas grandir
+            const fixed = [variable("config", 0, struct("struct Config", [member("a", 0)]))];
+            expect(compareStorageLayouts(fixed, [
+                variable("config", 0, struct("struct Config", [member("a", 0), member("b", 1)]))
+            ])).to.have.length(1);
+
+            // Un contrat occupe le même stockage qu'une adresse
+            expect(compareStorageLayouts([previous[0]], [
+                variable("owner", 0, { label: "contract LandToken", encoding: "inplace", numberOfBytes: 20 })
+            ])).to.deep.equal([]);
+        });
+
+        it("Ne doit pas permettre de réinitialiser un proxy ou son implémentation", async function () {
+            await expect(landToken.initialize(user1.address))
+                .to.be.revertedWith("Initializable: contract is already initialized");
+
+            const implementation = await ethers.getContractAt(
+                "LandRegistry",
+                await proxyAdmin.getProxyImplementation(await landRegistry.getAddress())
+            );
+            await expect(implementation.connect(user1).initialize())
+                .to.be.revertedWith("Initializable: contract is already initialized");
+        });
+
+        it("Doit soumettre les mises à jour de LandProxyAdmin au timelock", async function () {
+            const proxy = await marketplace.getAddress();
+            const implementation = await (await ethers.getContractFactory("LandTokenMarketplace", {
+                libraries: marketplaceLibraries
+            })).deploy();
+            const newImplementation = await implementation.getAddress();
+
+            await expect(proxyAdmin.connect(user1).upgrade(proxy, newImplementation))
+                .to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount");
+            await expect(proxyAdmin.upgrade(proxy, user1.address))
+                .to.be.revertedWithCustomError(proxyAdmin, "InvalidImplementation");
+
+            await expect(proxyAdmin.upgrade(proxy, newImplementation))
+                .to.emit(proxyAdmin, "ChangeQueued");
+            await expect(proxyAdmin.upgrade(proxy, newImplementation))
+                .to.be.revertedWithCustomError(proxyAdmin, "ChangeNotReady");
+
+            await time.increase(DELAY);
+            await expect(proxyAdmin.upgrade(proxy, newImplementation))
+                .to.emit(proxyAdmin, "ProxyUpgraded")
+                .withArgs(proxy, newImplementation);
+            expect(await proxyAdmin.getProxyImplementation(proxy)).to.equal(newImplementation);
+            expect(await marketplace.landToken()).to.equal(await landToken.getAddress());
+        });
+    });
+
+    describe("23. Compliance Tests", function () {
+        const landId = 1;
+        const price = ethers.parseEther("0.5");
+        const YEAR = 365 * 24 * 3600;
+        let COMPLIANCE_ROLE;
+
+        beforeEach(async function () {
+            COMPLIANCE_ROLE = await landCompliance.COMPLIANCE_ROLE();
+            await landRegistry.connect(user1).registerLand("Annecy", 1500, 10, price, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+
+            await expect(landToken.connect(owner).setCompliance(await landCompliance.getAddress()))
+                .to.emit(landToken, "ComplianceUpdated");
+            await landToken.connect(user1).setApprovalForAll(marketplace.target, true);
+        });
+
+        async function verify(account, jurisdiction = 0, duration = YEAR) {
+            await landCompliance.connect(owner).setIdentity(account.address, jurisdiction, await deadlineIn(duration));
+        }
+
+        it("Doit exiger une identité vérifiée et non expirée pour recevoir un token", async function () {
+            await expect(landToken.connect(user1).mintToken(landId, { value: price }))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityNotVerified")
+                .withArgs(user1.address);
+
+            await expect(landCompliance.connect(user1).setIdentity(user1.address, 0, await deadlineIn(YEAR)))
+                .to.be.revertedWithCustomError(landCompliance, "MissingRole");
+            await expect(landCompliance.connect(owner).setIdentity(user1.address, 0, await deadlineIn(-1)))
+                .to.be.revertedWithCustomError(landCompliance, "InvalidIdentity");
+
+            // Un responsable conformité délégué enregistre les identités
+            await landCompliance.connect(owner).grantRole(COMPLIANCE_ROLE, validator1.address);
+            const expiresAt = await deadlineIn(YEAR);
+            await expect(landCompliance.connect(validator1).setIdentity(user1.address, 3, expiresAt))
+                .to.emit(landCompliance, "IdentityUpdated")
+                .withArgs(user1.address, 3, expiresAt);
+            await landToken.connect(user1).mintToken(landId, { value: price });
+            expect(await landToken.ownerOf(1)).to.equal(user1.address);
+
+            // Vérification expirée
+            await verify(user2, 0, 3600);
+            await time.increase(7200);
+            const identity = await landCompliance.identities(user2.address);
+            await expect(landToken.connect(user1).transferFrom(user1.address, user2.address, 1))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityExpired")
+                .withArgs(user2.address, identity.expiresAt);
+
+            await expect(landCompliance.connect(validator1).revokeIdentity(user1.address))
+                .to.emit(landCompliance, "IdentityRevoked")
+                .withArgs(user1.address);
+            await expect(landToken.connect(user1).mintToken(landId, { value: price }))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityNotVerified");
+
+            // Le module débranché, les transferts sont libres
+            await applyTimelocked(() => landToken.connect(owner).setCompliance(ZERO_ADDRESS));
+            await landToken.connect(user1).transferFrom(user1.address, user2.address, 1);
+            expect(await landToken.ownerOf(1)).to.equal(user2.address);
+        });
+
+        it("Doit restreindre les juridictions et le nombre de détenteurs par terrain", async function () {
+            await verify(user1, 1);
+            await verify(user2, 1);
+            await verify(validator1, 2);
+            await expect(landCompliance.connect(owner).setLandRules(landId, 2, 1n << 1n))
+                .to.emit(landCompliance, "LandRulesUpdated")
+                .withArgs(landId, 2, 2);
+
+            await landToken.connect(user1).mintMultipleTokens(landId, 2, { value: price * 2n });
+            await expect(landToken.connect(user1).transferFrom(user1.address, validator1.address, 1))
+                .to.be.revertedWithCustomError(landCompliance, "JurisdictionNotAllowed")
+                .withArgs(landId, validator1.address, 2);
+
+            // Juridiction autorisée, mais plafond de détenteurs atteint
+            await landToken.connect(user2).mintToken(landId, { value: price });
+            expect(await landCompliance.holderCount(landId)).to.equal(2);
+            await verify(validator1, 1);
+            await expect(landToken.connect(validator1).mintToken(landId, { value: price }))
+                .to.be.revertedWithCustomError(landCompliance, "MaxHoldersReached")
+                .withArgs(landId, 2);
+            await expect(landToken.connect(user1).transferFrom(user1.address, validator1.address, 1))
+                .to.be.revertedWithCustomError(landCompliance, "MaxHoldersReached");
+
+            // Un token en vente reste compté pour son vendeur
+            await marketplace.connect(user1).listToken(1, price);
+            expect(await landCompliance.holderCount(landId)).to.equal(2);
+            expect(await landCompliance.holderBalances(landId, user1.address)).to.equal(2);
+            await marketplace.connect(user1).cancelListing(1);
+
+            // Le détenteur qui cède son dernier token libère sa place
+            await landToken.connect(user2).transferFrom(user2.address, validator1.address, 3);
+            expect(await landCompliance.holderCount(landId)).to.equal(2);
+            expect(await landCompliance.holderBalances(landId, user2.address)).to.equal(0);
+            await expect(landToken.connect(user2).mintToken(landId, { value: price }))
+                .to.be.revertedWithCustomError(landCompliance, "MaxHoldersReached");
+        });
+
+        it("Doit vérifier la conformité de l'acheteur avant de prendre son ETH en séquestre", async function () {
+            await verify(user1);
+            await landToken.connect(user1).mintMultipleTokens(landId, 2, { value: price * 2n });
+            await marketplace.connect(user1).listToken(1, price);
+            await marketplace.connect(user1).createEnglishAuction(2, price, price / 10n, 3600);
+
+            const escrowBefore = await marketplace.totalOfferEscrow();
+            await expect(marketplace.connect(user2).makeOffer(1, await deadlineIn(3600), { value: price }))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityNotVerified")
+                .withArgs(user2.address);
+            await expect(marketplace.connect(user2).makeLandOffer(landId, await deadlineIn(3600), { value: price }))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityNotVerified");
+            await expect(marketplace.connect(user2).placeBid(2, { value: price }))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityNotVerified");
+            await expect(marketplace.connect(user2).buyToken(1, { value: price }))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityNotVerified");
+            expect(await marketplace.totalOfferEscrow()).to.equal(escrowBefore);
+
+            await verify(user2);
+            await marketplace.connect(user2).placeBid(2, { value: price });
+            await marketplace.connect(user2).buyToken(1, { value: price });
+            expect(await landToken.ownerOf(1)).to.equal(user2.address);
+            expect(await landCompliance.holderCount(landId)).to.equal(2);
+        });
+
+        it("Doit rembourser le gagnant d'une enchère dont le KYC a expiré et rendre le token au vendeur", async function () {
+            await verify(user1);
+            await landToken.connect(user1).mintToken(landId, { value: price });
+            await marketplace.connect(user1).createEnglishAuction(1, price, price / 10n, 3600);
+
+            await verify(user2, 0, 1800);
+            await marketplace.connect(user2).placeBid(1, { value: price });
+            await time.increase(3600);
+
+            await expect(marketplace.settleAuction(1))
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(1, ZERO_ADDRESS, 0)
+                .and.to.emit(marketplace, "ListingCancelled")
+                .withArgs(1)
+                .and.to.not.emit(marketplace, "TokenSold");
+            expect(await landToken.ownerOf(1)).to.equal(user1.address);
+            expect((await marketplace.auctions(1)).isActive).to.be.false;
+            expect(await marketplace.getActiveListingsCount()).to.equal(0);
+            expect(await marketplace.payments(user1.address)).to.equal(0n);
+            await expect(marketplace.connect(user2).withdrawPayments())
+                .to.changeEtherBalance(user2, price);
+        });
+
+        it("Doit permettre un transfert forcé sur décision de justice", async function () {
+            await verify(user1);
+            await verify(user2);
+            await landToken.connect(user1).mintMultipleTokens(landId, 2, { value: price * 2n });
+
+            await expect(landToken.connect(owner).forceTransfer(user2.address, 1))
+                .to.be.revertedWithCustomError(landToken, "NotCompliance");
+            await expect(landCompliance.connect(user2).forceTransfer(1, user2.address, "TJ Paris 2026/123"))
+                .to.be.revertedWithCustomError(landCompliance, "MissingRole");
+            await expect(landCompliance.connect(owner).forceTransfer(1, validator1.address, "TJ Paris 2026/123"))
+                .to.be.revertedWithCustomError(landCompliance, "IdentityNotVerified");
+
+            await expect(landCompliance.connect(owner).forceTransfer(1, user2.address, "TJ Paris 2026/123"))
+                .to.emit(landCompliance, "ForcedTransfer")
+                .withArgs(1, user1.address, user2.address, "TJ Paris 2026/123")
+                .and.to.emit(landToken, "TokenTransferred")
+                .withArgs(1, user1.address, user2.address);
+            expect(await landToken.ownerOf(1)).to.equal(user2.address);
+            expect(await landCompliance.holderCount(landId)).to.equal(2);
+
+        });
+
+        it("Doit retirer du marketplace un token en vente avant un transfert forcé", async function () {
+            await verify(user1);
+            await verify(user2);
+            await landToken.connect(user1).mintMultipleTokens(landId, 2, { value: price * 2n });
+            await marketplace.connect(user1).listToken(1, price);
+            await marketplace.connect(user1).createEnglishAuction(2, price, price / 10n, 3600);
+            await marketplace.connect(user2).placeBid(2, { value: price });
+
+            await expect(marketplace.connect(owner).releaseToken(1))
+                .to.be.revertedWithCustomError(marketplace, "NotLandModule");
+
+            await expect(landCompliance.connect(owner).forceTransfer(1, user2.address, "TJ Paris 2026/124"))
+                .to.emit(marketplace, "ListingCancelled")
+                .withArgs(1)
+                .and.to.emit(landCompliance, "ForcedTransfer")
+                .withArgs(1, user1.address, user2.address, "TJ Paris 2026/124");
+            expect(await landToken.ownerOf(1)).to.equal(user2.address);
+            expect((await marketplace.listings(1)).isActive).to.be.false;
+
+            // L'enchère en cours est annulée et la meilleure offre remboursée
+            await expect(landCompliance.connect(owner).forceTransfer(2, user2.address, "TJ Paris 2026/125"))
+                .to.emit(marketplace, "AuctionCancelled")
+                .withArgs(2);
+            expect(await landToken.ownerOf(2)).to.equal(user2.address);
+            expect(await marketplace.getActiveListingsCount()).to.equal(0);
+            expect(await landCompliance.holderCount(landId)).to.equal(1);
+            await expect(marketplace.connect(user2).withdrawPayments())
+                .to.changeEtherBalance(user2, price);
+        });
+    });
+
+    describe("24. Cap Table Tests", function () {
+        const price = ethers.parseEther("0.5");
+
+        beforeEach(async function () {
+            for (const [location, tokens] of [["Annecy", 10], ["Chambéry", 4]]) {
+                const landId = Number(await landRegistry.getLandCounter()) + 1;
+                await landRegistry.connect(user1).registerLand(location, 1500, tokens, price, "QmDoc");
+                await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+                await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+                await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+                await landToken.connect(user1).tokenizeLand(landId);
+            }
+            await landToken.connect(user1).setApprovalForAll(marketplace.target, true);
+        });
+
+        async function tokensOf(account, landId) {
+            const address = await ethers.resolveAddress(account);
+            const [tokenIds, total] = landId === undefined
+                ? await landToken.getTokensOfOwner(address, 0, 100)
+                : await landToken.getTokensOfOwnerForLand(address, landId, 0, 100);
+            expect(total).to.equal(BigInt(tokenIds.length));
+            return tokenIds.map(Number).sort((a, b) => a - b);
+        }
+
+        it("Doit suivre les tokens de chaque détenteur quel que soit le transfert", async function () {
+            await landToken.connect(user1).mintMultipleTokens(1, 4, { value: price * 4n });
+            await landToken.connect(user1).mintToken(2, { value: price });
+            expect(await tokensOf(user1)).to.deep.equal([1, 2, 3, 4, 5]);
+            expect(await tokensOf(user1, 2)).to.deep.equal([5]);
+
+            // Transferts ERC-721 standards, non suivis auparavant
+            await landToken.connect(user1).transferFrom(user1.address, user2.address, 1);
+            await landToken.connect(user1)["safeTransferFrom(address,address,uint256)"](user1.address, user2.address, 5);
+            await landToken.connect(user1).transferToken(user2.address, 2);
+            expect(await tokensOf(user1)).to.deep.equal([3, 4]);
+            expect(await tokensOf(user2)).to.deep.equal([1, 2, 5]);
+            expect(await tokensOf(user2, 1)).to.deep.equal([1, 2]);
+
+            // Un token en vente reste attribué à son vendeur
+            await marketplace.connect(user1).listToken(3, price);
+            expect(await landToken.ownerOf(3)).to.equal(marketplace.target);
+            expect(await landToken.holderOf(3)).to.equal(user1.address);
+            expect(await tokensOf(user1)).to.deep.equal([3, 4]);
+            expect(await tokensOf(marketplace)).to.deep.equal([]);
+
+            await marketplace.connect(user1).cancelListing(3);
+            expect(await tokensOf(user1)).to.deep.equal([3, 4]);
+
+            await marketplace.connect(user1).listToken(3, price);
+            await marketplace.connect(user2).buyToken(3, { value: price });
+            expect(await landToken.holderOf(3)).to.equal(user2.address);
+            expect(await tokensOf(user1)).to.deep.equal([4]);
+            expect(await tokensOf(user2, 1)).to.deep.equal([1, 2, 3]);
+
+            // Pagination
+            const [page, total] = await landToken.getTokensOfOwner(user2.address, 1, 2);
+            expect(total).to.equal(4n);
+            expect(page).to.have.length(2);
+            const [empty] = await landToken.getTokensOfOwnerForLand(user2.address, 2, 5, 10);
+            expect(empty).to.deep.equal([]);
+        });
+
+        it("Doit produire la table de capitalisation paginée d'un terrain", async function () {
+            await landToken.connect(user1).mintMultipleTokens(1, 5, { value: price * 5n });
+            await landToken.connect(user2).mintMultipleTokens(1, 2, { value: price * 2n });
+            await landToken.connect(validator3).mintToken(1, { value: price });
+            await landToken.connect(user1).transferFrom(user1.address, validator3.address, 1);
+            await marketplace.connect(user1).listToken(2, price);
+
+            const [holders, balances, shares, totalHolders] = await landToken.getCapTable(1, 0, 10);
+            expect(totalHolders).to.equal(3n);
+            const table = Object.fromEntries(holders.map((holder, i) => [holder, [balances[i], shares[i]]]));
+            // Parts en base 10000 du nombre total de tokens (10), séquestre compris
+            expect(table).to.deep.equal({
+                [user1.address]: [4n, 4000n],
+                [user2.address]: [2n, 2000n],
+                [validator3.address]: [2n, 2000n]
+            });
+
+            const [pageHolders, , , pageTotal] = await landToken.getCapTable(1, 2, 10);
+            expect(pageTotal).to.equal(3n);
+            expect(pageHolders).to.deep.equal([holders[2]]);
+            expect((await landToken.getCapTable(1, 3, 10))[0]).to.deep.equal([]);
+
+            // Un détenteur sans token sort de la table
+            for (const tokenId of [6, 7]) {
+                await landToken.connect(user2).transferFrom(user2.address, user1.address, tokenId);
+            }
+            const [after, afterBalances] = await landToken.getCapTable(1, 0, 10);
+            expect([...after]).to.have.members([user1.address, validator3.address]);
+            expect(afterBalances[after.indexOf(user1.address)]).to.equal(6n);
+            expect((await landToken.getCapTable(2, 0, 10))[3]).to.equal(0n);
+        });
+    });
+
+    describe("25. Payment Currency Tests", function () {
+        // Stablecoin à 6 décimales : 100 unités par token
+        const price = 100_000_000n;
+        const ethPrice = ethers.parseEther("1");
+        let stablecoin, buyer, landId, ethLandId;
+
+        beforeEach(async function () {
+            buyer = (await ethers.getSigners())[7];
+            stablecoin = await (await ethers.getContractFactory("TestStablecoin")).deploy();
+            await landRegistry.connect(owner).setPaymentToken(stablecoin.target, true);
+
+            // Un terrain payable en stablecoin et un terrain payable en ETH
+            landId = Number(await landRegistry.getLandCounter()) + 1;
+            ethLandId = landId + 1;
+            await landRegistry.connect(user1).registerLandWithOptions("Lyon", 1500, 10, price, "QmDoc", stablecoin.target, [1, 1, 1]);
+            await landRegistry.connect(user1).registerLand("Paris", 1500, 10, ethPrice, "QmDoc");
+            for (const id of [landId, ethLandId]) {
+                await landRegistry.connect(validator1).validateLand(id, "QmV1", true);
+                await landRegistry.connect(validator2).validateLand(id, "QmV2", true);
+                await landRegistry.connect(validator3).validateLand(id, "QmV3", true);
+                await landToken.connect(user1).tokenizeLand(id);
+            }
+
+            for (const account of [user2, buyer]) {
+                await stablecoin.mint(account.address, price * 10n);
+            }
+        });
+
+        async function permitFor(signer, spender, value) {
+            return signPermit(signer, stablecoin, {
+                spender: await ethers.resolveAddress(spender),
+                value,
+                deadline: await deadlineIn(3600)
+            });
+        }
+
+        it("Doit n'accepter que les devises autorisées par le propriétaire", async function () {
+            expect(await landRegistry.landCurrencies(landId)).to.equal(stablecoin.target);
+            expect(await landRegistry.landCurrencies(ethLandId)).to.equal(ZERO_ADDRESS);
+
+            await expect(landRegistry.connect(user1).setPaymentToken(stablecoin.target, false))
+                .to.be.revertedWithCustomError(landRegistry, "OwnableUnauthorizedAccount");
+            await expect(landRegistry.connect(owner).setPaymentToken(ZERO_ADDRESS, true))
+                .to.be.revertedWithCustomError(landRegistry, "UnsupportedCurrency");
+
+            await expect(landRegistry.connect(owner).setPaymentToken(stablecoin.target, false))
+                .to.emit(landRegistry, "PaymentTokenUpdated")
+                .withArgs(stablecoin.target, false);
+            await expect(
+                landRegistry.connect(user1).registerLandWithOptions("Nice", 800, 5, price, "QmDoc", stablecoin.target, [1, 1, 1])
+            ).to.be.revertedWithCustomError(landRegistry, "UnsupportedCurrency");
+            // Un terrain déjà enregistré garde sa devise
+            expect(await landRegistry.landCurrencies(landId)).to.equal(stablecoin.target);
+        });
+
+        it("Doit enregistrer un terrain payable en devise avec une politique plus exigeante", async function () {
+            const strictId = Number(await landRegistry.getLandCounter()) + 1;
+            await expect(
+                landRegistry.connect(user1).registerLandWithOptions("Nice", 800, 5, price, "QmDoc", stablecoin.target, [1, 0, 1])
+            ).to.be.revertedWithCustomError(landRegistry, "InvalidApprovalPolicy");
+            await expect(landRegistry.connect(user1).registerLandWithOptions("Nice", 800, 5, price, "QmDoc", stablecoin.target, [2, 1, 1]))
+                .to.emit(landRegistry, "LandCurrencySet")
+                .withArgs(strictId, stablecoin.target)
+                .and.to.emit(landRegistry, "ApprovalPolicyUpdated")
+                .withArgs(strictId, [2, 1, 1]);
+            expect(await landRegistry.landCurrencies(strictId)).to.equal(stablecoin.target);
+
+            await landRegistry.connect(validator1).validateLand(strictId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(strictId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(strictId, "QmV3", true);
+            expect((await landRegistry.getLandDetails(strictId)).status).to.equal(0);
+        });
+
+        it("Doit refuser les parts fongibles pour un terrain payable en devise ERC-20", async function () {
+            const otherId = ethLandId + 1;
+            await landRegistry.connect(user1).registerLandWithOptions("Nice", 800, 5, price, "QmDoc", stablecoin.target, [1, 1, 1]);
+            await landRegistry.connect(validator1).validateLand(otherId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(otherId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(otherId, "QmV3", true);
+
+            await expect(landShares.connect(user1).tokenizeLand(otherId))
+                .to.be.revertedWithCustomError(landShares, "UnsupportedCurrency");
+        });
+
+        it("Doit minter contre la devise du terrain et répartir les frais par devise", async function () {
+            await stablecoin.connect(user2).approve(landToken.target, price * 2n);
+            await expect(landToken.connect(user2).mintToken(landId, { value: 1 }))
+                .to.be.revertedWithCustomError(landToken, "EtherNotAccepted");
+
+            await landToken.connect(user2).mintMultipleTokens(landId, 2);
+            expect(await landToken.balanceOf(user2.address)).to.equal(2n);
+            expect(await stablecoin.balanceOf(landToken.target)).to.equal(price * 2n);
+            // 5 % de frais de plateforme, crédités à la trésorerie dans la devise
+            expect(await landToken.currencyPayments(stablecoin.target, user1.address)).to.equal(190_000_000n);
+            expect(await landToken.currencyPayments(stablecoin.target, owner.address)).to.equal(10_000_000n);
+            expect(await landToken.payments(user1.address)).to.equal(0n);
+            expect(await landToken.accumulatedPlatformFees()).to.equal(0n);
+
+            // Autorisation consommée
+            await expect(landToken.connect(user2).mintToken(landId))
+                .to.be.revertedWith("ERC20: insufficient allowance");
+
+            await expect(landToken.connect(user1).withdrawCurrencyPayments(stablecoin.target))
+                .to.emit(landToken, "CurrencyPaymentWithdrawn")
+                .withArgs(stablecoin.target, user1.address, 190_000_000n);
+            expect(await stablecoin.balanceOf(user1.address)).to.equal(190_000_000n);
+            await expect(landToken.connect(user1).withdrawCurrencyPayments(stablecoin.target))
+                .to.be.revertedWithCustomError(landToken, "NothingToWithdraw");
+
+            await landToken.connect(owner).withdrawCurrencyPayments(stablecoin.target);
+            expect(await stablecoin.balanceOf(landToken.target)).to.equal(0n);
+        });
+
+        it("Doit minter avec une autorisation permit, même devancée", async function () {
+            const permit = await permitFor(user2, landToken, price * 3n);
+            await landToken.connect(user2).mintWithPermit(landId, 3, permit.deadline, permit.v, permit.r, permit.s);
+            expect(await landToken.balanceOf(user2.address)).to.equal(3n);
+            expect(await stablecoin.allowance(user2.address, landToken.target)).to.equal(0n);
+
+            // Permit soumis par un tiers avant la transaction : le mint passe quand même
+            const next = await permitFor(user2, landToken, price);
+            await stablecoin.connect(buyer).permit(
+                user2.address, landToken.target, price, next.deadline, next.v, next.r, next.s
+            );
+            await landToken.connect(user2).mintWithPermit(landId, 1, next.deadline, next.v, next.r, next.s);
+            expect(await landToken.balanceOf(user2.address)).to.equal(4n);
+
+            // Sans autorisation suffisante, le prélèvement échoue
+            const tooLow = await permitFor(user2, landToken, price - 1n);
+            await expect(landToken.connect(buyer).mintWithPermit(landId, 1, tooLow.deadline, tooLow.v, tooLow.r, tooLow.s))
+                .to.be.revertedWith("ERC20: insufficient allowance");
+        });
+
+        it("Doit régler les achats du marketplace dans la devise du terrain", async function () {
+            await stablecoin.connect(user2).approve(landToken.target, price * 2n);
+            await landToken.connect(user2).mintMultipleTokens(landId, 2);
+            const [first, second] = await landToken.getTokensByLand(landId);
+            await landToken.connect(user2).setApprovalForAll(marketplace.target, true);
+            await marketplace.connect(user2).listToken(first, price);
+
+            const permit = await permitFor(buyer, marketplace, price);
+            await marketplace.connect(buyer).buyTokenWithPermit(first, permit.deadline, permit.v, permit.r, permit.s);
+            expect(await landToken.ownerOf(first)).to.equal(buyer.address);
+            // 2,5 % de frais de marketplace crédités à la trésorerie
+            expect(await marketplace.currencyPayments(stablecoin.target, user2.address)).to.equal(97_500_000n);
+            expect(await marketplace.currencyPayments(stablecoin.target, owner.address)).to.equal(2_500_000n);
+            expect(await marketplace.accumulatedMarketplaceFees()).to.equal(0n);
+
+            // Achat groupé mêlant un listing en ETH et un listing en devise
+            await landToken.connect(user1).mintToken(ethLandId, { value: ethPrice });
+            const [ethToken] = await landToken.getTokensByLand(ethLandId);
+            await landToken.connect(user1).approve(marketplace.target, ethToken);
+            await marketplace.connect(user1).listToken(ethToken, ethPrice);
+            await marketplace.connect(user2).listToken(second, price);
+
+            await stablecoin.connect(buyer).approve(marketplace.target, price);
+            await expect(marketplace.connect(buyer).buyMultipleTokens([ethToken, second], { value: ethPrice - 1n }))
+                .to.be.revertedWithCustomError(marketplace, "InsufficientFunds");
+            await marketplace.connect(buyer).buyMultipleTokens([ethToken, second], { value: ethPrice });
+            expect(await landToken.ownerOf(ethToken)).to.equal(buyer.address);
+            expect(await landToken.ownerOf(second)).to.equal(buyer.address);
+            expect(await marketplace.payments(user1.address)).to.equal(ethers.parseEther("0.975"));
+            expect(await marketplace.currencyPayments(stablecoin.target, user2.address)).to.equal(195_000_000n);
+
+            await marketplace.connect(user2).withdrawCurrencyPayments(stablecoin.target);
+            expect(await stablecoin.balanceOf(user2.address)).to.equal(price * 8n + 195_000_000n);
+        });
+
+        it("Doit refuser les offres et les enchères sur un terrain payable en devise ERC-20", async function () {
+            await stablecoin.connect(user2).approve(landToken.target, price);
+            await landToken.connect(user2).mintToken(landId);
+            const [token] = await landToken.getTokensByLand(landId);
+            await landToken.connect(user2).setApprovalForAll(marketplace.target, true);
+            const expiresAt = await deadlineIn(3600);
+
+            await expect(marketplace.connect(buyer).makeOffer(token, expiresAt, { value: ethPrice }))
+                .to.be.revertedWithCustomError(marketplace, "UnsupportedCurrency");
+            await expect(marketplace.connect(buyer).makeLandOffer(landId, expiresAt, { value: ethPrice }))
+                .to.be.revertedWithCustomError(marketplace, "UnsupportedCurrency");
+            await expect(marketplace.connect(user2).createEnglishAuction(token, price, price / 10n, 3600))
+                .to.be.revertedWithCustomError(marketplace, "UnsupportedCurrency");
+            await expect(marketplace.connect(user2).createDutchAuction(token, price, price / 2n, 3600))
+                .to.be.revertedWithCustomError(marketplace, "UnsupportedCurrency");
+            expect(await marketplace.totalOfferEscrow()).to.equal(0n);
+            expect(await landToken.ownerOf(token)).to.equal(user2.address);
+
+            // Un terrain payable en ETH les accepte toujours
+            await marketplace.connect(buyer).makeLandOffer(ethLandId, expiresAt, { value: ethPrice });
+            expect(await marketplace.totalOfferEscrow()).to.equal(ethPrice);
+        });
+    });
+
+    describe("26. Crowdfunding Tests", function () {
+        const price = ethers.parseEther("1");
+        const softCap = ethers.parseEther("3");
+        let buyer, landId, deadline;
+
+        async function tokenizedLand(location, pricePerToken = price, currency) {
+            const id = Number(await landRegistry.getLandCounter()) + 1;
+            if (currency) {
+                await landRegistry.connect(user1).registerLandWithOptions(location, 1500, 10, pricePerToken, "QmDoc", currency, [1, 1, 1]);
+            } else {
+                await landRegistry.connect(user1).registerLand(location, 1500, 10, pricePerToken, "QmDoc");
+            }
+            await landRegistry.connect(validator1).validateLand(id, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(id, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(id, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(id);
+            return id;
+        }
+
+        beforeEach(async function () {
+            buyer = (await ethers.getSigners())[7];
+            landId = await tokenizedLand("Lille");
+            deadline = await deadlineIn(30 * 24 * 3600);
+        });
+
+        it("Doit ouvrir une campagne avant la première vente, par le propriétaire du terrain", async function () {
+            await expect(landCrowdfunding.connect(user2).openCampaign(landId, softCap, deadline, 0))
+                .to.be.revertedWithCustomError(landCrowdfunding, "NotLandOwner");
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId, 0, deadline, 0))
+                .to.be.revertedWithCustomError(landCrowdfunding, "InvalidSoftCap");
+            // Au-delà du prix des 10 tokens disponibles, le montant ne peut pas être atteint
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId, price * 11n, deadline, 0))
+                .to.be.revertedWithCustomError(landCrowdfunding, "InvalidSoftCap");
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId, softCap, await deadlineIn(0), 0))
+                .to.be.revertedWithCustomError(landCrowdfunding, "InvalidDeadline");
+
+            await landRegistry.connect(user1).registerLand("Douai", 800, 5, price, "QmDoc");
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId + 1, softCap, deadline, 0))
+                .to.be.revertedWithCustomError(landCrowdfunding, "LandNotTokenized");
+
+            await applyTimelocked(() => landToken.connect(owner).setCrowdfunding(ZERO_ADDRESS));
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId, softCap, deadline, 0))
+                .to.be.revertedWithCustomError(landCrowdfunding, "CrowdfundingNotEnabled");
+            await expect(landToken.connect(user1).setCrowdfunding(user1.address))
+                .to.be.revertedWithCustomError(landToken, "OwnableUnauthorizedAccount");
+            await expect(landToken.connect(owner).setCrowdfunding(landCrowdfunding.target))
+                .to.emit(landToken, "CrowdfundingUpdated")
+                .withArgs(landCrowdfunding.target);
+
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId, softCap, deadline, 2))
+                .to.emit(landCrowdfunding, "CampaignOpened")
+                .withArgs(1, landId, softCap, deadline, 2);
+            expect(await landCrowdfunding.campaignStatus(landId)).to.equal(1);
+            expect(await landCrowdfunding.isEscrowed(landId)).to.be.true;
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId, softCap, deadline, 2))
+                .to.be.revertedWithCustomError(landCrowdfunding, "CampaignInProgress");
+
+            // Un terrain déjà en vente ne peut plus ouvrir de campagne
+            const sold = await tokenizedLand("Arras");
+            await landToken.connect(user2).mintToken(sold, { value: price });
+            await expect(landCrowdfunding.connect(user1).openCampaign(sold, softCap, deadline, 0))
+                .to.be.revertedWithCustomError(landCrowdfunding, "TokensAlreadyMinted");
+
+            // Seuls LandToken et le module appellent les fonctions de séquestre
+            await expect(landToken.connect(user1).releaseEscrow(landId))
+                .to.be.revertedWithCustomError(landToken, "NotCrowdfunding");
+            await expect(landCrowdfunding.connect(user1).onTokenTransfer(ZERO_ADDRESS, user1.address, 1))
+                .to.be.revertedWithCustomError(landCrowdfunding, "NotLandToken");
+        });
+
+        it("Doit séquestrer les ventes jusqu'au montant minimal puis les verser au propriétaire", async function () {
+            await landCrowdfunding.connect(user1).openCampaign(landId, softCap, deadline, 0);
+
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: price * 2n });
+            expect(await landToken.escrowedProceeds(landId)).to.equal(price * 2n);
+            expect(await landToken.payments(user1.address)).to.equal(0n);
+            expect(await landToken.accumulatedPlatformFees()).to.equal(0n);
+            // Le séquestre n'est pas récupérable par la trésorerie
+            expect(await landToken.totalPendingPayments()).to.equal(price * 2n);
+            await expect(landToken.connect(owner).withdrawEther()).to.be.revertedWithCustomError(landToken, "NoEtherToWithdraw");
+
+            // Le mint qui atteint le montant minimal libère tout le séquestre, frais déduits
+            await expect(landToken.connect(buyer).mintToken(landId, { value: price }))
+                .to.emit(landCrowdfunding, "CampaignSucceeded")
+                .withArgs(1, landId, softCap)
+                .and.to.emit(landToken, "PaymentToOwner")
+                .withArgs(landId, user1.address, ethers.parseEther("2.85"));
+            expect(await landCrowdfunding.campaignStatus(landId)).to.equal(2);
+            expect(await landCrowdfunding.isEscrowed(landId)).to.be.false;
+            expect(await landToken.escrowedProceeds(landId)).to.equal(0n);
+            expect(await landToken.payments(user1.address)).to.equal(ethers.parseEther("2.85"));
+            expect(await landToken.accumulatedPlatformFees()).to.equal(ethers.parseEther("0.15"));
+
+            // Les ventes suivantes sont versées directement, même après la date limite
+            await time.increaseTo(deadline);
+            await landToken.connect(buyer).mintToken(landId, { value: price });
+            expect(await landToken.payments(user1.address)).to.equal(ethers.parseEther("3.8"));
+            expect(await landCrowdfunding.campaignStatus(landId)).to.equal(2);
+        });
+
+        it("Doit limiter le nombre de tokens par acheteur jusqu'à la date limite", async function () {
+            await landCrowdfunding.connect(user1).openCampaign(landId, ethers.parseEther("2"), deadline, 2);
+
+            await expect(landToken.connect(user2).mintMultipleTokens(landId, 3, { value: price * 3n }))
+                .to.be.revertedWithCustomError(landCrowdfunding, "MaxPerBuyerExceeded")
+                .withArgs(landId, 2);
+            // Atteindre le montant minimal ne lève pas la limite
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: price * 2n });
+            expect(await landCrowdfunding.campaignStatus(landId)).to.equal(2);
+            await expect(landToken.connect(user2).mintToken(landId, { value: price }))
+                .to.be.revertedWithCustomError(landCrowdfunding, "MaxPerBuyerExceeded");
+            expect(await landCrowdfunding.purchases(1, user2.address)).to.equal(2n);
+
+            // Un token revendu ne compte pas pour son acheteur
+            const [first] = await landToken.getTokensByLand(landId);
+            await landToken.connect(user2).transferFrom(user2.address, buyer.address, first);
+            await landToken.connect(buyer).mintMultipleTokens(landId, 2, { value: price * 2n });
+
+            await time.increaseTo(deadline);
+            await landToken.connect(user2).mintToken(landId, { value: price });
+            expect(await landToken.balanceOf(user2.address)).to.equal(2n);
+        });
+
+        it("Doit rembourser les tokens d'une campagne échouée et les remettre en vente", async function () {
+            await landCrowdfunding.connect(user1).openCampaign(landId, softCap, deadline, 0);
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: price * 2n });
+            const [first, second] = await landToken.getTokensByLand(landId);
+
+            await expect(landCrowdfunding.connect(user2).refund([first]))
+                .to.be.revertedWithCustomError(landCrowdfunding, "CampaignNotFailed")
+                .withArgs(landId);
+
+            await time.increaseTo(deadline);
+            expect(await landCrowdfunding.campaignStatus(landId)).to.equal(3);
+            await expect(landToken.connect(buyer).mintToken(landId, { value: price }))
+                .to.be.revertedWithCustomError(landCrowdfunding, "CampaignEnded")
+                .withArgs(landId);
+            await expect(landCrowdfunding.connect(buyer).refund([first]))
+                .to.be.revertedWithCustomError(landCrowdfunding, "NotTokenHolder");
+            await expect(landToken.connect(user2).refundToken(first))
+                .to.be.revertedWithCustomError(landToken, "NotCrowdfunding");
+
+            await expect(landCrowdfunding.connect(user2).refund([first, second]))
+                .to.emit(landToken, "TokenRefunded")
+                .withArgs(landId, first, user2.address, price)
+                .and.to.emit(landRegistry, "TokensAvailabilityUpdated");
+            expect(await landToken.balanceOf(user2.address)).to.equal(0n);
+            expect(await landToken.exists(first)).to.be.false;
+            expect(await landToken.getTokensByLand(landId)).to.deep.equal([]);
+            expect((await landToken.getCapTable(landId, 0, 10)).totalHolders).to.equal(0n);
+            expect((await landRegistry.getLandDetails(landId)).availableTokens).to.equal(10n);
+            expect(await landToken.escrowedProceeds(landId)).to.equal(0n);
+
+            // Le remboursement se retire comme un paiement dû ; le propriétaire n'a rien reçu
+            expect(await landToken.payments(user2.address)).to.equal(price * 2n);
+            expect(await landToken.payments(user1.address)).to.equal(0n);
+            await expect(landToken.connect(user2).withdrawPayments())
+                .to.changeEtherBalance(user2, price * 2n);
+            expect(await landToken.totalPendingPayments()).to.equal(0n);
+
+            // Tous les tokens remboursés : une nouvelle campagne peut s'ouvrir
+            const next = await deadlineIn(7 * 24 * 3600);
+            await landCrowdfunding.connect(user1).openCampaign(landId, price, next, 0);
+            expect(await landCrowdfunding.landCampaigns(landId)).to.equal(2n);
+            await landToken.connect(buyer).mintToken(landId, { value: price });
+            expect(await landCrowdfunding.campaignStatus(landId)).to.equal(2);
+            expect(await landToken.payments(user1.address)).to.equal(ethers.parseEther("0.95"));
+        });
+
+        it("Doit permettre au propriétaire de rembourser les détenteurs inactifs pour rouvrir une campagne", async function () {
+            await landCrowdfunding.connect(user1).openCampaign(landId, softCap, deadline, 0);
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: price * 2n });
+            const [first, listed] = await landToken.getTokensByLand(landId);
+            await landToken.connect(user2).setApprovalForAll(marketplace.target, true);
+            await marketplace.connect(user2).listToken(listed, price);
+
+            await time.increaseTo(deadline);
+            // Le détenteur ne se rembourse pas : le terrain resterait bloqué
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId, price, await deadlineIn(3600), 0))
+                .to.be.revertedWithCustomError(landCrowdfunding, "TokensAlreadyMinted");
+            await expect(landCrowdfunding.connect(buyer).refund([first]))
+                .to.be.revertedWithCustomError(landCrowdfunding, "NotTokenHolder");
+            await expect(marketplace.connect(user1).releaseToken(listed))
+                .to.be.revertedWithCustomError(marketplace, "NotLandModule");
+
+            // Le token en vente est retiré du marketplace ; le remboursement revient au détenteur
+            await expect(landCrowdfunding.connect(user1).refund([first, listed]))
+                .to.emit(marketplace, "ListingCancelled")
+                .withArgs(listed)
+                .and.to.emit(landToken, "TokenRefunded")
+                .withArgs(landId, listed, user2.address, price);
+            expect(await landToken.getTokensByLand(landId)).to.deep.equal([]);
+            expect(await marketplace.getActiveListingsCount()).to.equal(0);
+            expect(await landToken.payments(user2.address)).to.equal(price * 2n);
+            expect(await landToken.payments(user1.address)).to.equal(0n);
+
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId, price, await deadlineIn(3600), 0))
+                .to.emit(landCrowdfunding, "CampaignOpened");
+
+            // La réserve du propriétaire cédée à un tiers n'est rendue que par son détenteur
+            const reserveLand = Number(await landRegistry.getLandCounter()) + 1;
+            await landRegistry.connect(user1).registerLand("Dunkerque", 1500, 10, price, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(reserveLand, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(reserveLand, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(reserveLand, "QmV3", true);
+            await landToken.connect(user1).tokenizeLandWithReserve(reserveLand, 0, 1);
+            const [reserveToken] = await landToken.getTokensByLand(reserveLand);
+            await landToken.connect(user1).transferFrom(user1.address, user2.address, reserveToken);
+            await landCrowdfunding.connect(user1).openCampaign(reserveLand, price, await deadlineIn(3600), 0);
+            await time.increase(3600);
+            await expect(landCrowdfunding.connect(user1).refund([reserveToken]))
+                .to.be.revertedWithCustomError(landCrowdfunding, "NotTokenHolder");
+        });
+
+        it("Doit créditer l'excédent d'un mint à l'acheteur plutôt que de le séquestrer", async function () {
+            await landCrowdfunding.connect(user1).openCampaign(landId, softCap, deadline, 0);
+            const excess = ethers.parseEther("0.5");
+            await landToken.connect(user2).mintToken(landId, { value: price + excess });
+            const [token] = await landToken.getTokensByLand(landId);
+            expect(await landToken.escrowedProceeds(landId)).to.equal(price);
+            expect(await landToken.payments(user2.address)).to.equal(excess);
+            expect(await landToken.totalPendingPayments()).to.equal(price + excess);
+
+            // Après l'échec, l'acheteur récupère tout ce qu'il a envoyé
+            await time.increaseTo(deadline);
+            await landCrowdfunding.connect(user2).refund([token]);
+            await expect(landToken.connect(user2).withdrawPayments())
+                .to.changeEtherBalance(user2, price + excess);
+            expect(await landToken.totalPendingPayments()).to.equal(0n);
+            await expect(landToken.connect(owner).withdrawEther()).to.be.revertedWithCustomError(landToken, "NoEtherToWithdraw");
+        });
+
+        it("Doit rembourser dans la devise ERC-20 du terrain", async function () {
+            const usdPrice = 100_000_000n;
+            const stablecoin = await (await ethers.getContractFactory("TestStablecoin")).deploy();
+            await landRegistry.connect(owner).setPaymentToken(stablecoin.target, true);
+            const usdLand = await tokenizedLand("Reims", usdPrice, stablecoin.target);
+            await landCrowdfunding.connect(user1).openCampaign(usdLand, usdPrice * 5n, deadline, 0);
+
+            await stablecoin.mint(user2.address, usdPrice * 3n);
+            await stablecoin.connect(user2).approve(landToken.target, usdPrice * 3n);
+            await landToken.connect(user2).mintMultipleTokens(usdLand, 3);
+            expect(await landToken.escrowedProceeds(usdLand)).to.equal(usdPrice * 3n);
+            expect(await landToken.currencyPayments(stablecoin.target, user1.address)).to.equal(0n);
+            expect(await landToken.currencyPayments(stablecoin.target, owner.address)).to.equal(0n);
+
+            await time.increaseTo(deadline);
+            const tokenIds = [...(await landToken.getTokensByLand(usdLand))];
+            // Les tokens sont retirés de la liste du terrain dans n'importe quel ordre
+            await landCrowdfunding.connect(user2).refund([tokenIds[1]]);
+            expect(await landToken.getTokensByLand(usdLand)).to.deep.equal([tokenIds[0], tokenIds[2]]);
+            await landCrowdfunding.connect(user2).refund([tokenIds[0], tokenIds[2]]);
+
+            expect(await landToken.payments(user2.address)).to.equal(0n);
+            await landToken.connect(user2).withdrawCurrencyPayments(stablecoin.target);
+            expect(await stablecoin.balanceOf(user2.address)).to.equal(usdPrice * 3n);
+            expect(await stablecoin.balanceOf(landToken.target)).to.equal(0n);
+        });
+
+        it("Doit numéroter les tokens mintés après un remboursement à la suite des précédents", async function () {
+            const reserveLand = Number(await landRegistry.getLandCounter()) + 1;
+            await landRegistry.connect(user1).registerLand("Calais", 1500, 10, price, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(reserveLand, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(reserveLand, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(reserveLand, "QmV3", true);
+            const [reserved] = await landToken.connect(user1).tokenizeLandWithReserve.staticCall(reserveLand, 0, 1);
+            await landToken.connect(user1).tokenizeLandWithReserve(reserveLand, 0, 1);
+            await landCrowdfunding.connect(user1).openCampaign(reserveLand, softCap, deadline, 0);
+            await landToken.connect(user2).mintMultipleTokens(reserveLand, 2, { value: price * 2n });
+            const [, second, third] = await landToken.getTokensByLand(reserveLand);
+            expect((await landToken.tokenData(third)).tokenNumber).to.equal(3);
+
+            await time.increaseTo(deadline);
+            await landCrowdfunding.connect(user2).refund([second]);
+            expect(await landToken.getTokensByLand(reserveLand)).to.deep.equal([reserved, third]);
+            await landCrowdfunding.connect(user2).refund([third]);
+
+            // Les numéros 2 et 3 ne sont pas réattribués
+            await landCrowdfunding.connect(user1).openCampaign(reserveLand, softCap, await deadlineIn(3600), 0);
+            await landToken.connect(buyer).mintMultipleTokens(reserveLand, 2, { value: price * 2n });
+            const [, fourth, fifth] = await landToken.getTokensByLand(reserveLand);
+            expect((await landToken.tokenData(reserved)).tokenNumber).to.equal(1);
+            expect((await landToken.tokenData(fourth)).tokenNumber).to.equal(4);
+            expect((await landToken.tokenData(fifth)).tokenNumber).to.equal(5);
+            const metadata = JSON.parse(
+                Buffer.from((await landToken.tokenURI(fourth)).split(",")[1], "base64").toString()
+            );
+            expect(metadata.name).to.equal(`Terrain #${reserveLand} - Token 4/10`);
+
+            // Les tokens numérotés après un remboursement se brûlent normalement
+            await time.increase(3600);
+            await landCrowdfunding.connect(buyer).refund([fourth]);
+            expect(await landToken.getTokensByLand(reserveLand)).to.deep.equal([reserved, fifth]);
+            await landCrowdfunding.connect(buyer).refund([fifth]);
+            expect(await landToken.getTokensByLand(reserveLand)).to.deep.equal([reserved]);
+        });
+    });
+
+    describe("27. Buyout Tests", function () {
+        const price = ethers.parseEther("1");
+        const offer = ethers.parseEther("2");
+        let bidder, holder, landId, deadline;
+
+        // Terrain tokenisé : 4 tokens pour l'acquéreur, 3 pour user2, 2 pour holder (9 sur 10)
+        beforeEach(async function () {
+            [bidder, holder] = (await ethers.getSigners()).slice(7);
+            landId = Number(await landRegistry.getLandCounter()) + 1;
+            await landRegistry.connect(user1).registerLand("Dijon", 1500, 10, price, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(landId);
+            await landToken.connect(bidder).mintMultipleTokens(landId, 4, { value: price * 4n });
+            await landToken.connect(user2).mintMultipleTokens(landId, 3, { value: price * 3n });
+            await landToken.connect(holder).mintMultipleTokens(landId, 2, { value: price * 2n });
+            deadline = await deadlineIn(14 * 24 * 3600);
+        });
+
+        async function tokensOf(account) {
+            return [...(await landToken.getTokensOfOwnerForLand(account.address, landId, 0, 10))[0]];
+        }
+
+        async function voteBuyoutThreshold(threshold) {
+            const data = landGovernance.interface.encodeFunctionData("setBuyoutThreshold", [landId, threshold]);
+            const receipt = await (await landGovernance.connect(user2).propose(landId, landGovernance.target, data, "Seuil de rachat")).wait();
+            const { proposalId } = receipt.logs
+                .map((log) => landGovernance.interface.parseLog(log))
+                .find((e) => e && e.name === "ProposalCreated").args;
+            for (const voter of [bidder, user2, holder]) {
+                await landGovernance.connect(voter).castVote(proposalId, true);
+            }
+            await time.increase(7 * 24 * 3600 + 1);
+            return landGovernance.execute(proposalId);
+        }
+
+        it("Doit ouvrir une offre avec un dépôt couvrant les tokens des autres détenteurs", async function () {
+            await expect(landBuyout.connect(bidder).openBuyout(landId, 0, deadline))
+                .to.be.revertedWithCustomError(landBuyout, "InvalidPrice");
+            await expect(landBuyout.connect(bidder).openBuyout(landId, offer, await deadlineIn(0)))
+                .to.be.revertedWithCustomError(landBuyout, "InvalidDeadline");
+            await expect(landBuyout.connect(bidder).openBuyout(landId + 1, offer, deadline))
+                .to.be.revertedWithCustomError(landBuyout, "LandNotTokenized");
+            await expect(landBuyout.connect(bidder).openBuyout(landId, offer, deadline, { value: offer * 4n }))
+                .to.be.revertedWithCustomError(landBuyout, "InvalidDeposit")
+                .withArgs(offer * 5n);
+
+            // Module débranché : les transferts pendant l'offre ne seraient pas contrôlés
+            await applyTimelocked(() => landToken.connect(owner).setBuyout(ZERO_ADDRESS));
+            await expect(landBuyout.connect(bidder).openBuyout(landId, offer, deadline, { value: offer * 5n }))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutNotEnabled");
+            await expect(landToken.connect(owner).setBuyout(landBuyout.target))
+                .to.emit(landToken, "BuyoutUpdated")
+                .withArgs(landBuyout.target);
+
+            await expect(landBuyout.connect(bidder).openBuyout(landId, offer, deadline, { value: offer * 5n }))
+                .to.emit(landBuyout, "BuyoutOpened")
+                .withArgs(1, landId, bidder.address, offer, deadline, offer * 5n);
+            expect(await landBuyout.buyoutStatus(landId)).to.equal(1);
+            expect(await ethers.provider.getBalance(landBuyout.target)).to.equal(offer * 5n);
+            await expect(landBuyout.connect(user2).openBuyout(landId, offer, deadline, { value: offer * 6n }))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutInProgress")
+                .withArgs(landId);
+
+            // Seuls le module et LandToken retirent un terrain de la tokenisation
+            await expect(landToken.connect(bidder).detokenizeLand(landId, 10))
+                .to.be.revertedWithCustomError(landToken, "NotBuyout");
+            await expect(landRegistry.connect(bidder).detokenizeLand(landId))
+                .to.be.revertedWith("Not tokenizer");
+            await expect(landToken.connect(bidder).forceTransfer(bidder.address, 5))
+                .to.be.revertedWithCustomError(landToken, "NotCompliance");
+            await expect(landBuyout.connect(bidder).onTokenTransfer(user2.address, bidder.address, 5))
+                .to.be.revertedWithCustomError(landBuyout, "NotLandToken");
+        });
+
+        it("Doit refuser une offre tant que le produit d'une levée de fonds est séquestré", async function () {
+            const funded = Number(await landRegistry.getLandCounter()) + 1;
+            await landRegistry.connect(user1).registerLand("Metz", 1500, 10, price, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(funded, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(funded, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(funded, "QmV3", true);
+            await landToken.connect(user1).tokenizeLand(funded);
+            await landCrowdfunding.connect(user1).openCampaign(funded, price * 5n, deadline, 0);
+            await landToken.connect(user2).mintToken(funded, { value: price });
+
+            await expect(landBuyout.connect(bidder).openBuyout(funded, offer, deadline, { value: offer }))
+                .to.be.revertedWithCustomError(landBuyout, "ProceedsInEscrow")
+                .withArgs(funded);
+        });
+
+        it("Doit bloquer les mints, les mises en vente et les cessions de l'acquéreur pendant l'offre", async function () {
+            const [listed] = await tokensOf(holder);
+            await landToken.connect(holder).approve(marketplace.target, listed);
+            await marketplace.connect(holder).listToken(listed, offer);
+            // Le token en vente compte dans le dépôt
+            await landBuyout.connect(bidder).openBuyout(landId, offer, deadline, { value: offer * 5n });
+
+            await expect(landToken.connect(user2).mintToken(landId, { value: price }))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutInProgress")
+                .withArgs(landId);
+            const [first, second] = await tokensOf(user2);
+            await landToken.connect(user2).approve(marketplace.target, first);
+            await expect(marketplace.connect(user2).listToken(first, offer))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutInProgress");
+            const [own] = await tokensOf(bidder);
+            await expect(landToken.connect(bidder).transferFrom(bidder.address, user2.address, own))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutInProgress");
+
+            // Les autres détenteurs échangent librement et retirent leurs tokens du marketplace
+            await landToken.connect(user2).transferFrom(user2.address, holder.address, second);
+            await marketplace.connect(holder).cancelListing(listed);
+            expect(await landToken.ownerOf(listed)).to.equal(holder.address);
+
+            // Offre expirée et close : le terrain retrouve son fonctionnement normal
+            await time.increaseTo(deadline);
+            await landBuyout.connect(user2).closeBuyout(landId);
+            await landToken.connect(user2).mintToken(landId, { value: price });
+            await landToken.connect(bidder).transferFrom(bidder.address, user2.address, own);
+        });
+
+        it("Doit créditer les détenteurs qui cèdent leurs tokens et clore une offre expirée", async function () {
+            await landBuyout.connect(bidder).openBuyout(landId, offer, deadline, { value: offer * 5n });
+            const sold = await tokensOf(user2);
+
+            await expect(landBuyout.connect(holder).redeem([sold[0]]))
+                .to.be.revertedWithCustomError(landBuyout, "NotTokenHolder");
+            await expect(landBuyout.connect(bidder).redeem([(await tokensOf(bidder))[0]]))
+                .to.be.revertedWithCustomError(landBuyout, "NotTokenHolder");
+            await expect(landBuyout.connect(user2).redeem(sold))
+                .to.emit(landBuyout, "TokenRedeemed")
+                .withArgs(1, sold[0], user2.address, offer)
+                .and.to.emit(landToken, "TokenTransferred")
+                .withArgs(sold[0], user2.address, bidder.address);
+            expect(await landToken.balanceOf(bidder.address)).to.equal(7n);
+            expect(await landBuyout.payments(user2.address)).to.equal(offer * 3n);
+            expect((await landBuyout.buyouts(1)).deposit).to.equal(offer * 2n);
+
+            await expect(landBuyout.connect(user2).withdrawPayments())
+                .to.changeEtherBalance(user2, offer * 3n);
+            await expect(landBuyout.connect(user2).withdrawPayments())
+                .to.be.revertedWithCustomError(landBuyout, "NothingToWithdraw");
+
+            // Sans seuil voté, l'offre expire à sa date limite
+            await expect(landBuyout.connect(bidder).closeBuyout(landId))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutNotActive");
+            await time.increaseTo(deadline);
+            expect(await landBuyout.buyoutStatus(landId)).to.equal(3);
+            const remaining = await tokensOf(holder);
+            await expect(landBuyout.connect(holder).redeem(remaining))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutNotActive")
+                .withArgs(landId);
+            await expect(landBuyout.connect(bidder).acquireTokens(remaining))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutNotAcquirable")
+                .withArgs(landId);
+            await expect(landBuyout.connect(bidder).completeBuyout(landId, 10))
+                .to.be.revertedWithCustomError(landBuyout, "TokensOutstanding")
+                .withArgs(landId);
+
+            await expect(landBuyout.connect(holder).closeBuyout(landId))
+                .to.emit(landBuyout, "BuyoutClosed")
+                .withArgs(1, landId, offer * 2n);
+            expect(await landBuyout.buyoutStatus(landId)).to.equal(5);
+            expect(await landBuyout.payments(bidder.address)).to.equal(offer * 2n);
+            // L'acquéreur garde les tokens cédés ; le terrain reste tokenisé
+            expect(await landToken.balanceOf(bidder.address)).to.equal(7n);
+            expect(await landRegistry.landTokenizers(landId)).to.equal(landToken.target);
+            await expect(landBuyout.connect(bidder).completeBuyout(landId, 10))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutNotActive");
+        });
+
+        it("Doit retirer du marketplace les tokens que l'acquéreur a mis en vente avant de les brûler", async function () {
+            const [listed] = await tokensOf(bidder);
+            await landToken.connect(bidder).approve(marketplace.target, listed);
+            await marketplace.connect(bidder).listToken(listed, offer);
+
+            // Le dépôt couvre aussi le token en séquestre ; il revient à l'acquéreur
+            await landBuyout.connect(bidder).openBuyout(landId, offer, deadline, { value: offer * 6n });
+            await landBuyout.connect(user2).redeem(await tokensOf(user2));
+            await landBuyout.connect(holder).redeem(await tokensOf(holder));
+            expect(await landToken.ownerOf(listed)).to.equal(marketplace.target);
+
+            await expect(landBuyout.connect(bidder).completeBuyout(landId, 10))
+                .to.emit(marketplace, "ListingCancelled")
+                .withArgs(listed)
+                .and.to.emit(landBuyout, "BuyoutCompleted")
+                .withArgs(1, landId, offer);
+            expect(await landToken.exists(listed)).to.be.false;
+            expect((await marketplace.listings(listed)).isActive).to.be.false;
+            expect(await marketplace.getActiveListingsCount()).to.equal(0);
+            expect(await landRegistry.landTokenizers(landId)).to.equal(ZERO_ADDRESS);
+        });
+
+        it("Doit racheter de force au seuil voté puis retirer le terrain de la tokenisation", async function () {
+            await expect(landGovernance.connect(user2).setBuyoutThreshold(landId, 7000))
+                .to.be.revertedWithCustomError(landGovernance, "NotGovernance");
+            await expect(voteBuyoutThreshold(10001))
+                .to.be.revertedWithCustomError(landGovernance, "InvalidBuyoutThreshold");
+            await expect(voteBuyoutThreshold(7000))
+                .to.emit(landGovernance, "BuyoutThresholdUpdated")
+                .withArgs(landId, 7000);
+
+            const [listed, kept] = await tokensOf(holder);
+            await landToken.connect(holder).approve(marketplace.target, listed);
+            await marketplace.connect(holder).createEnglishAuction(listed, offer, 1, 30 * 24 * 3600);
+            await marketplace.connect(user1).placeBid(listed, { value: offer });
+            deadline = await deadlineIn(14 * 24 * 3600);
+            await landBuyout.connect(bidder).openBuyout(landId, offer, deadline, { value: offer * 5n });
+            await landBuyout.connect(user2).redeem(await tokensOf(user2));
+
+            // 7 tokens sur 9 : le seuil est atteint, mais seulement à la date limite
+            await expect(landBuyout.connect(bidder).acquireTokens([kept]))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutNotAcquirable");
+            await time.increaseTo(deadline);
+            expect(await landBuyout.buyoutStatus(landId)).to.equal(2);
+            await expect(landBuyout.connect(user2).acquireTokens([kept]))
+                .to.be.revertedWithCustomError(landBuyout, "NotBidder");
+            await expect(landBuyout.connect(user2).closeBuyout(landId))
+                .to.be.revertedWithCustomError(landBuyout, "NotBidder");
+            await expect(marketplace.connect(bidder).releaseToken(listed))
+                .to.be.revertedWithCustomError(marketplace, "NotLandModule");
+
+            await expect(landBuyout.connect(bidder).acquireTokens([kept]))
+                .to.emit(landBuyout, "TokenAcquired")
+                .withArgs(1, kept, holder.address, offer);
+            // Le token aux enchères est retiré du marketplace et la meilleure offre remboursée
+            await expect(landBuyout.connect(bidder).acquireTokens([listed]))
+                .to.emit(marketplace, "AuctionCancelled")
+                .withArgs(listed)
+                .and.to.emit(marketplace, "ListingCancelled")
+                .withArgs(listed)
+                .and.to.emit(landBuyout, "TokenAcquired")
+                .withArgs(1, listed, holder.address, offer);
+            expect((await marketplace.listings(listed)).isActive).to.be.false;
+            expect((await marketplace.auctions(listed)).isActive).to.be.false;
+            expect(await marketplace.payments(user1.address)).to.equal(offer);
+            expect(await landBuyout.payments(holder.address)).to.equal(offer * 2n);
+
+            // Les tokens sont brûlés par lots ; l'offre ne peut plus être close entre deux lots
+            expect(await landBuyout.connect(bidder).completeBuyout.staticCall(landId, 4)).to.equal(5n);
+            await expect(landBuyout.connect(bidder).completeBuyout(landId, 4))
+                .to.not.emit(landBuyout, "BuyoutCompleted");
+            expect(await landToken.getTokensByLand(landId)).to.have.lengthOf(5);
+            await expect(landBuyout.connect(bidder).closeBuyout(landId))
+                .to.be.revertedWithCustomError(landBuyout, "BuyoutInProgress")
+                .withArgs(landId);
+
+            await expect(landBuyout.connect(bidder).completeBuyout(landId, 10))
+                .to.emit(landBuyout, "BuyoutCompleted")
+                .withArgs(1, landId, 0)
+                .and.to.emit(landRegistry, "LandDetokenized")
+                .withArgs(landId);
+            expect(await landBuyout.buyoutStatus(landId)).to.equal(4);
+            expect(await landToken.getTokensByLand(landId)).to.deep.equal([]);
+            expect(await landToken.balanceOf(bidder.address)).to.equal(0n);
+            expect(await landToken.exists(listed)).to.be.false;
+            expect((await landToken.getCapTable(landId, 0, 10)).totalHolders).to.equal(0n);
+            expect(await landRegistry.landTokenizers(landId)).to.equal(ZERO_ADDRESS);
+            expect((await landToken.landRoyalties(landId)).receiver).to.equal(ZERO_ADDRESS);
+            // Le titre de propriété n'est pas transféré par le rachat
+            expect(await landRegistry.getLandOwner(landId)).to.equal(user1.address);
+
+            // Le terrain est retiré du registre et ne peut plus être tokenisé
+            await expect(landToken.connect(user1).tokenizeLand(landId))
+                .to.be.revertedWithCustomError(landRegistry, "LandNotRegistered");
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId, price, await deadlineIn(3600), 0))
+                .to.be.revertedWithCustomError(landCrowdfunding, "LandNotTokenized");
+        });
+    });
+
+    describe("28. Vesting Tests", function () {
+        const price = ethers.parseEther("1");
+        const day = 24 * 3600;
+        let holder, landId;
+
+        // Terrain validé de user1 (10 tokens), non tokenisé
+        beforeEach(async function () {
+            [holder] = (await ethers.getSigners()).slice(7);
+            landId = Number(await landRegistry.getLandCounter()) + 1;
+            await landRegistry.connect(user1).registerLand("Annecy", 1500, 10, price, "QmDoc");
+            await landRegistry.connect(validator1).validateLand(landId, "QmV1", true);
+            await landRegistry.connect(validator2).validateLand(landId, "QmV2", true);
+            await landRegistry.connect(validator3).validateLand(landId, "QmV3", true);
+        });
+
+        async function tokensOf(account) {
+            return [...(await landToken.getTokensOfOwnerForLand(account.address, landId, 0, 10))[0]];
+        }
+
+        it("Doit minter gratuitement la réserve du propriétaire à la tokenisation", async function () {
+            const fees = await landToken.accumulatedPlatformFees();
+
+            await expect(landToken.connect(user2).tokenizeLandWithReserve(landId, 0, 3))
+                .to.be.revertedWithCustomError(landToken, "NotLandOwner");
+            // Un tiers ne peut pas tokeniser le terrain avant son propriétaire pour écarter la réserve
+            await expect(landToken.connect(user2).tokenizeLand(landId))
+                .to.be.revertedWithCustomError(landToken, "NotLandOwner");
+            await expect(landToken.connect(user1).tokenizeLandWithReserve(landId, 0, 0))
+                .to.be.revertedWithCustomError(landToken, "NoTokensToMint");
+            await expect(landToken.connect(user1).tokenizeLandWithReserve(landId, 0, 11))
+                .to.be.revertedWithCustomError(landToken, "NoTokensAvailable");
+
+            await expect(landToken.connect(user1).tokenizeLandWithReserve(landId, 250, 3))
+                .to.emit(landToken, "OwnerReserveMinted")
+                .withArgs(landId, user1.address, 3)
+                .and.to.emit(landToken, "LandRoyaltySet")
+                .withArgs(landId, user1.address, 250);
+
+            const reserved = await tokensOf(user1);
+            expect(reserved.length).to.equal(3);
+            expect(await landToken.ownerReserves(landId)).to.equal(3);
+            expect((await landToken.tokenData(reserved[0])).purchasePrice).to.equal(0);
+            expect((await landRegistry.getLandDetails(landId))[2]).to.equal(7);
+            expect(await landToken.accumulatedPlatformFees()).to.equal(fees);
+
+            // La réserve n'est pas une vente : la levée de fonds reste possible
+            await expect(landCrowdfunding.connect(user1).openCampaign(landId, price * 2n, await deadlineIn(30 * day), 0))
+                .to.emit(landCrowdfunding, "CampaignOpened");
+        });
+
+        it("Doit valider le calendrier de blocage", async function () {
+            const mintDeadline = await deadlineIn(30 * day);
+            const cliff = mintDeadline + 30 * day;
+
+            await expect(landVesting.connect(user2).setSchedule(landId, mintDeadline, cliff, cliff))
+                .to.be.revertedWithCustomError(landVesting, "NotLandOwner");
+            await expect(landVesting.connect(user1).setSchedule(landId, await deadlineIn(0), cliff, cliff))
+                .to.be.revertedWithCustomError(landVesting, "InvalidSchedule");
+            await expect(landVesting.connect(user1).setSchedule(landId, mintDeadline, mintDeadline - 1, cliff))
+                .to.be.revertedWithCustomError(landVesting, "InvalidSchedule");
+            await expect(landVesting.connect(user1).setSchedule(landId, mintDeadline, cliff, cliff - 1))
+                .to.be.revertedWithCustomError(landVesting, "InvalidSchedule");
+            await expect(landVesting.connect(user1).onTokenTransfer(user1.address, user2.address, 1))
+                .to.be.revertedWithCustomError(landVesting, "NotLandToken");
+
+            await applyTimelocked(() => landToken.connect(owner).setVesting(ZERO_ADDRESS));
+            await expect(landVesting.connect(user1).setSchedule(landId, mintDeadline, cliff, cliff))
+                .to.be.revertedWithCustomError(landVesting, "VestingNotEnabled");
+            await expect(landToken.connect(owner).setVesting(landVesting.target))
+                .to.emit(landToken, "VestingUpdated")
+                .withArgs(landVesting.target);
+
+            await expect(landVesting.connect(user1).setSchedule(landId, mintDeadline, cliff, cliff))
+                .to.emit(landVesting, "ScheduleSet")
+                .withArgs(landId, mintDeadline, cliff, cliff);
+
+            // Le calendrier ne peut plus changer une fois des tokens mintés
+            await landToken.connect(user1).tokenizeLand(landId);
+            await landToken.connect(user2).mintToken(landId, { value: price });
+            await expect(landVesting.connect(user1).setSchedule(landId, mintDeadline, cliff, cliff))
+                .to.be.revertedWithCustomError(landVesting, "TokensAlreadyMinted");
+        });
+
+        it("Doit bloquer les tokens mintés pendant la fenêtre jusqu'au déblocage", async function () {
+            const mintDeadline = await deadlineIn(30 * day);
+            const cliff = mintDeadline + 30 * day;
+            await landVesting.connect(user1).setSchedule(landId, mintDeadline, cliff, cliff);
+            await landToken.connect(user1).tokenizeLandWithReserve(landId, 0, 3);
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: price * 2n });
+
+            expect(await landVesting.lockedTokens(landId, user1.address)).to.equal(3);
+            expect(await landVesting.lockedTokens(landId, user2.address)).to.equal(2);
+            expect(await landVesting.transferableTokens(landId, user2.address)).to.equal(0);
+
+            const [reserved] = await tokensOf(user1);
+            await expect(landToken.connect(user1).transferFrom(user1.address, holder.address, reserved))
+                .to.be.revertedWithCustomError(landVesting, "TokensLocked")
+                .withArgs(landId, 3);
+            await landToken.connect(user1).approve(marketplace.target, reserved);
+            await expect(marketplace.connect(user1).listToken(reserved, price))
+                .to.be.revertedWithCustomError(landVesting, "TokensLocked");
+
+            // Un token minté après la fenêtre reste libre
+            await time.increaseTo(mintDeadline);
+            await landToken.connect(user2).mintToken(landId, { value: price });
+            expect(await landVesting.transferableTokens(landId, user2.address)).to.equal(1);
+            const bought = await tokensOf(user2);
+            await landToken.connect(user2).transferFrom(user2.address, holder.address, bought[0]);
+            await expect(landToken.connect(user2).transferFrom(user2.address, holder.address, bought[1]))
+                .to.be.revertedWithCustomError(landVesting, "TokensLocked")
+                .withArgs(landId, 2);
+            expect(await landVesting.lockedTokens(landId, holder.address)).to.equal(0);
+
+            await time.increaseTo(cliff);
+            expect(await landVesting.lockedTokens(landId, user1.address)).to.equal(0);
+            await marketplace.connect(user1).listToken(reserved, price);
+            expect(await landToken.ownerOf(reserved)).to.equal(marketplace.target);
+        });
+
+        it("Doit libérer les tokens linéairement jusqu'à la fin du vesting", async function () {
+            const mintDeadline = await deadlineIn(10 * day);
+            const cliff = mintDeadline + 10 * day;
+            const vestingEnd = cliff + 100 * day;
+            await landVesting.connect(user1).setSchedule(landId, mintDeadline, cliff, vestingEnd);
+            await landToken.connect(user1).tokenizeLandWithReserve(landId, 0, 4);
+            const reserved = await tokensOf(user1);
+
+            await time.increaseTo(cliff);
+            expect(await landVesting.lockedTokens(landId, user1.address)).to.equal(4);
+
+            // À mi-parcours, la moitié des tokens est libérée
+            await time.increaseTo(cliff + 50 * day);
+            expect(await landVesting.lockedTokens(landId, user1.address)).to.equal(2);
+            await landToken.connect(user1).transferFrom(user1.address, holder.address, reserved[0]);
+            await landToken.connect(user1).transferFrom(user1.address, holder.address, reserved[1]);
+            await expect(landToken.connect(user1).transferFrom(user1.address, holder.address, reserved[2]))
+                .to.be.revertedWithCustomError(landVesting, "TokensLocked")
+                .withArgs(landId, 2);
+
+            await time.increaseTo(vestingEnd);
+            expect(await landVesting.lockedTokens(landId, user1.address)).to.equal(0);
+            await landToken.connect(user1).transferFrom(user1.address, holder.address, reserved[2]);
+            expect(await landVesting.balances(landId, holder.address)).to.equal(3);
+        });
+
+        it("Doit laisser rembourser des tokens bloqués après l'échec d'une levée de fonds", async function () {
+            const mintDeadline = await deadlineIn(30 * day);
+            const cliff = mintDeadline + 30 * day;
+            await landVesting.connect(user1).setSchedule(landId, mintDeadline, cliff, cliff);
+            await landToken.connect(user1).tokenizeLand(landId);
+            const deadline = await deadlineIn(10 * day);
+            await landCrowdfunding.connect(user1).openCampaign(landId, price * 5n, deadline, 0);
+            await landToken.connect(user2).mintMultipleTokens(landId, 2, { value: price * 2n });
+            expect(await landVesting.lockedTokens(landId, user2.address)).to.equal(2);
+
+            await time.increaseTo(deadline);
+            await landCrowdfunding.connect(user2).refund(await tokensOf(user2));
+            expect(await landVesting.balances(landId, user2.address)).to.equal(0);
+            expect(await landVesting.vestedTokens(landId, user2.address)).to.equal(0);
+            expect(await landVesting.lockedTokens(landId, user2.address)).to.equal(0);
+        });
+
+        it("Doit laisser passer un transfert forcé en réduisant la part bloquée", async function () {
+            const mintDeadline = await deadlineIn(30 * day);
+            const cliff = mintDeadline + 30 * day;
+            await landVesting.connect(user1).setSchedule(landId, mintDeadline, cliff, cliff);
+            await landToken.connect(user1).tokenizeLandWithReserve(landId, 0, 3);
+            const [reserved] = await tokensOf(user1);
+
+            await landToken.connect(owner).setCompliance(landCompliance.target);
+            await landCompliance.connect(owner).setIdentity(holder.address, 0, await deadlineIn(365 * day));
+            await landCompliance.connect(owner).forceTransfer(reserved, holder.address, "TJ Annecy 2026/42");
+            expect(await landToken.ownerOf(reserved)).to.equal(holder.address);
+            expect(await landVesting.vestedTokens(landId, user1.address)).to.equal(2);
+            expect(await landVesting.lockedTokens(landId, holder.address)).to.equal(0);
+
+            // Les tokens restants du détenteur restent bloqués
+            const [next] = await tokensOf(user1);
+            await expect(landToken.connect(user1).transferFrom(user1.address, holder.address, next))
+                .to.be.revertedWithCustomError(landVesting, "TokensLocked")
+                .withArgs(landId, 2);
+            await expect(landVesting.connect(user1).onForcedTransfer(user1.address, next))
+                .to.be.revertedWithCustomError(landVesting, "NotLandToken");
+        });
+    });
 });
 